@@ -34,7 +34,10 @@ export function concat(axis, dtype, ndarrays)
   ndarrays = Array.from( ndarrays, arr => asarray(dtype,arr) );
 
   if( null == axis ) axis = 0
-  if( null == dtype) dtype = super_dtype( ...ndarrays.map( a => a.dtype ) );
+  if( null == dtype) {
+    dtype = super_dtype( ...ndarrays.map( a => a.dtype ) );
+    ndarrays = ndarrays.map( a => asarray(dtype,a) );
+  }
 
   if( 0 > axis )  axis += ndarrays[0].shape.length
   if( 0 > axis || axis >= ndarrays[0].shape.length ) throw new Error('Axis out of bounds.')
@@ -54,7 +57,8 @@ export function concat(axis, dtype, ndarrays)
 
   const
     rest = newShape.slice(axis+1).reduce((a,b) => a*b, 1),
-    indices = Int32Array.from(ndarrays, ndarr => ndarr.data.length),
+    datas = ndarrays.map( ndarr => ndarr._flat_data() ),
+    indices = Int32Array.from(datas, data => data.length),
     newData = new ARRAY_TYPES[dtype]( newShape.reduce((a,b) => a*b, 1) )
   let newIdx = newData.length
 
@@ -63,7 +67,7 @@ export function concat(axis, dtype, ndarrays)
     if( d === axis )
       for( let i=ndarrays.length; i-- > 0; )
         for( let j=ndarrays[i].shape[d]*rest; j-- > 0; )
-          newData[--newIdx] = ndarrays[i].data[--indices[i]]
+          newData[--newIdx] = datas[i][--indices[i]]
     else for( let i=newShape[d]; i-- > 0; )
       fill(d+1)
   }
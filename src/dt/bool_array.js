@@ -0,0 +1,216 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+import {Complex} from './complex';
+import 'util';
+
+
+const HANDLER = {
+  get( boolArray, property ) {
+    if( typeof(property) !== 'symbol' && property % 1 === 0 )
+      return boolArray.get(property);
+    return boolArray[property];
+  },
+  set( boolArray, property, value ) {
+    if( typeof(property) !== 'symbol' && property % 1 === 0 )
+    {
+      boolArray.set(property,value);
+      return true;
+    }
+    boolArray[property] = value;
+    return true;
+  }
+};
+
+
+/** An array of booleans that are packed into the bits of a Uint8Array, i.e. 8 entries per byte.
+ *  The API is analogous to the typed arrays of JavaScript.
+ */
+export class BoolArray
+{
+  static get name() { return 'BoolArray'; }
+
+  constructor( buffer, byteOffset, length )
+  {
+    if( buffer % 1 === 0 )
+    {
+      length = buffer;
+      this._bits = new Uint8Array(length+7 >>> 3);
+    }
+    else {
+      if( null == byteOffset ) byteOffset = 0;
+      if( null == length ) length = 8*(buffer.byteLength - byteOffset);
+      this._bits = new Uint8Array(buffer, byteOffset, length+7 >>> 3);
+    }
+    this._offset = 0; // <- bit offset of the first entry
+    this._length = length;
+    Object.seal(this);
+    return new Proxy(this,HANDLER);
+  }
+
+  static from( source, mapFn, thisArg )
+  {
+    if( ! source.hasOwnProperty('length') )
+      source = [...source ];
+
+    const result = new BoolArray(source.length);
+
+    // fast-copy numeric arrays
+    if( null == mapFn && ArrayBuffer.isView(source) && ! (source instanceof BigInt64Array || source instanceof BigUint64Array) )
+    {
+      const bits = result._bits;
+      for( let i=source.length; i-- > 0; )
+        if( source[i] != 0 ) bits[i >>> 3] |= 1 << (i & 7);
+      return result;
+    }
+
+    mapFn = mapFn || (x => x);
+    for( let i=0; i < source.length; i++ )
+      result[i] = mapFn.call(thisArg, source[i], i);
+    return result;
+  }
+
+  static of( ...elements )
+  {
+    return BoolArray.from(elements);
+  }
+
+  get buffer    () { return this._bits.buffer; }
+  get byteOffset() { return this._bits.byteOffset; }
+  get byteLength() { return this._bits.byteLength; }
+  get length    () { return this._length; }
+
+  *[Symbol.iterator]() {
+    for( let i=0; i < this.length; i++ )
+      yield this.get(i);
+  }
+
+  *keys() {
+    for( let i=0; i < this.length; i++ )
+      yield i;
+  }
+
+  *values() {
+    yield *this[Symbol.iterator]();
+  }
+
+  *entries() {
+    for( let i=0; i < this.length; i++ )
+      yield [i, this.get(i)];
+  }
+
+  forEach( callback, thisArg ) {
+    for( let i=0; i < this.length; i++ )
+      callback.call(thisArg, this.get(i), i, this);
+  }
+
+  map( mapFn, thisArg ) {
+    return BoolArray.from(this,mapFn,thisArg);
+  }
+
+  every( predicate, thisArg ) {
+    for( let i=0; i < this.length; i++ )
+      if( ! predicate.call(thisArg, this.get(i), i, this) ) return false;
+    return true;
+  }
+
+  some( predicate, thisArg ) {
+    for( let i=0; i < this.length; i++ )
+      if( predicate.call(thisArg, this.get(i), i, this) ) return true;
+    return false;
+  }
+
+  reduce( reduceFn, initialValue ) {
+    let i=0;
+    if( null == initialValue ) {
+      if( this.length == 0 )
+        throw new TypeError('TypeError: Reduce of empty array with no initial value.');
+      initialValue = this.get(i++);
+    }
+    for( ; i < this.length; i++ )
+      initialValue = reduceFn(initialValue,this.get(i),i,this);
+    return initialValue;
+  }
+
+  _range( begin, end )
+  {
+    const len = this.length;
+    if( null == begin ) begin = 0;
+    if( null == end   ) end   = len;
+    if( 0 > begin ) begin += len;
+    if( 0 > end   ) end   += len;
+    begin = Math.min( Math.max(begin,0), len );
+    end   = Math.min( Math.max(end,begin), len );
+    return [begin, end];
+  }
+
+  slice( begin, end ) {
+    [begin, end] = this._range(begin,end);
+    const result = new BoolArray(end-begin);
+    for( let i=begin; i < end; i++ )
+      if( this.get(i) ) result.set(i-begin, true);
+    return result;
+  }
+
+  subarray( begin, end ) {
+    [begin, end] = this._range(begin,end);
+    const result = new BoolArray(0);
+    result._bits   = this._bits;
+    result._offset = this._offset + begin;
+    result._length = end - begin;
+    return result;
+  }
+
+  join( separator ) {
+    if( null == separator ) separator = ',';
+    return [...this].join(separator);
+  }
+
+  fill( value, start, end )
+  {
+    [start, end] = this._range(start,end);
+    for( let i=start; i < end; i++ )
+      this.set(i, value);
+    return this;
+  }
+
+  get( index ) {
+    if( ! (0 <= index && index < this._length) ) return undefined;
+    const i = this._offset + (index|0);
+    return (this._bits[i >>> 3] >>> (i & 7) & 1) === 1;
+  }
+
+  set( index, value ) {
+    if( ! (0 <= index && index < this._length) ) return;
+    if( value instanceof Complex ) value = value.re != 0 || value.im != 0;
+    const i = this._offset + (index|0);
+    if( value != 0 ) this._bits[i >>> 3] |=   1 << (i & 7);
+    else             this._bits[i >>> 3] &= ~(1 << (i & 7));
+  }
+
+  get [Symbol.toStringTag]() {
+    return 'BoolArray';
+  }
+
+  [Symbol.for('nodejs.util.inspect.custom')]( options ) {
+    return 'BoolArray ' + util.inspect( Array.from(this), options );
+  }
+
+  toString() {
+    return this.join(',');
+  }
+}
@@ -0,0 +1,81 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {BoolArray} from './bool_array'
+import {Complex} from './complex'
+
+const randInt = (from,until) => Math.floor( Math.random()*(until-from) ) + from;
+
+describe('BoolArray', () => {
+
+  it('of() and from() should work correctly', () => {
+    for( let run=16; run-- > 0; )
+    {
+      const arr = Array.from( { length: randInt(0,64) }, () => Math.random() < 0.5 ),
+           bool = BoolArray.of(...arr);
+      expect(bool.length).toBe(arr.length);
+      expect(bool.byteLength).toBe(arr.length+7 >>> 3);
+      expect( Array.from(bool) ).toEqual(arr);
+      expect( Array.from( BoolArray.from(Uint8Array.from(arr)) ) ).toEqual(arr);
+      expect( Array.from( BoolArray.from(arr, x => !x) ) ).toEqual( arr.map(x => !x) );
+      for( let i=arr.length; i-- > 0; )
+        expect(bool[i]).toBe(arr[i]);
+    }
+  })
+
+  it('casts assigned values by their truthiness', () => {
+    const bool = new BoolArray(6);
+    bool[0] = 2;
+    bool[1] = 0;
+    bool[2] = NaN;
+    bool[3] = new Complex(0,1);
+    bool[4] = new Complex(0,0);
+    bool[5] = true;
+    expect( Array.from(bool) ).toEqual([true, false, true, true, false, true]);
+    bool[6] = true;
+    expect(bool.length).toBe(6);
+    expect(bool[6]).toBeUndefined();
+  })
+
+  it('subarray() shares the bits while slice() copies them', () => {
+    for( let run=16; run-- > 0; )
+    {
+      const arr = Array.from( { length: randInt(1,64) }, () => Math.random() < 0.5 ),
+           bool = BoolArray.from(arr),
+          begin = randInt(0,arr.length),
+            end = randInt(begin,arr.length+1),
+            sub = bool.subarray(begin,end),
+            slc = bool.slice(begin,end);
+      expect( Array.from(sub) ).toEqual( arr.slice(begin,end) );
+      expect( Array.from(slc) ).toEqual( arr.slice(begin,end) );
+      sub.fill(true);
+      slc.fill(false);
+      expect( Array.from(bool) ).toEqual( arr.map( (x,i) => begin <= i && i < end || x ) );
+    }
+  })
+
+  it('supports the common array methods', () => {
+    const bool = BoolArray.of(true, false, true);
+    expect( bool.join('') ).toBe('truefalsetrue');
+    expect( bool.some (x => !x) ).toBe(true);
+    expect( bool.every(x =>  x) ).toBe(false);
+    expect( bool.reduce((n,x) => n+x, 0) ).toBe(2);
+    expect( [...bool.entries()] ).toEqual([[0,true], [1,false], [2,true]]);
+    expect( Object.prototype.toString.call(bool) ).toBe('[object BoolArray]');
+  })
+})
@@ -134,6 +134,19 @@ export class Complex
     return new Complex(this.re, -this.im );
   }
 
+  neg() {
+    return new Complex(-this.re, -this.im );
+  }
+
+  exp() {
+    const r = Math.exp(this.re);
+    if( 0 === this.im ) return new Complex(r);
+    return new Complex(
+      r * Math.cos(this.im),
+      r * Math.sin(this.im)
+    );
+  }
+
   toFixed(digits) {
     return new Complex(
       this.re.toFixed(digits),
@@ -72,9 +72,9 @@ function createComplexArrayType( FloatArray )
       {
         if( source instanceof ComplexArray )
           return new ComplexArray( FloatArray.from(source._array).buffer, 0, source.length );
-        if( source instanceof   Int32Array ||
-            source instanceof Float32Array ||
-            source instanceof Float64Array )
+        if( ArrayBuffer.isView(source) &&
+            ! (source instanceof BigInt64Array) &&
+            ! (source instanceof BigUint64Array) )
         {
           const array = new FloatArray(source.length*2);
           for( let i=source.length; i-- > 0; )
@@ -213,7 +213,7 @@ function createComplexArrayType( FloatArray )
     }
   
     [Symbol.for('nodejs.util.inspect.custom')]( options ) {
-      return 'Complex128Array ' + util.inspect( Array.from(this), options );
+      return ComplexArray.name + ' ' + util.inspect( Array.from(this), options );
     }
   
     toString( max_len ) {
@@ -224,4 +224,5 @@ function createComplexArrayType( FloatArray )
   return ComplexArray;
 }
 
+export const Complex64Array  = createComplexArrayType(Float32Array)
 export const Complex128Array = createComplexArrayType(Float64Array)
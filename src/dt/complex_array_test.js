@@ -17,7 +17,8 @@
  */
 
 import {Complex} from './complex'
-import {Complex128Array} from './complex_array'
+import {Complex64Array,
+        Complex128Array} from './complex_array'
 
 const randInt = (from,until) => Math.floor( Math.random()*(until-from) ) + from;
 
@@ -47,3 +48,18 @@ describe('Complex128Array', () => {
     }
   })
 })
+
+
+describe('Complex64Array', () => {
+
+  it('stores entries in single precision', () => {
+    const arr = Complex64Array.of(new Complex(0.1,-0.2), 3);
+    expect(arr.length).toBe(2);
+    expect(arr._array).toEqual( Float32Array.of(0.1,-0.2, 3,0) );
+    expect(arr[0].re).toBe( Math.fround( 0.1) );
+    expect(arr[0].im).toBe( Math.fround(-0.2) );
+    expect( Complex64Array.name ).toBe('Complex64Array');
+    expect( Complex64Array.BYTES_PER_ELEMENT ).toBe(8);
+    expect( Complex64Array.from(Int8Array.of(1,-2))._array ).toEqual( Float32Array.of(1,0, -2,0) );
+  })
+})
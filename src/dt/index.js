@@ -17,19 +17,51 @@
  */
 
 import {Complex} from './complex'
-import {Complex128Array} from './complex_array'
+import {BoolArray} from './bool_array'
+import {Complex64Array,
+        Complex128Array} from './complex_array'
 
 export * from './complex'
 export * from './complex_array'
+export * from './bool_array'
 
 export const ARRAY_TYPES = {
+        'bool':       BoolArray,
+        'int8':       Int8Array,
+       'int16':      Int16Array,
        'int32':      Int32Array,
+       'int64':   BigInt64Array,
+       'uint8':      Uint8Array,
+      'uint16':     Uint16Array,
+      'uint32':     Uint32Array,
+      'uint64':  BigUint64Array,
      'float32':    Float32Array,
      'float64':    Float64Array,
+   'complex64':  Complex64Array,
   'complex128': Complex128Array,
      'object' :           Array
 }
 
+// dtype -> list of all dtypes it can be safely cast to (besides itself)
+const SAFE_CASTS = {
+        'bool': ['int8','uint8','int16','uint16','int32','uint32','int64','uint64','float32','float64','complex64','complex128','object'],
+        'int8': [       'int16','int32','int64','float32','float64','complex64','complex128','object'],
+       'uint8': ['int16','uint16','int32','uint32','int64','uint64','float32','float64','complex64','complex128','object'],
+       'int16': [       'int32','int64','float32','float64','complex64','complex128','object'],
+      'uint16': ['int32','uint32','int64','uint64','float32','float64','complex64','complex128','object'],
+       'int32': [       'int64','float32','float64','complex64','complex128','object'], // <- int32 -> float32 for backwards compatibility
+      'uint32': ['int64','uint64',          'float64',            'complex128','object'],
+       'int64': [                           'float64',            'complex128','object'],
+      'uint64': [                           'float64',            'complex128','object'],
+     'float32': [                           'float64','complex64','complex128','object'],
+     'float64': [                                                 'complex128','object'],
+   'complex64': [                                                 'complex128','object'],
+  'complex128': [                                                              'object'],
+      'object': []
+}
+
+const DTYPES = Object.keys(SAFE_CASTS)
+
 export function eps( dtype )
 {
   _check_dtype(dtype)
@@ -37,16 +69,43 @@ export function eps( dtype )
   switch(dtype)
   {
     case 'complex128': return new Complex(Number.EPSILON)
+    case  'complex64': return new Complex(1.1920928955078125e-7)
     case    'float32': return 1.1920928955078125e-7
     default          : return Number.EPSILON
   }
 }
 
+function _int64( x, bits, asInt )
+{
+  if( typeof x === 'bigint' ) return asInt(bits,x);
+  if( x instanceof Complex ) x = x.re;
+  x = Math.trunc(x);
+  return isFinite(x) ? asInt(bits, BigInt(x)) : 0n;
+}
+
 export function cast_scalar(x, dtype)
 {
-  if( dtype ===      'int32' ) return x & 0xFFFFFFFF;
-  if( dtype ===    'float32' ) return Math.fround(x);
-  if( dtype === 'complex128' ) return x instanceof Complex ? x : new Complex(x);
+  switch(dtype)
+  {
+    case 'bool'      : return x instanceof Complex ? x.re != 0 || x.im != 0 : x != 0;
+    case 'int64'     : return _int64(x, 64, BigInt. asIntN);
+    case 'uint64'    : return _int64(x, 64, BigInt.asUintN);
+    case 'object'    : return x;
+  }
+  if( typeof x === 'bigint' ) x = Number(x);
+  switch(dtype)
+  {
+    case 'int8'      : return x << 24 >> 24;
+    case 'uint8'     : return x & 0xFF;
+    case 'int16'     : return x << 16 >> 16;
+    case 'uint16'    : return x & 0xFFFF;
+    case 'int32'     : return x & 0xFFFFFFFF;
+    case 'uint32'    : return x >>> 0;
+    case 'float32'   : return Math.fround(x);
+    case 'complex64' : x = x instanceof Complex ? x : new Complex(x);
+                       return new Complex( Math.fround(x.re), Math.fround(x.im) );
+    case 'complex128': return x instanceof Complex ? x : new Complex(x);
+  }
   return x*1;
 }
 
@@ -58,6 +117,13 @@ export function _check_dtype(dtype)
 
 export function dtypeof(value)
 {
+  if( typeof value === 'boolean' ) return 'bool'
+  if( typeof value === 'bigint' )
+  {
+    if( value >= -(1n << 63n) && value < (1n << 63n) ) return 'int64'
+    if( value >=  0n          && value < (1n << 64n) ) return 'uint64'
+    return 'object'
+  }
   if( value % 1 === 0 )
   {
     if(    value <= ~(1 << 31)
@@ -69,27 +135,20 @@ export function dtypeof(value)
   if( value instanceof Complex ) return 'complex128';
   return 'object'
 }
-  
+
 export const super_dtype = (...dtypes) => dtypes.reduce( (dtype1,dtype2) => {
   _check_dtype(dtype1)
   _check_dtype(dtype2)
-  if( dtype1 ===     'object' || dtype2 ===     'object' ) return 'object'
-  if( dtype1 === 'complex128' || dtype2 === 'complex128' ) return 'complex128'
-  if( dtype1 ===    'float64' || dtype2 ===    'float64' ) return 'float64'
-  if( dtype1 ===    'float32' || dtype2 ===    'float32' ) return 'float32'
-  return 'int32'
+  if( dtype1 === dtype2 ) return dtype1
+  // the smallest dtype that both dtypes can be safely cast to
+  for( const dtype of DTYPES )
+    if( is_subdtype(dtype1,dtype) && is_subdtype(dtype2,dtype) )
+      return dtype
 })
-  
+
 export function is_subdtype(sub_dtype, sup_dtype)
 {
   _check_dtype(sub_dtype)
   _check_dtype(sup_dtype)
-  const rank = {
-        'int32': 0,
-      'float32': 1,
-      'float64': 2,
-   'complex128': 3,
-       'object': 4
-  }
-  return rank[sub_dtype] <= rank[sup_dtype]
+  return sub_dtype === sup_dtype || SAFE_CASTS[sub_dtype].includes(sup_dtype)
 }
@@ -17,7 +17,7 @@
  */
 
 import {Complex} from './complex'
-import {is_subdtype, super_dtype, dtypeof, eps} from '.'
+import {ARRAY_TYPES, BoolArray, cast_scalar, is_subdtype, super_dtype, dtypeof, eps} from '.'
 
 describe('dt', () => {
   it("is_subdtype adheres to int32 < float32 < float64 < complex128 < object", () => {
@@ -102,5 +102,85 @@ describe('dt', () => {
     expect( Math.fround(eps('float32')/2 + 1) ).toBe(1)
     expect(          eps('complex128')   + 1  ).toBeGreaterThan(1)
     expect(          eps('complex128')/2 + 1  ).toBe(1)
+    expect( Math.fround(eps('complex64')   + 1) ).toBeGreaterThan(1)
+    expect( Math.fround(eps('complex64')/2 + 1) ).toBe(1)
   })
+
+  it('is_subdtype follows NumPy\'s safe casting rules for the integer, bool and complex64 dtypes', () => {
+    const DTYPES = Object.keys(ARRAY_TYPES);
+    for( const dtype of DTYPES ) {
+      expect( is_subdtype('bool', dtype) ).toBe(true);
+      expect( is_subdtype(dtype, dtype) ).toBe(true);
+      expect( is_subdtype(dtype,'object') ).toBe(true);
+    }
+    expect( is_subdtype(  'int8',  'int16') ).toBe(true);
+    expect( is_subdtype(  'int8', 'uint16') ).toBe(false);
+    expect( is_subdtype( 'uint8',  'int16') ).toBe(true);
+    expect( is_subdtype( 'uint8',   'int8') ).toBe(false);
+    expect( is_subdtype('uint16',  'int32') ).toBe(true);
+    expect( is_subdtype('uint32',  'int64') ).toBe(true);
+    expect( is_subdtype('uint32','float32') ).toBe(false);
+    expect( is_subdtype('uint32','float64') ).toBe(true);
+    expect( is_subdtype( 'int64','float64') ).toBe(true);
+    expect( is_subdtype( 'int64','uint64') ).toBe(false);
+    expect( is_subdtype('uint64', 'int64') ).toBe(false);
+    expect( is_subdtype('float32','complex64') ).toBe(true);
+    expect( is_subdtype('float64','complex64') ).toBe(false);
+    expect( is_subdtype('complex64','complex128') ).toBe(true);
+    expect( is_subdtype('complex128','complex64') ).toBe(false);
+    expect( is_subdtype('int16','bool') ).toBe(false);
+  });
+
+  it('super_dtype returns the smallest common dtype of the integer, bool and complex64 dtypes', () => {
+    expect( super_dtype('bool',   'bool') ).toBe('bool');
+    expect( super_dtype('bool',  'uint8') ).toBe('uint8');
+    expect( super_dtype('int8',  'uint8') ).toBe('int16');
+    expect( super_dtype('int16','uint16') ).toBe('int32');
+    expect( super_dtype('int32','uint32') ).toBe('int64');
+    expect( super_dtype('int64','uint64') ).toBe('float64');
+    expect( super_dtype('int8', 'float32') ).toBe('float32');
+    expect( super_dtype('uint32','float32') ).toBe('float64');
+    expect( super_dtype('int64','complex64') ).toBe('complex128');
+    expect( super_dtype('float32','complex64') ).toBe('complex64');
+    expect( super_dtype('float64','complex64') ).toBe('complex128');
+    expect( super_dtype('uint8','uint16','int8') ).toBe('int32');
+    expect( super_dtype('uint64','object') ).toBe('object');
+  });
+
+  it('dtypeof returns the proper dtype for booleans and BigInts', () => {
+    expect( dtypeof(true)       ).toBe(  'bool');
+    expect( dtypeof(false)      ).toBe(  'bool');
+    expect( dtypeof(-(2n**63n)) ).toBe( 'int64');
+    expect( dtypeof(2n**63n-1n) ).toBe( 'int64');
+    expect( dtypeof(2n**63n)    ).toBe('uint64');
+    expect( dtypeof(2n**64n)    ).toBe('object');
+  });
+
+  it('cast_scalar wraps integers and converts between Number and BigInt', () => {
+    expect( cast_scalar(  200,  'int8') ).toBe(-56);
+    expect( cast_scalar(   -1, 'uint8') ).toBe(255);
+    expect( cast_scalar(40000, 'int16') ).toBe(-25536);
+    expect( cast_scalar(   -1,'uint16') ).toBe(65535);
+    expect( cast_scalar(2**31, 'int32') ).toBe(-(2**31));
+    expect( cast_scalar(   -1,'uint32') ).toBe(2**32-1);
+    expect( cast_scalar(  -1.7, 'int64') ).toBe(-1n);
+    expect( cast_scalar(   -1n,'uint64') ).toBe(2n**64n-1n);
+    expect( cast_scalar(2n**63n,'int64') ).toBe(-(2n**63n));
+    expect( cast_scalar(   NaN, 'int64') ).toBe(0n);
+    expect( cast_scalar(  true, 'int64') ).toBe(1n);
+    expect( cast_scalar(   12n,'float64') ).toBe(12);
+    expect( cast_scalar(  257n,  'uint8') ).toBe(1);
+    expect( cast_scalar(     0,   'bool') ).toBe(false);
+    expect( cast_scalar(   0.5,   'bool') ).toBe(true);
+    expect( cast_scalar(new Complex(0,1), 'bool') ).toBe(true);
+    expect( cast_scalar(0.1, 'complex64') ).toEqual( new Complex(Math.fround(0.1)) );
+  });
+
+  it('ARRAY_TYPES are backed by the proper storage', () => {
+    expect( new ARRAY_TYPES.bool(9) ).toEqual( jasmine.any(BoolArray) );
+    expect( new ARRAY_TYPES.bool(9).byteLength ).toBe(2);
+    expect( new ARRAY_TYPES.complex64(3)._array ).toEqual( new Float32Array(6) );
+    expect( new ARRAY_TYPES. int64(3) ).toEqual( new  BigInt64Array(3) );
+    expect( new ARRAY_TYPES.uint64(3) ).toEqual( new BigUint64Array(3) );
+  });
 });
@@ -0,0 +1,598 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {ARRAY_TYPES, Complex, is_subdtype, super_dtype} from './dt'
+import {math} from './math'
+import {asarray, NDArray} from './nd_array'
+
+
+//
+// KERNELS
+//
+// Each kernel computes C[c+i] = op( A[a+i*sa], B[b+i*sb] ) for i in [0,n). Complex
+// kernels operate on interleaved storage, i.e. the real and imaginary part of entry
+// i are stored at 2*i and 2*i+1 respectively.
+//
+
+function _ipow( x, y )
+{
+  let result = 1;
+  for( ; y > 0; y >>>= 1 ) {
+    if( y & 1 ) result = Math.imul(result,x);
+    x = Math.imul(x,x);
+  }
+  return result;
+}
+
+
+/** Writes x**y to C[c] and C[c+1] for complex x and y.
+ */
+function _cpow( C,c, x_re,x_im, y_re,y_im )
+{
+  if( 0 === y_im && y_re % 1 === 0 && Math.abs(y_re) <= 64 )
+  { // BINARY EXPONENTIATION FOR (SMALL) INTEGER EXPONENTS
+    let r_re = 1, r_im = 0;
+    for( let k = Math.abs(y_re); k > 0; k >>>= 1 ) {
+      if( k & 1 ) {
+        const re = r_re*x_re - r_im*x_im;
+        r_im = r_re*x_im + r_im*x_re;
+        r_re = re;
+      }
+      const re = x_re*x_re - x_im*x_im;
+      x_im = 2*x_re*x_im;
+      x_re = re;
+    }
+    if( y_re < 0 ) {
+      const abs2 = r_re*r_re + r_im*r_im;
+      r_re /= abs2;
+      r_im /=-abs2;
+    }
+    C[c  ] = r_re;
+    C[c+1] = r_im;
+    return;
+  }
+  if( 0 === x_re && 0 === x_im ) {
+    C[c  ] = y_re > 0 ? 0 : NaN;
+    C[c+1] = y_re > 0 ? 0 : NaN;
+    return;
+  }
+  // x**y = exp( y*log(x) )
+  const l_re = Math.log( Math.hypot(x_re,x_im) ),
+        l_im = Math.atan2(x_im,x_re),
+           r = Math.exp(y_re*l_re - y_im*l_im),
+           φ =          y_re*l_im + y_im*l_re;
+  C[c  ] = r*Math.cos(φ);
+  C[c+1] = r*Math.sin(φ);
+}
+
+
+// lexicographic order of complex numbers as used by NumPy
+const _cless      = (x_re,x_im, y_re,y_im) => x_re < y_re || x_re === y_re && x_im <  y_im,
+      _cless_eq   = (x_re,x_im, y_re,y_im) => x_re < y_re || x_re === y_re && x_im <= y_im,
+      _cnan       = (re,im) => isNaN(re) || isNaN(im);
+
+
+const REAL_KERNELS = {
+  add: (n, A,a,sa, B,b,sb, C,c) => { for( const end=c+n; c < end; c++, a+=sa, b+=sb ) C[c] = A[a] + B[b] },
+  sub: (n, A,a,sa, B,b,sb, C,c) => { for( const end=c+n; c < end; c++, a+=sa, b+=sb ) C[c] = A[a] - B[b] },
+  mul: (n, A,a,sa, B,b,sb, C,c) => { for( const end=c+n; c < end; c++, a+=sa, b+=sb ) C[c] = A[a] * B[b] },
+  div: (n, A,a,sa, B,b,sb, C,c) => { for( const end=c+n; c < end; c++, a+=sa, b+=sb ) C[c] = A[a] / B[b] },
+  pow: (n, A,a,sa, B,b,sb, C,c) => { for( const end=c+n; c < end; c++, a+=sa, b+=sb ) C[c] = A[a] **B[b] },
+
+  maximum: (n, A,a,sa, B,b,sb, C,c) => { for( const end=c+n; c < end; c++, a+=sa, b+=sb ) C[c] = Math.max(A[a], B[b]) },
+  minimum: (n, A,a,sa, B,b,sb, C,c) => { for( const end=c+n; c < end; c++, a+=sa, b+=sb ) C[c] = Math.min(A[a], B[b]) },
+
+  equal        : (n, A,a,sa, B,b,sb, C,c) => { for( const end=c+n; c < end; c++, a+=sa, b+=sb ) C[c] = A[a] === B[b] },
+  not_equal    : (n, A,a,sa, B,b,sb, C,c) => { for( const end=c+n; c < end; c++, a+=sa, b+=sb ) C[c] = A[a] !== B[b] },
+  less         : (n, A,a,sa, B,b,sb, C,c) => { for( const end=c+n; c < end; c++, a+=sa, b+=sb ) C[c] = A[a] <   B[b] },
+  less_equal   : (n, A,a,sa, B,b,sb, C,c) => { for( const end=c+n; c < end; c++, a+=sa, b+=sb ) C[c] = A[a] <=  B[b] },
+  greater      : (n, A,a,sa, B,b,sb, C,c) => { for( const end=c+n; c < end; c++, a+=sa, b+=sb ) C[c] = A[a] >   B[b] },
+  greater_equal: (n, A,a,sa, B,b,sb, C,c) => { for( const end=c+n; c < end; c++, a+=sa, b+=sb ) C[c] = A[a] >=  B[b] }
+};
+
+
+const INT32_KERNELS = {
+  ...REAL_KERNELS,
+  mul: (n, A,a,sa, B,b,sb, C,c) => { for( const end=c+n; c < end; c++, a+=sa, b+=sb ) C[c] = Math.imul(A[a], B[b]) },
+  pow: (n, A,a,sa, B,b,sb, C,c) => { for( const end=c+n; c < end; c++, a+=sa, b+=sb ) C[c] =     _ipow(A[a], B[b]) }
+};
+
+
+/** x**y modulo 2**64 for BigInt x and y.
+ */
+function _bpow( x, y )
+{
+  let result = 1n;
+  for( ; y > 0n; y >>= 1n ) {
+    if( y & 1n ) result = BigInt.asIntN(64, result*x);
+    x = BigInt.asIntN(64, x*x);
+  }
+  return result;
+}
+
+
+// the results are wrapped to 64 bits by BigInt64Array and BigUint64Array
+const BIGINT_KERNELS = {
+  ...REAL_KERNELS,
+  pow: (n, A,a,sa, B,b,sb, C,c) => { for( const end=c+n; c < end; c++, a+=sa, b+=sb ) C[c] = _bpow(A[a], B[b]) },
+
+  maximum: (n, A,a,sa, B,b,sb, C,c) => { for( const end=c+n; c < end; c++, a+=sa, b+=sb ) C[c] = A[a] > B[b] ? A[a] : B[b] },
+  minimum: (n, A,a,sa, B,b,sb, C,c) => { for( const end=c+n; c < end; c++, a+=sa, b+=sb ) C[c] = A[a] < B[b] ? A[a] : B[b] }
+};
+
+
+// like in NumPy, the sum of booleans is their disjunction and the product their conjunction
+const BOOL_KERNELS = {
+  ...INT32_KERNELS,
+  add: INT32_KERNELS.maximum,
+  mul: INT32_KERNELS.minimum
+};
+
+
+const COMPLEX_KERNELS = {
+  add(n, A,a,sa, B,b,sb, C,c)
+  {
+    a *= 2; sa *= 2;
+    b *= 2; sb *= 2;
+    c *= 2;
+    for( const end=c+2*n; c < end; c+=2, a+=sa, b+=sb ) {
+      C[c  ] = A[a  ] + B[b  ];
+      C[c+1] = A[a+1] + B[b+1];
+    }
+  },
+
+  sub(n, A,a,sa, B,b,sb, C,c)
+  {
+    a *= 2; sa *= 2;
+    b *= 2; sb *= 2;
+    c *= 2;
+    for( const end=c+2*n; c < end; c+=2, a+=sa, b+=sb ) {
+      C[c  ] = A[a  ] - B[b  ];
+      C[c+1] = A[a+1] - B[b+1];
+    }
+  },
+
+  mul(n, A,a,sa, B,b,sb, C,c)
+  {
+    a *= 2; sa *= 2;
+    b *= 2; sb *= 2;
+    c *= 2;
+    for( const end=c+2*n; c < end; c+=2, a+=sa, b+=sb ) {
+      const x_re = A[a], x_im = A[a+1],
+            y_re = B[b], y_im = B[b+1];
+      C[c  ] = x_re*y_re - x_im*y_im;
+      C[c+1] = x_re*y_im + x_im*y_re;
+    }
+  },
+
+  div(n, A,a,sa, B,b,sb, C,c)
+  {
+    a *= 2; sa *= 2;
+    b *= 2; sb *= 2;
+    c *= 2;
+    for( const end=c+2*n; c < end; c+=2, a+=sa, b+=sb )
+    {
+      const x_re = A[a], x_im = A[a+1],
+            y_re = B[b], y_im = B[b+1];
+      // SEE: Smith's algorithm as used by Complex.div
+      if( 0 === y_im ) {
+        C[c  ] = x_re / y_re;
+        C[c+1] = x_im / y_re;
+      }
+      else if( Math.abs(y_re) >= Math.abs(y_im) ) {
+        const R = y_im / y_re,
+              D = y_re + y_im*R;
+        C[c  ] = (x_re + x_im*R) / D;
+        C[c+1] = (x_im - x_re*R) / D;
+      }
+      else {
+        const R = y_re / y_im,
+              D = y_re*R + y_im;
+        C[c  ] = (x_re*R + x_im) / D;
+        C[c+1] = (x_im*R - x_re) / D;
+      }
+    }
+  },
+
+  pow(n, A,a,sa, B,b,sb, C,c)
+  {
+    a *= 2; sa *= 2;
+    b *= 2; sb *= 2;
+    c *= 2;
+    for( const end=c+2*n; c < end; c+=2, a+=sa, b+=sb )
+      _cpow(C,c, A[a],A[a+1], B[b],B[b+1]);
+  },
+
+  maximum(n, A,a,sa, B,b,sb, C,c)
+  {
+    a *= 2; sa *= 2;
+    b *= 2; sb *= 2;
+    c *= 2;
+    for( const end=c+2*n; c < end; c+=2, a+=sa, b+=sb ) {
+      const x_re = A[a], x_im = A[a+1],
+            y_re = B[b], y_im = B[b+1],
+            max_x = _cnan(x_re,x_im) || ! _cnan(y_re,y_im) && ! _cless(x_re,x_im, y_re,y_im);
+      C[c  ] = max_x ? x_re : y_re;
+      C[c+1] = max_x ? x_im : y_im;
+    }
+  },
+
+  minimum(n, A,a,sa, B,b,sb, C,c)
+  {
+    a *= 2; sa *= 2;
+    b *= 2; sb *= 2;
+    c *= 2;
+    for( const end=c+2*n; c < end; c+=2, a+=sa, b+=sb ) {
+      const x_re = A[a], x_im = A[a+1],
+            y_re = B[b], y_im = B[b+1],
+            min_x = _cnan(x_re,x_im) || ! _cnan(y_re,y_im) && ! _cless(y_re,y_im, x_re,x_im);
+      C[c  ] = min_x ? x_re : y_re;
+      C[c+1] = min_x ? x_im : y_im;
+    }
+  },
+
+  // comparisons write to real storage
+  equal(n, A,a,sa, B,b,sb, C,c)
+  {
+    a *= 2; sa *= 2;
+    b *= 2; sb *= 2;
+    for( const end=c+n; c < end; c++, a+=sa, b+=sb )
+      C[c] = A[a] === B[b] && A[a+1] === B[b+1];
+  },
+
+  not_equal(n, A,a,sa, B,b,sb, C,c)
+  {
+    a *= 2; sa *= 2;
+    b *= 2; sb *= 2;
+    for( const end=c+n; c < end; c++, a+=sa, b+=sb )
+      C[c] = A[a] !== B[b] || A[a+1] !== B[b+1];
+  },
+
+  less(n, A,a,sa, B,b,sb, C,c)
+  {
+    a *= 2; sa *= 2;
+    b *= 2; sb *= 2;
+    for( const end=c+n; c < end; c++, a+=sa, b+=sb )
+      C[c] = _cless(A[a],A[a+1], B[b],B[b+1]);
+  },
+
+  less_equal(n, A,a,sa, B,b,sb, C,c)
+  {
+    a *= 2; sa *= 2;
+    b *= 2; sb *= 2;
+    for( const end=c+n; c < end; c++, a+=sa, b+=sb )
+      C[c] = _cless_eq(A[a],A[a+1], B[b],B[b+1]);
+  },
+
+  greater(n, A,a,sa, B,b,sb, C,c)
+  {
+    a *= 2; sa *= 2;
+    b *= 2; sb *= 2;
+    for( const end=c+n; c < end; c++, a+=sa, b+=sb )
+      C[c] = _cless(B[b],B[b+1], A[a],A[a+1]);
+  },
+
+  greater_equal(n, A,a,sa, B,b,sb, C,c)
+  {
+    a *= 2; sa *= 2;
+    b *= 2; sb *= 2;
+    for( const end=c+n; c < end; c++, a+=sa, b+=sb )
+      C[c] = _cless_eq(B[b],B[b+1], A[a],A[a+1]);
+  }
+};
+
+
+// object entries may be Complex
+function _opow( x, y )
+{
+  if( !(x instanceof Complex) &&
+      !(y instanceof Complex) ) return x**y;
+  x = new Complex(x);
+  y = new Complex(y);
+  const z = new Float64Array(2);
+  _cpow(z,0, x.re,x.im, y.re,y.im);
+  return new Complex(z[0], z[1]);
+}
+
+function _oless( x, y )
+{
+  if( !(x instanceof Complex) &&
+      !(y instanceof Complex) ) return x < y;
+  x = new Complex(x);
+  y = new Complex(y);
+  return _cless(x.re,x.im, y.re,y.im);
+}
+
+function _oless_eq( x, y )
+{
+  if( !(x instanceof Complex) &&
+      !(y instanceof Complex) ) return x <= y;
+  x = new Complex(x);
+  y = new Complex(y);
+  return _cless_eq(x.re,x.im, y.re,y.im);
+}
+
+
+const _object_kernel = op => (n, A,a,sa, B,b,sb, C,c) => {
+  for( const end=c+n; c < end; c++, a+=sa, b+=sb )
+    C[c] = op(A[a], B[b]);
+};
+
+const OBJECT_KERNELS = {
+  add: _object_kernel(math.add),
+  sub: _object_kernel(math.sub),
+  mul: _object_kernel(math.mul),
+  div: _object_kernel(math.div),
+  pow: _object_kernel(_opow),
+
+  maximum: _object_kernel( (x,y) => _oless(y,x) || x != x ? x : y ),
+  minimum: _object_kernel( (x,y) => _oless(x,y) || x != x ? x : y ),
+
+  equal        : _object_kernel( (x,y) =>   math.is_equal(x,y) ),
+  not_equal    : _object_kernel( (x,y) => ! math.is_equal(x,y) ),
+  less         : _object_kernel( (x,y) => _oless   (x,y) ),
+  less_equal   : _object_kernel( (x,y) => _oless_eq(x,y) ),
+  greater      : _object_kernel( (x,y) => _oless   (y,x) ),
+  greater_equal: _object_kernel( (x,y) => _oless_eq(y,x) )
+};
+
+
+const COMPARISONS = new Set(['equal', 'not_equal', 'less', 'less_equal', 'greater', 'greater_equal']);
+
+
+//
+// BROADCASTING
+//
+
+function _broadcast_shape( name, A, B )
+{
+  const ndim = Math.max(A.ndim, B.ndim),
+       shape = new Int32Array(ndim).fill(1);
+
+  for( const arr of [A,B] )
+    for( let i=ndim, j=arr.ndim; i-- > 0 && j-- > 0; )
+      if( 1 === shape[i] )
+        shape[i] = arr.shape[j];
+      else if( shape[i] !== arr.shape[j] && arr.shape[j] !== 1 )
+        throw new Error(`${name}(A,B): Shapes [${A.shape}] and [${B.shape}] are not broadcast-compatible.`);
+
+  return shape;
+}
+
+
+/** Returns the strides of A when it is broadcast to the given shape. Broadcast axes have a stride of 0.
+ */
+function _broadcast_strides( shape, A )
+{
+  const ndim = shape.length,
+     strides = new Int32Array(ndim);
+  for( let i=ndim, j=A.ndim; i-- > 0 && j-- > 0; )
+    strides[i] = A.shape[j] === 1 ? 0 : A.strides[j];
+  return strides;
+}
+
+
+/** Calls the kernel for every innermost row of the broadcast iteration. Adjacent
+ *  axes are merged where possible so that the rows are as long as possible.
+ */
+function _zip( shape, A_strides, B_strides, kernel, A,a0, B,b0, C )
+{
+  // MERGE AXES (INNERMOST FIRST)
+  const len = [1],
+         sa = [0],
+         sb = [0];
+  for( let d=shape.length; d-- > 0; )
+  {
+    const n = shape[d];
+    if( 1 === n ) continue;
+    const k = len.length-1;
+    if( A_strides[d] === sa[k]*len[k] &&
+        B_strides[d] === sb[k]*len[k] || 1 === len[k] )
+    {
+      if( 1 === len[k] ) {
+        sa[k] = A_strides[d];
+        sb[k] = B_strides[d];
+      }
+      len[k] *= n;
+    }
+    else {
+      len.push(n);
+      sa .push(A_strides[d]);
+      sb .push(B_strides[d]);
+    }
+  }
+
+  const ndim = len.length,
+         idx = new Int32Array(ndim),
+           n = len[0];
+
+  for( let a=a0, b=b0, c=0;; )
+  {
+    kernel(n, A,a,sa[0], B,b,sb[0], C,c);
+    c += n;
+
+    let d = 1;
+    for( ; d < ndim; d++ ) {
+      a += sa[d];
+      b += sb[d];
+      if( ++idx[d] < len[d] ) break;
+      idx[d] = 0;
+      a -= sa[d]*len[d];
+      b -= sb[d]*len[d];
+    }
+    if( d === ndim ) break;
+  }
+}
+
+
+/** Returns the data array, the offset and the (broadcast) strides of A for an operation
+ *  that is performed in the given dtype. Complex operands are returned in interleaved storage.
+ *  Booleans are unpacked and BigInts are only mixed with BigInts.
+ */
+function _operand( shape, A, dtype )
+{
+  const complex = dtype.startsWith('complex');
+  if( A.dtype !== dtype && ( complex || dtype.endsWith('int64') || A.dtype.endsWith('int64') && 'object' !== dtype ) )
+    A = asarray(dtype, A);
+  else if( 'bool' === A.dtype && 'object' !== dtype )
+    A = asarray('uint8', A);
+  return [complex ? A._data._array : A._data, A.offset, _broadcast_strides(shape,A)];
+}
+
+
+/** Returns true if A and B (may) share the memory of their entries.
+ */
+function _shares_data( A, B )
+{
+  return A._data === B._data
+      || A._data.buffer instanceof ArrayBuffer && A._data.buffer === B._data.buffer;
+}
+
+
+/** Returns the kind of storage that is used for the given dtype.
+ */
+function _storage( dtype )
+{
+  if( dtype.startsWith('complex') ) return 'complex';
+  if( dtype.endsWith('int64') ) return 'bigint';
+  if( 'bool' === dtype || 'object' === dtype ) return dtype;
+  return 'number';
+}
+
+
+const KIND_RANK = {b: 0, u: 1, i: 2, f: 3, c: 4, o: 5};
+
+
+/** Returns true if values of dtype `from` may be written to an array of dtype `to`
+ *  in an in-place operation (NumPy's 'same_kind' casting rule).
+ */
+function _same_kind( from, to )
+{
+  return is_subdtype(from,to) || KIND_RANK[from[0]] <= KIND_RANK[to[0]];
+}
+
+
+function _elementwise( name, op, A, B, out )
+{
+  B = asarray(B);
+
+  const shape = _broadcast_shape(name, A, B);
+
+  // DETERMINE DTYPES
+  let dtype = super_dtype(A.dtype, B.dtype); // <- dtype in which the operation is performed
+  if( 'div' === op && /int|bool/.test(dtype) )
+    dtype = 'float64';
+  if( 'pow' === op && 'bool' === dtype )
+    dtype = 'int8';
+  if( 'sub' === op && 'bool' === dtype )
+    throw new Error(`${name}(A,B): Subtraction of booleans is not supported.`);
+  const out_dtype = COMPARISONS.has(op) ? 'bool' : dtype;
+
+  if( 'pow' === op && /int/.test(dtype) && B._flat_data().some(y => y < 0) )
+    throw new Error(`${name}(A,B): Integers to negative integer powers are not allowed.`);
+
+  let kernel;
+  switch( _storage(dtype) ) {
+    case   'bool': kernel =    BOOL_KERNELS[op]; break;
+    case 'bigint': kernel =  BIGINT_KERNELS[op]; break;
+    case'complex': kernel = COMPLEX_KERNELS[op]; break;
+    case 'object': kernel =  OBJECT_KERNELS[op]; break;
+    default: kernel = dtype.startsWith('float') ? REAL_KERNELS[op] : INT32_KERNELS[op]; break;
+  }
+
+  const [A_dat, A_off, A_strides] = _operand(shape, A, dtype),
+        [B_dat, B_off, B_strides] = _operand(shape, B, dtype);
+
+  if( null != out )
+  {
+    if( shape.length !== out.ndim || shape.some( (s,i) => s !== out.shape[i] ) )
+      throw new Error(`${name}(A,B): Shape [${B.shape}] of B cannot be broadcast to shape [${out.shape}] of A.`);
+    if( ! _same_kind(out_dtype, out.dtype) )
+      throw new Error(`${name}(A,B): Cannot cast result of dtype '${out_dtype}' to A.dtype='${out.dtype}'.`);
+
+    // VIEWS AND CASTS TO A DIFFERENT STORAGE ARE WRITTEN VIA A TEMPORARY RESULT
+    const storage = _storage(out.dtype);
+    if( ! out._is_flat() || [A,B].some( X => X !== out && _shares_data(X,out) )
+        || storage !== _storage(out_dtype) || 'bool' === storage )
+      out.setElems( _elementwise(name, op, A, B) );
+    else
+      _zip(shape, A_strides, B_strides, kernel, A_dat,A_off, B_dat,B_off, 'complex' === storage ? out._data._array : out._data);
+
+    return out;
+  }
+
+  const len = shape.reduce((m,n) => m*n, 1);
+  switch( _storage(out_dtype) )
+  {
+    case 'complex': {
+      const C_dat = new ('complex64' === out_dtype ? Float32Array : Float64Array)(2*len);
+      _zip(shape, A_strides, B_strides, kernel, A_dat,A_off, B_dat,B_off, C_dat);
+      return new NDArray(shape, new ARRAY_TYPES[out_dtype](C_dat.buffer, 0, len));
+    }
+    case 'bool': {
+      const C_dat = new Uint8Array(len);
+      _zip(shape, A_strides, B_strides, kernel, A_dat,A_off, B_dat,B_off, C_dat);
+      return new NDArray(shape, ARRAY_TYPES.bool.from(C_dat));
+    }
+  }
+  const C_dat = new ARRAY_TYPES[out_dtype](len);
+  _zip(shape, A_strides, B_strides, kernel, A_dat,A_off, B_dat,B_off, C_dat);
+  return new NDArray(shape, C_dat);
+}
+
+
+function _elementwise_inplace( name, op, A, B )
+{
+  if( ! (A instanceof NDArray) )
+    throw new Error(`${name}(A,B): A must be an NDArray.`);
+  return _elementwise(name, op, A, B, A);
+}
+
+
+export function add( A, B ) { return _elementwise('add', 'add', asarray(A), B); }
+export function sub( A, B ) { return _elementwise('sub', 'sub', asarray(A), B); }
+export function mul( A, B ) { return _elementwise('mul', 'mul', asarray(A), B); }
+export function div( A, B ) { return _elementwise('div', 'div', asarray(A), B); }
+export function pow( A, B ) { return _elementwise('pow', 'pow', asarray(A), B); }
+
+export function maximum( A, B ) { return _elementwise('maximum', 'maximum', asarray(A), B); }
+export function minimum( A, B ) { return _elementwise('minimum', 'minimum', asarray(A), B); }
+
+export function equal        ( A, B ) { return _elementwise('equal',         'equal',         asarray(A), B); }
+export function not_equal    ( A, B ) { return _elementwise('not_equal',     'not_equal',     asarray(A), B); }
+export function less         ( A, B ) { return _elementwise('less',          'less',          asarray(A), B); }
+export function less_equal   ( A, B ) { return _elementwise('less_equal',    'less_equal',    asarray(A), B); }
+export function greater      ( A, B ) { return _elementwise('greater',       'greater',       asarray(A), B); }
+export function greater_equal( A, B ) { return _elementwise('greater_equal', 'greater_equal', asarray(A), B); }
+
+
+export function iadd( A, B ) { return _elementwise_inplace('iadd', 'add', A, B); }
+export function isub( A, B ) { return _elementwise_inplace('isub', 'sub', A, B); }
+export function imul( A, B ) { return _elementwise_inplace('imul', 'mul', A, B); }
+export function idiv( A, B ) { return _elementwise_inplace('idiv', 'div', A, B); }
+export function ipow( A, B ) { return _elementwise_inplace('ipow', 'pow', A, B); }
+
+export function imaximum( A, B ) { return _elementwise_inplace('imaximum', 'maximum', A, B); }
+export function iminimum( A, B ) { return _elementwise_inplace('iminimum', 'minimum', A, B); }
+
+export function iequal        ( A, B ) { return _elementwise_inplace('iequal',         'equal',         A, B); }
+export function inot_equal    ( A, B ) { return _elementwise_inplace('inot_equal',     'not_equal',     A, B); }
+export function iless         ( A, B ) { return _elementwise_inplace('iless',          'less',          A, B); }
+export function iless_equal   ( A, B ) { return _elementwise_inplace('iless_equal',    'less_equal',    A, B); }
+export function igreater      ( A, B ) { return _elementwise_inplace('igreater',       'greater',       A, B); }
+export function igreater_equal( A, B ) { return _elementwise_inplace('igreater_equal', 'greater_equal', A, B); }
@@ -0,0 +1,350 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {ARRAY_TYPES, cast_scalar, Complex, super_dtype} from './dt'
+import {forEachItemIn, CUSTOM_MATCHERS} from './jasmine_utils'
+import {math} from './math'
+import {array, broadcast_to, NDArray} from './nd_array'
+import {zip_elems} from './zip_elems'
+
+import * as elementwise from './elementwise'
+
+
+describe('elementwise', () => {
+  beforeEach( () => {
+    jasmine.addMatchers(CUSTOM_MATCHERS)
+  })
+
+
+  const DTYPES = ['int32', 'float32', 'float64', 'complex128', 'object'],
+        RANK = { bool: -1, int32: 0, float32: 1, float64: 2, complex128: 3, object: 4 };
+
+  const ipow = (x,y) => {
+    let result = 1;
+    for( ; y > 0; y-- ) result = Math.imul(result,x);
+    return result;
+  };
+
+  const cpow = (x,y) => {
+    x = new Complex(x);
+    y = new Complex(y);
+    if( 0 === x.re && 0 === x.im ) return new Complex(0);
+    const log = new Complex( Math.log(x.abs()), x.arg() );
+    return y.mul(log).exp();
+  };
+
+  const cless    = (x,y) => { x = new Complex(x); y = new Complex(y); return x.re < y.re || x.re === y.re && x.im <  y.im },
+        cless_eq = (x,y) => { x = new Complex(x); y = new Complex(y); return x.re < y.re || x.re === y.re && x.im <= y.im };
+
+  // [op, is_comparison, reference(dtype) => (x,y) => z]
+  const OPS = [
+    ['add',     false, dtype => math.add ],
+    ['sub',     false, dtype => math.sub ],
+    ['mul',     false, dtype => 'int32' === dtype ? Math.imul : math.mul ],
+    ['div',     false, dtype => math.div ],
+    ['pow',     false, dtype => 'int32' === dtype ? ipow : 'complex128' === dtype ? cpow : (x,y) => x**y ],
+    ['maximum', false, dtype => 'complex128' === dtype ? (x,y) => cless(x,y) ? y : x : Math.max ],
+    ['minimum', false, dtype => 'complex128' === dtype ? (x,y) => cless(y,x) ? y : x : Math.min ],
+    ['equal',        true, dtype => (x,y) =>   math.is_equal(x,y) ],
+    ['not_equal',    true, dtype => (x,y) => ! math.is_equal(x,y) ],
+    ['less',         true, dtype => 'complex128' === dtype ? (x,y) => cless   (x,y) : (x,y) => x <  y ],
+    ['less_equal',   true, dtype => 'complex128' === dtype ? (x,y) => cless_eq(x,y) : (x,y) => x <= y ],
+    ['greater',      true, dtype => 'complex128' === dtype ? (x,y) => cless   (y,x) : (x,y) => x >  y ],
+    ['greater_equal',true, dtype => 'complex128' === dtype ? (x,y) => cless_eq(y,x) : (x,y) => x >= y ]
+  ];
+
+  function rand_array( rng, dtype, shape, positive )
+  {
+    const sample = () => {
+      // small integers (without zero) are used so that there are ties and no division by zero
+      const x = rng.int(1,6) * (positive || rng.bool() ? 1 : -1);
+      switch( dtype ) {
+        case      'int32': return x;
+        case    'float32': return x/4;
+        case 'complex128': return new Complex(x/4, rng.int(-2,3) / 2);
+        default          : return x/4 + (rng.bool() ? 0 : rng.uniform(0,0.25));
+      }
+    };
+    const len = shape.reduce((m,n) => m*n, 1);
+    return new NDArray( Int32Array.from(shape), ARRAY_TYPES[dtype].from({length: len}, sample) );
+  }
+
+
+  function* shape_pairs( rng )
+  {
+    for( let run=0; run < 4; run++ )
+    {
+      const ndim = rng.int(0,5),
+           shape = Array.from({length: ndim}, () => rng.int(1,5)),
+               A = shape.slice(rng.int(0,ndim+1)),
+               B = shape.slice(rng.int(0,ndim+1));
+      for( let i=0; i < A.length; i++ ) if( rng.bool() ) A[i] = 1;
+      for( let i=0; i < B.length; i++ ) if( rng.bool() ) B[i] = 1;
+      yield [A,B];
+    }
+  }
+
+
+  for( const [op, is_comparison, ref] of OPS )
+  for( const A_dtype of DTYPES )
+  for( const B_dtype of DTYPES )
+  {
+    let dtype = [A_dtype, B_dtype].reduce( (x,y) => RANK[x] > RANK[y] ? x : y );
+    if( 'div' === op && 'int32' === dtype ) dtype = 'float64';
+    const out_dtype = is_comparison ? 'bool' : dtype;
+
+    forEachItemIn(
+      function*(rng){
+        for( const [A_shape, B_shape] of shape_pairs(rng) )
+        {
+          const positive = 'pow' === op && 'complex128' !== dtype,
+                        A = rand_array(rng, A_dtype, A_shape, positive),
+                        B = rand_array(rng, B_dtype, B_shape, positive);
+          if( 'object' !== dtype ) Object.freeze(A.data.buffer);
+          if( 'object' !== dtype ) Object.freeze(B.data.buffer);
+          yield [A,B];
+        }
+      }
+    ).it(`${op} works given random broadcast examples of dtypes (${A_dtype}, ${B_dtype})`, ([A,B]) => {
+      const fn = ref( [A_dtype,B_dtype].includes('complex128') ? 'complex128' : dtype ),
+           ref_C = zip_elems([A,B], 'object' === out_dtype ? 'object' : out_dtype, (x,y) => fn(x,y)),
+               C = elementwise[op](A,B);
+
+      expect(C.dtype).toBe(out_dtype);
+      expect(C.shape).toEqual(ref_C.shape);
+      expect(C).toBeAllCloseTo(ref_C, {rtol: 1e-12, atol: 0});
+      expect( A[op](B) ).toBeAllCloseTo(ref_C, {rtol: 1e-12, atol: 0});
+    });
+
+    forEachItemIn(
+      function*(rng){
+        for( const [A_shape, B_shape] of shape_pairs(rng) )
+        {
+          const positive = 'pow' === op && 'complex128' !== dtype;
+          yield [
+            rand_array(rng, A_dtype, A_shape, positive),
+            rand_array(rng, B_dtype, B_shape, positive)
+          ];
+        }
+      }
+    ).it(`i${op} works given random broadcast examples of dtypes (${A_dtype}, ${B_dtype})`, ([A,B]) => {
+      const C = elementwise[op](A,B),
+        same_kind = RANK[out_dtype] <= RANK[A_dtype] || out_dtype.startsWith('float') && A_dtype.startsWith('float'),
+        broadcastable = C.ndim === A.ndim && C.shape.every( (s,i) => s === A.shape[i] );
+
+      if( ! same_kind || ! broadcastable ) {
+        expect( () => elementwise['i'+op](A,B) ).toThrow();
+        return;
+      }
+
+      const A_copy = array(A);
+      expect( elementwise['i'+op](A_copy,B) ).toBe(A_copy);
+      expect( A_copy.dtype ).toBe(A_dtype);
+      expect( A_copy ).toBeAllCloseTo( array(A_dtype, C), {rtol: 1e-12, atol: 0} );
+
+      const A_meth = array(A);
+      expect( A_meth['i'+op](B) ).toBe(A_meth);
+      expect( A_meth ).toBeAllCloseTo(A_copy, {rtol: 0, atol: 0});
+    });
+  }
+
+
+  for( const dtype of DTYPES )
+    forEachItemIn(
+      function*(rng){
+        for( let run=0; run < 16; run++ )
+        {
+          const M = rng.int(1,5),
+                N = rng.int(1,5),
+                A = rand_array(rng, dtype, [N,2*M]),
+                B = rand_array(rng, dtype, [  M,N]);
+          yield [A,B];
+        }
+      }
+    ).it(`works given strided views of dtype ${dtype}`, ([A,B]) => {
+      const V = A.sliceElems('...', [,,2]).T,
+            W = B.sliceElems([,,-1]),
+            U = broadcast_to(B.sliceElems('...', 0), [B.shape[1],B.shape[0]]).T,
+            C = elementwise.add(V.copy(), W.copy());
+      expect( elementwise.add(V,W) ).toBeAllCloseTo(C, {rtol: 0, atol: 0});
+      expect( elementwise.sub(V,U) ).toBeAllCloseTo( elementwise.sub(V.copy(), U.copy()), {rtol: 0, atol: 0});
+
+      // IN-PLACE OPERATIONS WRITE THROUGH THE VIEW
+      const A_copy = A.copy();
+      V.iadd(W);
+      expect(V).toBeAllCloseTo(C, {rtol: 0, atol: 0});
+      expect( A.sliceElems('...', [1,,2]) ).toBeAllCloseTo( A_copy.sliceElems('...', [1,,2]), {rtol: 0, atol: 0});
+    });
+
+
+  it('handles in-place operations with overlapping operands', () => {
+    const A = array('float64', [[1,2],
+                                [3,4]]);
+    A.iadd(A.T);
+    expect(A.data).toEqual( Float64Array.of(2,5, 5,8) );
+    const B = array('float64', [1,2,3,4]);
+    B.sliceElems([1,,]).isub( B.sliceElems([,-1,]) );
+    expect(B.data).toEqual( Float64Array.of(1,1,1,1) );
+  });
+
+
+  it('works given scalars and nested arrays', () => {
+    expect( elementwise.add([[1],[2]], [10,20]) ).toBeAllCloseTo([[11,21],[12,22]], {rtol: 0, atol: 0});
+    expect( elementwise.mul(2, [1.5, 2.5]).dtype ).toBe('float64');
+    expect( elementwise.sub(array('float32', [1,2]), 1).dtype ).toBe('float32');
+    expect( elementwise.less([1,2,3], 2).dtype ).toBe('bool');
+    expect( Array.from(elementwise.less([1,2,3], 2).data) ).toEqual([true,false,false]);
+  });
+
+
+  it('propagates NaN in maximum and minimum', () => {
+    const A = array('float64', [NaN,   1, 2]),
+          B = array('float64', [  0, NaN, 3]);
+    expect( elementwise.maximum(A,B).data ).toEqual( Float64Array.of(NaN, NaN, 3) );
+    expect( elementwise.minimum(A,B).data ).toEqual( Float64Array.of(NaN, NaN, 2) );
+  });
+
+
+  it('wraps int32 overflow like NumPy', () => {
+    const A = array('int32', [2**30, 3**19, -(2**31)]);
+    expect( elementwise.mul(A,4).data ).toEqual( Int32Array.of(0, Math.imul(3**19,4), 0) );
+    expect( elementwise.add(A,A).data ).toEqual( Int32Array.of(-(2**31), (2*3**19)|0, 0) );
+    expect( elementwise.pow(3,21).data ).toEqual( Int32Array.of(ipow(3,21)) );
+  });
+
+
+  it('throws given integers to negative integer powers', () => {
+    expect( () => elementwise.pow([1,2,3], [1,-2,3]) ).toThrow();
+    expect( elementwise.pow([1,2,4], [1,-2.0,0.5]).data ).toEqual( Float64Array.of(1, 0.25, 2) );
+  });
+
+
+  it('throws given non-broadcastable shapes', () => {
+    expect( () => elementwise.add([1,2,3], [1,2]) ).toThrow();
+    expect( () => elementwise.iadd(array([1,2,3]), [[1],[2]]) ).toThrow();
+    expect( () => elementwise.iadd([1,2,3], 1) ).toThrow();
+  });
+
+
+  describe('with small integer, 64-bit integer, bool and complex64 dtypes', () => {
+    const DTYPES = ['bool', 'int8', 'int16', 'int32', 'int64', 'uint8', 'uint16', 'uint32', 'uint64', 'float32', 'float64'];
+
+    const rand_array = ( rng, dtype, shape ) => {
+      const len = shape.reduce((m,n) => m*n, 1),
+         sample = () => {
+           const x = rng.int(-300,300);
+           return cast_scalar(dtype.startsWith('float') ? x/4 : x, dtype);
+         };
+      return new NDArray( Int32Array.from(shape), ARRAY_TYPES[dtype].from({length: len}, sample) );
+    };
+
+    const add_ref = dtype => {
+      if( 'bool' === dtype ) return (x,y) => x || y;
+      if( dtype.endsWith('int64') ) return (x,y) => cast_scalar( cast_scalar(x,dtype) + cast_scalar(y,dtype), dtype );
+      return (x,y) => cast_scalar( Number(x) + Number(y), dtype );
+    };
+
+    for( const A_dtype of DTYPES )
+    for( const B_dtype of DTYPES )
+      forEachItemIn(
+        function*(rng){
+          for( const [A_shape, B_shape] of shape_pairs(rng) )
+            yield [
+              rand_array(rng, A_dtype, A_shape),
+              rand_array(rng, B_dtype, B_shape)
+            ];
+        }
+      ).it(`add and less work given random broadcast examples of dtypes (${A_dtype}, ${B_dtype})`, ([A,B]) => {
+        const dtype = super_dtype(A_dtype, B_dtype),
+                  C = elementwise.add(A,B),
+                  L = elementwise.less(A,B),
+              ref_C = zip_elems([A,B], dtype, add_ref(dtype)),
+              ref_L = zip_elems([A,B], 'bool', (x,y) => Number(x) < Number(y));
+
+        expect(C.dtype).toBe(dtype);
+        expect(C.shape).toEqual(ref_C.shape);
+        expect( Array.from(C.data) ).toEqual( Array.from(ref_C.data) );
+        expect(L.dtype).toBe('bool');
+        expect( Array.from(L.data) ).toEqual( Array.from(ref_L.data) );
+      });
+
+
+    it('wraps small integer overflow like NumPy', () => {
+      expect( elementwise.add(array('uint8',  [250, 3]), array('uint8', [10, 1])).data ).toEqual( Uint8Array.of(4, 4) );
+      expect( elementwise.mul(array('int8',   [64, -3]), array('int8',  [ 2, 3])).data ).toEqual( Int8Array.of(-128, -9) );
+      expect( elementwise.sub(array('uint16', [0]), array('uint16', [1])).data ).toEqual( Uint16Array.of(65535) );
+      expect( elementwise.pow(array('uint32', [3]), array('uint32', [21])).data ).toEqual( Uint32Array.of(3**21 % 2**32) );
+      expect( elementwise.add(array('uint8', [1]), array('int8', [-2])).dtype ).toBe('int16');
+    });
+
+
+    it('computes 64-bit integer arithmetic exactly', () => {
+      const A = array('int64', [2n**62n, -3n, 2n**53n+1n]);
+      expect( Array.from( elementwise.add(A, array('int64', [2n**62n, 1, 2])).data ) ).toEqual([-(2n**63n), -2n, 2n**53n+3n]);
+      expect( Array.from( elementwise.mul(A, 2).data ) ).toEqual([-(2n**63n), -6n, 2n**54n+2n]);
+      expect( Array.from( elementwise.pow(array('uint64', [3]), array('uint64', [41])).data ) ).toEqual([3n**41n % 2n**64n]);
+      expect( Array.from( elementwise.maximum(A, 0).data ) ).toEqual([2n**62n, 0n, 2n**53n+1n]);
+      expect( elementwise.div(A, 2).dtype ).toBe('float64');
+      expect( elementwise.add(A, 0.5).dtype ).toBe('float64');
+      expect( elementwise.add(array('uint64', [1]), A).dtype ).toBe('float64');
+      expect( () => elementwise.pow(A, -1) ).toThrow();
+    });
+
+
+    it('treats bool addition as disjunction and multiplication as conjunction', () => {
+      const A = array('bool', [false, false, true, true]),
+            B = array('bool', [false, true, false, true]);
+      expect( elementwise.add(A,B).dtype ).toBe('bool');
+      expect( Array.from( elementwise.add(A,B).data ) ).toEqual([false, true, true, true]);
+      expect( Array.from( elementwise.mul(A,B).data ) ).toEqual([false, false, false, true]);
+      expect( elementwise.pow(A,B).dtype ).toBe('int8');
+      expect( elementwise.div(A,1).dtype ).toBe('float64');
+      expect( elementwise.add(A,1).data ).toEqual( Int32Array.of(1,1,2,2) );
+      expect( () => elementwise.sub(A,B) ).toThrow();
+
+      const C = array(A);
+      C.iadd(B);
+      expect( Array.from(C.data) ).toEqual([false, true, true, true]);
+      expect( () => C.iadd(1) ).toThrow();
+    });
+
+
+    it('computes complex64 operations in single precision storage', () => {
+      const A = array('complex64', [new Complex(1,2), new Complex(0.1,3)]),
+            C = elementwise.mul(A, array('complex64', [new Complex(0,1)]));
+      expect(C.dtype).toBe('complex64');
+      expect(C.data._array).toEqual( Float32Array.of(-2,1, -3,0.1) );
+      expect( elementwise.add(A, array('float64', [1,2])).dtype ).toBe('complex128');
+      expect( elementwise.add(A, array('float32', [1,2])).dtype ).toBe('complex64');
+
+      const B = array(A);
+      B.iadd( array('complex128', [1,1]) );
+      expect(B.dtype).toBe('complex64');
+      expect(B.data._array).toEqual( Float32Array.of(2,2, 1.1,3) );
+    });
+
+
+    it('follows NumPy\'s same_kind rule for in-place operations', () => {
+      expect( () => array('uint8', [1]).iadd( array('int16', [1]) ) ).toThrow();
+      expect( () => array('int64', [1]).iadd( array('float32', [1]) ) ).toThrow();
+      expect( array('int16', [1,2]).iadd( array('uint8', [255,1]) ).data ).toEqual( Int16Array.of(256,3) );
+      expect( array('int8',  [1,2]).iadd( array('int32', [127,1]) ).data ).toEqual( Int8Array.of(-128,3) );
+      expect( Array.from( array('int64', [1,2]).imul( array('uint32', [2**32-1,1]) ).data ) ).toEqual([2n**32n-1n, 2n]);
+    });
+  });
+})
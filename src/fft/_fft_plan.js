@@ -0,0 +1,249 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+// Prime factors above this limit are handled by Bluestein's algorithm
+// instead of a plain O(n*p) DFT of length p.
+const MAX_RADIX = 31;
+
+
+function _factorize( n )
+{
+  const factors = [];
+  while( n % 4 === 0 ) { factors.push(4); n /= 4; }
+  while( n % 2 === 0 ) { factors.push(2); n /= 2; }
+  for( let p=3; p*p <= n; p += 2 )
+    while( n % p === 0 ) { factors.push(p); n /= p; }
+  if( n > 1 ) factors.push(n);
+  return factors;
+}
+
+
+/** Returns the twiddle factors exp(-2πi*k/n) for k in [0,n) in interleaved storage.
+ */
+function _twiddles( n )
+{
+  const W = new Float64Array(2*n);
+  for( let k=0; k < n; k++ ) {
+    const φ = 2*Math.PI * k/n;
+    W[2*k  ] = Math.cos(φ);
+    W[2*k+1] =-Math.sin(φ);
+  }
+  return W;
+}
+
+
+/** A precomputed plan for the (unnormalized) forward discrete Fourier transform of length n,
+ *  i.e. X[k] = Σ_j x[j]·exp(-2πi·j·k/n). Mixed-radix Cooley-Tukey is used for lengths with
+ *  small prime factors and Bluestein's algorithm otherwise. Complex numbers are stored
+ *  interleaved, i.e. the real and imaginary part of entry i at 2*i and 2*i+1.
+ */
+export class FFTPlan
+{
+  constructor( n )
+  {
+    if( n % 1 !== 0 || n < 1 )
+      throw new Error(`FFTPlan(n): n must be a positive integer.`);
+    this.n = n;
+    this.factors = _factorize(n);
+
+    if( this.factors[this.factors.length-1] > MAX_RADIX )
+    { // BLUESTEIN: X[k] = w[k]·Σ_j (x[j]·w[j])·conj(w[k-j]) with w[k] = exp(-πi·k²/n)
+      let m = 1;
+      while( m < 2*n-1 ) m *= 2;
+      const w = new Float64Array(2*n),
+            B = new Float64Array(2*m);
+      for( let k=0; k < n; k++ ) {
+        const φ = Math.PI * (k*k % (2*n)) / n; // <- k² mod 2n avoids a loss of precision for large k
+        w[2*k  ] = Math.cos(φ);
+        w[2*k+1] =-Math.sin(φ);
+      }
+      B[0] = w[0];
+      B[1] =-w[1];
+      for( let k=1; k < n; k++ ) {
+        B[2*k  ] = B[2*(m-k)  ] = w[2*k  ];
+        B[2*k+1] = B[2*(m-k)+1] =-w[2*k+1];
+      }
+      this._conv = _plan(m);
+      this._conv.transform(B);
+      this._chirp = w;
+      this._B = B;
+      this._tmp = new Float64Array(2*m);
+    }
+    else {
+      this._W = _twiddles(n);
+      this._tmp = new Float64Array(2*n);
+    }
+    Object.freeze(this);
+  }
+
+  /** Overwrites x (interleaved complex storage, starting at offset) with its forward transform.
+   */
+  transform( x, offset=0 )
+  {
+    if( null != this._chirp )
+      this._bluestein(x, offset);
+    else {
+      const tmp = this._tmp;
+      this._cooley_tukey(this.n, 1, x, offset, tmp, 0, 0);
+      for( let i=2*this.n; i-- > 0; )
+        x[offset+i] = tmp[i];
+    }
+  }
+
+  /** Overwrites x with its (unnormalized) backward transform, i.e. Σ_k X[k]·exp(+2πi·j·k/n).
+   */
+  transform_inverse( x, offset=0 )
+  {
+    const n = this.n;
+    for( let i=1; i < 2*n; i += 2 ) x[offset+i] *= -1;
+    this.transform(x, offset);
+    for( let i=1; i < 2*n; i += 2 ) x[offset+i] *= -1;
+  }
+
+  /** Recursive mixed-radix decimation in time. Writes the transform of the n entries
+   *  x[x0 + stride*j] to y[y0 + j].
+   */
+  _cooley_tukey( n, stride, x, x0, y, y0, depth )
+  {
+    if( 1 === n ) {
+      y[2*y0  ] = x[x0  ];
+      y[2*y0+1] = x[x0+1];
+      return;
+    }
+    const p = this.factors[depth],
+          m = n / p,
+          W = this._W,
+          N = this.n;
+
+    // TRANSFORM THE p INTERLEAVED SUBSEQUENCES
+    for( let q=0; q < p; q++ )
+      this._cooley_tukey(m, stride*p, x, x0 + 2*q*stride, y, y0 + q*m, depth+1);
+
+    // COMBINE (BUTTERFLIES)
+    switch(p)
+    {
+      case 2:
+        for( let k=0; k < m; k++ )
+        {
+          const i = 2*(y0+k),
+                j = 2*(y0+k+m),
+               tw = 2*k*stride,
+             a_re = y[i], a_im = y[i+1],
+             b_re = y[j]*W[tw] - y[j+1]*W[tw+1],
+             b_im = y[j]*W[tw+1] + y[j+1]*W[tw];
+          y[i  ] = a_re + b_re; y[i+1] = a_im + b_im;
+          y[j  ] = a_re - b_re; y[j+1] = a_im - b_im;
+        }
+        break;
+
+      case 4:
+        for( let k=0; k < m; k++ )
+        {
+          const i0 = 2*(y0+k), i1 = i0 + 2*m, i2 = i1 + 2*m, i3 = i2 + 2*m,
+                t1 = 2*k*stride, t2 = 2*(2*k*stride % N), t3 = 2*(3*k*stride % N),
+              a_re = y[i0], a_im = y[i0+1],
+              b_re = y[i1]*W[t1] - y[i1+1]*W[t1+1], b_im = y[i1]*W[t1+1] + y[i1+1]*W[t1],
+              c_re = y[i2]*W[t2] - y[i2+1]*W[t2+1], c_im = y[i2]*W[t2+1] + y[i2+1]*W[t2],
+              d_re = y[i3]*W[t3] - y[i3+1]*W[t3+1], d_im = y[i3]*W[t3+1] + y[i3+1]*W[t3],
+             s0_re = a_re + c_re, s0_im = a_im + c_im,
+             s1_re = a_re - c_re, s1_im = a_im - c_im,
+             s2_re = b_re + d_re, s2_im = b_im + d_im,
+             s3_re = b_re - d_re, s3_im = b_im - d_im;
+          y[i0] = s0_re + s2_re; y[i0+1] = s0_im + s2_im;
+          y[i2] = s0_re - s2_re; y[i2+1] = s0_im - s2_im;
+          // -i·s3
+          y[i1] = s1_re + s3_im; y[i1+1] = s1_im - s3_re;
+          y[i3] = s1_re - s3_im; y[i3+1] = s1_im + s3_re;
+        }
+        break;
+
+      default:
+      { // GENERIC RADIX p
+        const t = new Float64Array(2*p);
+        for( let k=0; k < m; k++ )
+        {
+          for( let q=0; q < p; q++ ) {
+            const i = 2*(y0 + q*m + k),
+                 tw = 2*(q*k*stride % N);
+            t[2*q  ] = y[i]*W[tw  ] - y[i+1]*W[tw+1];
+            t[2*q+1] = y[i]*W[tw+1] + y[i+1]*W[tw  ];
+          }
+          for( let r=0; r < p; r++ )
+          {
+            let re = 0, im = 0;
+            for( let q=0; q < p; q++ ) {
+              const tw = 2*(q*r % p * m*stride);
+              re += t[2*q]*W[tw  ] - t[2*q+1]*W[tw+1];
+              im += t[2*q]*W[tw+1] + t[2*q+1]*W[tw  ];
+            }
+            const i = 2*(y0 + r*m + k);
+            y[i  ] = re;
+            y[i+1] = im;
+          }
+        }
+      }
+    }
+  }
+
+  _bluestein( x, offset )
+  {
+    const n = this.n,
+          w = this._chirp,
+          B = this._B,
+          A = this._tmp,
+          m = A.length/2;
+
+    A.fill(0.0);
+    for( let k=0; k < n; k++ ) {
+      const x_re = x[offset+2*k], x_im = x[offset+2*k+1];
+      A[2*k  ] = x_re*w[2*k] - x_im*w[2*k+1];
+      A[2*k+1] = x_re*w[2*k+1] + x_im*w[2*k];
+    }
+
+    // CIRCULAR CONVOLUTION VIA THE CONVOLUTION THEOREM
+    this._conv.transform(A);
+    for( let k=0; k < m; k++ ) {
+      const a_re = A[2*k], a_im = A[2*k+1];
+      A[2*k  ] = a_re*B[2*k] - a_im*B[2*k+1];
+      A[2*k+1] = a_re*B[2*k+1] + a_im*B[2*k];
+    }
+    this._conv.transform_inverse(A);
+
+    for( let k=0; k < n; k++ ) {
+      const a_re = A[2*k] / m, a_im = A[2*k+1] / m;
+      x[offset+2*k  ] = a_re*w[2*k] - a_im*w[2*k+1];
+      x[offset+2*k+1] = a_re*w[2*k+1] + a_im*w[2*k];
+    }
+  }
+}
+
+
+const PLANS = new Map();
+
+/** Returns a (cached) FFTPlan for length n.
+ */
+export function _plan( n )
+{
+  let plan = PLANS.get(n);
+  if( null == plan ) {
+    if( PLANS.size >= 32 ) PLANS.clear();
+    plan = new FFTPlan(n);
+    PLANS.set(n, plan);
+  }
+  return plan;
+}
@@ -0,0 +1,105 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {forEachItemIn, CUSTOM_MATCHERS} from '../jasmine_utils'
+
+import {_plan, FFTPlan} from './_fft_plan'
+
+
+/** Naive O(n²) reference implementation of the unnormalized DFT on interleaved data.
+ */
+function _dft( x, inverse=false )
+{
+  const n = x.length/2,
+        X = new Float64Array(2*n),
+     sign = inverse ? +1 : -1;
+  for( let k=0; k < n; k++ )
+  for( let j=0; j < n; j++ ) {
+    const φ = sign * 2*Math.PI * (j*k % n) / n,
+        cos = Math.cos(φ),
+        sin = Math.sin(φ);
+    X[2*k  ] += x[2*j]*cos - x[2*j+1]*sin;
+    X[2*k+1] += x[2*j]*sin + x[2*j+1]*cos;
+  }
+  return X;
+}
+
+
+describe('FFTPlan', () => {
+  beforeEach( () => {
+    jasmine.addMatchers(CUSTOM_MATCHERS)
+  })
+
+
+  it('caches plans', () => {
+    for( const n of [1,7,64,257] ) {
+      const plan = _plan(n);
+      expect(plan).toEqual( jasmine.any(FFTPlan) );
+      expect(plan.n).toBe(n);
+      expect( _plan(n) ).toBe(plan);
+    }
+  });
+
+
+  forEachItemIn(
+    function*(rng){
+      for( let n=0; n++ < 64; )
+        yield n;
+      // primes and lengths with large prime factors (Bluestein)
+      for( const n of [37, 41, 61, 67, 97, 101, 127, 2*67, 3*101, 4*37, 257, 509, 1009] )
+        yield n;
+
+      for( let run=0; run++ < 64; )
+        yield rng.int(65,1025);
+    }
+  ).it('transform matches naive DFT', n => {
+    const x = Float64Array.from({length: 2*n}, () => Math.random()*2-1),
+          X = x.slice();
+    _plan(n).transform(X);
+    expect(X).toBeAllCloseTo(_dft(x), {rtol: 0, atol: 1e-12*Math.sqrt(n)});
+  });
+
+
+  forEachItemIn(
+    function*(rng){
+      for( let run=0; run++ < 256; )
+        yield rng.int(1,1025);
+    }
+  ).it('transform_inverse matches naive inverse DFT', n => {
+    const x = Float64Array.from({length: 2*n}, () => Math.random()*2-1),
+          X = x.slice();
+    _plan(n).transform_inverse(X);
+    expect(X).toBeAllCloseTo(_dft(x,true), {rtol: 0, atol: 1e-12*Math.sqrt(n)});
+  });
+
+
+  forEachItemIn(
+    function*(rng){
+      for( let run=0; run++ < 256; )
+        yield [rng.int(1,4096), rng.int(0,8)];
+    }
+  ).it('transform_inverse(transform(x)) / n == x with offset', ([n,off]) => {
+    const x = Float64Array.from({length: 2*n+off}, () => Math.random()*2-1),
+          y = x.slice(),
+       plan = _plan(n);
+    plan.transform        (y, off);
+    plan.transform_inverse(y, off);
+    for( let i=off; i < y.length; i++ ) y[i] /= n;
+    expect(y).toBeAllCloseTo(x, {rtol: 0, atol: 1e-14});
+  });
+});
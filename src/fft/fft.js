@@ -0,0 +1,177 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {ARRAY_TYPES} from '../dt'
+import {asarray, NDArray} from '../nd_array'
+import {_plan} from './_fft_plan'
+
+
+/** Returns the factor by which a transform of length n is scaled for the given normalization mode.
+ */
+export function _norm_factor( name, norm, n, inverse )
+{
+  switch(norm)
+  {
+    case 'backward': return inverse ? 1/n : 1;
+    case 'ortho'   : return 1/Math.sqrt(n);
+    case 'forward' : return inverse ? 1 : 1/n;
+  }
+  throw new Error(`${name}(A,opt): Invalid norm '${norm}'. Must be one of {'backward', 'ortho', 'forward'}.`);
+}
+
+
+export function _axis( name, ndim, axis )
+{
+  if( axis % 1 !== 0 ) throw new Error(`${name}(A,opt): Invalid axis ${axis}.`);
+  if( axis < 0 ) axis += ndim;
+  if( axis < 0 || axis >= ndim ) throw new Error(`${name}(A,opt): Axis ${axis} out of bounds for A.ndim=${ndim}.`);
+  return axis;
+}
+
+
+export function _length( name, n )
+{
+  if( n % 1 !== 0 || n < 1 ) throw new Error(`${name}(A,opt): Invalid transform length ${n}.`);
+  return n;
+}
+
+
+/** Returns the (normalized) axes and transform lengths for the n-dimensional transforms
+ *  following NumPy's rules: If only s is given, the last s.length axes are transformed.
+ */
+export function _axes_and_lengths( name, shape, s, axes )
+{
+  const ndim = shape.length;
+  if( null == axes ) {
+    const k = null == s ? ndim : s.length;
+    if( k > ndim ) throw new Error(`${name}(A,opt): s.length must not exceed A.ndim.`);
+    axes = Array.from({length: k}, (_,i) => ndim-k+i);
+  }
+  else
+    axes = Array.from(axes, ax => _axis(name, ndim, ax));
+
+  if( null == s )
+    s = axes.map( ax => shape[ax] );
+  else {
+    s = Array.from(s, n => _length(name, n));
+    if( s.length !== axes.length ) throw new Error(`${name}(A,opt): s and axes must have the same length.`);
+  }
+  return [axes, s];
+}
+
+
+/** The result dtype of a complex transform. Like in NumPy, single precision is preserved.
+ */
+export function _complex_dtype( dtype )
+{
+  return 'float32' === dtype || 'complex64' === dtype ? 'complex64' : 'complex128';
+}
+
+
+/** Wraps the interleaved complex data of a transform as NDArray of the given dtype.
+ */
+export function _wrap_complex( shape, data, dtype )
+{
+  if( 'complex64' === dtype )
+    data = Float32Array.from(data);
+  return new NDArray(shape, new ARRAY_TYPES[dtype](data.buffer, data.byteOffset, data.length/2));
+}
+
+
+/** Returns the interleaved complex128 data of A (in row-major order).
+ */
+export function _complex_data( A )
+{
+  return asarray('complex128', A).data._array;
+}
+
+
+/** Applies the 1D transform of length n along the given axis of the NDArray (shape,data),
+ *  where data is interleaved complex storage. The input is cropped or zero-padded to
+ *  length n along said axis. Returns the shape and data of the result.
+ */
+export function _c2c( name, shape, data, n, axis, norm, inverse )
+{
+  const L = shape[axis],
+    outer = shape.slice(0,axis  ).reduce((m,n) => m*n, 1),
+    inner = shape.slice(  axis+1).reduce((m,n) => m*n, 1),
+    scale = _norm_factor(name, norm, n, inverse),
+     plan = _plan(n),
+     lane = new Float64Array(2*n),
+      len = Math.min(L,n),
+   result = new Float64Array(2*outer*n*inner);
+
+  for( let o=0; o < outer; o++ )
+  for( let i=0; i < inner; i++ )
+  {
+    lane.fill(0.0);
+    for( let j=0; j < len; j++ ) {
+      const k = 2*((o*L+j)*inner+i);
+      lane[2*j  ] = data[k  ];
+      lane[2*j+1] = data[k+1];
+    }
+
+    if( inverse ) plan.transform_inverse(lane);
+    else          plan.transform        (lane);
+
+    for( let j=0; j < n; j++ ) {
+      const k = 2*((o*n+j)*inner+i);
+      result[k  ] = lane[2*j  ] * scale;
+      result[k+1] = lane[2*j+1] * scale;
+    }
+  }
+
+  shape = Int32Array.from(shape);
+  shape[axis] = n;
+  return [shape, result];
+}
+
+
+function _fft_impl( name, A, n, axis, norm, inverse )
+{
+  A = asarray(A);
+  if( A.ndim < 1 ) throw new Error(`${name}(A,opt): A must be at least 1D.`);
+  axis = _axis(name, A.ndim, axis);
+  n = _length(name, null == n ? A.shape[axis] : n);
+
+  const [shape, data] = _c2c(name, A.shape, _complex_data(A), n, axis, norm, inverse);
+  return _wrap_complex(shape, data, _complex_dtype(A.dtype));
+}
+
+
+function _fftn_impl( name, A, s, axes, norm, inverse )
+{
+  A = asarray(A);
+  [axes, s] = _axes_and_lengths(name, A.shape, s, axes);
+
+  let shape = A.shape,
+       data = _complex_data(A);
+  for( let i=0; i < axes.length; i++ )
+    [shape, data] = _c2c(name, shape, data, s[i], axes[i], norm, inverse);
+  return _wrap_complex(shape, data, _complex_dtype(A.dtype));
+}
+
+
+export function  fft( A, {n, axis=-1, norm='backward'}={} ) { return _fft_impl( 'fft', A, n, axis, norm, false); }
+export function ifft( A, {n, axis=-1, norm='backward'}={} ) { return _fft_impl('ifft', A, n, axis, norm, true ); }
+
+export function  fft2( A, {s, axes=[-2,-1], norm='backward'}={} ) { return _fftn_impl( 'fft2', A, s, axes, norm, false); }
+export function ifft2( A, {s, axes=[-2,-1], norm='backward'}={} ) { return _fftn_impl('ifft2', A, s, axes, norm, true ); }
+
+export function  fftn( A, {s, axes, norm='backward'}={} ) { return _fftn_impl( 'fftn', A, s, axes, norm, false); }
+export function ifftn( A, {s, axes, norm='backward'}={} ) { return _fftn_impl('ifftn', A, s, axes, norm, true ); }
@@ -0,0 +1,209 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {Complex} from '../dt/complex'
+import {forEachItemIn, CUSTOM_MATCHERS} from '../jasmine_utils'
+import {array, NDArray} from '../nd_array'
+import {tabulate} from '../tabulate'
+
+import {fft, fft2, fftn,
+       ifft,ifft2,ifftn} from './fft'
+
+
+/** Naive O(n²) reference DFT of A along the given axis (cropped/zero-padded to length n).
+ */
+function dft( A, n, axis, inverse )
+{
+  const L = A.shape[axis],
+    shape = Array.from(A.shape);
+  shape[axis] = n;
+  return tabulate(shape, 'complex128', (...idx) => {
+    const k = idx[axis];
+    let re = 0,
+        im = 0;
+    for( let j=0; j < Math.min(L,n); j++ ) {
+      idx[axis] = j;
+      const x = A(...idx),
+           xr = x instanceof Complex ? x.re : x,
+           xi = x instanceof Complex ? x.im : 0,
+            φ = (inverse ? +2 : -2) * Math.PI * (j*k % n) / n;
+      re += xr*Math.cos(φ) - xi*Math.sin(φ);
+      im += xr*Math.sin(φ) + xi*Math.cos(φ);
+    }
+    return new Complex(re,im);
+  });
+}
+
+
+function scaled( A, s )
+{
+  return new NDArray(A.shape, A.data.map( z => z.mul(s) ));
+}
+
+
+function* shapes( rng )
+{
+  for( let run=0; run++ < 128; )
+    yield Array.from({length: rng.int(1,4)}, () => rng.int(1,12));
+}
+
+
+function random_array( rng, shape )
+{
+  return rng.bool()
+    ? tabulate(shape, 'float64',    () => rng.normal())
+    : tabulate(shape, 'complex128', () => new Complex(rng.normal(), rng.normal()));
+}
+
+
+describe('fft', () => {
+  beforeEach( () => {
+    jasmine.addMatchers(CUSTOM_MATCHERS)
+  })
+
+
+  it('works on known examples', () => {
+    expect( fft([1,0,0,0]).data._array ).toEqual( Float64Array.of(1,0, 1,0, 1,0, 1,0) );
+    expect( fft([1,1,1,1]).data._array ).toEqual( Float64Array.of(4,0, 0,0, 0,0, 0,0) );
+    expect( fft([0,1,0,0]).data._array ).toBeAllCloseTo( Float64Array.of(1,0, 0,-1, -1,0, 0,1) );
+    expect( fft([1,2,3], {n: 2}).data._array ).toEqual( Float64Array.of(3,0, -1,0) );
+    expect( fft([1,2], {n: 4}).data._array ).toBeAllCloseTo( Float64Array.of(3,0, 1,-2, -1,0, 1,2) );
+  });
+
+
+  it('preserves single precision', () => {
+    expect( fft(array('float32',   [1,2,3])).dtype ).toBe('complex64');
+    expect( fft(array('complex64', [1,2,3])).dtype ).toBe('complex64');
+    expect( fft(array('int32',     [1,2,3])).dtype ).toBe('complex128');
+    expect( fft(array('float64',   [1,2,3])).dtype ).toBe('complex128');
+    expect(ifft(array('float32',   [1,2,3])).dtype ).toBe('complex64');
+  });
+
+
+  it('throws on invalid arguments', () => {
+    expect( () => fft(7)                      ).toThrowError(/at least 1D/);
+    expect( () => fft([1,2], {axis: 1})       ).toThrowError(/out of bounds/);
+    expect( () => fft([1,2], {axis:-2})       ).toThrowError(/out of bounds/);
+    expect( () => fft([1,2], {n: 0})          ).toThrowError(/length/);
+    expect( () => fft([1,2], {n: 1.5})        ).toThrowError(/length/);
+    expect( () => fft([1,2], {norm: 'none'})  ).toThrowError(/norm/);
+    expect( () => fftn([1,2], {s: [1,2]})     ).toThrowError(/s\.length/);
+    expect( () => fftn([[1,2]], {s: [1,2], axes: [0]}) ).toThrowError(/same length/);
+  });
+
+
+  forEachItemIn(
+    function*(rng){
+      for( const shape of shapes(rng) )
+      {
+        const axis = rng.int(-shape.length, shape.length),
+                 n = rng.bool() ? undefined : rng.int(1,16),
+              norm = ['backward','ortho','forward'][rng.int(0,3)];
+        yield [random_array(rng,shape), n, axis, norm];
+      }
+    }
+  ).it('fft matches naive DFT', ([A, n, axis, norm]) => {
+    const ax = axis < 0 ? axis + A.ndim : axis,
+         len = null == n ? A.shape[ax] : n,
+           s = {backward: 1, ortho: 1/Math.sqrt(len), forward: 1/len}[norm];
+    const F = fft(A, {n, axis, norm});
+    expect(F.dtype).toBe('complex128');
+    expect(F.shape).toEqual( dft(A,len,ax,false).shape );
+    expect(F.data._array).toBeAllCloseTo( scaled(dft(A,len,ax,false), s).data._array, {rtol: 0, atol: 1e-12} );
+  });
+
+
+  forEachItemIn(
+    function*(rng){
+      for( const shape of shapes(rng) )
+      {
+        const axis = rng.int(-shape.length, shape.length),
+                 n = rng.bool() ? undefined : rng.int(1,16),
+              norm = ['backward','ortho','forward'][rng.int(0,3)];
+        yield [random_array(rng,shape), n, axis, norm];
+      }
+    }
+  ).it('ifft matches naive inverse DFT', ([A, n, axis, norm]) => {
+    const ax = axis < 0 ? axis + A.ndim : axis,
+         len = null == n ? A.shape[ax] : n,
+           s = {backward: 1/len, ortho: 1/Math.sqrt(len), forward: 1}[norm];
+    const F = ifft(A, {n, axis, norm});
+    expect(F.data._array).toBeAllCloseTo( scaled(dft(A,len,ax,true), s).data._array, {rtol: 0, atol: 1e-12} );
+  });
+
+
+  forEachItemIn(
+    function*(rng){
+      for( const shape of shapes(rng) )
+        yield [random_array(rng,shape), ['backward','ortho','forward'][rng.int(0,3)]];
+    }
+  ).it('ifft(fft(A)) == A', ([A, norm]) => {
+    const B = ifft( fft(A, {norm}), {norm} );
+    expect(B.data._array).toBeAllCloseTo( array('complex128', A).data._array, {rtol: 0, atol: 1e-12} );
+  });
+
+
+  forEachItemIn(
+    function*(rng){
+      for( const shape of shapes(rng) )
+      {
+        const axes = shape.map((_,i) => i).filter( () => rng.bool() ),
+                 s = rng.bool() ? undefined : axes.map( () => rng.int(1,12) );
+        yield [random_array(rng,shape), s, axes];
+      }
+    }
+  ).it('fftn and ifftn match successive 1D transforms', ([A, s, axes]) => {
+    let F = A,
+        G = A;
+    for( let i=0; i < axes.length; i++ ) {
+      const n = null == s ? undefined : s[i];
+      F =  fft(F, {n, axis: axes[i]});
+      G = ifft(G, {n, axis: axes[i]});
+    }
+    const Fn =  fftn(A, {s, axes}),
+          Gn = ifftn(A, {s, axes});
+    expect(Fn.shape).toEqual(F.shape);
+    expect(Gn.shape).toEqual(G.shape);
+    expect(Fn.data._array).toBeAllCloseTo( array('complex128',F).data._array, {rtol: 0, atol: 1e-12} );
+    expect(Gn.data._array).toBeAllCloseTo( array('complex128',G).data._array, {rtol: 0, atol: 1e-12} );
+  });
+
+
+  forEachItemIn(
+    function*(rng){
+      for( let run=0; run++ < 64; )
+      {
+        const shape = Array.from({length: rng.int(2,4)}, () => rng.int(1,12));
+        yield random_array(rng,shape);
+      }
+    }
+  ).it('fft2 and ifft2 transform the last two axes', A => {
+    const F = fft2(A),
+          G = fftn(A, {axes: [-2,-1]});
+    expect(F.data._array).toBeAllCloseTo(G.data._array, {rtol: 0, atol: 1e-12});
+    expect(ifft2(F).data._array).toBeAllCloseTo( array('complex128',A).data._array, {rtol: 0, atol: 1e-12} );
+  });
+
+
+  it('fftn transforms all axes by default and the last s.length axes if only s is given', () => {
+    const A = tabulate([2,3,4], 'float64', (i,j,k) => i*12 + j*4 + k*k);
+    expect( fftn(A).data._array ).toBeAllCloseTo( fft(fft(fft(A,{axis:0}),{axis:1}),{axis:2}).data._array );
+    expect( fftn(A, {s: [2,6]}).shape ).toEqual( Int32Array.of(2,2,6) );
+    expect( fftn(A, {s: [2,6]}).data._array ).toBeAllCloseTo( fft(fft(A,{axis:1, n:2}),{axis:2, n:6}).data._array );
+  });
+});
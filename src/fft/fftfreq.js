@@ -0,0 +1,112 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {asarray, NDArray} from '../nd_array'
+import {_axis} from './fft'
+
+
+/** Returns the sample frequencies [0, 1, ..., (n-1)/2, -n/2, ..., -1] / (d*n) of a
+ *  discrete Fourier transform of length n with sample spacing d.
+ */
+export function fftfreq( n, d=1 )
+{
+  if( n % 1 !== 0 || n < 1 ) throw new Error(`fftfreq(n,d): Invalid n=${n}.`);
+  if( ! (d > 0) && ! (d < 0) ) throw new Error(`fftfreq(n,d): Invalid d=${d}.`);
+
+  const f = new Float64Array(n),
+      mid = (n+1) >>> 1;
+  for( let i=0; i < n; i++ )
+    f[i] = (i < mid ? i : i-n) / (d*n);
+  return new NDArray(Int32Array.of(n), f);
+}
+
+
+/** Returns the sample frequencies [0, 1, ..., n/2] / (d*n) of the real transform
+ *  of length n with sample spacing d.
+ */
+export function rfftfreq( n, d=1 )
+{
+  if( n % 1 !== 0 || n < 1 ) throw new Error(`rfftfreq(n,d): Invalid n=${n}.`);
+  if( ! (d > 0) && ! (d < 0) ) throw new Error(`rfftfreq(n,d): Invalid d=${d}.`);
+
+  const m = (n >>> 1) + 1,
+        f = new Float64Array(m);
+  for( let i=0; i < m; i++ )
+    f[i] = i / (d*n);
+  return new NDArray(Int32Array.of(m), f);
+}
+
+
+function _roll( name, A, axes, shift )
+{
+  A = asarray(A);
+  if( null == axes )
+    axes = Array.from({length: A.ndim}, (_,i) => i);
+  else if( axes % 1 === 0 )
+    axes = [axes];
+  axes = Array.from(axes, ax => _axis(name, A.ndim, ax));
+
+  const shape = A.shape,
+       shifts = new Int32Array(A.ndim);
+  for( const ax of axes )
+    shifts[ax] += shift(shape[ax]);
+
+  const   data = A.data,
+       strides = new Int32Array(A.ndim),
+        result = new data.constructor(data.length),
+       complex = A.dtype.startsWith('complex'),
+           src = complex ? data  ._array : data,   // <- complex entries are moved as pairs of floats
+           dst = complex ? result._array : result;
+  for( let stride=1, i=A.ndim; i-- > 0; ) {
+    strides[i] = stride;
+    stride *= shape[i];
+  }
+
+  for( let i=0; i < data.length; i++ )
+  {
+    let j=0;
+    for( let ax=0; ax < A.ndim; ax++ ) {
+      const idx = Math.trunc(i / strides[ax]) % shape[ax];
+      j += (idx + shifts[ax]) % shape[ax] * strides[ax];
+    }
+    if( complex ) {
+      dst[2*j  ] = src[2*i  ];
+      dst[2*j+1] = src[2*i+1];
+    }
+    else
+      dst[j] = src[i];
+  }
+
+  return new NDArray(shape, result);
+}
+
+
+/** Moves the zero frequency to the center of the given axes (default: all axes).
+ */
+export function fftshift( A, axes=null )
+{
+  return _roll('fftshift', A, axes, n => n >>> 1);
+}
+
+
+/** Inverse of fftshift.
+ */
+export function ifftshift( A, axes=null )
+{
+  return _roll('ifftshift', A, axes, n => (n+1) >>> 1);
+}
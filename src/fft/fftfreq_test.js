@@ -0,0 +1,77 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {Complex} from '../dt/complex'
+import {forEachItemIn, CUSTOM_MATCHERS} from '../jasmine_utils'
+import {array} from '../nd_array'
+import {tabulate} from '../tabulate'
+
+import {fftfreq,
+        fftshift,
+       ifftshift,
+       rfftfreq} from './fftfreq'
+
+
+describe('fftfreq', () => {
+  beforeEach( () => {
+    jasmine.addMatchers(CUSTOM_MATCHERS)
+  })
+
+
+  it('works on known examples', () => {
+    expect( fftfreq(1).data ).toEqual( Float64Array.of(0) );
+    expect( fftfreq(4).data ).toEqual( Float64Array.of(0, 0.25, -0.5, -0.25) );
+    expect( fftfreq(5, 0.1).data ).toBeAllCloseTo( Float64Array.of(0, 2, 4, -4, -2) );
+    expect(rfftfreq(4).data ).toEqual( Float64Array.of(0, 0.25, 0.5) );
+    expect(rfftfreq(5, 0.1).data ).toBeAllCloseTo( Float64Array.of(0, 2, 4) );
+    expect( () =>  fftfreq(0)    ).toThrowError(/n=/);
+    expect( () =>  fftfreq(2,0)  ).toThrowError(/d=/);
+    expect( () => rfftfreq(2.5)  ).toThrowError(/n=/);
+  });
+
+
+  it('fftshift and ifftshift work on known examples', () => {
+    expect( fftshift([0,1,2,3,4]) ).toBeAllCloseTo([3,4,0,1,2]);
+    expect( fftshift([0,1,2,3]  ) ).toBeAllCloseTo([2,3,0,1]);
+    expect(ifftshift([3,4,0,1,2]) ).toBeAllCloseTo([0,1,2,3,4]);
+    expect( fftshift(fftfreq(5)).data ).toEqual( Float64Array.of(-0.4, -0.2, 0, 0.2, 0.4) );
+    expect( fftshift([[0,1,2],
+                      [3,4,5]]) ).toBeAllCloseTo([[5,3,4],
+                                                  [2,0,1]]);
+    expect( fftshift([[0,1,2],
+                      [3,4,5]], 1) ).toBeAllCloseTo([[2,0,1],
+                                                     [5,3,4]]);
+    expect( fftshift(array('complex128', [1,2,3])).data._array ).toEqual( Float64Array.of(3,0, 1,0, 2,0) );
+  });
+
+
+  forEachItemIn(
+    function*(rng){
+      for( let run=0; run++ < 256; )
+      {
+        const shape = Array.from({length: rng.int(1,4)}, () => rng.int(1,8)),
+               axes = rng.bool() ? null : shape.map((_,i) => i).filter( () => rng.bool() );
+        yield [tabulate(shape, 'complex128', () => new Complex(rng.normal(), rng.normal())), axes];
+      }
+    }
+  ).it('ifftshift(fftshift(A)) == A', ([A, axes]) => {
+    const B = fftshift(A, axes);
+    expect(B.shape).toEqual(A.shape);
+    expect( ifftshift(B, axes).data._array ).toEqual(A.data._array);
+  });
+});
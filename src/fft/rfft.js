@@ -0,0 +1,298 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {asarray, NDArray} from '../nd_array'
+import {_plan} from './_fft_plan'
+import {_axes_and_lengths,
+        _axis,
+        _c2c,
+        _complex_data,
+        _complex_dtype,
+        _length,
+        _norm_factor,
+        _wrap_complex} from './fft'
+
+
+/** Computes the first n/2+1 entries X[0..n/2] of the transform of the real lane x of even length n
+ *  using a complex transform of length n/2: z[j] = x[2j] + i·x[2j+1] is transformed and the
+ *  transforms of the even and odd entries are recovered from Z via the Hermitian symmetry.
+ */
+function _rfft_even( n, x, X, W )
+{
+  const h = n/2,
+     plan = _plan(h);
+  // X is used as workspace for Z (X has h+1 complex entries)
+  for( let j=0; j < n; j++ ) X[j] = x[j];
+  plan.transform(X);
+  X[2*h  ] = X[0];
+  X[2*h+1] = X[1];
+
+  for( let k=0; k <= h/2; k++ )
+  {
+    const l = h-k,
+      zk_re = X[2*k], zk_im = X[2*k+1],
+      zl_re = X[2*l], zl_im = X[2*l+1];
+    // E[k] = (Z[k] + conj(Z[h-k]))/2, O[k] = (Z[k] - conj(Z[h-k]))/2i, X[k] = E[k] + W[k]·O[k]
+    const ek_re = (zk_re + zl_re)/2, ek_im = (zk_im - zl_im)/2,
+          ok_re = (zk_im + zl_im)/2, ok_im = (zl_re - zk_re)/2,
+          el_re = ek_re, el_im = -ek_im,     // <- E[h-k] = conj(E[k])
+          ol_re = ok_re, ol_im = -ok_im,     // <- O[h-k] = conj(O[k])
+          wk_re = W[2*k], wk_im = W[2*k+1],
+          wl_re = W[2*l], wl_im = W[2*l+1];
+    X[2*k  ] = ek_re + wk_re*ok_re - wk_im*ok_im;
+    X[2*k+1] = ek_im + wk_re*ok_im + wk_im*ok_re;
+    X[2*l  ] = el_re + wl_re*ol_re - wl_im*ol_im;
+    X[2*l+1] = el_im + wl_re*ol_im + wl_im*ol_re;
+  }
+}
+
+
+/** Inverse of _rfft_even (unnormalized, i.e. scaled by n/2). X is overwritten.
+ */
+function _irfft_even( n, X, x, W )
+{
+  const h = n/2,
+     plan = _plan(h);
+  X[1] = X[2*h+1] = 0; // <- the imaginary parts of X[0] and X[n/2] are ignored like in NumPy
+
+  for( let k=0; k <= h/2; k++ )
+  {
+    const l = h-k,
+      xk_re = X[2*k], xk_im = X[2*k+1],
+      xl_re = X[2*l], xl_im = X[2*l+1];
+    // E[k] = (X[k] + conj(X[h-k]))/2, O[k] = (X[k] - conj(X[h-k]))/(2·W[k]), Z[k] = E[k] + i·O[k]
+    const ek_re = (xk_re + xl_re)/2, ek_im = (xk_im - xl_im)/2,
+          dk_re = (xk_re - xl_re)/2, dk_im = (xk_im + xl_im)/2,
+          wk_re = W[2*k], wk_im =-W[2*k+1], // <- 1/W[k] = conj(W[k])
+          ok_re = dk_re*wk_re - dk_im*wk_im,
+          ok_im = dk_re*wk_im + dk_im*wk_re,
+          // E[h-k] = conj(E[k]), O[h-k] = conj(O[k])
+          zl_re = ek_re + ok_im,
+          zl_im =-ek_im + ok_re;
+    X[2*k  ] = ek_re - ok_im;
+    X[2*k+1] = ek_im + ok_re;
+    if( l < h ) {
+      X[2*l  ] = zl_re;
+      X[2*l+1] = zl_im;
+    }
+  }
+
+  plan.transform_inverse(X);
+  for( let j=0; j < n; j++ ) x[j] = X[j];
+}
+
+
+/** Returns exp(-2πi·k/n) for k in [0,n/2] in interleaved storage.
+ */
+function _half_twiddles( n )
+{
+  const W = new Float64Array(n+2);
+  for( let k=0; k <= n/2; k++ ) {
+    const φ = 2*Math.PI * k/n;
+    W[2*k  ] = Math.cos(φ);
+    W[2*k+1] =-Math.sin(φ);
+  }
+  W[n  ] =-1; // <- make W[n/2] == -1 exact
+  W[n+1] = 0;
+  if( n % 4 === 0 ) { // <- make W[n/4] == -i exact
+    W[n/2  ] = 0;
+    W[n/2+1] =-1;
+  }
+  return W;
+}
+
+
+/** Applies the real-to-complex transform of length n along the given axis of the real
+ *  NDArray (shape,data). Returns the shape and interleaved complex data of the result.
+ */
+function _r2c( name, shape, data, n, axis, norm )
+{
+  const L = shape[axis],
+        m = (n >>> 1) + 1,
+    outer = shape.slice(0,axis  ).reduce((a,b) => a*b, 1),
+    inner = shape.slice(  axis+1).reduce((a,b) => a*b, 1),
+    scale = _norm_factor(name, norm, n, false),
+      len = Math.min(L,n),
+     even = n % 2 === 0,
+        W = even ? _half_twiddles(n) : null,
+        x = new Float64Array(even ? n : 0),
+        X = new Float64Array(even ? 2*m : 2*n),
+   result = new Float64Array(2*outer*m*inner);
+
+  for( let o=0; o < outer; o++ )
+  for( let i=0; i < inner; i++ )
+  {
+    if( even ) {
+      x.fill(0.0);
+      for( let j=0; j < len; j++ ) x[j] = data[(o*L+j)*inner+i];
+      _rfft_even(n, x, X, W);
+    }
+    else { // <- odd lengths use a complex transform of the full length
+      X.fill(0.0);
+      for( let j=0; j < len; j++ ) X[2*j] = data[(o*L+j)*inner+i];
+      _plan(n).transform(X);
+    }
+
+    for( let j=0; j < m; j++ ) {
+      const k = 2*((o*m+j)*inner+i);
+      result[k  ] = X[2*j  ] * scale;
+      result[k+1] = X[2*j+1] * scale;
+    }
+  }
+
+  shape = Int32Array.from(shape);
+  shape[axis] = m;
+  return [shape, result];
+}
+
+
+/** Applies the complex-to-real transform of output length n along the given axis of the
+ *  Hermitian NDArray (shape,data). Returns the shape and the real data of the result.
+ */
+function _c2r( name, shape, data, n, axis, norm )
+{
+  const L = shape[axis],
+        m = (n >>> 1) + 1,
+    outer = shape.slice(0,axis  ).reduce((a,b) => a*b, 1),
+    inner = shape.slice(  axis+1).reduce((a,b) => a*b, 1),
+    scale = _norm_factor(name, norm, n, true),
+      len = Math.min(L,m),
+     even = n % 2 === 0,
+        W = even ? _half_twiddles(n) : null,
+        X = new Float64Array(even ? 2*m : 2*n),
+        x = new Float64Array(n),
+   result = new Float64Array(outer*n*inner);
+
+  for( let o=0; o < outer; o++ )
+  for( let i=0; i < inner; i++ )
+  {
+    X.fill(0.0);
+    for( let j=0; j < len; j++ ) {
+      const k = 2*((o*L+j)*inner+i);
+      X[2*j  ] = data[k  ];
+      X[2*j+1] = data[k+1];
+    }
+
+    if( even ) {
+      _irfft_even(n, X, x, W);
+      for( let j=0; j < n; j++ ) x[j] *= 2; // <- the half-length transform is scaled by n/2
+    }
+    else {
+      X[1] = 0;
+      for( let j=1; j < m; j++ ) { // <- Hermitian symmetry
+        X[2*(n-j)  ] = X[2*j  ];
+        X[2*(n-j)+1] =-X[2*j+1];
+      }
+      _plan(n).transform_inverse(X);
+      for( let j=0; j < n; j++ ) x[j] = X[2*j];
+    }
+
+    for( let j=0; j < n; j++ )
+      result[(o*n+j)*inner+i] = x[j] * scale;
+  }
+
+  shape = Int32Array.from(shape);
+  shape[axis] = n;
+  return [shape, result];
+}
+
+
+function _real_data( name, A )
+{
+  if( A.dtype.startsWith('complex') || 'object' === A.dtype )
+    throw new Error(`${name}(A,opt): A must be real.`);
+  return asarray('float64', A).data;
+}
+
+
+function _real_dtype( dtype )
+{
+  return 'complex64' === dtype || 'float32' === dtype ? 'float32' : 'float64';
+}
+
+
+function _wrap_real( shape, data, dtype )
+{
+  return new NDArray(shape, 'float32' === dtype ? Float32Array.from(data) : data);
+}
+
+
+export function rfft( A, {n, axis=-1, norm='backward'}={} )
+{
+  A = asarray(A);
+  if( A.ndim < 1 ) throw new Error('rfft(A,opt): A must be at least 1D.');
+  axis = _axis('rfft', A.ndim, axis);
+  n = _length('rfft', null == n ? A.shape[axis] : n);
+
+  const [shape, data] = _r2c('rfft', A.shape, _real_data('rfft', A), n, axis, norm);
+  return _wrap_complex(shape, data, _complex_dtype(A.dtype));
+}
+
+
+export function irfft( A, {n, axis=-1, norm='backward'}={} )
+{
+  A = asarray(A);
+  if( A.ndim < 1 ) throw new Error('irfft(A,opt): A must be at least 1D.');
+  axis = _axis('irfft', A.ndim, axis);
+  n = _length('irfft', null == n ? 2*(A.shape[axis]-1) : n);
+
+  const [shape, data] = _c2r('irfft', A.shape, _complex_data(A), n, axis, norm);
+  return _wrap_real(shape, data, _real_dtype(A.dtype));
+}
+
+
+function _rfftn_impl( name, A, s, axes, norm )
+{
+  A = asarray(A);
+  [axes, s] = _axes_and_lengths(name, A.shape, s, axes);
+  if( axes.length < 1 ) throw new Error(`${name}(A,opt): At least one axis must be transformed.`);
+
+  const k = axes.length-1;
+  let [shape, data] = _r2c(name, A.shape, _real_data(name, A), s[k], axes[k], norm);
+  for( let i=0; i < k; i++ )
+    [shape, data] = _c2c(name, shape, data, s[i], axes[i], norm, false);
+  return _wrap_complex(shape, data, _complex_dtype(A.dtype));
+}
+
+
+function _irfftn_impl( name, A, s, axes, norm )
+{
+  A = asarray(A);
+  if( null == s ) {
+    [axes, s] = _axes_and_lengths(name, A.shape, s, axes);
+    if( axes.length > 0 ) s[s.length-1] = 2*(s[s.length-1]-1);
+  }
+  else
+    [axes, s] = _axes_and_lengths(name, A.shape, s, axes);
+  if( axes.length < 1 ) throw new Error(`${name}(A,opt): At least one axis must be transformed.`);
+
+  const k = axes.length-1;
+  let shape = A.shape,
+       data = _complex_data(A);
+  for( let i=0; i < k; i++ )
+    [shape, data] = _c2c(name, shape, data, s[i], axes[i], norm, true);
+  [shape, data] = _c2r(name, shape, data, _length(name, s[k]), axes[k], norm);
+  return _wrap_real(shape, data, _real_dtype(A.dtype));
+}
+
+
+export function  rfft2( A, {s, axes=[-2,-1], norm='backward'}={} ) { return  _rfftn_impl( 'rfft2', A, s, axes, norm); }
+export function irfft2( A, {s, axes=[-2,-1], norm='backward'}={} ) { return _irfftn_impl('irfft2', A, s, axes, norm); }
+
+export function  rfftn( A, {s, axes, norm='backward'}={} ) { return  _rfftn_impl( 'rfftn', A, s, axes, norm); }
+export function irfftn( A, {s, axes, norm='backward'}={} ) { return _irfftn_impl('irfftn', A, s, axes, norm); }
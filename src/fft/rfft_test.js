@@ -0,0 +1,177 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {Complex} from '../dt/complex'
+import {forEachItemIn, CUSTOM_MATCHERS} from '../jasmine_utils'
+import {array} from '../nd_array'
+import {tabulate} from '../tabulate'
+
+import {fft, fftn, ifft} from './fft'
+import {irfft, irfft2, irfftn,
+         rfft,  rfft2,  rfftn} from './rfft'
+
+
+function* shapes( rng )
+{
+  for( let run=0; run++ < 128; )
+    yield Array.from({length: rng.int(1,4)}, () => rng.int(1,12));
+}
+
+
+/** The first n/2+1 entries along axis of the NDArray A.
+ */
+function half( A, axis )
+{
+  const shape = Array.from(A.shape);
+  shape[axis] = (shape[axis] >>> 1) + 1;
+  return tabulate(shape, A.dtype, (...idx) => A(...idx));
+}
+
+
+describe('rfft', () => {
+  beforeEach( () => {
+    jasmine.addMatchers(CUSTOM_MATCHERS)
+  })
+
+
+  it('works on known examples', () => {
+    expect( rfft([1,0,0,0]).data._array ).toBeAllCloseTo( Float64Array.of(1,0, 1,0, 1,0) );
+    expect( rfft([1,1,1,1,1]).data._array ).toBeAllCloseTo( Float64Array.of(5,0, 0,0, 0,0) );
+    expect( rfft([0,1,0,0]).data._array ).toBeAllCloseTo( Float64Array.of(1,0, 0,-1, -1,0) );
+    expect( irfft([1,1,1]).data ).toBeAllCloseTo( Float64Array.of(1,0,0,0) );
+    expect( irfft([5,0,0], {n: 5}).data ).toBeAllCloseTo( Float64Array.of(1,1,1,1,1) );
+  });
+
+
+  it('handles dtypes', () => {
+    expect( rfft (array('float32',   [1,2,3])).dtype ).toBe('complex64');
+    expect( rfft (array('int32',     [1,2,3])).dtype ).toBe('complex128');
+    expect( irfft(array('complex64', [1,2,3])).dtype ).toBe('float32');
+    expect( irfft(array('float64',   [1,2,3])).dtype ).toBe('float64');
+    expect( () => rfft (array('complex128', [1,2,3])) ).toThrowError(/real/);
+    expect( () => rfftn(array('complex128', [1,2,3])) ).toThrowError(/real/);
+    expect( () => irfft([1], {n: 0}) ).toThrowError(/length/);
+  });
+
+
+  forEachItemIn(
+    function*(rng){
+      for( const shape of shapes(rng) )
+      {
+        const axis = rng.int(-shape.length, shape.length),
+                 n = rng.bool() ? undefined : rng.int(1,24),
+              norm = ['backward','ortho','forward'][rng.int(0,3)];
+        yield [tabulate(shape, 'float64', () => rng.normal()), n, axis, norm];
+      }
+    }
+  ).it('rfft matches the first half of fft', ([A, n, axis, norm]) => {
+    const ax = axis < 0 ? axis + A.ndim : axis,
+          F = half( fft(A, {n, axis, norm}), ax ),
+          R = rfft(A, {n, axis, norm});
+    expect(R.shape).toEqual(F.shape);
+    expect(R.data._array).toBeAllCloseTo(F.data._array, {rtol: 0, atol: 1e-12});
+  });
+
+
+  forEachItemIn(
+    function*(rng){
+      for( const shape of shapes(rng) )
+      {
+        const axis = rng.int(-shape.length, shape.length),
+                 n = rng.int(1,24),
+              norm = ['backward','ortho','forward'][rng.int(0,3)];
+        yield [tabulate(shape, 'float64', () => rng.normal()), n, axis, norm];
+      }
+    }
+  ).it('irfft(rfft(A)) == A', ([A, n, axis, norm]) => {
+    const ax = axis < 0 ? axis + A.ndim : axis,
+          B = irfft( rfft(A, {n, axis, norm}), {n, axis, norm} ),
+          C = ifft (  fft(A, {n, axis, norm}), {n, axis, norm} );
+    expect(B.dtype).toBe('float64');
+    expect(B.shape).toEqual(C.shape);
+    expect(B.data).toBeAllCloseTo( C.data.map(z => z.re), {rtol: 0, atol: 1e-12} );
+    expect(B.shape[ax]).toBe(n);
+  });
+
+
+  forEachItemIn(
+    function*(rng){
+      for( const shape of shapes(rng) )
+      {
+        const axis = rng.int(-shape.length, shape.length),
+                 n = rng.bool() ? undefined : rng.int(1,24);
+        yield [tabulate(shape, 'complex128', () => new Complex(rng.normal(), rng.normal())), n, axis];
+      }
+    }
+  ).it('irfft ignores the imaginary parts of the zero (and Nyquist) frequency', ([A, n, axis]) => {
+    const ax = axis < 0 ? axis + A.ndim : axis,
+          m = A.shape[ax],
+        len = null == n ? 2*(m-1) : n;
+    if( len < 1 ) return;
+    // build the full Hermitian spectrum
+    const shape = Array.from(A.shape);
+    shape[ax] = len;
+    const H = tabulate(shape, 'complex128', (...idx) => {
+      const k = idx[ax],
+          sym = k > len/2;
+      idx[ax] = sym ? len-k : k;
+      if( idx[ax] >= m ) return new Complex(0);
+      let z = A(...idx);
+      if( 0 === idx[ax] || 2*idx[ax] === len ) z = new Complex(z.re);
+      return sym ? z.conj() : z;
+    });
+    const B = irfft(A, {n, axis}),
+          C = ifft (H, {axis});
+    expect(B.data).toBeAllCloseTo( C.data.map(z => z.re), {rtol: 0, atol: 1e-12} );
+  });
+
+
+  forEachItemIn(
+    function*(rng){
+      for( const shape of shapes(rng) )
+      {
+        const axes = shape.map((_,i) => i).filter( () => rng.bool() );
+        if( axes.length < 1 ) continue;
+        const s = rng.bool() ? undefined : axes.map( () => rng.int(1,12) ),
+           norm = ['backward','ortho','forward'][rng.int(0,3)];
+        yield [tabulate(shape, 'float64', () => rng.normal()), s, axes, norm];
+      }
+    }
+  ).it('rfftn matches the first half of fftn and irfftn inverts it', ([A, s, axes, norm]) => {
+    const last = axes[axes.length-1],
+          F = half( fftn(A, {s, axes, norm}), last ),
+          R = rfftn(A, {s, axes, norm});
+    expect(R.shape).toEqual(F.shape);
+    expect(R.data._array).toBeAllCloseTo(F.data._array, {rtol: 0, atol: 1e-12});
+
+    const shape = Array.from(A.shape);
+    axes.forEach( (ax,i) => shape[ax] = null == s ? shape[ax] : s[i] );
+    const B = irfftn(R, {s: axes.map(ax => shape[ax]), axes, norm}),
+          C = tabulate(shape, 'float64', (...idx) => idx.every((j,i) => j < A.shape[i]) ? A(...idx) : 0);
+    expect(B.shape).toEqual( Int32Array.from(shape) );
+    expect(B.data).toBeAllCloseTo(C.data, {rtol: 0, atol: 1e-12});
+  });
+
+
+  it('rfft2 and irfft2 transform the last two axes', () => {
+    const A = tabulate([3,4,6], 'float64', (i,j,k) => Math.sin(i*12 + j*4 + k*k));
+    expect( rfft2(A).data._array ).toBeAllCloseTo( rfftn(A, {axes: [1,2]}).data._array );
+    expect( irfft2(rfft2(A)).data ).toBeAllCloseTo(A.data);
+    expect( irfftn(rfftn(A)).data ).toBeAllCloseTo(A.data);
+  });
+});
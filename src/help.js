@@ -35,6 +35,139 @@ mainly for the calculation of eigenvalues. Other than that,
 complex dtype is not yet supported in NDJS.
 `
 
+
+
+nd.dt.super_dtype.__doc__ = `\
+Returns the smallest dtype to which all of the given dtypes can be safely
+cast (see nd.dt.is_subdtype). The following dtypes are supported:
+
+  dtype        | storage          | entries
+  -------------+------------------+---------------------------------
+  'bool'       | nd.dt.BoolArray  | booleans, packed 8 per byte
+  'int8'       | Int8Array        |
+  'int16'      | Int16Array       |
+  'int32'      | Int32Array       |
+  'int64'      | BigInt64Array    | BigInts
+  'uint8'      | Uint8Array       |
+  'uint16'     | Uint16Array      |
+  'uint32'     | Uint32Array      |
+  'uint64'     | BigUint64Array   | BigInts
+  'float32'    | Float32Array     |
+  'float64'    | Float64Array     |
+  'complex64'  | Complex64Array   | nd.dt.Complex (Float32Array storage)
+  'complex128' | Complex128Array  | nd.dt.Complex (Float64Array storage)
+  'object'     | Array            | anything
+
+Like in NumPy, mixing signed and unsigned integers promotes to the next
+larger signed integer dtype, e.g. super_dtype('int8','uint8') is 'int16'
+and super_dtype('int64','uint64') is 'float64'. Unlike NumPy, 'int32'
+and 'float32' promote to 'float32' for backwards compatibility.
+
+The linear algebra functions (nd.la) only support 'int8' to 'uint32',
+'float32', 'float64' and 'complex128' input. 'int64', 'uint64' and
+'complex64' NDArrays have to be converted first, e.g. using
+nd.asarray('float64', A).
+
+Parameters
+----------
+dtypes: ...String
+  The dtypes.
+
+Returns
+-------
+dtype: String
+  The smallest common dtype.
+
+Examples
+--------
+>>> nd.dt.super_dtype('uint8', 'int8')
+  'int16'
+>>> nd.dt.super_dtype('float32', 'complex64')
+  'complex64'
+>>> nd.dt.super_dtype('int32', 'complex64')
+  'complex128'
+`
+
+
+
+nd.dt.is_subdtype.__doc__ = `\
+Returns true if values of sub_dtype can be safely cast to sup_dtype, i.e.
+without loss of information, following NumPy's safe casting rules. The only
+exception is that 'int32' is considered a subdtype of 'float32' for
+backwards compatibility.
+
+Parameters
+----------
+sub_dtype: String
+sup_dtype: String
+
+Returns
+-------
+is_sub: bool
+
+Examples
+--------
+>>> nd.dt.is_subdtype('uint16', 'int32')
+  true
+>>> nd.dt.is_subdtype('int64', 'uint64')
+  false
+`
+
+
+
+nd.dt.cast_scalar.__doc__ = `\
+Converts a scalar to the given dtype, the same way as it is converted when
+written to an NDArray of said dtype. Integers wrap around like in NumPy,
+numbers are truncated and converted to BigInt for 'int64' and 'uint64'
+and 'bool' is true for all non-zero values.
+
+Parameters
+----------
+x: any
+  The scalar value.
+dtype: String
+  The dtype to convert to.
+
+Returns
+-------
+y: any
+  The converted value.
+
+Examples
+--------
+>>> nd.dt.cast_scalar(-1, 'uint8')
+  255
+>>> nd.dt.cast_scalar(-2.5, 'int64')
+  -2n
+>>> nd.dt.cast_scalar(2**31, 'int32')
+  -2147483648
+`
+
+
+
+nd.dt.dtypeof.__doc__ = `\
+Returns the smallest dtype that is inferred for a scalar value by nd.array.
+Integral numbers are 'int32' if they fit into 32 bits, other numbers are
+'float64', booleans are 'bool', BigInts are 'int64' (or 'uint64' if they only
+fit into an unsigned 64-bit integer) and Complex numbers are 'complex128'.
+Everything else is 'object'.
+
+Parameters
+----------
+value: any
+
+Returns
+-------
+dtype: String
+
+Examples
+--------
+>>> nd.dt.dtypeof(true)
+  'bool'
+>>> nd.dt.dtypeof(2n**63n)
+  'uint64'
+`
+
   //
  // FACTORY METHODS
 //
@@ -56,6 +189,14 @@ shape: Int32Array
 data: dtype[]
   The flat data array to be used in this NDArray. May be used
   directly (no protection copy may be performed).
+strides: Int32Array
+  [OPTIONAL] The strides of the new NDArray, i.e. by how many
+  elements the index into \`data\` changes when the index along
+  the respective axis is incremented. If undefined, the NDArray
+  is contiguous in row-major order and \`data.length\` has to
+  match the shape. The buffer behind this Int32Array will be frozen.
+offset: int
+  [OPTIONAL] The index of the first entry in \`data\`. Default: 0.
 
 Returns
 -------
@@ -136,6 +277,11 @@ humans.
   * Otherwise the data is interpreted as a scalar value and
     is put into an NDArray of shape [].
 
+If no dtype is given, it is inferred from the entries (see nd.dt.dtypeof
+and nd.dt.super_dtype). If a dtype is given, the entries are converted to it
+like by nd.dt.cast_scalar, e.g. integers wrap around and numbers are converted
+to BigInts for 'int64' and 'uint64'.
+
 Parameters
 ----------
 dtype: String
@@ -245,10 +391,24 @@ Attributes
 ----------
 shape: int[]
   The shape of the NDArray.
+strides: int[]
+  The number of elements by which the index into the underlying
+  data array changes when the index along the respective axis is
+  incremented. Slicing, transposing and broadcasting create views
+  that share the underlying data array but have different strides.
+offset: int
+  The index of the first entry in the underlying data array.
 data : dtype[]
-  The flat data array backing this NDArray. May be either
-  a standard JavaScript Array, or one of JavaScripts primitive
-  array types. See nd.dtypes for a list of supported data types.
+  The entries of this NDArray as flat data array in row-major order.
+  May be either a standard JavaScript Array, or one of JavaScripts
+  primitive array types. See nd.dtypes for a list of supported data
+  types. If this NDArray is a view that does not cover its underlying
+  data array contiguously, accessing \`data\` turns it into a contiguous
+  copy first, i.e. it no longer shares its entries with the NDArray
+  it was derived from.
+isContiguous: bool
+  Whether the entries of this NDArray are laid out contiguously
+  in row-major order.
 ndim: int
   The number of dimensions in this NDArray, i.e. the number of
   indices used to address the entries. Equivalent to shape.length.
@@ -521,12 +681,14 @@ Parameters
 axes: ...int
   The order in which the axes of the this NDArray appear in the
   transposed array. If indices are missing from \`axes\`, they are
-  appended to \`axes\` in order.
+  appended to \`axes\` in order. An ellipsis ('...') may be used
+  to specify where the missing indices are inserted instead, e.g.
+  a.transpose('...',0) moves the first axis to the end.
 
 Returns
 -------
 transposed: NDArray
-  A transposed copy A of this NDArray, where:
+  A transposed view A of this NDArray, where:
   \`A[i[0], i[1], ...]  =  this[i[axes[0]], i[axes[1], ...]\`
 
 Examples
@@ -551,7 +713,8 @@ Examples
 
 nd.NDArray.prototype.reshape.__doc__ = `\
 Returns view of this NDArray with a different shape. This is similar
-to NumPy's reshape with a 'C'-order.
+to NumPy's reshape with a 'C'-order. If this NDArray is a view whose
+strides are incompatible with the new shape, a copy is returned instead.
 
 Parameters
 ----------
@@ -576,6 +739,90 @@ Examples
 
 
 
+nd.NDArray.prototype.swapaxes.__doc__ = `\
+Returns a view of this NDArray with two axes interchanged.
+
+Parameters
+----------
+axis1: int
+  The first axis. May be negative.
+axis2: int
+  The second axis. May be negative.
+
+Returns
+-------
+swapped: NDArray
+  A view of this NDArray with axis1 and axis2 interchanged.
+
+Examples
+--------
+>>> let a = nd.array([[[1,2,3],
+...                    [4,5,6]]])
+>>> console.log( a.swapaxes(0,-1).toString() )
+  [[[1],
+    [4]],
+   [[2],
+    [5]],
+   [[3],
+    [6]]]
+`
+
+
+
+nd.NDArray.prototype.copy.__doc__ = `\
+Returns a contiguous copy of this NDArray, which does not share its
+entries with this NDArray or any other NDArray.
+
+Returns
+-------
+copy: NDArray
+  A copy of this NDArray with contiguous data in row-major order.
+
+Examples
+--------
+>>> let a = nd.array([[1,2],
+...                   [3,4]])
+>>> let b = a.T.copy()
+>>> b.set([0,1], 0)
+>>> console.log( b.data, a.data )
+  Int32Array [ 1, 0, 2, 4 ] Int32Array [ 1, 2, 3, 4 ]
+`
+
+
+
+nd.broadcast_to.__doc__ = `\
+Returns a view of an NDArray that is broadcast to the given shape. No
+entries are copied, instead the broadcast axes have a stride of zero.
+Note that writing to an entry of the view therefore writes to all the
+entries that share the same underlying entry.
+
+Parameters
+----------
+A: NDArray or array-like
+  The NDArray to be broadcast.
+shape: int[]
+  The shape to which A is broadcast. The shape of A has to be broadcast-
+  compatible, i.e. each axis of A must be of size 1 or of the size of
+  the corresponding (trailing) axis in \`shape\`.
+
+Returns
+-------
+broadcast: NDArray
+  A view of A of the given shape.
+
+Examples
+--------
+>>> let a = nd.array([1,2,3])
+>>> let b = nd.broadcast_to(a, [2,3])
+>>> console.log( b.toString() )
+  [[1,2,3],
+   [1,2,3]]
+>>> console.log( b.strides )
+  Int32Array [ 0, 1 ]
+`
+
+
+
 nd.NDArray.prototype.reduceElems.__doc__ = `\
 Uses the given binary operator to reduce the entries of of this NDArray
 along the specified axes. If no axes are specified all entries are reduce
@@ -622,23 +869,36 @@ Examples
 
 
 nd.NDArray.prototype.sliceElems.__doc__ = `\
-Extracts a sub-region specified by combination of indices, ranges, newaxis symbols.
+Extracts a sub-region specified by combination of indices, ranges, newaxis symbols,
+integer index arrays and boolean masks (NumPy's basic and advanced indexing).
 
 Parameters
 ----------
-slices: int or nd.newaxis or nd.ellipsis or [start,stop,step]
+slices: int or nd.newaxis or nd.ellipsis or [start,stop,step] or NDArray[int32] or mask
   The slices to be taken along each axis, e.g 3 would only take the fourth entries
   along an axis, [,,] would take all elements along and axis, [1,,] would take all
   but the first entries along an axis, [,,3] would take ever third element along
-  an axis, [,-1,] would take all but the last entries along an axis, nd.newaxis
-  would insert a new axis of size 1.
+  an axis, [,-1,] would take all but the last entries along an axis, [,,-1] would
+  reverse an axis, nd.newaxis (or 'newaxis' or 'new') would insert a new axis of size 1.
+
+  nd.ellipsis ('...') can be used to fill up with [,,] for the remaining axes.
+
+  An NDArray (or typed array) of an integer dtype gathers the entries at said indices
+  along an axis. A boolean mask, given as (nested) JS array of booleans, as 'bool'
+  NDArray or as 'object' NDArray of booleans, selects the entries where the mask is true
+  along as many axes as the mask has. The results of the comparison operations
+  (e.g. nd.less) are 'bool' NDArrays and can therefore be used as masks directly.
 
-  nd.ellipsis can be used to fill up with [,,] for the remaining axes.
+  Like in NumPy, all index arrays and masks (as well as the integer indices if there
+  are any index arrays) are broadcast together. The resulting axes are inserted where
+  the first index array is if all index arrays are adjacent and in front otherwise.
 
 Returns
 -------
 sliced: NDArray
-  A sliced subregion of this NDArray.
+  A sliced subregion of this NDArray. If only integers, ranges, newaxis and
+  ellipsis are used (basic indexing), the result is a view that shares its
+  entries with this NDArray. Index arrays and masks result in a copy.
 
 Examples
 --------
@@ -656,6 +916,48 @@ Examples
 
 >>> console.log( a.sliceElems(2,[1,3,]).toString() )
   [32,33]
+
+>>> console.log( a.sliceElems(nd.array([2,0]), [,,-1]).toString() )
+  [[34,33,32,31],
+   [14,13,12,11]]
+
+>>> console.log( a.sliceElems([true,false,true], [false,true,true,false]).toString() )
+  [12,33]
+
+>>> console.log( a.sliceElems([[true,false,false,false],
+...                            [false,false,false,true],
+...                            [true,true,false,false]]).toString() )
+  [11,24,31,32]
+`
+
+
+
+nd.NDArray.prototype.setElems.__doc__ = `\
+Assigns values to a sub-region of this NDArray, which is specified in the same
+way as in NDArray.sliceElems. The values are broadcast to the shape of the
+sub-region and cast to the dtype of this NDArray. If an entry is selected
+multiple times (by an index array), the last assigned value is kept.
+
+Parameters
+----------
+slices: int or nd.newaxis or nd.ellipsis or [start,stop,step] or NDArray[int32] or mask
+  See NDArray.sliceElems.
+values: NDArray or array-like or scalar
+  The values to be assigned. Must be broadcastable to the shape of the sub-region.
+
+Examples
+--------
+>>> let a = nd.array('float64', [[1,2,3],
+...                              [4,5,6]])
+>>> a.setElems([[true,false,true],[false,true,false]], 0)
+>>> console.log( a.toString() )
+  [[0,2,0],
+   [4,0,6]]
+
+>>> a.setElems('...', nd.array([2,0]), [7,8])
+>>> console.log( a.toString() )
+  [[8,2,7],
+   [8,0,7]]
 `
 
 
@@ -732,1630 +1034,4204 @@ Examples
 
 
 
-nd.help.__doc__ = `\
-Outputs a documentation string for the given method ND.JS method to the console. This method
-is intended to be used in interactive mode to explore and learn the ND.JS API.
-
-This method is only available in the non-minfied version of ND.JS.
+  //
+ // ELEMENT-WISE ARITHMETIC
+//
+nd.add.__doc__ = `\
+Adds two NDArrays element-wise, following NumPy's broadcasting rules.
+The dtype of the result is nd.dt.super_dtype(A.dtype, B.dtype). Results
+of integer dtypes wrap around on overflow. Like in NumPy, the sum of two
+'bool' NDArrays is their logical or.
+
+The operations for all dtypes but 'object' are performed by specialized
+loops over the underlying typed arrays. 'int64' and 'uint64' are computed
+exactly using BigInts.
+The same holds for nd.sub, nd.mul, nd.div, nd.pow, nd.maximum,
+nd.minimum and the comparison operations.
 
 Parameters
 ----------
-fun: Function
-  The function or package ND.JS API method for which the documentation is to be retrieved.
+A: NDArray or array-like or scalar
+  The left operand.
+B: NDArray or array-like or scalar
+  The right operand. Must be broadcast-compatible with A.
+
+Returns
+-------
+C: NDArray
+  The result where C[...] = A[...] + B[...].
 
 Examples
 --------
->>> nd.help(nd.la)
-  The Linear Algebra subpackage of ND.JS. Contains methods for the handling and decomposition
-  of matrices as well as solvers for linear equations and linear least square systems.
-
-  As convention the last two axes of an \`NDArray\` are considered as the matrix dimensions.
-  Higher dimensional arrays are considered "arrays of matrices" and the broadcasting rules
-  apply for the leading dimenions, i.e. for all dimensions of the shape except the last two.
+>>> let a = nd.array([[1],[2]])
+>>> let b = nd.array([10,20,30])
+>>> console.log( nd.add(a,b).toString() )
+  [[11,21,31],
+   [12,22,32]]
+>>> console.log( a.add(0.5).toString() )
+  [[1.5],
+   [2.5]]
 `
 
 
 
-nd.help_str.__doc__ = `\
-Returns a documentation string for the given method ND.JS method to the console. This method
-is used by \`create_doc_jsdom()\` to create the documentation and by \`nd.help()\` to
-print help to the console.
-
-This method is only available in the non-minfied version of ND.JS.
+nd.sub.__doc__ = `\
+Subtracts B from A element-wise, following NumPy's broadcasting rules.
+The dtype of the result is nd.dt.super_dtype(A.dtype, B.dtype). Like in
+NumPy, the subtraction of two 'bool' NDArrays is not supported.
 
 Parameters
 ----------
-fun: Function
-  The function or package ND.JS API method for which the documentation is to be retrieved.
+A: NDArray or array-like or scalar
+B: NDArray or array-like or scalar
 
 Returns
 -------
-help: String
-  A documentation String for the given method or package.
-
-Examples
---------
->>> console.log( nd.help(nd.la) )
-  "The Linear Algebra subpackage of ND.JS. Contains methods for the handling and decomposition
-   of matrices as well as solvers for linear equations and linear least square systems.
-
-   As convention the last two axes of an \`NDArray\` are considered as the matrix dimensions.
-   Higher dimensional arrays are considered "arrays of matrices" and the broadcasting rules
-   apply for the leading dimenions, i.e. for all dimensions of the shape except the last two."
+C: NDArray
+  The result where C[...] = A[...] - B[...].
 `
 
 
 
-  //
- // OPTIMIZATION
-//
-nd.opt.min_lbfgs_gen.__doc__ = `\
-Iteratively minimizes a function using the L-BFGS method. An indefinite number of solutions is
-returned unless the line search does not make any further progress, in which case a
-\`LineSearchNoProgressError\` is thrown. The user must check for a proper stopping condition
-her-/himself.
+nd.mul.__doc__ = `\
+Multiplies two NDArrays element-wise, following NumPy's broadcasting rules.
+The dtype of the result is nd.dt.super_dtype(A.dtype, B.dtype). Results
+of integer dtypes wrap around on overflow. Like in NumPy, the product of
+two 'bool' NDArrays is their logical and.
 
 Parameters
 ----------
-fg: (x: NDArray[N]) => [f: NDArray[], g: NDArray[N]]
-  A method return both the function value and gradients of the optimized function for
-  the given input \`x\`. 
-x0: NDArray[N]
-  The starting point for the minimization.
-options: {
-  historySize=8: int
-    The number of past value-gradient pairs that are memoized in order to approximate the Hessian.
-  lineSearch=nd.opt.line_search.strong_wolfe()
-    The line search method used to advance the solution along the current search direction.
-    Must at least satisfy the Wolfe Condition.
-  negDir0 = g=>g: (g: NDArray[N]) => (negDir: NDArray[N])
-    Returns the gradient-descent-like initial search direction. Can be used to control the initial
-    search step.
-}
+A: NDArray or array-like or scalar
+B: NDArray or array-like or scalar
 
 Returns
 -------
-approximations: Iterator<[x: NDArray[N], f: NDArray[] g: NDArray[N]]>
-  An iterator over the approximations/iterations made by the L-BFGS method. Will return an indefinite
-  amount of approximations unless a \`LineSearchNoProgressError\` is thrown.
+C: NDArray
+  The result where C[...] = A[...] * B[...].
+`
 
-Throws
-------
-noProgress: nd.opt.LineSearchNoProgressError
-  If the optimization is not making any more progress. This is usally happens when the optimizer
-  is already very close to the minimum.
 
-References
+
+nd.div.__doc__ = `\
+Divides A by B element-wise, following NumPy's broadcasting rules (true division).
+The dtype of the result is nd.dt.super_dtype(A.dtype, B.dtype), except that
+the division of integer or 'bool' NDArrays results in 'float64'.
+
+Parameters
 ----------
-.. [1] https://en.wikipedia.org/wiki/Limited-memory_BFGS
-.. [2] https://en.wikipedia.org/wiki/Wolfe_conditions
+A: NDArray or array-like or scalar
+B: NDArray or array-like or scalar
 
-Example
+Returns
 -------
->>> const fg = ([x,y]) => [
-...   nd.array(  (x-1)**2 + 100*(y-x*x)**2 ),
-...   nd.array([ (x-1) *2 - 400*(y-x*x) *x,
-...                         200*(y-x*x) ])
-... ];
-... let x,f,g, nIter = -1;
-... try {
-...   for( [x,f,g] of nd.opt.min_lbfgs_gen(fg, /*x0=*/[0,0], {negDir: g => g.mapElems(x => x*0.1)}) )
-...   {
-...     const gNorm = g.reduceElems(nd.math.hypot);
-...     if( ++nIter > 1e3 )
-...       throw new Error('Too many iterations.');
-...     if( gNorm <= 1e-8 )
-...       break;
-...   }
-... }
-... catch(err) {
-...   if( ! (err instanceof nd.opt.LineSearchNoProgressError) )
-...     throw err;
-...   console.log('No progress.');
-... }
-... console.log('Solution:', x);
-  Solution: [ 0.9999999998879853, 0.9999999997700713 ]
+C: NDArray
+  The result where C[...] = A[...] / B[...].
 `
 
 
-nd.opt.min_lbfgsb_gen.__doc__ = `\
-Iteratively minimizes a function using the L-BFGS-B method which supports bound-constraits.
-An indefinite number of solutions is returned unless the line search does not make any further
-progress, in which case a \`LineSearchNoProgressError\` is thrown. The user must check for a
-proper stopping condition her-/himself.
+
+nd.pow.__doc__ = `\
+Raises A to the power of B element-wise, following NumPy's broadcasting rules.
+The dtype of the result is nd.dt.super_dtype(A.dtype, B.dtype). For complex
+numbers, the principal branch is used. Like in NumPy, integer results wrap
+around on overflow, negative integer exponents are not allowed and powers
+of two 'bool' NDArrays are of dtype 'int8'.
 
 Parameters
 ----------
-fg: (x: NDArray[N]) => [f: NDArray[], g: NDArray[N]]
-  A method return both the function value and gradients of the optimized function for
-  the given input \`x\`. 
-x0: NDArray[N]
-  The starting point for the minimization.
-bounds: NDArray[N,2]
-  The lower and upper bounds for each dimension. Set to -Infinity and +Infinity respectively
-  to disable a the bounds in some directions.
-options: {
-  historySize=8: int
-    The number of past value-gradient pairs that are memoized in order to approximate the Hessian.
-  lineSearch=nd.opt.line_search.strong_wolfe()
-    The line search method used to advance the solution along the current search direction.
-    Must at least satisfy the Wolfe Condition.
-}
+A: NDArray or array-like or scalar
+  The bases.
+B: NDArray or array-like or scalar
+  The exponents.
 
 Returns
 -------
-approximations: Iterator<[x: NDArray[N], f: NDArray[] g: NDArray[N]]>
-  An iterator over the approximations/iterations made by the L-BFGS method. Will return an indefinite
-  amount of approximations unless a \`LineSearchNoProgressError\` is thrown.
+C: NDArray
+  The result where C[...] = A[...] ** B[...].
+`
 
-Throws
-------
-noProgress: nd.opt.LineSearchNoProgressError
-  If the optimization is not making any more progress. This is usally happens when the optimizer
-  is already very close to the minimum.
 
-References
+
+nd.maximum.__doc__ = `\
+Computes the element-wise maximum of A and B, following NumPy's broadcasting
+rules. The dtype of the result is nd.dt.super_dtype(A.dtype, B.dtype). NaN
+values are propagated. Complex numbers are ordered lexicographically, i.e.
+by real part first and imaginary part second.
+
+Parameters
 ----------
-.. [1] https://en.wikipedia.org/wiki/Limited-memory_BFGS
-.. [2] https://en.wikipedia.org/wiki/Wolfe_conditions
+A: NDArray or array-like or scalar
+B: NDArray or array-like or scalar
 
-Example
+Returns
 -------
->>> const fg = ([x,y]) => [
-...   nd.array(  (x-1)**2 + 100*(y-x*x)**2 ),
-...   nd.array([ (x-1) *2 - 400*(y-x*x) *x,
-...                         200*(y-x*x) ])
-... ];
-... const bounds = [
-...   [-Infinity, 0       ],
-...   [-8,       +Infinity]
-... ];
-... let x,f,g, nIter = -1;
-... try {
-...   for( [x,f,g] of nd.opt.min_lbfgsb_gen(fg, /*x0=*/[-1,+1], bounds) )
-...   {
-...     const gNorm = g.reduceElems(nd.math.hypot);
-...     if( ++nIter > 1e3 )
-...       throw new Error('Too many iterations.');
-...     if( gNorm <= 1e-8 )
-...       break;
-...   }
-... }
-... catch(err) {
-...   if( ! (err instanceof nd.opt.LineSearchNoProgressError) )
-...     throw err;
-...   console.log('No progress.');
-... }
-... console.log('Solution:', x);
-  Solution: [ 0, 0 ]
+C: NDArray
+  The result where C[...] = max(A[...], B[...]).
 `
 
 
-nd.opt.root1d_bisect.__doc__ = `\
-Finds a single root of a continuous univariate function using the bisection method.
+
+nd.minimum.__doc__ = `\
+Computes the element-wise minimum of A and B, following NumPy's broadcasting
+rules. The dtype of the result is nd.dt.super_dtype(A.dtype, B.dtype). NaN
+values are propagated. Complex numbers are ordered lexicographically, i.e.
+by real part first and imaginary part second.
 
 Parameters
 ----------
-F: float => float
-  Continuous function for which a root is to be found.
-x1: float
-  One side of the range containing a root. F(x1) and F(x2) must have opposite signs (or be zero).
-x2: float
-  Other side of the range containing a root. F(x1) and F(x2) must have opposite signs (or be zero).
+A: NDArray or array-like or scalar
+B: NDArray or array-like or scalar
 
 Returns
 -------
-x0: float
-  A root of F, i.e. F(x0) ≈ 0.
+C: NDArray
+  The result where C[...] = min(A[...], B[...]).
+`
 
-References
+
+
+nd.equal        .__doc__ =
+nd.not_equal    .__doc__ =
+nd.less         .__doc__ =
+nd.less_equal   .__doc__ =
+nd.greater      .__doc__ =
+nd.greater_equal.__doc__ = `\
+Element-wise comparisons (==, !=, <, <=, >, >=) of A and B, following NumPy's
+broadcasting rules. The result is a 'bool' NDArray which is true where the
+comparison holds and false otherwise. Like in NumPy, it can be used as mask
+in sliceElems. Complex numbers are ordered lexicographically,
+i.e. by real part first and imaginary part second.
+
+Parameters
 ----------
-.. [1] https://en.wikipedia.org/wiki/Bisection_method
+A: NDArray or array-like or scalar
+B: NDArray or array-like or scalar
 
-Example
+Returns
 -------
->>> const sqrt9 = nd.opt.root1d_bisect(x => x*x-9, 0, 9);
-... console.log('sqrt(9) =', sqrt9);
-  sqrt(9) = 3
+C: NDArray[dtype='bool']
+  The result where C[...] = A[...] < B[...] (or ==, !=, <=, >, >= respectively).
+
+Examples
+--------
+>>> let a = nd.array([1,2,3])
+>>> console.log( nd.less(a,2).toString() )
+  [ true, false, false ]
+>>> console.log( a.greater_equal([[2],[3]]).toString() )
+  [[ false,  true,  true ],
+   [ false, false,  true ]]
+>>> console.log( a.sliceElems( a.greater(1) ).toString() )
+  [ 2, 3 ]
 `
 
 
-nd.opt.root1d_brent.__doc__ = `\
-Finds a single root of a continuous univariate function using Brent's method.
+
+nd.iadd          .__doc__ =
+nd.isub          .__doc__ =
+nd.imul          .__doc__ =
+nd.idiv          .__doc__ =
+nd.ipow          .__doc__ =
+nd.imaximum      .__doc__ =
+nd.iminimum      .__doc__ =
+nd.iequal        .__doc__ =
+nd.inot_equal    .__doc__ =
+nd.iless         .__doc__ =
+nd.iless_equal   .__doc__ =
+nd.igreater      .__doc__ =
+nd.igreater_equal.__doc__ = `\
+In-place variants of nd.add, nd.sub, nd.mul, nd.div, nd.pow, nd.maximum,
+nd.minimum, nd.equal, nd.not_equal, nd.less, nd.less_equal, nd.greater and
+nd.greater_equal, which write the result to A, e.g. nd.iadd(A,B) is the
+equivalent of NumPy's A += B.
+
+B must be broadcastable to the shape of A. The result has to be castable to
+A.dtype according to NumPy's 'same_kind' casting rule, i.e. a 'float64' result
+may be written to a 'float32' NDArray but not to an 'int32' NDArray and an
+'int32' result may be written to an 'int8' NDArray but not to a 'uint32' NDArray.
 
 Parameters
 ----------
-F: float => float
-  Continuous function for which a root is to be found.
-x1: float
-  One side of the range containing a root. F(x1) and F(x2) must have opposite signs (or be zero).
-x2: float
-  Other side of the range containing a root. F(x1) and F(x2) must have opposite signs (or be zero).
+A: NDArray
+  The left operand to which the result is written.
+B: NDArray or array-like or scalar
+  The right operand.
 
 Returns
 -------
-x0: float
-  A root of F, i.e. F(x0) ≈ 0.
+A: NDArray
+  The modified NDArray A.
 
-References
-----------
- .. [1] https://en.wikipedia.org/wiki/Brent's_method
-
-Example
--------
->>> const sqrt9 = nd.opt.root1d_bisect(x => x*x-9, 0, 9);
-... console.log('sqrt(9) =', sqrt9);
-  sqrt(9) = 3
+Examples
+--------
+>>> let a = nd.array('float32', [[1,2],[3,4]])
+>>> a.imul([10,100])
+>>> console.log( a.toString() )
+  [[10, 200],
+   [30, 400]]
+>>> nd.iadd( nd.array([1,2]), 0.5 )
+  Error: iadd(A,B): Cannot cast result of dtype 'float64' to A.dtype='int32'.
 `
 
 
-nd.opt.root1d_illinois.__doc__ = `\
-Finds a single root of a continuous univariate function using the bisection Ford's (Illinois-type) method.
+
+nd.NDArray.prototype.add.__doc__ = nd.add.__doc__
+nd.NDArray.prototype.sub.__doc__ = nd.sub.__doc__
+nd.NDArray.prototype.mul.__doc__ = nd.mul.__doc__
+nd.NDArray.prototype.div.__doc__ = nd.div.__doc__
+nd.NDArray.prototype.pow.__doc__ = nd.pow.__doc__
+
+nd.NDArray.prototype.maximum.__doc__ = nd.maximum.__doc__
+nd.NDArray.prototype.minimum.__doc__ = nd.minimum.__doc__
+
+nd.NDArray.prototype.equal        .__doc__ = nd.equal        .__doc__
+nd.NDArray.prototype.not_equal    .__doc__ = nd.not_equal    .__doc__
+nd.NDArray.prototype.less         .__doc__ = nd.less         .__doc__
+nd.NDArray.prototype.less_equal   .__doc__ = nd.less_equal   .__doc__
+nd.NDArray.prototype.greater      .__doc__ = nd.greater      .__doc__
+nd.NDArray.prototype.greater_equal.__doc__ = nd.greater_equal.__doc__
+
+nd.NDArray.prototype.iadd.__doc__ = nd.iadd.__doc__
+nd.NDArray.prototype.isub.__doc__ = nd.isub.__doc__
+nd.NDArray.prototype.imul.__doc__ = nd.imul.__doc__
+nd.NDArray.prototype.idiv.__doc__ = nd.idiv.__doc__
+nd.NDArray.prototype.ipow.__doc__ = nd.ipow.__doc__
+
+nd.NDArray.prototype.imaximum.__doc__ = nd.imaximum.__doc__
+nd.NDArray.prototype.iminimum.__doc__ = nd.iminimum.__doc__
+
+nd.NDArray.prototype.iequal        .__doc__ = nd.iequal        .__doc__
+nd.NDArray.prototype.inot_equal    .__doc__ = nd.inot_equal    .__doc__
+nd.NDArray.prototype.iless         .__doc__ = nd.iless         .__doc__
+nd.NDArray.prototype.iless_equal   .__doc__ = nd.iless_equal   .__doc__
+nd.NDArray.prototype.igreater      .__doc__ = nd.igreater      .__doc__
+nd.NDArray.prototype.igreater_equal.__doc__ = nd.igreater_equal.__doc__
+
+
+
+  //
+ // REDUCTIONS
+//
+nd.sum.__doc__ = `\
+Sums up the entries of an NDArray along the given axes. For dtypes 'float32',
+'float64' and 'complex128', the summation is compensated using Kahan summation
+by default. 'int64' and 'uint64' NDArrays are summed up exactly using BigInt
+arithmetic and the result is of the same dtype, wrapping around on overflow like
+in NumPy. All other integer and 'bool' NDArrays are summed up as 'float64', which
+is exact as long as the sum does not exceed 2**53. 'complex64' NDArrays are summed
+up in double precision but the result is of dtype 'complex64'.
 
 Parameters
 ----------
-F: float => float
-  Continuous function for which a root is to be found.
-x1: float
-  One side of the range containing a root. F(x1) and F(x2) must have opposite signs (or be zero).
-x2: float
-  Other side of the range containing a root. F(x1) and F(x2) must have opposite signs (or be zero).
+A: NDArray or array-like
+  The NDArray whose entries are summed up.
+axis: int or int[]
+  [OPTIONAL] The axis or axes along which the sum is computed. By default,
+  the sum over all entries is computed.
+options.keepdims: bool
+  [OPTIONAL] If true, the reduced axes are kept with a size of 1. Default: false.
+options.compensated: bool
+  [OPTIONAL] If false, plain summation is used instead of Kahan summation. Default: true.
 
 Returns
 -------
-x0: float
-  A root of F, i.e. F(x0) ≈ 0.
+sum: NDArray or scalar
+  The sums along the given axes. If all axes are reduced and keepdims is false,
+  the sum is returned as scalar.
 
-References
+Examples
+--------
+>>> let a = nd.array([[1,2,3],
+...                   [4,5,6]])
+>>> nd.sum(a)
+  21
+>>> console.log( a.sum(0).toString() )
+  [5, 7, 9]
+>>> console.log( a.sum(1, {keepdims: true}).toString() )
+  [[ 6],
+   [15]]
+`
+
+
+
+nd.mean.__doc__ = `\
+Computes the arithmetic mean of the entries of an NDArray along the given axes.
+The sums are compensated using Kahan summation by default. The mean of integer
+entries is of dtype 'float64'. For 'int64' and 'uint64', the sum is computed
+exactly before it is divided by the number of entries.
+
+Parameters
 ----------
-.. [1] https://en.wikipedia.org/wiki/False_position_method
-.. [2] "Improved Algorithms Of Illinois-Type For The Numerical Solution Of Nonlinear Equations"
+A: NDArray or array-like
+axis: int or int[]
+  [OPTIONAL] The axis or axes along which the mean is computed. By default,
+  the mean of all entries is computed.
+options.keepdims: bool
+  [OPTIONAL] If true, the reduced axes are kept with a size of 1. Default: false.
+options.compensated: bool
+  [OPTIONAL] If false, plain summation is used instead of Kahan summation. Default: true.
 
-Example
+Returns
 -------
->>> const sqrt9 = nd.opt.root1d_bisect(x => x*x-9, 0, 9);
-... console.log('sqrt(9) =', sqrt9);
-  sqrt(9) = 3
+mean: NDArray or scalar
 `
 
 
-nd.opt.min1d_gss.__doc__ = `\
-Finds a single minimum of a continuous univariate function using Golden Section Search.
+
+nd.var.__doc__ = `\
+Computes the variance of the entries of an NDArray along the given axes using
+a (compensated) two-pass algorithm. For complex entries, the variance is the
+mean of the squared absolute deviations from the mean and is therefore real.
+Integer entries, including 'int64' and 'uint64', are converted to 'float64'.
 
 Parameters
 ----------
-F: float => float
-  Continuous function for which a minimum is to be found.
-x1: float
-  One side of the range containing a root. Must be left of the minimum.
-x2: float
-  Other side of the range containing a root. Must be right of the minimum.
+A: NDArray or array-like
+axis: int or int[]
+  [OPTIONAL] The axis or axes along which the variance is computed. By default,
+  the variance of all entries is computed.
+options.ddof: int
+  [OPTIONAL] Delta degrees of freedom, i.e. the sum of squared deviations is
+  divided by N-ddof, where N is the number of entries. Default: 0.
+options.keepdims: bool
+  [OPTIONAL] If true, the reduced axes are kept with a size of 1. Default: false.
 
 Returns
 -------
-xMin: float
-  A local minimum of F.
+var: NDArray or scalar
 
-References
+Examples
+--------
+>>> let a = nd.array([[1,2,3,4],
+...                   [2,4,6,8]])
+>>> console.log( a.var(1, {ddof: 1}).toString() )
+  [1.6666666666666667, 6.666666666666667]
+`
+
+
+
+nd.std.__doc__ = `\
+Computes the standard deviation, i.e. the square root of nd.var, of the entries
+of an NDArray along the given axes.
+
+Parameters
 ----------
-.. [1] https://en.wikipedia.org/wiki/Golden-section_search
+A: NDArray or array-like
+axis: int or int[]
+  [OPTIONAL] The axis or axes along which the standard deviation is computed.
+  By default, the standard deviation of all entries is computed.
+options.ddof: int
+  [OPTIONAL] Delta degrees of freedom. Default: 0.
+options.keepdims: bool
+  [OPTIONAL] If true, the reduced axes are kept with a size of 1. Default: false.
 
-Example
+Returns
 -------
->>> const sqrt9 = nd.opt.min1d_gss(x => Math.abs(x*x-9), -9, +9);
-... console.log('sqrt(9) =', sqrt9);
-  sqrt(9) = 3
+std: NDArray or scalar
 `
 
 
-nd.opt.fit_lin.__doc__ = `\
-Fits a parameter-linear linear function using Linear Regression or Ridge Regression.
+
+nd.prod.__doc__ = `\
+Computes the product of the entries of an NDArray along the given axes. The
+product of 'int32' entries is of dtype 'float64'. The product of 'int64' and
+'uint64' entries is computed using BigInt arithmetic and is of the same dtype,
+wrapping around on overflow like in NumPy.
 
 Parameters
 ----------
-x: float[n_samples(,n_inputs)]
-  Function inputs of the sample points that the function is fit through.
-y: float[n_samples]
-  Function outputs of the sample points that the function is fit through.
-regularization: float
-  [optional] A regularization factor that penalizes the norm of
-  the function coefficients. The larger the regularization, the
-  smaller the coefficients tend to be, i.e. the function becomes
-  smoother and more approximative than interpolative.
-funcs: (float[n_inputs] => float)[n_coeffs]
-  Components of the function that is to be fit through (x,y).
-  Each component has it's own linear parameter/coefficient, i.e.
-  \`fit(x) = c[0]*funcs[0](x) + c[1]*funcs[1](x) + ...\`.
+A: NDArray or array-like
+axis: int or int[]
+  [OPTIONAL] The axis or axes along which the product is computed. By default,
+  the product of all entries is computed.
+options.keepdims: bool
+  [OPTIONAL] If true, the reduced axes are kept with a size of 1. Default: false.
 
 Returns
 -------
-fit {coeffs: float[n]}: float[n_coeffs]
-  A function that fits the points given by x and y. The coefficients
-  and the function components can be retrieved as \`fit.coeffs\` and
-  \`fit.funcs\` properties of the function.
+prod: NDArray or scalar
+`
 
-References
+
+
+nd.min.__doc__ =
+nd.max.__doc__ = `\
+Computes the minimum/maximum of the entries of an NDArray along the given axes.
+NaN values are propagated. Complex numbers are ordered lexicographically, i.e.
+by real part first and imaginary part second.
+
+Parameters
 ----------
-.. [1] https://en.wikipedia.org/wiki/Linear_regression
+A: NDArray or array-like
+axis: int or int[]
+  [OPTIONAL] The axis or axes along which the minimum/maximum is computed.
+  By default, the minimum/maximum of all entries is computed.
+options.keepdims: bool
+  [OPTIONAL] If true, the reduced axes are kept with a size of 1. Default: false.
 
-Example
+Returns
 -------
->>> const [a,b,c,d] = [3,1,2,4];
-... 
-... // Underlying function
-... const fun = ([x,y]) => a + b*x + c*x*y + d * Math.sin(y);
-... 
-... // Generate sample points to fit to
-... let X = [],
-...     Y = [];
-... for( let xi = -2; xi <= +2; xi += 0.5 ) {
-... for( let yi = -2; yi <= +2; yi += 0.5 ) {
-...   X.push(     [xi,yi]  );
-...   Y.push( fun([xi,yi]) );
-... }}
-...
-... // Fitted function
-... const fit = nd.opt.fit_lin(
-...   X,Y,
-...   [([x,y]) => Math.sin(y),
-...    ([x,y]) => x*y,
-...    ([x,y]) => x,
-...    ([x,y]) => 1]
-... );
-... 
-... console.log(
-...   'Fitted coefficients: [d,c,b,a] =',
-...   [...fit.coeffs.map(x => x.toFixed(12))]
-... );
-... 
-... console.log( 'fun([-1,-1]) =',  fun([-1,-1]) );
-... console.log( 'fit([-1,-1]) =',  fit([-1,-1]) );
-  Fitted coefficients: [d,c,b,a] = [ 4, 2, 1, 3 ]
-  fun([-1,-1]) = 0.634116060768414
-  fit([-1,-1]) = 0.6341160607684131
+min/max: NDArray or scalar
+  The minima/maxima, which are of the same dtype as A.
 `
 
 
-nd.opt.fit_dogleg_gen.__doc__ = `\
-Nonlinear least squares fit of a function to the given sample points using
-the (single) Dogleg trust region method.
+
+nd.argmin.__doc__ =
+nd.argmax.__doc__ = `\
+Computes the indices of the minimum/maximum of the entries of an NDArray along
+the given axis. If there are multiple minima/maxima, the index of the first one
+is returned. If there are NaN values, the index of the first NaN is returned.
+Complex numbers are ordered lexicographically.
 
 Parameters
 ----------
-x: float[n_samples,n_inputs]
-  Function inputs of the sample points that the function is fit through.
-y: float[n_samples]
-  Function outputs of the sample points that the function is fit through.
-fg: (params: float[n_params]) => (x: float[n_inputs]) => [f: float, g: float[n_params]]
-  Function whose parameters is fitted. Returns the function value and its
-  gradients with respect to its parameters.
-p0: float[n_params]
-  Starting values for the parameters for fitting.
-opt : {
-  r0: float
-    [optional] Starting value for trust region radius.
-  rMin: float
-    [optional] Lower trust region radius bounds.
-  rMax: float
-    [optional] Upper trust region radius bounds.
-  rTol: float
-    [optional] Relative tolerance by which the iteration adheres to the trust region radius.
-  shrinkLower: float ∈ (0,shrinkUpper]
-    [optional] During a single iteration, the trust region radius may at most decrease by this factor.
-  shrinkUpper: float ∈ [shrinkLower,1)
-    [optional] During a single iteration, the trust region radius may at least decrease by this factor.
-  grow: float
-    [optional] During a single iteration, the trust region radius may increase by this factor.
-  expectGainMin: float
-    [optional] The iteration is expected to provide at least \`expectGainMin\` of the predicted improvement.
-    Otherwise the trust region is shrunk.
-  expectGainMax: float
-    [optional] The iteration is expected to provide at most \`expectGainMax\` of the predicted improvement.
-    Otherwise the trust region is increased.
-}
+A: NDArray or array-like
+axis: int
+  [OPTIONAL] The axis along which the indices are computed. By default, the
+  index of the minimum/maximum of the flattened NDArray is computed.
+options.keepdims: bool
+  [OPTIONAL] If true, the reduced axis is kept with a size of 1. Default: false.
 
 Returns
 -------
-Iterator<[
-  p: float[n_params]
-    Current parameter values of the iteration.
-  mse: float
-    Mean squared error.
-  mse_grad: float[n_params]
-    Gradient of the mean squared error with respect to the parameters.
-  res: float[]
-    Residuals of the fit.
-  res_jac: float[]
-    Jaciobian of the residuals with respect to the parameters.
-]>
+argmin/argmax: NDArray[dtype='int32'] or int
 
-References
-----------
-.. [1] https://en.wikipedia.org/wiki/Powell%27s_dog_leg_method
+Examples
+--------
+>>> let a = nd.array([[1,9,3],
+...                   [4,5,6]])
+>>> nd.argmax(a)
+  1
+>>> console.log( a.argmin(0).toString() )
+  [0, 1, 0]
+`
 
-Example
--------
->>> // Determine half-life of beer using dataset from:
-... // "Multivariate Analyses of Beer Foam Stand" by James J. Hackbart
-... const time = nd.array([[ 0,    15,    30,    45,    60,   90,   120,   150,   180,   210,   240,   270,   300   ]]).T,
-...     height = nd.array( [17.40, 15.10, 13.10, 11.60, 10.60, 8.70,  7.40,  6.35,  5.40,  4.50,  3.80,  3.30,  2.90] );
-... 
-... // Exponential decay function.
-... const fG = ([H0, c]) => ([t]) => [
-...    H0 * 2**(-t*c),
-...   [     2**(-t*c),                    // <- d(fG) / d(H0)
-...    H0 * 2**(-t*c) * Math.log(2) * -t] // <- d(fG) / d(c)
-... ];
-... 
-... for( const [[H0, c], mse, mse_grad] of nd.opt.fit_dogleg_gen(time, height, fG, /*p0=*/[1,1]) )
-...   if( nd.la.norm(mse_grad) <= 1e-5 ) {
-...     console.log({H0, half_life: 1/c});
-...     break;
-...   }
-  { H0: 16.386111804437096, half_life: 108.02447353397987 }
-`;
 
 
-nd.opt.fit_lm_gen.__doc__ = `\
-Nonlinear least squares fit of a function to the given sample points using
-the Levenberg-Marquardt trust region method.
+nd.nansum   .__doc__ =
+nd.nanmean  .__doc__ =
+nd.nanvar   .__doc__ =
+nd.nanstd   .__doc__ =
+nd.nanprod  .__doc__ =
+nd.nanmin   .__doc__ =
+nd.nanmax   .__doc__ =
+nd.nanargmin.__doc__ =
+nd.nanargmax.__doc__ = `\
+Variants of nd.sum, nd.mean, nd.var, nd.std, nd.prod, nd.min, nd.max, nd.argmin
+and nd.argmax that ignore NaN values. Complex numbers are treated as NaN if their
+real or imaginary part is NaN. The arguments are the same as for the non-NaN
+variants.
+
+If all values of a reduced slice are NaN, nd.nansum returns 0, nd.nanprod
+returns 1, nd.nanargmin and nd.nanargmax throw an error and the other
+reductions return NaN.
+
+Examples
+--------
+>>> let a = nd.array('float64', [[1,NaN,3],
+...                              [4,  5,6]])
+>>> console.log( nd.nansum(a,1).toString() )
+  [4, 15]
+>>> nd.nanargmax(a)
+  5
+`
+
+
+
+nd.NDArray.prototype.sum .__doc__ = nd.sum .__doc__
+nd.NDArray.prototype.mean.__doc__ = nd.mean.__doc__
+nd.NDArray.prototype.var .__doc__ = nd.var .__doc__
+nd.NDArray.prototype.std .__doc__ = nd.std .__doc__
+nd.NDArray.prototype.prod.__doc__ = nd.prod.__doc__
+
+nd.NDArray.prototype.min.__doc__ = nd.min.__doc__
+nd.NDArray.prototype.max.__doc__ = nd.max.__doc__
+
+nd.NDArray.prototype.argmin.__doc__ = nd.argmin.__doc__
+nd.NDArray.prototype.argmax.__doc__ = nd.argmax.__doc__
+
+
+
+nd.help.__doc__ = `\
+Outputs a documentation string for the given method ND.JS method to the console. This method
+is intended to be used in interactive mode to explore and learn the ND.JS API.
+
+This method is only available in the non-minfied version of ND.JS.
 
 Parameters
 ----------
-x: float[n_samples,n_inputs]
-  Function inputs of the sample points that the function is fit through.
-y: float[n_samples]
-  Function outputs of the sample points that the function is fit through.
-fg: (params: float[n_params]) => (x: float[n_inputs]) => [f: float, g: float[n_params]]
-  Function whose parameters is fitted. Returns the function value and its
-  gradients with respect to its parameters.
-p0: float[n_params]
-  Starting values for the parameters for fitting.
-opt : {
-  r0: float
-    [optional] Starting value for trust region radius.
-  rMin: float
-    [optional] Lower trust region radius bounds.
-  rMax: float
-    [optional] Upper trust region radius bounds.
-  rTol: float
-    [optional] Relative tolerance by which the iteration adheres to the trust region radius.
-  lmLower: float ∈ (0,1)
-    [optional] A small number that avoids that the Levenberg-Marquardt parameter becomes
-    too small too quickly during iteration.
-  shrinkLower: float ∈ (0,shrinkUpper]
-    [optional] During a single iteration, the trust region radius may at most decrease by this factor.
-  shrinkUpper: float ∈ [shrinkLower,1)
-    [optional] During a single iteration, the trust region radius may at least decrease by this factor.
-  grow: float
-    [optional] During a single iteration, the trust region radius may increase by this factor.
-  expectGainMin: float
-    [optional] The iteration is expected to provide at least \`expectGainMin\` of the predicted improvement.
-    Otherwise the trust region is shrunk.
-  expectGainMax: float
-    [optional] The iteration is expected to provide at most \`expectGainMax\` of the predicted improvement.
-    Otherwise the trust region is increased.
-}
+fun: Function
+  The function or package ND.JS API method for which the documentation is to be retrieved.
 
-Returns
--------
-Iterator<[
-  p: float[n_params]
-    Current parameter values of the iteration.
-  mse: float
-    Mean squared error.
-  mse_grad: float[n_params]
-    Gradient of the mean squared error with respect to the parameters.
-  res: float[]
-    Residuals of the fit.
-  res_jac: float[]
-    Jaciobian of the residuals with respect to the parameters.
-]>
+Examples
+--------
+>>> nd.help(nd.la)
+  The Linear Algebra subpackage of ND.JS. Contains methods for the handling and decomposition
+  of matrices as well as solvers for linear equations and linear least square systems.
 
-References
+  As convention the last two axes of an \`NDArray\` are considered as the matrix dimensions.
+  Higher dimensional arrays are considered "arrays of matrices" and the broadcasting rules
+  apply for the leading dimenions, i.e. for all dimensions of the shape except the last two.
+`
+
+
+
+nd.help_str.__doc__ = `\
+Returns a documentation string for the given method ND.JS method to the console. This method
+is used by \`create_doc_jsdom()\` to create the documentation and by \`nd.help()\` to
+print help to the console.
+
+This method is only available in the non-minfied version of ND.JS.
+
+Parameters
 ----------
-.. [1] https://en.wikipedia.org/wiki/Levenberg%E2%80%93Marquardt_algorithm
+fun: Function
+  The function or package ND.JS API method for which the documentation is to be retrieved.
 
-Example
+Returns
 -------
->>> // Determine half-life of beer using dataset from:
-... // "Multivariate Analyses of Beer Foam Stand" by James J. Hackbart
-... const time = nd.array([[ 0,    15,    30,    45,    60,   90,   120,   150,   180,   210,   240,   270,   300   ]]).T,
-...     height = nd.array( [17.40, 15.10, 13.10, 11.60, 10.60, 8.70,  7.40,  6.35,  5.40,  4.50,  3.80,  3.30,  2.90] );
-... 
-... // Exponential decay function.
-... const fG = ([H0, c]) => ([t]) => [
-...    H0 * 2**(-t*c),
-...   [     2**(-t*c),                    // <- d(fG) / d(H0)
-...    H0 * 2**(-t*c) * Math.log(2) * -t] // <- d(fG) / d(c)
-... ];
-... 
-... for( const [[H0, c], mse, mse_grad] of nd.opt.fit_lm_gen(time, height, fG, /*p0=*/[1,1]) )
-...   if( nd.la.norm(mse_grad) <= 1e-6 ) {
-...     console.log({H0, half_life: 1/c});
-...     break;
-...   }
-  { H0: 16.386111806695105, half_life: 108.02447348677644 }
-`;
+help: String
+  A documentation String for the given method or package.
 
+Examples
+--------
+>>> console.log( nd.help(nd.la) )
+  "The Linear Algebra subpackage of ND.JS. Contains methods for the handling and decomposition
+   of matrices as well as solvers for linear equations and linear least square systems.
 
-nd.opt.odr_lm_gen.__doc__ = `\
-Orthogonal least squares regression fit of a function to the given sample
-points using the Levenberg-Marquardt trust region method. This method minimizes
-the following least-squares problem:
+   As convention the last two axes of an \`NDArray\` are considered as the matrix dimensions.
+   Higher dimensional arrays are considered "arrays of matrices" and the broadcasting rules
+   apply for the leading dimenions, i.e. for all dimensions of the shape except the last two."
+`
 
-  minimize F(p,x) = ∑ᵢ (f(x[i,:]) - y[i,:])²   +   ∑ᵢⱼ dx[i,j]²
+
+
+  //
+ // OPTIMIZATION
+//
+nd.opt.min_lbfgs_gen.__doc__ = `\
+Iteratively minimizes a function using the L-BFGS method. An indefinite number of solutions is
+returned unless the line search does not make any further progress, in which case a
+\`LineSearchNoProgressError\` is thrown. The user must check for a proper stopping condition
+her-/himself.
 
 Parameters
 ----------
-x: float[n_samples(,n_inputs)]
-  Function inputs of the sample points that the function is fit through.
-y: float[n_samples(,n_outputs)]
-  Function outputs of the sample points that the function is fit through.
-fgg: (p: float[n_params]) => (x: float[n_inputs]) => [f: float, dfdp: float[(n_outputs,)n_params], dfdx: float[(n_outputs)(,n_inputs)]]
-  Function whose parameters is fitted. Returns the function value and its
-  gradients with respect to its parameters and its gradients with respect
-  to its function input \`x\`.
-p0: float[n_params]
-  Starting values for the parameters for fitting.
-opt : {
-  dx0: float[n_samples(,n_inputs)]
-    [optional] Starting value for the function inputs delta for fitting.
-  r0: float
-    [optional] Starting value for trust region radius.
-  rMin: float
-    [optional] Lower trust region radius bounds.
-  rMax: float
-    [optional] Upper trust region radius bounds.
-  rTol: float
-    [optional] Relative tolerance by which the iteration adheres to the trust region radius.
-  lmLower: float ∈ (0,1)
-    [optional] A small number that avoids that the Levenberg-Marquardt parameter becomes
-    too small too quickly during iteration.
-  shrinkLower: float ∈ (0,shrinkUpper]
-    [optional] During a single iteration, the trust region radius may at most decrease by this factor.
-  shrinkUpper: float ∈ [shrinkLower,1)
-    [optional] During a single iteration, the trust region radius may at least decrease by this factor.
-  grow: float
-    [optional] During a single iteration, the trust region radius may increase by this factor.
-  expectGainMin: float
-    [optional] The iteration is expected to provide at least \`expectGainMin\` of the predicted improvement.
-    Otherwise the trust region is shrunk.
-  expectGainMax: float
-    [optional] The iteration is expected to provide at most \`expectGainMax\` of the predicted improvement.
-    Otherwise the trust region is increased.
+fg: (x: NDArray[N]) => [f: NDArray[], g: NDArray[N]]
+  A method return both the function value and gradients of the optimized function for
+  the given input \`x\`. 
+x0: NDArray[N]
+  The starting point for the minimization.
+options: {
+  historySize=8: int
+    The number of past value-gradient pairs that are memoized in order to approximate the Hessian.
+  lineSearch=nd.opt.line_search.strong_wolfe()
+    The line search method used to advance the solution along the current search direction.
+    Must at least satisfy the Wolfe Condition.
+  negDir0 = g=>g: (g: NDArray[N]) => (negDir: NDArray[N])
+    Returns the gradient-descent-like initial search direction. Can be used to control the initial
+    search step.
 }
 
 Returns
 -------
-Iterator<[
-  p: float[n_params]
-    Current parameter values of the iteration.
-  dx: float[n_samples(,n_inputs)]
-    Current function inputs delta, a.k.a. residuals in the function inputs.
-  mse: float
-    Mean squared error.
-  dmse_dp: float[n_params]
-    Gradient of the mean squared error with respect to the parameters.
-  dmse_ddx: float[n_samples(,n_inputs)]
-    Gradient of the mean squared error with respect to the function inputs delta \`dx\`.
-  dy: float[n_samples(,n_outputs)]
-    Residuals in the function ouputs.
-]>
+approximations: Iterator<[x: NDArray[N], f: NDArray[] g: NDArray[N]]>
+  An iterator over the approximations/iterations made by the L-BFGS method. Will return an indefinite
+  amount of approximations unless a \`LineSearchNoProgressError\` is thrown.
+
+Throws
+------
+noProgress: nd.opt.LineSearchNoProgressError
+  If the optimization is not making any more progress. This is usally happens when the optimizer
+  is already very close to the minimum.
 
 References
 ----------
-.. [1] https://en.wikipedia.org/wiki/Levenberg%E2%80%93Marquardt_algorithm
-.. [2] https://en.wikipedia.org/wiki/Total_least_squares
+.. [1] https://en.wikipedia.org/wiki/Limited-memory_BFGS
+.. [2] https://en.wikipedia.org/wiki/Wolfe_conditions
 
 Example
 -------
->>> // generate some data with the underlying function: y = 7 - 3*x0 + x1
-... let x = Array.from({length: 8}, (_,i) =>
-...         Array.from({length: 8}, (_,j) => [i-4,j-4] )).flat();
-... let y = x.map( ([x0,x1]) => 7 - 3*x0 + x1 );
-...
-... // add some uniform noise both in x and y
-... x = x.map( xi => xi.map(x => x + Math.random()*0.2-0.1) );
-... y = y.map(              y => y + Math.random()*0.2-0.1  );
-...
-... // model function whose parameter are to be fitted
-... const fgg = ([p0,p1,p2]) => ([x0,x1]) => {
-...   const f   =  p0 + p1*x0 + p2*x1,
-...        dfdp = [ 1,     x0,     x1 ],
-...        dfdx = [     p1   ,  p1    ];
-...     return [f, dfdp, dfdx];
-... }
-...
-... let p, dx, mse, dmse_dp, dmse_ddx;
-... try {
-...   for( [p, dx, mse, dmse_dp, dmse_ddx] of nd.opt.odr_lm_gen(x,y, fgg, [0,0,0]) )
-...   {
-...     if(  nd.la.norm(dmse_dp ) <= 1e-6
-...       && nd.la.norm(dmse_ddx) <= 1e-6 )
+>>> const fg = ([x,y]) => [
+...   nd.array(  (x-1)**2 + 100*(y-x*x)**2 ),
+...   nd.array([ (x-1) *2 - 400*(y-x*x) *x,
+...                         200*(y-x*x) ])
+... ];
+... let x,f,g, nIter = -1;
+... try {
+...   for( [x,f,g] of nd.opt.min_lbfgs_gen(fg, /*x0=*/[0,0], {negDir: g => g.mapElems(x => x*0.1)}) )
+...   {
+...     const gNorm = g.reduceElems(nd.math.hypot);
+...     if( ++nIter > 1e3 )
+...       throw new Error('Too many iterations.');
+...     if( gNorm <= 1e-8 )
 ...       break;
 ...   }
 ... }
 ... catch(err) {
-...   if( !(err instanceof nd.opt.OptimizationNoProgressError) )
+...   if( ! (err instanceof nd.opt.LineSearchNoProgressError) )
 ...     throw err;
+...   console.log('No progress.');
 ... }
-...
-... console.log('P = ' + p);
-  P = [ 7.021041391243395, -2.9909472084570687, 1.0073465017684218 ]
-`;
-
+... console.log('Solution:', x);
+  Solution: [ 0.9999999998879853, 0.9999999997700713 ]
+`
 
-nd.opt.odr_dogleg_gen.__doc__ = `\
-Orthogonal least squares regression fit of a function to the given sample
-points using the Dogleg trust region method. This method minimizes
-the following least-squares problem:
 
-  minimize F(p,x) = ∑ᵢ (f(x[i,:]) - y[i,:])²   +   ∑ᵢⱼ dx[i,j]²
+nd.opt.min_lbfgsb_gen.__doc__ = `\
+Iteratively minimizes a function using the L-BFGS-B method which supports bound-constraits.
+An indefinite number of solutions is returned unless the line search does not make any further
+progress, in which case a \`LineSearchNoProgressError\` is thrown. The user must check for a
+proper stopping condition her-/himself.
 
 Parameters
 ----------
-x: float[n_samples(,n_inputs)]
-  Function inputs of the sample points that the function is fit through.
-y: float[n_samples(,n_outputs)]
-  Function outputs of the sample points that the function is fit through.
-fgg: (p: float[n_params]) => (x: float[n_inputs]) => [f: float, dfdp: float[(n_outputs,)n_params], dfdx: float[(n_outputs)(,n_inputs)]]
-  Function whose parameters is fitted. Returns the function value and its
-  gradients with respect to its parameters and its gradients with respect
-  to its function input \`x\`.
-p0: float[n_params]
-  Starting values for the parameters for fitting.
-opt : {
-  dx0: float[n_samples(,n_inputs)]
-    [optional] Starting value for the function inputs delta for fitting.
-  r0: float
-    [optional] Starting value for trust region radius.
-  rMin: float
-    [optional] Lower trust region radius bounds.
-  rNewton: float
-    [optional] If the Gauss-Newton is inside the trust region, the trust radius is set to
-    \`rNewton\` times the distance to the Gauss-Newton point.
-  shrinkLower: float ∈ (0,shrinkUpper]
-    [optional] During a single iteration, the trust region radius may at most decrease by this factor.
-  shrinkUpper: float ∈ [shrinkLower,1)
-    [optional] During a single iteration, the trust region radius may at least decrease by this factor.
-  grow: float
-    [optional] During a single iteration, the trust region radius may increase by this factor.
-  expectGainMin: float
-    [optional] The iteration is expected to provide at least \`expectGainMin\` of the predicted improvement.
-    Otherwise the trust region is shrunk.
-  expectGainMax: float
-    [optional] The iteration is expected to provide at most \`expectGainMax\` of the predicted improvement.
-    Otherwise the trust region is increased.
-  stuckLimit: int
-    [optional] The maximum number of consecutive function calls allowed without any minimization progress.
+fg: (x: NDArray[N]) => [f: NDArray[], g: NDArray[N]]
+  A method return both the function value and gradients of the optimized function for
+  the given input \`x\`. 
+x0: NDArray[N]
+  The starting point for the minimization.
+bounds: NDArray[N,2]
+  The lower and upper bounds for each dimension. Set to -Infinity and +Infinity respectively
+  to disable the bounds in some directions.
+options: {
+  historySize=8: int
+    The number of past value-gradient pairs that are memoized in order to approximate the Hessian.
+  lineSearch=nd.opt.line_search.strong_wolfe()
+    The line search method used to advance the solution along the current search direction.
+    Must at least satisfy the Wolfe Condition.
 }
 
 Returns
 -------
-Iterator<[
-  p: float[n_params]
-    Current parameter values of the iteration.
-  dx: float[n_samples(,n_inputs)]
-    Current function inputs delta, a.k.a. residuals in the function inputs.
-  mse: float
-    Mean squared error.
-  dmse_dp: float[n_params]
-    Gradient of the mean squared error with respect to the parameters.
-  dmse_ddx: float[n_samples(,n_inputs)]
-    Gradient of the mean squared error with respect to the function inputs delta \`dx\`.
-  dy: float[n_samples(,n_outputs)]
-    Residuals in the function ouputs.
-]>
+approximations: Iterator<[x: NDArray[N], f: NDArray[] g: NDArray[N]]>
+  An iterator over the approximations/iterations made by the L-BFGS method. Will return an indefinite
+  amount of approximations unless a \`LineSearchNoProgressError\` is thrown.
+
+Throws
+------
+noProgress: nd.opt.LineSearchNoProgressError
+  If the optimization is not making any more progress. This is usally happens when the optimizer
+  is already very close to the minimum.
 
 References
 ----------
-.. [1] https://en.wikipedia.org/wiki/Powell%27s_dog_leg_method
-.. [2] https://en.wikipedia.org/wiki/Total_least_squares
+.. [1] https://en.wikipedia.org/wiki/Limited-memory_BFGS
+.. [2] https://en.wikipedia.org/wiki/Wolfe_conditions
 
 Example
 -------
->>> // generate some data with the underlying function: y = 7 - 3*x0 + x1
-... let x = Array.from({length: 8}, (_,i) =>
-...         Array.from({length: 8}, (_,j) => [i-4,j-4] )).flat();
-... let y = x.map( ([x0,x1]) => 7 - 3*x0 + x1 );
-...
-... // add some uniform noise both in x and y
-... x = x.map( xi => xi.map(x => x + Math.random()*0.2-0.1) );
-... y = y.map(              y => y + Math.random()*0.2-0.1  );
-...
-... // model function whose parameter are to be fitted
-... const fgg = ([p0,p1,p2]) => ([x0,x1]) => {
-...   const f   =  p0 + p1*x0 + p2*x1,
-...        dfdp = [ 1,     x0,     x1 ],
-...        dfdx = [     p1   ,  p1    ];
-...     return [f, dfdp, dfdx];
-... }
-...
-... let p, dx, mse, dmse_dp, dmse_ddx;
+>>> const fg = ([x,y]) => [
+...   nd.array(  (x-1)**2 + 100*(y-x*x)**2 ),
+...   nd.array([ (x-1) *2 - 400*(y-x*x) *x,
+...                         200*(y-x*x) ])
+... ];
+... const bounds = [
+...   [-Infinity, 0       ],
+...   [-8,       +Infinity]
+... ];
+... let x,f,g, nIter = -1;
 ... try {
-...   for( [p, dx, mse, dmse_dp, dmse_ddx] of nd.opt.odr_dogleg_gen(x,y, fgg, [0,0,0]) )
+...   for( [x,f,g] of nd.opt.min_lbfgsb_gen(fg, /*x0=*/[-1,+1], bounds) )
 ...   {
-...     if(  nd.la.norm(dmse_dp ) <= 1e-6
-...       && nd.la.norm(dmse_ddx) <= 1e-6 )
+...     const gNorm = g.reduceElems(nd.math.hypot);
+...     if( ++nIter > 1e3 )
+...       throw new Error('Too many iterations.');
+...     if( gNorm <= 1e-8 )
 ...       break;
 ...   }
 ... }
 ... catch(err) {
-...   if( !(err instanceof nd.opt.OptimizationNoProgressError) )
+...   if( ! (err instanceof nd.opt.LineSearchNoProgressError) )
 ...     throw err;
+...   console.log('No progress.');
 ... }
-...
-... console.log('P = ' + p);
-  P = [ 6.967630316177548, -2.9919053487374145, 1.0098254712960533 ]
-`;
+... console.log('Solution:', x);
+  Solution: [ 0, 0 ]
+`
+
+
+nd.opt.min_auglag_gen.__doc__ = `\
+Iteratively minimizes a function subject to nonlinear equality and inequality constraints
+
+  min f(x)  s.t.  c_eq(x) = 0,  c_ineq(x) <= 0
+
+using the (Powell-Hestenes-Rockafellar) augmented Lagrangian method. Each iteration
+approximately minimizes the augmented Lagrangian using \`nd.opt.min_lbfgs_gen\` and then
+either updates the Lagrange multiplier estimates or increases the penalty. An indefinite
+number of iterations is returned, the user must check for a proper stopping condition
+her-/himself, e.g. using the reported KKT residuals.
+
+Parameters
+----------
+fg: (x: NDArray[N]) => [f: float, g: NDArray[N]]
+  The objective function and its gradient.
+x0: NDArray[N]
+  The starting point of the minimization. Does not have to be feasible.
+options: {
+  cJ_eq: (x: NDArray[N]) => [c: NDArray[P], J: NDArray[P,N]]
+    The equality constraints and their Jacobian.
+  cJ_ineq: (x: NDArray[N]) => [c: NDArray[K], J: NDArray[K,N]]
+    The inequality constraints and their Jacobian.
+  historySize=8: int
+    The L-BFGS history size used for the subproblems.
+  lineSearch=nd.opt.line_search.more_thuente_abc()
+    The line search used for the subproblems.
+  penalty0=10: float
+    The initial penalty parameter.
+  penaltyGrowth=10: float
+    The factor by which the penalty is increased if the constraint violation does not
+    decrease fast enough.
+  penaltyMax=1e8: float
+    The maximum penalty parameter.
+  tolMin=1e-12: float
+    The smallest gradient and constraint violation tolerance used for the subproblems.
+  innerMaxIter=1024: int
+    The maximum number of L-BFGS iterations per subproblem.
+}
+
+Returns
+-------
+approximations: Iterator<[x: NDArray[N], f: float, λ: NDArray[P], μ: NDArray[K], kkt]>
+  An iterator over the approximations, where λ and μ are the multiplier estimates of the
+  equality and inequality constraints respectively (null if there are none) and
+  kkt = {stationarity, feasibility, complementarity} are the maximum norms of the
+  KKT residuals, i.e. of \`∇f + J_eqᵀ@λ + J_ineqᵀ@μ\`, of the constraint violations
+  and of \`min(-c_ineq, μ)\`.
+
+References
+----------
+.. [1] "Numerical Optimization" 2nd Edition
+        Jorge Nocedal & Stephen J. Wright
+        Chapter 17 "Penalty and Augmented Lagrangian Methods"
+
+Example
+-------
+>>> const fg = ([x,y]) => [
+...   (x-1)**2 + 100*(y-x*x)**2,
+...   [(x-1)*2 - 400*(y-x*x)*x,
+...             200*(y-x*x)]
+... ];
+... const cJ_ineq = ([x,y]) => [ [x*x + y*y - 1], [[2*x, 2*y]] ]; // <- unit disk
+... let x, nIter = 0;
+... for( const [X,f,λ,μ,kkt] of nd.opt.min_auglag_gen(fg, [0,0], {cJ_ineq}) )
+... {
+...   x = X;
+...   if( Math.max(kkt.stationarity, kkt.feasibility, kkt.complementarity) <= 1e-7 )
+...     break;
+...   if( ++nIter > 128 )
+...     throw new Error('Too many iterations.');
+... }
+... console.log('Solution:', Array.from(x.data, xi => xi.toFixed(4)));
+  Solution: [ '0.7864', '0.6177' ]
+`
+
+
+nd.opt.min_powell_gen.__doc__ = `\
+Iteratively minimizes a function without using derivatives via Powell's conjugate direction
+method. Each sweep minimizes the function along each search direction using Brent's method and
+then replaces the direction of largest decrease by the overall direction of the sweep. The
+initial search directions are randomly rotated. A new approximation is returned whenever a
+better point was found. Once a sweep does not make any (significant) progress anymore, an
+\`OptimizationNoProgressError\` is thrown.
+
+Parameters
+----------
+f: (x: NDArray[N]) => float
+  The function to be minimized.
+x0: NDArray[N]
+  The starting point of the minimization.
+options: {
+  scale=0.1: float
+    The length of the initial search directions, i.e. the initial step size of the line searches.
+  lineTol=sqrt(eps): float
+    The relative tolerance of the line searches. The minimization is stopped once a sweep moves
+    \`x\` by less than \`lineTol\` (relative to \`x\` and \`scale\`).
+  rng: nd.rand.RNG
+    The random number generator used to rotate the initial search directions.
+}
+
+Returns
+-------
+approximations: Iterator<[x: NDArray[N], f: float]>
+  An iterator over the improving approximations made by Powell's method.
+
+Throws
+------
+noProgress: nd.opt.OptimizationNoProgressError
+  If the optimization is not making any more progress.
+
+References
+----------
+.. [1] "An efficient method for finding the minimum of a function of several variables without calculating derivatives"
+        M. J. D. Powell; The Computer Journal, Vol. 7, No. 2, 1964
+.. [2] "Algorithms for Minimization without Derivatives", Chapter 5
+        Richard P. Brent; Prentice-Hall, 1973
+
+Example
+-------
+>>> const f = ([x,y]) => (x-1)**2 + 100*(y-x*x)**2;
+... let x,fx;
+... try {
+...   for( [x,fx] of nd.opt.min_powell_gen(f, /*x0=*/[-1,+2]) );
+... }
+... catch(err) {
+...   if( ! (err instanceof nd.opt.OptimizationNoProgressError) )
+...     throw err;
+... }
+... console.log('Solution:', Array.from(x.data, xi => xi.toFixed(6)));
+  Solution: [ '1.000000', '1.000000' ]
+`
+
+
+nd.opt.min_bobyqa_gen.__doc__ = `\
+Iteratively minimizes a function subject to bound constraints without using derivatives via
+a BOBYQA-style trust region method. A quadratic model of the function is interpolated through
+2N+1 points, where each model update changes the Hessian as little as possible (in the Frobenius
+norm). The model is minimized inside of a trust region and the bounds, and the interpolation
+points are kept well-poised by occasional geometry improving steps. The function is never
+evaluated outside of the bounds. A new approximation is returned whenever a better point was
+found. Once the trust region radius has reached \`rhoEnd\` without any further progress, an
+\`OptimizationNoProgressError\` is thrown.
+
+Parameters
+----------
+f: (x: NDArray[N]) => float
+  The function to be minimized.
+x0: NDArray[N]
+  The starting point of the minimization. If \`x0\` lies within \`rhoBegin\` of a bound, it is
+  moved onto or away from that bound.
+bounds: NDArray[N,2]
+  The lower and upper bounds for each dimension. Set to -Infinity and +Infinity respectively
+  to disable the bounds in some directions. The bounds have to be at least \`2*rhoBegin\` apart.
+options: {
+  rhoBegin=0.5: float
+    The initial trust region radius, i.e. the distance of the initial interpolation points from \`x0\`.
+  rhoEnd=1e-8: float
+    The final trust region radius, i.e. roughly the accuracy of the solution.
+}
+
+Returns
+-------
+approximations: Iterator<[x: NDArray[N], f: float]>
+  An iterator over the improving approximations made by the trust region method.
+
+Throws
+------
+noProgress: nd.opt.OptimizationNoProgressError
+  If the trust region radius has reached \`rhoEnd\` and no further progress is made.
+
+References
+----------
+.. [1] "The BOBYQA algorithm for bound constrained optimization without derivatives"
+        M. J. D. Powell; Technical Report DAMTP 2009/NA06, University of Cambridge, 2009
+.. [2] "Least Frobenius norm updating of quadratic models that satisfy interpolation conditions"
+        M. J. D. Powell; Mathematical Programming, Vol. 100, pp. 183-215, 2004
+
+Example
+-------
+>>> const f = ([x,y]) => (x-1)**2 + 100*(y-x*x)**2;
+... const bounds = [
+...   [-Infinity, 0.5      ],
+...   [-8,       +Infinity]
+... ];
+... let x,fx;
+... try {
+...   for( [x,fx] of nd.opt.min_bobyqa_gen(f, /*x0=*/[-1,+2], bounds) );
+... }
+... catch(err) {
+...   if( ! (err instanceof nd.opt.OptimizationNoProgressError) )
+...     throw err;
+... }
+... console.log('Solution:', Array.from(x.data, xi => xi.toFixed(6)));
+  Solution: [ '0.500000', '0.250000' ]
+`
+
+
+nd.opt.min_cmaes_gen.__doc__ = `\
+Iteratively minimizes a function without using derivatives via the Covariance Matrix Adaptation
+Evolution Strategy (CMA-ES). Each generation, a population of points is sampled from a multivariate
+normal distribution whose mean, step size and covariance are adapted using the best half of the
+population. A new approximation is returned whenever a sample better than all previous ones was
+found. Since the best sample is returned, the result is not necessarily close to a local minimum.
+Once the distribution has collapsed or no better sample was found for \`maxStall\` generations, an
+\`OptimizationNoProgressError\` is thrown.
+
+Parameters
+----------
+f: (x: NDArray[N]) => float
+  The function to be minimized.
+x0: NDArray[N]
+  The starting point, i.e. the initial mean of the search distribution.
+options: {
+  sigma=0.1: float
+    The initial step size, i.e. the initial standard deviation of the search distribution.
+    Should be about a third of the expected distance to the minimum.
+  popSize=4+floor(3*ln(N)): int
+    The number of samples per generation. Larger populations make the search more global,
+    e.g. in order to find the global minimum of multi-modal functions.
+  tolX=sigma*1e-12: float
+    The minimization is stopped once the standard deviation of the search distribution is
+    below \`tolX\` in all directions.
+  maxStall=ceil(100 + 100*N**1.5/popSize): int
+    The maximum number of generations without improvement.
+  rng: nd.rand.RNG
+    The random number generator used to sample the population.
+}
+
+Returns
+-------
+approximations: Iterator<[x: NDArray[N], f: float]>
+  An iterator over the improving samples.
+
+Throws
+------
+noProgress: nd.opt.OptimizationNoProgressError
+  If the search distribution has collapsed or the search stalls.
+
+References
+----------
+.. [1] "The CMA Evolution Strategy: A Tutorial"
+        Nikolaus Hansen; arXiv:1604.00772, 2016
+.. [2] "Completely Derandomized Self-Adaptation in Evolution Strategies"
+        N. Hansen and A. Ostermeier; Evolutionary Computation, Vol. 9, No. 2, 2001
+
+Example
+-------
+>>> const f = x => x.data.reduce((sum,xi) => sum + xi*xi - 10*Math.cos(2*Math.PI*xi) + 10, 0); // <- rastrigin
+... let x,fx, nIter = 0;
+... for( [x,fx] of nd.opt.min_cmaes_gen(f, /*x0=*/[2.2,-1.7,3.1], {sigma: 3, popSize: 128, rng: new nd.rand.AleaRNG('example')}) )
+...   if( fx <= 1e-10 || ++nIter > 1e4 )
+...     break;
+... console.log('Distance to global minimum:', nd.la.norm(x).toFixed(4));
+  Distance to global minimum: 0.0000
+`
+
+
+
+nd.opt.root1d_bisect.__doc__ = `\
+Finds a single root of a continuous univariate function using the bisection method.
+
+Parameters
+----------
+F: float => float
+  Continuous function for which a root is to be found.
+x1: float
+  One side of the range containing a root. F(x1) and F(x2) must have opposite signs (or be zero).
+x2: float
+  Other side of the range containing a root. F(x1) and F(x2) must have opposite signs (or be zero).
+
+Returns
+-------
+x0: float
+  A root of F, i.e. F(x0) ≈ 0.
+
+References
+----------
+.. [1] https://en.wikipedia.org/wiki/Bisection_method
+
+Example
+-------
+>>> const sqrt9 = nd.opt.root1d_bisect(x => x*x-9, 0, 9);
+... console.log('sqrt(9) =', sqrt9);
+  sqrt(9) = 3
+`
+
+
+nd.opt.root1d_brent.__doc__ = `\
+Finds a single root of a continuous univariate function using Brent's method.
+
+Parameters
+----------
+F: float => float
+  Continuous function for which a root is to be found.
+x1: float
+  One side of the range containing a root. F(x1) and F(x2) must have opposite signs (or be zero).
+x2: float
+  Other side of the range containing a root. F(x1) and F(x2) must have opposite signs (or be zero).
+
+Returns
+-------
+x0: float
+  A root of F, i.e. F(x0) ≈ 0.
+
+References
+----------
+ .. [1] https://en.wikipedia.org/wiki/Brent's_method
+
+Example
+-------
+>>> const sqrt9 = nd.opt.root1d_bisect(x => x*x-9, 0, 9);
+... console.log('sqrt(9) =', sqrt9);
+  sqrt(9) = 3
+`
+
+
+nd.opt.root1d_illinois.__doc__ = `\
+Finds a single root of a continuous univariate function using the bisection Ford's (Illinois-type) method.
+
+Parameters
+----------
+F: float => float
+  Continuous function for which a root is to be found.
+x1: float
+  One side of the range containing a root. F(x1) and F(x2) must have opposite signs (or be zero).
+x2: float
+  Other side of the range containing a root. F(x1) and F(x2) must have opposite signs (or be zero).
+
+Returns
+-------
+x0: float
+  A root of F, i.e. F(x0) ≈ 0.
+
+References
+----------
+.. [1] https://en.wikipedia.org/wiki/False_position_method
+.. [2] "Improved Algorithms Of Illinois-Type For The Numerical Solution Of Nonlinear Equations"
+
+Example
+-------
+>>> const sqrt9 = nd.opt.root1d_bisect(x => x*x-9, 0, 9);
+... console.log('sqrt(9) =', sqrt9);
+  sqrt(9) = 3
+`
+
+
+nd.opt.min1d_gss.__doc__ = `\
+Finds a single minimum of a continuous univariate function using Golden Section Search.
+
+Parameters
+----------
+F: float => float
+  Continuous function for which a minimum is to be found.
+x1: float
+  One side of the range containing a root. Must be left of the minimum.
+x2: float
+  Other side of the range containing a root. Must be right of the minimum.
+
+Returns
+-------
+xMin: float
+  A local minimum of F.
+
+References
+----------
+.. [1] https://en.wikipedia.org/wiki/Golden-section_search
+
+Example
+-------
+>>> const sqrt9 = nd.opt.min1d_gss(x => Math.abs(x*x-9), -9, +9);
+... console.log('sqrt(9) =', sqrt9);
+  sqrt(9) = 3
+`
+
+
+nd.opt.qp_gen.__doc__ = `\
+Iteratively solves a convex quadratic program
+
+  min ½xᵀQx + cᵀx  s.t.  A@x = b,  G@x <= h
+
+using Mehrotra's primal-dual interior point method. The iterates are not required to be
+feasible. The generator returns once the residuals of the KKT conditions and the duality
+gap are within the given tolerance.
+
+Parameters
+----------
+Q: NDArray[N,N]
+  The (symmetric) positive semi-definite Hessian of the objective. Only the symmetric
+  part of Q is taken into account.
+c: NDArray[N]
+  The linear part of the objective.
+options: {
+  A: NDArray[P,N], b: NDArray[P]
+    The optional equality constraints \`A@x = b\`. A should have full row rank.
+  G: NDArray[K,N], h: NDArray[K]
+    The optional inequality constraints \`G@x <= h\`.
+  tol=1e-8: float
+    The relative tolerance of the KKT residuals and the duality gap.
+  maxIter=128: int
+    The maximum number of iterations.
+}
+
+Returns
+-------
+approximations: Iterator<[x: NDArray[N], f: float, y: NDArray[P], z: NDArray[K]]>
+  An iterator over the iterates, where x is the primal solution, f the objective, y the
+  Lagrange multipliers of the equality constraints and z the (non-negative) Lagrange
+  multipliers of the inequality constraints. y and z are null if there are no equality
+  and inequality constraints respectively.
+
+Throws
+------
+err: nd.opt.OptimizationError
+  If there is no convergence after \`maxIter\` iterations. Infeasibility and unboundedness
+  are not detected explicitly, so such problems usually end up here as well.
+
+References
+----------
+.. [1] "On the Implementation of a Primal-Dual Interior Point Method"
+        Sanjay Mehrotra
+        SIAM Journal on Optimization, Vol. 2, No. 4, pp. 575-601, 1992
+`
+
+
+
+nd.opt.qp.__doc__ = `\
+Solves a convex quadratic program by running \`nd.opt.qp_gen\` until convergence.
+Takes the same arguments as \`nd.opt.qp_gen\` and returns its last iterate.
+
+Example
+-------
+>>> const [x,f] = nd.opt.qp(
+...   /*Q=*/[[ 1,-1],
+...          [-1, 2]],
+...   /*c=*/[-2,-6],
+...   {
+...     G: [[ 1, 1],
+...         [-1, 2],
+...         [ 2, 1]],
+...     h: [2,2,3]
+...   }
+... );
+... console.log('x =', Array.from(x.data, xi => xi.toFixed(6)));
+  x = [ '0.666667', '1.333333' ]
+`
+
+
+
+nd.opt.fit_lin.__doc__ = `\
+Fits a parameter-linear linear function using (weighted) Linear Regression
+or Ridge Regression. Robust loss functions (Huber, Tukey, L1) are supported
+via Iteratively Reweighted Least Squares (IRLS).
+
+Parameters
+----------
+x: float[n_samples(,n_inputs)]
+  Function inputs of the sample points that the function is fit through.
+y: float[n_samples]
+  Function outputs of the sample points that the function is fit through.
+regularization: float or float[n_coeffs] or float[n_coeffs,n_coeffs]
+  [optional] A regularization factor that penalizes the norm of
+  the function coefficients. The larger the regularization, the
+  smaller the coefficients tend to be, i.e. the function becomes
+  smoother and more approximative than interpolative. If
+  regularization is a vector, each coefficient is penalized
+  individually (diagonal regularization). If regularization is a
+  symmetric positive semi-definite matrix R, the penalty term is
+  \`coeffs @ R @ coeffs\`.
+funcs: (float[n_inputs] => float)[n_coeffs]
+  Components of the function that is to be fit through (x,y).
+  Each component has it's own linear parameter/coefficient, i.e.
+  \`fit(x) = c[0]*funcs[0](x) + c[1]*funcs[1](x) + ...\`.
+opt: {
+  weights  : float[n_samples],
+  loss     : 'squared' or 'huber' or 'tukey' or 'l1',
+  lossParam: float,
+  scale    : float,
+  maxIter  : int,
+  rtol     : float
+}
+  [optional] Further options:
+    weights  : Non-negative weights of the sample points. Default: 1.
+    loss     : The loss function applied to the residuals. 'huber',
+               'tukey' and 'l1' are solved using IRLS. Default: 'squared'.
+    lossParam: Tuning constant of the loss function relative to the
+               residual scale. Defaults to 1.345 for 'huber' and 4.685
+               for 'tukey'. For 'l1', it is the smallest (relative)
+               residual magnitude used for the weighting, which defaults
+               to 1e-6.
+    scale    : The residual scale. If omitted, it is estimated in every
+               IRLS iteration as \`median(abs(residuals)) / 0.6745\`.
+    maxIter  : The maximum number of IRLS iterations. Default: 128.
+    rtol     : The relative tolerance of the coefficients at which the
+               IRLS iteration stops. Default: 1e-8.
+
+Returns
+-------
+fit {coeffs, funcs, cov, residuals, r2, weights}: float[n_inputs] => float
+  A function that fits the points given by x and y. The following properties
+  are attached to the function:
+    coeffs   : float[n_coeffs] The fitted coefficients.
+    funcs    : The function components.
+    cov      : NDArray[n_coeffs,n_coeffs] The estimated covariance of the
+               coefficients. Square roots of the diagonal are the standard
+               errors of the coefficients. For robust losses, the covariance
+               is approximated using the final IRLS weights.
+    residuals: NDArray[n_samples] The residuals \`y - fit(x)\`.
+    r2       : The (weighted) coefficient of determination R².
+    weights  : NDArray[n_samples] The final IRLS weights (1 for 'squared' loss).
+
+References
+----------
+.. [1] https://en.wikipedia.org/wiki/Linear_regression
+.. [2] https://en.wikipedia.org/wiki/Iteratively_reweighted_least_squares
+
+Example
+-------
+>>> const [a,b,c,d] = [3,1,2,4];
+... 
+... // Underlying function
+... const fun = ([x,y]) => a + b*x + c*x*y + d * Math.sin(y);
+... 
+... // Generate sample points to fit to
+... let X = [],
+...     Y = [];
+... for( let xi = -2; xi <= +2; xi += 0.5 ) {
+... for( let yi = -2; yi <= +2; yi += 0.5 ) {
+...   X.push(     [xi,yi]  );
+...   Y.push( fun([xi,yi]) );
+... }}
+...
+... // Fitted function
+... const fit = nd.opt.fit_lin(
+...   X,Y,
+...   [([x,y]) => Math.sin(y),
+...    ([x,y]) => x*y,
+...    ([x,y]) => x,
+...    ([x,y]) => 1]
+... );
+... 
+... console.log(
+...   'Fitted coefficients: [d,c,b,a] =',
+...   [...fit.coeffs.map(x => x.toFixed(12))]
+... );
+... 
+... console.log( 'fun([-1,-1]) =',  fun([-1,-1]) );
+... console.log( 'fit([-1,-1]) =',  fit([-1,-1]) );
+  Fitted coefficients: [d,c,b,a] = [ 4, 2, 1, 3 ]
+  fun([-1,-1]) = 0.634116060768414
+  fit([-1,-1]) = 0.6341160607684131
+`
+
+
+nd.opt.fit_dogleg_gen.__doc__ = `\
+Nonlinear least squares fit of a function to the given sample points using
+the (single) Dogleg trust region method.
+
+Parameters
+----------
+x: float[n_samples,n_inputs]
+  Function inputs of the sample points that the function is fit through.
+y: float[n_samples]
+  Function outputs of the sample points that the function is fit through.
+fg: (params: float[n_params]) => (x: float[n_inputs]) => [f: float, g: float[n_params]]
+  Function whose parameters is fitted. Returns the function value and its
+  gradients with respect to its parameters.
+p0: float[n_params]
+  Starting values for the parameters for fitting.
+opt : {
+  r0: float
+    [optional] Starting value for trust region radius.
+  rMin: float
+    [optional] Lower trust region radius bounds.
+  rMax: float
+    [optional] Upper trust region radius bounds.
+  rTol: float
+    [optional] Relative tolerance by which the iteration adheres to the trust region radius.
+  shrinkLower: float ∈ (0,shrinkUpper]
+    [optional] During a single iteration, the trust region radius may at most decrease by this factor.
+  shrinkUpper: float ∈ [shrinkLower,1)
+    [optional] During a single iteration, the trust region radius may at least decrease by this factor.
+  grow: float
+    [optional] During a single iteration, the trust region radius may increase by this factor.
+  expectGainMin: float
+    [optional] The iteration is expected to provide at least \`expectGainMin\` of the predicted improvement.
+    Otherwise the trust region is shrunk.
+  expectGainMax: float
+    [optional] The iteration is expected to provide at most \`expectGainMax\` of the predicted improvement.
+    Otherwise the trust region is increased.
+}
+
+Returns
+-------
+Iterator<[
+  p: float[n_params]
+    Current parameter values of the iteration.
+  mse: float
+    Mean squared error.
+  mse_grad: float[n_params]
+    Gradient of the mean squared error with respect to the parameters.
+  res: float[]
+    Residuals of the fit.
+  res_jac: float[]
+    Jaciobian of the residuals with respect to the parameters.
+]>
+
+References
+----------
+.. [1] https://en.wikipedia.org/wiki/Powell%27s_dog_leg_method
+
+Example
+-------
+>>> // Determine half-life of beer using dataset from:
+... // "Multivariate Analyses of Beer Foam Stand" by James J. Hackbart
+... const time = nd.array([[ 0,    15,    30,    45,    60,   90,   120,   150,   180,   210,   240,   270,   300   ]]).T,
+...     height = nd.array( [17.40, 15.10, 13.10, 11.60, 10.60, 8.70,  7.40,  6.35,  5.40,  4.50,  3.80,  3.30,  2.90] );
+... 
+... // Exponential decay function.
+... const fG = ([H0, c]) => ([t]) => [
+...    H0 * 2**(-t*c),
+...   [     2**(-t*c),                    // <- d(fG) / d(H0)
+...    H0 * 2**(-t*c) * Math.log(2) * -t] // <- d(fG) / d(c)
+... ];
+... 
+... for( const [[H0, c], mse, mse_grad] of nd.opt.fit_dogleg_gen(time, height, fG, /*p0=*/[1,1]) )
+...   if( nd.la.norm(mse_grad) <= 1e-5 ) {
+...     console.log({H0, half_life: 1/c});
+...     break;
+...   }
+  { H0: 16.386111804437096, half_life: 108.02447353397987 }
+`;
+
+
+nd.opt.fit_lm_gen.__doc__ = `\
+Nonlinear least squares fit of a function to the given sample points using
+the Levenberg-Marquardt trust region method.
+
+Parameters
+----------
+x: float[n_samples,n_inputs]
+  Function inputs of the sample points that the function is fit through.
+y: float[n_samples]
+  Function outputs of the sample points that the function is fit through.
+fg: (params: float[n_params]) => (x: float[n_inputs]) => [f: float, g: float[n_params]]
+  Function whose parameters is fitted. Returns the function value and its
+  gradients with respect to its parameters.
+p0: float[n_params]
+  Starting values for the parameters for fitting.
+opt : {
+  r0: float
+    [optional] Starting value for trust region radius.
+  rMin: float
+    [optional] Lower trust region radius bounds.
+  rMax: float
+    [optional] Upper trust region radius bounds.
+  rTol: float
+    [optional] Relative tolerance by which the iteration adheres to the trust region radius.
+  lmLower: float ∈ (0,1)
+    [optional] A small number that avoids that the Levenberg-Marquardt parameter becomes
+    too small too quickly during iteration.
+  shrinkLower: float ∈ (0,shrinkUpper]
+    [optional] During a single iteration, the trust region radius may at most decrease by this factor.
+  shrinkUpper: float ∈ [shrinkLower,1)
+    [optional] During a single iteration, the trust region radius may at least decrease by this factor.
+  grow: float
+    [optional] During a single iteration, the trust region radius may increase by this factor.
+  expectGainMin: float
+    [optional] The iteration is expected to provide at least \`expectGainMin\` of the predicted improvement.
+    Otherwise the trust region is shrunk.
+  expectGainMax: float
+    [optional] The iteration is expected to provide at most \`expectGainMax\` of the predicted improvement.
+    Otherwise the trust region is increased.
+}
+
+Returns
+-------
+Iterator<[
+  p: float[n_params]
+    Current parameter values of the iteration.
+  mse: float
+    Mean squared error.
+  mse_grad: float[n_params]
+    Gradient of the mean squared error with respect to the parameters.
+  res: float[]
+    Residuals of the fit.
+  res_jac: float[]
+    Jaciobian of the residuals with respect to the parameters.
+]>
+
+References
+----------
+.. [1] https://en.wikipedia.org/wiki/Levenberg%E2%80%93Marquardt_algorithm
+
+Example
+-------
+>>> // Determine half-life of beer using dataset from:
+... // "Multivariate Analyses of Beer Foam Stand" by James J. Hackbart
+... const time = nd.array([[ 0,    15,    30,    45,    60,   90,   120,   150,   180,   210,   240,   270,   300   ]]).T,
+...     height = nd.array( [17.40, 15.10, 13.10, 11.60, 10.60, 8.70,  7.40,  6.35,  5.40,  4.50,  3.80,  3.30,  2.90] );
+... 
+... // Exponential decay function.
+... const fG = ([H0, c]) => ([t]) => [
+...    H0 * 2**(-t*c),
+...   [     2**(-t*c),                    // <- d(fG) / d(H0)
+...    H0 * 2**(-t*c) * Math.log(2) * -t] // <- d(fG) / d(c)
+... ];
+... 
+... for( const [[H0, c], mse, mse_grad] of nd.opt.fit_lm_gen(time, height, fG, /*p0=*/[1,1]) )
+...   if( nd.la.norm(mse_grad) <= 1e-6 ) {
+...     console.log({H0, half_life: 1/c});
+...     break;
+...   }
+  { H0: 16.386111806695105, half_life: 108.02447348677644 }
+`;
+
+
+nd.opt.odr_lm_gen.__doc__ = `\
+Orthogonal least squares regression fit of a function to the given sample
+points using the Levenberg-Marquardt trust region method. This method minimizes
+the following least-squares problem:
+
+  minimize F(p,x) = ∑ᵢ (f(x[i,:]) - y[i,:])²   +   ∑ᵢⱼ dx[i,j]²
+
+Parameters
+----------
+x: float[n_samples(,n_inputs)]
+  Function inputs of the sample points that the function is fit through.
+y: float[n_samples(,n_outputs)]
+  Function outputs of the sample points that the function is fit through.
+fgg: (p: float[n_params]) => (x: float[n_inputs]) => [f: float, dfdp: float[(n_outputs,)n_params], dfdx: float[(n_outputs)(,n_inputs)]]
+  Function whose parameters is fitted. Returns the function value and its
+  gradients with respect to its parameters and its gradients with respect
+  to its function input \`x\`.
+p0: float[n_params]
+  Starting values for the parameters for fitting.
+opt : {
+  dx0: float[n_samples(,n_inputs)]
+    [optional] Starting value for the function inputs delta for fitting.
+  r0: float
+    [optional] Starting value for trust region radius.
+  rMin: float
+    [optional] Lower trust region radius bounds.
+  rMax: float
+    [optional] Upper trust region radius bounds.
+  rTol: float
+    [optional] Relative tolerance by which the iteration adheres to the trust region radius.
+  lmLower: float ∈ (0,1)
+    [optional] A small number that avoids that the Levenberg-Marquardt parameter becomes
+    too small too quickly during iteration.
+  shrinkLower: float ∈ (0,shrinkUpper]
+    [optional] During a single iteration, the trust region radius may at most decrease by this factor.
+  shrinkUpper: float ∈ [shrinkLower,1)
+    [optional] During a single iteration, the trust region radius may at least decrease by this factor.
+  grow: float
+    [optional] During a single iteration, the trust region radius may increase by this factor.
+  expectGainMin: float
+    [optional] The iteration is expected to provide at least \`expectGainMin\` of the predicted improvement.
+    Otherwise the trust region is shrunk.
+  expectGainMax: float
+    [optional] The iteration is expected to provide at most \`expectGainMax\` of the predicted improvement.
+    Otherwise the trust region is increased.
+}
+
+Returns
+-------
+Iterator<[
+  p: float[n_params]
+    Current parameter values of the iteration.
+  dx: float[n_samples(,n_inputs)]
+    Current function inputs delta, a.k.a. residuals in the function inputs.
+  mse: float
+    Mean squared error.
+  dmse_dp: float[n_params]
+    Gradient of the mean squared error with respect to the parameters.
+  dmse_ddx: float[n_samples(,n_inputs)]
+    Gradient of the mean squared error with respect to the function inputs delta \`dx\`.
+  dy: float[n_samples(,n_outputs)]
+    Residuals in the function ouputs.
+]>
+
+References
+----------
+.. [1] https://en.wikipedia.org/wiki/Levenberg%E2%80%93Marquardt_algorithm
+.. [2] https://en.wikipedia.org/wiki/Total_least_squares
+
+Example
+-------
+>>> // generate some data with the underlying function: y = 7 - 3*x0 + x1
+... let x = Array.from({length: 8}, (_,i) =>
+...         Array.from({length: 8}, (_,j) => [i-4,j-4] )).flat();
+... let y = x.map( ([x0,x1]) => 7 - 3*x0 + x1 );
+...
+... // add some uniform noise both in x and y
+... x = x.map( xi => xi.map(x => x + Math.random()*0.2-0.1) );
+... y = y.map(              y => y + Math.random()*0.2-0.1  );
+...
+... // model function whose parameter are to be fitted
+... const fgg = ([p0,p1,p2]) => ([x0,x1]) => {
+...   const f   =  p0 + p1*x0 + p2*x1,
+...        dfdp = [ 1,     x0,     x1 ],
+...        dfdx = [     p1   ,  p1    ];
+...     return [f, dfdp, dfdx];
+... }
+...
+... let p, dx, mse, dmse_dp, dmse_ddx;
+... try {
+...   for( [p, dx, mse, dmse_dp, dmse_ddx] of nd.opt.odr_lm_gen(x,y, fgg, [0,0,0]) )
+...   {
+...     if(  nd.la.norm(dmse_dp ) <= 1e-6
+...       && nd.la.norm(dmse_ddx) <= 1e-6 )
+...       break;
+...   }
+... }
+... catch(err) {
+...   if( !(err instanceof nd.opt.OptimizationNoProgressError) )
+...     throw err;
+... }
+...
+... console.log('P = ' + p);
+  P = [ 7.021041391243395, -2.9909472084570687, 1.0073465017684218 ]
+`;
+
+
+nd.opt.odr_dogleg_gen.__doc__ = `\
+Orthogonal least squares regression fit of a function to the given sample
+points using the Dogleg trust region method. This method minimizes
+the following least-squares problem:
+
+  minimize F(p,x) = ∑ᵢ (f(x[i,:]) - y[i,:])²   +   ∑ᵢⱼ dx[i,j]²
+
+Parameters
+----------
+x: float[n_samples(,n_inputs)]
+  Function inputs of the sample points that the function is fit through.
+y: float[n_samples(,n_outputs)]
+  Function outputs of the sample points that the function is fit through.
+fgg: (p: float[n_params]) => (x: float[n_inputs]) => [f: float, dfdp: float[(n_outputs,)n_params], dfdx: float[(n_outputs)(,n_inputs)]]
+  Function whose parameters is fitted. Returns the function value and its
+  gradients with respect to its parameters and its gradients with respect
+  to its function input \`x\`.
+p0: float[n_params]
+  Starting values for the parameters for fitting.
+opt : {
+  dx0: float[n_samples(,n_inputs)]
+    [optional] Starting value for the function inputs delta for fitting.
+  r0: float
+    [optional] Starting value for trust region radius.
+  rMin: float
+    [optional] Lower trust region radius bounds.
+  rNewton: float
+    [optional] If the Gauss-Newton is inside the trust region, the trust radius is set to
+    \`rNewton\` times the distance to the Gauss-Newton point.
+  shrinkLower: float ∈ (0,shrinkUpper]
+    [optional] During a single iteration, the trust region radius may at most decrease by this factor.
+  shrinkUpper: float ∈ [shrinkLower,1)
+    [optional] During a single iteration, the trust region radius may at least decrease by this factor.
+  grow: float
+    [optional] During a single iteration, the trust region radius may increase by this factor.
+  expectGainMin: float
+    [optional] The iteration is expected to provide at least \`expectGainMin\` of the predicted improvement.
+    Otherwise the trust region is shrunk.
+  expectGainMax: float
+    [optional] The iteration is expected to provide at most \`expectGainMax\` of the predicted improvement.
+    Otherwise the trust region is increased.
+  stuckLimit: int
+    [optional] The maximum number of consecutive function calls allowed without any minimization progress.
+}
+
+Returns
+-------
+Iterator<[
+  p: float[n_params]
+    Current parameter values of the iteration.
+  dx: float[n_samples(,n_inputs)]
+    Current function inputs delta, a.k.a. residuals in the function inputs.
+  mse: float
+    Mean squared error.
+  dmse_dp: float[n_params]
+    Gradient of the mean squared error with respect to the parameters.
+  dmse_ddx: float[n_samples(,n_inputs)]
+    Gradient of the mean squared error with respect to the function inputs delta \`dx\`.
+  dy: float[n_samples(,n_outputs)]
+    Residuals in the function ouputs.
+]>
+
+References
+----------
+.. [1] https://en.wikipedia.org/wiki/Powell%27s_dog_leg_method
+.. [2] https://en.wikipedia.org/wiki/Total_least_squares
+
+Example
+-------
+>>> // generate some data with the underlying function: y = 7 - 3*x0 + x1
+... let x = Array.from({length: 8}, (_,i) =>
+...         Array.from({length: 8}, (_,j) => [i-4,j-4] )).flat();
+... let y = x.map( ([x0,x1]) => 7 - 3*x0 + x1 );
+...
+... // add some uniform noise both in x and y
+... x = x.map( xi => xi.map(x => x + Math.random()*0.2-0.1) );
+... y = y.map(              y => y + Math.random()*0.2-0.1  );
+...
+... // model function whose parameter are to be fitted
+... const fgg = ([p0,p1,p2]) => ([x0,x1]) => {
+...   const f   =  p0 + p1*x0 + p2*x1,
+...        dfdp = [ 1,     x0,     x1 ],
+...        dfdx = [     p1   ,  p1    ];
+...     return [f, dfdp, dfdx];
+... }
+...
+... let p, dx, mse, dmse_dp, dmse_ddx;
+... try {
+...   for( [p, dx, mse, dmse_dp, dmse_ddx] of nd.opt.odr_dogleg_gen(x,y, fgg, [0,0,0]) )
+...   {
+...     if(  nd.la.norm(dmse_dp ) <= 1e-6
+...       && nd.la.norm(dmse_ddx) <= 1e-6 )
+...       break;
+...   }
+... }
+... catch(err) {
+...   if( !(err instanceof nd.opt.OptimizationNoProgressError) )
+...     throw err;
+... }
+...
+... console.log('P = ' + p);
+  P = [ 6.967630316177548, -2.9919053487374145, 1.0098254712960533 ]
+`;
+
+
+nd.opt.fit_uncertainty.__doc__ = `\
+Computes parameter uncertainty statistics for the result of a nonlinear least
+squares fit, e.g. as computed by \`nd.opt.fit_lm_gen\` or \`nd.opt.fit_dogleg_gen\`.
+The covariance is computed from the singular value decomposition of the residual
+Jacobian J at the optimum, i.e. \`cov = redChi2 * pinv(Jᵀ @ J)\`.
+
+Profile likelihood intervals are computed by fixing one parameter at a time
+and minimizing the sum of squares w.r.t. the remaining parameters (using
+\`nd.opt.lsq_lm_gen\`). The interval bounds are where the profiled sum of
+squares rises to \`chi2 + redChi2*q²\`, where q is the quantile used for the
+confidence intervals. For linear models, the profile likelihood intervals
+equal the confidence intervals. For nonlinear models, they are usually
+asymmetric and more reliable.
+
+Parameters
+----------
+x: float[n_samples,n_inputs]
+  Function inputs of the sample points that the function was fit through.
+y: float[n_samples]
+  Function outputs of the sample points that the function was fit through.
+fg: (params: float[n_params]) => (x: float[n_inputs]) => [f: float, g: float[n_params]]
+  Function whose parameters were fitted (see \`nd.opt.fit_lm_gen\`).
+p: float[n_params]
+  The fitted parameters.
+opt: {
+  confidence: float
+    [optional] The confidence level of the intervals. Default: 0.95.
+  absoluteSigma: bool
+    [optional] If true, the residuals are assumed to be scaled by their
+    (known) standard deviation, i.e. the covariance is not scaled by
+    redChi2 and the normal distribution instead of Student's t-distribution
+    is used for the confidence intervals. Default: false. Unless absoluteSigma
+    is true, there have to be more samples than parameters since the variance
+    of the residuals is estimated from redChi2.
+  profile: bool
+    [optional] If false, the (expensive) computation of the profile
+    likelihood intervals is skipped. Default: true.
+  rcond: float
+    [optional] Singular values of J below \`rcond*max(sv)\` are treated as
+    zero. Default: max(n_samples,n_params)*eps.
+}
+
+Returns
+-------
+stats: {
+  p         : float[n_params] The fitted parameters.
+  chi2      : float The residual sum of squares.
+  dof       : int The degrees of freedom, i.e. n_samples - n_params.
+  redChi2   : float The reduced chi square, i.e. chi2/dof.
+  rank      : int The numerical rank of J.
+  cov       : float[n_params,n_params] The covariance of the parameters.
+  stdErr    : float[n_params] The standard errors of the parameters.
+  corr      : float[n_params,n_params] The correlation matrix of the parameters.
+  confInt   : float[n_params,2] The (Wald) confidence intervals of the parameters.
+  profileInt: float[n_params,2] The profile likelihood intervals of the parameters.
+}
+
+References
+----------
+.. [1] "Nonlinear Regression Analysis and Its Applications", chapter 6.1
+        D.M. Bates, D.G. Watts
+
+Example
+-------
+>>> const time = nd.array([[ 0,    15,    30,    45,    60,   90,   120,   150,   180,   210,   240,   270,   300   ]]).T,
+...     height = nd.array( [17.40, 15.10, 13.10, 11.60, 10.60, 8.70,  7.40,  6.35,  5.40,  4.50,  3.80,  3.30,  2.90] );
+...
+... const fG = ([H0, c]) => ([t]) => [
+...    H0 * 2**(-t*c),
+...   [     2**(-t*c),
+...    H0 * 2**(-t*c) * Math.log(2) * -t]
+... ];
+...
+... let p;
+... for( const [P, mse, mse_grad] of nd.opt.fit_lm_gen(time, height, fG, /*p0=*/[1,1]) )
+...   if( nd.la.norm(mse_grad) <= 1e-6 ) { p = P; break; }
+...
+... const {stdErr, confInt, profileInt} = nd.opt.fit_uncertainty(time, height, fG, p);
+... console.log('stdErr:', stdErr.toString());
+... console.log('profileInt:', profileInt.toString());
+  stdErr: [ 0.3205683294466718, 0.0003732542335700774 ]
+  profileInt: [[   15.675937918370407,   17.107113003820924 ],
+   [ 0.008434771920484955, 0.010135010883544633 ]]
+`;
+
+
+nd.opt.lsq_uncertainty.__doc__ = `\
+Computes parameter uncertainty statistics for the result of a nonlinear least
+squares problem, e.g. as solved by \`nd.opt.lsq_lm_gen\` or \`nd.opt.lsq_dogleg_gen\`.
+See \`nd.opt.fit_uncertainty\` for more details.
+
+Parameters
+----------
+fJ: (x: float[n_params]) => [f: float[n_residuals], J: float[n_residuals,n_params]]
+  The residuals function of the least squares problem and its Jacobian.
+p: float[n_params]
+  The optimal parameters.
+opt: {confidence, absoluteSigma, profile, rcond}
+  [optional] See \`nd.opt.fit_uncertainty\`.
+
+Returns
+-------
+stats: {p, chi2, dof, redChi2, rank, cov, stdErr, corr, confInt, profileInt}
+  See \`nd.opt.fit_uncertainty\`. The degrees of freedom are n_residuals - n_params.
+`;
+
+
+nd.opt.tls_uncertainty.__doc__ = `\
+Computes parameter uncertainty statistics for the result of a total least
+squares problem, e.g. as solved by \`nd.opt.tls_lm_gen\` or \`nd.opt.tls_dogleg_gen\`.
+The input deltas dx are eliminated from the problem, i.e. the covariance of the
+parameters accounts for the uncertainty in dx. The profile likelihood intervals
+are computed using \`nd.opt.tls_lm_gen\`. See \`nd.opt.fit_uncertainty\` for more
+details.
+
+Parameters
+----------
+fjj: (p: float[n_params], dx: float[n_samples(,n_inputs)]) => [dy: float[n_samples(,n_outputs)], dy_dp: float[n_samples(,n_outputs),n_params], dy_dx: float[n_samples(,n_outputs)(,n_inputs)]]
+  The output residuals function of the TLS problem and its derivatives.
+p: float[n_params]
+  The optimal parameters.
+dx: float[n_samples(,n_inputs)]
+  The optimal input deltas.
+opt: {confidence, absoluteSigma, profile, rcond}
+  [optional] See \`nd.opt.fit_uncertainty\`.
+
+Returns
+-------
+stats: {p, chi2, dof, redChi2, rank, cov, stdErr, corr, confInt, profileInt}
+  See \`nd.opt.fit_uncertainty\`. \`chi2 = ∑dx² + ∑dy²\` and the degrees of
+  freedom are n_samples*n_outputs - n_params.
+`;
+
+
+nd.opt.odr_uncertainty.__doc__ = `\
+Computes parameter uncertainty statistics for the result of an orthogonal
+distance regression, e.g. as computed by \`nd.opt.odr_lm_gen\` or
+\`nd.opt.odr_dogleg_gen\`. See \`nd.opt.tls_uncertainty\` and
+\`nd.opt.fit_uncertainty\` for more details.
+
+Parameters
+----------
+x: float[n_samples(,n_inputs)]
+  Function inputs of the sample points that the function was fit through.
+y: float[n_samples(,n_outputs)]
+  Function outputs of the sample points that the function was fit through.
+fgg: (p: float[n_params]) => (x: float[n_inputs]) => [f: float, dfdp: float[(n_outputs,)n_params], dfdx: float[(n_outputs)(,n_inputs)]]
+  Function whose parameters were fitted (see \`nd.opt.odr_lm_gen\`).
+p: float[n_params]
+  The fitted parameters.
+dx: float[n_samples(,n_inputs)]
+  The fitted function inputs delta.
+opt: {confidence, absoluteSigma, profile, rcond}
+  [optional] See \`nd.opt.fit_uncertainty\`.
+
+Returns
+-------
+stats: {p, chi2, dof, redChi2, rank, cov, stdErr, corr, confInt, profileInt}
+  See \`nd.opt.tls_uncertainty\`.
+
+Example
+-------
+>>> const x = [0, 1, 2, 3, 4, 5].map(x => x + Math.random()*0.2-0.1),
+...       y = [1, 3, 5, 7, 9,11].map(y => y + Math.random()*0.2-0.1),
+...     fgg = ([a,b]) => ([x]) => [a + b*x, [1,x], b];
+...
+... let p, dx;
+... try {
+...   for( [p, dx] of nd.opt.odr_lm_gen(x,y, fgg, [0,0]) ) {}
+... }
+... catch(err) {
+...   if( !(err instanceof nd.opt.OptimizationNoProgressError) )
+...     throw err;
+... }
+... const {stdErr} = nd.opt.odr_uncertainty(x,y, fgg, p, dx);
+`;
+
+
+  //
+ // I/O
+//
+nd.io.istr_parse.__doc__ = `\
+Parses an inlineable string representation (ISTR) of an \`NDArray\`. ISTR is intended
+for inlining large \`NDArray\`s into JavaScript code or JSON files. The string representation
+consists of a data type string, followed by a JSON array for the shape and finally a Base64
+encoded, little-endian representation of the \`NDArray\`'s data/content. Except for within
+the type string or in between the digits of a shape integer, ISTR is whitespace-agnostic.
+
+Parameters
+----------
+chars: Iterable<char>
+  The character sequence that is to be parsed.
+
+Returns
+-------
+ndarray: NDArray
+  The \`NDArray\` parsed from \`chars\`.
+
+Examples
+--------
+>>> const a = nd.io.istr_parse(\`int32[7,6]
+...   CwAAAAwAAAANAAAADgAAAA8AAAAQAAAAFQAAABYAAAAXAAAAGAAAABkAAAAaAAAAHwAAACAAAAAhAAAAIgAAACMAAAAkAAAAKQAAACoAAAArAAAALAAAAC0AAAAuAAAA
+...   MwAAADQAAAA1AAAANgAAADcAAAA4AAAAPQAAAD4AAAA/AAAAQAAAAEEAAABCAAAARwAAAEgAAABJAAAASgAAAEsAAABMAAAA\`
+... );
+>>> console.log( a.toString() )
+  [[ 11, 12, 13, 14, 15, 16 ],
+   [ 21, 22, 23, 24, 25, 26 ],
+   [ 31, 32, 33, 34, 35, 36 ],
+   [ 41, 42, 43, 44, 45, 46 ],
+   [ 51, 52, 53, 54, 55, 56 ],
+   [ 61, 62, 63, 64, 65, 66 ],
+   [ 71, 72, 73, 74, 75, 76 ]]
+`
+
+
+
+nd.io.istr_stringify.__doc__ = `\
+Converts an \`NDArray\` into an inlineable string representation (ISTR). ISTR is intended
+for inlining large \`NDArray\`s into JavaScript code or JSON files. The string representation
+consists of a data type string, followed by a JSON array for the shape and finally a Base64
+encoded, little-endian representation of the \`NDArray\`'s data/content. Except for within
+the type string or in between the digits of a shape integer, ISTR is whitespace-agnostic.
+
+Parameters
+----------
+ndarray: NDArray
+  The array that is to be converted to an inlineable string representation.
+options: {linewidth=128}
+  [optional] The maximum number of Base64 characters per line before a newline
+  character is inserted.
+
+Returns
+-------
+istr: string
+  An inlineable string representation of \`ndarray\`.
+
+Examples
+--------
+>>> const a = nd.tabulate([7,6], 'int32', (i,j) => 10*i+j+11)
+>>> console.log('\`' + nd.io.istr_stringify(a) + '\`')
+  \`int32[7,6]
+  CwAAAAwAAAANAAAADgAAAA8AAAAQAAAAFQAAABYAAAAXAAAAGAAAABkAAAAaAAAAHwAAACAAAAAhAAAAIgAAACMAAAAkAAAAKQAAACoAAAArAAAALAAAAC0AAAAuAAAA
+  MwAAADQAAAA1AAAANgAAADcAAAA4AAAAPQAAAD4AAAA/AAAAQAAAAEEAAABCAAAARwAAAEgAAABJAAAASgAAAEsAAABMAAAA\`
+`
+
+
+
+nd.io.npy_serialize.__doc__ = `\
+Serializes an \`NDArray\` into an \`Uint8Array\` using version 1.0 of the NumPy NPY-format.
+NPY is popular matrix exchange format that is implemented in several programming languages.
+It is well-suited for network streaming or file system storage.
+
+In order to reduce memory overhead, consider using \`nd.io.npy_serialize_gen()\` which returns
+an \`Iterable<uint8>\` instead of an \`Uint8Array\`.
+
+Parameters
+----------
+ndarray: NDArray
+  The array that is to be serialized. Arrays of dtype \`'object'\` are only supported
+  if they contain strings, which are written as NumPy unicode strings (\`'U'\`).
+options: {byteOrder='=', fortranOrder=false}
+  [optional] \`byteOrder\` is either \`'<'\` (little-endian), \`'>'\` (big-endian) or \`'='\`
+  (native). If \`fortranOrder\` is true, the entries are written in column-major order.
+
+Returns
+-------
+bytes: Uint8Array
+  The bytes of the NPY representation of \`ndarray\`.
+`
+
+
+
+nd.io.npy_deserialize.__doc__ = `\
+Deserializes an \`NDArray\` from NumPy's NPY-format (versions 1.0, 2.0 and 3.0). Both byte
+orders and Fortran order are supported. Supported NumPy types are \`bool\`, \`i1/i2/i4/i8\`,
+\`u1/u2/u4/u8\`, \`f2\` (converted to float32), \`f4/f8\`, \`c8/c16\` and \`U\`/\`S\` strings
+(read as arrays of dtype \`'object'\`). Structured (record) types are read into an object
+containing one \`NDArray\` per named field.
+
+Parameters
+----------
+bytes: Iterable<uint8>
+  The bytes of the NPY file.
+
+Returns
+-------
+ndarray: NDArray | {[field: string]: NDArray}
+  The deserialized array or, for structured types, the arrays of the fields, where the
+  shape of each field array is the array shape followed by the field's sub-array shape.
+`
+
+
+
+nd.io.npy_deserialize_rows_async.__doc__ = `\
+Reads an NPY file from an (async) iterable of byte chunks, e.g. a \`ReadableStream\`, and
+yields its rows in blocks, i.e. as \`NDArray\` slices along axis 0. The header is parsed once
+and only the bytes of the current block are kept in memory, which allows to process files
+that are too large to be loaded at once. Arrays in Fortran order are not supported.
+
+Parameters
+----------
+chunks: AsyncIterable<Uint8Array> | Iterable<Uint8Array>
+  The bytes of the NPY file in chunks of arbitrary size.
+options: {rowsPerBlock=null}
+  [optional] The number of rows per yielded block. Only the last block may contain fewer
+  rows. If null, all complete rows received so far are yielded after each chunk.
+
+Returns
+-------
+blocks: AsyncIterable<NDArray | {[field: string]: NDArray}>
+  The row blocks. For structured types, each block is an object of field arrays.
+
+Examples
+--------
+>>> const bytes = nd.io.npy_serialize( nd.tabulate([5,2], 'int32', (i,j) => 10*i+j) );
+>>> for await ( const block of nd.io.npy_deserialize_rows_async([bytes], {rowsPerBlock: 2}) )
+...   console.log( block.toString() );
+  [[  0,  1 ],
+   [ 10, 11 ]]
+  [[ 20, 21 ],
+   [ 30, 31 ]]
+  [[ 40, 41 ]]
+`
+
+
+
+nd.io.NpyRowWriter.__doc__ = `\
+Incrementally writes an NPY file, one block of rows at a time. The writer only produces the
+bytes, which have to be written by the caller. Since the number of rows is unknown in advance,
+the header reserves enough space such that it can be patched once all rows are written.
+
+Parameters
+----------
+dtype: string
+  The data type of the rows.
+rowShape: int[]
+  The shape of a single row, i.e. the shape of the array without the leading axis.
+options: {byteOrder='='}
+  [optional] The byte order of the data, either \`'<'\`, \`'>'\` or \`'='\` (native).
+
+Methods
+-------
+header(): Uint8Array
+  Returns the header, which is to be written at the beginning of the file.
+append(rows: NDArray[nRows,...rowShape]): Uint8Array
+  Returns the bytes of the given rows, which are to be appended to the file.
+finish(): Uint8Array
+  Returns the final header, which is to overwrite the initial header at the beginning
+  of the file. It has the same length as the initial header.
+
+Examples
+--------
+>>> const writer = new nd.io.NpyRowWriter('float64', [3]),
+...        parts = [writer.header()];
+>>> parts.push( writer.append([[1,2,3]]) );
+>>> parts.push( writer.append([[4,5,6],
+...                            [7,8,9]]) );
+>>> parts[0] = writer.finish();
+>>> const bytes = Uint8Array.from( parts.flatMap(p => [...p]) );
+>>> console.log( nd.io.npy_deserialize(bytes).toString() );
+  [[ 1, 2, 3 ],
+   [ 4, 5, 6 ],
+   [ 7, 8, 9 ]]
+`
+
+
+
+nd.io.npz_serialize.__doc__ = `\
+Serializes named \`NDArray\`s into a NumPy NPZ archive, i.e. a ZIP archive containing one
+uncompressed \`<name>.npy\` file per array, as written by \`numpy.savez\`.
+
+Parameters
+----------
+arrays: {[name: string]: NDArray}
+  The named arrays that are to be serialized.
+
+Returns
+-------
+bytes: Uint8Array
+  The bytes of the NPZ archive.
+
+Examples
+--------
+>>> const bytes = nd.io.npz_serialize({ a: nd.array([1,2,3]), b: nd.la.eye(2) });
+>>> const {a,b} = nd.io.npz_deserialize(bytes);
+>>> console.log( b.toString() );
+  [[ 1, 0 ],
+   [ 0, 1 ]]
+`
+
+
+
+nd.io.npz_deserialize.__doc__ = `\
+Deserializes a NumPy NPZ archive as written by \`numpy.savez\` or \`numpy.savez_compressed\`.
+Both stored and DEFLATE-compressed entries are supported, using a built-in decompressor.
+ZIP64 archives are supported as well.
+
+Parameters
+----------
+bytes: Uint8Array | ArrayBuffer | Iterable<uint8>
+  The bytes of the NPZ archive.
+
+Returns
+-------
+arrays: {[name: string]: NDArray | Uint8Array}
+  The arrays contained in the archive by name, i.e. the file names without the \`.npy\`
+  extension. Like in NumPy, entries that are not \`.npy\` files are returned as raw bytes.
+`
+
+
+
+  //
+ // LINEAR ALGEBRA
+//
+nd.la.__doc__ = `\
+The Linear Algebra subpackage of ND.JS. Contains methods for the handling and decomposition
+of matrices as well as solvers for linear equations and linear least square systems.
+
+As convention the last two axes of an \`NDArray\` are considered as the matrix dimensions.
+Higher dimensional arrays are considered "arrays of matrices" and the broadcasting rules
+apply for the leading dimenions, i.e. for all dimensions of the shape except the last two.
+`
+
+
+
+nd.la.eye.__doc__ = `\
+Returns an NDArray of identity matrices, where the last two axes are the matrix dimensions.
+
+Parameters
+----------
+shape: ...int
+  The shape of the resulting array. If only one value N is given, an N*N identity
+  matrix is returned.
+
+Returns
+-------
+I: NDArray
+  The array of identity matrices, where the last two axes are the matrix dimensions.
+
+Examples
+--------
+>>> const I = nd.la.eye(2);
+>>> console.log( I.toString() );
+  [[1,0],
+   [0,1]]
+
+>>> const J = nd.la.eye(2,3,4);
+>>> console.log( J.toString() );
+  [[[ 1, 0, 0, 0],
+    [ 0, 1, 0, 0],
+    [ 0, 0, 1, 0]],
+   [[ 1, 0, 0, 0],
+    [ 0, 1, 0, 0],
+    [ 0, 0, 1, 0]]]
+`
+
+
+
+nd.la.tril.__doc__ = `\
+Returns a copy of an array with all entries outside of the lower triangular part set to 0.
+The last two axes are considered the matrix dimensions.
+
+Parameters
+----------
+A: NDArray[...,N,M]
+  The array of matrices whose lower triangular parts are to be returned.
+offset: int
+  [Optional] The offset from the main diagonal of entries included in the  result.
+  If \`offset = +1\` the entries above/right of the main diagonal are not set to zero.
+  If \`offset = -2\` the entries on the main diagonal and one below/left of if are set to zero.
+  The default value is 0.
+
+Returns
+-------
+L: NDArray[...,N,M]
+  The lower triangular part of A, where \`L(i,j) == i >= j-offset ? A(i,j) : 0\`.
+
+Examples
+--------
+>>> const A = nd.tabulate([2,3,3], (k,i,j) => 100*(k+1) + 10*(i+1) + (j+i) );
+>>> console.log( A.toString() );
+  [[[ 110, 111, 112 ],
+    [ 121, 122, 123 ],
+    [ 132, 133, 134 ]],
+   [[ 210, 211, 212 ],
+    [ 221, 222, 223 ],
+    [ 232, 233, 234 ]]]
+
+>>> const L1 = nd.la.tril(A);
+>>> console.log( L1.toString() );
+  [[[ 110,   0,   0 ],
+    [ 121, 122,   0 ],
+    [ 132, 133, 134 ]],
+   [[ 210,   0,   0 ],
+    [ 221, 222,   0 ],
+    [ 232, 233, 234 ]]]
+>>> const L2 = nd.la.tril(A,-1);
+>>> console.log( L2.toString() );
+  [[[   0,   0,  0 ],
+    [ 121,   0,  0 ],
+    [ 132, 133,  0 ]],
+   [[   0,   0,  0 ],
+    [ 221,   0,  0 ],
+    [ 232, 233,  0 ]]]
+`
+
+
+
+nd.la.triu.__doc__ = `\
+Returns a copy of an array with all entries outside of the upper triangular part set to 0.
+The last two axes are considered the matrix dimensions.
+
+Parameters
+----------
+A: NDArray[...,N,M]
+  The array of matrices whose upper triangular parts are to be returned.
+offset: int
+  [Optional] The offset from the main diagonal of entries included in the result.
+  If \`offset = +1\` the main diagonal is set to zero.
+  If \`offset = -2\` the entries on the main diagonal and one below/left of if are not set to zero.
+  The default value is 0.
+
+Returns
+-------
+U: NDArray[...,N,M]
+  The upper triangular part of A, where \`L(i,j) == i <= j-offset ? A(i,j) : 0\`.
+
+Examples
+--------
+>>> const A = nd.tabulate([2,3,3], (k,i,j) => 100*(k+1) + 10*(i+1) + (j+i) );
+>>> console.log( A.toString() );
+  [[[ 110, 111, 112 ],
+    [ 121, 122, 123 ],
+    [ 132, 133, 134 ]],
+   [[ 210, 211, 212 ],
+    [ 221, 222, 223 ],
+    [ 232, 233, 234 ]]]
+
+>>> const L1 = nd.la.triu(A);
+>>> console.log( L1.toString() );
+[[[ 110, 111, 112 ],
+  [   0, 122, 123 ],
+  [   0,   0, 134 ]],
+ [[ 210, 211, 212 ],
+  [   0, 222, 223 ],
+  [   0,   0, 234 ]]]
+>>> const L2 = nd.la.triu(A,+1);
+>>> console.log( L2.toString() );
+[[[ 0, 111, 112 ],
+  [ 0,   0, 123 ],
+  [ 0,   0,   0 ]],
+ [[ 0, 211, 212 ],
+  [ 0,   0, 223 ],
+  [ 0,   0,   0 ]]]
+`
+
+
+
+nd.la.diag_mat.__doc__ = `\
+Creates a (main) diagonal matrix with the given diagonal values.
+
+Parameters
+----------
+diag: NDArray[...,N]
+  The diagonal values.
+
+Returns
+-------
+D: NDArray[...,N,N]
+  Such that \`D(i,j) == i==j ? diag(i) : 0\`.
+
+Examples
+--------
+>>> const D = nd.la.diag_mat([[1,2,3],[4,5,6]]);
+>>> console.log( D.toString() );
+  [[[ 1, 0, 0 ],
+    [ 0, 2, 0 ],
+    [ 0, 0, 3 ]],
+   [[ 4, 0, 0 ],
+    [ 0, 5, 0 ],
+    [ 0, 0, 6 ]]]
+`
+
+
+
+nd.la.matmul.__doc__ = `\
+Computes the matrix product of a series of matrices. The order
+of multiplications is optimized to minimize the number of floating
+point operations required. The last two axes are considered to be
+the matrix dimensions. For the leading axes, broadcasting rules apply.
+Along with \`nd.la.matmul2\`, this is one of the only two methods
+that currently allows complex inputs.
+
+Parameters
+----------
+matrices: ...NDArray
+  The matrices that are to be multiplied.
+
+Returns
+-------
+product: NDArray
+  Where \`product = matrices[0] @ matrices[1] @ ... @ matrices[n-1]\`.
+
+Examples
+--------
+>>> const v = nd.tabulate([1e6,1], () => 1);
+>>> console.log( v.toString() );
+  [[ 1 ],
+   [ 1 ],
+   [ 1 ],
+   [ 1 ],
+   [ 1 ],
+   ...999990 more...,
+   [ 1 ],
+   [ 1 ],
+   [ 1 ],
+   [ 1 ],
+   [ 1 ]]
+>>> const u = nd.la.matmul(v,v.T,v,v.T,v);
+>>> console.log( u.toString() );
+  [[1000000000000],
+   [1000000000000],
+   [1000000000000],
+   [1000000000000],
+   [1000000000000],
+   ...999990 more...,
+   [1000000000000],
+   [1000000000000],
+   [1000000000000],
+   [1000000000000],
+   [1000000000000]]
+`
+
+
+nd.la.matmul2.__doc__ = `\
+Computes the matrix product of exactly two matrices. The last two axes
+are considered to be the matrix dimensions. For the leading axes,
+broadcasting rules apply. Along with \`nd.la.matmul\`, this is one
+of the only two methods that currently allows complex inputs.
+
+Parameters
+----------
+a: NDArray[...,N,K]
+  The left factor matrices.
+b: NDArray[...,K,M]
+  The right factor matrices.
+
+Returns
+-------
+product: NDArray[...,N,M]
+  Where \`product = a @ b\`.
+
+Examples
+--------
+>>> const A = [
+...   [2, 0],
+...   [0,-1]
+... ];
+>>> const x = nd.array([
+...   [[1,2]],
+...   [[3,4]],
+...   [[5,6]]
+... ]).T;
+>>> console.log( x.toString() );
+  [ [[1],
+     [2]],
+
+    [[3],
+     [4]],
+
+    [[5],
+     [6]] ]
+>>> const y = nd.la.matmul2(A,x);
+>>> console.log( y.toString() );
+  [ [[ 2 ],
+     [-2 ]],
+  
+    [[ 6 ],
+     [-4 ]],
+  
+    [[10 ],
+     [-6 ]] ]
+`
+
+
+
+nd.la.cholesky_decomp.__doc__ = `\
+Computes the Cholesky Decomposition of an \`NDArray\` of symmetric, positive
+definite (square) matrices. The implementation assumes the matrices to be symmetric
+and only looks at the lower triangular values. The last two axes of the \`NDArray\`
+are considered to be the matrix dimensions.
+
+Parameters
+----------
+S: NDArray[...,N,N]
+  An \`NDArray\` of symmetric, positive definite (square) matrices. In other words
+  S is symmetric and has only positive eigenvalues. 
+
+Returns
+-------
+L: NDArray[...,N,N]
+  A lower triangular matrix, such that \`S = L @ L.T\`.
+
+Examples
+--------
+>>> const S = [
+...   [ 25, -50],
+...   [-50, 101]
+... ];
+>>> const L = nd.la.cholesky_decomp(S);
+>>> console.log( nd.la.matmul2(L,L.T).toString() );
+  [[ 25, -50],
+   [-50, 101]]
+`
+
+
+
+nd.la.cholesky_solve.__doc__ = `\
+Given a cholesky decomposition and the right hand side of a linear equation system,
+this method computes the result of said system.
+
+Parameters
+----------
+L: NDArray[...,N,N]
+  An array of lower triangular (square) matrices. L is assumed to be lower triangular
+  without looking at the upper triangular values.
+y: NDArray[...,N,M]
+  The right hand side of the linear equations system.
+
+Returns
+-------
+x: NDArray[...,N,M]
+  Such that \`L @ L.T @ x == y\`.
+
+Examples
+--------
+>>> const S = [
+...   [ 25, -50],
+...   [-50, 101]
+... ];
+>>> const y = [
+...   [[1],
+...    [2]],
+...   [[3],
+...    [4]]
+... ];
+>>> const L = nd.la.cholesky_decomp(S);
+>>> const x = nd.la.cholesky_solve(L,y);
+>>> console.log( nd.la.matmul2(S,x) );
+ [[[1.0],
+   [2.0]],
+  [[3.0],
+   [4.0]]]
+`
+
+
+
+nd.la.ldl_decomp.__doc__ = `\
+Computes the LDLᵀ Decomposition of an \`NDArray\` of a symmetric, indefinite (square) matrix.
+The implementation assumes the matrices to be symmetric and only looks at the lower triangular
+values. The last two axes of the \`NDArray\` are considered to be the matrix dimensions.
+Unless the input is entirely either positive or negative definite, the result may be inaccurate
+for badly conditioned matrices.
+
+Parameters
+----------
+S: NDArray[...,N,N]
+  An \`NDArray\` of symmetric (square) matrices.
+
+Returns
+-------
+LD: NDArray[...,N,N]
+  A lower triangular matrix, such that \`S = L @ D @ L.T\`, where \`L = tril(LD,-1) + nd.eye(N)\`
+  and \`D = diag(LD)\`.
+
+Examples
+--------
+>>> const S = [
+...   [ 25, -50],
+...   [-50, 101]
+... ];
+... const LD = nd.la.ldl_decomp(S),
+...       L  = LD.mapElems( (ld, i,j) => ld*(i > j) + (i===j) ),
+...       D  = LD.mapElems( (ld, i,j) => ld*(i===j) );
+... console.log( nd.la.matmul(L,D,L.T).toString() );
+  [[ 25, -50],
+   [-50, 101]]
+`
+
+
+nd.la.pldlp_decomp.__doc__ = `\
+Computes the PLDLᵀPᵀ Decomposition (a.k.a. Bunch-Kaufmann) of an \`NDArray\` of a symmetric
+indefinite (square) matrix. The implementation assumes the matrices to be symmetric and only
+looks at the lower triangular values. The last two axes of the \`NDArray\` are considered
+to be the matrix dimensions.
+
+Parameters
+----------
+S: NDArray[...,N,N]
+  An \`NDArray\` of symmetric indefinite (square) matrices.
+
+Returns
+-------
+LD: NDArray[...,N,N]
+Q:    int32[...,N]
+  The result of the Bunch-Kaufmann decomposition, such that \`S[P[i],P[j <= i]] = (L @ D @ Lᵀ)[i,j] \`,
+  where \`L = pldlp_l(LD,Q)\` is a lower triangular matrix, \`D = pldlp_d(LD,Q)\` is a block diagonal
+  matrix with with 2x2 and 1x1 blocks, and \`P = pldlp_p(LD,Q)\` are the permutation indices.
+  
+
+Examples
+--------
+>>> const S = [
+...   [ 25, -50],
+...   [-50, 101]
+... ];
+... const [LD,Q]= nd.la.pldlp_decomp(S),
+...        L    = nd.la.pldlp_l(LD,Q),
+...         D   = nd.la.pldlp_d(LD,Q),
+...           P = nd.la.pldlp_p(LD,Q),
+...        LDL  = nd.la.matmul(L,D,L.T),
+...       PLDL  = nd.la.unpermute_rows( LDL,P),
+...       PLDLP = nd.la.unpermute_cols(PLDL,P);
+... console.log('PLDLᵀPᵀ =\\n' + PLDLP);
+  [[ 25, -50],
+   [-50, 101]]
+`
+
+
+nd.la.tril_solve.__doc__ = `\
+Given the lower triangular (square) matrix and the right hand side of a linear
+equation system, this method computes the result.
+
+Parameters
+----------
+L: NDArray[...,N,N]
+  The lower triangular matrix of the linear equations system. L is assumed to
+  be lower triangular without ever looking at the values in the upper triangular
+  region.
+y: NDArray[...,N,M]
+  The right hand side matrix of the linear equation system.
+
+Returns
+-------
+x: NDArray[...,N,M]
+  Such that \`L @ x = y\`.
+`
+
+
+
+nd.la.triu_solve.__doc__ = `\
+Given the upper triangular (square) matrix and the right hand side of a linear
+equation system, this method computes the result.
+
+Parameters
+----------
+U: NDArray[...,N,N]
+  The upper triangular matrix of the linear equations system. U is assumed to
+  be upper triangular without ever looking at the values in the lower triangular
+  region.
+y: NDArray[...,N,M]
+  The right hand side matrix of the linear equation system.
+
+Returns
+-------
+x: NDArray[...,N,M]
+  Such that \`U @ x = y\`.
+`
+
+
+
+nd.la.lu_decomp.__doc__ = `\
+Given an \`NDArray\` of square matrices, this method Computes the
+LU(P) decomposition with Column Pivotization.
+
+Parameters
+----------
+A: NDArray[...,N,N]
+
+Returns
+-------
+LU: NDArray[...,N,N]
+  A matrix containing both the lower and upper triangular part of the
+  LU decomposition. The diagonal of ther lower triangular matrix L
+  is not contained in LU. It only containes ones and is implied.
+P : NDArray[...,N]
+  The order in which the row indices of A appear in the LU decomposition, i.e.:
+  \`A(P[i],j) == (L @ U)[i,j]\`.
+`
+
+
+
+nd.la.lu_solve.__doc__ = `\
+Given the LU(P) decomposition and the right hand side of a
+Linear Equations System, this method computes the result of
+said system.
+
+Parameters
+----------
+LU: NDArray[...,N,N]
+P : NDArray[...,N]
+y : NDArray[...,N,M]
+
+Returns
+-------
+x : NDArray[...,N,M]
+  The solution of the Linear Equation System, such that:
+  \`y[P[i],:] == (L @ U @ x)[i,:] \`
+`
+
+
+
+nd.la.qr_decomp_full.__doc__ = `\
+Computes the (full) QR Decomposition of a matrix. The QR
+Decomposition can be used to solve both Linear Equations
+and Linear Least Square problems with high numeric accuracy.
+Under normal circumstances, the incomplete QR Decomposition
+(\`nd.la.qr_decomp\`) is to be preferred over this method
+as it may be significantly more memory efficient.
+
+Parameters
+----------
+A: NDArray[...,N,M]
+  The matrix for which the QR Decomposition is computed.
+
+Returns
+-------
+Q: NDArray[...,N,N]
+  An orthogonal square matrix, i.e. \`Q @ Q.T == Q.T @ Q == nd.la.eye(N)\`.
+R: NDArray[...,N,M]
+  An upper triangular matrix, such that: \`A = Q @ R\`
+`
+
+
+
+nd.la.hessenberg_decomp.__doc__ = `\
+Computes the (Upper) Hessenberg Decomposition of a matrix. It
+is worth mentioning that the Hessenberg Decomposition of a
+symmetric matrix is tridiagonal.
+
+Parameters
+----------
+A: NDArray[...,N,N]
+  The matrix for which the Hessemberg Decomposition is computed.
+
+Returns
+-------
+U: NDArray[...,N,N]
+  An orthogonal matrix, i.e. \`U @ U.T == U.T @ U == nd.la.eye(N)\`.
+H: NDArray[...,N,N]
+  An upper Hessemberg matrix, i.e. \`nd.la.tril(H,-2) == 0\`, such that \`U @ H @ U.T == A\`.
+`
+
+
+nd.la.eigen.__doc__ = `\
+Returns the eigenpairs of a real square matrix.
+
+Parameters
+----------
+A: NDArray[...,N,N]
+  The non-symmetric real squre matrix for which the eigenvalues are computed.
+
+Returns
+-------
+Λ: NDArray[...,N]
+  A matrix containing all eigenvalues.
+V: NDArray[...,N,N]
+  A matrix containing the eigenvectors corresponding to Λ as columns, i.e.:
+  \`Λ[i]*V[j,i] == (A @ V)[j,i]\`.
+  The columns are normalized using the 2-norm. 
+`
+
+
+
+nd.la.eigen_sym.__doc__ = `\
+Returns the eigenpairs of a real symmetric matrix. The matrix is reduced to
+tridiagonal form using Householder reflections and then diagonalized using
+the implicit QL method. This is significantly faster than \`nd.la.eigen\`
+and the results are real. Only the lower triangular part of S is used. The
+results are always of dtype 'float64', even for 'float32' input.
+
+Parameters
+----------
+S: NDArray[...,N,N]
+  The symmetric real square matrix for which the eigenvalues are computed.
+
+Returns
+-------
+Λ: NDArray[...,N]
+  The (real) eigenvalues sorted in ascending order.
+V: NDArray[...,N,N]
+  An orthogonal matrix containing the eigenvectors corresponding to Λ as columns,
+  such that \`V @ diag(Λ) @ V.T == S\`.
+`
+
+
+
+nd.la.eigenvals_sym.__doc__ = `\
+Returns the eigenvalues of a real symmetric matrix. Only the lower triangular
+part of S is used.
+
+Parameters
+----------
+S: NDArray[...,N,N]
+  The symmetric real square matrix for which the eigenvalues are computed.
+
+Returns
+-------
+Λ: NDArray[...,N]
+  The (real) eigenvalues sorted in ascending order.
+`
+
+
+
+nd.la.eigen_gen.__doc__ = `\
+Solves the generalized eigenvalue problem \`A @ v = λ·B @ v\` for a pair
+of square matrices using the QZ algorithm (see \`nd.la.qz_decomp\`).
+
+Parameters
+----------
+A: NDArray[...,N,N]
+  The left-hand side matrix of the generalized eigenvalue problem.
+B: NDArray[...,N,N]
+  The right-hand side matrix of the generalized eigenvalue problem.
+  B may be singular, in which case infinite eigenvalues are returned
+  as \`Infinity\`.
+
+Returns
+-------
+Λ: NDArray[...,N]
+  The (complex) generalized eigenvalues.
+V: NDArray[...,N,N]
+  A complex matrix containing the eigenvectors corresponding to Λ as
+  columns, i.e.: \`Λ[i]*(B @ V)[j,i] == (A @ V)[j,i]\`.
+  The columns are normalized using the 2-norm.
+`
+
+
+
+nd.la.eigen_sym_gen.__doc__ = `\
+Solves the symmetric-definite generalized eigenvalue problem \`A @ v = λ·B @ v\`,
+where A is symmetric and B is symmetric positive definite. Using the Cholesky
+Decomposition \`B = L @ L.T\`, the problem is reduced to the symmetric eigenvalue
+problem of \`inv(L) @ A @ inv(L).T\` which is solved using \`nd.la.eigen_sym\`.
+
+Parameters
+----------
+A: NDArray[...,N,N]
+  A symmetric matrix.
+B: NDArray[...,N,N]
+  A symmetric positive definite matrix.
+
+Returns
+-------
+Λ: NDArray[...,N]
+  The (real) generalized eigenvalues sorted in ascending order.
+V: NDArray[...,N,N]
+  A matrix containing the eigenvectors corresponding to Λ as columns. The
+  eigenvectors are B-orthonormal, i.e. \`V.T @ B @ V == nd.la.eye(N)\`.
+`
+
+
+
+nd.la.qz_decomp.__doc__ = `\
+Computes the (complex) generalized Schur Decomposition of a pair of
+square matrices using the QZ algorithm. The generalized Schur Decomposition
+is used to compute the generalized eigenvalues and eigenvectors.
+
+Parameters
+----------
+A: NDArray[...,N,N]
+B: NDArray[...,N,N]
+
+Returns
+-------
+Q: NDArray[...,N,N]
+  A unitary (complex) square matrix.
+S: NDArray[...,N,N]
+  An upper triangular (complex) matrix, such that \`Q @ S @ Z.H == A\`.
+T: NDArray[...,N,N]
+  An upper triangular (complex) matrix, such that \`Q @ T @ Z.H == B\`.
+Z: NDArray[...,N,N]
+  A unitary (complex) square matrix.
+  The generalized eigenvalues are given by \`S[i,i] / T[i,i]\`.
+`
+
+
+
+nd.la.schur_decomp.__doc__ = `\
+Computes the (real) Schur Decomposition of a matrix. The
+Schur Decomposition is used to compute the Eigenvalues and
+Eigenvectors.
+
+Parameters
+----------
+A: NDArray[...,N,N]
+
+Returns
+-------
+Q: NDArray[...,N,N]
+  An orthogonal square matrix.
+T: NDArray[...,N,N]
+  An upper quasi-triangular matrix, such that \`Q @ T @ Q.T == A\`.
+  The diagonal of T consists of 2x2 blocks that represent complex
+  eigenpairs and 1x1 matrix that represent a real eigenvalue.
+`
+
+
+
+nd.la.schur_decomp_complex.__doc__ = `\
+Computes the (complex) Schur Decomposition of a matrix. Real matrices
+are decomposed via \`schur_decomp\` followed by a transformation of
+the 2x2 blocks to triangular form.
+
+Parameters
+----------
+A: NDArray[...,N,N]
+
+Returns
+-------
+Q: NDArray[...,N,N]
+  A unitary (complex) square matrix.
+T: NDArray[...,N,N]
+  An upper triangular (complex) matrix, such that \`Q @ T @ Q.H == A\`.
+  The diagonal of T contains the eigenvalues of A.
+`
+
+
+
+nd.la.expm.__doc__ = `\
+Computes the matrix exponential using the scaling and squaring method
+with Padé approximants by Higham.
+
+Parameters
+----------
+A: NDArray[...,N,N]
+  The (real or complex) matrix whose exponential is computed.
+
+Returns
+-------
+expA: NDArray[...,N,N]
+  The matrix exponential of A. The result is real for real input.
+`
+
+
+
+nd.la.logm.__doc__ = `\
+Computes the principal matrix logarithm using the inverse scaling and
+squaring method on the complex Schur form.
+
+Parameters
+----------
+A: NDArray[...,N,N]
+  The (real or complex) matrix whose logarithm is computed.
+  A must not be singular.
+
+Returns
+-------
+logA: NDArray[...,N,N]
+  The principal matrix logarithm of A, such that \`expm(logA) == A\`.
+  For real A, the result is real if the imaginary part is negligible
+  and complex otherwise.
+`
+
+
+
+nd.la.sqrtm.__doc__ = `\
+Computes the principal matrix square root using the Schur method of
+Björck and Hammarling.
+
+Parameters
+----------
+A: NDArray[...,N,N]
+  The (real or complex) matrix whose square root is computed.
+
+Returns
+-------
+sqrtA: NDArray[...,N,N]
+  The principal matrix square root of A, such that \`sqrtA @ sqrtA == A\`.
+  For real A, the result is real if the imaginary part is negligible
+  and complex otherwise.
+`
+
+
+
+nd.la.funm.__doc__ = `\
+Evaluates a general matrix function using the Schur-Parlett recurrence
+on the complex Schur form. If A has repeated eigenvalues, f(A) depends on
+the derivatives of f, which are not available, so an error is thrown unless
+the repeated eigenvalues are decoupled (e.g. for diagonal or symmetric A).
+An error is thrown as well if the eigenvalues are so close that the rounding
+errors of the recurrence are amplified beyond sqrt(eps)*‖f(A)‖. Use
+nd.la.expm, nd.la.logm or nd.la.sqrtm for (nearly) defective matrices instead.
+
+Parameters
+----------
+A: NDArray[...,N,N]
+  The (real or complex) matrix.
+f: (x: number|Complex) => number|Complex
+  The scalar function which is applied to the eigenvalues of A.
+
+Returns
+-------
+fA: NDArray[...,N,N]
+  The matrix function f(A). For real A, the result is real if the
+  imaginary part is negligible and complex otherwise.
+
+Examples
+--------
+>>> nd.la.funm([[1,1],[0,1]], Math.exp)
+  Error: funm(A,f): A has repeated (or very close) eigenvalues which are not supported by the Schur-Parlett recurrence.
+`
+
+
+
+nd.la.qr_decomp.__doc__ = `\
+Computes the (economic) QR Decomposition of a matrix. The
+QR Decomposition can be used to solve both Linear Equations
+and Linear Least Square problems with high numeric accuracy.
+Under normal circumstances, this method is to
+be preferred over the full QR Decomposition (\`nd.la.qr_decomp_full\`)
+as it may be significantly more memory efficient.
+
+Parameters
+----------
+A: NDArray[...,N,M]
+  The matrix for which the QR Decomposition is computed.
+
+Returns
+-------
+Q: NDArray[...,N,min(N,M)]
+  An orthogonal rectangular matrix, i.e. \`Q.T @ Q == nd.la.eye(min(N,M))\`.
+R: NDArray[...,min(N,M),M]
+  An upper triangular matrix, such that: \`A = Q @ R\`
+`
+
+
+
+nd.la.rrqr_decomp.__doc__ = `\
+Computes the economic Rank-Revealing QR Decomposition of a matrix.
+
+Parameters
+----------
+A: NDArray[...,N,M]
+  The matrix for which the QR Decomposition is computed.
+
+Returns
+-------
+Q: NDArray[...,N,min(N,M)]
+  An orthogonal rectangular matrix, i.e. \`Q.T @ Q == nd.la.eye(min(N,M))\`.
+R: NDArray[...,min(N,M),M]
+  An upper triangular matrix, where \`R[i,i] >= R[j,j]\` if and only if \`i <= j\`.
+P: NDArray[...,M]
+  The permuted column indices, such that:
+  \`(Q @ R)[:,j] == A[:,P[j]]\`
+`
+
+
+
+nd.la.qr_lstsq.__doc__ = `\
+Given the QR Decompostion and the right hand side of a full-rank
+linear equation system, this method solves it. If the Linear
+Equation System is under-determined, the Linear Least Square
+solution is computed. This method is no suited for rank-deficient
+or under-determined systems, in which case \`rrqr_lstsq\` or
+\`svd_lstsq\` can be used instead.
+
+Parameters
+----------
+Q: NDArray[...,N,K]
+  The orthognal rectangular matrix of the QR Decomposition.
+R: NDArray[...,K,M]
+  The upper triangular matrix of the QR Decomposition.
+y: NDArray[...,N,L]
+  The right hand side of the Linear Equation System.
+
+Returns
+-------
+x: NDArray[...,N,L]
+  Such that \`‖(Q @ R @ x) - y‖₂\` is minimal.
+`
+
+
+
+nd.la.bidiag_decomp.__doc__ = `\
+Computes the Upper Bidiagonal Decomposition of a matrix. Bidiagonal
+Decomposition is a common preprocessing step for the Singular Value
+Decomposition.
+
+Parameters
+----------
+A: NDArray[...,N,M]
+  The matrix for which the Upper Bidiagonal Decomposition is
+  computed.
+
+Returns
+-------
+U: NDArray[..., N, min(N,M)]
+  An orthognal rectangular matrix.
+B: NDArray[..., min(N,M), N >= M ? M : N+1 ]
+  An upper bidiagonal rectangular matrix.
+V: NDArray[..., N >= M ? M : N+1, M]
+  An orthogonal rectangular matrix. Such that \`A = U @ B @ V @\`
+`
+
+
+
+nd.la.solve.__doc__ = `\
+Solves a full-rank Linear Equations System (LES). The method tries to
+detect rank-deficient systems and throw a \`SingularMatrixSolveError\`,
+which contains some least squares solution to the rank-deficient
+system as property \`x\`.
+
+Parameters
+----------
+A: NDArray[...,N,K]
+  The matrix of the LES.
+y: NDArray[...,K,M]
+  The right hand side of the LES.
+
+Returns
+-------
+x: NDArray[...,N,M]
+  The solution of \`(A @ x) = y\`.
+`
+
+
+
+nd.la.cg_gen.__doc__ = `\
+Solves a linear equation system with a symmetric positive definite
+matrix using the (preconditioned) Conjugate Gradient method. This is
+a generator which yields each iterate, so the residual history can
+be observed and the iteration stopped early. The non-generator variant
+\`nd.la.cg(A,b,opt)\` simply returns the final solution. The
+preconditioner M has to be symmetric positive definite as well.
+
+Parameters
+----------
+A: NDArray[N,N] | SparseMatrix[N,N] | (x: NDArray[N]) => NDArray[N]
+  The system matrix, either as dense matrix, sparse matrix
+  or as linear operator callback \`x => A @ x\`.
+b: NDArray[N]
+  The right-hand side.
+opt.x0: NDArray[N]
+  The initial guess. Default: zeros.
+opt.M: NDArray[N,N] | SparseMatrix[N,N] | (r: NDArray[N]) => NDArray[N]
+  The preconditioner, which should approximate the inverse of A
+  and be cheap to apply. Default: No preconditioning.
+opt.tol: float
+  The relative tolerance. Default: 1e-8.
+opt.atol: float
+  The absolute tolerance. The iteration stops once the residual
+  norm is below \`max(tol*norm(b), atol)\`. Default: 0.
+opt.maxiter: int
+  The maximum number of iterations after which a
+  \`KrylovNoConvergenceError\` is thrown. Default: 10*N.
+
+Yields
+------
+x: NDArray[N]
+  The current iterate, starting with the initial guess.
+res: float
+  The residual norm of x.
+`
+
+
+
+nd.la.minres_gen.__doc__ = `\
+Solves a linear equation system with a symmetric (possibly indefinite)
+matrix using the MINRES method. This is a generator which yields each
+iterate, so the residual history can be observed and the iteration
+stopped early. The non-generator variant \`nd.la.minres(A,b,opt)\`
+simply returns the final solution. The preconditioner M has to be
+symmetric positive definite. The residual norm is measured in the
+norm induced by M.
+
+Parameters
+----------
+A: NDArray[N,N] | SparseMatrix[N,N] | (x: NDArray[N]) => NDArray[N]
+  The system matrix, either as dense matrix, sparse matrix
+  or as linear operator callback \`x => A @ x\`.
+b: NDArray[N]
+  The right-hand side.
+opt.x0: NDArray[N]
+  The initial guess. Default: zeros.
+opt.M: NDArray[N,N] | SparseMatrix[N,N] | (r: NDArray[N]) => NDArray[N]
+  The preconditioner, which should approximate the inverse of A
+  and be cheap to apply. Default: No preconditioning.
+opt.tol: float
+  The relative tolerance. Default: 1e-8.
+opt.atol: float
+  The absolute tolerance. The iteration stops once the residual
+  norm is below \`max(tol*norm(b), atol)\`. Default: 0.
+opt.maxiter: int
+  The maximum number of iterations after which a
+  \`KrylovNoConvergenceError\` is thrown. Default: 10*N.
+
+Yields
+------
+x: NDArray[N]
+  The current iterate, starting with the initial guess.
+res: float
+  The residual norm of x.
+`
+
+
+
+nd.la.gmres_gen.__doc__ = `\
+Solves a general square linear equation system using the restarted
+GMRES method with right preconditioning. This is a generator which
+yields each iterate, so the residual history can be observed and the
+iteration stopped early. The non-generator variant \`nd.la.gmres(A,b,opt)\`
+simply returns the final solution.
+
+Parameters
+----------
+A: NDArray[N,N] | SparseMatrix[N,N] | (x: NDArray[N]) => NDArray[N]
+  The system matrix, either as dense matrix, sparse matrix
+  or as linear operator callback \`x => A @ x\`.
+b: NDArray[N]
+  The right-hand side.
+opt.x0: NDArray[N]
+  The initial guess. Default: zeros.
+opt.M: NDArray[N,N] | SparseMatrix[N,N] | (r: NDArray[N]) => NDArray[N]
+  The preconditioner, which should approximate the inverse of A
+  and be cheap to apply. Default: No preconditioning.
+opt.tol: float
+  The relative tolerance. Default: 1e-8.
+opt.atol: float
+  The absolute tolerance. The iteration stops once the residual
+  norm is below \`max(tol*norm(b), atol)\`. Default: 0.
+opt.maxiter: int
+  The maximum number of iterations after which a
+  \`KrylovNoConvergenceError\` is thrown. Default: 10*N.
+opt.restart: int
+  The number of iterations after which GMRES is restarted. Default: min(N,20).
+
+Yields
+------
+x: NDArray[N]
+  The current iterate, starting with the initial guess.
+res: float
+  The residual norm of x.
+`
+
+
+
+nd.la.bicgstab_gen.__doc__ = `\
+Solves a general square linear equation system using the (right
+preconditioned) BiCGSTAB method. This is a generator which yields
+each iterate, so the residual history can be observed and the iteration
+stopped early. The non-generator variant \`nd.la.bicgstab(A,b,opt)\`
+simply returns the final solution. A \`KrylovNoConvergenceError\`
+is thrown if the iteration breaks down.
+
+Parameters
+----------
+A: NDArray[N,N] | SparseMatrix[N,N] | (x: NDArray[N]) => NDArray[N]
+  The system matrix, either as dense matrix, sparse matrix
+  or as linear operator callback \`x => A @ x\`.
+b: NDArray[N]
+  The right-hand side.
+opt.x0: NDArray[N]
+  The initial guess. Default: zeros.
+opt.M: NDArray[N,N] | SparseMatrix[N,N] | (r: NDArray[N]) => NDArray[N]
+  The preconditioner, which should approximate the inverse of A
+  and be cheap to apply. Default: No preconditioning.
+opt.tol: float
+  The relative tolerance. Default: 1e-8.
+opt.atol: float
+  The absolute tolerance. The iteration stops once the residual
+  norm is below \`max(tol*norm(b), atol)\`. Default: 0.
+opt.maxiter: int
+  The maximum number of iterations after which a
+  \`KrylovNoConvergenceError\` is thrown. Default: 10*N.
+
+Yields
+------
+x: NDArray[N]
+  The current iterate, starting with the initial guess.
+res: float
+  The residual norm of x.
+`
+
+
+
+nd.la.lsqr_gen.__doc__ = `\
+Solves a (damped) linear least squares problem \`min |A@x - b|² + damp²·|x|²\`
+using the LSQR method. This is a generator which yields each iterate,
+so the residual history can be observed and the iteration stopped early.
+The non-generator variant \`nd.la.lsqr(A,b,opt)\` simply returns the final
+solution.
+
+Parameters
+----------
+A: NDArray[M,N] | SparseMatrix[M,N] | (x: NDArray[N]) => NDArray[M]
+  The system matrix, either as dense matrix, sparse matrix
+  or as linear operator callback \`x => A @ x\`.
+b: NDArray[M]
+  The right-hand side.
+opt.AT: (u: NDArray[M]) => NDArray[N]
+  The transposed linear operator \`u => A.T @ u\`. Required
+  if and only if A is given as callback.
+opt.x0: NDArray[N]
+  The initial guess. Default: zeros.
+opt.damp: float
+  The damping (Tikhonov regularization) factor. Default: 0.
+opt.tol: float
+  The relative tolerance. The iteration stops if either
+  \`|r| <= max(tol*|b|, atol)\` or \`|A.T@r| <= tol*|A|*|r|\`. Default: 1e-8.
+opt.atol: float
+  The absolute tolerance. Default: 0.
+opt.maxiter: int
+  The maximum number of iterations after which a
+  \`KrylovNoConvergenceError\` is thrown. Default: 2*N.
+
+Yields
+------
+x: NDArray[N]
+  The current iterate, starting with the initial guess.
+res: float
+  The residual norm |r| = |b - A@x| (augmented by damp·x).
+ATres: float
+  The norm of the normal equation residual |A.T@r|.
+`
+
+
+
+nd.la.srrqr_decomp_full.__doc__ = `\
+Computes the full strong Rank-Revealing QR Decomposition of a matrix.
+
+Parameters
+----------
+A: NDArray[...,M,N]
+  The matrix for which the QR Decomposition is computed.
+opt: {
+  dtol: float >= 1,
+    Threshold for the column swaps. Columns are swapped for as long as the
+    determinant of the upper left quadrant of the (partially triangularized)
+    matrix increases by at least a factor of \`dtol\`. The larger \`dtol\`, the
+    faster the decomposition is. The closer to 1 \`dtol\` is, the more accurate
+    the rank determination.
+  ztol: float >= 0
+    Tolerance for the rank determination. If the lower right quadrant of the
+    (partially triangularized) matrix is less than or equal to ztol, it is
+    considered to be zero.
+}
 
+Returns
+-------
+Q: NDArray[...,M,M]
+  An orthogonal rectangular matrix, i.e. \`Q.T @ Q == nd.la.eye(min(N,M))\`.
+R: NDArray[...,M,N]
+  An upper triangular matrix, where \`R[i,i] >= R[j,j]\` if and only if \`i <= j\`.
+P: NDArray[...,N]
+  The permuted column indices, such that:
+  \`(Q @ R)[:,j] == A[:,P[j]]\`
+ranks: NDArray[...]
+  The rank or batch of ranks of the individual matrices.
 
-  //
- // I/O
-//
-nd.io.istr_parse.__doc__ = `\
-Parses an inlineable string representation (ISTR) of an \`NDArray\`. ISTR is intended
-for inlining large \`NDArray\`s into JavaScript code or JSON files. The string representation
-consists of a data type string, followed by a JSON array for the shape and finally a Base64
-encoded, little-endian representation of the \`NDArray\`'s data/content. Except for within
-the type string or in between the digits of a shape integer, ISTR is whitespace-agnostic.
+References
+----------
+.. [1] "Efficient Algorithms for Computing a Strong Rank-Revealing QR Factorization",
+        Ming Gu and Stanley C. Eisenstat
+`
+
+
+
+nd.la.svd_decomp.__doc__ = `\
+Computes the Singular Value Decomposition (SVD) of a matrix.
 
 Parameters
 ----------
-chars: Iterable<char>
-  The character sequence that is to be parsed.
+A: NDArray[...,N,M]
+  The matrix for which the SVD is computed.
 
 Returns
 -------
-ndarray: NDArray
-  The \`NDArray\` parsed from \`chars\`.
+U : NDArray[...,N,min(N,M)]
+  An orthogonal, rectangular matrix.
+sv: NDArray[..., min(N,M) ]
+  The singular values of A sorted in descending order.
+V : NDArray[...,min(N,M),M]
+  An orthogonal, rectangular matrix, such that \`A == U @ diag(sv) @ V\`.
+`
 
-Examples
---------
->>> const a = nd.io.istr_parse(\`int32[7,6]
-...   CwAAAAwAAAANAAAADgAAAA8AAAAQAAAAFQAAABYAAAAXAAAAGAAAABkAAAAaAAAAHwAAACAAAAAhAAAAIgAAACMAAAAkAAAAKQAAACoAAAArAAAALAAAAC0AAAAuAAAA
-...   MwAAADQAAAA1AAAANgAAADcAAAA4AAAAPQAAAD4AAAA/AAAAQAAAAEEAAABCAAAARwAAAEgAAABJAAAASgAAAEsAAABMAAAA\`
-... );
->>> console.log( a.toString() )
-  [[ 11, 12, 13, 14, 15, 16 ],
-   [ 21, 22, 23, 24, 25, 26 ],
-   [ 31, 32, 33, 34, 35, 36 ],
-   [ 41, 42, 43, 44, 45, 46 ],
-   [ 51, 52, 53, 54, 55, 56 ],
-   [ 61, 62, 63, 64, 65, 66 ],
-   [ 71, 72, 73, 74, 75, 76 ]]
+
+
+nd.la.urv_decomp_full.__doc__ = `\
+Computes the (full) URV decomposition of a matrix. The URV decomposition
+is also known as complete orthogonal decomposition. Amongs other things,
+the URV decomposition can be used (as a faster alternative to the SVD)
+for finding the minimum-norm solution to under-determined least-squares
+problems.
+
+Parameters
+----------
+A: NDArray[...,M,N]
+  The matrix (or batch of matrices) that is to be URV decomposed.
+
+Returns
+-------
+U: NDArray[...,M,M]
+  An orthogonal, square matrix.
+R: NDArray[...,M,N]
+  An upper triangular, square matrix.
+V: NDArray[...,N,N]
+  An orthogonal, square matrix, such that \`A = U @ R @ V\`
 `
 
 
 
-nd.io.istr_stringify.__doc__ = `\
-Converts an \`NDArray\` into an inlineable string representation (ISTR). ISTR is intended
-for inlining large \`NDArray\`s into JavaScript code or JSON files. The string representation
-consists of a data type string, followed by a JSON array for the shape and finally a Base64
-encoded, little-endian representation of the \`NDArray\`'s data/content. Except for within
-the type string or in between the digits of a shape integer, ISTR is whitespace-agnostic.
+nd.la.norm.__doc__ = `\
+Computes vector or matrix norms of an NDArray. The norm is computed over
+one axis (vector norm) or a pair of axes (matrix norm). All other axes are
+treated as batch dimensions. All norms are computed in an overflow- and
+underflow-safe manner.
 
 Parameters
 ----------
-ndarray: NDArray
-  The array that is to be converted to an inlineable string representation.
-options: {linewidth=128}
-  [optional] The maximum number of Base64 characters per line before a newline
-  character is inserted.
+A: NDArray[...] or Array
+  The (batch of) vector(s) or matrix/matrices whose norm is computed.
+ord: 'fro' or 'nuc' or number
+  The order of the norm. For vector norms, the following orders are supported:
+
+    ord       | norm
+    ----------+------------------------
+    2 or 'fro'| sqrt( sum(abs(x)**2) )
+    Infinity  | max(abs(x))
+    -Infinity | min(abs(x))
+    0         | count of non-zero entries
+    other p   | sum(abs(x)**p)**(1/p)
+
+  For matrix norms, the following orders are supported:
+
+    ord       | norm
+    ----------+------------------------
+    'fro'     | Frobenius norm
+    'nuc'     | sum of the singular values
+    2 / -2    | largest / smallest singular value
+    1 / -1    | max. / min. of the column sums of abs(A)
+    Infinity  | max. of the row sums of abs(A)
+    -Infinity | min. of the row sums of abs(A)
+
+  The singular values are computed via \`nd.la.svd_decomp\`.
+axis: int or [int,int]
+  The axis or axes over which the norm is computed. Negative indices are
+  counted from the end. If omitted, the 'fro' norm is computed over all
+  entries. For other orders, axis defaults to [0] for 1D and [0,1] for 2D
+  input. If axis is an int, the 'fro' order is treated as order 2.
+keepdims: bool
+  If true, the reduced axes are kept as axes of size 1.
 
 Returns
 -------
-istr: string
-  An inlineable string representation of \`ndarray\`.
+norm: NDArray[...] or float64
+  The norm(s) of A. If all axes are reduced (and keepdims is false), the
+  result is a scalar number instead of an NDArray.
 
 Examples
 --------
->>> const a = nd.tabulate([7,6], 'int32', (i,j) => 10*i+j+11)
->>> console.log('\`' + nd.io.istr_stringify(a) + '\`')
-  \`int32[7,6]
-  CwAAAAwAAAANAAAADgAAAA8AAAAQAAAAFQAAABYAAAAXAAAAGAAAABkAAAAaAAAAHwAAACAAAAAhAAAAIgAAACMAAAAkAAAAKQAAACoAAAArAAAALAAAAC0AAAAuAAAA
-  MwAAADQAAAA1AAAANgAAADcAAAA4AAAAPQAAAD4AAAA/AAAAQAAAAEEAAABCAAAARwAAAEgAAABJAAAASgAAAEsAAABMAAAA\`
+>>> const A = nd.array([[1,-2, 3],
+...                     [4, 5,-6]]);
+>>> nd.la.norm(A, 1)
+9
+>>> nd.la.norm(A, Infinity, [0,1])
+15
+>>> nd.la.norm(A, Infinity, 1)
+nd.array([3, 6], dtype='float64')
+>>> nd.la.norm(A, 1, -1, true)
+nd.array([[ 6],
+          [15]], dtype='float64')
 `
 
 
 
-nd.io.npy_serialize.__doc__ = `\
-Serializes an \`NDArray\` into an \`Uint8Array\` using version 1.0 of the NumPy NPY-format.
-NPY is popular matrix exchange format that is implemented in several programming languages.
-It is well-suited for network streaming or file system storage.
-
-In order to reduce memory overhead, consider using \`nd.io.npy_serialize_gen()\` which returns
-an \`Iterable<uint8>\` instead of an \`Uint8Array\`.
+nd.la.inv.__doc__ = `\
+Computes the inverse of a (batch of) square matrices via \`nd.la.lu_decomp\`.
+If a matrix is (numerically) singular, a \`SingularMatrixSolveError\` is
+thrown, whose \`x\` property contains the (non-finite) result. Consider
+\`nd.la.cond\` or \`nd.la.lu_cond_est\` to check the condition of a matrix
+beforehand and \`nd.la.solve\` or \`nd.la.lu_solve\` to solve linear
+systems without computing an inverse.
 
 Parameters
 ----------
-ndarray: NDArray
-  The array that is to be serialized.
+A: NDArray[...,N,N]
+  The matrix (or batch of matrices) that is to be inverted.
 
 Returns
 -------
-bytes: Uint8Array
-  The bytes of the NPY representation of \`ndarray\`.
+A_inv: NDArray[...,N,N]
+  The inverse of A, such that \`A @ A_inv == I\`.
 `
 
 
 
-  //
- // LINEAR ALGEBRA
-//
-nd.la.__doc__ = `\
-The Linear Algebra subpackage of ND.JS. Contains methods for the handling and decomposition
-of matrices as well as solvers for linear equations and linear least square systems.
+nd.la.pinv.__doc__ = `\
+Computes the Moore-Penrose pseudo-inverse of a (batch of) matrices via
+\`nd.la.svd_decomp\`. Singular values less than or equal to \`rcond\`
+times the largest singular value are treated as zero.
 
-As convention the last two axes of an \`NDArray\` are considered as the matrix dimensions.
-Higher dimensional arrays are considered "arrays of matrices" and the broadcasting rules
-apply for the leading dimenions, i.e. for all dimensions of the shape except the last two.
+Parameters
+----------
+A: NDArray[...,M,N]
+  The matrix (or batch of matrices) that is to be pseudo-inverted.
+rcond: float
+  The relative cutoff for small singular values. Default: max(M,N)*eps.
+
+Returns
+-------
+A_pinv: NDArray[...,N,M]
+  The pseudo-inverse of A. \`A_pinv @ y\` is the minimum-norm solution of
+  the least-squares problem \`A @ x ≈ y\`.
 `
 
 
 
-nd.la.eye.__doc__ = `\
-Returns an NDArray of identity matrices, where the last two axes are the matrix dimensions.
+nd.la.cond.__doc__ = `\
+Computes the condition number of a (batch of) matrices, i.e.
+\`norm(A,ord) * norm(inv(A),ord)\`. For ord=2 (default) and ord=-2,
+the condition number is computed as the ratio of the largest and
+smallest singular value. For all other orders, A must be square and
+singular matrices result in a condition number of \`Infinity\`.
 
 Parameters
 ----------
-shape: ...int
-  The shape of the resulting array. If only one value N is given, an N*N identity
-  matrix is returned.
+A: NDArray[...,M,N]
+  The matrix (or batch of matrices) whose condition number is computed.
+ord: 2 or -2 or 1 or -1 or Infinity or -Infinity or 'fro' or 'nuc'
+  The order of the matrix norm (see \`nd.la.norm\`). Default: 2.
 
 Returns
 -------
-I: NDArray
-  The array of identity matrices, where the last two axes are the matrix dimensions.
-
-Examples
---------
->>> const I = nd.la.eye(2);
->>> console.log( I.toString() );
-  [[1,0],
-   [0,1]]
-
->>> const J = nd.la.eye(2,3,4);
->>> console.log( J.toString() );
-  [[[ 1, 0, 0, 0],
-    [ 0, 1, 0, 0],
-    [ 0, 0, 1, 0]],
-   [[ 1, 0, 0, 0],
-    [ 0, 1, 0, 0],
-    [ 0, 0, 1, 0]]]
+cond: NDArray[...] or float64
+  The condition number of A. For a single matrix, a number is returned.
 `
 
 
 
-nd.la.tril.__doc__ = `\
-Returns a copy of an array with all entries outside of the lower triangular part set to 0.
-The last two axes are considered the matrix dimensions.
+nd.la.lu_cond_est.__doc__ = `\
+Cheaply estimates the 1-norm condition number of a (batch of) square
+matrices A from their LU decomposition as returned by \`nd.la.lu_decomp\`.
+Hager's method (with Higham's improvements) is used, which requires only
+O(N²) operations per matrix, as opposed to the O(N³) operations needed to
+compute the exact condition number. The estimate is a lower bound of the
+exact 1-norm condition number and is usually within a factor of 3 of it.
 
 Parameters
 ----------
-A: NDArray[...,N,M]
-  The array of matrices whose lower triangular parts are to be returned.
-offset: int
-  [Optional] The offset from the main diagonal of entries included in the  result.
-  If \`offset = +1\` the entries above/right of the main diagonal are not set to zero.
-  If \`offset = -2\` the entries on the main diagonal and one below/left of if are set to zero.
-  The default value is 0.
+LU: NDArray[...,N,N]
+  The LU factors of A.
+P: NDArray[...,N]
+  The row permutations of A.
+A_norm: NDArray[...] or float
+  The 1-norm of A. If omitted, the 1-norm of A is estimated from the LU
+  factors as well.
 
 Returns
 -------
-L: NDArray[...,N,M]
-  The lower triangular part of A, where \`L(i,j) == i >= j-offset ? A(i,j) : 0\`.
+cond_est: NDArray[...]
+  The estimated 1-norm condition number of A. Infinity if A is singular.
 
 Examples
 --------
->>> const A = nd.tabulate([2,3,3], (k,i,j) => 100*(k+1) + 10*(i+1) + (j+i) );
->>> console.log( A.toString() );
-  [[[ 110, 111, 112 ],
-    [ 121, 122, 123 ],
-    [ 132, 133, 134 ]],
-   [[ 210, 211, 212 ],
-    [ 221, 222, 223 ],
-    [ 232, 233, 234 ]]]
-
->>> const L1 = nd.la.tril(A);
->>> console.log( L1.toString() );
-  [[[ 110,   0,   0 ],
-    [ 121, 122,   0 ],
-    [ 132, 133, 134 ]],
-   [[ 210,   0,   0 ],
-    [ 221, 222,   0 ],
-    [ 232, 233, 234 ]]]
->>> const L2 = nd.la.tril(A,-1);
->>> console.log( L2.toString() );
-  [[[   0,   0,  0 ],
-    [ 121,   0,  0 ],
-    [ 132, 133,  0 ]],
-   [[   0,   0,  0 ],
-    [ 221,   0,  0 ],
-    [ 232, 233,  0 ]]]
+>>> const A = nd.array([[1, 2],
+...                     [3, 4]]);
+>>> const [LU,P] = nd.la.lu_decomp(A);
+>>> nd.la.lu_cond_est(LU,P, nd.la.norm(A,1))
+nd.array(20.999999999999996, dtype='float64')
 `
 
 
 
-nd.la.triu.__doc__ = `\
-Returns a copy of an array with all entries outside of the upper triangular part set to 0.
-The last two axes are considered the matrix dimensions.
+nd.la.cholesky_cond_est.__doc__ = `\
+Cheaply estimates the 1-norm condition number of a (batch of) symmetric
+positive definite matrices S from their Cholesky decomposition as returned
+by \`nd.la.cholesky_decomp\`. See \`nd.la.lu_cond_est\` for more details.
 
 Parameters
 ----------
-A: NDArray[...,N,M]
-  The array of matrices whose upper triangular parts are to be returned.
-offset: int
-  [Optional] The offset from the main diagonal of entries included in the result.
-  If \`offset = +1\` the main diagonal is set to zero.
-  If \`offset = -2\` the entries on the main diagonal and one below/left of if are not set to zero.
-  The default value is 0.
+L: NDArray[...,N,N]
+  The lower triangular Cholesky factor of S, such that \`S = L @ Lᵀ\`.
+S_norm: NDArray[...] or float
+  The 1-norm of S. If omitted, the 1-norm of S is estimated from L as well.
 
 Returns
 -------
-U: NDArray[...,N,M]
-  The upper triangular part of A, where \`L(i,j) == i <= j-offset ? A(i,j) : 0\`.
+cond_est: NDArray[...]
+  The estimated 1-norm condition number of S.
+`
 
-Examples
---------
->>> const A = nd.tabulate([2,3,3], (k,i,j) => 100*(k+1) + 10*(i+1) + (j+i) );
->>> console.log( A.toString() );
-  [[[ 110, 111, 112 ],
-    [ 121, 122, 123 ],
-    [ 132, 133, 134 ]],
-   [[ 210, 211, 212 ],
-    [ 221, 222, 223 ],
-    [ 232, 233, 234 ]]]
 
->>> const L1 = nd.la.triu(A);
->>> console.log( L1.toString() );
-[[[ 110, 111, 112 ],
-  [   0, 122, 123 ],
-  [   0,   0, 134 ]],
- [[ 210, 211, 212 ],
-  [   0, 222, 223 ],
-  [   0,   0, 234 ]]]
->>> const L2 = nd.la.triu(A,+1);
->>> console.log( L2.toString() );
-[[[ 0, 111, 112 ],
-  [ 0,   0, 123 ],
-  [ 0,   0,   0 ]],
- [[ 0, 211, 212 ],
-  [ 0,   0, 223 ],
-  [ 0,   0,   0 ]]]
+
+  //
+ // SPARSE MATRICES
+//
+nd.sparse.__doc__ = `\
+The sparse matrix subpackage of ND.JS. Contains the sparse matrix types
+COOMatrix, CSRMatrix and CSCMatrix as well as sparse matrix products,
+element-wise operations and sparse Cholesky/LDL decompositions with a
+fill-reducing Approximate Minimum Degree (AMD) ordering.
+
+All sparse matrices are 2D and of dtype "float64". Each sparse matrix
+offers the methods \`toCOO()\`, \`toCSR()\`, \`toCSC()\` and \`toDense()\`
+for conversion, \`get(i,j)\` for the access of single entries and the
+property \`T\` for (zero-copy) transposition.
 `
 
 
 
-nd.la.diag_mat.__doc__ = `\
-Creates a (main) diagonal matrix with the given diagonal values.
+nd.sparse.COOMatrix.__doc__ = `\
+Creates a new sparse matrix in Coordinate format. The COO format is
+best suited for the assembly of sparse matrices. Duplicate entries are
+summed up upon conversion.
 
 Parameters
 ----------
-diag: NDArray[...,N]
-  The diagonal values.
+shape: int[2]
+  The shape of the matrix.
+rows: int[nnz]
+  The row indices of the entries.
+cols: int[nnz]
+  The column indices of the entries.
+data: float64[nnz]
+  The values of the entries.
+`
 
-Returns
--------
-D: NDArray[...,N,N]
-  Such that \`D(i,j) == i==j ? diag(i) : 0\`.
 
-Examples
---------
->>> const D = nd.la.diag_mat([[1,2,3],[4,5,6]]);
->>> console.log( D.toString() );
-  [[[ 1, 0, 0 ],
-    [ 0, 2, 0 ],
-    [ 0, 0, 3 ]],
-   [[ 4, 0, 0 ],
-    [ 0, 5, 0 ],
-    [ 0, 0, 6 ]]]
+
+nd.sparse.CSRMatrix.__doc__ = `\
+Creates a new sparse matrix in Compressed Sparse Row format.
+
+Parameters
+----------
+shape: int[2]
+  The shape [M,N] of the matrix.
+indptr: int[M+1]
+  The column indices and values of row i are stored in
+  \`indices[indptr[i]:indptr[i+1]]\` and \`data[indptr[i]:indptr[i+1]]\`.
+indices: int[nnz]
+  The column indices of the entries.
+data: float64[nnz]
+  The values of the entries.
+`
+
+
+
+nd.sparse.CSCMatrix.__doc__ = `\
+Creates a new sparse matrix in Compressed Sparse Column format.
+
+Parameters
+----------
+shape: int[2]
+  The shape [M,N] of the matrix.
+indptr: int[N+1]
+  The row indices and values of column j are stored in
+  \`indices[indptr[j]:indptr[j+1]]\` and \`data[indptr[j]:indptr[j+1]]\`.
+indices: int[nnz]
+  The row indices of the entries.
+data: float64[nnz]
+  The values of the entries.
 `
 
 
 
-nd.la.matmul.__doc__ = `\
-Computes the matrix product of a series of matrices. The order
-of multiplications is optimized to minimize the number of floating
-point operations required. The last two axes are considered to be
-the matrix dimensions. For the leading axes, broadcasting rules apply.
-Along with \`nd.la.matmul2\`, this is one of the only two methods
-that currently allows complex inputs.
+nd.sparse.from_dense.__doc__ = `\
+Converts a dense matrix to a sparse matrix. Only the nonzero
+entries are stored.
 
 Parameters
 ----------
-matrices: ...NDArray
-  The matrices that are to be multiplied.
+A: NDArray[M,N]
+  The dense matrix.
+format: 'csr' | 'csc' | 'coo'
+  The format of the resulting sparse matrix. Default: 'csr'.
 
 Returns
 -------
-product: NDArray
-  Where \`product = matrices[0] @ matrices[1] @ ... @ matrices[n-1]\`.
-
-Examples
---------
->>> const v = nd.tabulate([1e6,1], () => 1);
->>> console.log( v.toString() );
-  [[ 1 ],
-   [ 1 ],
-   [ 1 ],
-   [ 1 ],
-   [ 1 ],
-   ...999990 more...,
-   [ 1 ],
-   [ 1 ],
-   [ 1 ],
-   [ 1 ],
-   [ 1 ]]
->>> const u = nd.la.matmul(v,v.T,v,v.T,v);
->>> console.log( u.toString() );
-  [[1000000000000],
-   [1000000000000],
-   [1000000000000],
-   [1000000000000],
-   [1000000000000],
-   ...999990 more...,
-   [1000000000000],
-   [1000000000000],
-   [1000000000000],
-   [1000000000000],
-   [1000000000000]]
+S: CSRMatrix | CSCMatrix | COOMatrix
+  The sparse matrix.
 `
 
 
-nd.la.matmul2.__doc__ = `\
-Computes the matrix product of exactly two matrices. The last two axes
-are considered to be the matrix dimensions. For the leading axes,
-broadcasting rules apply. Along with \`nd.la.matmul\`, this is one
-of the only two methods that currently allows complex inputs.
+
+nd.sparse.matmul.__doc__ = `\
+Computes the matrix product of two matrices, at least one of which
+is sparse.
 
 Parameters
 ----------
-a: NDArray[...,N,K]
-  The left factor matrices.
-b: NDArray[...,K,M]
-  The right factor matrices.
+A: SparseMatrix[M,K] | NDArray[M,K] | NDArray[K]
+B: SparseMatrix[K,N] | NDArray[K,N] | NDArray[K]
 
 Returns
 -------
-product: NDArray[...,N,M]
-  Where \`product = a @ b\`.
-
-Examples
---------
->>> const A = [
-...   [2, 0],
-...   [0,-1]
-... ];
->>> const x = nd.array([
-...   [[1,2]],
-...   [[3,4]],
-...   [[5,6]]
-... ]).T;
->>> console.log( x.toString() );
-  [ [[1],
-     [2]],
-
-    [[3],
-     [4]],
-
-    [[5],
-     [6]] ]
->>> const y = nd.la.matmul2(A,x);
->>> console.log( y.toString() );
-  [ [[ 2 ],
-     [-2 ]],
-  
-    [[ 6 ],
-     [-4 ]],
-  
-    [[10 ],
-     [-6 ]] ]
+C: CSRMatrix[M,N] | NDArray[M,N]
+  The product \`A @ B\`. If both A and B are sparse, C is a CSRMatrix.
+  Otherwise C is a dense NDArray. If A or B is a vector, so is C.
 `
 
 
 
-nd.la.cholesky_decomp.__doc__ = `\
-Computes the Cholesky Decomposition of an \`NDArray\` of symmetric, positive
-definite (square) matrices. The implementation assumes the matrices to be symmetric
-and only looks at the lower triangular values. The last two axes of the \`NDArray\`
-are considered to be the matrix dimensions.
+nd.sparse.zip_elems.__doc__ = `\
+Applies a binary function element-wise to two sparse matrices of the
+same shape. Only the union of nonzero patterns is visited, which is why
+\`fn(0,0)\` must be zero. The functions \`add\`, \`sub\` and \`mul\` are
+the most common special cases. \`mul\` also accepts a scalar factor.
 
 Parameters
 ----------
-S: NDArray[...,N,N]
-  An \`NDArray\` of symmetric, positive definite (square) matrices. In other words
-  S is symmetric and has only positive eigenvalues. 
+A: SparseMatrix[M,N]
+B: SparseMatrix[M,N]
+fn: (a: number, b: number) => number
 
 Returns
 -------
-L: NDArray[...,N,N]
-  A lower triangular matrix, such that \`S = L @ L.T\`.
-
-Examples
---------
->>> const S = [
-...   [ 25, -50],
-...   [-50, 101]
-... ];
->>> const L = nd.la.cholesky_decomp(S);
->>> console.log( nd.la.matmul2(L,L.T).toString() );
-  [[ 25, -50],
-   [-50, 101]]
+C: CSRMatrix[M,N]
+  The result, without any explicitly stored zeros.
 `
 
 
 
-nd.la.cholesky_solve.__doc__ = `\
-Given a cholesky decomposition and the right hand side of a linear equation system,
-this method computes the result of said system.
+nd.sparse.amd.__doc__ = `\
+Computes a fill-reducing symmetric permutation of a square sparse
+matrix using an Approximate Minimum Degree ordering.
 
 Parameters
 ----------
-L: NDArray[...,N,N]
-  An array of lower triangular (square) matrices. L is assumed to be lower triangular
-  without looking at the upper triangular values.
-y: NDArray[...,N,M]
-  The right hand side of the linear equations system.
+A: SparseMatrix[N,N]
+  Only the nonzero pattern of \`A + A.T\` is considered.
 
 Returns
 -------
-x: NDArray[...,N,M]
-  Such that \`L @ L.T @ x == y\`.
-
-Examples
---------
->>> const S = [
-...   [ 25, -50],
-...   [-50, 101]
-... ];
->>> const y = [
-...   [[1],
-...    [2]],
-...   [[3],
-...    [4]]
-... ];
->>> const L = nd.la.cholesky_decomp(S);
->>> const x = nd.la.cholesky_solve(L,y);
->>> console.log( nd.la.matmul2(S,x) );
- [[[1.0],
-   [2.0]],
-  [[3.0],
-   [4.0]]]
+P: NDArray[N]
+  The permutation, such that \`A[P,:][:,P]\` can be factorized
+  with little fill-in.
 `
 
 
 
-nd.la.ldl_decomp.__doc__ = `\
-Computes the LDLᵀ Decomposition of an \`NDArray\` of a symmetric, indefinite (square) matrix.
-The implementation assumes the matrices to be symmetric and only looks at the lower triangular
-values. The last two axes of the \`NDArray\` are considered to be the matrix dimensions.
-Unless the input is entirely either positive or negative definite, the result may be inaccurate
-for badly conditioned matrices.
+nd.sparse.cholesky_decomp.__doc__ = `\
+Computes the sparse Cholesky decomposition of a symmetric positive
+definite matrix. Only the lower triangle of A is used. The trailing
+dense part of the factor is computed using the dense kernels of
+\`nd.la.cholesky_decomp\`.
 
 Parameters
 ----------
-S: NDArray[...,N,N]
-  An \`NDArray\` of symmetric (square) matrices.
+A: SparseMatrix[N,N]
+  The symmetric positive definite matrix.
+opt: {ordering: 'amd' | 'natural'}
+  The fill-reducing ordering. Default: 'amd'.
 
 Returns
 -------
-LD: NDArray[...,N,N]
-  A lower triangular matrix, such that \`S = L @ D @ L.T\`, where \`L = tril(LD,-1) + nd.eye(N)\`
-  and \`D = diag(LD)\`.
-
-Examples
---------
->>> const S = [
-...   [ 25, -50],
-...   [-50, 101]
-... ];
-... const LD = nd.la.ldl_decomp(S),
-...       L  = LD.mapElems( (ld, i,j) => ld*(i > j) + (i===j) ),
-...       D  = LD.mapElems( (ld, i,j) => ld*(i===j) );
-... console.log( nd.la.matmul(L,D,L.T).toString() );
-  [[ 25, -50],
-   [-50, 101]]
+L: CSCMatrix[N,N]
+  The lower triangular Cholesky factor.
+P: NDArray[N]
+  The permutation such that \`A[P,:][:,P] == L @ L.T\`.
 `
 
 
-nd.la.pldlp_decomp.__doc__ = `\
-Computes the PLDLᵀPᵀ Decomposition (a.k.a. Bunch-Kaufmann) of an \`NDArray\` of a symmetric
-indefinite (square) matrix. The implementation assumes the matrices to be symmetric and only
-looks at the lower triangular values. The last two axes of the \`NDArray\` are considered
-to be the matrix dimensions.
+
+nd.sparse.cholesky_solve.__doc__ = `\
+Solves a linear equation system given the sparse Cholesky decomposition.
 
 Parameters
 ----------
-S: NDArray[...,N,N]
-  An \`NDArray\` of symmetric indefinite (square) matrices.
+L: CSCMatrix[N,N]
+P: NDArray[N]
+  The result of \`cholesky_decomp(A)\`.
+y: NDArray[N] | NDArray[N,K]
+  The right-hand side.
 
 Returns
 -------
-LD: NDArray[...,N,N]
-Q:    int32[...,N]
-  The result of the Bunch-Kaufmann decomposition, such that \`S[P[i],P[j <= i]] = (L @ D @ Lᵀ)[i,j] \`,
-  where \`L = pldlp_l(LD,Q)\` is a lower triangular matrix, \`D = pldlp_d(LD,Q)\` is a block diagonal
-  matrix with with 2x2 and 1x1 blocks, and \`P = pldlp_p(LD,Q)\` are the permutation indices.
-  
-
-Examples
---------
->>> const S = [
-...   [ 25, -50],
-...   [-50, 101]
-... ];
-... const [LD,Q]= nd.la.pldlp_decomp(S),
-...        L    = nd.la.pldlp_l(LD,Q),
-...         D   = nd.la.pldlp_d(LD,Q),
-...           P = nd.la.pldlp_p(LD,Q),
-...        LDL  = nd.la.matmul(L,D,L.T),
-...       PLDL  = nd.la.unpermute_rows( LDL,P),
-...       PLDLP = nd.la.unpermute_cols(PLDL,P);
-... console.log('PLDLᵀPᵀ =\\n' + PLDLP);
-  [[ 25, -50],
-   [-50, 101]]
+x: NDArray[N] | NDArray[N,K]
+  The solution of \`A @ x == y\`.
 `
 
 
-nd.la.tril_solve.__doc__ = `\
-Given the lower triangular (square) matrix and the right hand side of a linear
-equation system, this method computes the result.
+
+nd.sparse.ldl_decomp.__doc__ = `\
+Computes the sparse LDL decomposition of a symmetric matrix without
+pivoting. Only the lower triangle of A is used. The trailing dense
+part of the factor is computed using the dense kernels of
+\`nd.la.ldl_decomp\`.
 
 Parameters
 ----------
-L: NDArray[...,N,N]
-  The lower triangular matrix of the linear equations system. L is assumed to
-  be lower triangular without ever looking at the values in the upper triangular
-  region.
-y: NDArray[...,N,M]
-  The right hand side matrix of the linear equation system.
+A: SparseMatrix[N,N]
+  The symmetric matrix.
+opt: {ordering: 'amd' | 'natural'}
+  The fill-reducing ordering. Default: 'amd'.
 
 Returns
 -------
-x: NDArray[...,N,M]
-  Such that \`L @ x = y\`.
+LD: CSCMatrix[N,N]
+  The diagonal matrix D on the diagonal and the unit lower triangular
+  matrix L below it.
+P: NDArray[N]
+  The permutation such that \`A[P,:][:,P] == L @ D @ L.T\`.
 `
 
 
 
-nd.la.triu_solve.__doc__ = `\
-Given the upper triangular (square) matrix and the right hand side of a linear
-equation system, this method computes the result.
+nd.sparse.ldl_solve.__doc__ = `\
+Solves a linear equation system given the sparse LDL decomposition.
 
 Parameters
 ----------
-U: NDArray[...,N,N]
-  The upper triangular matrix of the linear equations system. U is assumed to
-  be upper triangular without ever looking at the values in the lower triangular
-  region.
-y: NDArray[...,N,M]
-  The right hand side matrix of the linear equation system.
+LD: CSCMatrix[N,N]
+P : NDArray[N]
+  The result of \`ldl_decomp(A)\`.
+y : NDArray[N] | NDArray[N,K]
+  The right-hand side.
 
 Returns
 -------
-x: NDArray[...,N,M]
-  Such that \`U @ x = y\`.
+x: NDArray[N] | NDArray[N,K]
+  The solution of \`A @ x == y\`.
 `
 
 
 
-nd.la.lu_decomp.__doc__ = `\
-Given an \`NDArray\` of square matrices, this method Computes the
-LU(P) decomposition with Column Pivotization.
+  //
+ // FOURIER TRANSFORMS
+//
+nd.fft.__doc__ = `\
+The discrete Fourier transform subpackage of ND.JS. Transforms of any
+length are computed in O(n·log(n)) using a mixed-radix Cooley-Tukey
+algorithm, where lengths with large prime factors are handled by
+Bluestein's algorithm. All transforms can be applied along any axis
+(or axes) of an \`NDArray\`.
+
+The normalization modes follow NumPy: For \`norm='backward'\` (default)
+the forward transform is unscaled and the inverse transform is scaled
+by 1/n. For \`norm='ortho'\` both are scaled by 1/sqrt(n). For
+\`norm='forward'\` the forward transform is scaled by 1/n and the
+inverse transform is unscaled.
+
+Transforms of "float32" or "complex64" inputs return "complex64"
+(or "float32") results. All other inputs return "complex128" (or
+"float64") results.
+`
+
+
+
+nd.fft.fft.__doc__ = `\
+Computes the one-dimensional discrete Fourier transform
+
+  X[k] = Σ_j x[j]·exp(-2πi·j·k/n)
+
+along an axis of an \`NDArray\`.
 
 Parameters
 ----------
-A: NDArray[...,N,N]
+A: NDArray[...]
+  The input array.
+opt: {n: int, axis: int, norm: 'backward' | 'ortho' | 'forward'}
+  n: Length of the transform. The input is cropped or zero-padded
+     along the axis to this length. Default: \`A.shape[axis]\`.
+  axis: The axis along which the transform is computed. Default: -1.
+  norm: The normalization mode. Default: 'backward'.
 
 Returns
 -------
-LU: NDArray[...,N,N]
-  A matrix containing both the lower and upper triangular part of the
-  LU decomposition. The diagonal of ther lower triangular matrix L
-  is not contained in LU. It only containes ones and is implied.
-P : NDArray[...,N]
-  The order in which the row indices of A appear in the LU decomposition, i.e.:
-  \`A(P[i],j) == (L @ U)[i,j]\`.
+X: NDArray[...]
+  The complex transform of A.
+
+Examples
+--------
+>>> console.log( nd.fft.fft([1,2,3,4]).toString() )
+  [ 10, -2 + 2j, -2, -2 - 2j ]
 `
 
 
 
-nd.la.lu_solve.__doc__ = `\
-Given the LU(P) decomposition and the right hand side of a
-Linear Equations System, this method computes the result of
-said system.
+nd.fft.ifft.__doc__ = `\
+Computes the one-dimensional inverse discrete Fourier transform
+
+  x[j] = Σ_k X[k]·exp(+2πi·j·k/n) / n
+
+along an axis of an \`NDArray\`. Takes the same options as \`fft\`.
+`
+
+
+
+nd.fft.fft2.__doc__ = `\
+Computes the two-dimensional discrete Fourier transform of an \`NDArray\`.
+Same as \`fftn\` with \`axes=[-2,-1]\` as default.
+`
+
+
+
+nd.fft.ifft2.__doc__ = `\
+Computes the two-dimensional inverse discrete Fourier transform of an
+\`NDArray\`. Same as \`ifftn\` with \`axes=[-2,-1]\` as default.
+`
+
+
+
+nd.fft.fftn.__doc__ = `\
+Computes the n-dimensional discrete Fourier transform of an \`NDArray\`
+by successive one-dimensional transforms along the given axes.
 
 Parameters
 ----------
-LU: NDArray[...,N,N]
-P : NDArray[...,N]
-y : NDArray[...,N,M]
+A: NDArray[...]
+  The input array.
+opt: {s: int[], axes: int[], norm: 'backward' | 'ortho' | 'forward'}
+  s: The transform lengths for each of the axes. The input is cropped
+     or zero-padded to those lengths.
+  axes: The axes to be transformed. If only s is given, the last
+        s.length axes are transformed. Default: All axes.
+  norm: The normalization mode. Default: 'backward'.
 
 Returns
 -------
-x : NDArray[...,N,M]
-  The solution of the Linear Equation System, such that:
-  \`y[P[i],:] == (L @ U @ x)[i,:] \`
+X: NDArray[...]
+  The complex transform of A.
 `
 
 
 
-nd.la.qr_decomp_full.__doc__ = `\
-Computes the (full) QR Decomposition of a matrix. The QR
-Decomposition can be used to solve both Linear Equations
-and Linear Least Square problems with high numeric accuracy.
-Under normal circumstances, the incomplete QR Decomposition
-(\`nd.la.qr_decomp\`) is to be preferred over this method
-as it may be significantly more memory efficient.
+nd.fft.ifftn.__doc__ = `\
+Computes the n-dimensional inverse discrete Fourier transform of an
+\`NDArray\`. Takes the same options as \`fftn\`.
+`
+
+
+
+nd.fft.rfft.__doc__ = `\
+Computes the one-dimensional discrete Fourier transform of a real
+input. Due to the Hermitian symmetry of the result, only the first
+n/2+1 entries are returned. For even n, the transform is computed
+using a complex transform of half the length.
 
 Parameters
 ----------
-A: NDArray[...,N,M]
-  The matrix for which the QR Decomposition is computed.
+A: NDArray[...]
+  The real input array.
+opt: {n: int, axis: int, norm: 'backward' | 'ortho' | 'forward'}
+  See \`fft\`.
 
 Returns
 -------
-Q: NDArray[...,N,N]
-  An orthogonal square matrix, i.e. \`Q @ Q.T == Q.T @ Q == nd.la.eye(N)\`.
-R: NDArray[...,N,M]
-  An upper triangular matrix, such that: \`A = Q @ R\`
+X: NDArray[...]
+  The non-negative frequency terms of the transform of A where
+  \`X.shape[axis] == Math.floor(n/2)+1\`.
+
+Examples
+--------
+>>> console.log( nd.fft.rfft([1,2,3,4]).toString() )
+  [ 10, -2 + 2j, -2 ]
 `
 
 
 
-nd.la.hessenberg_decomp.__doc__ = `\
-Computes the (Upper) Hessenberg Decomposition of a matrix. It
-is worth mentioning that the Hessenberg Decomposition of a
-symmetric matrix is tridiagonal.
+nd.fft.irfft.__doc__ = `\
+Computes the inverse of \`rfft\`, i.e. the real result of an inverse
+discrete Fourier transform given the non-negative frequency terms of
+an Hermitian spectrum. The imaginary parts of the zero (and Nyquist)
+frequency terms are ignored.
 
 Parameters
 ----------
-A: NDArray[...,N,N]
-  The matrix for which the Hessemberg Decomposition is computed.
+A: NDArray[...]
+  The non-negative frequency terms.
+opt: {n: int, axis: int, norm: 'backward' | 'ortho' | 'forward'}
+  n: The length of the real output along the axis. The input is cropped
+     or zero-padded to n/2+1 entries. Default: \`2*(A.shape[axis]-1)\`.
+  axis: The axis along which the transform is computed. Default: -1.
+  norm: The normalization mode. Default: 'backward'.
 
 Returns
 -------
-U: NDArray[...,N,N]
-  An orthogonal matrix, i.e. \`U @ U.T == U.T @ U == nd.la.eye(N)\`.
-H: NDArray[...,N,N]
-  An upper Hessemberg matrix, i.e. \`nd.la.tril(H,-2) == 0\`, such that \`U @ H @ U.T == A\`.
+x: NDArray[...]
+  The real inverse transform.
+
+Examples
+--------
+>>> console.log( nd.fft.irfft( nd.fft.rfft([1,2,3,4]) ).toString() )
+  [ 1, 2, 3, 4 ]
 `
 
 
-nd.la.eigen.__doc__ = `\
-Returns the eigenpairs of a real square matrix.
 
-Parameters
-----------
-A: NDArray[...,N,N]
-  The non-symmetric real squre matrix for which the eigenvalues are computed.
+nd.fft.rfft2.__doc__ = `\
+Computes the two-dimensional discrete Fourier transform of a real
+\`NDArray\`. Same as \`rfftn\` with \`axes=[-2,-1]\` as default.
+`
 
-Returns
--------
-Λ: NDArray[...,N]
-  A matrix containing all eigenvalues.
-V: NDArray[...,N,N]
-  A matrix containing the eigenvectors corresponding to Λ as columns, i.e.:
-  \`Λ[i]*V[j,i] == (A @ V)[j,i]\`.
-  The columns are normalized using the 2-norm. 
+
+
+nd.fft.irfft2.__doc__ = `\
+Computes the inverse of \`rfft2\`. Same as \`irfftn\` with \`axes=[-2,-1]\`
+as default.
 `
 
 
 
-nd.la.schur_decomp.__doc__ = `\
-Computes the (real) Schur Decomposition of a matrix. The
-Schur Decomposition is used to compute the Eigenvalues and
-Eigenvectors.
+nd.fft.rfftn.__doc__ = `\
+Computes the n-dimensional discrete Fourier transform of a real
+\`NDArray\`. The last of the axes is transformed using \`rfft\`, the
+remaining axes using \`fft\`. Takes the same options as \`fftn\`.
+`
 
-Parameters
-----------
-A: NDArray[...,N,N]
 
-Returns
--------
-Q: NDArray[...,N,N]
-  An orthogonal square matrix.
-T: NDArray[...,N,N]
-  An upper quasi-triangular matrix, such that \`Q @ T @ Q.T == A\`.
-  The diagonal of T consists of 2x2 blocks that represent complex
-  eigenpairs and 1x1 matrix that represent a real eigenvalue.
+
+nd.fft.irfftn.__doc__ = `\
+Computes the inverse of \`rfftn\`. Takes the same options as \`fftn\`,
+where \`s\` are the lengths of the real output. The default length of
+the last axis is \`2*(A.shape[axis]-1)\`.
 `
 
 
 
-nd.la.qr_decomp.__doc__ = `\
-Computes the (economic) QR Decomposition of a matrix. The
-QR Decomposition can be used to solve both Linear Equations
-and Linear Least Square problems with high numeric accuracy.
-Under normal circumstances, this method is to
-be preferred over the full QR Decomposition (\`nd.la.qr_decomp_full\`)
-as it may be significantly more memory efficient.
+nd.fft.fftfreq.__doc__ = `\
+Returns the sample frequencies of the discrete Fourier transform.
 
 Parameters
 ----------
-A: NDArray[...,N,M]
-  The matrix for which the QR Decomposition is computed.
+n: int
+  The transform length.
+d: float
+  The sample spacing. Default: 1.
 
 Returns
 -------
-Q: NDArray[...,N,min(N,M)]
-  An orthogonal rectangular matrix, i.e. \`Q.T @ Q == nd.la.eye(min(N,M))\`.
-R: NDArray[...,min(N,M),M]
-  An upper triangular matrix, such that: \`A = Q @ R\`
+f: NDArray[n]
+  The frequencies \`[0, 1, ..., ceil(n/2)-1, -floor(n/2), ..., -1] / (d*n)\`.
+
+Examples
+--------
+>>> console.log( nd.fft.fftfreq(4, 0.5).toString() )
+  [ 0, 0.5, -1, -0.5 ]
 `
 
 
 
-nd.la.rrqr_decomp.__doc__ = `\
-Computes the economic Rank-Revealing QR Decomposition of a matrix.
+nd.fft.rfftfreq.__doc__ = `\
+Returns the sample frequencies \`[0, 1, ..., floor(n/2)] / (d*n)\` of
+\`rfft\`. Takes the same arguments as \`fftfreq\`.
+`
+
+
+
+nd.fft.fftshift.__doc__ = `\
+Shifts the zero frequency terms to the center of the spectrum.
 
 Parameters
 ----------
-A: NDArray[...,N,M]
-  The matrix for which the QR Decomposition is computed.
+A: NDArray[...]
+  The spectrum.
+axes: int | int[]
+  The axes to be shifted. Default: All axes.
 
 Returns
 -------
-Q: NDArray[...,N,min(N,M)]
-  An orthogonal rectangular matrix, i.e. \`Q.T @ Q == nd.la.eye(min(N,M))\`.
-R: NDArray[...,min(N,M),M]
-  An upper triangular matrix, where \`R[i,i] >= R[j,j]\` if and only if \`i <= j\`.
-P: NDArray[...,M]
-  The permuted column indices, such that:
-  \`(Q @ R)[:,j] == A[:,P[j]]\`
+B: NDArray[...]
+  The shifted spectrum.
+
+Examples
+--------
+>>> console.log( nd.fft.fftshift([0,1,2,3,4]).toString() )
+  [ 3, 4, 0, 1, 2 ]
 `
 
 
 
-nd.la.qr_lstsq.__doc__ = `\
-Given the QR Decompostion and the right hand side of a full-rank
-linear equation system, this method solves it. If the Linear
-Equation System is under-determined, the Linear Least Square
-solution is computed. This method is no suited for rank-deficient
-or under-determined systems, in which case \`rrqr_lstsq\` or
-\`svd_lstsq\` can be used instead.
+nd.fft.ifftshift.__doc__ = `\
+The inverse of \`fftshift\`. Takes the same arguments as \`fftshift\`.
+`
+
+
+
+  //
+ // INTEGRATION
+//
+nd.integrate.solve_ivp_gen.__doc__ = `\
+Integrates the initial value problem of an ordinary differential equation
+
+  y'(t) = dy(y,t),  y(t0) = y0
+
+from t0 to t1 (forward or backward in time) using an adaptive step size. Each accepted
+step is returned together with a dense output, i.e. an interpolant that is valid between
+the previous and the current step.
 
 Parameters
 ----------
-Q: NDArray[...,N,K]
-  The orthognal rectangular matrix of the QR Decomposition.
-R: NDArray[...,K,M]
-  The upper triangular matrix of the QR Decomposition.
-y: NDArray[...,N,L]
-  The right hand side of the Linear Equation System.
+dy: (y: NDArray[N], t: float) => NDArray[N]
+  The right-hand side of the differential equation.
+y0: NDArray[N]
+  The initial value.
+t0: float
+  The initial time.
+t1: float
+  The final time.
+options: {
+  method='RK45': 'RK45' | 'Radau'
+    The integration method. 'RK45' is the explicit Dormand-Prince method of order 5(4)
+    with a 4th order dense output. 'Radau' is the implicit Radau IIA method of order 5
+    with a 3rd order dense output, which is suitable for stiff problems.
+  rtol=1e-3: float
+    The relative tolerance of the local error estimate.
+  atol=1e-6: float | NDArray[N]
+    The absolute tolerance of the local error estimate.
+  h0: float
+    The initial step size. By default, it is selected automatically.
+  maxStep=Infinity: float
+    The maximum step size.
+  jac: (y: NDArray[N], t: float) => NDArray[N,N]
+    The Jacobian of \`dy\` w.r.t. \`y\`. Only used by 'Radau'. By default, it is
+    approximated using finite differences.
+  events: (((y,t) => float) | {g: (y,t) => float, terminal=false, direction=0})[]
+    Event functions. An event occurs where an event function changes its sign. The event
+    time is located via \`nd.opt.root1d_brent\` using the dense output. If \`direction\`
+    is positive (negative), only sign changes from negative to positive (positive to negative)
+    are detected. If \`terminal\` is true, the integration stops at the event.
+}
 
 Returns
 -------
-x: NDArray[...,N,L]
-  Such that \`‖(Q @ R @ x) - y‖₂\` is minimal.
+steps: Iterator<[t: float, y: NDArray[N], sol: (t: float) => NDArray[N], events]>
+  An iterator over the accepted steps, starting with the initial value (for which sol is null)
+  and ending with t1 or a terminal event. \`events\` is an array of the events that occurred
+  during the step in the form \`[index: int, t: float, y: NDArray[N]]\`, sorted by time.
+
+References
+----------
+.. [1] E. Hairer, S.P. Norsett, G. Wanner,
+       "Solving Ordinary Differential Equations I: Nonstiff Problems"
+.. [2] E. Hairer, G. Wanner,
+       "Solving Ordinary Differential Equations II: Stiff and Differential-Algebraic Problems"
+
+Example
+-------
+>>> const dy = y => nd.array([y(1), -9.81]), // <- falling ball
+...     land = {g: y => y(0), terminal: true, direction: -1};
+... for( const [t,y,sol,events] of nd.integrate.solve_ivp_gen(dy, [10,0], 0, 10, {events: [land]}) )
+...   if( events.length > 0 )
+...     console.log('Landed after', t.toFixed(4), 's.');
+  Landed after 1.4278 s.
 `
 
 
 
-nd.la.bidiag_decomp.__doc__ = `\
-Computes the Upper Bidiagonal Decomposition of a matrix. Bidiagonal
-Decomposition is a common preprocessing step for the Singular Value
-Decomposition.
+nd.integrate.solve_ivp.__doc__ = `\
+Integrates the initial value problem of an ordinary differential equation. Takes the same
+parameters as \`nd.integrate.solve_ivp_gen\`, plus the following option:
 
-Parameters
-----------
-A: NDArray[...,N,M]
-  The matrix for which the Upper Bidiagonal Decomposition is
-  computed.
+options: {
+  tEval: float[]
+    The times at which the solution is stored, sorted in the direction of integration.
+    By default, the solution is stored at every accepted step.
+}
 
 Returns
 -------
-U: NDArray[..., N, min(N,M)]
-  An orthognal rectangular matrix.
-B: NDArray[..., min(N,M), N >= M ? M : N+1 ]
-  An upper bidiagonal rectangular matrix.
-V: NDArray[..., N >= M ? M : N+1, M]
-  An orthogonal rectangular matrix. Such that \`A = U @ B @ V @\`
+t: NDArray[K]
+  The times at which the solution is stored (null if there are none).
+y: NDArray[K,N]
+  The solution at the times \`t\` (null if there are none).
+events: [index: int, t: float, y: NDArray[N]][]
+  All the events that occurred during the integration.
+
+Example
+-------
+>>> const [t,y] = nd.integrate.solve_ivp(y => y, [1], 0, 1, {tEval: [0, 0.5, 1], rtol: 1e-8});
+... console.log( y.toString() );
+  [[                 1 ],
+   [ 1.648721379823353 ],
+   [ 2.718282135882787 ]]
 `
 
 
 
-nd.la.solve.__doc__ = `\
-Solves a full-rank Linear Equations System (LES). The method tries to
-detect rank-deficient systems and throw a \`SingularMatrixSolveError\`,
-which contains some least squares solution to the rank-deficient
-system as property \`x\`.
+nd.integrate.quad.__doc__ = `\
+Computes the definite integral of a univariate function using adaptive 21-point Gauss-Kronrod
+quadrature. The interval with the largest error estimate is bisected until the estimated error
+satisfies the tolerance. Endpoint singularities are accelerated using Wynn's epsilon algorithm
+as in QUADPACK's QAGS routine. Infinite intervals are mapped to (0,1] via \`x = a + (1-t)/t\`.
 
 Parameters
 ----------
-A: NDArray[...,N,K]
-  The matrix of the LES.
-y: NDArray[...,K,M]
-  The right hand side of the LES.
+f: (x: float) => float
+  The integrand.
+a: float
+  The lower bound of the integral. May be -Infinity.
+b: float
+  The upper bound of the integral. May be +Infinity.
+options: {
+  epsAbs=1.49e-8: float
+    The absolute error tolerance.
+  epsRel=1.49e-8: float
+    The relative error tolerance.
+  limit=50: int
+    The maximum number of subintervals.
+}
 
 Returns
 -------
-x: NDArray[...,N,M]
-  The solution of \`(A @ x) = y\`.
+result: float
+  The approximation of the integral.
+abserr: float
+  An estimate of the absolute error, which satisfies the tolerance.
+
+Throws
+------
+err: Error
+  If the tolerance could not be satisfied, e.g. because all \`limit\` subintervals are
+  used up, roundoff error prevents further progress or the integral is divergent.
+
+References
+----------
+.. [1] R. Piessens, E. de Doncker-Kapenga, C.W. Überhuber, D.K. Kahaner,
+       "QUADPACK: A Subroutine Package for Automatic Integration"
+
+Example
+-------
+>>> const [I] = nd.integrate.quad(x => Math.log(x) / Math.sqrt(x), 0, 1);
+... console.log( I.toFixed(12) );
+  -4.000000000000
 `
 
 
 
-nd.la.srrqr_decomp_full.__doc__ = `\
-Computes the full strong Rank-Revealing QR Decomposition of a matrix.
+nd.integrate.romberg.__doc__ = `\
+Computes the definite integral of a univariate function over a finite interval using
+Romberg's method, i.e. Richardson extrapolation of the trapezoidal rule with repeatedly
+halved step sizes. Well suited for smooth integrands.
 
 Parameters
 ----------
-A: NDArray[...,M,N]
-  The matrix for which the QR Decomposition is computed.
-opt: {
-  dtol: float >= 1,
-    Threshold for the column swaps. Columns are swapped for as long as the
-    determinant of the upper left quadrant of the (partially triangularized)
-    matrix increases by at least a factor of \`dtol\`. The larger \`dtol\`, the
-    faster the decomposition is. The closer to 1 \`dtol\` is, the more accurate
-    the rank determination.
-  ztol: float >= 0
-    Tolerance for the rank determination. If the lower right quadrant of the
-    (partially triangularized) matrix is less than or equal to ztol, it is
-    considered to be zero.
+f: (x: float) => float
+  The integrand.
+a: float
+  The lower bound of the integral.
+b: float
+  The upper bound of the integral.
+options: {
+  epsAbs=1.49e-8: float
+    The absolute error tolerance.
+  epsRel=1.49e-8: float
+    The relative error tolerance.
+  maxIter=20: int
+    The maximum number of step size halvings, i.e. f is evaluated at most 2**maxIter + 1 times.
 }
 
 Returns
 -------
-Q: NDArray[...,M,M]
-  An orthogonal rectangular matrix, i.e. \`Q.T @ Q == nd.la.eye(min(N,M))\`.
-R: NDArray[...,M,N]
-  An upper triangular matrix, where \`R[i,i] >= R[j,j]\` if and only if \`i <= j\`.
-P: NDArray[...,N]
-  The permuted column indices, such that:
-  \`(Q @ R)[:,j] == A[:,P[j]]\`
-ranks: NDArray[...]
-  The rank or batch of ranks of the individual matrices.
+result: float
+  The approximation of the integral.
+err: float
+  The difference between the last two extrapolations, which is used as error estimate.
 
-References
-----------
-.. [1] "Efficient Algorithms for Computing a Strong Rank-Revealing QR Factorization",
-        Ming Gu and Stanley C. Eisenstat
+Example
+-------
+>>> const [I] = nd.integrate.romberg(Math.exp, 0, 1);
+... console.log( I.toFixed(12) );
+  1.718281828459
 `
 
 
 
-nd.la.svd_decomp.__doc__ = `\
-Computes the Singular Value Decomposition (SVD) of a matrix.
+nd.integrate.trapz.__doc__ = `\
+Integrates sampled data along an axis using the trapezoidal rule.
 
 Parameters
 ----------
-A: NDArray[...,N,M]
-  The matrix for which the SVD is computed.
+y: NDArray[...]
+  The samples of the integrand.
+options: {
+  x: NDArray[N]
+    The sample points along the axis. By default, the sample points are equally spaced by dx.
+  dx=1: float
+    The spacing between the sample points if x is not given.
+  axis=-1: int
+    The axis along which to integrate.
+}
 
 Returns
 -------
-U : NDArray[...,N,min(N,M)]
-  An orthogonal, rectangular matrix.
-sv: NDArray[..., min(N,M) ]
-  The singular values of A sorted in descending order.
-V : NDArray[...,min(N,M),M]
-  An orthogonal, rectangular matrix, such that \`A == U @ diag(sv) @ V\`.
+I: NDArray[...] | float
+  The integral of y along the axis. If y is 1D, a scalar is returned.
+
+Example
+-------
+>>> console.log( nd.integrate.trapz([[0,1,2],
+...                                  [3,4,5]], {dx: 0.5}).toString() );
+  [ 1, 4 ]
 `
 
 
 
-nd.la.urv_decomp_full.__doc__ = `\
-Computes the (full) URV decomposition of a matrix. The URV decomposition
-is also known as complete orthogonal decomposition. Amongs other things,
-the URV decomposition can be used (as a faster alternative to the SVD)
-for finding the minimum-norm solution to under-determined least-squares
-problems.
+nd.integrate.simpson.__doc__ = `\
+Integrates sampled data along an axis using the composite Simpson's rule. Irregularly
+spaced sample points are supported. For an even number of samples, the last interval
+is integrated using the quadratic through the last three samples (Cartwright's correction).
+Takes the same arguments as \`nd.integrate.trapz\`.
+
+Example
+-------
+>>> console.log( nd.integrate.simpson([0,1,4,9,16], {x: [0,1,2,3,4]}) );
+  21.333333333333332
+`
+
+
+
+nd.integrate.cubature.__doc__ = `\
+Computes the integral of a multivariate function over a hyperrectangle using adaptive
+cubature. The region with the largest error estimate is bisected along the dimension in
+which the integrand is the least smooth until the estimated error satisfies the tolerance.
+In 2 or more dimensions, the degree 7 Genz-Malik rule (with an embedded degree 5 rule
+for the error estimate) is used, requiring \`1 + 4n + 2n(n-1) + 2**n\` evaluations per
+region. In 1D, the 21-point Gauss-Kronrod rule is used.
 
 Parameters
 ----------
-A: NDArray[...,M,N]
-  The matrix (or batch of matrices) that is to be URV decomposed.
+f: (x: NDArray[n]) => float
+  The integrand.
+a: float[n]
+  The lower bounds of the integration region.
+b: float[n]
+  The upper bounds of the integration region.
+options: {
+  epsAbs=1.49e-8: float
+    The absolute error tolerance.
+  epsRel=1.49e-8: float
+    The relative error tolerance.
+  maxEval=65536: int
+    The maximum number of function evaluations.
+}
 
 Returns
 -------
-U: NDArray[...,M,M]
-  An orthogonal, square matrix.
-R: NDArray[...,M,N]
-  An upper triangular, square matrix.
-V: NDArray[...,N,N]
-  An orthogonal, square matrix, such that \`A = U @ R @ V\`
+result: float
+  The approximation of the integral.
+abserr: float
+  An estimate of the absolute error. If the tolerance could not be satisfied within
+  \`maxEval\` evaluations, abserr is greater than the tolerance.
+
+References
+----------
+.. [1] A.C. Genz, A.A. Malik,
+       "An adaptive algorithm for numerical integration over an N-dimensional rectangular region"
+.. [2] https://github.com/stevengj/cubature
+
+Example
+-------
+>>> const [I] = nd.integrate.cubature(x => x(0)*x(1) + x(2)**2, [0,0,0], [1,2,3]);
+... console.log( I.toFixed(12) );
+  21.000000000000
 `
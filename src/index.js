@@ -20,12 +20,15 @@ import * as dt from './dt'
 
 export {math} from './math'
 export * from './concat'
+export * from './elementwise'
 export * from './nd_array'
 export * from './rand_normal'
+export * from './reductions'
 export * from './stack'
 export * from './tabulate'
 export * from './zip_elems'
 
+import * as fft  from './fft'
 import * as geom from './geom'
 import * as integrate from './integrate'
 import * as io  from './io'
@@ -34,9 +37,11 @@ import * as la  from './la'
 import * as opt from './opt'
 import * as rand from './rand'
 import * as spatial from './spatial'
+import * as sparse from './sparse'
 
 export {
   dt,
+  fft,
   geom,
   integrate,
   io,
@@ -44,5 +49,6 @@ export {
   la,
   opt,
   rand,
+  sparse,
   spatial
 }
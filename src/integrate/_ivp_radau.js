@@ -0,0 +1,400 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {NDArray} from '../nd_array'
+import {lu_decomp,
+        lu_solve} from '../la/lu'
+
+import {_min_step,
+        _rms,
+        _select_initial_step} from './_ivp_utils'
+
+
+// REFERENCES
+// ----------
+// .. [1] E. Hairer, G. Wanner,
+//        "Solving Ordinary Differential Equations II: Stiff and Differential-Algebraic Problems",
+//        Sec. IV.8.
+// .. [2] https://github.com/scipy/scipy/blob/master/scipy/integrate/_ivp/radau.py
+
+const NEWTON_MAXITER = 6,
+          MIN_FACTOR = 0.2,
+          MAX_FACTOR = 10;
+
+const S6 = Math.sqrt(6),
+       C = [(4-S6)/10, (4+S6)/10, 1],
+       E = [(-13-7*S6)/3, (-13+7*S6)/3, -1/3];
+
+// EIGENVALUES OF THE INVERSE OF THE BUTCHER MATRIX: MU_REAL and MU_RE ± i·MU_IM
+const MU_REAL = 3 + 3**(2/3) - 3**(1/3),
+      MU_RE   = 3 + ( 3**(1/3) - 3**(2/3) ) / 2,
+      MU_IM   =   - ( 3**(5/6) + 3**(7/6) ) / 2;
+
+// TRANSFORMATION TO (AND FROM) THE EIGENBASIS OF THE BUTCHER MATRIX
+const T = [
+  [0.09443876248897524, -0.14125529502095421,  0.03002919410514742],
+  [0.25021312296533332,  0.20412935229379994, -0.38294211275726192],
+  [1,                    1,                    0                  ]
+],
+     TI = [
+  [ 4.17871859155190428,  0.32768282076106237,  0.52337644549944951],
+  [-4.17871859155190428, -0.32768282076106237,  0.47662355450055044],
+  [ 0.50287263494578682, -2.57192694985560522,  0.59603920482822492]
+];
+
+// 3rd order dense output coefficients (collocation polynomial)
+const P = [
+  [13/3 + 7*S6/3, -23/3 - 22*S6/3, 10/3 + 5*S6],
+  [13/3 - 7*S6/3, -23/3 + 22*S6/3, 10/3 - 5*S6],
+  [1/3,           -8/3,            10/3       ]
+];
+
+
+/** LU decomposition of `μ·I - J`.
+ */
+function _lu_real( N, μ, J )
+{
+  const M = new Float64Array(N*N);
+  for( let i=N*N; i-- > 0; ) M[i] = -J[i];
+  for( let i=N;   i-- > 0; ) M[N*i+i] += μ;
+  return lu_decomp( new NDArray(Int32Array.of(N,N), M) );
+}
+
+
+/** LU decomposition of `(μ_re + i·μ_im)·I - J` in the real embedding
+ *  `[[μ_re·I-J, -μ_im·I], [μ_im·I, μ_re·I-J]]`.
+ */
+function _lu_complex( N, μ_re, μ_im, J )
+{
+  const L = 2*N,
+        M = new Float64Array(L*L);
+  for( let i=0; i < N; i++ ) {
+    for( let j=0; j < N; j++ )
+      M[L*i+j] = M[L*(N+i)+N+j] = -J[N*i+j];
+    M[L*   i  +   i ] += μ_re;
+    M[L*(N+i) + N+i ] += μ_re;
+    M[L*   i  + N+i ]  =-μ_im;
+    M[L*(N+i) +   i ]  = μ_im;
+  }
+  return lu_decomp( new NDArray(Int32Array.of(L,L), M) );
+}
+
+
+function _solve( [LU,P], b )
+{
+  return lu_solve( LU,P, new NDArray(Int32Array.of(b.length,1), b) ).data;
+}
+
+
+/** Forward difference approximation of the Jacobian of `fun` at `(y,t)`.
+ */
+function _num_jac( fun, y, t, f )
+{
+  const N = y.length,
+        J = new Float64Array(N*N),
+        Y = y.slice();
+
+  for( let j=0; j < N; j++ )
+  {
+    Y[j] = y[j] + Math.sqrt(Number.EPSILON) * Math.max( 1, Math.abs(y[j]) );
+    const δ = Y[j] - y[j],
+          F = fun(Y,t);
+    for( let i=0; i < N; i++ )
+      J[N*i+j] = (F[i] - f[i]) / δ;
+    Y[j] = y[j];
+  }
+
+  return J;
+}
+
+
+function _predict_factor( h_abs, h_abs_old, err, err_old )
+{
+  const multiplier = null == err_old || null == h_abs_old || 0 === err
+    ? 1
+    : h_abs / h_abs_old * (err_old / err)**0.25;
+  return Math.min(1,multiplier) * err**-0.25;
+}
+
+
+/** Implicit Runge-Kutta method of the Radau IIA family of order 5
+ *  with a 3rd order dense output. Suitable for stiff problems.
+ */
+export class IVPStepperRadau
+{
+  constructor( fun, t0, y0, t1, {rtol, atol, maxStep, h0, jac} )
+  {
+    this.fun = fun;
+    this.t1  = t1;
+    this.dir = t1 < t0 ? -1 : +1;
+    this.rtol = rtol;
+    this.atol = atol;
+    this.maxStep = maxStep;
+    this.newtonTol = Math.max( 10*Number.EPSILON / rtol, Math.min(0.03, Math.sqrt(rtol)) );
+
+    this.t = t0;
+    this.y = y0.slice();
+    this.f = fun(this.y, t0);
+
+    this.h_abs = null != h0 ? h0 : _select_initial_step(fun, t0,this.y,this.f, this.dir, 3, rtol, atol);
+    this.h_abs_old = null;
+    this.err_old   = null;
+
+    this.jac = null != jac ? jac : (y,t,f) => _num_jac(fun, y,t,f);
+    this.J   = this.jac(this.y, t0, this.f);
+    this.currentJac = true;
+    this.LU_real    = null;
+    this.LU_complex = null;
+
+    this.t_old = NaN;
+    this.y_old = null;
+    this.Z     = null;
+    this.sol   = null;
+  }
+
+  /** Solves the collocation system using simplified Newton iterations.
+   *  Returns `[converged, nIter, Z, rate]`.
+   */
+  _solve_collocation( t, y, h, Z0, scale, LU_real, LU_complex )
+  {
+    const {fun} = this,
+             N  = y.length,
+        M_real  = MU_REAL / h,
+        M_re    = MU_RE   / h,
+        M_im    = MU_IM   / h,
+             F  = [0,1,2].map( () => new Float64Array(N) ),
+             W  = [0,1,2].map( () => new Float64Array(N) ),
+             Z  = [0,1,2].map( s  => Z0[s].slice() ),
+             Y  = new Float64Array(N),
+        f_real  = new Float64Array(N),
+        f_cplx  = new Float64Array(2*N),
+            dW  = new Float64Array(3*N);
+
+    for( let r=0; r < 3; r++ )
+    for( let s=0; s < 3; s++ )
+    for( let i=N; i-- > 0; )
+      W[r][i] += TI[r][s] * Z[s][i];
+
+    let dW_norm_old = null,
+               rate = null,
+          converged = false,
+                  k = 0;
+
+    newton: for( ; k < NEWTON_MAXITER; k++ )
+    {
+      for( let s=0; s < 3; s++ ) {
+        for( let i=N; i-- > 0; )
+          Y[i] = y[i] + Z[s][i];
+        F[s].set( fun(Y, t + C[s]*h) );
+        if( ! F[s].every(isFinite) )
+          break newton;
+      }
+
+      for( let i=N; i-- > 0; ) {
+        const F0 = F[0][i], F1 = F[1][i], F2 = F[2][i];
+        f_real[  i] = TI[0][0]*F0 + TI[0][1]*F1 + TI[0][2]*F2 - M_real*W[0][i];
+        f_cplx[  i] = TI[1][0]*F0 + TI[1][1]*F1 + TI[1][2]*F2 - ( M_re*W[1][i] - M_im*W[2][i] );
+        f_cplx[N+i] = TI[2][0]*F0 + TI[2][1]*F1 + TI[2][2]*F2 - ( M_im*W[1][i] + M_re*W[2][i] );
+      }
+
+      dW.set( _solve(LU_real,    f_real), 0 );
+      dW.set( _solve(LU_complex, f_cplx), N );
+
+      const dW_norm = _rms(dW, scale);
+      if( null != dW_norm_old )
+        rate = dW_norm / dW_norm_old;
+
+      if( null != rate && ( rate >= 1 || rate**(NEWTON_MAXITER-k) / (1-rate) * dW_norm > this.newtonTol ) )
+        break;
+
+      for( let r=0; r < 3; r++ )
+      for( let i=N; i-- > 0; )
+        W[r][i] += dW[N*r+i];
+
+      for( let s=0; s < 3; s++ )
+      for( let i=N; i-- > 0; )
+        Z[s][i] = T[s][0]*W[0][i] + T[s][1]*W[1][i] + T[s][2]*W[2][i];
+
+      if( 0 === dW_norm || null != rate && rate / (1-rate) * dW_norm < this.newtonTol ) {
+        converged = true;
+        break;
+      }
+      dW_norm_old = dW_norm;
+    }
+
+    return [converged, k+1, Z, rate];
+  }
+
+  /** Performs a single accepted step, adapting the step size as necessary.
+   */
+  step()
+  {
+    const {fun, t,y,f, dir, t1, rtol, atol} = this,
+                 N = y.length,
+          min_step = _min_step(t,dir),
+             scale = new Float64Array(N);
+
+    let h_abs, h_abs_old, err_old;
+    if( this.h_abs > this.maxStep ) {
+      h_abs = this.maxStep; h_abs_old = null; err_old = null;
+    }
+    else if( this.h_abs < min_step ) {
+      h_abs = min_step;     h_abs_old = null; err_old = null;
+    }
+    else {
+      h_abs = this.h_abs; h_abs_old = this.h_abs_old; err_old = this.err_old;
+    }
+
+    let {J, LU_real, LU_complex, currentJac} = this,
+      rejected = false,
+      t_new, y_new, h, Z, nIter, rate, err, safety;
+
+    for(;;)
+    {
+      if( h_abs < min_step )
+        throw new Error(`solve_ivp_gen(dy,y0,t0,t1,opt): Step size became too small at t=${t}.`);
+
+      t_new = t + dir*h_abs;
+      if( dir*(t_new - t1) > 0 )
+        t_new = t1;
+      h = t_new - t;
+      h_abs = Math.abs(h);
+
+      // INITIAL GUESS (EXTRAPOLATED FROM THE PREVIOUS STEP)
+      const Z0 = [0,1,2].map( () => new Float64Array(N) );
+      if( null != this.sol )
+        for( let s=0; s < 3; s++ ) {
+          const y_s = this.sol(t + C[s]*h);
+          for( let i=N; i-- > 0; )
+            Z0[s][i] = y_s[i] - y[i];
+        }
+
+      for( let i=N; i-- > 0; )
+        scale[i] = atol[i] + rtol*Math.abs(y[i]);
+
+      let converged = false;
+      for(;;)
+      {
+        if( null == LU_real ) {
+          LU_real    = _lu_real   (N, MU_REAL/h,           J);
+          LU_complex = _lu_complex(N, MU_RE  /h, MU_IM/h, J);
+        }
+        [converged, nIter, Z, rate] = this._solve_collocation(t, y, h, Z0, scale, LU_real, LU_complex);
+        if( converged || currentJac )
+          break;
+        J = this.jac(y,t,f);
+        currentJac = true;
+        LU_real = LU_complex = null;
+      }
+
+      if( ! converged ) {
+        h_abs *= 0.5;
+        LU_real = LU_complex = null;
+        continue;
+      }
+
+      y_new = new Float64Array(N);
+      const ZE = new Float64Array(N),
+           rhs = new Float64Array(N);
+      for( let i=N; i-- > 0; ) {
+        y_new[i] = y[i] + Z[2][i];
+        ZE[i] = ( E[0]*Z[0][i] + E[1]*Z[1][i] + E[2]*Z[2][i] ) / h;
+        rhs[i] = f[i] + ZE[i];
+      }
+
+      // ERROR ESTIMATE
+      for( let i=N; i-- > 0; )
+        scale[i] = atol[i] + rtol*Math.max( Math.abs(y[i]), Math.abs(y_new[i]) );
+
+      let error = _solve(LU_real, rhs);
+      err = _rms(error, scale);
+      safety = 0.9 * (2*NEWTON_MAXITER + 1) / (2*NEWTON_MAXITER + nIter);
+
+      if( rejected && err > 1 ) {
+        for( let i=N; i-- > 0; )
+          error[i] += y[i];
+        error = fun(error, t);
+        for( let i=N; i-- > 0; )
+          error[i] += ZE[i];
+        error = _solve(LU_real, error);
+        err = _rms(error, scale);
+      }
+
+      if( err <= 1 )
+        break;
+
+      const factor = safety * _predict_factor(h_abs, h_abs_old, err, err_old);
+      h_abs *= factor > MIN_FACTOR ? factor : MIN_FACTOR; // <- also handles err=NaN
+      LU_real = LU_complex = null;
+      rejected = true;
+    }
+
+    const recomputeJac = nIter > 2 && rate > 1e-3;
+
+    let factor = Math.min( MAX_FACTOR, safety * _predict_factor(h_abs, h_abs_old, err, err_old) );
+    if( ! recomputeJac && factor < 1.2 )
+      factor = 1;
+    else
+      LU_real = LU_complex = null;
+
+    const f_new = fun(y_new, t_new);
+    if( recomputeJac ) {
+      J = this.jac(y_new, t_new, f_new);
+      currentJac = true;
+    }
+    else
+      currentJac = false;
+
+    this.h_abs_old = this.h_abs;
+    this.err_old   = err;
+    this.h_abs     = h_abs * factor;
+    this.h     = h;
+    this.t_old = t;
+    this.y_old = y;
+    this.t = t_new;
+    this.y = y_new;
+    this.f = f_new;
+    this.Z = Z;
+    this.J = J;
+    this.LU_real    = LU_real;
+    this.LU_complex = LU_complex;
+    this.currentJac = currentJac;
+    this.sol = this.dense();
+  }
+
+  /** Returns the dense output `t => y(t)` of the last step.
+   */
+  dense()
+  {
+    const {t_old, y_old, h, Z} = this,
+             N = y_old.length,
+             Q = new Float64Array(N*3);
+
+    for( let i=N; i-- > 0; )
+    for( let j=3; j-- > 0; )
+      Q[3*i+j] = Z[0][i]*P[0][j] + Z[1][i]*P[1][j] + Z[2][i]*P[2][j];
+
+    return t => {
+      const x = (t - t_old) / h,
+            y = new Float64Array(N);
+      for( let i=N; i-- > 0; )
+        y[i] = y_old[i] + x*( Q[3*i] + x*( Q[3*i+1] + x*Q[3*i+2] ) );
+      return y;
+    };
+  }
+}
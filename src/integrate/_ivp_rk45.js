@@ -0,0 +1,191 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {_min_step,
+        _select_initial_step} from './_ivp_utils'
+
+
+// REFERENCES
+// ----------
+// .. [1] J.R. Dormand, P.J. Prince,
+//        "A family of embedded Runge-Kutta formulae",
+//        Journal of Computational and Applied Mathematics, Vol. 6, No. 1, pp. 19-26, 1980.
+// .. [2] L.F. Shampine,
+//        "Some Practical Runge-Kutta Formulas",
+//        Mathematics of Computation, Vol. 46, No. 173, pp. 135-150, 1986.
+
+const SAFETY = 0.9,
+  MIN_FACTOR = 0.2,
+  MAX_FACTOR = 10,
+     ERR_EXP = -1/5;
+
+const C = [0, 1/5, 3/10, 4/5, 8/9, 1],
+      A = [
+  [],
+  [1/5],
+  [3/40, 9/40],
+  [44/45, -56/15, 32/9],
+  [19372/6561, -25360/2187, 64448/6561, -212/729],
+  [9017/3168, -355/33, 46732/5247, 49/176, -5103/18656]
+],
+      B = [35/384, 0, 500/1113, 125/192, -2187/6784, 11/84],
+      E = [-71/57600, 0, 71/16695, -71/1920, 17253/339200, -22/525, 1/40];
+
+// 4th order dense output coefficients [2]
+const P = [
+  [1, -8048581381/2820520608, 8663915743/2820520608, -12715105075/11282082432],
+  [0, 0, 0, 0],
+  [0, 131558114200/32700410799, -68118460800/10900136933, 87487479700/32700410799],
+  [0, -1754552775/470086768, 14199869525/1410260304, -10690763975/1880347072],
+  [0, 127303824393/49829197408, -318862633887/49829197408, 701980252875/199316789632],
+  [0, -282668133/205662961, 2019193451/616988883, -1453857185/822651844],
+  [0, 40617522/29380423, -110615467/29380423, 69997945/29380423]
+];
+
+
+/** Explicit Runge-Kutta method of order 5(4) by Dormand and Prince
+ *  with local extrapolation and a 4th order dense output.
+ */
+export class IVPStepperRK45
+{
+  constructor( fun, t0, y0, t1, {rtol, atol, maxStep, h0} )
+  {
+    const N = y0.length;
+
+    this.fun = fun;
+    this.t1  = t1;
+    this.dir = t1 < t0 ? -1 : +1;
+    this.rtol = rtol;
+    this.atol = atol;
+    this.maxStep = maxStep;
+
+    this.t = t0;
+    this.y = y0.slice();
+    this.f = fun(this.y, t0);
+    this.K = Array.from({length: 7}, () => new Float64Array(N));
+
+    this.h_abs = null != h0 ? h0 : _select_initial_step(fun, t0,this.y,this.f, this.dir, 4, rtol, atol);
+
+    this.t_old = NaN;
+    this.y_old = new Float64Array(N);
+  }
+
+  /** Performs a single accepted step, adapting the step size as necessary.
+   */
+  step()
+  {
+    const {fun, t,y,f, K, dir, t1, rtol, atol} = this,
+                 N = y.length,
+          min_step = _min_step(t,dir),
+             y_new = new Float64Array(N);
+
+    let h_abs = Math.max( min_step, Math.min(this.h_abs, this.maxStep) ),
+        rejected = false;
+
+    for(;;)
+    {
+      if( h_abs < min_step )
+        throw new Error(`solve_ivp_gen(dy,y0,t0,t1,opt): Step size became too small at t=${t}.`);
+
+      let t_new = t + dir*h_abs;
+      if( dir*(t_new - t1) > 0 )
+        t_new = t1;
+      const h = t_new - t;
+      h_abs = Math.abs(h);
+
+      // RUNGE-KUTTA STAGES
+      K[0].set(f);
+      for( let s=1; s < 6; s++ ) {
+        const A_s = A[s];
+        for( let i=N; i-- > 0; ) {
+          let sum = 0;
+          for( let k=0; k < s; k++ )
+            sum += A_s[k] * K[k][i];
+          y_new[i] = y[i] + h*sum;
+        }
+        K[s].set( fun(y_new, t + C[s]*h) );
+      }
+
+      for( let i=N; i-- > 0; ) {
+        let sum = 0;
+        for( let k=0; k < 6; k++ )
+          sum += B[k] * K[k][i];
+        y_new[i] = y[i] + h*sum;
+      }
+      const f_new = fun(y_new, t_new);
+      K[6].set(f_new);
+
+      // ERROR ESTIMATE
+      let err = 0;
+      for( let i=N; i-- > 0; ) {
+        let e_i = 0;
+        for( let k=0; k < 7; k++ )
+          e_i += E[k] * K[k][i];
+        e_i *= h / ( atol[i] + rtol*Math.max(Math.abs(y[i]), Math.abs(y_new[i])) );
+        err += e_i*e_i;
+      }
+      err = Math.sqrt(err / N);
+
+      if( err < 1 )
+      {
+        let factor = 0 === err ? MAX_FACTOR : Math.min(MAX_FACTOR, SAFETY * err**ERR_EXP);
+        if( rejected )
+          factor = Math.min(1, factor);
+
+        this.h_abs = h_abs * factor;
+        this.h     = h;
+        this.t_old = t;
+        this.y_old.set(y);
+        this.t = t_new;
+        this.y = y_new;
+        this.f = f_new;
+        return;
+      }
+
+      const factor = SAFETY * err**ERR_EXP;
+      h_abs *= factor > MIN_FACTOR ? factor : MIN_FACTOR; // <- also handles err=NaN
+      rejected = true;
+    }
+  }
+
+  /** Returns the dense output `t => y(t)` of the last step.
+   */
+  dense()
+  {
+    const {t_old, h, K} = this,
+             N = this.y.length,
+         y_old = this.y_old.slice(),
+             Q = new Float64Array(N*4);
+
+    for( let i=N; i-- > 0; )
+    for( let j=4; j-- > 0; ) {
+      let sum = 0;
+      for( let k=0; k < 7; k++ )
+        sum += K[k][i] * P[k][j];
+      Q[4*i+j] = h*sum;
+    }
+
+    return t => {
+      const x = (t - t_old) / h,
+            y = new Float64Array(N);
+      for( let i=N; i-- > 0; )
+        y[i] = y_old[i] + x*( Q[4*i] + x*( Q[4*i+1] + x*( Q[4*i+2] + x*Q[4*i+3] ) ) );
+      return y;
+    };
+  }
+}
@@ -0,0 +1,75 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {nextDown,
+        nextUp} from '../dt/float64_utils'
+
+
+/** Returns the root-mean-square of `x[i] / scale[i]`.
+ */
+export function _rms( x, scale )
+{
+  const N = x.length;
+  let sum = 0;
+  for( let i=N; i-- > 0; ) {
+    const x_i = x[i] / scale[i % scale.length];
+    sum += x_i*x_i;
+  }
+  return Math.sqrt(sum / N);
+}
+
+
+/** Returns the smallest step size that still makes a difference at `t`.
+ */
+export function _min_step( t, dir )
+{
+  return 10 * Math.abs( (dir < 0 ? nextDown(t) : nextUp(t)) - t );
+}
+
+
+/** Empirical initial step size selection.
+ *
+ *  SEE: E. Hairer, S.P. Norsett, G. Wanner,
+ *       "Solving Ordinary Differential Equations I: Nonstiff Problems",
+ *       Sec. II.4.
+ */
+export function _select_initial_step( fun, t0, y0, f0, dir, order, rtol, atol )
+{
+  const N = y0.length,
+    scale = new Float64Array(N);
+  for( let i=N; i-- > 0; )
+    scale[i] = atol[i] + rtol*Math.abs(y0[i]);
+
+  const d0 = _rms(y0,scale),
+        d1 = _rms(f0,scale),
+        h0 = d0 < 1e-5 || d1 < 1e-5 ? 1e-6 : 0.01 * d0/d1;
+
+  const y1 = new Float64Array(N);
+  for( let i=N; i-- > 0; )
+    y1[i] = y0[i] + dir*h0*f0[i];
+  const f1 = fun(y1, t0 + dir*h0);
+  for( let i=N; i-- > 0; )
+    f1[i] -= f0[i];
+  const d2 = _rms(f1,scale) / h0;
+
+  const h1 = d1 <= 1e-15 && d2 <= 1e-15
+    ? Math.max(1e-6, h0*1e-3)
+    : ( 0.01 / Math.max(d1,d2) )**( 1 / (order+1) );
+
+  return Math.min(100*h0, h1);
+}
@@ -0,0 +1,177 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {KahanSum} from '../kahan_sum'
+import {asarray, NDArray} from '../nd_array'
+import {NAryHeap} from '../spatial/_nary_heap'
+
+import {_gk21} from './quad'
+
+
+// REFERENCES
+// ----------
+// .. [1] A.C. Genz, A.A. Malik,
+//        "An adaptive algorithm for numerical integration over an N-dimensional rectangular region",
+//        Journal of Computational and Applied Mathematics, Vol. 6, No. 4, pp. 295-302, 1980.
+// .. [2] J. Berntsen, T.O. Espelid, A. Genz,
+//        "An adaptive algorithm for the approximate calculation of multiple integrals",
+//        ACM Transactions on Mathematical Software, Vol. 17, No. 4, pp. 437-451, 1991.
+// .. [3] https://github.com/stevengj/cubature
+
+const λ2 = Math.sqrt(9/70),
+      λ4 = Math.sqrt(9/10),
+      λ5 = Math.sqrt(9/19),
+   RATIO = (λ2*λ2) / (λ4*λ4);
+
+
+/** Number of function evaluations of the Genz-Malik rule in n dimensions.
+ */
+const _genz_malik_evals = n => 1 + 4*n + 2*n*(n-1) + 2**n;
+
+
+/** Applies the degree 7 Genz-Malik rule (with an embedded degree 5 rule for the error estimate)
+ *  to f on the hyperrectangle with center c and half-widths h. Returns `[integral, error, split]`,
+ *  where split is the dimension along which the fourth divided difference is largest.
+ */
+function _genz_malik( f, c, h )
+{
+  const n = c.length,
+        x = c.slice(),
+       f0 = f(x),
+     diff = new Float64Array(n);
+
+  const w1 = (12824 - 9120*n + 400*n*n) / 19683,
+        w2 = 980 / 6561,
+        w3 = (1820 - 400*n) / 19683,
+        w4 = 200 / 19683,
+        w5 = 6859 / 19683 / 2**n,
+        e1 = (729 - 950*n + 50*n*n) / 729,
+        e2 = 245 / 486,
+        e3 = (265 - 100*n) / 1458,
+        e4 = 25 / 729;
+
+  let s2=0, s3=0, s4=0, s5=0;
+
+  for( let i=0; i < n; i++ )
+  {
+    x[i] = c[i] - λ2*h[i]; const f2a = f(x);
+    x[i] = c[i] + λ2*h[i]; const f2b = f(x);
+    x[i] = c[i] - λ4*h[i]; const f3a = f(x);
+    x[i] = c[i] + λ4*h[i]; const f3b = f(x);
+    x[i] = c[i];
+    s2 += f2a + f2b;
+    s3 += f3a + f3b;
+    diff[i] = Math.abs( f2a + f2b - 2*f0 - RATIO*(f3a + f3b - 2*f0) );
+  }
+
+  for( let i=0;   i < n; i++ )
+  for( let j=i+1; j < n; j++ ) {
+    for( const si of [-1,+1] )
+    for( const sj of [-1,+1] ) {
+      x[i] = c[i] + si*λ4*h[i];
+      x[j] = c[j] + sj*λ4*h[j];
+      s4 += f(x);
+    }
+    x[i] = c[i];
+    x[j] = c[j];
+  }
+
+  for( let corner=0; corner < 2**n; corner++ ) {
+    for( let i=0; i < n; i++ )
+      x[i] = c[i] + (corner & 1<<i ? λ5 : -λ5)*h[i];
+    s5 += f(x);
+  }
+
+  const vol = h.reduce( (vol,h) => vol*2*h, 1 ),
+         r7 = vol * (w1*f0 + w2*s2 + w3*s3 + w4*s4 + w5*s5),
+         r5 = vol * (e1*f0 + e2*s2 + e3*s3 + e4*s4);
+
+  // split along the dimension with the largest fourth difference, ties are broken by width
+  const maxDiff = diff.reduce( (a,b) => Math.max(a,b) );
+  let split = -1;
+  for( let i=0; i < n; i++ )
+    if( diff[i] >= maxDiff*(1 - 1e-10) && (split < 0 || Math.abs(h[i]) > Math.abs(h[split])) )
+      split = i;
+
+  return [r7, Math.abs(r7-r5), split];
+}
+
+
+export function cubature( f, a, b, { epsAbs=1.49e-8, epsRel=1.49e-8, maxEval=65536 }={} )
+{
+  if( !(f instanceof Function) ) throw new Error('cubature(f,a,b,opt): f must be a function.');
+
+  a = asarray('float64', a);
+  b = asarray('float64', b);
+  if( a.ndim !== 1 ) throw new Error('cubature(f,a,b,opt): a must be 1D.');
+  if( b.ndim !== 1 ) throw new Error('cubature(f,a,b,opt): b must be 1D.');
+  if( a.shape[0] !== b.shape[0] ) throw new Error('cubature(f,a,b,opt): a and b must have the same length.');
+
+  const [n] = a.shape;
+  a = a.data;
+  b = b.data;
+  if( ! a.every(isFinite) ) throw new Error('cubature(f,a,b,opt): a must be finite.');
+  if( ! b.every(isFinite) ) throw new Error('cubature(f,a,b,opt): b must be finite.');
+
+  if( !(epsAbs >= 0) ) throw new Error('cubature(f,a,b,opt): opt.epsAbs must be non-negative.');
+  if( !(epsRel >= 0) ) throw new Error('cubature(f,a,b,opt): opt.epsRel must be non-negative.');
+  if( !(maxEval >= 0) ) throw new Error('cubature(f,a,b,opt): opt.maxEval must be non-negative.');
+
+  const F = x => f( new NDArray(Int32Array.of(n), x.slice()) ) * 1;
+
+  // IN 1D, THE GAUSS-KRONROD RULE IS USED INSTEAD
+  const [rule, nEvalRule] = 1 === n
+    ? [ (c,h) => [..._gk21(x => F(Float64Array.of(x)), c[0]-h[0], c[0]+h[0]), 0], 21 ]
+    : [ (c,h) => _genz_malik(F, c, h), _genz_malik_evals(n) ];
+
+  const heap = new NAryHeap(),
+        intg = new KahanSum(),
+         err = new KahanSum();
+  let nEval = 0;
+
+  const add = (c,h) => {
+    const [val, abserr, split] = rule(c,h);
+    heap.add({key: -abserr, c, h, val, abserr, split});
+    intg.add(val);
+    err .add(abserr);
+    nEval += nEvalRule;
+  };
+
+  add(
+    a.map( (a,i) => (b[i]+a) / 2 ),
+    a.map( (a,i) => (b[i]-a) / 2 )
+  );
+
+  while( err.sum > Math.max(epsAbs, epsRel*Math.abs(intg.sum)) && nEval + 2*nEvalRule <= maxEval )
+  {
+    // BISECT THE REGION WITH THE LARGEST ERROR
+    const {c,h,val,abserr,split} = heap.popMin(),
+                              hs = h.slice(),
+                              c1 = c.slice(),
+                              c2 = c.slice();
+    hs[split] /= 2;
+    c1[split] -= hs[split];
+    c2[split] += hs[split];
+    intg.add(-val);
+    err .add(-abserr);
+    add(c1,hs);
+    add(c2,hs);
+  }
+
+  return [intg.sum, Math.abs(err.sum)];
+}
@@ -0,0 +1,88 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {CUSTOM_MATCHERS, forEachItemIn} from '../jasmine_utils'
+
+import {cubature} from './cubature'
+import {quad} from './quad'
+
+
+describe('cubature', () => {
+  beforeEach( () => {
+    jasmine.addMatchers(CUSTOM_MATCHERS)
+  })
+
+
+  forEachItemIn(
+    function*(rng) {
+      for( let run=0; run++ < 64; )
+      {
+        const n = rng.int(1,4),
+          terms = Array.from({length: rng.int(1,4)}, () => [
+            rng.normal(),
+            Int32Array.from({length: n}, () => rng.int(0,4))
+          ]),
+              a = Float64Array.from({length: n}, () => rng.uniform(-2,2)),
+              b = Float64Array.from({length: n}, () => rng.uniform(-2,2));
+        yield [terms, a, b];
+      }
+    }
+  ).it('integrates random polynomials', ([terms,a,b]) => {
+    const n = a.length,
+          f = x => terms.reduce( (sum,[c,p]) => sum + c*p.reduce( (prod,p_i,i) => prod * x(i)**p_i, 1 ), 0 ),
+   expected = terms.reduce( (sum,[c,p]) => sum + c*p.reduce( (prod,p_i,i) => prod * (b[i]**(p_i+1) - a[i]**(p_i+1)) / (p_i+1), 1 ), 0 );
+
+    const [result, err] = cubature(f, a, b);
+    expect( Math.abs(result - expected) ).not.toBeGreaterThan( err + 1e-12*Math.max(1, Math.abs(expected)) );
+    expect(result).toBeAllCloseTo(expected, {rtol:1e-7, atol:1e-7});
+  });
+
+
+  it('integrates a 2D Gaussian', () => {
+    const [erf3] = quad(t => 2/Math.sqrt(Math.PI) * Math.exp(-t*t), 0, 3),
+      [result,err] = cubature(x => Math.exp( -x(0)*x(0) - x(1)*x(1) ), [-3,-3], [3,3], {epsRel: 1e-7});
+    expect(err).toBeLessThan(1e-6);
+    expect(result).toBeAllCloseTo(Math.PI*erf3*erf3, {rtol:1e-7});
+  });
+
+
+  it('integrates a product of cosines in 3D', () => {
+    let nEval = 0;
+    const [result] = cubature(x => { ++nEval; return Math.cos(x(0)) * Math.cos(x(1)) * Math.cos(x(2)); }, [0,0,0], [1,2,3]);
+    expect(nEval).not.toBeGreaterThan(65536);
+    expect(result).toBeAllCloseTo(Math.sin(1)*Math.sin(2)*Math.sin(3), {rtol:1e-7});
+  });
+
+
+  it('respects opt.maxEval', () => {
+    let nEval = 0;
+    const [result, err] = cubature(x => { ++nEval; return Math.sqrt( x(0)*x(0) + x(1)*x(1) ); }, [-1,-1], [1,1], {epsAbs:0, epsRel:0, maxEval:1000});
+    expect(nEval).not.toBeGreaterThan(1000);
+    expect(err).toBeGreaterThan(0);
+    expect(result).toBeAllCloseTo(8/3*( Math.SQRT2 + Math.log(1+Math.SQRT2) ) / 2, {rtol:1e-3});
+  });
+
+
+  it('throws on invalid arguments', () => {
+    const f = x => 1;
+    expect( () => cubature(null, [0], [1])       ).toThrowError(/f must be a function/);
+    expect( () => cubature(f,   [[0]], [1])      ).toThrowError(/a must be 1D/);
+    expect( () => cubature(f,   [0,0], [1])      ).toThrowError(/same length/);
+    expect( () => cubature(f,   [0], [Infinity]) ).toThrowError(/b must be finite/);
+  });
+})
@@ -17,3 +17,9 @@
  */
 
 export * from './odeint_rk4'
+export * from './solve_ivp'
+export * from './quad'
+export * from './romberg'
+export * from './trapz'
+export * from './simpson'
+export * from './cubature'
@@ -0,0 +1,309 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {KahanSum} from '../kahan_sum'
+
+
+// REFERENCES
+// ----------
+// .. [1] R. Piessens, E. de Doncker-Kapenga, C.W. Überhuber, D.K. Kahaner,
+//        "QUADPACK: A Subroutine Package for Automatic Integration",
+//        Springer, 1983.
+// .. [2] http://www.netlib.org/quadpack/qk21.f
+
+// 21-POINT KRONROD NODES (xgk[1], xgk[3], ... are the 10-point Gauss nodes)
+const XGK = [
+  0.995657163025808080735527280689003,
+  0.973906528517171720077964012084452,
+  0.930157491355708226001207180059508,
+  0.865063366688984510732096688423493,
+  0.780817726586416897063717578345042,
+  0.679409568299024406234327365114874,
+  0.562757134668604683339000099272694,
+  0.433395394129247190799265943165784,
+  0.294392862701460198131126603103866,
+  0.148874338981631210884826001129720,
+  0
+],
+      WGK = [
+  0.011694638867371874278064396062192,
+  0.032558162307964727478818972459390,
+  0.054755896574351996031381300244580,
+  0.075039674810919952767043140916190,
+  0.093125454583697605535065465083366,
+  0.109387158802297641899210590325805,
+  0.123491976262065851077208977366797,
+  0.134709217311473325928054001771707,
+  0.142775938577060080797094273138717,
+  0.147739104901338491374841515972068,
+  0.149445554002916905664936468389821
+],
+       WG = [
+  0.066671344308688137593568809893332,
+  0.149451349150580593145776339657697,
+  0.219086362515982043995534934228163,
+  0.269266719309996355091226921569469,
+  0.295524224714752870173892994651338
+];
+
+
+/** Applies the 21-point Gauss-Kronrod rule to f on [a,b].
+ *  Returns `[integral, error_estimate]`.
+ */
+export function _gk21( f, a, b )
+{
+  const center = (a+b) / 2,
+         hlgth = (b-a) / 2,
+           EPS = Number.EPSILON,
+           fv1 = new Float64Array(10),
+           fv2 = new Float64Array(10),
+            fc = f(center) * 1;
+
+  let resg   = 0,
+      resk   = WGK[10] * fc,
+      resabs = Math.abs(resk);
+
+  for( let j=0; j < 10; j++ )
+  {
+    const absc = hlgth * XGK[j],
+            f1 = f(center-absc) * 1,
+            f2 = f(center+absc) * 1,
+          fsum = f1+f2;
+    fv1[j] = f1;
+    fv2[j] = f2;
+    if( j%2 === 1 )
+      resg += WG[j>>>1] * fsum;
+    resk   += WGK[j] * fsum;
+    resabs += WGK[j] * ( Math.abs(f1) + Math.abs(f2) );
+  }
+
+  const reskh = resk / 2;
+  let resasc = WGK[10] * Math.abs(fc - reskh);
+  for( let j=0; j < 10; j++ )
+    resasc += WGK[j] * ( Math.abs(fv1[j] - reskh) + Math.abs(fv2[j] - reskh) );
+
+  const result = resk * hlgth;
+  resabs *= Math.abs(hlgth);
+  resasc *= Math.abs(hlgth);
+
+  let abserr = Math.abs( (resk-resg) * hlgth );
+  if( 0 !== resasc && 0 !== abserr )
+    abserr = resasc * Math.min( 1, (200 * abserr/resasc)**1.5 );
+  if( resabs > Number.MIN_VALUE / (50*EPS) )
+    abserr = Math.max(50*EPS*resabs, abserr);
+
+  return [result, abserr];
+}
+
+
+export function quad( f, a, b, { epsAbs=1.49e-8, epsRel=1.49e-8, limit=50 }={} )
+{
+  if( !(f instanceof Function) ) throw new Error('quad(f,a,b,opt): f must be a function.');
+
+  a *= 1;
+  b *= 1;
+  if( isNaN(a) ) throw new Error('quad(f,a,b,opt): a must be a number.');
+  if( isNaN(b) ) throw new Error('quad(f,a,b,opt): b must be a number.');
+
+  if( !(epsAbs >= 0) ) throw new Error('quad(f,a,b,opt): opt.epsAbs must be non-negative.');
+  if( !(epsRel >= 0) ) throw new Error('quad(f,a,b,opt): opt.epsRel must be non-negative.');
+  if( !(limit >= 1) || limit%1 !== 0 ) throw new Error('quad(f,a,b,opt): opt.limit must be a positive integer.');
+
+  if( a === b ) return [0,0];
+  if( a >  b ) {
+    const [result, abserr] = quad(f, b, a, {epsAbs, epsRel, limit});
+    return [-result, abserr];
+  }
+
+  // INFINITE INTERVALS ARE MAPPED TO (0,1] VIA x = (1-t)/t
+  if( ! isFinite(a) || ! isFinite(b) ) {
+    const g = f, x0 = a, x1 = b;
+    if( isFinite(x0) ) f = t => g(x0 + (1-t)/t) / (t*t);
+    else if( isFinite(x1) ) f = t => g(x1 - (1-t)/t) / (t*t);
+    else f = t => {
+      const x = (1-t)/t;
+      return ( g(x) + g(-x) ) / (t*t);
+    };
+    a = 0;
+    b = 1;
+  }
+
+  const intervals = [],
+             area = new KahanSum(),
+           errsum = new KahanSum(),
+              tol = () => Math.max(epsAbs, epsRel * Math.abs(area.sum));
+
+  const add = (a,b) => {
+    const [val,abserr] = _gk21(f, a, b);
+    intervals.push({a, b, val, abserr});
+    area  .add(val);
+    errsum.add(abserr);
+    return abserr;
+  };
+
+  add(a,b);
+  if( errsum.sum <= tol() )
+    return [area.sum, errsum.sum];
+
+  // EXTRAPOLATION STATE (see QUADPACK's dqagse)
+  const areas = [area.sum],
+      results = [];
+  let result = NaN,
+      abserr = Infinity,
+       small = NaN,
+      erlarg = NaN,
+      ertest = NaN,
+      extrap = false,
+       ktmin = 0,
+      reason = `all opt.limit=${limit} subintervals are used up`;
+
+  // returns the interval with the largest error (that is not small while extrapolating)
+  const largest = () => {
+    let max = null;
+    for( const I of intervals )
+      if( (! extrap || I.b-I.a > small) && (null == max || I.abserr > max.abserr) )
+        max = I;
+    return max;
+  };
+
+  for( let last=2; last <= limit; last++ )
+  {
+    // BISECT THE INTERVAL WITH THE LARGEST ERROR
+    const I = largest(),
+          m = (I.a + I.b) / 2;
+    if( !(I.a < m && m < I.b) ) {
+      reason = 'a subinterval became too small to be bisected';
+      break;
+    }
+    intervals.splice(intervals.indexOf(I), 1);
+    area  .add(-I.val);
+    errsum.add(-I.abserr);
+    const erro12 = add(I.a,m) + add(m,I.b);
+
+    if( errsum.sum <= tol() )
+      return [area.sum, errsum.sum];
+
+    if( 2 === last ) {
+      small  = (b-a) * 0.375;
+      erlarg = errsum.sum;
+      ertest = tol();
+      areas.push(area.sum);
+      continue;
+    }
+
+    erlarg -= I.abserr;
+    if( m-I.a > small )
+      erlarg += erro12;
+
+    if( ! extrap ) {
+      // only start extrapolating once the interval with the largest error is small
+      const {a,b} = largest();
+      if( b-a > small )
+        continue;
+      extrap = true;
+    }
+
+    if( erlarg > ertest && null != largest() )
+      continue;
+
+    // PERFORM EXTRAPOLATION
+    areas.push(area.sum);
+    const reseps = _extrapolate(areas);
+    results.push(reseps);
+    const abseps = results.length < 4 ? Infinity : Math.max(
+      5*Number.EPSILON * Math.abs(reseps),
+      results.slice(-4,-1).reduce( (sum,r) => sum + Math.abs(reseps-r), 0 )
+    );
+
+    if( ++ktmin > 5 && abserr < 1e-3 * errsum.sum ) {
+      reason = 'the extrapolation stopped making progress due to roundoff';
+      break;
+    }
+
+    if( abseps < abserr ) {
+      ktmin  = 0;
+      abserr = abseps;
+      result = reseps;
+      ertest = Math.max(epsAbs, epsRel * Math.abs(reseps));
+      if( abserr <= ertest )
+        break;
+    }
+
+    extrap = false;
+    small *= 0.5;
+    erlarg = errsum.sum;
+  }
+
+  // CHOOSE BETWEEN THE EXTRAPOLATED AND THE PLAIN RESULT
+  if( abserr === Infinity || abserr / Math.abs(result) > errsum.sum / Math.abs(area.sum) ) {
+    result = area.sum;
+    abserr = Math.abs(errsum.sum);
+  }
+
+  if( !(abserr <= Math.max(epsAbs, epsRel * Math.abs(result))) )
+    throw new Error(`quad(f,a,b,opt): Tolerance not met since ${reason} (result=${result}, abserr=${abserr}). Is the integral divergent?`);
+
+  return [result, abserr];
+}
+
+
+/** Extrapolates the limit of the sequence S using Wynn's epsilon algorithm.
+ *  Of the diagonal entries in the even columns of the epsilon table, the one
+ *  with the smallest difference to its neighbors is returned.
+ *
+ *  SEE: http://www.netlib.org/quadpack/dqelg.f
+ */
+export function _extrapolate( S )
+{
+  const N = S.length;
+  let best = S[N-1],
+      bestErr = Infinity,
+      prev = new Float64Array(N+1), // <- ε_{-1}
+      curr = Float64Array.from(S);  // <- ε_0
+
+  for( let j=1; curr.length > 1; j++ )
+  {
+    const next = new Float64Array(curr.length-1);
+    for( let k=0; k < next.length; k++ )
+    {
+      const Δ = curr[k+1] - curr[k];
+      if( 0 === Δ || !isFinite(1/Δ) ) {
+        // THE SEQUENCE CONVERGED (NUMERICALLY) IN THIS COLUMN
+        if( j%2 === 1 && k === next.length-1 && Math.abs(curr[k+1] - curr[k]) < bestErr )
+          best = curr[k+1];
+        return best;
+      }
+      next[k] = prev[k+1] + 1/Δ;
+    }
+
+    if( j%2 === 0 ) {
+      // compare to the latest three entries of the previous even column
+      const n = next.length,
+          err = Math.abs(next[n-1] - prev[n+1]) + Math.abs(prev[n+1] - prev[n]) + Math.abs(prev[n] - prev[n-1]);
+      if( err < bestErr ) {
+        best = next[n-1];
+        bestErr = err;
+      }
+    }
+
+    prev = curr;
+    curr = next;
+  }
+
+  return best;
+}
@@ -0,0 +1,110 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {forEachItemIn, CUSTOM_MATCHERS} from '../jasmine_utils'
+
+import {quad} from './quad'
+
+
+describe('quad', () => {
+  beforeEach( () => {
+    jasmine.addMatchers(CUSTOM_MATCHERS)
+  })
+
+
+  forEachItemIn(
+    function*(rng) {
+      for( let run=0; run++ < 256; )
+      {
+        const deg = rng.int(0,24),
+          coeffs = Float64Array.from({length: deg+1}, () => rng.normal()),
+               a = rng.uniform(-4,4),
+               b = rng.uniform(-4,4);
+        yield [coeffs, a, b];
+      }
+    }
+  ).it('integrates random polynomials', ([coeffs,a,b]) => {
+    const  f = x => coeffs.reduceRight( (sum,c) => sum*x + c, 0 ),
+      F = x => coeffs.reduceRight( (sum,c,i) => sum*x + c/(i+1), 0 ) * x;
+
+    const [result, abserr] = quad(f, a, b),
+                  expected = F(b) - F(a);
+    expect(abserr).not.toBeGreaterThan( Math.max(1.49e-8, 1.49e-8*Math.abs(expected)) );
+    expect(result).toBeAllCloseTo(expected, {rtol:1e-10, atol:1e-10});
+  });
+
+
+  for( const [name, f, a, b, expected] of [
+    ['sin',                  Math.sin,                           0, Math.PI,     2],
+    ['oscillating sin',      x => Math.sin(30*x),                0, 1,           (1 - Math.cos(30)) / 30],
+    ['|x-1/3|',              x => Math.abs(x-1/3),               0, 1,           5/18],
+    ['1/sqrt(x)',            x => 1 / Math.sqrt(x),              0, 1,           2],
+    ['x^-0.9',               x => x**-0.9,                       0, 1,          10],
+    ['log(x)',               Math.log,                           0, 1,          -1],
+    ['log(x)/sqrt(x)',       x => Math.log(x) / Math.sqrt(x),    0, 1,          -4],
+    ['exp(-x)',              x => Math.exp(-x),                  0, Infinity,    1],
+    ['exp(x)',               Math.exp,                   -Infinity, 0,           1],
+    ['1/x²',                 x => 1/(x*x),                       1, Infinity,    1],
+    ['exp(-x²)',             x => Math.exp(-x*x),        -Infinity, Infinity,    Math.sqrt(Math.PI)],
+    ['1/(1+x²)',             x => 1/(1+x*x),             -Infinity, Infinity,    Math.PI],
+    ['log(x)/(1+x²)',        x => Math.log(x)/(1+x*x),           0, Infinity,    0]
+  ])
+    it(`integrates ${name} over [${a},${b}]`, () => {
+      let nEval = 0;
+      const [result, abserr] = quad(x => { ++nEval; return f(x); }, a, b);
+
+      expect(nEval).toBeLessThan(50*21*2);
+      expect(abserr).not.toBeGreaterThan( Math.max(1.49e-8, 1.49e-8*Math.abs(expected)) );
+      expect(result).toBeAllCloseTo(expected, {rtol:1e-8, atol:1e-8});
+
+      const [reverse] = quad(f, b, a);
+      expect(reverse).toBe(-result);
+    });
+
+
+  it('returns zero for empty intervals', () => {
+    expect( quad(Math.exp, 2, 2) ).toEqual([0,0]);
+  });
+
+
+  for( const [name, f, a, b] of [
+    ['1/x',  x => 1/x,     0, 1],
+    ['1/x',  x => 1/x,     1, Infinity],
+    ['1/x²', x => 1/(x*x),-1, 1],
+    ['NaN',  x => NaN,     0, 1]
+  ])
+    it(`throws for divergent integral of ${name} over [${a},${b}]`, () => {
+      expect( () => quad(f, a, b) ).toThrowError(/Tolerance not met/);
+      expect( () => quad(f, b, a) ).toThrowError(/Tolerance not met/);
+    });
+
+
+  it('throws if the tolerance is not met within opt.limit subintervals', () => {
+    const f = x => Math.sin(30*x);
+    expect( () => quad(f, 0, 1, {limit: 2}) ).toThrowError(/opt.limit=2/);
+    expect( () => quad(f, 0, 1, {epsAbs: 0, epsRel: 1e-300}) ).toThrowError(/Tolerance not met/);
+  });
+
+
+  it('throws on invalid arguments', () => {
+    expect( () => quad(null,     0, 1)              ).toThrowError(/f must be a function/);
+    expect( () => quad(Math.sin, NaN, 1)            ).toThrowError(/a must be a number/);
+    expect( () => quad(Math.sin, 0, 1, {epsAbs:-1}) ).toThrowError(/opt.epsAbs/);
+    expect( () => quad(Math.sin, 0, 1, {limit:1.5}) ).toThrowError(/opt.limit/);
+  });
+})
@@ -0,0 +1,67 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {KahanSum} from '../kahan_sum'
+
+
+// the error estimate is only trusted after a few refinements to avoid
+// spurious convergence for periodic or oscillating integrands
+const MIN_ITER = 4;
+
+
+export function romberg( f, a, b, { epsAbs=1.49e-8, epsRel=1.49e-8, maxIter=20 }={} )
+{
+  if( !(f instanceof Function) ) throw new Error('romberg(f,a,b,opt): f must be a function.');
+
+  a *= 1;
+  b *= 1;
+  if( ! isFinite(a) ) throw new Error('romberg(f,a,b,opt): a must be a finite number.');
+  if( ! isFinite(b) ) throw new Error('romberg(f,a,b,opt): b must be a finite number.');
+
+  if( !(epsAbs >= 0) ) throw new Error('romberg(f,a,b,opt): opt.epsAbs must be non-negative.');
+  if( !(epsRel >= 0) ) throw new Error('romberg(f,a,b,opt): opt.epsRel must be non-negative.');
+  if( !(maxIter >= MIN_ITER) || maxIter%1 !== 0 )
+    throw new Error(`romberg(f,a,b,opt): opt.maxIter must be an integer no less than ${MIN_ITER}.`);
+
+  const sum = new KahanSum();
+  let h = b-a,
+      R = [ h * (f(a) + f(b)) / 2 ],
+    err = Infinity;
+
+  for( let k=1; k <= maxIter; k++ )
+  {
+    // TRAPEZOIDAL RULE WITH TWICE AS MANY INTERVALS
+    sum.set(0);
+    for( let i=0, n=2**(k-1); i < n; i++ )
+      sum.add( f(a + (i+0.5)*h) );
+
+    // RICHARDSON EXTRAPOLATION
+    const S = [ (R[0] + h*sum.sum) / 2 ];
+    for( let j=1, p=4; j <= k; j++, p*=4 )
+      S[j] = S[j-1] + (S[j-1] - R[j-1]) / (p-1);
+
+    err = Math.abs(S[k] - R[k-1]);
+    R = S;
+    h /= 2;
+
+    if( k >= MIN_ITER && err <= Math.max(epsAbs, epsRel*Math.abs(R[k])) )
+      break;
+  }
+
+  return [R[R.length-1], err];
+}
@@ -0,0 +1,58 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {CUSTOM_MATCHERS} from '../jasmine_utils'
+
+import {romberg} from './romberg'
+
+
+describe('romberg', () => {
+  beforeEach( () => {
+    jasmine.addMatchers(CUSTOM_MATCHERS)
+  })
+
+
+  for( const [name, f, a, b, expected] of [
+    ['exp',          Math.exp,                0,  1,            Math.E - 1],
+    ['sin²',         x => Math.sin(x)**2,     0,  2*Math.PI,    Math.PI],
+    ['1/(1+x²)',     x => 1/(1+x*x),         -4,  4,            2*Math.atan(4)],
+    ['x⁵-2x',        x => x**5 - 2*x,         3, -1,            (1 - 3**6)/6 + 8],
+    ['exp (empty)',  Math.exp,                1,  1,            0]
+  ])
+    it(`integrates ${name} over [${a},${b}]`, () => {
+      const [result, err] = romberg(f, a, b);
+      expect(err).not.toBeGreaterThan( Math.max(1.49e-8, 1.49e-8*Math.abs(expected)) );
+      expect(result).toBeAllCloseTo(expected, {rtol:1e-8, atol:1e-8});
+    });
+
+
+  it('returns the error estimate if maxIter is reached', () => {
+    let nEval = 0;
+    const [result, err] = romberg(x => { ++nEval; return Math.sqrt(x); }, 0, 1, {maxIter: 6});
+    expect(nEval).toBe(2**6 + 1);
+    expect(err).toBeGreaterThan(1.49e-8);
+    expect(result).toBeAllCloseTo(2/3, {rtol:0, atol:1e-2});
+  });
+
+
+  it('throws on invalid arguments', () => {
+    expect( () => romberg(null,    0, 1)            ).toThrowError(/f must be a function/);
+    expect( () => romberg(Math.sin,0, Infinity)     ).toThrowError(/b must be a finite number/);
+    expect( () => romberg(Math.sin,0, 1, {maxIter:2}) ).toThrowError(/opt.maxIter/);
+  });
+})
@@ -0,0 +1,62 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {_integrate_sampled} from './trapz'
+
+
+// REFERENCES
+// ----------
+// .. [1] https://en.wikipedia.org/wiki/Simpson%27s_rule#Composite_Simpson's_rule_for_irregularly_spaced_data
+// .. [2] D.I. Cartwright,
+//        "Simpson's Rule Cumulative Integration with MS Excel and Irregularly-spaced Data",
+//        Journal of Mathematical Sciences and Mathematics Education, Vol. 12, No. 2, pp. 1-9, 2017.
+
+
+export function simpson( y, opt={} )
+{
+  return _integrate_sampled('simpson', y, opt, (y,h,n,sum) => {
+    if( n < 3 ) {
+      if( 2 === n )
+        sum.add( h(0) * (y(0) + y(1)) / 2 );
+      return;
+    }
+
+    // COMPOSITE SIMPSON'S RULE OVER PAIRS OF INTERVALS
+    for( let k=0; k+2 < n - (n+1)%2; k += 2 )
+    {
+      const h0 = h(k),
+            h1 = h(k+1),
+            hs = h0+h1;
+      sum.add(
+        hs/6 * ( (2 - h1/h0)*y(k) + hs*hs/(h0*h1)*y(k+1) + (2 - h0/h1)*y(k+2) )
+      );
+    }
+
+    // AN ODD NUMBER OF INTERVALS IS COMPLETED WITH THE QUADRATIC THROUGH THE LAST THREE POINTS [2]
+    if( n%2 === 0 )
+    {
+      const k = n-3,
+           h0 = h(k),
+           h1 = h(k+1),
+            α = (2*h1*h1 + 3*h0*h1) / (6*(h0+h1)),
+            β = (  h1*h1 + 3*h0*h1) / (6*h0),
+            η =    h1*h1*h1         / (6*h0*(h0+h1));
+      sum.add( α*y(k+2) + β*y(k+1) - η*y(k) );
+    }
+  });
+}
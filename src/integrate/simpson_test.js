@@ -0,0 +1,71 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {CUSTOM_MATCHERS, forEachItemIn} from '../jasmine_utils'
+import {tabulate} from '../tabulate'
+
+import {simpson} from './simpson'
+
+
+describe('simpson', () => {
+  beforeEach( () => {
+    jasmine.addMatchers(CUSTOM_MATCHERS)
+  })
+
+
+  it('works on known examples', () => {
+    expect( simpson([0,1,4,9,16], {dx: 0.5}) ).toBeAllCloseTo(32/3);
+    expect( simpson([0,1,8,27]) ).toBeAllCloseTo(20.5);
+    expect( simpson([1,3]) ).toBe(2);
+    expect( simpson([1]) ).toBe(0);
+  });
+
+
+  forEachItemIn(
+    function*(rng) {
+      for( let run=0; run++ < 128; )
+      {
+        const n = rng.int(3,24),
+              x = new Float64Array(n),
+              c = [rng.normal(), rng.normal(), rng.normal()];
+        x[0] = rng.uniform(-2,2);
+        for( let i=1; i < n; i++ )
+          x[i] = x[i-1] + rng.uniform(0.1,1);
+        yield [x, c, rng.int(1,4)];
+      }
+    }
+  ).it('integrates quadratic polynomials exactly on irregular grids', ([x,[c0,c1,c2],K]) => {
+    const n = x.length,
+          F = x => ((c2/3*x + c1/2)*x + c0)*x,
+          y = tabulate([n,K], 'float64', (i,k) => (k+1) * ((c2*x[i] + c1)*x[i] + c0));
+
+    expect( simpson(y, {x, axis: 0}) ).toBeAllCloseTo(
+      tabulate([K], 'float64', k => (k+1) * (F(x[n-1]) - F(x[0]))),
+      {rtol:1e-10, atol:1e-10}
+    );
+  });
+
+
+  it('is more accurate than the trapezoidal rule for smooth functions', () => {
+    for( const n of [101, 100] ) {
+      const dx = Math.PI / (n-1),
+             y = Float64Array.from({length: n}, (_,i) => Math.sin(i*dx));
+      expect( simpson(y, {dx}) ).toBeAllCloseTo(2, {rtol:0, atol:1e-7});
+    }
+  });
+})
@@ -0,0 +1,206 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {asarray, NDArray} from '../nd_array'
+import {root1d_brent} from '../opt/root1d_brent'
+
+import {IVPStepperRadau} from './_ivp_radau'
+import {IVPStepperRK45} from './_ivp_rk45'
+
+
+const METHODS = {
+  RK45:  IVPStepperRK45,
+  Radau: IVPStepperRadau
+};
+
+
+export function* solve_ivp_gen( dy, y0, t0, t1, { method='RK45', rtol=1e-3, atol=1e-6, h0, maxStep=Infinity, jac, events=[] }={} )
+{
+  if( !(dy instanceof Function) ) throw new Error('solve_ivp_gen(dy,y0,t0,t1,opt): dy must be a function.');
+
+  y0 = asarray(y0);
+  if( y0.ndim !== 1 ) throw new Error('solve_ivp_gen(dy,y0,t0,t1,opt): y0 must be 1D.');
+  if( y0.dtype.startsWith('complex') )
+    throw new Error('solve_ivp_gen(dy,y0,t0,t1,opt): y0.dtype must be real.');
+
+  t0 *= 1;
+  t1 *= 1;
+  if( ! isFinite(t0) ) throw new Error('solve_ivp_gen(dy,y0,t0,t1,opt): t0 must be a finite number.');
+  if( ! isFinite(t1) ) throw new Error('solve_ivp_gen(dy,y0,t0,t1,opt): t1 must be a finite number.');
+
+  if( ! METHODS.hasOwnProperty(method) )
+    throw new Error(`solve_ivp_gen(dy,y0,t0,t1,opt): Unknown method "${method}".`);
+
+  if( !(rtol >= 0) ) throw new Error('solve_ivp_gen(dy,y0,t0,t1,opt): opt.rtol must be a non-negative number.');
+  if( !(maxStep > 0) ) throw new Error('solve_ivp_gen(dy,y0,t0,t1,opt): opt.maxStep must be positive.');
+  if( null != h0 && !(h0 > 0 && isFinite(h0)) )
+    throw new Error('solve_ivp_gen(dy,y0,t0,t1,opt): opt.h0 must be a positive number.');
+  if( null != jac && !(jac instanceof Function) )
+    throw new Error('solve_ivp_gen(dy,y0,t0,t1,opt): opt.jac must be a function.');
+
+  const [N] = y0.shape;
+
+  // rtol can be no smaller than the roundoff of the steps
+  rtol = Math.max(rtol, 100*Number.EPSILON);
+
+  if( 'number' === typeof atol )
+    atol = new Float64Array(N).fill(atol);
+  else {
+    atol = asarray(atol);
+    if( atol.ndim !== 1 || atol.shape[0] !== N )
+      throw new Error('solve_ivp_gen(dy,y0,t0,t1,opt): opt.atol must be a number or of shape [N].');
+    atol = Float64Array.from(atol.data);
+  }
+  if( ! atol.every(a => a >= 0) )
+    throw new Error('solve_ivp_gen(dy,y0,t0,t1,opt): opt.atol must be non-negative.');
+
+  const wrap = y => new NDArray(Int32Array.of(N), y.slice());
+
+  const fun = (y,t) => {
+    const f = asarray( dy(wrap(y), t) );
+    if( f.ndim !== 1 || f.shape[0] !== N )
+      throw new Error('solve_ivp_gen(dy,y0,t0,t1,opt): dy(y,t) must return an array of shape [N].');
+    if( f.dtype.startsWith('complex') )
+      throw new Error('solve_ivp_gen(dy,y0,t0,t1,opt): dy(y,t) must return real values.');
+    return Float64Array.from(f.data);
+  };
+
+  if( null != jac ) {
+    const J = jac;
+    jac = (y,t) => {
+      const j = asarray( J(wrap(y), t) );
+      if( j.ndim !== 2 || j.shape[0] !== N || j.shape[1] !== N )
+        throw new Error('solve_ivp_gen(dy,y0,t0,t1,opt): opt.jac(y,t) must return an array of shape [N,N].');
+      return Float64Array.from(j.data);
+    };
+  }
+
+  events = Array.from(events, e => {
+    if( e instanceof Function )
+      e = {g: e};
+    const {g, terminal=false, direction=0} = e;
+    if( !(g instanceof Function) )
+      throw new Error('solve_ivp_gen(dy,y0,t0,t1,opt): opt.events must contain functions or objects of the form {g, terminal, direction}.');
+    return {
+      terminal: Boolean(terminal),
+      direction: Math.sign(direction),
+      g: (y,t) => g(wrap(y), t) * 1
+    };
+  });
+
+  y0 = Float64Array.from(y0.data);
+
+  yield [t0, wrap(y0), null, []];
+
+  if( t0 === t1 )
+    return;
+
+  const stepper = new METHODS[method](fun, t0, y0, t1, {rtol, atol, maxStep, h0, jac});
+
+  let g_old = events.map( ({g}) => g(y0,t0) );
+
+  while( stepper.t !== t1 )
+  {
+    stepper.step();
+
+    const {t_old, t, y} = stepper,
+                    sol = stepper.dense();
+
+    // EVENT DETECTION
+    const g_new = events.map( ({g}) => g(y,t) ),
+            hit = [];
+
+    events.forEach( ({g, direction, terminal}, i) => {
+      const a = g_old[i],
+            b = g_new[i],
+           up = a < 0 && b >= 0,
+         down = a > 0 && b <= 0;
+      if( up && direction >= 0 || down && direction <= 0 )
+      {
+        const t_e = root1d_brent(
+          τ => τ === t_old ? a :
+               τ === t     ? b : g(sol(τ), τ),
+          t_old, t
+        );
+        hit.push([i, t_e, terminal]);
+      }
+    });
+    g_old = g_new;
+
+    hit.sort( ([,s],[,t]) => stepper.dir*(s-t) );
+
+    const terminal = hit.findIndex( ([,,terminal]) => terminal ),
+         t_end = terminal < 0 ? t : hit[terminal][1],
+         y_end = terminal < 0 ? y : sol(t_end),
+         dense = t => wrap( sol(t) );
+
+    yield [
+      t_end,
+      wrap(y_end),
+      dense,
+      hit.slice(0, terminal < 0 ? hit.length : terminal+1)
+         .map( ([i,t_e]) => [i, t_e, wrap( t_e === t ? y : sol(t_e) )] )
+    ];
+
+    if( terminal >= 0 )
+      return;
+  }
+}
+
+
+export function solve_ivp( dy, y0, t0, t1, { tEval, ...opt }={} )
+{
+  const T = [],
+        Y = [],
+        events = [];
+
+  if( null == tEval )
+    for( const [t,y,,evt] of solve_ivp_gen(dy, y0, t0, t1, opt) ) {
+      T.push(t);
+      Y.push(y);
+      events.push(...evt);
+    }
+  else
+  {
+    tEval = Float64Array.from( asarray(tEval).data );
+    const dir = t1 < t0 ? -1 : +1;
+    for( let i=0; i < tEval.length; i++ )
+      if( !(dir*(tEval[i] - t0) >= 0 && dir*(t1 - tEval[i]) >= 0) || i > 0 && !(dir*(tEval[i] - tEval[i-1]) >= 0) )
+        throw new Error('solve_ivp(dy,y0,t0,t1,opt): opt.tEval must be sorted in the direction of integration and lie within [t0,t1].');
+
+    let i=0;
+    for( const [t,y,sol,evt] of solve_ivp_gen(dy, y0, t0, t1, opt) )
+    {
+      for( ; i < tEval.length && dir*(t - tEval[i]) >= 0; i++ ) {
+        T.push(tEval[i]);
+        Y.push( tEval[i] === t || null == sol ? y : sol(tEval[i]) );
+      }
+      events.push(...evt);
+    }
+  }
+
+  if( 0 === T.length )
+    return [null, null, events];
+
+  const [N] = Y[0].shape;
+  const t = new NDArray( Int32Array.of(T.length),   Float64Array.from(T) ),
+        y = new NDArray( Int32Array.of(T.length,N), new Float64Array(T.length*N) );
+  Y.forEach( (y_i,i) => y.data.set(y_i.data, N*i) );
+
+  return [t, y, events];
+}
@@ -0,0 +1,186 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {array} from '../nd_array'
+import {CUSTOM_MATCHERS, forEachItemIn} from '../jasmine_utils'
+import {expm} from '../la/expm'
+import {tabulate} from '../tabulate'
+
+import {solve_ivp, solve_ivp_gen} from './solve_ivp'
+
+
+describe('solve_ivp', () => {
+  beforeEach( () => {
+    jasmine.addMatchers(CUSTOM_MATCHERS)
+  })
+
+
+  function* linear_systems(rng)
+  {
+    for( let run=0; run++ < 16; )
+    {
+      const N = rng.int(1,5),
+            A = tabulate([N,N], 'float64', () => rng.normal() / Math.sqrt(N)),
+           y0 = tabulate([N],   'float64', () => rng.normal()),
+           t0 = rng.uniform(-2,2),
+           t1 = t0 + rng.uniform(-2,2);
+      yield [A,y0,t0,t1];
+    }
+  }
+
+
+  /** Returns expm(A·(t1-t0)) @ y0.
+   */
+  function linear_solution(A, y0, t0, t1)
+  {
+    const [N] = y0.shape,
+          E = expm( A.mapElems('float64', a => a*(t1-t0)) );
+    return tabulate([N], 'float64', i => {
+      let sum = 0;
+      for( let j=0; j < N; j++ )
+        sum += E(i,j) * y0(j);
+      return sum;
+    });
+  }
+
+
+  for( const method of ['RK45', 'Radau'] )
+  {
+    forEachItemIn(
+      linear_systems
+    ).it(`${method} integrates random linear systems`, ([A,y0,t0,t1]) => {
+      const [N] = y0.shape,
+           dy = y => tabulate([N], 'float64', i => {
+             let sum = 0;
+             for( let j=0; j < N; j++ )
+               sum += A(i,j) * y(j);
+             return sum;
+           });
+
+      let t_prev = t0;
+      for( const [t,y,sol] of solve_ivp_gen(dy, y0, t0, t1, {method, rtol:1e-8, atol:1e-10}) )
+      {
+        expect( y ).toBeAllCloseTo( linear_solution(A,y0,t0,t), {rtol:0, atol:1e-6} );
+        if( null == sol )
+          expect(t).toBe(t0);
+        else {
+          expect( Math.sign(t-t_prev) ).toBe( Math.sign(t1-t0) );
+          const t_mid = (t+t_prev) / 2;
+          expect( sol(t_mid) ).toBeAllCloseTo( linear_solution(A,y0,t0,t_mid), {rtol:0, atol:1e-6} );
+        }
+        t_prev = t;
+      }
+      expect(t_prev).toBe(t1);
+    });
+
+
+    it(`${method} integrates the harmonic oscillator`, () => {
+      const [t,y] = solve_ivp(y => array([y(1), -y(0)]), [0,1], 0, 10, {method, rtol:1e-10, atol:1e-12});
+
+      expect(t.ndim).toBe(1);
+      expect(y.shape).toEqual( Int32Array.of(t.shape[0], 2) );
+      expect(y).toBeAllCloseTo(
+        tabulate(y.shape, 'float64', (i,j) => 0===j ? Math.sin(t(i)) : Math.cos(t(i))),
+        {rtol:0, atol:1e-7}
+      );
+    });
+
+
+    it(`${method} evaluates the dense output at opt.tEval`, () => {
+      const tEval = Float64Array.from({length: 11}, (_,i) => 3 - i/2),
+                [t,y] = solve_ivp(y => y.mapElems(y => -y), [2], 3, -2, {method, rtol:1e-8, atol:1e-10, tEval});
+
+      expect(t).toBeAllCloseTo(tEval, {rtol:0, atol:0});
+      expect(y).toBeAllCloseTo( tabulate(y.shape, (i,j) => 2*Math.exp(3-tEval[i])), {rtol:1e-6} );
+    });
+
+
+    it(`${method} detects events`, () => {
+      const dy = y => array([y(1), -y(0)]),
+        events = [
+          y => y(0),
+          {g: y => y(0), direction: +1},
+          {g: (y,t) => t-7, terminal: true}
+        ];
+
+      const [t,y,evt] = solve_ivp(dy, [0,1], 0, 10, {method, rtol:1e-10, atol:1e-12, events});
+
+      expect( evt.map(([i]) => i) ).toEqual([0,0,1,2]);
+      expect( evt.map(([,t]) => t) ).toBeAllCloseTo([Math.PI, 2*Math.PI, 2*Math.PI, 7], {rtol:0, atol:1e-8});
+      for( const [,t,y] of evt )
+        expect(y).toBeAllCloseTo([Math.sin(t), Math.cos(t)], {rtol:0, atol:1e-7});
+
+      expect( t(t.shape[0]-1) ).toBe(7);
+      expect( y.sliceElems(-1) ).toBeAllCloseTo([Math.sin(7), Math.cos(7)], {rtol:0, atol:1e-7});
+    });
+  }
+
+
+  it('Radau solves the stiff Robertson problem', () => {
+    let nJac = 0;
+    const dy = y => array([
+      -0.04*y(0) + 1e4*y(1)*y(2),
+       0.04*y(0) - 1e4*y(1)*y(2) - 3e7*y(1)*y(1),
+                                   3e7*y(1)*y(1)
+    ]),
+    jac = y => {
+      ++nJac;
+      return array([
+        [-0.04,  1e4*y(2)             ,  1e4*y(1)],
+        [ 0.04, -1e4*y(2) - 6e7*y(1),   -1e4*y(1)],
+        [ 0,                  6e7*y(1),  0       ]
+      ]);
+    };
+
+    for( const opt of [{}, {jac}] )
+    {
+      const [t,y] = solve_ivp(dy, [1,0,0], 0, 40, {method: 'Radau', rtol:1e-6, atol:1e-10, ...opt});
+
+      expect( t.shape[0] ).toBeLessThan(256);
+      expect( y.sliceElems(-1) ).toBeAllCloseTo([0.7158270687, 9.185534764e-6, 0.2841637457], {rtol:1e-5, atol:1e-12});
+      for( let i=t.shape[0]; i-- > 0; )
+        expect( y(i,0) + y(i,1) + y(i,2) ).toBeCloseTo(1, 8);
+    }
+    expect(nJac).toBeGreaterThan(0);
+  });
+
+
+  it('yields the initial state first', () => {
+    const gen = solve_ivp_gen(y => y, [1,2], 1, 2),
+      [t,y,sol,evt] = gen.next().value;
+    expect(t).toBe(1);
+    expect(y).toBeAllCloseTo([1,2], {rtol:0, atol:0});
+    expect(sol).toBe(null);
+    expect(evt).toEqual([]);
+
+    expect( [...solve_ivp_gen(y => y, [1,2], 1, 1)].length ).toBe(1);
+  });
+
+
+  it('throws on invalid arguments', () => {
+    const dy = y => y;
+    expect( () => solve_ivp_gen(null, [1], 0, 1).next()                  ).toThrowError(/dy must be a function/);
+    expect( () => solve_ivp_gen(dy, [[1]], 0, 1).next()                  ).toThrowError(/y0 must be 1D/);
+    expect( () => solve_ivp_gen(dy, [1], NaN, 1).next()                  ).toThrowError(/t0 must be a finite number/);
+    expect( () => solve_ivp_gen(dy, [1], 0, 1, {method: 'Euler'}).next() ).toThrowError(/Unknown method/);
+    expect( () => solve_ivp_gen(dy, [1], 0, 1, {atol: [1,2]}).next()    ).toThrowError(/opt.atol/);
+    expect( () => solve_ivp_gen(dy, [1], 0, 1, {events: [42]}).next()    ).toThrowError(/opt.events/);
+    expect( () => [...solve_ivp_gen(y => array([1,2]), [1], 0, 1)]      ).toThrowError(/dy\(y,t\) must return an array of shape \[N\]/);
+    expect( () => solve_ivp(dy, [1], 0, 1, {tEval: [2]})                 ).toThrowError(/opt.tEval/);
+  });
+})
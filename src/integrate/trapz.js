@@ -0,0 +1,80 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {KahanSum} from '../kahan_sum'
+import {asarray, NDArray} from '../nd_array'
+
+
+/** Integrates the samples y along the given axis. For each 1D slice, `kernel(y,h,n,sum)`
+ *  is called, where `y(k)` is the k-th sample, `h(k)` is the spacing between the samples
+ *  k and k+1 and the result is to be accumulated in the KahanSum `sum`. Results of 1D
+ *  inputs are returned as scalar.
+ */
+export function _integrate_sampled( name, y, {x, dx=1, axis=-1}, kernel )
+{
+  y = asarray(y);
+  if( y.dtype.startsWith('complex') || 'object' === y.dtype )
+    throw new Error(`${name}(y,opt): y.dtype must be real.`);
+
+  const {ndim, shape} = y;
+  if( axis % 1 !== 0 ) throw new Error(`${name}(y,opt): Invalid axis ${axis}.`);
+  if( axis < 0 ) axis += ndim;
+  if( axis < 0 || axis >= ndim ) throw new Error(`${name}(y,opt): Axis out of bounds.`);
+
+  const n = shape[axis];
+
+  let h;
+  if( null != x ) {
+    x = asarray('float64', x);
+    if( x.ndim !== 1 || x.shape[0] !== n )
+      throw new Error(`${name}(y,opt): opt.x must be 1D and match the length of y along the axis.`);
+    const X = x.data;
+    h = k => X[k+1] - X[k];
+  }
+  else {
+    dx *= 1;
+    if( ! isFinite(dx) ) throw new Error(`${name}(y,opt): opt.dx must be a finite number.`);
+    h = () => dx;
+  }
+
+  const Y = asarray('float64', y).data,
+    outer = shape.slice(0,axis  ).reduce( (m,n) => m*n, 1 ),
+    inner = shape.slice(  axis+1).reduce( (m,n) => m*n, 1 ),
+   result = new Float64Array(outer*inner),
+      sum = new KahanSum();
+
+  for( let o=0; o < outer; o++ )
+  for( let i=0; i < inner; i++ ) {
+    sum.set(0);
+    kernel( k => Y[(n*o + k)*inner + i], h, n, sum );
+    result[inner*o + i] = sum.sum;
+  }
+
+  if( 1 === ndim )
+    return result[0];
+  return new NDArray( Int32Array.from([...shape.slice(0,axis), ...shape.slice(axis+1)]), result );
+}
+
+
+export function trapz( y, opt={} )
+{
+  return _integrate_sampled('trapz', y, opt, (y,h,n,sum) => {
+    for( let k=0; k < n-1; k++ )
+      sum.add( h(k) * (y(k) + y(k+1)) / 2 );
+  });
+}
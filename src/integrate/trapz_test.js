@@ -0,0 +1,83 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {array} from '../nd_array'
+import {CUSTOM_MATCHERS, forEachItemIn} from '../jasmine_utils'
+import {tabulate} from '../tabulate'
+
+import {trapz} from './trapz'
+
+
+describe('trapz', () => {
+  beforeEach( () => {
+    jasmine.addMatchers(CUSTOM_MATCHERS)
+  })
+
+
+  it('integrates linear functions exactly', () => {
+    expect( trapz([1,2,3])                 ).toBe(4);
+    expect( trapz([1,2,3], {dx: 0.5})      ).toBe(2);
+    expect( trapz([1,3,4], {x: [0,2,3]})   ).toBe(7.5);
+    expect( trapz([7])                     ).toBe(0);
+    expect( trapz(array('int32', [1,2,3])) ).toBe(4);
+  });
+
+
+  forEachItemIn(
+    function*(rng) {
+      for( let run=0; run++ < 128; )
+      {
+        const ndim = rng.int(1,4),
+             shape = Array.from({length: ndim}, () => rng.int(1,6)),
+              axis = rng.int(-ndim,ndim),
+                 n = shape[(axis+ndim) % ndim],
+                 x = new Float64Array(n);
+        for( let i=1; i < n; i++ )
+          x[i] = x[i-1] + rng.uniform(0.1,2);
+        yield [tabulate(shape, 'float64', () => rng.normal()), x, axis];
+      }
+    }
+  ).it('matches the naive trapezoidal rule along any axis', ([y,x,axis]) => {
+    const ndim = y.ndim,
+          ax = (axis+ndim) % ndim,
+       shape = y.shape.filter( (_,d) => d !== ax ),
+      result = trapz(y, {x, axis});
+
+    const expected = idx => {
+      let sum = 0;
+      for( let k=0; k < x.length-1; k++ ) {
+        const lo = [...idx.slice(0,ax), k,   ...idx.slice(ax)],
+              hi = [...idx.slice(0,ax), k+1, ...idx.slice(ax)];
+        sum += (x[k+1]-x[k]) * (y(...lo) + y(...hi)) / 2;
+      }
+      return sum;
+    };
+
+    if( 1 === ndim )
+      expect(result).toBeAllCloseTo( expected([]) );
+    else
+      expect(result).toBeAllCloseTo( tabulate(shape, 'float64', (...idx) => expected(idx)) );
+  });
+
+
+  it('throws on invalid arguments', () => {
+    expect( () => trapz([[1,2]], {axis: 2})     ).toThrowError(/Axis out of bounds/);
+    expect( () => trapz([1,2],   {x: [1,2,3]})  ).toThrowError(/opt.x/);
+    expect( () => trapz([1,2],   {dx: NaN})     ).toThrowError(/opt.dx/);
+  });
+})
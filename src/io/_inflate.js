@@ -0,0 +1,248 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+// Minimal decoder for raw DEFLATE streams as specified in RFC 1951.
+//
+// REFERENCES
+// ----------
+// .. [1] https://www.rfc-editor.org/rfc/rfc1951
+// .. [2] M. Adler, "puff.c - a simple inflate written to specify the deflate format unambiguously"
+//        https://github.com/madler/zlib/blob/master/contrib/puff/puff.c
+
+
+const MAX_BITS = 15;
+
+const LEN_BASE = Uint16Array.of(3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258),
+      LEN_EXTRA= Uint8Array .of(0, 0, 0, 0, 0, 0, 0,  0,  1,  1,  1,  1,  2,  2,  2,  2,  3,  3,  3,  3,  4,  4,  4,   4,   5,   5,   5,   5,   0),
+     DIST_BASE = Uint16Array.of(1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577),
+     DIST_EXTRA= Uint8Array .of(0, 0, 0, 0, 1, 1, 2,  2,  3,  3,  4,  4,  5,  5,   6,   6,   7,   7,   8,   8,    9,    9,   10,   10,   11,   11,   12,    12,    13,    13);
+
+// order in which the code length code lengths are stored in dynamic blocks
+const CLEN_ORDER = Uint8Array.of(16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15);
+
+
+/** Canonical Huffman code given by the number of codes per bit length and the symbols ordered by code.
+ */
+class Huffman
+{
+  constructor( lengths )
+  {
+    const count = new Uint16Array(MAX_BITS+1),
+           offs = new Uint16Array(MAX_BITS+1),
+         symbol = new Uint16Array(lengths.length);
+
+    for( const len of lengths )
+      count[len]++;
+
+    let left = 1;
+    for( let len=1; len <= MAX_BITS; len++ ) {
+      left = 2*left - count[len];
+      if( left < 0 ) throw new Error('inflate: over-subscribed Huffman code.');
+    }
+
+    for( let len=1; len < MAX_BITS; len++ )
+      offs[len+1] = offs[len] + count[len];
+
+    for( let sym=0; sym < lengths.length; sym++ )
+      if( 0 !== lengths[sym] )
+        symbol[ offs[lengths[sym]]++ ] = sym;
+
+    // number of unused codes of length MAX_BITS, i.e. 0 for a complete code
+    this.left  = left;
+    this.count = count;
+    this.symbol= symbol;
+    Object.freeze(this);
+  }
+}
+
+
+let FIXED_LIT  = null,
+    FIXED_DIST = null;
+
+
+function _fixed()
+{
+  if( null == FIXED_LIT )
+  {
+    const lengths = new Uint8Array(288);
+    lengths.fill(8,   0,144);
+    lengths.fill(9, 144,256);
+    lengths.fill(7, 256,280);
+    lengths.fill(8, 280,288);
+    FIXED_LIT  = new Huffman(lengths);
+    FIXED_DIST = new Huffman( new Uint8Array(30).fill(5) );
+  }
+  return [FIXED_LIT, FIXED_DIST];
+}
+
+
+/** Decompresses a raw DEFLATE stream.
+ *
+ *  @param input Uint8Array containing the compressed data.
+ *  @param size  (optional) expected size of the decompressed data, used to preallocate the output.
+ *  @returns Uint8Array containing the decompressed data.
+ */
+export function _inflate( input, size=0 )
+{
+  let out = new Uint8Array( Math.max(size, 4*input.length, 1024) ),
+   outLen = 0,
+      pos = 0,
+   bitBuf = 0,
+   bitCnt = 0;
+
+  const reserve = n => {
+    if( outLen+n > out.length ) {
+      const o = new Uint8Array( Math.max(outLen+n, 2*out.length) );
+      o.set(out.subarray(0,outLen));
+      out = o;
+    }
+  };
+
+  const bits = n => {
+    while( bitCnt < n ) {
+      if( pos >= input.length ) throw new Error('inflate: compressed data ended unexpectedly.');
+      bitBuf |= input[pos++] << bitCnt;
+      bitCnt += 8;
+    }
+    const val = bitBuf & (1 << n) - 1;
+    bitBuf >>>= n;
+    bitCnt  -= n;
+    return val;
+  };
+
+  const decode = ({count, symbol}) => {
+    // codes are stored most significant bit first
+    let code  = 0,
+        first = 0,
+        index = 0;
+    for( let len=1; len <= MAX_BITS; len++ ) {
+      code |= bits(1);
+      const n = count[len];
+      if( code - first < n )
+        return symbol[index + code - first];
+      index += n;
+      first += n;
+      first <<= 1;
+      code  <<= 1;
+    }
+    throw new Error('inflate: invalid Huffman code.');
+  };
+
+  const stored = () => {
+    bitBuf = 0;
+    bitCnt = 0;
+    if( pos+4 > input.length ) throw new Error('inflate: compressed data ended unexpectedly.');
+    const len = input[pos  ] | input[pos+1] << 8,
+         nlen = input[pos+2] | input[pos+3] << 8;
+    pos += 4;
+    if( len !== (~nlen & 0xFFFF) ) throw new Error('inflate: stored block length does not match its complement.');
+    if( pos+len > input.length ) throw new Error('inflate: compressed data ended unexpectedly.');
+    reserve(len);
+    out.set(input.subarray(pos, pos+len), outLen);
+    outLen += len;
+    pos    += len;
+  };
+
+  const codes = (lit, dist) => {
+    for(;;)
+    {
+      let sym = decode(lit);
+      if( sym < 256 ) {
+        reserve(1);
+        out[outLen++] = sym;
+      }
+      else if( sym === 256 )
+        return;
+      else
+      {
+        sym -= 257;
+        if( sym >= 29 ) throw new Error('inflate: invalid length symbol.');
+        const len = LEN_BASE[sym] + bits(LEN_EXTRA[sym]);
+
+        const dsym = decode(dist);
+        if( dsym >= 30 ) throw new Error('inflate: invalid distance symbol.');
+        const d = DIST_BASE[dsym] + bits(DIST_EXTRA[dsym]);
+        if( d > outLen ) throw new Error('inflate: distance too far back.');
+
+        reserve(len);
+        for( let i=0; i < len; i++, outLen++ )
+          out[outLen] = out[outLen-d];
+      }
+    }
+  };
+
+  const dynamic = () => {
+    const nlen = bits(5) + 257,
+          ndist= bits(5) + 1,
+          ncode= bits(4) + 4;
+    if( nlen > 286 || ndist > 30 ) throw new Error('inflate: bad dynamic block code counts.');
+
+    const clens = new Uint8Array(19);
+    for( let i=0; i < ncode; i++ )
+      clens[CLEN_ORDER[i]] = bits(3);
+    const clen = new Huffman(clens);
+    if( clen.left > 0 ) throw new Error('inflate: incomplete code length code.');
+
+    const lengths = new Uint8Array(nlen+ndist);
+    for( let i=0; i < lengths.length; )
+    {
+      const sym = decode(clen);
+      if( sym < 16 ) {
+        lengths[i++] = sym;
+        continue;
+      }
+      let len = 0,
+          rep;
+      switch(sym) {
+        case 16:
+          if( 0 === i ) throw new Error('inflate: repeat of nonexistent code length.');
+          len = lengths[i-1];
+          rep = 3 + bits(2);
+          break;
+        case 17: rep =  3 + bits(3); break;
+        default: rep = 11 + bits(7); break;
+      }
+      if( i+rep > lengths.length ) throw new Error('inflate: too many code lengths.');
+      lengths.fill(len, i, i += rep);
+    }
+    if( 0 === lengths[256] ) throw new Error('inflate: missing end-of-block code.');
+
+    // an incomplete code is only allowed if it consists of a single code of length 1
+    const lit = new Huffman( lengths.subarray(0,nlen) ),
+         dist = new Huffman( lengths.subarray(nlen)   );
+    for( const {left,count} of [lit,dist] )
+      if( left > 0 && count[1] + count[0] !== count.reduce((m,n) => m+n) )
+        throw new Error('inflate: incomplete Huffman code.');
+
+    codes(lit,dist);
+  };
+
+  let last;
+  do {
+    last = bits(1);
+    switch( bits(2) ) {
+      case 0: stored(); break;
+      case 1: codes(..._fixed()); break;
+      case 2: dynamic(); break;
+      default: throw new Error('inflate: invalid block type.');
+    }
+  }
+  while( ! last );
+
+  return out.slice(0,outLen);
+}
@@ -24,78 +24,298 @@ import {IS_LITTLE_ENDIAN} from '.'
 
 const MAGIC_STRING = '\u0093NUMPY';
 
+const IS_BIG_ENDIAN = ! IS_LITTLE_ENDIAN;
+
+
+// dtype -> NumPy type string (without byte order)
+const DESCRS = {
+        'bool': 'b1',
+        'int8': 'i1',
+       'int16': 'i2',
+       'int32': 'i4',
+       'int64': 'i8',
+       'uint8': 'u1',
+      'uint16': 'u2',
+      'uint32': 'u4',
+      'uint64': 'u8',
+     'float32': 'f4',
+     'float64': 'f8',
+   'complex64': 'c8',
+  'complex128': 'c16'
+};
+
+
+export function npy_serialize( A, options )
+{
+  return Uint8Array.from( npy_serialize_gen(A, options) )
+}
+
 
-export function npy_serialize( A )
+/** Returns the number of bytes per item of the given descr.
+ */
+function _itemsize( descr )
 {
-  return Uint8Array.from( npy_serialize_gen(A) )
+  if( Array.isArray(descr) )
+    return descr.reduce(
+      (sum, [name, descr, shape=[]]) => sum + _itemsize(descr) * shape.reduce((m,n) => m*n, 1),
+      0
+    );
+
+  const [,kind,n] = _parse_descr(descr);
+  return 'U' === kind ? 4*n : n;
 }
 
 
-export function* npy_serialize_gen( A )
+function _parse_descr( descr )
 {
-  A = asarray(A)
+  const match = /^([<>|=]?)([a-zA-Z?])(\d+)$/.exec(descr);
+  if( null == match )
+    throw new Error(`npy_deserialize(npy_bytes): dtype '${descr}' not supported.`);
+  const [,order,kind,n] = match;
+  return [order || '|', kind, Number(n)];
+}
 
-  let dt = function(){
-    switch(A.dtype) {
-      default: throw new Error(`nd_to_npy: A.dtype=${A.dtype} not yet supported.`);
-      case      'int32': return  'i4'
-      case    'float32': return  'f4'
-      case    'float64': return  'f8'
-      case 'complex128': return 'c16'
+
+function _f16_to_f32( h )
+{
+  const sign = h & 0x8000 ? -1 : +1,
+         exp = h >>> 10 & 0x1F,
+        frac = h & 0x3FF;
+  if(  0 === exp ) return sign * frac * 2**-24;
+  if( 31 === exp ) return 0 === frac ? sign*Infinity : NaN;
+  return sign * (1 + frac/1024) * 2**(exp-15);
+}
+
+
+/** Converts the raw bytes of an array with the given descr and shape to
+ *  an NDArray or, for structured descrs, to an object of NDArrays.
+ */
+function _decode( descr, bytes, shape )
+{
+  // STRUCTURED DTYPE
+  if( Array.isArray(descr) )
+  {
+    const size = _itemsize(descr),
+         count = shape.reduce((m,n) => m*n, 1),
+        result = {};
+
+    let off = 0;
+    for( let [name, fieldDescr, fieldShape=[]] of descr )
+    {
+      if( Array.isArray(name) ) name = name[1]; // <- (title, name) pair
+      const fieldSize = _itemsize(fieldDescr) * fieldShape.reduce((m,n) => m*n, 1);
+
+      if( '' !== name ) {
+        const field = new Uint8Array(count*fieldSize);
+        for( let i=0; i < count; i++ )
+          field.set( bytes.subarray(size*i + off, size*i + off+fieldSize), fieldSize*i );
+        result[name] = _decode(fieldDescr, field, [...shape, ...fieldShape]);
+      }
+      off += fieldSize;
     }
-  }();
-  if( IS_LITTLE_ENDIAN ) dt = '<'+dt;
-  else                   dt = '>'+dt;
+    return result;
+  }
 
-  const header = `{"descr": "${dt}", "fortran_order": False, "shape": (${A.shape}${A.ndim > 0 ? ',': ''})}`;
+  const [order,kind,n] = _parse_descr(descr),
+           LE = '<' === order || ('|' === order || '=' === order) && IS_LITTLE_ENDIAN,
+        count = shape.reduce((m,n) => m*n, 1);
+  shape = Int32Array.from(shape);
 
-  // MAGIC STRING
-  for( let i=0; i < MAGIC_STRING.length; i++ )
-    yield MAGIC_STRING.codePointAt(i);
+  // STRINGS
+  if( 'U' === kind || 'S' === kind )
+  {
+    const strings = new Array(count),
+         charLen = 'U' === kind ? 4 : 1,
+            view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    for( let i=0; i < count; i++ )
+    {
+      const chars = [];
+      for( let j=0; j < n; j++ )
+        chars.push( 'U' === kind ? view.getUint32(4*(n*i+j), LE) : bytes[n*i+j] );
+      while( 0 === chars[chars.length-1] ) chars.pop(); // <- NumPy strips trailing NULs as well
+      strings[i] = String.fromCodePoint(...chars);
+    }
+    return new NDArray(shape, strings);
+  }
 
-  // VERSION
-  yield 1
-  yield 0
+  const dtype = {
+    b1:  'bool',
+    i1:  'int8',   i2: 'int16',   i4: 'int32',   i8: 'int64',
+    u1: 'uint8',   u2:'uint16',   u4:'uint32',   u8:'uint64',
+    f2: 'float32', f4:'float32',  f8:'float64',
+    c8: 'complex64', c16: 'complex128'
+  }[kind+n];
+  if( null == dtype )
+    throw new Error(`npy_deserialize(npy_bytes): dtype '${descr}' not supported.`);
 
-  const headerLen = header.length+11+63 >>> 6 << 6;
-  if( headerLen > 0xFFFF )
-    throw new Error('nd_to_npy: Header too large.');
+  if( LE !== IS_LITTLE_ENDIAN )
+  {
+    const wordLen = n >>> ('c' === kind);
+    for( let off = 0; off < bytes.length; off += wordLen )
+    for( let i=off, j=off+wordLen; i < --j; i++ ) {
+      const bytes_i = bytes[i];
+                      bytes[i] = bytes[j];
+                                 bytes[j] = bytes_i;
+    }
+  }
 
-  yield headerLen-10>>>0 & 255
-  yield headerLen-10>>>8 & 255
+  const DTypeArray = ARRAY_TYPES[dtype];
+  if( 'bool' === dtype ) return new NDArray( shape, DTypeArray.from(bytes) );
+  if( 'f2' === kind+n )  return new NDArray( shape, Float32Array.from(new Uint16Array(bytes.buffer), _f16_to_f32) );
+  return new NDArray( shape, new DTypeArray(bytes.buffer) ); // <- bytes is never a view
+}
+
+
+/** Transposes the results of _decode() of an array in Fortran order, i.e. stored with
+ *  reversed shape. Only the leading ndim axes are transposed as sub-array fields of
+ *  structured dtypes are always stored in C order.
+ */
+function _fortran( result, ndim )
+{
+  if( !(result instanceof NDArray) ) {
+    for( const name of Object.keys(result) )
+      result[name] = _fortran(result[name], ndim);
+    return result;
+  }
+  if( ndim < 2 )
+    return result;
+
+  return result.transpose(
+    ...function*(){
+      for( let i=ndim; i-- > 0; ) yield i;
+      for( let i=ndim; i < result.ndim; i++ ) yield i;
+    }()
+  );
+}
+
+
+/** Returns the NPY header of an array as bytes. The header is padded to at least
+ *  minLen bytes, which allows to later patch the header without moving the data.
+ */
+function _npy_header( descr, fortranOrder, shape, minLen=0 )
+{
+  const header = `{"descr": "${descr}", "fortran_order": ${fortranOrder ? 'True' : 'False'}, "shape": (${shape}${shape.length > 0 ? ',': ''})}`;
+
+  // VERSION (2.0 is only required for headers longer than 64KiB)
+  let version = 1,
+       lenLen = 2,
+    headerLen = Math.max(minLen, header.length+11+63 >>> 6 << 6);
+  if( headerLen-10 > 0xFFFF ) {
+    version = 2;
+    lenLen = 4;
+    headerLen = Math.max(minLen, header.length+13+63 >>> 6 << 6);
+    if( headerLen-12 > 0xFFFFFFFF )
+      throw new Error('nd_to_npy: Header too large.');
+  }
 
   if( headerLen%64 !== 0 )
     throw new Error('Assertion failed.');
 
+  const bytes = new Uint8Array(headerLen).fill( ' '.codePointAt(0) );
+
+  // MAGIC STRING
+  for( let i=0; i < MAGIC_STRING.length; i++ )
+    bytes[i] = MAGIC_STRING.codePointAt(i);
+
+  bytes[6] = version;
+  bytes[7] = 0;
+  for( let i=0; i < lenLen; i++ )
+    bytes[8+i] = headerLen-8-lenLen >>> 8*i & 255;
+
   for( let i=0; i < header.length; i++ )
-    yield header.codePointAt(i)
+    bytes[8+lenLen+i] = header.codePointAt(i);
+  bytes[headerLen-1] = '\n'.codePointAt(0);
+
+  return bytes;
+}
 
-  for( let i=header.length+11; i < headerLen; i++ )
-    yield ' '.codePointAt(0)
-  yield '\n'.codePointAt(0)
 
-  yield* new Uint8Array(
-    A.data.buffer,
-    A.data.byteOffset,
-    A.data.byteLength
+/** Returns the byte order prefixed NumPy type string of a (non-object) dtype.
+ */
+function _descr( dtype, LE )
+{
+  if( ! DESCRS.hasOwnProperty(dtype) )
+    throw new Error(`nd_to_npy: A.dtype=${dtype} not yet supported.`);
+  const dt = DESCRS[dtype];
+  if( dt.endsWith('1') ) return '|'+dt; // <- byte order is irrelevant for single bytes
+  return (LE ? '<' : '>') + dt;
+}
+
+
+/** Returns the bytes of the array data in the given byte order. Returns
+ *  a view of the data if no conversion is required.
+ */
+function _data_bytes( dtype, data, LE )
+{
+  if( 'bool' === dtype )
+    return Uint8Array.from(data); // <- NumPy stores one byte per boolean
+
+  if( 'complex' === dtype.slice(0,7) )
+    data = data._array;
+  const bytes = new Uint8Array(
+    data.buffer,
+    data.byteOffset,
+    data.byteLength
   );
+
+  const wordLen = data.BYTES_PER_ELEMENT;
+  if( LE === IS_LITTLE_ENDIAN || 1 === wordLen )
+    return bytes;
+
+  const swapped = new Uint8Array(bytes.length);
+  for( let off=0; off < bytes.length; off += wordLen )
+  for( let i=0; i < wordLen; i++ )
+    swapped[off+i] = bytes[off+wordLen-1-i];
+  return swapped;
 }
 
 
-export function npy_deserialize( npy_bytes )
+export function* npy_serialize_gen( A, { byteOrder='=', fortranOrder=false }={} )
 {
-  let nRead = 0;
-  const next = function(){
-    const iter = npy_bytes[Symbol.iterator]();
-    return () => {
-      const {value, done} = iter.next();
-      ++nRead;
-      if(done) throw new Error('npy_to_nd: byte sequence ended unexpectedly.');
-      return value;
-    };
-  }()
-  npy_bytes = undefined;
+  A = asarray(A)
+
+  if( ! ['<', '>', '='].includes(byteOrder) )
+    throw new Error(`npy_serialize_gen(A,opt): opt.byteOrder must be '<', '>' or '='.`);
+  const LE = '=' === byteOrder ? IS_LITTLE_ENDIAN : '<' === byteOrder;
+
+  if( fortranOrder && A.ndim > 1 )
+    A = A.transpose(
+      ...function*(){
+        for( let i=A.ndim; i-- > 0; ) yield i;
+      }()
+    );
+
+  let data = A.data,
+     descr,
+     dtype = A.dtype;
+  if( 'object' === dtype )
+  {
+    if( ! data.every(s => 'string' === typeof s) )
+      throw new Error(`npy_serialize_gen(A,opt): A.dtype='object' only supported for strings.`);
+    // NumPy's 'U' type stores strings as fixed length, NUL-padded UTF-32
+    data = data.map( s => Array.from(s, c => c.codePointAt(0)) );
+    const n = data.reduce((n,s) => Math.max(n,s.length), 1),
+      codes = new Uint32Array(data.length*n);
+    data.forEach( (s,i) => codes.set(s, n*i) );
+    data = codes;
+    dtype = 'uint32';
+    descr = (LE ? '<' : '>') + 'U' + n;
+  }
+  else
+    descr = _descr(dtype, LE);
+
+  // the shape is stored in C order, regardless of fortranOrder
+  const shape = fortranOrder ? Array.from(A.shape).reverse() : A.shape;
+
+  yield* _npy_header(descr, fortranOrder, shape);
+  yield* _data_bytes(dtype, data, LE);
+}
+
 
+/** Reads the NPY header using next(), which returns the next byte.
+ */
+function _read_header( next )
+{
   let magic_str = '';
   while( magic_str.length < 6 )
     magic_str += String.fromCodePoint( next() );
@@ -108,74 +328,221 @@ export function npy_deserialize( npy_bytes )
     default: throw new Error(`npy_bytes: npy-file version ${version} not supported.`);
     case '1.0':
     case '2.0':
+    case '3.0':
   }
 
-  const header = function(){
-    let headerLen  = next() * (1<< 0)
-                  +  next() * (1<< 8)
-    if( version === '2.0' ) {
-        headerLen += next() * (1<<16)
-                  +  next() * (1<<24)
-    }
-    if( headerLen < 0 ) throw new Error('Assertion failed.');
+  let headerLen  = next() * (1<< 0)
+                +  next() * (1<< 8)
+  if( version !== '1.0' ) {
+      headerLen += next() * (1<<16)
+                +  next() * (1<<24)
+  }
+  if( headerLen < 0 ) throw new Error('Assertion failed.');
+
+  // version 3.0 headers are UTF-8 encoded, all others are latin1
+  const bytes = Uint8Array.from({length: headerLen}, next);
+  return pyon_parse(
+    version === '3.0'
+      ? new TextDecoder().decode(bytes)
+      : Array.from(bytes, b => String.fromCharCode(b)).join('')
+  );
+}
 
-    return pyon_parse(
-      function*(){
-        while( headerLen-- > 0 ) yield String.fromCodePoint( next() )
-      }()
-    );
-  }();
 
-  const LE = function(){
-    switch(header.descr[0])
-    {
-      default : throw new Error(`npy_to_nd: dtype '${header.descr}' not yet supported.`);
-      case '<': return true;
-      case '>': return false;
-    }
-  }();
+export function npy_deserialize( npy_bytes )
+{
+  let nRead = 0;
+  const next = function(){
+    const iter = npy_bytes[Symbol.iterator]();
+    return () => {
+      const {value, done} = iter.next();
+      ++nRead;
+      if(done) throw new Error('npy_to_nd: byte sequence ended unexpectedly.');
+      return value;
+    };
+  }()
+  npy_bytes = undefined;
 
-  const dtype = function(){
-    switch(header.descr.slice(1))
-    {
-      default : throw new Error(`npy_to_nd: dtype '${header.descr}' not yet supported.`);
-      case  'i4': return      'int32';
-      case  'f4': return    'float32';
-      case  'f8': return    'float64';
-      case 'c16': return 'complex128';
-    }
-  }();
+  const header = _read_header(next);
 
-  const DTypeArray = ARRAY_TYPES[dtype];
+  const shape = Array.from(header.shape);
+  if( header.fortran_order )
+    shape.reverse()
 
   const data = Uint8Array.from(
-    { length: header.shape.reduce((m,n) => m*n, DTypeArray.BYTES_PER_ELEMENT) },
+    { length: shape.reduce((m,n) => m*n, _itemsize(header.descr)) },
     next
   );
 
-  if( LE !== IS_LITTLE_ENDIAN )
+  const result = _decode(header.descr, data, shape);
+  return header.fortran_order ? _fortran(result, shape.length) : result;
+}
+
+
+/** Reads an NPY file from an (async) iterable of byte chunks and yields blocks of rows,
+ *  i.e. slices along axis 0, without ever holding the entire file in memory.
+ */
+export async function* npy_deserialize_rows_async( chunks, { rowsPerBlock=null }={} )
+{
+  if( null != rowsPerBlock && !(rowsPerBlock >= 1 && rowsPerBlock%1 === 0) )
+    throw new Error('npy_deserialize_rows_async(chunks,opt): opt.rowsPerBlock must be a positive int.');
+
+  // QUEUE OF RECEIVED BYTES THAT ARE NOT YET CONSUMED
+  const queue = [];
+  let queueLen = 0,
+      queueOff = 0; // <- number of already consumed bytes of queue[0]
+
+  const take = n => {
+    const bytes = new Uint8Array(n);
+    for( let i=0; i < n; ) {
+      const chunk = queue[0],
+              m = Math.min(n-i, chunk.length-queueOff);
+      bytes.set(chunk.subarray(queueOff, queueOff+m), i);
+      i += m;
+      queueOff += m;
+      if( queueOff === chunk.length ) {
+        queue.shift();
+        queueOff = 0;
+      }
+    }
+    queueLen -= n;
+    return bytes;
+  };
+
+  const peek = i => {
+    i += queueOff;
+    for( const chunk of queue ) {
+      if( i < chunk.length ) return chunk[i];
+      i -= chunk.length;
+    }
+    throw new Error('Assertion failed.');
+  };
+
+  let header = null,
+     headerLen = Infinity,
+       rowShape,
+        rowSize,
+          nRows,
+          nRead = 0;
+
+  const block = nMax => {
+    const n = Math.min( nMax, nRows-nRead, Math.floor(queueLen / rowSize) );
+    nRead += n;
+    return _decode(header.descr, take(n*rowSize), [n, ...rowShape]);
+  };
+
+  for await ( let chunk of chunks )
   {
-    const wordLen = DTypeArray.BYTES_PER_ELEMENT >>> dtype.startsWith('complex');
-    for( let off = 0; off < data.length; off += wordLen )
-    for( let i=off, j=off+wordLen; i < --j; i++ ) {
-      const data_i = data[i];
-                     data[i] = data[j];
-                               data[j] = data_i;
+    if( !(chunk instanceof Uint8Array) )
+      chunk = chunk instanceof ArrayBuffer ? new Uint8Array(chunk) : Uint8Array.from(chunk);
+    if( 0 === chunk.length )
+      continue;
+    queue.push(chunk);
+    queueLen += chunk.length;
+
+    if( null == header )
+    {
+      // WAIT UNTIL THE HEADER IS COMPLETE
+      if( queueLen < 12 ) continue;
+      if( headerLen === Infinity ) {
+        headerLen = 1 === peek(6)
+          ? 10 + (peek( 8) | peek( 9) << 8)
+          : 12 + (peek( 8) | peek( 9) << 8 | peek(10) << 16 | peek(11) << 24);
+      }
+      if( queueLen < headerLen ) continue;
+
+      const hdr = take(headerLen);
+      let i = 0;
+      header = _read_header( () => {
+        if( i >= hdr.length ) throw new Error('npy_deserialize_rows_async(chunks,opt): invalid header length.');
+        return hdr[i++];
+      });
+      if( header.shape.length < 1 ) throw new Error('npy_deserialize_rows_async(chunks,opt): array must be at least 1D.');
+      if( header.fortran_order && header.shape.length > 1 )
+        throw new Error('npy_deserialize_rows_async(chunks,opt): Fortran order not supported since rows are not contiguous.');
+
+      [nRows, ...rowShape] = header.shape;
+      rowSize = rowShape.reduce((m,n) => m*n, _itemsize(header.descr));
+      if( 0 === rowSize ) throw new Error('npy_deserialize_rows_async(chunks,opt): empty rows not supported.');
+    }
+
+    // YIELD ALL COMPLETE BLOCKS
+    if( null == rowsPerBlock ) {
+      if( queueLen >= rowSize && nRead < nRows )
+        yield block(Infinity);
     }
+    else
+      while( queueLen >= rowsPerBlock*rowSize && nRead < nRows )
+        yield block(rowsPerBlock);
   }
 
-  const shape = Int32Array.from(header.shape);
-  if( header.fortran_order )
-    shape.reverse()
+  if( null == header )
+    throw new Error('npy_deserialize_rows_async(chunks,opt): byte sequence ended unexpectedly.');
 
-  let result = new NDArray( shape, new DTypeArray(data.buffer) );
+  // LAST (INCOMPLETE) BLOCK
+  if( queueLen >= rowSize && nRead < nRows )
+    yield block(Infinity);
 
-  if( header.fortran_order && result.ndim > 1 )
-    result = result.transpose(
-      ...function*(){
-        for( let i=result.ndim; i-- > 0; ) yield i;
-      }()
-    );
+  if( nRead < nRows )
+    throw new Error('npy_deserialize_rows_async(chunks,opt): byte sequence ended unexpectedly.');
+}
 
-  return result;
+
+/** Incrementally writes an NPY file row block by row block. Since the number of rows is
+ *  not known in advance, the header reserves enough space for any row count so that it
+ *  can be patched at the end without moving the data.
+ */
+export class NpyRowWriter
+{
+  constructor( dtype, rowShape=[], { byteOrder='=' }={} )
+  {
+    if( ! ['<', '>', '='].includes(byteOrder) )
+      throw new Error(`NpyRowWriter(dtype,rowShape,opt): opt.byteOrder must be '<', '>' or '='.`);
+    rowShape = Array.from(rowShape);
+    if( ! rowShape.every(n => n >= 1 && n%1 === 0) )
+      throw new Error('NpyRowWriter(dtype,rowShape,opt): rowShape must only contain positive ints.');
+
+    const LE = '=' === byteOrder ? IS_LITTLE_ENDIAN : '<' === byteOrder;
+    this.dtype    = dtype;
+    this.rowShape = rowShape;
+    this.nRows    = 0;
+    this.__LE     = LE;
+    this.__descr  = _descr(dtype, LE);
+    this.__hdrLen = _npy_header(this.__descr, false, [Number.MAX_SAFE_INTEGER, ...rowShape]).length;
+    this.__done   = false;
+    Object.seal(this);
+  }
+
+
+  /** Returns the header bytes that have to be written at the beginning of the file.
+   */
+  header() {
+    return _npy_header(this.__descr, false, [this.nRows, ...this.rowShape], this.__hdrLen);
+  }
+
+
+  /** Returns the bytes of the given rows that have to be appended to the file.
+   */
+  append( rows )
+  {
+    if( this.__done ) throw new Error('NpyRowWriter::append(rows): writer already finished.');
+    rows = asarray(this.dtype, rows);
+
+    const {rowShape} = this;
+    if( rows.ndim !== rowShape.length+1 || rowShape.some((n,i) => n !== rows.shape[i+1]) )
+      throw new Error(`NpyRowWriter::append(rows): rows.shape must be [nRows,${rowShape}].`);
+
+    this.nRows += rows.shape[0];
+    return _data_bytes(this.dtype, rows.data, this.__LE).slice();
+  }
+
+
+  /** Returns the final header, which has to overwrite the bytes
+   *  returned by header() at the beginning of the file.
+   */
+  finish()
+  {
+    this.__done = true;
+    return this.header();
+  }
 }
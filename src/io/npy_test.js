@@ -18,10 +18,16 @@
 
 import {forEachItemIn, CUSTOM_MATCHERS} from '../jasmine_utils'
 import {b64_decode_gen} from './b64'
-import {npy_serialize_gen,
-        npy_deserialize} from './npy'
+import {npy_serialize,
+        npy_serialize_gen,
+        npy_deserialize,
+        npy_deserialize_rows_async,
+        NpyRowWriter} from './npy'
 import {npy_test_data} from './npy_test_data'
 import {tabulate} from '../tabulate'
+import {Complex} from '../dt'
+import {NDArray} from '../nd_array'
+import {IS_LITTLE_ENDIAN} from '.'
 
 
 describe('npy', () => {
@@ -43,26 +49,275 @@ describe('npy', () => {
   })
 
 
-  for( const dtype of ['int32','float32','float64'] )
+  const DTYPES = ['bool', 'int8', 'int16', 'int32', 'int64', 'uint8', 'uint16', 'uint32', 'uint64', 'float32', 'float64', 'complex64', 'complex128'];
+
+  const entries = A => A.dtype.startsWith('complex') ? A.data._array : Array.from(A.data);
+
+  function rand_array( dtype )
+  {
+    const randInt = (from,until) => Math.floor( Math.random() * (until-from) ) + from,
+            shape = Int32Array.from({length: randInt(0,5)}, () => randInt(1,24)),
+           sample = () => Math.random() < 0.1 ? 0 : Math.random()*2e3-1e3;
+    if( dtype.startsWith('complex') )
+      return tabulate(shape, dtype, () => new Complex(sample(), sample()) );
+    if( dtype.endsWith('int64') )
+      return tabulate(shape, dtype, () => BigInt.asIntN(64, BigInt(randInt(-1e9,1e9)) * BigInt(randInt(-1e9,1e9))) );
+    return tabulate(shape, dtype, sample);
+  }
+
+
+  for( const dtype of DTYPES )
     forEachItemIn(
       function*(){
-        const randInt = (from,until) => Math.floor( Math.random() * (until-from) ) + from
-
         for( let run=173; run-- > 0; )
         {
-          const shape = Int32Array.from({length: randInt(0,5)}, () => randInt(1,24)),
-                A = tabulate(shape, dtype, () => Math.random() < 0.1 ? 0 : Math.random()*2e3-1e3)
+          const A = rand_array(dtype)
           Object.freeze(A.data.buffer)
           yield A
         }
       }()
-    ).it(`npy_serialize works for random ${dtype.padStart(7)} examples`, (A) => {
+    ).it(`npy_serialize works for random ${dtype.padStart(10)} examples`, (A) => {
       const B = npy_deserialize(npy_serialize_gen(A))
 
       expect(B.dtype).toBe   (A.dtype)
       expect(B.shape).toEqual(A.shape)
+      expect( entries(B) ).toEqual( entries(A) )
+    })
+
+
+  for( const dtype of DTYPES )
+    forEachItemIn(
+      function*(){
+        for( let run=17; run-- > 0; )
+          yield rand_array(dtype)
+      }()
+    ).it(`npy_deserialize handles both byte orders for random ${dtype.padStart(10)} examples`, (A) => {
+      const bytes = npy_serialize(A),
+         hdr_len = 10 + bytes[8] + 256*bytes[9],
+          header = String.fromCharCode(...bytes.subarray(0,hdr_len)),
+           descr = header.match(/"descr": "(.)(\w+)"/),
+         itemLen = Number(descr[2].slice(1)) >>> dtype.startsWith('complex');
+
+      expect( descr[1] ).toBe( 1 === itemLen ? '|' : IS_LITTLE_ENDIAN ? '<' : '>' )
+
+      // SWAP BYTE ORDER
+      const swapped = bytes.slice();
+      if( itemLen > 1 ) {
+        swapped[descr.index + '"descr": "'.length] = (IS_LITTLE_ENDIAN ? '>' : '<').charCodeAt(0);
+        for( let off=hdr_len; off < swapped.length; off += itemLen )
+          swapped.subarray(off, off+itemLen).reverse();
+      }
+      const B = npy_deserialize(swapped)
+      expect(B.dtype).toBe   (A.dtype)
+      expect(B.shape).toEqual(A.shape)
+      expect( entries(B) ).toEqual( entries(A) )
+    })
+
+
+  for( const dtype of DTYPES )
+  for( const byteOrder of ['<', '>'] )
+  for( const fortranOrder of [false, true] )
+    forEachItemIn(
+      function*(){
+        for( let run=17; run-- > 0; )
+          yield rand_array(dtype)
+      }()
+    ).it(`npy_serialize(A, {byteOrder: '${byteOrder}', fortranOrder: ${fortranOrder}}) works for random ${dtype.padStart(10)} examples`, (A) => {
+      const bytes = npy_serialize(A, {byteOrder, fortranOrder}),
+           header = String.fromCharCode(...bytes.subarray(10, 10 + bytes[8] + 256*bytes[9])),
+            descr = header.match(/"descr": "(.)(\w+)"/);
+
+      expect( descr[1] ).toBe( dtype.endsWith('int8') || dtype === 'bool' ? '|' : byteOrder );
+      expect( header ).toContain(`"fortran_order": ${fortranOrder ? 'True' : 'False'}`);
+      expect( header ).toContain(`"shape": (${A.shape}${A.ndim > 0 ? ',': ''})`);
+
+      const B = npy_deserialize(bytes)
+      expect(B.dtype).toBe   (A.dtype)
+      expect(B.shape).toEqual(A.shape)
+      expect( entries(B) ).toEqual( entries(A) )
+    })
+
+
+  /** Assembles an NPY file from its parts.
+   */
+  const npy_bytes = (version, header, data) => {
+    const hdr = 3 === version ? new TextEncoder().encode(header) : Uint8Array.from(header, c => c.charCodeAt(0)),
+       lenLen = 1 === version ? 2 : 4,
+          pad = -(8 + lenLen + hdr.length + 1) & 63,
+          len = hdr.length + pad + 1;
+    return Uint8Array.from([
+      ...Array.from('\u0093NUMPY', c => c.charCodeAt(0)), version, 0,
+      ...Array.from({length: lenLen}, (_,i) => len >>> 8*i & 255),
+      ...hdr, ...Array(pad).fill(32), 10,
+      ...data
+    ]);
+  };
+
+
+  for( const version of [1,2,3] )
+    it(`npy_deserialize reads version ${version}.0 headers`, () => {
+      const A = npy_deserialize( npy_bytes(version, "{'descr': '<i2', 'fortran_order': False, 'shape': (3,), }", [1,0, 2,0, 255,255]) );
+      expect(A.dtype).toBe('int16');
+      expect(A.shape).toEqual( Int32Array.of(3) );
+      expect( entries(A) ).toEqual([1, 2, -1]);
+    })
+
+
+  it('npy_deserialize reads float16 as float32', () => {
+    const halfs = [0x3C00, 0xC000, 0x7BFF, 0x0001, 0x7C00, 0xFC00, 0x3555],
+            A = npy_deserialize( npy_bytes(1, "{'descr': '>f2', 'fortran_order': False, 'shape': (7,), }", halfs.flatMap(h => [h >>> 8, h & 255])) );
+    expect(A.dtype).toBe('float32');
+    expect( entries(A) ).toEqual([1, -2, 65504, 2**-24, Infinity, -Infinity, 0.333251953125]);
+  })
+
+
+  it('npy_deserialize reads unicode and byte strings', () => {
+    const U = npy_deserialize( npy_bytes(1, "{'descr': '>U2', 'fortran_order': False, 'shape': (3,), }", [
+      0,0,0,0x61, 0,0,0,0x62,
+      0,1,0xF6,0x00, 0,0,0,0,
+      0,0,0,0,     0,0,0,0
+    ]));
+    expect(U.dtype).toBe('object');
+    expect( entries(U) ).toEqual(['ab', '\u{1F600}', '']);
+
+    const S = npy_deserialize( npy_bytes(1, "{'descr': '|S3', 'fortran_order': True, 'shape': (2,2), }", [
+      0x61,0,0, 0x62,0x63,0, 0x64,0x65,0x66, 0,0,0
+    ]));
+    expect(S.dtype).toBe('object');
+    expect(S.shape).toEqual( Int32Array.of(2,2) );
+    expect( entries(S) ).toEqual(['a', 'def', 'bc', '']);
+  })
+
+
+  it('npy_serialize writes strings as unicode', () => {
+    const A = new NDArray( Int32Array.of(2,2), ['x', '', 'äöü', '\u{1F600}!'] );
+    for( const byteOrder of ['<','>'] )
+    for( const fortranOrder of [false,true] ) {
+      const bytes = npy_serialize(A, {byteOrder, fortranOrder});
+      expect( String.fromCharCode(...bytes.subarray(10,128)) ).toContain(`"descr": "${byteOrder}U3"`);
+      const B = npy_deserialize(bytes);
+      expect(B.dtype).toBe('object');
+      expect(B.shape).toEqual(A.shape);
+      expect(B.data ).toEqual(A.data );
+    }
+  })
+
+
+  it('npy_deserialize reads structured dtypes into objects of arrays', () => {
+    const header = "{'descr': [('x', '<f4'), ('y', '>i2', (2,)), ('', '|V1'), (('title', 'z'), [('a', '|u1'), ('b', '<U1')])], 'fortran_order': True, 'shape': (2, 1), }",
+            item = [
+              [0,0,0x80,0x3F, 0,1, 0,2, 0xFF, 7, 0x41,0,0,0],
+              [0,0,0x00,0xC0, 1,0, 2,0, 0xFF, 9, 0x42,0,0,0]
+            ];
+    const {x, y, z: {a, b}, ...rest} = npy_deserialize( npy_bytes(1, header, item.flat()) );
+    expect( Object.keys(rest) ).toEqual([]);
+
+    expect(x.dtype).toBe('float32');
+    expect(x.shape).toEqual( Int32Array.of(2,1) );
+    expect( entries(x) ).toEqual([1, -2]);
+
+    expect(y.dtype).toBe('int16');
+    expect(y.shape).toEqual( Int32Array.of(2,1,2) );
+    expect( entries(y) ).toEqual([1, 2, 256, 512]);
+
+    expect( entries(a) ).toEqual([7, 9]);
+    expect( entries(b) ).toEqual(['A', 'B']);
+  })
+
+
+  /** Splits bytes into an async iterable of randomly sized chunks.
+   */
+  async function* rand_chunks( bytes )
+  {
+    for( let off=0; off < bytes.length; ) {
+      const len = Math.ceil( Math.random()**4 * 1024 );
+      yield bytes.slice(off, off += len);
+    }
+  }
+
+
+  for( const dtype of DTYPES )
+    it(`npy_deserialize_rows_async reads random ${dtype.padStart(10)} examples in row blocks`, async () => {
+      for( let run=0; run < 24; run++ )
+      {
+        let A;
+        do { A = rand_array(dtype); } while( A.ndim < 1 );
+        const byteOrder = Math.random() < 0.5 ? '<' : '>',
+           rowsPerBlock = Math.random() < 0.5 ? null : Math.ceil( Math.random() * A.shape[0] );
+
+        const blocks = [];
+        for await ( const block of npy_deserialize_rows_async(rand_chunks(npy_serialize(A, {byteOrder})), {rowsPerBlock}) )
+          blocks.push(block);
+
+        expect( blocks.reduce((n,B) => n + B.shape[0], 0) ).toBe( A.shape[0] );
+        let row = 0;
+        for( const B of blocks ) {
+          expect(B.dtype).toBe(A.dtype);
+          expect(B.shape.slice(1)).toEqual(A.shape.slice(1));
+          if( null != rowsPerBlock && row + rowsPerBlock < A.shape[0] )
+            expect(B.shape[0]).toBe(rowsPerBlock);
+          expect( entries(B) ).toEqual( entries(A).slice(entries(B).length / B.shape[0] * row, entries(B).length / B.shape[0] * (row += B.shape[0])) );
+        }
+      }
+    })
+
+
+  it('npy_deserialize_rows_async reads structured arrays', async () => {
+    const header = "{'descr': [('t', '<f8'), ('xy', '<i2', (2,))], 'fortran_order': False, 'shape': (5,), }",
+            data = new Uint8Array(5*12),
+            view = new DataView(data.buffer);
+    for( let i=0; i < 5; i++ ) {
+      view.setFloat64(12*i,   i/2,  true);
+      view.setInt16  (12*i+8, -i,   true);
+      view.setInt16  (12*i+10, 10*i, true);
+    }
+
+    const t = [], xy = [];
+    for await ( const block of npy_deserialize_rows_async(rand_chunks(npy_bytes(1, header, data)), {rowsPerBlock: 2}) ) {
+      t .push( ...block.t .data );
+      xy.push( ...block.xy.data );
+    }
+    expect(t ).toEqual([0, 0.5, 1, 1.5, 2]);
+    expect(xy).toEqual([0,0, -1,10, -2,20, -3,30, -4,40]);
+  })
+
+
+  it('npy_deserialize_rows_async rejects truncated input', async () => {
+    const bytes = npy_serialize( tabulate([7,3], 'float64', (i,j) => i+j) );
+    let error = null;
+    try {
+      for await ( const block of npy_deserialize_rows_async([bytes.subarray(0, bytes.length-8)]) );
+    }
+    catch(err) { error = err; }
+    expect(error).toEqual( jasmine.any(Error) );
+  })
+
+
+  for( const dtype of DTYPES )
+    it(`NpyRowWriter writes random ${dtype.padStart(10)} examples`, () => {
+      for( let run=0; run < 24; run++ )
+      {
+        let A;
+        do { A = rand_array(dtype); } while( A.ndim < 1 );
+        const byteOrder = ['<','>','='][ Math.floor(Math.random()*3) ],
+                 writer = new NpyRowWriter(dtype, A.shape.slice(1), {byteOrder}),
+                  parts = [writer.header()];
+
+        for( let row=0; row < A.shape[0]; ) {
+          const n = Math.ceil( Math.random() * (A.shape[0]-row) );
+          parts.push( writer.append( A.sliceElems([row, row += n]) ) );
+        }
+        const header = writer.finish();
+        expect(header.length).toBe(parts[0].length);
+        parts[0] = header;
+
+        const bytes = new Uint8Array( parts.reduce((n,p) => n + p.length, 0) );
+        parts.reduce((off,p) => { bytes.set(p,off); return off + p.length; }, 0);
 
-      if( A.dtype.startsWith('complex') ) expect(B.data._array).toEqual(A.data._array)
-      else                                expect(B.data       ).toEqual(A.data       )
+        const B = npy_deserialize(bytes);
+        expect(B.dtype).toBe   (A.dtype)
+        expect(B.shape).toEqual(A.shape)
+        expect( entries(B) ).toEqual( entries(A) )
+      }
     })
 })
@@ -0,0 +1,252 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {_inflate} from './_inflate'
+import {npy_deserialize,
+        npy_serialize} from './npy'
+
+
+// REFERENCES
+// ----------
+// .. [1] "APPNOTE.TXT - .ZIP File Format Specification", PKWARE Inc.
+//        https://pkware.cachefly.net/webdocs/casestudies/APPNOTE.TXT
+
+const SIG_LOCAL = 0x04034b50,
+      SIG_CDIR  = 0x02014b50,
+      SIG_EOCD  = 0x06054b50,
+      SIG_EOCD64= 0x06064b50,
+      SIG_LOC64 = 0x07064b50;
+
+const METHOD_STORED  = 0,
+      METHOD_DEFLATE = 8;
+
+// DOS date of 1980-01-01 00:00:00, so that the output does not depend on the current time
+const DOS_DATE = 0x21,
+      DOS_TIME = 0;
+
+
+const CRC_TABLE = Int32Array.from({length: 256}, (_,n) => {
+  let c = n;
+  for( let k=0; k < 8; k++ )
+    c = c & 1 ? 0xEDB88320 ^ c >>> 1 : c >>> 1;
+  return c;
+});
+
+
+function _crc32( bytes )
+{
+  let crc = -1;
+  for( let i=0; i < bytes.length; i++ )
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ crc >>> 8;
+  return (crc ^ -1) >>> 0;
+}
+
+
+function _utf8_encode( str ) {
+  return new TextEncoder().encode(str);
+}
+
+
+function _utf8_decode( bytes ) {
+  return new TextDecoder().decode(bytes);
+}
+
+
+/** Serializes an object of named NDArrays to a zip archive with one
+ *  uncompressed `.npy` file per array, i.e. the format of `numpy.savez`.
+ */
+export function npz_serialize( arrays )
+{
+  if( null == arrays || 'object' !== typeof arrays )
+    throw new Error('npz_serialize(arrays): arrays must be an object of named arrays.');
+
+  const entries = Object.entries(arrays).map( ([name,A]) => {
+    const data = npy_serialize(A),
+          path = _utf8_encode(name + '.npy');
+    return {path, data, crc: _crc32(data), offset: 0};
+  });
+
+  let size = 22;
+  for( const {path,data} of entries )
+    size += 30+path.length+data.length + 46+path.length;
+  if( size > 0xFFFFFFFF || entries.length > 0xFFFF )
+    throw new Error('npz_serialize(arrays): archive too large.');
+
+  const bytes = new Uint8Array(size),
+       view = new DataView(bytes.buffer);
+  let pos = 0;
+  const u16 = x => { view.setUint16(pos, x, true); pos += 2; },
+        u32 = x => { view.setUint32(pos, x, true); pos += 4; };
+
+  // LOCAL FILE HEADERS AND DATA
+  for( const entry of entries )
+  {
+    const {path,data,crc} = entry;
+    entry.offset = pos;
+    u32(SIG_LOCAL);
+    u16(20);             // version needed to extract
+    u16(1 << 11);        // flags: UTF-8 file name
+    u16(METHOD_STORED);
+    u16(DOS_TIME);
+    u16(DOS_DATE);
+    u32(crc);
+    u32(data.length);    // compressed size
+    u32(data.length);    // uncompressed size
+    u16(path.length);
+    u16(0);              // extra field length
+    bytes.set(path, pos); pos += path.length;
+    bytes.set(data, pos); pos += data.length;
+  }
+
+  // CENTRAL DIRECTORY
+  const cdirOffset = pos;
+  for( const {path,data,crc,offset} of entries )
+  {
+    u32(SIG_CDIR);
+    u16(20);             // version made by
+    u16(20);             // version needed to extract
+    u16(1 << 11);
+    u16(METHOD_STORED);
+    u16(DOS_TIME);
+    u16(DOS_DATE);
+    u32(crc);
+    u32(data.length);
+    u32(data.length);
+    u16(path.length);
+    u16(0);              // extra field length
+    u16(0);              // comment length
+    u16(0);              // disk number
+    u16(0);              // internal attributes
+    u32(0);              // external attributes
+    u32(offset);
+    bytes.set(path, pos); pos += path.length;
+  }
+
+  // END OF CENTRAL DIRECTORY
+  const cdirSize = pos - cdirOffset;
+  u32(SIG_EOCD);
+  u16(0);                // number of this disk
+  u16(0);                // disk of the central directory
+  u16(entries.length);
+  u16(entries.length);
+  u32(cdirSize);
+  u32(cdirOffset);
+  u16(0);                // comment length
+
+  if( pos !== size ) throw new Error('Assertion failed.');
+  return bytes;
+}
+
+
+/** Deserializes a zip archive of `.npy` files (as written by `numpy.savez`
+ *  or `numpy.savez_compressed`) to an object of named NDArrays.
+ */
+export function npz_deserialize( npz_bytes )
+{
+  if( npz_bytes instanceof ArrayBuffer )
+    npz_bytes = new Uint8Array(npz_bytes);
+  else if( !(npz_bytes instanceof Uint8Array) )
+    npz_bytes = Uint8Array.from(npz_bytes);
+
+  const bytes = npz_bytes,
+         view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength),
+          u16 = pos => view.getUint16(pos, true),
+          u32 = pos => view.getUint32(pos, true),
+          u64 = pos => {
+            const x = view.getUint32(pos, true) + view.getUint32(pos+4, true) * 2**32;
+            if( x > Number.MAX_SAFE_INTEGER ) throw new Error('npz_deserialize(npz_bytes): zip64 value too large.');
+            return x;
+          };
+
+  // FIND END OF CENTRAL DIRECTORY (followed by a comment of up to 64KiB)
+  let eocd = -1;
+  for( let pos = bytes.length-22; pos >= Math.max(0, bytes.length-22-0xFFFF); pos-- )
+    if( u32(pos) === SIG_EOCD && pos+22+u16(pos+20) === bytes.length ) {
+      eocd = pos;
+      break;
+    }
+  if( eocd < 0 ) throw new Error('npz_deserialize(npz_bytes): end of central directory not found (not a zip archive?).');
+
+  let nEntries   = u16(eocd+10),
+      cdirOffset = u32(eocd+16);
+
+  // ZIP64 END OF CENTRAL DIRECTORY
+  if( eocd >= 20 && u32(eocd-20) === SIG_LOC64 )
+  {
+    const eocd64 = u64(eocd-12);
+    if( u32(eocd64) !== SIG_EOCD64 ) throw new Error('npz_deserialize(npz_bytes): invalid zip64 end of central directory.');
+    nEntries   = u64(eocd64+32);
+    cdirOffset = u64(eocd64+48);
+  }
+
+  const result = {};
+
+  for( let pos=cdirOffset, i=0; i < nEntries; i++ )
+  {
+    if( u32(pos) !== SIG_CDIR ) throw new Error('npz_deserialize(npz_bytes): invalid central directory entry.');
+    const flags  = u16(pos+ 8),
+          method = u16(pos+10),
+          crc    = u32(pos+16),
+        nameLen  = u16(pos+28),
+       extraLen  = u16(pos+30),
+     commentLen  = u16(pos+32);
+    let compSize = u32(pos+20),
+          size   = u32(pos+24),
+         offset  = u32(pos+42);
+
+    if( flags & 1 ) throw new Error('npz_deserialize(npz_bytes): encrypted entries not supported.');
+
+    const nameBytes = bytes.subarray(pos+46, pos+46+nameLen),
+          name      = flags & 1<<11 ? _utf8_decode(nameBytes) : String.fromCharCode(...nameBytes);
+
+    // ZIP64 EXTENDED INFORMATION (only contains the fields that are set to 0xFFFFFFFF)
+    for( let x=pos+46+nameLen; x < pos+46+nameLen+extraLen; )
+    {
+      const id = u16(x),
+           len = u16(x+2);
+      if( 0x0001 === id ) {
+        let y = x+4;
+        if(     size === 0xFFFFFFFF ) {     size = u64(y); y += 8; }
+        if( compSize === 0xFFFFFFFF ) { compSize = u64(y); y += 8; }
+        if(   offset === 0xFFFFFFFF ) {   offset = u64(y); y += 8; }
+      }
+      x += 4+len;
+    }
+    pos += 46 + nameLen + extraLen + commentLen;
+
+    if( u32(offset) !== SIG_LOCAL ) throw new Error(`npz_deserialize(npz_bytes): invalid local header for '${name}'.`);
+    const start = offset + 30 + u16(offset+26) + u16(offset+28),
+           comp = bytes.subarray(start, start+compSize);
+    if( comp.length !== compSize ) throw new Error(`npz_deserialize(npz_bytes): data of '${name}' ended unexpectedly.`);
+
+    let data;
+    switch(method) {
+      case METHOD_STORED : data = comp; break;
+      case METHOD_DEFLATE: data = _inflate(comp, size); break;
+      default: throw new Error(`npz_deserialize(npz_bytes): compression method ${method} of '${name}' not supported.`);
+    }
+    if( data.length !== size ) throw new Error(`npz_deserialize(npz_bytes): size of '${name}' does not match.`);
+    if( _crc32(data) !== crc ) throw new Error(`npz_deserialize(npz_bytes): CRC-32 checksum of '${name}' does not match.`);
+
+    // like numpy.load, non-.npy entries are returned as raw bytes
+    if( name.endsWith('.npy') ) result[name.slice(0,-4)] = npy_deserialize(data);
+    else                        result[name] = data.slice();
+  }
+
+  return result;
+}
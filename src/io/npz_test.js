@@ -0,0 +1,132 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {b64_decode} from './b64'
+import {_inflate} from './_inflate'
+import {npz_deserialize,
+        npz_serialize} from './npz'
+import {DEFLATE_STREAMS,
+        NPZ_DEFLATE,
+        NPZ_STORED} from './npz_test_data'
+import {tabulate} from '../tabulate'
+import {Complex} from '../dt'
+
+
+// must match `plain_text()` in npz_test_data.py
+function plain_text()
+{
+  const out = [];
+  for( let i=0; i < 120; i++ )
+    for( const c of `The quick brown fox ${i} jumps over the lazy dog ${i*i % 97}.\n` )
+      out.push( c.charCodeAt(0) );
+  let x = 1;
+  for( let i=0; i < 1000; i++ ) {
+    x = Math.imul(x, 1103515245) + 12345 & 0x7FFFFFFF;
+    out.push(x >>> 16 & 255);
+  }
+  return Uint8Array.from(out);
+}
+
+
+describe('_inflate', () => {
+  const text = plain_text();
+
+  for( const [desc,b64] of DEFLATE_STREAMS )
+    it(`decompresses DEFLATE streams with ${desc}`, () => {
+      expect( _inflate( b64_decode(b64) ) ).toEqual(text);
+    });
+
+
+  it('throws on truncated input', () => {
+    const [,b64] = DEFLATE_STREAMS.find( ([desc]) => desc === 'dynamic, level 9' ),
+        bytes = b64_decode(b64);
+    expect( () => _inflate( bytes.subarray(0, bytes.length >>> 1) ) ).toThrow();
+  });
+});
+
+
+describe('npz', () => {
+  const entries = A => A.dtype.startsWith('complex') ? A.data._array : Array.from(A.data);
+
+  const check_fixture = npz => {
+    const {a,b,c,'d/e': de, ...rest} = npz_deserialize( b64_decode(npz) );
+    expect( Object.keys(rest) ).toEqual([]);
+
+    expect(a.dtype).toBe('float64');
+    expect(a.shape).toEqual( Int32Array.of(2,3) );
+    expect( entries(a) ).toEqual([-1, -0.5, 0, 0.5, 1, 1.5]);
+
+    expect(b.dtype).toBe('int32');
+    expect(b.shape).toEqual( Int32Array.of(4) );
+    expect( entries(b) ).toEqual([-2000, -1000, 0, 1000]);
+
+    expect(c.dtype).toBe('bool');
+    expect(c.shape).toEqual( Int32Array.of() );
+    expect( entries(c) ).toEqual([true]);
+
+    expect(de.dtype).toBe('int16');
+    expect(de.shape).toEqual( Int32Array.of(3,1) );
+    expect( entries(de) ).toEqual([-3, 7, 300]);
+  };
+
+
+  it('npz_deserialize reads uncompressed zip64 archives', () => check_fixture(NPZ_STORED ) );
+  it('npz_deserialize reads compressed zip64 archives',   () => check_fixture(NPZ_DEFLATE) );
+
+
+  it('npz_deserialize detects corrupted data', () => {
+    const bytes = b64_decode(NPZ_STORED);
+    // flip a bit in the data of the first array (a[0,0] = -1.0 ends with the bytes 0xF0, 0xBF)
+    bytes[bytes.indexOf(0xBF) - 1] ^= 1;
+    expect( () => npz_deserialize(bytes) ).toThrowError(/CRC-32/);
+    expect( () => npz_deserialize( bytes.subarray(0,100) ) ).toThrow();
+  });
+
+
+  const DTYPES = ['bool', 'int8', 'int16', 'int32', 'int64', 'uint8', 'uint16', 'uint32', 'uint64', 'float32', 'float64', 'complex64', 'complex128'];
+
+  function rand_array( dtype )
+  {
+    const randInt = (from,until) => Math.floor( Math.random() * (until-from) ) + from,
+            shape = Int32Array.from({length: randInt(0,4)}, () => randInt(1,12)),
+           sample = () => Math.random() < 0.1 ? 0 : Math.random()*2e3-1e3;
+    if( dtype.startsWith('complex') )
+      return tabulate(shape, dtype, () => new Complex(sample(), sample()) );
+    if( dtype.endsWith('int64') )
+      return tabulate(shape, dtype, () => BigInt.asIntN(64, BigInt(randInt(-1e9,1e9)) * BigInt(randInt(-1e9,1e9))) );
+    return tabulate(shape, dtype, sample);
+  }
+
+
+  for( let run=0; run < 16; run++ )
+    it(`npz_serialize works for random examples #${run}`, () => {
+      const arrays = {};
+      for( const dtype of DTYPES )
+        if( Math.random() < 0.5 )
+          arrays[`${dtype}_${run}/äöü`] = rand_array(dtype);
+
+      const result = npz_deserialize( npz_serialize(arrays) );
+      expect( Object.keys(result) ).toEqual( Object.keys(arrays) );
+      for( const [name,A] of Object.entries(arrays) ) {
+        const B = result[name];
+        expect(B.dtype).toBe   (A.dtype);
+        expect(B.shape).toEqual(A.shape);
+        expect( entries(B) ).toEqual( entries(A) );
+      }
+    });
+});
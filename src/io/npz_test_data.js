@@ -0,0 +1,35 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+// GENERATED BY npz_test_data.py
+
+
+export const NPZ_STORED  = "UEsDBC0AAAAAAAAAIQA5AG6l//////////8FABQAYS5ucHkBABAAsAAAAAAAAACwAAAAAAAAAJNOVU1QWQEAdgB7J2Rlc2NyJzogJzxmOCcsICdmb3J0cmFuX29yZGVyJzogRmFsc2UsICdzaGFwZSc6ICgyLCAzLCksIH0gICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAKAAAAAAAA8L8AAAAAAADgvwAAAAAAAAAAAAAAAAAA4D8AAAAAAADwPwAAAAAAAPg/UEsDBC0AAAAAAAAAIQD+NU9b//////////8FABQAYi5ucHkBABAAkAAAAAAAAACQAAAAAAAAAJNOVU1QWQEAdgB7J2Rlc2NyJzogJzxpNCcsICdmb3J0cmFuX29yZGVyJzogRmFsc2UsICdzaGFwZSc6ICg0LCksIH0gICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAKMPj//xj8//8AAAAA6AMAAFBLAwQtAAAAAAAAACEAgi340///////////BQAUAGMubnB5AQAQAIEAAAAAAAAAgQAAAAAAAACTTlVNUFkBAHYAeydkZXNjcic6ICd8YjEnLCAnZm9ydHJhbl9vcmRlcic6IEZhbHNlLCAnc2hhcGUnOiAoKSwgfSAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgCgFQSwMELQAAAAAAAAAhAA0QU+T//////////wcAFABkL2UubnB5AQAQAIYAAAAAAAAAhgAAAAAAAACTTlVNUFkBAHYAeydkZXNjcic6ICc+aTInLCAnZm9ydHJhbl9vcmRlcic6IEZhbHNlLCAnc2hhcGUnOiAoMywgMSwpLCB9ICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgCv/9AAcBLFBLAQItAy0AAAAAAAAAIQA5AG6lsAAAALAAAAAFAAAAAAAAAAAAAACAAQAAAABhLm5weVBLAQItAy0AAAAAAAAAIQD+NU9bkAAAAJAAAAAFAAAAAAAAAAAAAACAAecAAABiLm5weVBLAQItAy0AAAAAAAAAIQCCLfjTgQAAAIEAAAAFAAAAAAAAAAAAAACAAa4BAABjLm5weVBLAQItAy0AAAAAAAAAIQANEFPkhgAAAIYAAAAHAAAAAAAAAAAAAACAAWYCAABkL2UubnB5UEsFBgAAAAAEAAQAzgAAACUDAAAAAA==";
+
+export const NPZ_DEFLATE = "UEsDBC0AAAAIAAAAIQA5AG6l//////////8FABQAYS5ucHkBABAAsAAAAAAAAABaAAAAAAAAAJvsF+obEMnIUMZQrZ6SWpxcpG6loG6TZqGuo6Cell9UUpSYF59flJIKEndLzClOBYoXZyQWpAL5GkY6CsY6mjoKtQrkAi4GMPiwH0I/gNIw8MAeKg+lf9gDAFBLAwQtAAAACAAAACEA/jVPW///////////BQAUAGIubnB5AQAQAJAAAAAAAAAAVAAAAAAAAACb7BfqGxDJyFDGUK2eklqcXKRupaBuk2mirqOgnpZfVFKUmBefX5SSChJ3S8wpTgWKF2ckFqQC+RomOpo6CrUKFAAugx///0v8+f+fAQheMDMwAABQSwMELQAAAAgAAAAhAIIt+NP//////////wUAFABjLm5weQEAEACBAAAAAAAAAEMAAAAAAAAAm+wX6hsQychQxlCtnpJanFykbqWgXpNkqK6joJ6WX1RSlJgXn1+UkgoSd0vMKU4FihdnJBakAvkamjoKtQoUAS5GAFBLAwQtAAAACAAAACEADRBT5P//////////BwAUAGQvZS5ucHkBABAAhgAAAAAAAABNAAAAAAAAAJvsF+obEMnIUMZQrZ6SWpxcpG6loG6XaaSuo6Cell9UUpSYF59flJIKEndLzClOBYoXZyQWpAL5GsY6CoY6mjoKtQrkAq7/fxnYGXUAUEsBAi0DLQAAAAgAAAAhADkAbqVaAAAAsAAAAAUAAAAAAAAAAAAAAIABAAAAAGEubnB5UEsBAi0DLQAAAAgAAAAhAP41T1tUAAAAkAAAAAUAAAAAAAAAAAAAAIABkQAAAGIubnB5UEsBAi0DLQAAAAgAAAAhAIIt+NNDAAAAgQAAAAUAAAAAAAAAAAAAAIABHAEAAGMubnB5UEsBAi0DLQAAAAgAAAAhAA0QU+RNAAAAhgAAAAcAAAAAAAAAAAAAAIABlgEAAGQvZS5ucHlQSwUGAAAAAAQABADOAAAAHAIAAAAA";
+
+
+// raw DEFLATE streams of `plain_text()` as [description, base64]
+export const DEFLATE_STREAMS = [
+  ["stored blocks", "AcUbOuRUaGUgcXVpY2sgYnJvd24gZm94IDAganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgMC4KVGhlIHF1aWNrIGJyb3duIGZveCAxIGp1bXBzIG92ZXIgdGhlIGxhenkgZG9nIDEuClRoZSBxdWljayBicm93biBmb3ggMiBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyA0LgpUaGUgcXVpY2sgYnJvd24gZm94IDMganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgOS4KVGhlIHF1aWNrIGJyb3duIGZveCA0IGp1bXBzIG92ZXIgdGhlIGxhenkgZG9nIDE2LgpUaGUgcXVpY2sgYnJvd24gZm94IDUganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgMjUuClRoZSBxdWljayBicm93biBmb3ggNiBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyAzNi4KVGhlIHF1aWNrIGJyb3duIGZveCA3IGp1bXBzIG92ZXIgdGhlIGxhenkgZG9nIDQ5LgpUaGUgcXVpY2sgYnJvd24gZm94IDgganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgNjQuClRoZSBxdWljayBicm93biBmb3ggOSBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyA4MS4KVGhlIHF1aWNrIGJyb3duIGZveCAxMCBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyAzLgpUaGUgcXVpY2sgYnJvd24gZm94IDExIGp1bXBzIG92ZXIgdGhlIGxhenkgZG9nIDI0LgpUaGUgcXVpY2sgYnJvd24gZm94IDEyIGp1bXBzIG92ZXIgdGhlIGxhenkgZG9nIDQ3LgpUaGUgcXVpY2sgYnJvd24gZm94IDEzIGp1bXBzIG92ZXIgdGhlIGxhenkgZG9nIDcyLgpUaGUgcXVpY2sgYnJvd24gZm94IDE0IGp1bXBzIG92ZXIgdGhlIGxhenkgZG9nIDIuClRoZSBxdWljayBicm93biBmb3ggMTUganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgMzEuClRoZSBxdWljayBicm93biBmb3ggMTYganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgNjIuClRoZSBxdWljayBicm93biBmb3ggMTcganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgOTUuClRoZSBxdWljayBicm93biBmb3ggMTgganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgMzMuClRoZSBxdWljayBicm93biBmb3ggMTkganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgNzAuClRoZSBxdWljayBicm93biBmb3ggMjAganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgMTIuClRoZSBxdWljayBicm93biBmb3ggMjEganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgNTMuClRoZSBxdWljayBicm93biBmb3ggMjIganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgOTYuClRoZSBxdWljayBicm93biBmb3ggMjMganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgNDQuClRoZSBxdWljayBicm93biBmb3ggMjQganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgOTEuClRoZSBxdWljayBicm93biBmb3ggMjUganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgNDMuClRoZSBxdWljayBicm93biBmb3ggMjYganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgOTQuClRoZSBxdWljayBicm93biBmb3ggMjcganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgNTAuClRoZSBxdWljayBicm93biBmb3ggMjgganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgOC4KVGhlIHF1aWNrIGJyb3duIGZveCAyOSBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyA2NS4KVGhlIHF1aWNrIGJyb3duIGZveCAzMCBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyAyNy4KVGhlIHF1aWNrIGJyb3duIGZveCAzMSBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyA4OC4KVGhlIHF1aWNrIGJyb3duIGZveCAzMiBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyA1NC4KVGhlIHF1aWNrIGJyb3duIGZveCAzMyBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyAyMi4KVGhlIHF1aWNrIGJyb3duIGZveCAzNCBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyA4OS4KVGhlIHF1aWNrIGJyb3duIGZveCAzNSBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyA2MS4KVGhlIHF1aWNrIGJyb3duIGZveCAzNiBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyAzNS4KVGhlIHF1aWNrIGJyb3duIGZveCAzNyBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyAxMS4KVGhlIHF1aWNrIGJyb3duIGZveCAzOCBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyA4Ni4KVGhlIHF1aWNrIGJyb3duIGZveCAzOSBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyA2Ni4KVGhlIHF1aWNrIGJyb3duIGZveCA0MCBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyA0OC4KVGhlIHF1aWNrIGJyb3duIGZveCA0MSBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyAzMi4KVGhlIHF1aWNrIGJyb3duIGZveCA0MiBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyAxOC4KVGhlIHF1aWNrIGJyb3duIGZveCA0MyBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyA2LgpUaGUgcXVpY2sgYnJvd24gZm94IDQ0IGp1bXBzIG92ZXIgdGhlIGxhenkgZG9nIDkzLgpUaGUgcXVpY2sgYnJvd24gZm94IDQ1IGp1bXBzIG92ZXIgdGhlIGxhenkgZG9nIDg1LgpUaGUgcXVpY2sgYnJvd24gZm94IDQ2IGp1bXBzIG92ZXIgdGhlIGxhenkgZG9nIDc5LgpUaGUgcXVpY2sgYnJvd24gZm94IDQ3IGp1bXBzIG92ZXIgdGhlIGxhenkgZG9nIDc1LgpUaGUgcXVpY2sgYnJvd24gZm94IDQ4IGp1bXBzIG92ZXIgdGhlIGxhenkgZG9nIDczLgpUaGUgcXVpY2sgYnJvd24gZm94IDQ5IGp1bXBzIG92ZXIgdGhlIGxhenkgZG9nIDczLgpUaGUgcXVpY2sgYnJvd24gZm94IDUwIGp1bXBzIG92ZXIgdGhlIGxhenkgZG9nIDc1LgpUaGUgcXVpY2sgYnJvd24gZm94IDUxIGp1bXBzIG92ZXIgdGhlIGxhenkgZG9nIDc5LgpUaGUgcXVpY2sgYnJvd24gZm94IDUyIGp1bXBzIG92ZXIgdGhlIGxhenkgZG9nIDg1LgpUaGUgcXVpY2sgYnJvd24gZm94IDUzIGp1bXBzIG92ZXIgdGhlIGxhenkgZG9nIDkzLgpUaGUgcXVpY2sgYnJvd24gZm94IDU0IGp1bXBzIG92ZXIgdGhlIGxhenkgZG9nIDYuClRoZSBxdWljayBicm93biBmb3ggNTUganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgMTguClRoZSBxdWljayBicm93biBmb3ggNTYganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgMzIuClRoZSBxdWljayBicm93biBmb3ggNTcganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgNDguClRoZSBxdWljayBicm93biBmb3ggNTgganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgNjYuClRoZSBxdWljayBicm93biBmb3ggNTkganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgODYuClRoZSBxdWljayBicm93biBmb3ggNjAganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgMTEuClRoZSBxdWljayBicm93biBmb3ggNjEganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgMzUuClRoZSBxdWljayBicm93biBmb3ggNjIganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgNjEuClRoZSBxdWljayBicm93biBmb3ggNjMganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgODkuClRoZSBxdWljayBicm93biBmb3ggNjQganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgMjIuClRoZSBxdWljayBicm93biBmb3ggNjUganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgNTQuClRoZSBxdWljayBicm93biBmb3ggNjYganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgODguClRoZSBxdWljayBicm93biBmb3ggNjcganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgMjcuClRoZSBxdWljayBicm93biBmb3ggNjgganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgNjUuClRoZSBxdWljayBicm93biBmb3ggNjkganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgOC4KVGhlIHF1aWNrIGJyb3duIGZveCA3MCBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyA1MC4KVGhlIHF1aWNrIGJyb3duIGZveCA3MSBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyA5NC4KVGhlIHF1aWNrIGJyb3duIGZveCA3MiBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyA0My4KVGhlIHF1aWNrIGJyb3duIGZveCA3MyBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyA5MS4KVGhlIHF1aWNrIGJyb3duIGZveCA3NCBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyA0NC4KVGhlIHF1aWNrIGJyb3duIGZveCA3NSBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyA5Ni4KVGhlIHF1aWNrIGJyb3duIGZveCA3NiBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyA1My4KVGhlIHF1aWNrIGJyb3duIGZveCA3NyBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyAxMi4KVGhlIHF1aWNrIGJyb3duIGZveCA3OCBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyA3MC4KVGhlIHF1aWNrIGJyb3duIGZveCA3OSBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyAzMy4KVGhlIHF1aWNrIGJyb3duIGZveCA4MCBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyA5NS4KVGhlIHF1aWNrIGJyb3duIGZveCA4MSBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyA2Mi4KVGhlIHF1aWNrIGJyb3duIGZveCA4MiBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyAzMS4KVGhlIHF1aWNrIGJyb3duIGZveCA4MyBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyAyLgpUaGUgcXVpY2sgYnJvd24gZm94IDg0IGp1bXBzIG92ZXIgdGhlIGxhenkgZG9nIDcyLgpUaGUgcXVpY2sgYnJvd24gZm94IDg1IGp1bXBzIG92ZXIgdGhlIGxhenkgZG9nIDQ3LgpUaGUgcXVpY2sgYnJvd24gZm94IDg2IGp1bXBzIG92ZXIgdGhlIGxhenkgZG9nIDI0LgpUaGUgcXVpY2sgYnJvd24gZm94IDg3IGp1bXBzIG92ZXIgdGhlIGxhenkgZG9nIDMuClRoZSBxdWljayBicm93biBmb3ggODgganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgODEuClRoZSBxdWljayBicm93biBmb3ggODkganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgNjQuClRoZSBxdWljayBicm93biBmb3ggOTAganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgNDkuClRoZSBxdWljayBicm93biBmb3ggOTEganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgMzYuClRoZSBxdWljayBicm93biBmb3ggOTIganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgMjUuClRoZSBxdWljayBicm93biBmb3ggOTMganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgMTYuClRoZSBxdWljayBicm93biBmb3ggOTQganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgOS4KVGhlIHF1aWNrIGJyb3duIGZveCA5NSBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyA0LgpUaGUgcXVpY2sgYnJvd24gZm94IDk2IGp1bXBzIG92ZXIgdGhlIGxhenkgZG9nIDEuClRoZSBxdWljayBicm93biBmb3ggOTcganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgMC4KVGhlIHF1aWNrIGJyb3duIGZveCA5OCBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyAxLgpUaGUgcXVpY2sgYnJvd24gZm94IDk5IGp1bXBzIG92ZXIgdGhlIGxhenkgZG9nIDQuClRoZSBxdWljayBicm93biBmb3ggMTAwIGp1bXBzIG92ZXIgdGhlIGxhenkgZG9nIDkuClRoZSBxdWljayBicm93biBmb3ggMTAxIGp1bXBzIG92ZXIgdGhlIGxhenkgZG9nIDE2LgpUaGUgcXVpY2sgYnJvd24gZm94IDEwMiBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyAyNS4KVGhlIHF1aWNrIGJyb3duIGZveCAxMDMganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgMzYuClRoZSBxdWljayBicm93biBmb3ggMTA0IGp1bXBzIG92ZXIgdGhlIGxhenkgZG9nIDQ5LgpUaGUgcXVpY2sgYnJvd24gZm94IDEwNSBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyA2NC4KVGhlIHF1aWNrIGJyb3duIGZveCAxMDYganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgODEuClRoZSBxdWljayBicm93biBmb3ggMTA3IGp1bXBzIG92ZXIgdGhlIGxhenkgZG9nIDMuClRoZSBxdWljayBicm93biBmb3ggMTA4IGp1bXBzIG92ZXIgdGhlIGxhenkgZG9nIDI0LgpUaGUgcXVpY2sgYnJvd24gZm94IDEwOSBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyA0Ny4KVGhlIHF1aWNrIGJyb3duIGZveCAxMTAganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgNzIuClRoZSBxdWljayBicm93biBmb3ggMTExIGp1bXBzIG92ZXIgdGhlIGxhenkgZG9nIDIuClRoZSBxdWljayBicm93biBmb3ggMTEyIGp1bXBzIG92ZXIgdGhlIGxhenkgZG9nIDMxLgpUaGUgcXVpY2sgYnJvd24gZm94IDExMyBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyA2Mi4KVGhlIHF1aWNrIGJyb3duIGZveCAxMTQganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgOTUuClRoZSBxdWljayBicm93biBmb3ggMTE1IGp1bXBzIG92ZXIgdGhlIGxhenkgZG9nIDMzLgpUaGUgcXVpY2sgYnJvd24gZm94IDExNiBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyA3MC4KVGhlIHF1aWNrIGJyb3duIGZveCAxMTcganVtcHMgb3ZlciB0aGUgbGF6eSBkb2cgMTIuClRoZSBxdWljayBicm93biBmb3ggMTE4IGp1bXBzIG92ZXIgdGhlIGxhenkgZG9nIDUzLgpUaGUgcXVpY2sgYnJvd24gZm94IDExOSBqdW1wcyBvdmVyIHRoZSBsYXp5IGRvZyA5Ni4Kxn6Ba0v74vtU9r3ffBzhhwG/Md5Wcg9HZ2aHWaqIPFnqVhN70oWh2DxUVS83rmVb2gJ5mMzjGnaOX9mZjx8/Nu5DeE0N+r6m2uSGjtwpbU7/VuFwIPuPsVgFkMUJ3FPNqjtImVLTUp0Gn+q1wgYTmEmyAR6sMogxnFJGlXE2j1f2OR0W+oh09Zh8F1xBu21xjg9wWccBGy8zPZHAHaUNDaszjX5ejz7maHSmOrHDkxGoZMfbyuBg4fO/CQBnouMloCExh9VixahPfi4Ja5SfsG2pnloLRnCAts9HDKalKtis+6Drt3kkciOSSIDFpqeFt9eMkOSrY0RSZuOcMyX5Xqq6c2BdS3F+vqmMVxlxw8pe5SozrIhRZqF7dWdkmmnvb1ZCoB1RxQL3u5JFvm8NtjjMEP27VFEceweUJ5N9ksPUxqVhUQE4OKe/8QQNFZuAH4PVpGmIfJ+2AdqTF0WLErICM1xQ1uFWpK1CSlzdhmHpAxLhD5vqJixh3GJIa20U4AOFSnJG2pbIfRzRBT7lknBDX2wDBbPrsyA1TX5mUAE2wDPhD8k4LukpGU9esdFJiztT/Z8/7iUlNXsNEa9MEYwy1Np/2BZX4abOfcGuYr8T5IdMOsGzDFmZR1havXh8ulAB7RvqikmI7tYUhauwLN41kxEtARzXKEMw57AI7XmZE1HSOnetPbT4x8oDItLJxicPBM56P8BoLM9yagnCQgByXkE0+JZpP706WJGL4cyisZLdd6E1/vNLvLHjNxENx2W+8WHlXgb/Ncd2iV30bkrMtVR+8RXIoJmPXHAL7xTG5QqcGbQdTM5WBtxCESXnlm8PIT3f+VdHDd8ravx3jdXp2fm14OtyhBqOQhQdim5fkjr7C+X25MCfRdYqg7+xzWrEv4ze37L3efdgV/w7PXsuy5xBeyel40hYFQcX4LmFX2Oo9ikSQwBq2+5kJFKLxDtduzUYotOJ/7KgWTDy29XBTWpLNpxdeObQo5IN5ZARsIYPQTSApom96S94Rw1QlYcbv+N/lDc25G85OC8MgzqF31G8SNlWu3mVeb3USFCdqWVdF3wTCxJcT2ewBOGeGLMAOv7LxBz3K1A4fk67E8Ugw/49pDAP5EcK5FIBeheBMYCAXzVaLRXMsCIVLYDR5uTMWK9vBX2FnDVqdKDwKE/3+dw4ALPE7lRO8dnqrcLX6xkkxFaoi8tUa69wWFoHWf4ABt+h5hhZusFbI/xbHnAwQhrU0DJykGZCbJ2i0e13PjC2rpINYS72ohpJ26Ediaje8jhWumurylNaU/ZtE4GuH6X8Sj3XRQGJ5KQAmPb7TYZkRl9ZrA=="],
+  ["fixed Huffman codes", "C8lIVSgszUzOVkgqyi/PU0jLr1AwUMgqzS0oVsgvSy1SKAEqyEmsqlRIyU9XMNDjCsGiwRCnBkPsGoxwajDBrsEYpwZL7BpMcDvJDLsOU5w6jEyx6zDDqcMYhx3muP2Nwx8WOHWY4QgqS5w6LHDEhiHuCDfGoQN3jBvhcJYhnjg3x6EFd6ybG+HQgjvecenAHe/GuMILd8Sb4bIFd8xb4khdhrij3hhXtOCOe3McWdcId9wb4vCLEe7IN8XhMCPckW+JI6sY4Y58ExxJzAh35FviKohwx74JLr/gjn1LXA7DHfumuOIFd+xb4NCBO/LNcCQxY9yRb4QjTxrjjnwLHA4zxh35priKe9yRb4QjVRrjjnwLHGWrMe7IN8ORXozxlPm4Ahl35BvisgVP5OPILsZ4Yh+HFhPcsW+CIypNcMe+MY54McEd+4a4bMEd+7i8gifn48jGJrgj3wJHTJrgjnxzXM0Q3JFvjssW3JFvjssveMp9HFpMcUc+LoeZ4o58XN43xR35uALZFE9TD5dfcMc+rrYe7sjHlShN8eR8HEnfFE9zD5cteNp7uPyCp8GHQ4sZnkofR5Fkhifn42oe4458XMWrGe7Ix1WIm+Fp8eGIFzPcsY+rQjLDHfu4qj0z3LGPq3I1wxP7uAIZT+zj6IPgjnxcjRFz3JGPq8ljjqe5jyMbm+PJ+TjSiznuyMfVSDTHHfm4mqLmuCMfV4PXHE+ljyNVmuMp93HFC+7Ix9VFsMAd+7g6Iha4Yx9Xd8cCd+zj6lRZ4Gny4dCBO/JxdQ8t8DT3ceRJC9yRj6ura4E78nHFCp4GH67wwtPgwzUygKfBh6N0tcRT7OPILZa44x7XQIol7rjHNVpjiafFh0MHnrjHoQN31OOIFEvcMY8jC1vijnlcduCOeFxDLwZ4Mj0uLXjG9HBEiaEB6TFvaIA76nElMEMDPKU+Tv/g6evhDDY8lT7OoTSS876hAe4kgHMwzQBPIsA1moZnmA/ncBq+gT5cWkgv+w3xjPThHFHDM9SHc0gN32AfzqFOPL0+XOPheIb7cFX/hnjG+3C1MgzxDPiBGjPH6hqzvX8/+h3ybe/9GpmH7Yz7De+FFfG7p6e1R67qsIl8FSZcfal14Q2bkFB983Wp0beYKmeceSxV1hd/c2a/vL3ZO+cKX95f+5bdetLWd0cz1+9/2MMChd/9GyNYJxzlvBN8dpW1x8ygy0Fz2ea/2nqITXiG5yZGuTVGHYZzgtymFpr1h3+zlBX71VHydUaNeIzj7tzCPv6CyOOM0vrGthMPyC7l5V1t3FsX12/3LKNkmdXGw5MFV6Qcv33qQcLDz/s5GdIXPVZdoGjYfjXp6Ar/Oj3O7CnzN+SunBfF7VbQsO28O8+ypVo31vxe8Hp7pUqR8iSPhqPLlrduv94z4cnqZJegtMdzjFV/xq3aVZwQ611Yt29lT7hk4eFTcU+1jNd0BKYtrC5NT5mV+T4/zGmBbOBRpu+7J7nuy+fdZnFG4O/ukECZavYp6pNrJx2+cmxpYiCjhcXy/R9ZeEVnN8g3X12S2VEzfxvjrcnirt1Cm5iMYwKuPQxbstbJK+ZuW+JLZqGH/LNfqekk3knyyM4VecDc6lXkdmvaiVqZi6x2TycVOMfnMLNufr1ZwdS3Li2A0eyA8UP+kxZ6LzUl/eM2XvTstg7+O9/+naqqaTWv4HofwR6jK7fqb4iFP1x2rvbguqT9wk/afawObuaJnOkeEbW3omZXAONb6Vddnh3vrom0rt6gc890sqAuo8x1DWeD5xs43lbOFA68ZFW+1nbLj+OnmJUunTymzs9yrsr+QIbO+aIszkNODEVxjiY/pmXa77WKmNj98MyijZPuli80/ffZe8/Gx+aCvMdT931MfBrH9t/0eFln7Jc8rzNbQ+o+ip5YMLM/poD7vcixp1xzJLfI+pwLY7vjJKj6fFo+v6Lt/Z/h7rz3tbP+lPdefXnz59YHr4tapPqcRGS78uInWf3mfvrtyYH5rte0mvdvPJt1ZH/Pvfubvld+Twj/Y21brXd6jmO1+tLHHhGi7OIPdrbGJ6/4pinkzJB1+12KSlD3EevY3aYSiy53/t+0INLg0+2rB32zvM3mxFY8u7B4Eu/TCYIb2vgdTRqWde59qV/hzhswtV16/+P6KeZmT/ItLfR5mq1a7wfu8bgZtrtyauXeKx4Bc1emxorXCHMLxfinb2B5OE9iM4PVv9NHZL5rB1jU+e0WPqpw+J/tEgP+J+5cT4IYq8QbDRsa4k2jdEXPbFAS1W24+OzJmYj1+ay1rXNMs0oWfNDw//7zjgXD5iPvQvw+3ny19tD115IqR8JWdJ8OyV5fEBHFHvmPge3+wmcSkbsORiv/iZYrMHCSunLBqGhCmlPO3EUX35bbGWxbN4k3Ue/bIinP2wtlO1fc+2QRtit79angqOBvucKN6+SX/vGyve7K2PlkCcOMb79921Lc4iPXAAA="],
+  ["dynamic, level 1", "ldh5NJVpHAdwN9G03HMHSUTdFtOu97nvfTelDk2hUshcS5bIEtLltiDL6DS2VIrqZFKWibSTljNJWkhJizaR4o6rTjpp1AyVlpn5/37vOfP/+zvP+zyf3/N7fs/jsTpEGrMhfFWkNEiljF0rDVXGSSlpxIao6HVS5cYQlXT9vx+sCdwULw1Whkkpm2EeWgIIDCDaA2QwQK49gIYBgvYAOQwgrPYIBkbIGO0RLIygwRgcjJCDefAwggVLJcAIHmgQDE5rnznB4jLwW0SHOQdGweqcDIRgdxSB3Wm0XhieRaNgeQFkF8H0NGLB9hzYujJsT8BcZBifAT8mw/gC2CoyjC8HKSbD+AKglGF9OZoL1hfQj2F9BrlgfV576sswPgtSjMb4MrAnaYzPgx+jMT4DFozG+DKQlTTG50FtpTE+C/KFxvg0WmSMT9AoOvDBdqF16IMQOdaXA0o51qeBixzrEzQK1kdTwfgC2MZyjM8DSTnG50CKyTE+h0bB+ByaC8ZHIQzGRz/GYHw0fQbjo0VmMD6iZLA+yBcG46OkZDA+Sn0G46MNxmB8Fs0F4/MghMX4qCSxGB8VPhbjo/LKYnxUxFmMj44KFuujA4nF+ujYY7E+OlxZHfqgWrA69LX3CRzGR80Ih/FRy8NhfNRYcRgftW8cxkdNIofxUSvKYXzU8HIYH7XVHMZHzTuH8dEVgcf66CLCY3103eGxPrpU8VgfdBY8xkfXQx7jy0HDy2N8dNXlMT44wHlsjy7tPLaHLwPYHj0/CNgevXEI2B49pAjYHr3WCBgftGKCDnvtlVLA9KBxF7A8uOcJWB6NgeHBbYpQGB4sFqEwPCIh1P+XJxSmRwlGKGyP8phQWB9tF0Jhf7QrCYUzAOx9QuEUQBWGUDqSABQyouOZD9VLouuhT/umIToe+lDtJwRnATpiCMFZgE4yQnAWoAOTEJwF6FwmBGcBOv6Jjvc+1GUQgtPgv2bmevLmyMUDfwx49FW3J1qq00U15LlCJXEMC033Ppoxx7tbYZJwP7XoyRyPn2ZxJ0NWtA6K39fYabFxR0BLXva4eWzP/DgX8adLpa2atB1tU6OWflOoo6UD2RVeBjvrhrYtv310tlOe+wP3A4YF3WevGprscz4tGntclkHy3RfuiWGzPfsEq1GfMtb/vS/RzNe+KipmhyTau140ZhZtt+uyVYlYfIzenuyfPffF6vWlthXXco3KguufNnSsVL+vGaoXVtxpXTiepD8KqitblmwzNHJ3QXnUkYM+wxdGp5y76ziitGTak+MDha/Px09STcxxSqkrPZx6vnnbTs2xVT+6h3bm09Yf/Y9eWLfSb3FM8qUj2zzNY641+HdNo49nuIUWJWwIC/41/K1S4VBo5VY3qL8qZ8Elpfgc3/j9lyoPN8uEIbsn5yblXHt4vSTQTcTzh2t6B4tN96eM2/LoUHhGYsE5UWuu2YIs49ODaF/Xx2rFoRMOi3yfpQW+0jdWS/Z3/zAjsC3IKTJqZId+6iLVwta9N5IsmwzmduVEzw9Yo29Q+bpSyrgkh7qK2Mu0WnKTt3k11XyZf0WTc9bs5V8K5vVYWzMJYqNTS4y2yR62/vxklKe69E7SlZNBNSaa9CW2VypHeOc5evlUxyVecBW9GdO91Tmj5/HI1GPlM54zuUYzRZbNU+ZTL8u/exOfZ+J23zb2hN2ZD/UN+hPu37w+WTL4zqZ5l1fPuKuKGHrVQU/lby//sDd8XrWt164sdWNxRc6z2CLm6/vFFys6OSNxfcil3sAuf8NvTP3GTL+/1i5qPOuR3Gt6ozAv2zd6+NuR17uG5ZufsVpyR2HY5mBk/XKvUjLerv2jp6O4fXrE59jtj161fDzb8Vr1i8UOh5FWW9cG5NgODO/q01wuWPB42paaitsRtTXbnref7o/vX+n5ebZdgs2tfPuEySWdTl6mQ8w6fk8NWFXWN9V4vl7E057gSe5ZtbP9qpjRxQ8yv50u9KbePX10xSViMZvvF/fi3m854q6dRuVpEnt5Smlm9atZcY5i1z3pY2o6f97NsRqlwM8ascU2td3tolOLoip+T3z1QyfXA0dC/MwSTYYb+y4LKx+sPji6Us/2661ay/7prnzy0iqTOum1r3aHKInGcZjGXbTJbDNJSQlgfGaaNpZPMJ2Z0vRC0+h1SmmQlJrPRKwv/HPKsv6PbbxeZW2Px9Lelu4TV5tfm0+qVZRl3fKIPBXt5TPE+6ueYXvRi9HeF66smPh5xdhoysHi4T2Zameow5oDxU1vYudS507miANt+ootnJ8WWWWWPX/HKy5EHmtY7rO8L8pk88lxJZ8X2TUvEGVqDunt6xtwSQteGOB9/B8="],
+  ["dynamic, level 9", "nZj5N9V5GMfdika6xwgpUbfFtOu7L6QOxtpinWvJEllCutwWZEmnsUWUlpNJWQZpk6V0hixlK2lXsoQ7Lh2cNNUMlZaZP8Bzz/nM79/3+Xye7+t5ns/zvJ13+ovC9wXtCBH5SiURu0UBkkgRJgreFxq2RyTZ7y8V7f3vg10+B6JEfpJAEWY4y3kKAQ4K8KkFBCigphaQoICfWkDBV2KmVtCggqCnVjCgggTOYOG4gTg4UMEAv4oHFRxAA4eBk4ACJk4A18IVMGcBCUydJQAJzB1SwNxJ6H/B4BnoFJg8D2QXDqMnISwwexYoXQJmjwOxEDB8GrgYAcPngVIhYPgUkGIEDJ+HGhFMn4Jigenz0MVg+jTEBabPAQoYPgOkGAnDJ4CaJGH4HHAxEoZPQ+0ehk8AWUnC8Dmgt5IwfAbIF1JBz4d+Mgwfh05RAB8oF1IBfUBCwfQpACUF0ycBLhRMH4dOgelDoSiofKCMKRg+B5CkYPgsNIbA8FnoFBg+C8XCI0toDPliNI4cPk0g/2SaREZJU6j5QtPISUkzyKlPs8gFRnPIZUzzyM2CwZBbEoMjNz6GQG6vDIncxBkK+algaOQHiWGQnz2GRX5cGQ75CWd41DmBxZCHERZHHnlYAnmwYknk8Y2lkIdElkYeRVkGeeBlWeSxmuWQh3eWR14ROAx5EeFw5HWHI5CXKo5E3dw4Cnk95GjkJZRjkFddjkXdpzkOeWnneHRnAEO2H3gc2ePgCWQjhSeR3RqeQnWEeBrVdOIZVF+LZ1GtM55DPoNHjQPHMNSfhWM4MhIcQyePYyRyguEYhZzHOEYjlwuOMf/DSkOufRzj0M00jEd30xTYfKCdpsjogyTovR9X4PSBjpoCqw+01BSZfaDVySC/yziO/vzjCvw+Grwbr3CYaY47FLJp8s9J5/Gavhg9WZKgDu8VS9WtAgOS3C4lr3cbEWtGP03Ie7ne+Zd1bIn/tq5pUWfaBnT3p3t3ZmUs2siMmUduEX6uLeqSJ6b3rAzd+l0sCxNNZpS5Kh9rUu1xenDJ2DrL8ZnjOZWckRt3VDTP2JQLFl4hkvFsR8tT4UyGyzivP/dz8t5/zsToeJhWh4anq4e5tQgWrCNNjtfrFwqFl8mjcV4ZG4Z27i0yKms4oVHs19Ld2r9d9qFOVSkwf8AgdzGe9Ny3qdguzlA15GROaejF8+5qlmHxlY+sZhcVrnp5ZTJ39GbUMunSTOv4pqILCTc70o7JL+/42TFgIJs0+OR1qWrPds9N4XG1F9Nc5oc3tHoNriKvJDsE5EXvC/T7LeitRGyWq+/QNG2iOtOiViKs5Np+/Frt7KAXPfPk8hOxmQ3tzYU+DgKOu1D3boZQ+2z8osPPC4KSY3IqBV0ndCxS55RPIz3sX8jEBVfNbD1eJfoMT58jUz878tManx5f65BQrf7pCbZSy67Td2P1nihvGMwMM/feNV25YrRCRG+JC7AXMPWkTP0eZzi8cr6dV9kTm1Rjp685G8cMDOhooca1zRppRHvXwZdzXWRFD2Nvl/jWacqTNhvdrpjtlmXl6l4TGVNlL3izYOSITfLYC62Ey6VreukTGmsFeh0rzLHXpT+8icrSdHhqFHHV5PrHltbpS57ea16uPuPhgY31O9c8kgar3jFTknqZUh9PB22sMXI9nipryy/LfBWRR3/7sOlW2QCrIWzxr33nM+il8p1u2Z/i+fdu27YbznHvtO/mZmV4hKm91WoenJU9/7r+5odilR4zDYPXpyXqi036PrlYCftWB3+JOPp8uPPTjf5R6a+66WZa+kd2e2caTaoNjsvrcyxerDpcV/YguLEurbevfCJqYrvLF2OTaMP72abRywsHrF21Z+r0/5HgvaN4fOUcc6Xg7jG/ZY6pjcae1fS8/Gcp38tz3bD33c9vbwnexGR7Rg49/j1TOHhMozRR3ZSKL0qpGV4XaSW0P5W0oG7g4EmWkUt4bt3sw0YJfQ63rDvF1VGnomrare3PXfT31InRVJvjYRdYOkN2fl6FktG3+416E6vtubit1ZpNooZvJgWYutxqltxRcEDnEB4f7027r9VuK12ivTb+yZC8zfWaRDk2IZsO3pv71wq7iU89nFJF45jz1nedI1fvdIzOX9YoLk697xxyLczVfabbNyWVvryheW5Vt7ct/bJtYRhmptv+mJAeCzDbdS7/yZuIDVhlSabQx3A8X9emO08/pbj3PSeuCrnc6uTuNB6qeahkUeEXW5MOC0GKvEDpzPjklkQ/S2+3K/8C"],
+  ["Huffman only", "BcEL9D/nfODxxLWG/8lGqGvq3ZYqZfy+9+83Go5YEvckZiOJSMzlmXnm+pl5Zp65hTSODVGKxuWwjQpL6i6R0rNS4hK0pFrqTkU2iR5x6Gp3oxplXy9PKxqbhjmBkaEilpEjMlvWLdIrQ6cVhT9PRJJw5DqeVjQ2DXMCI0NFLCMLMlvWLdIrQ6cVhT9PRJKwcB1PKxqbhjmBkaEilpElmS3rFumVodOKwp8nIklYu46nFY1Nw5zAyFARy8iKzJZ1i/TK0GlF4c8TkSQcXMfTisamYU5gZKiIZWRNZsu6RXpl6LSi8OeJSBIWW9fxtKKxaZgTGBkqYhnZkNmybpFeGTqtKPx5IpKE5cZ1PK1obBrmBEaGilhGtmS2rFukV4ZOKwp/nogkYbV1HU8rGpuGOYGRoSKWkR2ZLesW6ZWh04rCnyciSVgfXMfTisamYU5gZKiIZWRPZsu6RXpl6LSi8OeJSBK2a9fxtKKxaZgTGBkqYhk5kNmybpFeGTqtKPx5IpKE/cJ1PK1obBrmBEaGilhGFkdktqxbpFeGTisKf56IJGHlOp5WNDYNcwIjQ0UsI4sFmS3rFumVodOKwp8nIklYrl3H04rGpmFOYGSoiGVksSSzZd0ivTJ0WlH480QkCeud63ha0dg0zAmMDBWxjCxWZLasW6RXhk4rCn+eiCRht3QdTysam4Y5gZGhIpaRxZrMlnWL9MrQaUXhzxORJCxdx9OKxqZhTmBkqIhlZLEhs2XdIr0ydFpR+PNEJAmrhet4WtHYNMwJjAwVsYwstmS2rFukV4ZOKwp/nogkYbt0HU8rGpuGOYGRoSKWkcWOzJZ1i/TK0GlF4c8TkSQcNq7jaUVj0zAnMDJUxDKy2JPZsm6RXhk6rSj8eSKShNXKdTytaGwa5gRGhopYRhYHMlvWLdIrQ6cVhT9PRJKwO3IdTysam4Y5gZGhIpaR5RGZLesW6ZWh04rCnyciSVgsXcfTisamYU5gZKiIZWS5ILNl3SK9MnRaUfjzRCQJm5XreFrR2DTMCYwMFbGMLJdktqxbpFeGTisKf56IJOGwdR1PKxqbhjmBkaEilpHlisyWdYv0ytBpReHPE5EkrNeu42lFY9MwJzAyVMQyslyT2bJukV4ZOq0o/HkikoTDwnU8rWhsGuYERoaKWEaWGzJb1i3SK0OnFYU/T0SSsF65jqcVjU3DnMDIUBHLyHJLZsu6RXpl6LSi8OeJSBIOa9fxtKKxaZgTGBkqYhlZ7shsWbdIrwydVhT+PBFJwubIdTytaGwa5gRGhopYRpZ7MlvWLdIrQ6cVhT9PRJKwdx1PKxqbhjmBkaEilpHlgcyWdYv0ytBpReHPE5EkbDeu42lFY9MwJzAyVMQysjois2XdIr0ydFpR+PNEJAnLnet4WtHYNMwJjAwVsYysFmS2rFukV4ZOKwp/nogkYb93HU8rGpuGOYGRoSKWkdWSzJZ1i/TK0GlF4c8TkSRs1q7jaUVj0zAnMDJUxDKyWpHZsm6RXhk6rSj8eSKShOXSdTytaGwa5gRGhopYRlZrMlvWLdIrQ6cVhT9PRJKwP7iOpxWNTcOcwMhQEcvIakNmy7pFemXotKLw54lIErYL1/G0orFpmBMYGSpiGVltyWxZt0ivDJ1WFP48EUnCauM6nlY0Ng1zAiNDRSwjqx2ZLesW6ZWh04rCnyciSVgsXMfTisamYU5gZKiIZWS1J7Nl3SK9MnRaUfjzRCQJ+63reFrR2DTMCYwMFbGMrA5ktqxbpFeGTisKf56IJGG7dR1PKxqbhjmBkaEilpH1EZkt6xbplaHTisKfJyJJWO9dx9OKxqZhTmBkqIhlZL0gs2XdIr0ydFpR+PNEJAmrpet4WtHYNMwJjAwVsYysl2S2rFukV4ZOKwp/nogkYbF3HU8rGpuGOYGRoSKWkfWKzJZ1i/TK0GlF4c8TkSRsXcfTisamYU5gZKiIZWS9JrNl3SK9MnRaUfjzRCQJh5XreFrR2DTMCYwMFbGMrDdktqxbpFeGTisKf56IJGG/cR1PKxqbhjmBkaEilpH1lsyWdYv0ytBpReHPE5Ek7A6u42lFY9MwJzAyVMQyst6R2bJukV4ZOq0o/HkikoTdxnU8rWhsGuYERoaKWEbWezJb1i3SK0OnFYU/T0SSsFu5jqcVjU3DnMDIUBHLyPpAZsu6RXpl6LSi8OeJSBJ2K9fxtKKxaZgTGBkqYhnZHJHZsm6RXhk6rSj8eSKShN3GdTytaGwa5gRGhopYRjYLMlvWLdIrQ6cVhT9PRJKwO7iOpxWNTcOcwMhQEcvIZklmy7pFemXotKLw54lIEvYb1/G0orFpmBMYGSpiGdmsyGxZt0ivDJ1WFP48EUnCYeU6nlY0Ng1zAiNDRSwjmzWZLesW6ZWh04rCnyciSdi6jqcVjU3DnMDIUBHLyGZDZsu6RXpl6LSi8OeJSBIWe9fxtKKxaZgTGBkqYhnZbMlsWbdIrwydVhT+PBFJwmrpOp5WNDYNcwIjQ0UsI5sdmS3rFumVodOKwp8nIklY713H04rGpmFOYGSoiGVksyezZd0ivTJ0WlH480QkCdut63ha0dg0zAmMDBWxjGwOZLasW6RXhk4rCn+eiCRhv3UdTysam4Y5gZGhIpaR7RGZLesW6ZWh04rCnyciSVgsXMfTisamYU5gZKiIZWS7ILNl3SK9MnRaUfjzRCQJq43reFrR2DTMCYwMFbGMbJdktqxbpFeGTisKf56IJGG7cB1PKxqbhjmBkaEilpHtisyWdYv0ytBpReHPE5Ek7A+u42lFY9MwJzAyVMQysl2T2bJukV4ZOq0o/HkikoTl0nU8rWhsGuYERoaKWEa2GzJb1i3SK0OnFYU/T0SSsFm7jqcVjU3DnMDIUBHLyHZLZsu6RXpl6LSi8OeJSBL2e9fxtKKxaZgTGBkqYhnZ7shsWbdIrwydVhT+PBFJwnLnOp5WNDYNcwIjQ0UsI9s9mS3rFumVodOKwp8nIknYblzH04rGpmFOYGSoiGVkeyCzZd0ivTJ0WlH480QkCXvX8bSisWmYExgZKmIZ2R2R2bJukV4ZOq0o/HkikoTNket4WtHYNMwJjAwVsYzsFmS2rFukV4ZOKwp/nogk4bB2HU8rGpuGOYGRoSKWkd2SzJZ1i/TK0GlF4c8TkSSsV67jaUVj0zAnMDJUxDKyW5HZsm6RXhk6rSj8eSKShMPCdTytaGwa5gRGhopYRnZrMlvWLdIrQ6cVhT9PRJKwXruOpxWNTcOcwMhQEcvIbkNmy7pFemXotKLw54lIEg5b1/G0orFpmBMYGSpiGdltyWxZt0ivDJ1WFP48EUnCZuU6nlY0Ng1zAiNDRSwjux2ZLesW6ZWh04rCnyciSVgsXcfTisamYU5gZKiIZWS3J7Nl3SK9MnRaUfjzRCQJuyPX8bSisWmYExgZKmIZ2R3IbFm3SK8MnVYU/jwRScJq5TqeVjQ2DXMCI0NFLCP7IzJb1i3SK0OnFYU/T0SScNi4jqcVjU3DnMDIUBHLyH5BZsu6RXpl6LSi8OeJSBK2S9fxtKKxaZgTGBkqYhnZL8lsWbdIrwydVhT+PBFJwmrhOp5WNDYNcwIjQ0UsI/sVmS3rFumVodOKwp8nIklYuo6nFY1Nw5zAyFARy8h+TWbLukV6Zei0ovDniUgSdkvX8bSisWmYExgZKmIZ2W/IbFm3SK8MnVYU/jwRScJ65zqeVjQ2DXMCI0NFLCP7LZkt6xbplaHTisKfJyJJWK5dx9OKxqZhTmBkqIhlZL8js2XdIr0ydFpR+PNEJAkr1/G0orFpmBMYGSpiGdnvyWxZt0ivDJ1WFP48EUnCfuE6nlY0Ng1zAiNDRSwj+wOZLesW6ZWh04rCnyciSdiuXcfTisamYU5gZKiIZeRwRGbLukV6Zei0ovDniUgS1gfX8bSisWmYExgZKmIZOSzIbFm3SK8MnVYU/jwRScJq6zqeVjQ2DXMCI0NFLCOHJZkt6xbplaHTisKfJyJJWG5cx9OKxqZhTmBkqIhl5LAis2XdIr0ydFpR+PNEJAmLret4WtHYNMwJjAwVsYwc1mS2rFukV4ZOKwp/nogk4eA6nlY0Ng1zAiNDRSwjhw2ZLesW6ZWh04rCnyciSVi7jqcVjU3DnMDIUBHLyGFLZsu6RXpl6LSi8OeJSBIWruNpRWPTMCcwMlTEMnLYkdmybpFeGTqtKPx5IpKEI9fxtKKxaZgTGBkqYhk57MlsWbdIrwydVhT+PBFJwsJ1PK1obBrmBEaGilhGDgcyW9Yt0itDpxWFP09EkrB2HU8rGpuGOYGRoSKWkcXREZkt6xbplaHTisKfJyJJOLiOpxWNTcOcwMhQEcvI4mhBZsu6RXpl6LSi8OeJSBIWW9fxtKKxaZgTGBkqYhlZHC3JbFm3SK8MnVYU/jwRScJy4zqeVjQ2DXMCI0NFLCOLoxWZLesW6ZWh04rCnyciSVhtXcfTisamYU5gZKiIZWRxtCazZd0ivTJ0WlH480QkCeuD63ha0dg0zAmMDBWxjCyONmS2rFukV4ZOKwp/nogkYbt2HU8rGpuGOYGRoSKWkcXRlsyWdYv0ytBpReHPE5Ek7Beu42lFY9MwJzAyVMQysjjakdmybpFeGTqtKPx5IpKElet4WtHYNMwJjAwVsYwsjvZktqxbpFeGTisKf56IJGG5dh1PKxqbhjmBkaEilpHF0YHMlnWL9MrQaUXhzxORJKx3ruNpRWPTMCcwMlTEMrJYHJHZsm6RXhk6rSj8eSKShN3SdTytaGwa5gRGhopYRhaLBZkt6xbplaHTisKfJyJJWLqOpxWNTcOcwMhQEcvIYrEks2XdIr0ydFpR+PNEJAmrhet4WtHYNMwJjAwVsYwsFisyW9Yt0itDpxWFP09EkrBduo6nFY1Nw5zAyFARy8hisSazZd0ivTJ0WlH480QkCYeN63ha0dg0zAmMDBWxjCwWGzJb1i3SK0OnFYU/T0SSsFq5jqcVjU3DnMDIUBHLyGKxJbNl3SK9MnRaUfjzRCQJuyPX8bSisWmYExgZKmIZWSx2ZLasW6RXhk4rCn+eiCRhsXQdTysam4Y5gZGhIpaRxWJPZsu6RXpl6LSi8OeJSBI2K9fxtKKxaZgTGBkqYhlZLA5ktqxbpFeGTisKf56IJOGwdZ3PX/Ky/Fl3/e+7vDs/cfNLHn7LK4+/YfH9c8wJpyfxK8973+V/eN4d55x08Vcve8e3/tD7b0/YfUi98Dt3m95y060P7V970bff+rpHPHn706eOzzn2H5+8+ju3veK133tM+dxfn3NLzV2vu/bce77+c/f53vP/7n1PPOOtZ//j2W+719vv+Ohn7nXSW57xkeN/6wPLyxdXnv30NzXb173gzsPJv/kfl3f/7y0vedAFT7m+bF57Qn3eF45/2BNWp/7pp05+97Fj71/9ySUXvu5JP9Td1adc+9k3nPie6Avf/eIPXnzLv91wn+OSd976qKt+e/HKrwefe8/zLnHvk7/x7deU7/3z8+/79PrSj/396fe7+t2P/dYH7rrqx381PdL87hVnXPq5q//isr/65mtef9v7w/96dnzrlatH/eLC9328ffGLntVc8sn3vuYFD2k++8ULb3/s6gOXnxW/42KbRP8j/Rc557SrTj7rc3f7+fVXPO2Tcuxj+5v+y39e75318Ivv/cZHv+GlV3z2a59/t3/W8fv9X9zws3sce+CfXfqIl3/9XenlL3n7x47/zhse9LRX3/8jd1tdcOY3bjnnXR887ZkX/NMr/B/d/f63nPBnd/ze4/zvBWfk5QN+cPfLnmme/p03/81LH/6Vez7p9ivqp15U3P2e1/34OjbPuSQ+8/jtp1a3nPC3e/dHj3nI8y689ivPePUTn/+fb3/yTx/1qM3Fx0788LNPfM3ya9/5o2/95gtuufrLL/30h4IbTrrtlc8+5dPX3e+8t55+7vmfGF/y8TOP/8nD7vjjZ1z+02884LL3X/O472/ecOLjj3/4N3//qUf/fM1v/GR660lnffWU4YOn/uW/f+GLd/+dr/7t5x99wj2+PD/5U/pxf2+y+3zmtOPMhU9Z//ub0yd/4pRz//TVt9z0zmuv+KfhHZtf/duz/vraW3cnHvuC+uTP/NsvvNevN1/oX/Wi/1s986aPepf87IF/c9VbX3dBfd9/ecDnb3eufMhfnvzsL59zr++dduKj/vnNcsJvn3rzL15w+rGb/yD75fAnX//Rt3/x0R/82Pz3h772tAec/MfVRVecctd9b7/ztk+9/WnfeOzLb7j277Ibb3jN92/+yM+nn7/4Bb984qkXu1+68ikXP/rdt55x7gPv/aAf/K/LLgrfc+dj7v/U47Lv/jR65NmvvvGJL7p+8+B3/uOrfv2Rq847+tfvfv3Tz8metb3yReMP/+F/XnHs9tefeM0rTnjK+tKrX/WJHz1hPP3YmW965cNuuPWP3rjb3iaH/RPu9/JTLrv5rL8+49vnXD+9afrE1844823vVS960EtOuu/9L3hecs09bvnzB1933Cm/+tKND//5H5y5v+S515/0OT77q1PfdXTCbac7t519/Pygly0uvfSizfmPf+BN1/zOAx9/6Vd+eNtN535Y7vnSy67cZN1V/+f3n/fzX3xvf9x1N/7Ue+7Pvn3HBz/zzR8/5JE3nvOeV3/Jyz9cn3v+vc/71XH3uvkdP3zweR//9At/95cv/K366LSHfu0flub18WnF2975lZ8MTzr62IeuOOa7d77zoc/47jtOftV7vv+v+3M+nr//i88///l3lie97EOPePcvn3nqN592/Ktue9dxb7nzrue8Inr6Red94P8D"],
+  ["run length encoding", "BcEL9D/nfODxxLWG/8lGqGvq3ZYqZfy+9+83Go5YEvckZiOJSMzlmXnm+pl5Zp65hTSODVGKxuWwjQpL6i6R0rNS4hK0pFrqTkU2iR5x6Gp3oxplXy9PKxqbhjmBkaEilpEjMlvWLdIrQ6cVhT9PRJJw5DqeVjQ2DXMCI0NFLCMLMlvWLdIrQ6cVhT9PRJKwcB1PKxqbhjmBkaEilpElmS3rFumVodOKwp8nIklYu46nFY1Nw5zAyFARy8iKzJZ1i/TK0GlF4c8TkSQcXMfTisamYU5gZKiIZWRNZsu6RXpl6LSi8OeJSBIWW9fxtKKxaZgTGBkqYhnZkNmybpFeGTqtKPx5IpKE5cZ1PK1obBrmBEaGilhGtmS2rFukV4ZOKwp/nogkYbV1HU8rGpuGOYGRoSKWkR2ZLesW6ZWh04rCnyciSVgfXMfTisamYU5gZKiIZWRPZsu6RXpl6LSi8OeJSBK2a9fxtKKxaZgTGBkqYhk5kNmybpFeGTqtKPx5IpKE/cJ1PK1obBrmBEaGilhGFkdktqxbpFeGTisKf56IJGHlOp5WNDYNcwIjQ0UsI4sFmS3rFumVodOKwp8nIklYrl3H04rGpmFOYGSoiGVksSSzZd0ivTJ0WlH480QkCeud63ha0dg0zAmMDBWxjCxWZLasW6RXhk4rCn+eiCRht3QdTysam4Y5gZGhIpaRxZrMlnWL9MrQaUXhzxORJCxdx9OKxqZhTmBkqIhlZLEhs2XdIr0ydFpR+PNEJAmrhet4WtHYNMwJjAwVsYwstmS2rFukV4ZOKwp/nogkYbt0HU8rGpuGOYGRoSKWkcWOzJZ1i/TK0GlF4c8TkSQcNq7jaUVj0zAnMDJUxDKy2JPZsm6RXhk6rSj8eSKShNXKdTytaGwa5gRGhopYRhYHMlvWLdIrQ6cVhT9PRJKwO3IdTysam4Y5gZGhIpaR5RGZLesW6ZWh04rCnyciSVgsXcfTisamYU5gZKiIZWS5ILNl3SK9MnRaUfjzRCQJm5XreFrR2DTMCYwMFbGMLJdktqxbpFeGTisKf56IJOGwdR1PKxqbhjmBkaEilpHlisyWdYv0ytBpReHPE5EkrNeu42lFY9MwJzAyVMQyslyT2bJukV4ZOq0o/HkikoTDwnU8rWhsGuYERoaKWEaWGzJb1i3SK0OnFYU/T0SSsF65jqcVjU3DnMDIUBHLyHJLZsu6RXpl6LSi8OeJSBIOa9fxtKKxaZgTGBkqYhlZ7shsWbdIrwydVhT+PBFJwubIdTytaGwa5gRGhopYRpZ7MlvWLdIrQ6cVhT9PRJKwdx1PKxqbhjmBkaEilpHlgcyWdYv0ytBpReHPE5EkbDeu42lFY9MwJzAyVMQysjois2XdIr0ydFpR+PNEJAnLnet4WtHYNMwJjAwVsYysFmS2rFukV4ZOKwp/nogkYb93HU8rGpuGOYGRoSKWkdWSzJZ1i/TK0GlF4c8TkSRs1q7jaUVj0zAnMDJUxDKyWpHZsm6RXhk6rSj8eSKShOXSdTytaGwa5gRGhopYRlZrMlvWLdIrQ6cVhT9PRJKwP7iOpxWNTcOcwMhQEcvIakNmy7pFemXotKLw54lIErYL1/G0orFpmBMYGSpiGVltyWxZt0ivDJ1WFP48EUnCauM6nlY0Ng1zAiNDRSwjqx2ZLesW6ZWh04rCnyciSVgsXMfTisamYU5gZKiIZWS1J7Nl3SK9MnRaUfjzRCQJ+63reFrR2DTMCYwMFbGMrA5ktqxbpFeGTisKf56IJGG7dR1PKxqbhjmBkaEilpH1EZkt6xbplaHTisKfJyJJWO9dx9OKxqZhTmBkqIhlZL0gs2XdIr0ydFpR+PNEJAmrpet4WtHYNMwJjAwVsYysl2S2rFukV4ZOKwp/nogkYbF3HU8rGpuGOYGRoSKWkfWKzJZ1i/TK0GlF4c8TkSRsXcfTisamYU5gZKiIZWS9JrNl3SK9MnRaUfjzRCQJh5XreFrR2DTMCYwMFbGMrDdktqxbpFeGTisKf56IJGG/cR1PKxqbhjmBkaEilpH1lsyWdYv0ytBpReHPE5Ek7A6u42lFY9MwJzAyVMQyst6R2bJukV4ZOq0o/HkikoTdxnU8rWhsGuYERoaKWEbWezJb1i3SK0OnFYU/T0SSsFu5jqcVjU3DnMDIUBHLyPpAZsu6RXpl6LSi8OeJSBJ2K9fxtKKxaZgTGBkqYhnZHJHZsm6RXhk6rSj8eSKShN3GdTytaGwa5gRGhopYRjYLMlvWLdIrQ6cVhT9PRJKwO7iOpxWNTcOcwMhQEcvIZklmy7pFemXotKLw54lIEvYb1/G0orFpmBMYGSpiGdmsyGxZt0ivDJ1WFP48EUnCYeU6nlY0Ng1zAiNDRSwjmzWZLesW6ZWh04rCnyciSdi6jqcVjU3DnMDIUBHLyGZDZsu6RXpl6LSi8OeJSBIWe9fxtKKxaZgTGBkqYhnZbMlsWbdIrwydVhT+PBFJwmrpOp5WNDYNcwIjQ0UsI5sdmS3rFumVodOKwp8nIklY713H04rGpmFOYGSoiGVksyezZd0ivTJ0WlH480QkCdut63ha0dg0zAmMDBWxjGwOZLasW6RXhk4rCn+eiCRhv3UdTysam4Y5gZGhIpaR7RGZLesW6ZWh04rCnyciSVgsXMfTisamYU5gZKiIZWS7ILNl3SK9MnRaUfjzRCQJq43reFrR2DTMCYwMFbGMbJdktqxbpFeGTisKf56IJGG7cB1PKxqbhjmBkaEilpHtisyWdYv0ytBpReHPE5Ek7A+u42lFY9MwJzAyVMQysl2T2bJukV4ZOq0o/HkikoTl0nU8rWhsGuYERoaKWEa2GzJb1i3SK0OnFYU/T0SSsFm7jqcVjU3DnMDIUBHLyHZLZsu6RXpl6LSi8OeJSBL2e9fxtKKxaZgTGBkqYhnZ7shsWbdIrwydVhT+PBFJwnLnOp5WNDYNcwIjQ0UsI9s9mS3rFumVodOKwp8nIknYblzH04rGpmFOYGSoiGVkeyCzZd0ivTJ0WlH480QkCXvX8bSisWmYExgZKmIZ2R2R2bJukV4ZOq0o/HkikoTNket4WtHYNMwJjAwVsYzsFmS2rFukV4ZOKwp/nogk4bB2HU8rGpuGOYGRoSKWkd2SzJZ1i/TK0GlF4c8TkSSsV67jaUVj0zAnMDJUxDKyW5HZsm6RXhk6rSj8eSKShMPCdTytaGwa5gRGhopYRnZrMlvWLdIrQ6cVhT9PRJKwXruOpxWNTcOcwMhQEcvIbkNmy7pFemXotKLw54lIEg5b1/G0orFpmBMYGSpiGdltyWxZt0ivDJ1WFP48EUnCZuU6nlY0Ng1zAiNDRSwjux2ZLesW6ZWh04rCnyciSVgsXcfTisamYU5gZKiIZWS3J7Nl3SK9MnRaUfjzRCQJuyPX8bSisWmYExgZKmIZ2R3IbFm3SK8MnVYU/jwRScJq5TqeVjQ2DXMCI0NFLCP7IzJb1i3SK0OnFYU/T0SScNi4jqcVjU3DnMDIUBHLyH5BZsu6RXpl6LSi8OeJSBK2S9fxtKKxaZgTGBkqYhnZL8lsWbdIrwydVhT+PBFJwmrhOp5WNDYNcwIjQ0UsI/sVmS3rFumVodOKwp8nIklYuo6nFY1Nw5zAyFARy8h+TWbLukV6Zei0ovDniUgSdkvX8bSisWmYExgZKmIZ2W/IbFm3SK8MnVYU/jwRScJ65zqeVjQ2DXMCI0NFLCP7LZkt6xbplaHTisKfJyJJWK5dx9OKxqZhTmBkqIhlZL8js2XdIr0ydFpR+PNEJAkr1/G0orFpmBMYGSpiGdnvyWxZt0ivDJ1WFP48EUnCfuE6nlY0Ng1zAiNDRSwj+wOZLesW6ZWh04rCnyciSdiuXcfTisamYU5gZKiIZeRwRGbLukV6Zei0ovDniUgS1gfX8bSisWmYExgZKmIZOSzIbFm3SK8MnVYU/jwRScJq6zqeVjQ2DXMCI0NFLCOHJZkt6xbplaHTisKfJyJJWG5cx9OKxqZhTmBkqIhl5LAis2XdIr0ydFpR+PNEJAmLret4WtHYNMwJjAwVsYwc1mS2rFukV4ZOKwp/nogk4eA6nlY0Ng1zAiNDRSwjhw2ZLesW6ZWh04rCnyciSVi7jqcVjU3DnMDIUBHLyGFLZsu6RXpl6LSi8OeJSBIWruNpRWPTMCcwMlTEMnLYkdmybpFeGTqtKPx5IpKEI9fxtKKxaZgTGBkqYhk57MlsWbdIrwydVhT+PBFJwsJ1PK1obBrmBEaGilhGDgcyW9Yt0itDpxWFP09EkrB2HU8rGpuGOYGRoSKWkcXREZkt6xbplaHTisKfJyJJOLiOpxWNTcOcwMhQEcvI4mhBZsu6RXpl6LSi8OeJSBIWW9fxtKKxaZgTGBkqYhlZHC3JbFm3SK8MnVYU/jwRScJy4zqeVjQ2DXMCI0NFLCOLoxWZLesW6ZWh04rCnyciSVhtXcfTisamYU5gZKiIZWRxtCazZd0ivTJ0WlH480QkCeuD63ha0dg0zAmMDBWxjCyONmS2rFukV4ZOKwp/nogkYbt2HU8rGpuGOYGRoSKWkcXRlsyWdYv0ytBpReHPE5Ek7Beu42lFY9MwJzAyVMQysjjakdmybpFeGTqtKPx5IpKElet4WtHYNMwJjAwVsYwsjvZktqxbpFeGTisKf56IJGG5dh1PKxqbhjmBkaEilpHF0YHMlnWL9MrQaUXhzxORJKx3ruNpRWPTMCcwMlTEMrJYHJHZsm6RXhk6rSj8eSKShN3SdTytaGwa5gRGhopYRhaLBZkt6xbplaHTisKfJyJJWLqOpxWNTcOcwMhQEcvIYrEks2XdIr0ydFpR+PNEJAmrhet4WtHYNMwJjAwVsYwsFisyW9Yt0itDpxWFP09EkrBduo6nFY1Nw5zAyFARy8hisSazZd0ivTJ0WlH480QkCYeN63ha0dg0zAmMDBWxjCwWGzJb1i3SK0OnFYU/T0SSsFq5jqcVjU3DnMDIUBHLyGKxJbNl3SK9MnRaUfjzRCQJuyPX8bSisWmYExgZKmIZWSx2ZLasW6RXhk4rCn+eiCRhsXQdTysam4Y5gZGhIpaRxWJPZsu6RXpl6LSi8OeJSBI2K9fxtKKxaZgTGBkqYhlZLA5ktqxbpFeGTisKf56IJOGwdZ3PX/Ky/Fl3/e+7vDs/cfNLHn7LK4+/YfH9c8wJpyfxK8973+V/eN4d55x08Vcve8e3/tD7b0/YfUi98Dt3m95y060P7V970bff+rpHPHn706eOzzn2H5+8+ju3veK133tM+dxfn3NLzV2vu/bce77+c/f53vP/7n1PPOOtZ//j2W+719vv+Ohn7nXSW57xkeN/6wPLyxdXnv30NzXb173gzsPJv/kfl3f/7y0vedAFT7m+bF57Qn3eF45/2BNWp/7pp05+97Fj71/9ySUXvu5JP9Td1adc+9k3nPie6Avf/eIPXnzLv91wn+OSd976qKt+e/HKrwefe8/zLnHvk7/x7deU7/3z8+/79PrSj/396fe7+t2P/dYH7rrqx381PdL87hVnXPq5q//isr/65mtef9v7w/96dnzrlatH/eLC9328ffGLntVc8sn3vuYFD2k++8ULb3/s6gOXnxW/42KbRP8j/Rc557SrTj7rc3f7+fVXPO2Tcuxj+5v+y39e75318Ivv/cZHv+GlV3z2a59/t3/W8fv9X9zws3sce+CfXfqIl3/9XenlL3n7x47/zhse9LRX3/8jd1tdcOY3bjnnXR887ZkX/NMr/B/d/f63nPBnd/ze4/zvBWfk5QN+cPfLnmme/p03/81LH/6Vez7p9ivqp15U3P2e1/34OjbPuSQ+8/jtp1a3nPC3e/dHj3nI8y689ivPePUTn/+fb3/yTx/1qM3Fx0788LNPfM3ya9/5o2/95gtuufrLL/30h4IbTrrtlc8+5dPX3e+8t55+7vmfGF/y8TOP/8nD7vjjZ1z+02884LL3X/O472/ecOLjj3/4N3//qUf/fM1v/GR660lnffWU4YOn/uW/f+GLd/+dr/7t5x99wj2+PD/5U/pxf2+y+3zmtOPMhU9Z//ub0yd/4pRz//TVt9z0zmuv+KfhHZtf/duz/vraW3cnHvuC+uTP/NsvvNevN1/oX/Wi/1s986aPepf87IF/c9VbX3dBfd9/ecDnb3eufMhfnvzsL59zr++dduKj/vnNcsJvn3rzL15w+rGb/yD75fAnX//Rt3/x0R/82Pz3h772tAec/MfVRVecctd9b7/ztk+9/WnfeOzLb7j277Ibb3jN92/+yM+nn7/4Bb984qkXu1+68ikXP/rdt55x7gPv/aAf/K/LLgrfc+dj7v/U47Lv/jR65NmvvvGJL7p+8+B3/uOrfv2Rq847+tfvfv3Tz8metb3yReMP/+F/XnHs9tefeM0rTnjK+tKrX/WJHz1hPP3YmW965cNuuPWP3rjb3iaH/RPu9/JTLrv5rL8+49vnXD+9afrE1844823vVS960EtOuu/9L3hecs09bvnzB1933Cm/+tKND//5H5y5v+S515/0OT77q1PfdXTCbac7t519/Pygly0uvfSizfmPf+BN1/zOAx9/6Vd+eNtN535Y7vnSy67cZN1V/+f3n/fzX3xvf9x1N/7Ue+7Pvn3HBz/zzR8/5JE3nvOeV3/Jyz9cn3v+vc/71XH3uvkdP3zweR//9At/95cv/K366LSHfu0flub18WnF2975lZ8MTzr62IeuOOa7d77zoc/47jtOftV7vv+v+3M+nr//i88///l3lie97EOPePcvn3nqN592/Ktue9dxb7nzrue8Inr6Red94P8D"],
+];
@@ -0,0 +1,113 @@
+'''
+This file is part of ND.JS.
+
+ND.JS is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+ND.JS is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+'''
+
+# Generates npz_test_data.js using only the Python standard library. The archives are
+# written the same way `numpy.savez` and `numpy.savez_compressed` write them, i.e. via
+# `zipfile` with `force_zip64=True`.
+
+import base64, io, struct, zipfile, zlib
+
+
+def npy( descr, shape, fmt, values ):
+  header = "{'descr': '%s', 'fortran_order': False, 'shape': (%s), }" % (
+    descr, ''.join('%d, ' % s for s in shape).rstrip(' ') if len(shape) != 1 else '%d,' % shape[0]
+  )
+  header += ' ' * (-(len(header)+11) % 64) + '\n'
+  return b'\x93NUMPY\x01\x00' + struct.pack('<H', len(header)) + header.encode('latin1') + struct.pack(fmt % len(values), *values)
+
+
+# must match `plain_text()` in npz_test.js
+def plain_text():
+  out = bytearray()
+  for i in range(120):
+    out += ('The quick brown fox %d jumps over the lazy dog %d.\n' % (i, i*i % 97)).encode('ascii')
+  x = 1
+  for i in range(1000):
+    x = (x*1103515245 + 12345) % 2**31
+    out.append(x >> 16 & 255)
+  return bytes(out)
+
+
+def b64( bytes ):
+  return base64.encodebytes(bytes).decode('ascii').replace('\n','')
+
+
+def main():
+
+  arrays = {
+    'a':     npy('<f8', (2,3), '<%dd', [0.5*i - 1 for i in range(6)]),
+    'b':     npy('<i4', (4,),  '<%di', [-2000, -1000, 0, 1000]),
+    'c':     npy('|b1', (),    '<%dB', [1]),
+    'd/e':   npy('>i2', (3,1), '>%dh', [-3, 7, 300])
+  }
+
+  def archive( compression ):
+    with io.BytesIO() as bytes:
+      with zipfile.ZipFile(bytes, mode='w', compression=compression, allowZip64=True) as zipf:
+        for name,data in arrays.items():
+          with zipf.open(name + '.npy', 'w', force_zip64=True) as f:
+            f.write(data)
+      return b64(bytes.getvalue())
+
+  text = plain_text()
+
+  def deflate( level, strategy ):
+    c = zlib.compressobj(level, zlib.DEFLATED, -15, 9, strategy)
+    return b64(c.compress(text) + c.flush())
+
+  with open('./npz_test_data.js', mode='w') as out:
+    out.write('''\
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+// GENERATED BY npz_test_data.py
+
+
+''')
+    out.write('export const NPZ_STORED  = "%s";\n\n' % archive(zipfile.ZIP_STORED))
+    out.write('export const NPZ_DEFLATE = "%s";\n\n\n' % archive(zipfile.ZIP_DEFLATED))
+    out.write('// raw DEFLATE streams of `plain_text()` as [description, base64]\n')
+    out.write('export const DEFLATE_STREAMS = [\n')
+    for desc,level,strategy in [
+      ('stored blocks',         0, zlib.Z_DEFAULT_STRATEGY),
+      ('fixed Huffman codes',   6, zlib.Z_FIXED),
+      ('dynamic, level 1',      1, zlib.Z_DEFAULT_STRATEGY),
+      ('dynamic, level 9',      9, zlib.Z_DEFAULT_STRATEGY),
+      ('Huffman only',          6, zlib.Z_HUFFMAN_ONLY),
+      ('run length encoding',   6, zlib.Z_RLE)
+    ]:
+      out.write('  ["%s", "%s"],\n' % (desc, deflate(level, strategy)))
+    out.write('];\n')
+
+
+if '__main__' == __name__:
+  main()
@@ -0,0 +1,141 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {forEachItemIn, CUSTOM_MATCHERS} from '../jasmine_utils'
+import {NDArray} from '../nd_array'
+import {from_dense} from '../sparse/convert'
+import {tabulate} from '../tabulate'
+
+import {KrylovNoConvergenceError} from './krylov_no_convergence_error'
+import {matmul2} from './matmul'
+
+
+/** Generic tests for the square iterative solvers. The kind of test matrices
+ *  is chosen via `kind` which is either 'spd', 'sym' (symmetric indefinite)
+ *  or 'general'.
+ */
+export function generic_test_krylov( solve_gen, kind )
+{
+  const name = solve_gen.name;
+
+  describe(`${name} [generic KRYLOV tests]`, () => {
+
+    beforeEach( () => {
+      jasmine.addMatchers(CUSTOM_MATCHERS)
+    });
+
+
+    const matvec = A => x => matmul2(A, x.reshape(-1,1)).reshape(-1);
+
+
+    /** Random, diagonally dominant test matrices with a well-behaved spectrum.
+     *  For kind 'sym', the diagonal has random signs, i.e. most matrices are indefinite.
+     */
+    function* problems(rng)
+    {
+      let n_indefinite = 0;
+      for( let run=0; run++ < 256; )
+      {
+        const N = rng.int(1,48),
+           fill = rng.uniform(0,0.3),
+              B = tabulate([N,N], 'float64', (i,j) => i !== j && rng.uniform(0,1) < fill ? rng.uniform(-1,+1) : 0 ),
+              C = kind === 'general' ? B : tabulate([N,N], 'float64', (i,j) => B(i,j) + B(j,i)),
+              // Gershgorin discs that do not contain zero
+              A = tabulate([N,N], 'float64', (i,j) => {
+                if( i !== j ) return C(i,j);
+                let d = rng.uniform(1,2);
+                for( let k=0; k < N; k++ )
+                  d += Math.abs( C(i,k) );
+                return kind === 'sym' && rng.bool() ? -d : d;
+              }),
+              b = tabulate([N],   'float64', () => rng.uniform(-4,+4));
+        Object.freeze(A.data.buffer);
+        Object.freeze(b.data.buffer);
+        // by diagonal dominance, A is indefinite iff its diagonal has both signs
+        const diag = Array.from({length: N}, (_,i) => A(i,i));
+        if( diag.some(d => d < 0) && diag.some(d => d > 0) )
+          ++n_indefinite;
+        yield [A,b];
+      }
+      if( kind === 'sym' && n_indefinite < 128 )
+        throw new Error(`Only ${n_indefinite} indefinite test matrices generated.`);
+    }
+
+
+    forEachItemIn(
+      problems
+    ).it('solves random examples', ([A,b]) => {
+      const N = b.shape[0],
+        b_norm = Math.hypot(...b.data);
+
+      let n_iter = 0, x, res;
+      for( [x,res] of solve_gen(A,b) )
+      {
+        expect(x).toEqual( jasmine.any(NDArray) );
+        expect(x.shape).toEqual(b.shape);
+        expect(res).toBeGreaterThanOrEqual(0);
+        ++n_iter;
+      }
+      expect(n_iter).toBeLessThanOrEqual(10*N+1);
+      expect(res).not.toBeGreaterThan(1e-8*b_norm);
+      expect( matvec(A)(x) ).toBeAllCloseTo(b, {rtol:0, atol:1e-6*b_norm});
+    });
+
+
+    forEachItemIn(
+      problems
+    ).it('accepts sparse matrices, callbacks and preconditioners', ([A,b]) => {
+      const N = b.shape[0],
+        b_norm = Math.hypot(...b.data),
+        // Jacobi preconditioner
+        M = tabulate([N,N], 'float64', (i,j) => i===j ? 1 / Math.abs(A(i,i)) : 0);
+
+      for( const opt of [{}, {M}, {M: from_dense(M)}, {M: matvec(M)}, {x0: b}] )
+      for( const a of [A, from_dense(A), matvec(A)] )
+      {
+        let x;
+        for( [x] of solve_gen(a,b,opt) );
+        expect( matvec(A)(x) ).toBeAllCloseTo(b, {rtol:0, atol:1e-6*b_norm});
+      }
+    });
+
+
+    forEachItemIn(
+      problems
+    ).it('respects tol', ([A,b]) => {
+      const b_norm = Math.hypot(...b.data);
+      let res;
+      for( [,res] of solve_gen(A,b,{tol:1e-3}) );
+      expect(res).not.toBeGreaterThan(1e-3*b_norm);
+    });
+
+
+    it('throws KrylovNoConvergenceError after maxiter', () => {
+      const N = 32,
+            A = tabulate([N,N], 'float64', (i,j) => i===j ? (kind === 'spd' ? i+1 : (i%2 ? -i-1 : i+1)) : 0),
+            b = tabulate([N],   'float64', i => 1);
+      const history = [];
+      expect( () => {
+        for( const [,res] of solve_gen(A,b,{maxiter:3}) )
+          history.push(res);
+      }).toThrow( jasmine.any(KrylovNoConvergenceError) );
+      expect(history.length).toBeGreaterThan(1);
+      expect(history.length).toBeLessThanOrEqual(4);
+    });
+  });
+}
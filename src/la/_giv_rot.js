@@ -85,3 +85,70 @@ export function _giv_rot_cols( W, N, i, j, c, s )
     j = j+N | 0;
   }
 }
+
+
+/** Computes the complex Givens rotation (c,s) that eliminates b in [a,b]ᵀ
+ *  and writes c, s.re and s.im to G. The rotation is of the form:
+ *
+ *    ┌            ┐
+ *    │     c    s │
+ *    │ -conj(s) c │  where c is real and c² + |s|² = 1.
+ *    └            ┘
+ *
+ *  The complex matrices are expected in interleaved storage (re,im,re,im,...).
+ */
+export function _giv_rot_complex( G, a_re,a_im, b_re,b_im )
+{
+  const a = Math.hypot(a_re,a_im),
+        b = Math.hypot(b_re,b_im);
+  if( b === 0 ) {
+    G[0] = 1;
+    G[1] = 0;
+    G[2] = 0;
+  }
+  else if( a === 0 ) {
+    G[0] = 0;
+    G[1] = b_re / b;
+    G[2] =-b_im / b;
+  }
+  else {
+    const r = Math.hypot(a,b);
+    G[0] = a/r;
+    G[1] = (a_re*b_re + a_im*b_im) / a / r;
+    G[2] = (a_im*b_re - a_re*b_im) / a / r;
+  }
+}
+
+
+/** Applies the rotation G to rows i and j of the complex NxN matrix X (from the left).
+ */
+export function _giv_rot_rows_complex( N, X,X_off, i,j, G, from,until )
+{
+  const c = G[0], s_re = G[1], s_im = G[2];
+  for( let k=from; k < until; k++ )
+  {
+    const ik = X_off + 2*(N*i+k), x_re = X[ik], x_im = X[ik+1],
+          jk = X_off + 2*(N*j+k), y_re = X[jk], y_im = X[jk+1];
+    X[ik  ] = c*x_re + s_re*y_re - s_im*y_im;
+    X[ik+1] = c*x_im + s_re*y_im + s_im*y_re;
+    X[jk  ] = c*y_re - s_re*x_re - s_im*x_im;
+    X[jk+1] = c*y_im - s_re*x_im + s_im*x_re;
+  }
+}
+
+
+/** Applies the rotation G to columns p and q of the complex NxN matrix X (from the right).
+ */
+export function _giv_rot_cols_complex( N, X,X_off, p,q, G, from,until )
+{
+  const c = G[0], s_re = G[1], s_im = G[2];
+  for( let k=from; k < until; k++ )
+  {
+    const kp = X_off + 2*(N*k+p), x_re = X[kp], x_im = X[kp+1],
+          kq = X_off + 2*(N*k+q), y_re = X[kq], y_im = X[kq+1];
+    X[kp  ] = c*x_re - s_re*y_re - s_im*y_im;
+    X[kp+1] = c*x_im - s_re*y_im + s_im*y_re;
+    X[kq  ] = c*y_re + s_re*x_re - s_im*x_im;
+    X[kq+1] = c*y_im + s_re*x_im + s_im*x_re;
+  }
+}
@@ -0,0 +1,157 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {array, asarray, NDArray} from '../nd_array'
+import {is_sparse} from '../sparse/convert'
+import {matmul as sparse_matmul} from '../sparse/matmul'
+
+import {KrylovNoConvergenceError} from './krylov_no_convergence_error'
+import {FrobeniusNorm} from './norm'
+
+
+// Utilities shared by the iterative (Krylov) solvers. Internally, all vectors
+// are Float64Arrays and linear operators are functions (x: Float64Array) => Float64Array.
+
+
+/** Wraps a 2D NDArray, a sparse matrix or a callback x => A·x as linear operator.
+ *  Returns [op, M, N], where M and N are the numbers of rows and columns (undefined
+ *  for callbacks).
+ */
+export function _linear_operator( name, A, shape=[] )
+{
+  if( A instanceof Function && !(A instanceof NDArray) ) // <- NDArrays are callable
+  {
+    const [M,N] = shape;
+    const op = x => {
+      let y = A( new NDArray(Int32Array.of(x.length), x.slice()) );
+      y = array('float64', y);
+      if( y.ndim !== 1 || null != M && y.shape[0] !== M )
+        throw new Error(`${name}: Linear operator returned vector of invalid shape.`);
+      return y.data;
+    };
+    return [op, M, N];
+  }
+
+  if( ! is_sparse(A) ) {
+    A = asarray(A);
+    if( A.ndim !== 2 ) throw new Error(`${name}: Linear operator must be 2D.`);
+    if( A.dtype === 'complex128' || A.dtype === 'object' )
+      throw new Error(`${name}: Linear operator dtype="${A.dtype}" not supported.`);
+
+    const [M,N] = A.shape,
+          A_dat = A.data;
+    const op = x => {
+      const y = new Float64Array(M);
+      for( let i=0; i < M; i++ ) {
+        let sum = 0;
+        for( let j=0; j < N; j++ )
+          sum += A_dat[N*i+j] * x[j];
+        y[i] = sum;
+      }
+      return y;
+    };
+    return [op, M, N];
+  }
+
+  const [M,N] = A.shape;
+  A = A.toCSR();
+  const op = x => sparse_matmul( A, new NDArray(Int32Array.of(N), x) ).data;
+  return [op, M, N];
+}
+
+
+/** Prepares the common arguments of the square solvers. Returns [A,M,b,x,N]
+ *  where A is the operator, M the preconditioner, b the right-hand side and
+ *  x the initial guess (both as Float64Array).
+ */
+export function _krylov_args( name, A, b, x0, M )
+{
+  b = array('float64', b);
+  if( b.ndim !== 1 ) throw new Error(`${name}: b must be 1D.`);
+  const [N] = b.shape;
+
+  let A_M, A_N;
+  [A, A_M, A_N] = _linear_operator(name, A, [N,N]);
+  if( A_M !== N || A_N !== N ) throw new Error(`${name}: A must be square and match b.`);
+
+  if( null != M ) {
+    let M_M, M_N;
+    [M, M_M, M_N] = _linear_operator(name, M, [N,N]);
+    if( M_M !== N || M_N !== N ) throw new Error(`${name}: M must be square and match b.`);
+  }
+
+  let x;
+  if( null == x0 ) x = new Float64Array(N);
+  else {
+    x0 = array('float64', x0);
+    if( x0.ndim !== 1 || x0.shape[0] !== N ) throw new Error(`${name}: x0 must be of the same shape as b.`);
+    x = x0.data;
+  }
+
+  return [A, M, b.data, x, N];
+}
+
+
+export function _check_tol( name, tol, atol, maxiter )
+{
+  if( !(tol  >= 0) ) throw new Error(`${name}: opt.tol must be non-negative.`);
+  if( !(atol >= 0) ) throw new Error(`${name}: opt.atol must be non-negative.`);
+  if( !(maxiter >= 0) || maxiter%1 !== 0 ) throw new Error(`${name}: opt.maxiter must be a non-negative integer.`);
+}
+
+
+export function _dot( x, y )
+{
+  let sum = 0;
+  for( let i=x.length; i-- > 0; )
+    sum += x[i]*y[i];
+  return sum;
+}
+
+
+export function _norm( x )
+{
+  const norm = new FrobeniusNorm();
+  for( let i=x.length; i-- > 0; )
+    norm.include(x[i]);
+  return norm.result;
+}
+
+
+/** Returns a copy of x as 1D NDArray.
+ */
+export function _vec( x )
+{
+  return new NDArray(Int32Array.of(x.length), x.slice());
+}
+
+
+/** Runs an iterative solver generator to the end and returns the solution.
+ */
+export function _krylov_run( gen )
+{
+  let x;
+  for( [x] of gen );
+  return x;
+}
+
+
+export function _no_convergence( name, x, maxiter )
+{
+  return new KrylovNoConvergenceError( _vec(x), `${name}: No convergence within ${maxiter} iterations.` );
+}
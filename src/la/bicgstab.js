@@ -0,0 +1,114 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {_check_tol,
+        _dot,
+        _krylov_args,
+        _krylov_run,
+        _no_convergence,
+        _norm,
+        _vec} from './_krylov'
+import {KrylovNoConvergenceError} from './krylov_no_convergence_error'
+
+
+/** Solves A @ x = b for a general square A using the (right preconditioned)
+ *  BiCGSTAB method. Yields [x, ‖b - A@x‖] for each iterate, starting with the
+ *  initial guess. Returns once ‖b - A@x‖ ≤ max(tol·‖b‖, atol). Throws a
+ *  KrylovNoConvergenceError if the iteration breaks down.
+ *
+ *  SEE: H. A. van der Vorst,
+ *       "Bi-CGSTAB: A Fast and Smoothly Converging Variant of Bi-CG for the Solution of Nonsymmetric Linear Systems"
+ */
+export function* bicgstab_gen( A, b, {x0, M, tol=1e-8, atol=0, maxiter} = {} )
+{
+  let N, x;
+  [A, M, b, x, N] = _krylov_args('bicgstab_gen(A,b,opt)', A, b, x0, M);
+  if( null == maxiter ) maxiter = 10*N;
+  _check_tol('bicgstab_gen(A,b,opt)', tol, atol, maxiter);
+
+  const prec = null == M ? v => v.slice() : M,
+      thresh = Math.max(tol*_norm(b), atol),
+           r = A(x);
+  for( let i=N; i-- > 0; )
+    r[i] = b[i] - r[i];
+
+  let res = _norm(r);
+  yield [_vec(x), res];
+  if( res <= thresh ) return;
+
+  const r_hat = r.slice(),
+            p = new Float64Array(N),
+            s = new Float64Array(N);
+  let v = new Float64Array(N),
+      ρ = 1,
+      α = 1,
+      ω = 1;
+
+  const breakdown = () => new KrylovNoConvergenceError( _vec(x), 'bicgstab_gen(A,b,opt): Breakdown.' );
+
+  for( let iter=0; iter++ < maxiter; )
+  {
+    const ρ_new = _dot(r_hat,r);
+    if( 0 === ρ_new ) throw breakdown();
+
+    const β = (ρ_new/ρ) * (α/ω);
+    ρ = ρ_new;
+    for( let i=N; i-- > 0; )
+      p[i] = r[i] + β*(p[i] - ω*v[i]);
+
+    const p_hat = prec(p);
+    v = A(p_hat);
+    const rv = _dot(r_hat,v);
+    if( 0 === rv ) throw breakdown();
+    α = ρ / rv;
+
+    for( let i=N; i-- > 0; )
+      s[i] = r[i] - α*v[i];
+
+    if( _norm(s) <= thresh ) {
+      for( let i=N; i-- > 0; )
+        x[i] += α*p_hat[i];
+      yield [_vec(x), _norm(s)];
+      return;
+    }
+
+    const s_hat = prec(s),
+              t = A(s_hat),
+             tt = _dot(t,t);
+    if( 0 === tt ) throw breakdown();
+    ω = _dot(t,s) / tt;
+
+    for( let i=N; i-- > 0; ) {
+      x[i] += α*p_hat[i] + ω*s_hat[i];
+      r[i]  = s[i] - ω*t[i];
+    }
+
+    res = _norm(r);
+    yield [_vec(x), res];
+    if( res <= thresh ) return;
+    if( 0 === ω ) throw breakdown();
+  }
+
+  throw _no_convergence('bicgstab_gen(A,b,opt)', x, maxiter);
+}
+
+
+export function bicgstab( A, b, opt )
+{
+  return _krylov_run( bicgstab_gen(A, b, opt) );
+}
@@ -0,0 +1,86 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {_check_tol,
+        _dot,
+        _krylov_args,
+        _krylov_run,
+        _no_convergence,
+        _norm,
+        _vec} from './_krylov'
+
+
+/** Solves A @ x = b for a symmetric positive definite A using the (preconditioned)
+ *  Conjugate Gradient method. Yields [x, ‖b - A@x‖] for each iterate, starting
+ *  with the initial guess. Returns once ‖b - A@x‖ ≤ max(tol·‖b‖, atol).
+ */
+export function* cg_gen( A, b, {x0, M, tol=1e-8, atol=0, maxiter} = {} )
+{
+  let N, x;
+  [A, M, b, x, N] = _krylov_args('cg_gen(A,b,opt)', A, b, x0, M);
+  if( null == maxiter ) maxiter = 10*N;
+  _check_tol('cg_gen(A,b,opt)', tol, atol, maxiter);
+
+  const thresh = Math.max(tol*_norm(b), atol),
+             r = A(x);
+  for( let i=N; i-- > 0; )
+    r[i] = b[i] - r[i];
+
+  let res = _norm(r);
+  yield [_vec(x), res];
+  if( res <= thresh ) return;
+
+  let z = null == M ? r.slice() : M(r),
+     rz = _dot(r,z);
+  const p = z.slice();
+
+  for( let iter=0; iter++ < maxiter; )
+  {
+    const Ap = A(p),
+         pAp = _dot(p,Ap);
+    if( !(pAp > 0) ) {
+      if( 0 === pAp ) break;
+      throw new Error('cg_gen(A,b,opt): A is not positive definite.');
+    }
+
+    const α = rz / pAp;
+    for( let i=N; i-- > 0; ) {
+      x[i] += α* p[i];
+      r[i] -= α*Ap[i];
+    }
+
+    res = _norm(r);
+    yield [_vec(x), res];
+    if( res <= thresh ) return;
+
+    z = null == M ? r.slice() : M(r);
+    const rz_new = _dot(r,z),
+               β = rz_new / rz;
+    rz = rz_new;
+    for( let i=N; i-- > 0; )
+      p[i] = z[i] + β*p[i];
+  }
+
+  throw _no_convergence('cg_gen(A,b,opt)', x, maxiter);
+}
+
+
+export function cg( A, b, opt )
+{
+  return _krylov_run( cg_gen(A, b, opt) );
+}
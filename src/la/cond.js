@@ -0,0 +1,298 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {asarray, NDArray} from '../nd_array'
+import {inv} from './inv'
+import {norm} from './norm'
+import {SingularMatrixSolveError} from './singular_matrix_solve_error'
+import {svd_decomp} from './svd'
+import {_tril_solve,
+        _tril_t_solve} from './tri'
+
+
+/* Estimates the 1-norm of a linear operator using Hager's method with Higham's
+ * improvements (see LAPACK's xLACN2). Only matrix-vector products with the
+ * operator and its transpose are required. Both are computed in-place in x.
+ *
+ * Higham, N.J., "FORTRAN Codes for Estimating the One-Norm of a Real or Complex Matrix,
+ * with Applications to Condition Estimation", ACM Trans. Math. Softw., 14(4), 1988.
+ */
+export function _norm1_est( N, A, A_T )
+{
+  const x = new Float64Array(N),
+     sign = new Float64Array(N),
+    ITMAX = 5;
+
+  const norm1 = () => x.reduce((s,x_i) => s + Math.abs(x_i), 0);
+
+  x.fill(1/N); A(x);
+  if( 1 === N )
+    return Math.abs(x[0]);
+
+  let est = norm1();
+  if( ! isFinite(est) ) return Infinity;
+
+  for( let i=0; i < N; i++ )
+    x[i] = sign[i] = x[i] < 0 ? -1 : +1;
+  A_T(x);
+
+  let j = 0;
+  for( let i=1; i < N; i++ )
+    if( Math.abs(x[i]) > Math.abs(x[j]) ) j = i;
+
+  for( let iter=1; iter < ITMAX; iter++ )
+  {
+    x.fill(0); x[j] = 1; A(x);
+
+    const est_old = est; est = norm1();
+    if( ! isFinite(est) ) return Infinity;
+
+    let repeated = true;
+    for( let i=0; i < N; i++ )
+      repeated = repeated && (x[i] < 0 ? -1 : +1) === sign[i];
+    if( repeated || est <= est_old ) {
+      est = Math.max(est, est_old);
+      break;
+    }
+
+    for( let i=0; i < N; i++ )
+      x[i] = sign[i] = x[i] < 0 ? -1 : +1;
+    A_T(x);
+
+    const j_old = j;
+    for( let i=0; i < N; i++ )
+      if( Math.abs(x[i]) > Math.abs(x[j]) ) j = i;
+    if( Math.abs(x[j_old]) === Math.abs(x[j]) )
+      break;
+  }
+
+  // ALTERNATIVE ESTIMATE THAT GUARDS AGAINST ILL-SUITED SPECIAL CASES
+  for( let i=0; i < N; i++ )
+    x[i] = (i%2 ? -1 : +1) * (1 + i/(N-1));
+  A(x);
+
+  return Math.max(est, 2*norm1() / (3*N));
+}
+
+
+function _cond_est( name, F, A_norm, N, batch )
+{
+  const F_dat = F.data,
+        x_dat = new Float64Array(F_dat.length / (N*N));
+
+  if( null != A_norm ) {
+    A_norm = asarray(A_norm);
+    if( A_norm.ndim > 0 && A_norm.data.length !== x_dat.length )
+      throw new Error(`${name}: A_norm does not match the factorization.`);
+  }
+
+  for( let i=0; i < x_dat.length; i++ )
+  {
+    const F_off = N*N*i,
+              b = batch(F_dat,F_off);
+
+    let A_nrm = null == A_norm ? _norm1_est(N, b.A, b.A_T)
+                               : A_norm.data[A_norm.ndim > 0 ? i : 0];
+    if( !(0 <= A_nrm) )
+      throw new Error(`${name}: A_norm must be non-negative.`);
+
+    let singular = false;
+    for( let j=0; j < N; j++ )
+      singular = singular || F_dat[F_off + N*j+j] === 0;
+
+    x_dat[i] = singular ? Infinity : A_nrm * _norm1_est(N, b.A_inv, b.A_inv_T);
+  }
+
+  return new NDArray(F.shape.slice(0,-2), x_dat);
+}
+
+
+export function lu_cond_est( LU, P, A_norm=undefined )
+{
+  if( LU instanceof Array && LU[0] instanceof NDArray ) {
+    A_norm = P;
+    [LU,P] = LU;
+  }
+
+  LU = asarray(LU); if( LU.ndim < 2 ) throw new Error('lu_cond_est(LU,P, A_norm): LU.ndim must be at least 2.');
+  P  = asarray(P ); if( P .ndim < 1 ) throw new Error('lu_cond_est(LU,P, A_norm): P.ndim must be at least 1.');
+
+  const [M,N] = LU.shape.slice(-2);
+  if( M !== N )
+    throw new Error('lu_cond_est(LU,P, A_norm): LU must be square matrices.');
+  if( LU.ndim !== P.ndim+1 || P.shape.some((s,i) => s !== LU.shape[i]) )
+    throw new Error("lu_cond_est(LU,P, A_norm): LU and P don't match.");
+
+  const P_dat = P.data,
+          tmp = new Float64Array(N);
+
+  return _cond_est('lu_cond_est(LU,P, A_norm)', LU, A_norm, N, (LU,LU_off) => {
+    const P_off = LU_off / N;
+    return {
+      // x := P⁻¹ @ L @ U @ x
+      A(x) {
+        for( let i=0; i < N; i++ ) {
+          let sum = 0;
+          for( let k=i; k < N; k++ ) sum += LU[LU_off + N*i+k] * x[k];
+          x[i] = sum;
+        }
+        for( let i=N; i-- > 0; ) {
+          let sum = x[i];
+          for( let k=0; k < i; k++ ) sum += LU[LU_off + N*i+k] * x[k];
+          tmp[P_dat[P_off+i]] = sum;
+        }
+        x.set(tmp);
+      },
+      // x := Uᵀ @ Lᵀ @ P @ x
+      A_T(x) {
+        for( let i=0; i < N; i++ ) tmp[i] = x[P_dat[P_off+i]];
+        for( let i=0; i < N; i++ ) {
+          let sum = tmp[i];
+          for( let k=i+1; k < N; k++ ) sum += LU[LU_off + N*k+i] * tmp[k];
+          tmp[i] = sum;
+        }
+        for( let i=N; i-- > 0; ) {
+          let sum = 0;
+          for( let k=0; k <= i; k++ ) sum += LU[LU_off + N*k+i] * tmp[k];
+          x[i] = sum;
+        }
+      },
+      // x := U⁻¹ @ L⁻¹ @ P @ x
+      A_inv(x) {
+        for( let i=0; i < N; i++ ) tmp[i] = x[P_dat[P_off+i]];
+        for( let i=0; i < N; i++ )
+        for( let k=0; k < i; k++ )
+          tmp[i] -= LU[LU_off + N*i+k] * tmp[k];
+        for( let i=N; i-- > 0; ) {
+          for( let k=i+1; k < N; k++ )
+            tmp[i] -= LU[LU_off + N*i+k] * tmp[k];
+          tmp[i] /= LU[LU_off + N*i+i];
+        }
+        x.set(tmp);
+      },
+      // x := P⁻¹ @ L⁻ᵀ @ U⁻ᵀ @ x
+      A_inv_T(x) {
+        for( let i=0; i < N; i++ ) {
+          for( let k=0; k < i; k++ )
+            x[i] -= LU[LU_off + N*k+i] * x[k];
+          x[i] /= LU[LU_off + N*i+i];
+        }
+        for( let i=N; i-- > 0; )
+        for( let k=i+1; k < N; k++ )
+          x[i] -= LU[LU_off + N*k+i] * x[k];
+        for( let i=0; i < N; i++ ) tmp[P_dat[P_off+i]] = x[i];
+        x.set(tmp);
+      }
+    };
+  });
+}
+
+
+export function cholesky_cond_est( L, A_norm=undefined )
+{
+  L = asarray(L); if( L.ndim < 2 ) throw new Error('cholesky_cond_est(L, A_norm): L.ndim must be at least 2.');
+
+  const [M,N] = L.shape.slice(-2);
+  if( M !== N )
+    throw new Error('cholesky_cond_est(L, A_norm): L must be square matrices.');
+
+  return _cond_est('cholesky_cond_est(L, A_norm)', L, A_norm, N, (L,L_off) => {
+    // x := L @ Lᵀ @ x
+    const A = x => {
+      for( let i=0; i < N; i++ ) {
+        let sum = 0;
+        for( let k=i; k < N; k++ ) sum += L[L_off + N*k+i] * x[k];
+        x[i] = sum;
+      }
+      for( let i=N; i-- > 0; ) {
+        let sum = 0;
+        for( let k=0; k <= i; k++ ) sum += L[L_off + N*i+k] * x[k];
+        x[i] = sum;
+      }
+    };
+    // x := L⁻ᵀ @ L⁻¹ @ x
+    const A_inv = x => {
+      _tril_solve  (N,N,1, L,L_off, x,0);
+      _tril_t_solve(N,N,1, L,L_off, x,0);
+    };
+    // A is symmetric
+    return {A, A_T: A, A_inv, A_inv_T: A_inv};
+  });
+}
+
+
+export function cond( A, ord=2 )
+{
+  A = asarray(A);
+  if( A.ndim < 2 )
+    throw new Error(`cond(A,ord): A.ndim must be at least 2.`);
+
+  let result;
+  if( 2 === ord || -2 === ord )
+  {
+    const [U,sv] = svd_decomp(A),
+              L  = sv.shape[sv.ndim-1],
+           sv_dat= sv.data,
+            c_dat= new Float64Array(sv_dat.length / L);
+
+    for( let i=0; i < c_dat.length; i++ ) {
+      const s_max = sv_dat[L*i],
+            s_min = sv_dat[L*i + L-1];
+      c_dat[i] = 2===ord ? s_max/s_min : s_min/s_max;
+    }
+    result = new NDArray(sv.shape.slice(0,-1), c_dat);
+  }
+  else
+  {
+    const [M,N] = A.shape.slice(-2);
+    if( M !== N )
+      throw new Error(`cond(A,ord): A must be square matrices for ord=${ord}.`);
+
+    let A_inv;
+    try {
+      A_inv = inv(A);
+    }
+    catch(err) {
+      if( !(err instanceof SingularMatrixSolveError) )
+        throw err;
+      A_inv = err.x;
+    }
+
+    // SINGULAR MATRICES (WITH NON-FINITE INVERSES) ARE MARKED AND ZEROED OUT
+    const X_dat = A_inv.data,
+       singular = new Uint8Array(X_dat.length / (N*N));
+    for( let i=0; i < singular.length; i++ )
+    for( let j=N*N*i; j < N*N*(i+1); j++ )
+      if( ! isFinite(X_dat[j]) ) {
+        singular[i] = 1;
+        X_dat.fill(0, N*N*i, N*N*(i+1));
+        break;
+      }
+
+    const shape = A.shape.slice(0,-2),
+          a_dat = asarray( norm(A,     ord, [-2,-1], true) ).data,
+          b_dat = asarray( norm(A_inv, ord, [-2,-1], true) ).data,
+          c_dat = new Float64Array(a_dat.length);
+
+    for( let i=0; i < c_dat.length; i++ )
+      c_dat[i] = singular[i] ? Infinity : a_dat[i] * b_dat[i];
+    result = new NDArray(shape, c_dat);
+  }
+
+  return 0 === result.ndim ? result.data[0] : result;
+}
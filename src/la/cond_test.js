@@ -0,0 +1,135 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {forEachItemIn, CUSTOM_MATCHERS} from '../jasmine_utils'
+import {array} from '../nd_array'
+import {tabulate} from '../tabulate'
+import {cholesky_decomp} from './cholesky'
+import {cholesky_cond_est, cond, lu_cond_est} from './cond'
+import {inv} from './inv'
+import {lu_decomp} from './lu'
+import {matmul2} from './matmul'
+import {norm} from './norm'
+import {svd_decomp} from './svd'
+
+
+describe('cond', () => {
+  beforeEach( () => {
+    jasmine.addMatchers(CUSTOM_MATCHERS)
+  })
+
+
+  const random_matrices = function*(){
+    const randInt = (from,until) => Math.floor(Math.random()*(until-from)) + from
+
+    for( let run=256; run-- > 0; )
+    {
+      const A_shape = Int32Array.from({ length: randInt(2,5) }, () => randInt(1,4))
+            A_shape[ A_shape.length - 2 ] =
+            A_shape[ A_shape.length - 1 ] = randInt(1,16);
+      yield tabulate(A_shape, 'float64', () => Math.random()*8 - 4);
+    }
+  };
+
+
+  for( const ord of [1, -1, Infinity, -Infinity, 'fro', 'nuc'] )
+    forEachItemIn(
+      random_matrices()
+    ).it(`cond(A,${ord}) works for random examples`, A => {
+      const c = cond(A,ord),
+        A_inv = inv(A),
+            C = tabulate(A.shape.slice(0,-2), 'float64', (...idx) =>
+              norm(A    .sliceElems(...idx), ord) *
+              norm(A_inv.sliceElems(...idx), ord)
+            );
+      if( A.ndim === 2 )
+        expect(c).toBeAllCloseTo(C.data[0]);
+      else {
+        expect(c.shape).toEqual(C.shape);
+        expect(c).toBeAllCloseTo(C);
+      }
+    });
+
+
+  forEachItemIn(
+    random_matrices()
+  ).it('cond(A) computes the ratio of singular values for random examples', A => {
+    const [U,sv] = svd_decomp(A),
+               N = sv.shape[sv.ndim-1],
+          sv_max = sv.sliceElems('...',0),
+          sv_min = sv.sliceElems('...',N-1);
+    expect( cond(A   ) ).toBeAllCloseTo( sv_max.mapElems('float64', (s,...idx) => s / sv_min(...idx)) );
+    expect( cond(A,-2) ).toBeAllCloseTo( sv_min.mapElems('float64', (s,...idx) => s / sv_max(...idx)) );
+  });
+
+
+  it('cond(A,ord) returns Infinity for singular matrices', () => {
+    const A = array([[1,2],
+                     [2,4]]);
+    for( const ord of [1, -1, Infinity, -Infinity, 'fro', 'nuc'] )
+      expect( cond(A,ord) ).toBe(Infinity);
+    expect( cond(A) ).toBeGreaterThan(1e15);
+  });
+
+
+  forEachItemIn(
+    random_matrices()
+  ).it('lu_cond_est(LU,P) returns a good lower bound of cond(A,1) for random examples', A => {
+    const [LU,P] = lu_decomp(A),
+            cnd  = cond(A,1),
+            est1 = lu_cond_est(LU,P),
+            est2 = lu_cond_est([LU,P], norm(A,1,[-2,-1])),
+             tol = {rtol: 1e-8, atol: 0};
+
+    expect(est1.shape).toEqual(A.shape.slice(0,-2));
+    expect(est2.shape).toEqual(A.shape.slice(0,-2));
+    expect(est1).toBeAllLessOrClose(cnd, tol);
+    expect(est2).toBeAllLessOrClose(cnd, tol);
+    expect(cnd).toBeAllLessOrClose(est2.mapElems(x => 10*x), tol);
+  });
+
+
+  forEachItemIn(
+    random_matrices()
+  ).it('cholesky_cond_est(L) returns a good lower bound of cond(S,1) for random SPD examples', A => {
+    const N = A.shape[A.ndim-1],
+         AT = A.transpose(...A.shape.slice(0,-2).map((_,i) => i), A.ndim-1, A.ndim-2),
+          S = matmul2(A, AT).mapElems('float64', (s,...idx) => {
+            const [i,j] = idx.slice(-2);
+            return i===j ? s + N : s;
+          }),
+          L = cholesky_decomp(S),
+        cnd = cond(S,1),
+       est1 = cholesky_cond_est(L),
+       est2 = cholesky_cond_est(L, norm(S,1,[-2,-1])),
+        tol = {rtol: 1e-8, atol: 0};
+
+    expect(est1.shape).toEqual(A.shape.slice(0,-2));
+    expect(est1).toBeAllLessOrClose(cnd, tol);
+    expect(est2).toBeAllLessOrClose(cnd, tol);
+    expect(cnd).toBeAllLessOrClose(est2.mapElems(x => 10*x), tol);
+  });
+
+
+  it('lu_cond_est(LU,P) returns Infinity for singular matrices', () => {
+    const A = array([[1,2,3],
+                     [2,4,6],
+                     [0,1,1]]);
+    expect( lu_cond_est(lu_decomp(A)).data[0] ).toBe(Infinity);
+  });
+})
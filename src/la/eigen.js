@@ -25,11 +25,6 @@ import {zip_elems} from '../zip_elems'
 import math from '../math'
 
 
-// TODO: Add symmetric eigen decomposition methods
-//   export function eigen_sym(S)
-//   export function eigenvals_sym(S)
-
-
 export function eigen(A)
 {
   const [D,B]= eigen_balance_pre(A,2),
@@ -0,0 +1,73 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {asarray} from '../nd_array'
+
+import {cholesky_decomp} from './cholesky'
+import {eigen_sym,
+        eigenvals_sym} from './eigen_sym'
+import {qz_decomp,
+        qz_eigen,
+        qz_eigenvals} from './qz'
+import {tril_solve,
+        triu_solve} from './tri'
+
+
+export function eigen_gen(A,B)
+{
+  const [Q,S,T,Z] = qz_decomp(A,B);
+  return qz_eigen(S,T,Z);
+}
+
+
+export function eigenvals_gen(A,B)
+{
+  const [Q,S,T,Z] = qz_decomp(A,B);
+  return qz_eigenvals(S,T);
+}
+
+
+/** Reduces the symmetric-definite generalized eigenvalue problem
+ *  A·x = λ·B·x to the standard symmetric eigenvalue problem C·y = λ·y
+ *  with C = L⁻¹·A·L⁻ᵀ and x = L⁻ᵀ·y, where B = L·Lᵀ.
+ */
+function _sym_gen_reduce(A,B)
+{
+  A = asarray(A); if( A.ndim < 2 ) throw new Error('eigen_sym_gen(A,B): A must be at least 2D.');
+  B = asarray(B); if( B.ndim < 2 ) throw new Error('eigen_sym_gen(A,B): B must be at least 2D.');
+
+  const L = cholesky_decomp(B),
+        X = tril_solve(L,A),
+        C = tril_solve(L,X.T);
+  return [L,C];
+}
+
+
+export function eigen_sym_gen(A,B)
+{
+  const [L,C] = _sym_gen_reduce(A,B),
+        [Λ,W] = eigen_sym(C);
+  return [Λ, triu_solve(L.T, W)];
+}
+
+
+export function eigenvals_sym_gen(A,B)
+{
+  const [L,C] = _sym_gen_reduce(A,B);
+  return eigenvals_sym(C);
+}
@@ -0,0 +1,132 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {forEachItemIn, CUSTOM_MATCHERS} from '../jasmine_utils'
+import math from '../math'
+import {NDArray} from '../nd_array'
+import {tabulate} from '../tabulate'
+import {zip_elems} from '../zip_elems'
+
+import {diag_mat} from './diag'
+import {eigen_gen,
+        eigenvals_gen,
+        eigen_sym_gen,
+        eigenvals_sym_gen} from './eigen_gen'
+import {eye} from './eye'
+import {matmul, matmul2} from './matmul'
+
+
+describe('eigen_gen', () => {
+  beforeEach( () => {
+    jasmine.addMatchers(CUSTOM_MATCHERS)
+  })
+
+
+  function* shapes(rng)
+  {
+    for( let run=0; run++ < 8; )
+    for( let   N=0;   N++ < 6; )
+      yield [N];
+
+    for( let run=0; run++ < 256; )
+      yield [
+        ...Array.from({ length: rng.int(0,3) }, () => rng.int(1,4) ),
+        rng.int(1,24)
+      ];
+  }
+
+
+  forEachItemIn(
+    function*(rng){
+      for( const [...shape] of shapes(rng) )
+      {
+        const N = shape.pop(),
+          A = tabulate([...shape,N,N], 'float64', () => rng.uniform(-1,+1) ),
+          // diagonally dominant B to keep the eigenvalues well-conditioned
+          B = tabulate([...shape,N,N], 'float64', (...idx) => {
+            const [i,j] = idx.slice(-2);
+            return i===j ? N*rng.uniform(1,2) : rng.uniform(-1,+1);
+          });
+        Object.freeze(A.data.buffer);
+        Object.freeze(B.data.buffer);
+        yield [A,B];
+      }
+    }
+  ).it('eigen_gen works on random examples', ([A,B]) => {
+    const [Λ,V] = eigen_gen(A,B);
+
+    expect(Λ.shape).toEqual( A.shape.slice(0,-1) );
+    expect(V.shape).toEqual( A.shape );
+    expect(Λ).toBeAllCloseTo( eigenvals_gen(A,B) );
+
+    const AV = matmul2(A,V),
+         λBV = zip_elems([matmul2(B,V), Λ.reshape(...Λ.shape.slice(0,-1),1,-1)], 'complex128', math.mul);
+
+    expect(AV).toBeAllCloseTo(λBV);
+  });
+
+
+  forEachItemIn(
+    function*(rng){
+      for( const [...shape] of shapes(rng) )
+      {
+        const N = shape.pop(),
+          A = tabulate([...shape,N,N], 'float64', () => rng.uniform(-1,+1) ),
+          C = tabulate([...shape,N,N], 'float64', () => rng.uniform(-1,+1) ),
+          S = zip_elems([A,A.T], 'float64', (x,y) => x+y),
+          P = zip_elems([matmul2(C,C.T), eye(N)], 'float64', (x,y) => x+y);
+        Object.freeze(S.data.buffer);
+        Object.freeze(P.data.buffer);
+        yield [S,P];
+      }
+    }
+  ).it('eigen_sym_gen works on random examples', ([A,B]) => {
+    const [Λ,V] = eigen_sym_gen(A,B),
+          N = A.shape[A.ndim-1];
+
+    expect(Λ.shape).toEqual( A.shape.slice(0,-1) );
+    expect(V.shape).toEqual( A.shape );
+    expect(Λ.dtype).toBe('float64');
+    expect(V.dtype).toBe('float64');
+
+    // ASSERT SORTING
+    for( let i=Λ.data.length; --i > 0; )
+      if( i%N !== 0 )
+        expect(Λ.data[i-1]).not.toBeGreaterThan(Λ.data[i]);
+
+    // ASSERT B-ORTHONORMALITY
+    expect( matmul(V.T,B,V) ).toBeAllCloseTo( eye(N) );
+
+    const AV = matmul2(A,V),
+         λBV = matmul(B,V,diag_mat(Λ));
+    expect(AV).toBeAllCloseTo(λBV);
+
+    expect( eigenvals_sym_gen(A,B) ).toBeAllCloseTo(Λ);
+
+    // COMPARE TO GENERAL SOLVER
+    const λ = eigenvals_gen(A,B).mapElems('float64', math.abs),
+          Λ_abs = Λ.mapElems('float64', Math.abs),
+          sort = x => {
+            x = x.data.slice();
+            for( let off=0; off < x.length; off += N )
+              x.subarray(off,off+N).sort();
+            return new NDArray(Λ.shape, x);
+          };
+    expect( sort(λ) ).toBeAllCloseTo( sort(Λ_abs) );
+  });
+})
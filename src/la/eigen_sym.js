@@ -0,0 +1,294 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {asarray, NDArray} from '../nd_array'
+
+
+/** Reduces the symmetric matrix stored in the lower triangle of V to
+ *  tridiagonal form via Householder reflections. On return, d contains
+ *  the diagonal and e[1:N] the subdiagonal of the tridiagonal matrix.
+ *  If compute_V is true, V is overwritten by the orthogonal transformation
+ *  matrix, otherwise V is left in an unspecified state.
+ *
+ *  SEE: JAMA (Java Matrix Package), EigenvalueDecomposition.tred2,
+ *       which in turn is derived from the EISPACK routine tred2.
+ */
+export function _eigen_sym_tridiag( N, V,V_off, d,d_off, e, compute_V )
+{
+  N     |= 0;
+  V_off |= 0;
+  d_off |= 0;
+
+  for( let j=0; j < N; j++ )
+    d[d_off+j] = V[V_off + N*(N-1)+j];
+
+  for( let i=N; --i > 0; )
+  {
+    // SCALE TO AVOID UNDER-/OVERFLOW
+    let scale = 0.0,
+            h = 0.0;
+    for( let k=0; k < i; k++ )
+      scale += Math.abs(d[d_off+k]);
+
+    if( scale === 0 ) {
+      e[i] = d[d_off+i-1];
+      for( let j=0; j < i; j++ ) {
+        d[d_off+j] = V[V_off + N*(i-1)+j];
+        V[V_off + N*i+j] = 0;
+        V[V_off + N*j+i] = 0;
+      }
+    }
+    else {
+      // GENERATE HOUSEHOLDER VECTOR
+      for( let k=0; k < i; k++ ) {
+        d[d_off+k] /= scale;
+        h += d[d_off+k] * d[d_off+k];
+      }
+      let f = d[d_off+i-1],
+          g = Math.sqrt(h);
+      if( f > 0 ) g = -g;
+      e[i] = scale*g;
+      h -= f*g;
+      d[d_off+i-1] = f-g;
+      e.fill(0.0, 0,i);
+
+      // APPLY SIMILARITY TRANSFORMATION TO REMAINING COLUMNS
+      for( let j=0; j < i; j++ ) {
+        f = d[d_off+j];
+        V[V_off + N*j+i] = f;
+        g = e[j] + V[V_off + N*j+j] * f;
+        for( let k=j+1; k < i; k++ ) {
+          g    += V[V_off + N*k+j] * d[d_off+k];
+          e[k] += V[V_off + N*k+j] * f;
+        }
+        e[j] = g;
+      }
+      f = 0.0;
+      for( let j=0; j < i; j++ ) {
+        e[j] /= h;
+        f += e[j] * d[d_off+j];
+      }
+      const hh = f / (h+h);
+      for( let j=0; j < i; j++ )
+        e[j] -= hh * d[d_off+j];
+      for( let j=0; j < i; j++ ) {
+        f = d[d_off+j];
+        g = e[j];
+        for( let k=j; k < i; k++ )
+          V[V_off + N*k+j] -= f*e[k] + g*d[d_off+k];
+        d[d_off+j] = V[V_off + N*(i-1)+j];
+        V[V_off + N*i+j] = 0;
+      }
+    }
+    d[d_off+i] = h;
+  }
+
+  if( ! compute_V ) {
+    for( let j=0; j < N; j++ )
+      d[d_off+j] = V[V_off + N*j+j];
+    e[0] = 0;
+    return;
+  }
+
+  // ACCUMULATE TRANSFORMATIONS
+  for( let i=0; i < N-1; i++ )
+  {
+    V[V_off + N*(N-1)+i] = V[V_off + N*i+i];
+    V[V_off + N*i+i] = 1;
+    const h = d[d_off+i+1];
+    if( h !== 0 ) {
+      for( let k=0; k <= i; k++ )
+        d[d_off+k] = V[V_off + N*k+i+1] / h;
+      for( let j=0; j <= i; j++ ) {
+        let g = 0.0;
+        for( let k=0; k <= i; k++ ) g += V[V_off + N*k+i+1] * V[V_off + N*k+j];
+        for( let k=0; k <= i; k++ )      V[V_off + N*k+j]   -= g * d[d_off+k];
+      }
+    }
+    for( let k=0; k <= i; k++ )
+      V[V_off + N*k+i+1] = 0;
+  }
+  for( let j=0; j < N; j++ ) {
+    d[d_off+j] = V[V_off + N*(N-1)+j];
+    V[V_off + N*(N-1)+j] = 0;
+  }
+  V[V_off + N*N-1] = 1;
+  e[0] = 0;
+}
+
+
+/** Diagonalizes the symmetric tridiagonal matrix given by its diagonal d
+ *  and subdiagonal e[1:N] using the implicit QL method with Wilkinson shifts.
+ *  The resulting eigenvalues are written to d, sorted in ascending order.
+ *  If compute_V is true, the Givens rotations are accumulated in V and the
+ *  columns of V are permuted alongside the eigenvalues.
+ *
+ *  SEE: JAMA (Java Matrix Package), EigenvalueDecomposition.tql2,
+ *       which in turn is derived from the EISPACK routine tql2.
+ */
+export function _eigen_sym_tridiag_ql( N, V,V_off, d,d_off, e, compute_V )
+{
+  N     |= 0;
+  V_off |= 0;
+  d_off |= 0;
+
+  for( let i=1; i < N; i++ )
+    e[i-1] = e[i];
+  e[N-1] = 0.0;
+
+  const EPS = Number.EPSILON;
+
+  let f    = 0.0,
+      tst1 = 0.0;
+
+  for( let l=0; l < N; l++ )
+  {
+    // FIND SMALL SUBDIAGONAL ELEMENT
+    tst1 = Math.max( tst1, Math.abs(d[d_off+l]) + Math.abs(e[l]) );
+    let m = l;
+    while( m < N-1 && !(Math.abs(e[m]) <= EPS*tst1) )
+      m++;
+
+    // IF m == l, d[l] IS AN EIGENVALUE, OTHERWISE ITERATE
+    if( m > l )
+    {
+      for( let iter=0;; )
+      {
+        if( ++iter > 64 )
+          throw new Error('eigen_sym(S): QL iteration did not converge.');
+
+        // COMPUTE IMPLICIT SHIFT
+        let g = d[d_off+l],
+            p = (d[d_off+l+1] - g) / (2*e[l]),
+            r = Math.hypot(p,1);
+        if( p < 0 ) r = -r;
+        d[d_off+l  ] = e[l] / (p+r);
+        d[d_off+l+1] = e[l] * (p+r);
+        const dl1 = d[d_off+l+1];
+        let h = g - d[d_off+l];
+        for( let i=l+2; i < N; i++ )
+          d[d_off+i] -= h;
+        f += h;
+
+        // IMPLICIT QL TRANSFORMATION
+        p = d[d_off+m];
+        let c  = 1.0,
+            c2 = c,
+            c3 = c,
+            s  = 0.0,
+            s2 = 0.0;
+        const el1 = e[l+1];
+        for( let i=m; i-- > l; )
+        {
+          c3 = c2;
+          c2 = c;
+          s2 = s;
+          g = c * e[i];
+          h = c * p;
+          r = Math.hypot(p,e[i]);
+          e[i+1] = s*r;
+          s = e[i] / r;
+          c =    p / r;
+          p = c*d[d_off+i] - s*g;
+          d[d_off+i+1] = h + s*(c*g + s*d[d_off+i]);
+
+          // ACCUMULATE TRANSFORMATION
+          if( compute_V )
+            for( let k=0; k < N; k++ ) {
+              const V_ki = V[V_off + N*k+i  ],
+                    V_kj = V[V_off + N*k+i+1];
+              V[V_off + N*k+i+1] = s*V_ki + c*V_kj;
+              V[V_off + N*k+i  ] = c*V_ki - s*V_kj;
+            }
+        }
+        p = -s * s2 * c3 * el1 * e[l] / dl1;
+        e[l] = s*p;
+        d[d_off+l] = c*p;
+
+        // CHECK FOR CONVERGENCE
+        if( ! (Math.abs(e[l]) > EPS*tst1) ) break;
+      }
+    }
+    d[d_off+l] += f;
+    e[l] = 0.0;
+  }
+
+  // SORT EIGENVALUES (AND VECTORS) IN ASCENDING ORDER
+  for( let i=0; i < N-1; i++ )
+  {
+    let k = i,
+        p = d[d_off+i];
+    for( let j=i+1; j < N; j++ )
+      if( d[d_off+j] < p ) {
+        k = j;
+        p = d[d_off+j];
+      }
+    if( k !== i ) {
+      d[d_off+k] = d[d_off+i];
+      d[d_off+i] = p;
+      if( compute_V )
+        for( let j=0; j < N; j++ ) {
+          const    V_ji = V[V_off + N*j+i];
+          V[V_off + N*j+i] = V[V_off + N*j+k];
+          V[V_off + N*j+k] = V_ji;
+        }
+    }
+  }
+}
+
+
+function _eigen_sym( S, compute_V )
+{
+  S = asarray(S);
+  if( S.ndim < 2 ) throw new Error('eigen_sym(S): S must be at least 2D.');
+  if( S.dtype.startsWith('complex') ) throw new Error('eigen_sym(S): Complex (hermitian) matrices not yet supported.');
+
+  const
+    V_shape = S.shape,
+    Λ_shape = V_shape.slice(0,-1),
+    [M,N] = V_shape.slice(-2);
+  if( M !== N ) throw new Error('eigen_sym(S): S must be square.');
+
+  const V = Float64Array.from(S.data); S = undefined;
+  const Λ = new Float64Array(V.length/N),
+        e = new Float64Array(N);
+
+  for( let V_off=0,
+           Λ_off=0; Λ_off < Λ.length; V_off += N*N,
+                                      Λ_off += N )
+  {
+    _eigen_sym_tridiag   (N, V,V_off, Λ,Λ_off, e, compute_V);
+    _eigen_sym_tridiag_ql(N, V,V_off, Λ,Λ_off, e, compute_V);
+  }
+
+  const Λ_arr = new NDArray(Λ_shape,Λ);
+  if( ! compute_V ) return Λ_arr;
+  return [Λ_arr, new NDArray(V_shape,V)];
+}
+
+
+export function eigen_sym( S )
+{
+  return _eigen_sym(S, true);
+}
+
+
+export function eigenvals_sym( S )
+{
+  return _eigen_sym(S, false);
+}
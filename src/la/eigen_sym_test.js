@@ -0,0 +1,161 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {forEachItemIn, CUSTOM_MATCHERS} from '../jasmine_utils'
+import {array, NDArray} from '../nd_array'
+import {tabulate} from '../tabulate'
+import {zip_elems} from '../zip_elems'
+import {AleaRNG} from '../rand/alea_rng'
+
+import {diag_mat} from './diag'
+import {eigen_sym,
+        eigenvals_sym} from './eigen_sym'
+import {eye} from './eye'
+import {matmul, matmul2} from './matmul'
+
+
+describe('eigen_sym', () => {
+  beforeEach( () => {
+    jasmine.addMatchers(CUSTOM_MATCHERS)
+  })
+
+
+  it('eigen_sym works on example of shape [2,2]', () => {
+    const S = array([[2,1],
+                     [1,2]]);
+    const [Λ,V] = eigen_sym(S);
+
+    expect(Λ).toBeAllCloseTo([1,3]);
+    expect( matmul(V,diag_mat(Λ),V.T) ).toBeAllCloseTo(S);
+  })
+
+
+  it('eigen_sym works on zero matrices', () => {
+    for( let N=1; N < 8; N++ )
+    {
+      const [Λ,V] = eigen_sym( new NDArray(Int32Array.of(N,N), new Float64Array(N*N)) );
+
+      expect(Λ).toBeAllCloseTo(0, {rtol:0, atol:0});
+      expect(V).toBeAllCloseTo( eye(N) );
+    }
+  })
+
+
+  forEachItemIn(
+    function*(){
+      const randInt = (from,until) => Math.floor( Math.random() * (until-from) ) + from
+
+      for( let run=512; run-- > 0; )
+      {
+        const N = randInt(1,24),
+          shape = Array.from({length: randInt(0,3)}, () => randInt(1,4) )
+        shape.push(N,N)
+
+        const A = tabulate(shape, 'float64', () => Math.random() < 0.1 ? 0 : Math.random()*2 - 1),
+              S = zip_elems([A,A.T], 'float64', (x,y) => x+y);
+        Object.freeze(S.data.buffer)
+        yield S
+      }
+    }()
+  ).it('eigen_sym works on random examples', S => {
+    const [Λ,V] = eigen_sym(S),
+          N = S.shape[S.ndim-1];
+
+    expect(Λ.shape).toEqual( S.shape.slice(0,-1) )
+    expect(V.shape).toEqual( S.shape )
+    expect(Λ.dtype).toBe('float64')
+    expect(V.dtype).toBe('float64')
+
+    // ASSERT SORTING
+    for( let i=Λ.data.length; --i > 0; )
+      if( i%N !== 0 )
+        expect(Λ.data[i-1]).not.toBeGreaterThan(Λ.data[i]);
+
+    expect( matmul2(V.T,V) ).toBeAllCloseTo( eye(N) )
+    expect( matmul(V,diag_mat(Λ),V.T) ).toBeAllCloseTo(S)
+    expect( eigenvals_sym(S) ).toBeAllCloseTo(Λ)
+  })
+
+
+  it('eigen_sym returns float64 results given float32 input', () => {
+    const S32 = array('float32', [[ 4, 1, 0.1],
+                                  [ 1, 3, 0.3],
+                                  [0.1,0.3, 2 ]]),
+          S64 = array('float64', S32),
+      [Λ32,V32] = eigen_sym(S32),
+      [Λ64,V64] = eigen_sym(S64);
+
+    expect(Λ32.dtype).toBe('float64')
+    expect(V32.dtype).toBe('float64')
+    expect( eigenvals_sym(S32).dtype ).toBe('float64')
+    expect(Λ32).toBeAllCloseTo(Λ64, {rtol: 0, atol: 0})
+    expect(V32).toBeAllCloseTo(V64, {rtol: 0, atol: 0})
+    expect( matmul2(V32.T,V32) ).toBeAllCloseTo( eye(3), {rtol: 0, atol: 1e-14} )
+  })
+
+
+  forEachItemIn(
+    function*(){
+      const rng = new AleaRNG('eigen_sym_known_eigenvals'),
+        randInt = (from,until) => rng.int(from,until)
+
+      for( let run=256; run-- > 0; )
+      {
+        const N = randInt(1,24),
+          shape = Array.from({length: randInt(0,3)}, () => randInt(1,4) )
+
+        // CONSTRUCT MATRICES WITH KNOWN (AND PARTIALLY REPEATED) EIGENVALUES
+        const Λ = tabulate([...shape,N], 'float64', () => randInt(-3,4) * (rng.bool() ? 1 : rng.uniform(0,1)) ),
+              Q = rng.ortho(...shape,N,N),
+              S = matmul(Q,diag_mat(Λ),Q.T)
+        Object.freeze(S.data.buffer)
+        yield [Λ,S]
+      }
+    }()
+  ).it('eigenvals_sym works on random examples with known eigenvalues', ([λ,S]) => {
+    const Λ = eigenvals_sym(S),
+          N = S.shape[S.ndim-1],
+          λ_sorted = λ.data.slice();
+
+    for( let off=0; off < λ_sorted.length; off += N )
+      λ_sorted.subarray(off,off+N).sort();
+
+    expect(Λ.shape).toEqual(λ.shape)
+    expect(Λ).toBeAllCloseTo( new NDArray(λ.shape, λ_sorted) )
+  })
+
+
+  forEachItemIn(
+    function*(){
+      for( let N=1; N < 256; N = Math.max(N+1,N*1.5) | 0 )
+      {
+        const A = tabulate([N,N], 'float64', () => Math.random()*8 - 4),
+              S = matmul2(A,A.T)
+        Object.freeze(S.data.buffer)
+        yield S
+      }
+    }()
+  ).it('eigen_sym works on random large covariance matrices', S => {
+    const [Λ,V] = eigen_sym(S),
+          N = S.shape[S.ndim-1];
+
+    expect(Λ).toBeAllGreaterOrClose(0)
+    expect( matmul2(V.T,V) ).toBeAllCloseTo( eye(N) )
+    expect( matmul(V,diag_mat(Λ),V.T) ).toBeAllCloseTo(S)
+  })
+})
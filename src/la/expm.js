@@ -0,0 +1,252 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {asarray, NDArray} from '../nd_array'
+
+import {_wrap_complex} from './qz'
+
+
+// Padé coefficients and corresponding maximum 1-norms θ_m.
+// SEE: Nicholas J. Higham,
+//      "The Scaling and Squaring Method for the Matrix Exponential Revisited"
+const PADE = [
+  [ 3, 1.495585217958292e-2, [120, 60, 12, 1] ],
+  [ 5, 2.539398330063230e-1, [30240, 15120, 3360, 420, 30, 1] ],
+  [ 7, 9.504178996162932e-1, [17297280, 8648640, 1995840, 277200, 25200, 1512, 56, 1] ],
+  [ 9, 2.097847961257068e+0, [17643225600, 8821612800, 2075673600, 302702400, 30270240, 2162160, 110880, 3960, 90, 1] ]
+];
+
+const THETA_13 = 5.371920351148152,
+          B_13 = [
+  64764752532480000, 32382376266240000, 7771770303897600, 1187353796428800,
+  129060195264000, 10559470521600, 670442572800, 33522128640,
+  1323241920, 40840800, 960960, 16380, 182, 1
+];
+
+
+/** C = A @ B for NxN matrices.
+ */
+function _matmul( N, A, B, C )
+{
+  C.fill(0.0);
+  for( let i=0; i < N; i++ )
+  for( let k=0; k < N; k++ ) {
+    const A_ik = A[N*i+k];
+    for( let j=0; j < N; j++ )
+      C[N*i+j] += A_ik * B[N*k+j];
+  }
+}
+
+
+/** Overwrites B with A \ B using an LU decomposition with partial pivoting. A is overwritten.
+ */
+function _solve( N, A, B )
+{
+  for( let k=0; k < N; k++ )
+  {
+    // FIND PIVOT
+    let p = k;
+    for( let i=k+1; i < N; i++ )
+      if( Math.abs(A[N*i+k]) > Math.abs(A[N*p+k]) )
+        p = i;
+    if( p !== k )
+      for( let j=0; j < N; j++ ) {
+        let tmp;
+        tmp = A[N*k+j]; A[N*k+j] = A[N*p+j]; A[N*p+j] = tmp;
+        tmp = B[N*k+j]; B[N*k+j] = B[N*p+j]; B[N*p+j] = tmp;
+      }
+
+    const A_kk = A[N*k+k];
+    if( 0 === A_kk ) throw new Error('expm(A): Padé denominator is singular.');
+
+    // ELIMINATE
+    for( let i=k+1; i < N; i++ ) {
+      const s = A[N*i+k] / A_kk;
+      if( 0 === s ) continue;
+      for( let j=k+1; j < N; j++ ) A[N*i+j] -= s*A[N*k+j];
+      for( let j=0;   j < N; j++ ) B[N*i+j] -= s*B[N*k+j];
+    }
+  }
+
+  // BACKWARD SUBSTITUTION
+  for( let i=N; i-- > 0; )
+  for( let j=0; j < N; j++ ) {
+    let sum = B[N*i+j];
+    for( let k=i+1; k < N; k++ )
+      sum -= A[N*i+k] * B[N*k+j];
+    B[N*i+j] = sum / A[N*i+i];
+  }
+}
+
+
+function _norm1( N, A )
+{
+  let max = 0;
+  for( let j=0; j < N; j++ ) {
+    let sum = 0;
+    for( let i=0; i < N; i++ )
+      sum += Math.abs(A[N*i+j]);
+    max = Math.max(max,sum);
+  }
+  return max;
+}
+
+
+/** Computes the matrix exponential of the real NxN matrix A and writes the result to F.
+ */
+function _expm( N, A, F )
+{
+  const M = N*N,
+     norm = _norm1(N,A);
+
+  if( ! isFinite(norm) ) {
+    F.fill(NaN);
+    return;
+  }
+
+  const A2 = new Float64Array(M),
+         U = new Float64Array(M),
+         V = new Float64Array(M),
+         T = new Float64Array(M);
+  _matmul(N, A,A, A2);
+
+  let s = 0;
+  find_pade: {
+    // LOW DEGREE APPROXIMANTS (NO SCALING REQUIRED)
+    for( const [m,θ,b] of PADE )
+      if( norm <= θ )
+      {
+        // U = A @ Σ b[2k+1]·A²ᵏ, V = Σ b[2k]·A²ᵏ
+        const P = new Float64Array(M);
+        for( let i=0; i < N; i++ ) {
+          T[N*i+i] = b[1];
+          V[N*i+i] = b[0];
+        }
+        P.set(A2);
+        for( let k=2; k <= m; k += 2 ) {
+          for( let i=M; i-- > 0; ) {
+            T[i] += b[k+1] * P[i];
+            V[i] += b[k  ] * P[i];
+          }
+          if( k+2 <= m ) {
+            _matmul(N, P,A2, U);
+            P.set(U);
+          }
+        }
+        _matmul(N, A,T, U);
+        break find_pade;
+      }
+
+    // SCALING
+    s = Math.max( 0, Math.ceil( Math.log2(norm / THETA_13) ) );
+    const A1 = A.slice(),
+          A4 = new Float64Array(M),
+          A6 = new Float64Array(M);
+    if( s > 0 ) {
+      const scale = 2**-s;
+      for( let i=M; i-- > 0; ) {
+        A1[i] *= scale;
+        A2[i] *= scale*scale;
+      }
+    }
+    _matmul(N, A2,A2, A4);
+    _matmul(N, A4,A2, A6);
+
+    const b = B_13;
+    // U = A @ [A6 @ (b13·A6 + b11·A4 + b9·A2) + b7·A6 + b5·A4 + b3·A2 + b1·I]
+    for( let i=M; i-- > 0; )
+      T[i] = b[13]*A6[i] + b[11]*A4[i] + b[9]*A2[i];
+    _matmul(N, A6,T, V);
+    for( let i=M; i-- > 0; )
+      V[i] += b[7]*A6[i] + b[5]*A4[i] + b[3]*A2[i];
+    for( let i=0; i < N; i++ )
+      V[N*i+i] += b[1];
+    _matmul(N, A1,V, U);
+
+    // V = A6 @ (b12·A6 + b10·A4 + b8·A2) + b6·A6 + b4·A4 + b2·A2 + b0·I
+    for( let i=M; i-- > 0; )
+      T[i] = b[12]*A6[i] + b[10]*A4[i] + b[8]*A2[i];
+    _matmul(N, A6,T, V);
+    for( let i=M; i-- > 0; )
+      V[i] += b[6]*A6[i] + b[4]*A4[i] + b[2]*A2[i];
+    for( let i=0; i < N; i++ )
+      V[N*i+i] += b[0];
+  }
+
+  // F = (V-U) \ (V+U)
+  for( let i=M; i-- > 0; ) {
+    F[i] = V[i] + U[i];
+    T[i] = V[i] - U[i];
+  }
+  _solve(N, T, F);
+
+  // SQUARING
+  for( ; s > 0; s-- ) {
+    _matmul(N, F,F, T);
+    F.set(T);
+  }
+}
+
+
+export function expm( A )
+{
+  A = asarray(A);
+  if( A.ndim < 2 ) throw new Error('expm(A): A must be at least 2D.');
+  if( A.dtype === 'object' ) throw new Error('expm(A): A.dtype must not be "object".');
+
+  const N = A.shape[A.ndim-1];
+  if( A.shape[A.ndim-2] !== N ) throw new Error('expm(A): A must be square.');
+
+  if( A.dtype !== 'complex128' )
+  {
+    const A_dat = A.data,
+          F_dat = new Float64Array(A_dat.length),
+          X     = new Float64Array(N*N),
+          F     = new Float64Array(N*N);
+    for( let off=0; off < F_dat.length; off += N*N ) {
+      for( let i=N*N; i-- > 0; ) X[i] = A_dat[off+i];
+      _expm(N, X, F);
+      F_dat.set(F, off);
+    }
+    return new NDArray(A.shape, F_dat);
+  }
+
+  // COMPLEX MATRICES ARE HANDLED VIA THE REAL EMBEDDING [[Re,-Im],[Im,Re]]
+  const A_dat = A.data._array,
+        F_dat = new Float64Array(A_dat.length),
+        M     = 2*N,
+        X     = new Float64Array(M*M),
+        F     = new Float64Array(M*M);
+  for( let off=0; off < F_dat.length; off += 2*N*N )
+  {
+    for( let i=0; i < N; i++ )
+    for( let j=0; j < N; j++ ) {
+      const re = A_dat[off + 2*(N*i+j)  ],
+            im = A_dat[off + 2*(N*i+j)+1];
+      X[M*(  i)+  j] = re; X[M*(  i)+N+j] =-im;
+      X[M*(N+i)+  j] = im; X[M*(N+i)+N+j] = re;
+    }
+    _expm(M, X, F);
+    for( let i=0; i < N; i++ )
+    for( let j=0; j < N; j++ ) {
+      F_dat[off + 2*(N*i+j)  ] = F[M*(N+i)+N+j];
+      F_dat[off + 2*(N*i+j)+1] = F[M*(N+i)+  j];
+    }
+  }
+  return new NDArray(A.shape, _wrap_complex(F_dat));
+}
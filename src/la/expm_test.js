@@ -0,0 +1,111 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {Complex} from '../dt/complex'
+import {forEachItemIn, CUSTOM_MATCHERS} from '../jasmine_utils'
+import math from '../math'
+import {tabulate} from '../tabulate'
+
+import {diag_mat} from './diag'
+import {eigen_sym} from './eigen_sym'
+import {expm} from './expm'
+import {eye} from './eye'
+import {matmul, matmul2} from './matmul'
+
+
+describe('expm', () => {
+  beforeEach( () => {
+    jasmine.addMatchers(CUSTOM_MATCHERS)
+  })
+
+
+  function* shapes(rng)
+  {
+    for( let run=0; run++ < 8; )
+    for( let   N=0;   N++ < 6; )
+      yield [N];
+
+    for( let run=0; run++ < 256; )
+      yield [
+        ...Array.from({ length: rng.int(0,3) }, () => rng.int(1,4) ),
+        rng.int(1,16)
+      ];
+  }
+
+
+  it('works on known examples', () => {
+    const e = Math.E;
+    expect( expm([[1,1],
+                  [0,2]]) ).toBeAllCloseTo([[e, e*e-e],
+                                            [0, e*e  ]]);
+    expect( expm([[ 0,1],
+                  [-1,0]]) ).toBeAllCloseTo([[ Math.cos(1), Math.sin(1)],
+                                             [-Math.sin(1), Math.cos(1)]]);
+    expect( expm([[1e-3]]) ).toBeAllCloseTo([[Math.expm1(1e-3)+1]], {rtol:0, atol:1e-15});
+    expect( expm(tabulate([3,3], 'float64', (i,j) => i===j ? 0 : 0)) ).toBeAllCloseTo( eye(3) );
+  });
+
+
+  forEachItemIn(
+    function*(rng){
+      for( const [...shape] of shapes(rng) )
+      {
+        const N = shape.pop(),
+              s = rng.uniform(0,8),
+              A = tabulate([...shape,N,N], 'float64', () => rng.uniform(-s,+s) ),
+              S = tabulate([...shape,N,N], 'float64', (...idx) => {
+                const [i,j] = idx.slice(-2);
+                return A.data[0] + A(...idx.slice(0,-2),i,j) + A(...idx.slice(0,-2),j,i);
+              });
+        Object.freeze(S.data.buffer);
+        yield S;
+      }
+    }
+  ).it('works on random symmetric examples', S => {
+    const [Λ,V] = eigen_sym(S),
+              E = expm(S);
+    expect(E.dtype).toBe('float64');
+    expect(E.shape).toEqual(S.shape);
+    expect(E).toBeAllCloseTo( matmul(V, diag_mat(Λ.mapElems('float64', Math.exp)), V.T), {rtol:1e-8} );
+  });
+
+
+  for( const dtype of ['float64', 'complex128'] )
+    forEachItemIn(
+      function*(rng){
+        for( const [...shape] of shapes(rng) )
+        {
+          const N = shape.pop(),
+                s = rng.uniform(0,4) / Math.sqrt(N),
+                A = tabulate([...shape,N,N], dtype, () => dtype === 'float64'
+                  ? rng.uniform(-s,+s)
+                  : new Complex( rng.uniform(-s,+s), rng.uniform(-s,+s) )
+                );
+          Object.freeze(A.data.buffer);
+          yield A;
+        }
+      }
+    ).it(`satisfies expm(A) @ expm(-A) = I for random ${dtype} examples`, A => {
+      const N = A.shape[A.ndim-1],
+            E = expm(A),
+            F = expm( A.mapElems(dtype, x => math.sub(0,x)) );
+      expect(E.dtype).toBe(dtype);
+      expect(E.shape).toEqual(A.shape);
+      expect( matmul2(E,F) ).toBeAllCloseTo( eye(N), {rtol:1e-8, atol:1e-8} );
+    });
+})
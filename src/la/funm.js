@@ -0,0 +1,383 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {Complex} from '../dt/complex'
+import {asarray, NDArray} from '../nd_array'
+
+import {FrobeniusNorm} from './norm'
+import {_wrap_complex} from './qz'
+import {_csqrt,
+        schur_decomp_complex} from './schur_complex'
+
+
+// All of the matrix functions in this file follow the same pattern:
+//   1. Compute the complex Schur decomposition A = Q @ T @ Q.H
+//   2. Compute F = f(T) for the upper triangular T
+//   3. Return Q @ F @ Q.H
+// All computations are performed in interleaved complex storage.
+
+
+/** Computes the Gauss-Legendre nodes and weights on the interval [0,1].
+ */
+function _gauss_legendre01( m )
+{
+  const x = new Float64Array(m),
+        w = new Float64Array(m);
+
+  for( let i=0; i < m; i++ )
+  {
+    let z = Math.cos( Math.PI * (i+0.75) / (m+0.5) ), dp;
+    for( let iter=0; iter < 64; iter++ )
+    {
+      // EVALUATE LEGENDRE POLYNOMIAL VIA RECURRENCE
+      let p0 = 1,
+          p1 = z;
+      for( let k=2; k <= m; k++ ) {
+        const p2 = ( (2*k-1)*z*p1 - (k-1)*p0 ) / k;
+        p0 = p1;
+        p1 = p2;
+      }
+      dp = m * (z*p1 - p0) / (z*z - 1);
+      const dz = p1/dp;
+      z -= dz;
+      if( Math.abs(dz) <= 1e-16 ) break;
+    }
+    x[i] = (1-z) / 2;
+    w[i] = 1 / ( (1-z*z)*dp*dp );
+  }
+
+  return [x,w];
+}
+
+
+const [LOG_X,
+       LOG_W] = _gauss_legendre01(8);
+
+
+/** Solves U @ Y = X for Y, where U is an upper triangular complex matrix.
+ *  Since X is upper triangular as well, so is Y.
+ */
+function _triu_solve_complex( N, U, X, Y )
+{
+  for( let j=0; j < N; j++ )
+  for( let i=j+1; i-- > 0; )
+  {
+    let re = X[2*(N*i+j)  ],
+        im = X[2*(N*i+j)+1];
+    for( let k=i+1; k <= j; k++ ) {
+      const u_re = U[2*(N*i+k)], u_im = U[2*(N*i+k)+1],
+            y_re = Y[2*(N*k+j)], y_im = Y[2*(N*k+j)+1];
+      re -= u_re*y_re - u_im*y_im;
+      im -= u_re*y_im + u_im*y_re;
+    }
+    const y = new Complex(re,im).div( U[2*(N*i+i)], U[2*(N*i+i)+1] );
+    Y[2*(N*i+j)  ] = y.re;
+    Y[2*(N*i+j)+1] = y.im;
+  }
+}
+
+
+/** Computes the principal square root R of the upper triangular complex matrix T
+ *  using the method of Björck and Hammarling.
+ */
+function _sqrtm_triu( N, T, R )
+{
+  for( let j=0; j < N; j++ )
+  {
+    const jj = 2*(N*j+j),
+       R_jj = _csqrt(T[jj], T[jj+1]);
+    R[jj  ] = R_jj.re;
+    R[jj+1] = R_jj.im;
+
+    for( let i=j; i-- > 0; )
+    {
+      let re = T[2*(N*i+j)  ],
+          im = T[2*(N*i+j)+1];
+      for( let k=i+1; k < j; k++ ) {
+        const a_re = R[2*(N*i+k)], a_im = R[2*(N*i+k)+1],
+              b_re = R[2*(N*k+j)], b_im = R[2*(N*k+j)+1];
+        re -= a_re*b_re - a_im*b_im;
+        im -= a_re*b_im + a_im*b_re;
+      }
+      const d_re = R[2*(N*i+i)] + R[jj  ],
+            d_im = R[2*(N*i+i)+1] + R[jj+1];
+      if( 0 === d_re && 0 === d_im ) {
+        if( 0 !== re || 0 !== im )
+          throw new Error('sqrtm(A): A is singular and has no square root.');
+        R[2*(N*i+j)  ] = 0;
+        R[2*(N*i+j)+1] = 0;
+        continue;
+      }
+      const R_ij = new Complex(re,im).div(d_re,d_im);
+      R[2*(N*i+j)  ] = R_ij.re;
+      R[2*(N*i+j)+1] = R_ij.im;
+    }
+  }
+}
+
+
+/** Computes the principal logarithm L of the upper triangular complex matrix T
+ *  using the inverse scaling and squaring method. The square roots are taken until
+ *  ‖T - I‖₁ ≤ 0.25, followed by a degree 8 Padé approximant of log(I+X) which is
+ *  evaluated as partial fraction via Gauss-Legendre quadrature.
+ *
+ *  SEE: Nicholas J. Higham,
+ *       "Evaluating Padé Approximants of the Matrix Logarithm"
+ */
+function _logm_triu( N, T, L )
+{
+  for( let i=0; i < N; i++ )
+    if( 0 === T[2*(N*i+i)] && 0 === T[2*(N*i+i)+1] )
+      throw new Error('logm(A): A is singular.');
+
+  let R = T.slice(),
+      S = new Float64Array(R.length),
+      s = 0;
+
+  const norm1 = () => {
+    let max = 0;
+    for( let j=0; j < N; j++ ) {
+      let sum = 0;
+      for( let i=0; i <= j; i++ )
+        sum += Math.hypot( R[2*(N*i+j)] - (i===j), R[2*(N*i+j)+1] );
+      max = Math.max(max,sum);
+    }
+    return max;
+  };
+
+  for( ; s < 64 && norm1() > 0.25; s++ ) {
+    _sqrtm_triu(N, R, S);
+    const tmp = R; R = S; S = tmp;
+  }
+
+  // X = R - I
+  for( let i=0; i < N; i++ )
+    R[2*(N*i+i)] -= 1;
+
+  // L = Σ w_i·(I + x_i·X)⁻¹·X
+  L.fill(0.0);
+  const U = new Float64Array(R.length);
+  for( let k=LOG_X.length; k-- > 0; )
+  {
+    const x_k = LOG_X[k],
+          w_k = LOG_W[k];
+    for( let i=R.length; i-- > 0; ) U[i] = x_k*R[i];
+    for( let i=0; i < N; i++ ) U[2*(N*i+i)] += 1;
+    _triu_solve_complex(N, U, R, S);
+    for( let i=R.length; i-- > 0; ) L[i] += w_k*S[i];
+  }
+
+  const scale = 2**s;
+  for( let i=L.length; i-- > 0; ) L[i] *= scale;
+
+  // THE DIAGONAL CAN BE COMPUTED DIRECTLY
+  for( let i=0; i < N; i++ ) {
+    const re = T[2*(N*i+i)],
+          im = T[2*(N*i+i)+1];
+    L[2*(N*i+i)  ] = Math.log( Math.hypot(re,im) );
+    L[2*(N*i+i)+1] = Math.atan2(im,re);
+  }
+}
+
+
+/** Computes F = f(T) for the upper triangular complex matrix T using the Schur-Parlett recurrence.
+ *  The recurrence divides by T[j,j] - T[i,i], i.e. it requires the derivatives of f for repeated
+ *  eigenvalues, which are not available. The only exception are repeated eigenvalues that are
+ *  decoupled, i.e. where row i or column j of T[i:j+1,i:j+1] is negligible, in which case F[i,j] = 0.
+ *  For close eigenvalues, the rounding errors are amplified by the divisions. A first order estimate
+ *  of the propagated error is therefore computed alongside F and an error is thrown if it is too large.
+ */
+function _funm_triu( N, T, F, f )
+{
+  const NAME = 'funm(A,f)',
+        NORM = new FrobeniusNorm();
+  for( let i=T.length; i-- > 0; )
+    NORM.include(T[i]);
+  const normT = NORM.result,
+      tol_sep = Math.sqrt(Number.EPSILON) * normT, // <- eigenvalues closer than this are considered repeated
+     tol_zero = 128 * N * Number.EPSILON * normT;  // <- entries of T smaller than this are considered zero
+
+  const abs = i => Math.hypot(T[i], T[i+1]),
+        err = new Float64Array(N*N); // <- error estimate of F
+
+  NORM.reset();
+  for( let i=0; i < N; i++ )
+  {
+    const ii = 2*(N*i+i);
+    let f_ii = f( 0 === T[ii+1] ? T[ii] : new Complex(T[ii], T[ii+1]) );
+    if( ! (f_ii instanceof Complex) ) f_ii = new Complex(f_ii);
+    F[ii  ] = f_ii.re;
+    F[ii+1] = f_ii.im;
+    err[N*i+i] = Number.EPSILON * f_ii.abs();
+    NORM.include(f_ii.re);
+    NORM.include(f_ii.im);
+  }
+
+  for( let p=1; p < N; p++ )
+  for( let i=0; i < N-p; i++ )
+  {
+    const j = i+p,
+         ij = 2*(N*i+j),
+         ii = 2*(N*i+i),
+         jj = 2*(N*j+j);
+
+    // s = T[i,j]·(F[j,j] - F[i,i])
+    const df_re = F[jj  ] - F[ii  ],
+          df_im = F[jj+1] - F[ii+1];
+    let re = T[ij]*df_re - T[ij+1]*df_im,
+        im = T[ij]*df_im + T[ij+1]*df_re,
+        mag = abs(ij) * ( Math.hypot(F[jj],F[jj+1]) + Math.hypot(F[ii],F[ii+1]) ),
+        e   = abs(ij) * ( err[N*j+j] + err[N*i+i] );
+
+    // s += T[i,k]·F[k,j] - F[i,k]·T[k,j]
+    for( let k=i+1; k < j; k++ ) {
+      const ik = 2*(N*i+k),
+            kj = 2*(N*k+j);
+      re += T[ik]*F[kj  ] - T[ik+1]*F[kj+1] - F[ik]*T[kj  ] + F[ik+1]*T[kj+1];
+      im += T[ik]*F[kj+1] + T[ik+1]*F[kj  ] - F[ik]*T[kj+1] - F[ik+1]*T[kj  ];
+      mag+= abs(ik) * Math.hypot(F[kj],F[kj+1]) + Math.hypot(F[ik],F[ik+1]) * abs(kj);
+      e  += abs(ik) * err[N*k+j]                + err[N*i+k]                * abs(kj);
+    }
+
+    const dt_re = T[jj  ] - T[ii  ],
+          dt_im = T[jj+1] - T[ii+1],
+          dt    = Math.hypot(dt_re,dt_im);
+    if( dt > tol_sep ) {
+      const F_ij = new Complex(re,im).div(dt_re,dt_im);
+      re = F_ij.re;
+      im = F_ij.im;
+      e  = (e + Number.EPSILON*mag) / dt;
+    }
+    else {
+      let row_zero = true,
+          col_zero = true;
+      for( let k=i+1; k <= j; k++ ) row_zero = row_zero && abs(2*(N*i+k)) <= tol_zero;
+      for( let k=i;   k <  j; k++ ) col_zero = col_zero && abs(2*(N*k+j)) <= tol_zero;
+      if( ! row_zero && ! col_zero )
+        throw new Error(`${NAME}: A has repeated (or very close) eigenvalues which are not supported by the Schur-Parlett recurrence.`);
+      re = 0;
+      im = 0;
+      e  = 0;
+    }
+    F[ij  ] = re;
+    F[ij+1] = im;
+    err[N*i+j] = e;
+    NORM.include(re);
+    NORM.include(im);
+  }
+
+  const tol = Math.sqrt(Number.EPSILON) * NORM.result;
+  for( let i=err.length; i-- > 0; )
+    if( !(err[i] <= tol) )
+      throw new Error(`${NAME}: A has eigenvalues that are too close for the Schur-Parlett recurrence to be accurate.`);
+}
+
+
+/** Applies the triangular matrix function triu_fn to the Schur form of A and
+ *  transforms the result back. If A is real and the result has negligible
+ *  imaginary parts, a real result is returned.
+ */
+function _funm_schur( A, name, triu_fn )
+{
+  A = asarray(A);
+  if( A.ndim < 2 ) throw new Error(`${name}: A must be at least 2D.`);
+
+  const N = A.shape[A.ndim-1];
+  if( A.shape[A.ndim-2] !== N ) throw new Error(`${name}: A must be square.`);
+
+  const [Q,T] = schur_decomp_complex(A),
+      Q_dat = Q.data._array,
+      T_dat = T.data._array,
+      F_dat = new Float64Array(T_dat.length),
+      F     = new Float64Array(2*N*N),
+      G     = new Float64Array(2*N*N),
+      NORM  = new FrobeniusNorm();
+
+  let is_real = A.dtype !== 'complex128';
+
+  for( let off=0; off < F_dat.length; off += 2*N*N )
+  {
+    triu_fn(N, T_dat.subarray(off, off + 2*N*N), F);
+
+    // G = F @ Q.H
+    for( let i=0; i < N; i++ )
+    for( let j=0; j < N; j++ ) {
+      let re = 0,
+          im = 0;
+      for( let k=i; k < N; k++ ) {
+        const f_re = F[      2*(N*i+k)], f_im = F[      2*(N*i+k)+1],
+              q_re = Q_dat[off + 2*(N*j+k)], q_im =-Q_dat[off + 2*(N*j+k)+1];
+        re += f_re*q_re - f_im*q_im;
+        im += f_re*q_im + f_im*q_re;
+      }
+      G[2*(N*i+j)  ] = re;
+      G[2*(N*i+j)+1] = im;
+    }
+
+    // F = Q @ G
+    NORM.reset();
+    let im_max = 0;
+    for( let i=0; i < N; i++ )
+    for( let j=0; j < N; j++ ) {
+      let re = 0,
+          im = 0;
+      for( let k=0; k < N; k++ ) {
+        const q_re = Q_dat[off + 2*(N*i+k)], q_im = Q_dat[off + 2*(N*i+k)+1],
+              g_re = G[      2*(N*k+j)], g_im = G[      2*(N*k+j)+1];
+        re += q_re*g_re - q_im*g_im;
+        im += q_re*g_im + q_im*g_re;
+      }
+      F_dat[off + 2*(N*i+j)  ] = re;
+      F_dat[off + 2*(N*i+j)+1] = im;
+      NORM.include(re);
+      NORM.include(im);
+      im_max = Math.max(im_max, Math.abs(im));
+    }
+
+    // imaginary parts that are in the order of rounding errors are considered zero
+    if( ! (im_max <= 128 * N * Number.EPSILON * NORM.result) )
+      is_real = false;
+  }
+
+  if( is_real ) {
+    const R = new Float64Array(F_dat.length/2);
+    for( let i=R.length; i-- > 0; )
+      R[i] = F_dat[2*i];
+    return new NDArray(A.shape, R);
+  }
+  return new NDArray(A.shape, _wrap_complex(F_dat));
+}
+
+
+export function funm( A, f )
+{
+  if( !(f instanceof Function) ) throw new Error('funm(A,f): f must be a function.');
+  return _funm_schur(A, 'funm(A,f)', (N,T,F) => _funm_triu(N,T,F,f) );
+}
+
+
+export function sqrtm( A )
+{
+  return _funm_schur(A, 'sqrtm(A)', _sqrtm_triu);
+}
+
+
+export function logm( A )
+{
+  return _funm_schur(A, 'logm(A)', _logm_triu);
+}
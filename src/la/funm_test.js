@@ -0,0 +1,156 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {Complex} from '../dt/complex'
+import {forEachItemIn, CUSTOM_MATCHERS} from '../jasmine_utils'
+import {AleaRNG} from '../rand/alea_rng'
+import math from '../math'
+import {tabulate} from '../tabulate'
+
+import {diag_mat} from './diag'
+import {expm} from './expm'
+import {eye} from './eye'
+import {funm, logm, sqrtm} from './funm'
+import {matmul, matmul2} from './matmul'
+
+
+describe('funm', () => {
+  beforeEach( () => {
+    jasmine.addMatchers(CUSTOM_MATCHERS)
+  })
+
+
+  function* matrices(rng, dtype)
+  {
+    const shapes = function*(){
+      for( let run=0; run++ < 8; )
+      for( let   N=0;   N++ < 6; )
+        yield [N];
+
+      for( let run=0; run++ < 192; )
+        yield [
+          ...Array.from({ length: rng.int(0,3) }, () => rng.int(1,4) ),
+          rng.int(1,16)
+        ];
+    }();
+
+    for( const [...shape] of shapes )
+    {
+      const N = shape.pop(),
+            A = tabulate([...shape,N,N], dtype, () => dtype === 'float64'
+              ? rng.uniform(-1,+1)
+              : new Complex( rng.uniform(-1,+1), rng.uniform(-1,+1) )
+            );
+      Object.freeze(A.data.buffer);
+      yield A;
+    }
+  }
+
+
+  it('sqrtm works on known examples', () => {
+    expect( sqrtm([[4,0],
+                   [0,9]]) ).toBeAllCloseTo([[2,0],
+                                             [0,3]]);
+    expect( sqrtm([[1,2],
+                   [0,1]]) ).toBeAllCloseTo([[1,1],
+                                             [0,1]]);
+    const R = sqrtm([[-1]]);
+    expect(R.dtype).toBe('complex128');
+    expect(R).toBeAllCloseTo([[new Complex(0,1)]]);
+  });
+
+
+  it('logm works on known examples', () => {
+    expect( logm([[Math.E,0],
+                  [0,     1]]) ).toBeAllCloseTo([[1,0],
+                                                 [0,0]]);
+    expect( logm([[ Math.cos(1), Math.sin(1)],
+                  [-Math.sin(1), Math.cos(1)]]) ).toBeAllCloseTo([[ 0,1],
+                                                                  [-1,0]]);
+    expect( () => logm([[1,2],
+                         [0,0]]) ).toThrow();
+  });
+
+
+  for( const dtype of ['float64', 'complex128'] )
+  {
+    forEachItemIn(
+      rng => matrices(rng,dtype)
+    ).it(`sqrtm works on random ${dtype} examples`, A => {
+      const R = sqrtm(A);
+      expect(R.shape).toEqual(A.shape);
+      if( dtype === 'complex128' )
+        expect(R.dtype).toBe('complex128');
+      expect( matmul2(R,R) ).toBeAllCloseTo(A, {rtol:1e-6, atol:1e-6});
+    });
+
+
+    forEachItemIn(
+      rng => matrices(rng,dtype)
+    ).it(`logm works on random ${dtype} examples`, A => {
+      const L = logm(A);
+      expect(L.shape).toEqual(A.shape);
+      expect( expm(L) ).toBeAllCloseTo(A, {rtol:1e-6, atol:1e-6});
+    });
+
+
+    forEachItemIn(
+      rng => matrices(rng,dtype)
+    ).it(`funm(A,exp) matches expm(A) on random ${dtype} examples`, A => {
+      const F = funm(A, math.exp);
+      expect(F.shape).toEqual(A.shape);
+      expect(F).toBeAllCloseTo( expm(A), {rtol:1e-6, atol:1e-6} );
+    });
+  }
+
+
+  it('funm(A,x => x*x) matches A @ A', () => {
+    const A = tabulate([5,5], 'float64', (i,j) => i===j ? i+1 : 1 / (1+i+2*j) );
+    expect( funm(A, x => math.mul(x,x)) ).toBeAllCloseTo( matmul2(A,A) );
+    expect( funm(A, x => 1) ).toBeAllCloseTo( eye(5) );
+  });
+
+
+  it('funm(A,f) throws given defective matrices', () => {
+    const Q = new AleaRNG('funm_defective').ortho(3,3),
+          J = [[4,1,0],
+               [0,4,1],
+               [0,0,4]];
+    expect( () => funm([[1,1],[0,1]], math.exp) ).toThrowError(/repeated/);
+    expect( () => funm(J, math.sqrt) ).toThrowError(/repeated/);
+    expect( () => funm(matmul(Q,J,Q.T), math.exp) ).toThrowError(/too close/);
+    expect( sqrtm(J) ).toBeAllCloseTo([[2, 1/4, -1/64],
+                                       [0,  2,   1/4 ],
+                                       [0,  0,   2   ]]);
+  });
+
+
+  it('funm(A,f) works given repeated but decoupled eigenvalues', () => {
+    const Q = new AleaRNG('funm_repeated').ortho(4,4),
+          D = [2,2,5,2],
+          A = matmul(Q, diag_mat(D), Q.T);
+    expect( funm(diag_mat(D), math.exp) ).toBeAllCloseTo( diag_mat(D.map(Math.exp)) );
+    expect( funm(A, math.exp) ).toBeAllCloseTo( matmul(Q, diag_mat(D.map(Math.exp)), Q.T) );
+    expect( funm([[3,0,1],
+                  [0,3,0],
+                  [0,0,1]], math.exp) ).toBeAllCloseTo( expm([[3,0,1],
+                                                                [0,3,0],
+                                                                [0,0,1]]) );
+    expect( funm(eye(3), x => 7) ).toBeAllCloseTo( tabulate([3,3], 'float64', (i,j) => 7*(i===j)) );
+  });
+})
@@ -0,0 +1,157 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {_check_tol,
+        _dot,
+        _krylov_args,
+        _krylov_run,
+        _no_convergence,
+        _norm,
+        _vec} from './_krylov'
+
+
+/** Solves A @ x = b for a general square A using the restarted GMRES method.
+ *  The optional preconditioner M is applied from the right, such that the
+ *  (true) residual norm is minimized. Yields [x, ‖b - A@x‖] for each iterate,
+ *  starting with the initial guess. Returns once ‖b - A@x‖ ≤ max(tol·‖b‖, atol).
+ *  The residual norm is the one estimated by the Arnoldi process, which may
+ *  slightly differ from the true residual norm due to rounding errors.
+ *
+ *  SEE: Y. Saad and M. H. Schultz,
+ *       "GMRES: A Generalized Minimal Residual Algorithm for Solving Nonsymmetric Linear Systems"
+ */
+export function* gmres_gen( A, b, {x0, M, tol=1e-8, atol=0, restart, maxiter} = {} )
+{
+  let N, x;
+  [A, M, b, x, N] = _krylov_args('gmres_gen(A,b,opt)', A, b, x0, M);
+  if( null == restart ) restart = Math.min(N,20);
+  if( null == maxiter ) maxiter = 10*N;
+  _check_tol('gmres_gen(A,b,opt)', tol, atol, maxiter);
+  if( !(restart > 0) || restart%1 !== 0 ) throw new Error('gmres_gen(A,b,opt): opt.restart must be a positive integer.');
+
+  const  m = restart,
+    thresh = Math.max(tol*_norm(b), atol),
+    prec = null == M ? v => v : M,
+    V = Array.from({length: m+1}, () => new Float64Array(N)), // <- Arnoldi basis
+    H = new Float64Array(m*(m+1)),                           // <- (rotated) Hessenberg matrix H[j,i] = H[(m+1)*i+j]
+    C = new Float64Array(m),                                 // <- Givens rotations
+    S = new Float64Array(m),
+    g = new Float64Array(m+1),
+    y = new Float64Array(m);
+
+  // x = x0 + M @ V[:,:k] @ y, where R[:k,:k] @ y = g[:k]
+  const solution = (x0,k) => {
+    for( let i=k; i-- > 0; ) {
+      let sum = g[i];
+      for( let j=i+1; j < k; j++ )
+        sum -= H[(m+1)*j+i] * y[j];
+      y[i] = sum / H[(m+1)*i+i];
+    }
+    const u = new Float64Array(N);
+    for( let j=0; j < k; j++ )
+    for( let i=N; i-- > 0; )
+      u[i] += V[j][i] * y[j];
+    const Mu = prec(u);
+    for( let i=N; i-- > 0; )
+      u[i] = x0[i] + Mu[i];
+    return u;
+  };
+
+  let r = A(x);
+  for( let i=N; i-- > 0; )
+    r[i] = b[i] - r[i];
+  let res = _norm(r);
+  yield [_vec(x), res];
+  if( res <= thresh ) return;
+
+  for( let iter=0; iter < maxiter; )
+  {
+    // START NEW CYCLE
+    const beta = res;
+    g.fill(0.0);
+    g[0] = beta;
+    for( let i=N; i-- > 0; )
+      V[0][i] = r[i] / beta;
+
+    let k = 0;
+    while( k < m && iter < maxiter )
+    {
+      ++iter;
+
+      // ARNOLDI STEP (MODIFIED GRAM-SCHMIDT)
+      const w = A( prec(V[k].slice()) ),
+          h_k = (m+1)*k;
+      for( let j=0; j <= k; j++ ) {
+        const h = _dot(w,V[j]);
+        H[h_k+j] = h;
+        for( let i=N; i-- > 0; )
+          w[i] -= h*V[j][i];
+      }
+      const h = _norm(w);
+      H[h_k+k+1] = h;
+      if( h > 0 )
+        for( let i=N; i-- > 0; )
+          V[k+1][i] = w[i] / h;
+
+      // APPLY PREVIOUS ROTATIONS
+      for( let j=0; j < k; j++ ) {
+        const h0 = H[h_k+j  ],
+              h1 = H[h_k+j+1];
+        H[h_k+j  ] = C[j]*h0 + S[j]*h1;
+        H[h_k+j+1] =-S[j]*h0 + C[j]*h1;
+      }
+
+      // COMPUTE NEW ROTATION
+      {
+        const h0 = H[h_k+k  ],
+              h1 = H[h_k+k+1],
+              hr = Math.hypot(h0,h1);
+        C[k] = h0/hr;
+        S[k] = h1/hr;
+        H[h_k+k  ] = hr;
+        H[h_k+k+1] = 0;
+        g[k+1] =-S[k]*g[k];
+        g[k  ] = C[k]*g[k];
+      }
+
+      ++k;
+      res = Math.abs(g[k]);
+
+      const X = solution(x,k);
+      yield [_vec(X), res];
+      if( res <= thresh ) return;
+      if( 0 === h ) break; // <- lucky breakdown
+    }
+
+    // RESTART
+    x = solution(x,k);
+    r = A(x);
+    for( let i=N; i-- > 0; )
+      r[i] = b[i] - r[i];
+    res = _norm(r);
+    if( res <= thresh ) return;
+  }
+
+  throw _no_convergence('gmres_gen(A,b,opt)', x, maxiter);
+}
+
+
+export function gmres( A, b, opt )
+{
+  return _krylov_run( gmres_gen(A, b, opt) );
+}
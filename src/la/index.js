@@ -17,18 +17,41 @@
  */
 
 export * from './bidiag'
+export {bicgstab,
+        bicgstab_gen} from './bicgstab'
+export {cg,
+        cg_gen} from './cg'
 export {cholesky_decomp,
         cholesky_solve} from './cholesky'
+export {cholesky_cond_est,
+        cond,
+        lu_cond_est} from './cond'
 export * from './diag'
 export * from './det'
 export * from './eigen'
+export * from './eigen_gen'
+export {eigen_sym,
+        eigenvals_sym} from './eigen_sym'
 export * from './eye'
+export {expm} from './expm'
+export {funm,
+        logm,
+        sqrtm} from './funm'
+export {gmres,
+        gmres_gen} from './gmres'
 export {hessenberg_decomp} from './hessenberg'
+export {inv,
+        pinv} from './inv'
+export * from './krylov_no_convergence_error'
 export {ldl_decomp,
         ldl_solve} from './ldl'
+export {lsqr,
+        lsqr_gen} from './lsqr'
 export * from './lstsq'
 export * from './lu'
 export * from './matmul'
+export {minres,
+        minres_gen} from './minres'
 export {norm} from './norm'
 export * from './permute'
 export {pldlp_decomp,
@@ -36,6 +59,9 @@ export {pldlp_decomp,
         pldlp_l,
         pldlp_d,
         pldlp_p} from './pldlp'
+export {qz_decomp,
+        qz_eigen,
+        qz_eigenvals} from './qz'
 export {qr_decomp,
         qr_decomp_full,
         qr_lstsq} from './qr'
@@ -48,6 +74,7 @@ export { rrqr_decomp,
          rrqr_solve}       from  './rrqr'
 export {srrqr_decomp_full} from './srrqr'
 export        * from './schur'
+export {schur_decomp_complex} from './schur_complex'
 export        * from './singular_matrix_solve_error'
 export {solve}  from './solve'
 export        * from './svd'
@@ -0,0 +1,102 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {ARRAY_TYPES, eps} from '../dt'
+import {asarray, NDArray} from '../nd_array'
+import {eye} from './eye'
+import {lu_decomp, lu_solve} from './lu'
+import {SingularMatrixSolveError} from './singular_matrix_solve_error'
+import {svd_decomp} from './svd'
+
+
+export function inv( A )
+{
+  A = asarray(A);
+  if( A.ndim < 2 )
+    throw new Error(`inv(A): A.ndim must be at least 2.`);
+  const [M,N] = A.shape.slice(-2);
+  if( M !== N )
+    throw new Error(`inv(A): A must be square matrices.`);
+  if( A.dtype.startsWith('complex') )
+    throw new Error(`inv(A): A.dtype must be float.`);
+
+  const [LU,P] = lu_decomp(A),
+             X = lu_solve(LU,P, eye(A.dtype==='float32' ? 'float32' : 'float64', N));
+
+  const LU_dat = LU.data;
+  for( let off=0; off < LU_dat.length; off += N*N )
+  for( let i=0; i < N; i++ )
+    if( !(LU_dat[off + N*i+i] !== 0) || ! isFinite(LU_dat[off + N*i+i]) )
+      throw new SingularMatrixSolveError(X, 'inv(A): A is (numerically) singular.');
+
+  return X;
+}
+
+
+export function pinv( A, rcond=undefined )
+{
+  A = asarray(A);
+  if( A.ndim < 2 )
+    throw new Error(`pinv(A,rcond): A.ndim must be at least 2.`);
+  if( A.dtype.startsWith('complex') )
+    throw new Error(`pinv(A,rcond): A.dtype must be float.`);
+
+  const [M,N] = A.shape.slice(-2),
+            L = Math.min(M,N);
+  if( null == rcond )
+    rcond = Math.max(M,N) * eps(A.dtype==='float32' ? 'float32' : 'float64');
+  if( !(0 <= rcond) )
+    throw new Error(`pinv(A,rcond): rcond must be a non-negative number.`);
+
+  const [U,sv,V] = svd_decomp(A),
+          U_dat = U .data,
+          S_dat = sv.data,
+          V_dat = V .data,
+          X_dat = new ARRAY_TYPES[A.dtype==='float32' ? 'float32' : 'float64'](U_dat.length/(M*L) * N*M),
+          S_inv = new Float64Array(L);
+
+  // pinv(A) = Vᵀ @ diag(1/sv) @ Uᵀ, ignoring singular values below rcond*max(sv)
+  for( let U_off=0,
+           S_off=0,
+           V_off=0,
+           X_off=0; X_off < X_dat.length; U_off += M*L,
+                                          S_off +=   L,
+                                          V_off += L*N,
+                                          X_off += N*M )
+  {
+    const T = rcond * S_dat[S_off];
+    for( let k=0; k < L; k++ ) {
+      const s = S_dat[S_off+k];
+      S_inv[k] = s > T ? 1/s : 0;
+    }
+
+    for( let i=0; i < N; i++ )
+    for( let j=0; j < M; j++ )
+    {
+      let sum = 0;
+      for( let k=0; k < L; k++ )
+        sum += V_dat[V_off + N*k+i] * S_inv[k] * U_dat[U_off + L*j+k];
+      X_dat[X_off + M*i+j] = sum;
+    }
+  }
+
+  const shape = A.shape.slice();
+  shape[shape.length-2] = N;
+  shape[shape.length-1] = M;
+  return new NDArray(shape, X_dat);
+}
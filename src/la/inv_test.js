@@ -0,0 +1,108 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {forEachItemIn, CUSTOM_MATCHERS} from '../jasmine_utils'
+import {array} from '../nd_array'
+import {tabulate} from '../tabulate'
+import {eye} from './eye'
+import {inv, pinv} from './inv'
+import {matmul2} from './matmul'
+import {SingularMatrixSolveError} from './singular_matrix_solve_error'
+
+
+describe('inv', () => {
+  beforeEach( () => {
+    jasmine.addMatchers(CUSTOM_MATCHERS)
+  })
+
+
+  forEachItemIn(
+    function*(){
+      const randInt = (from,until) => Math.floor(Math.random()*(until-from)) + from
+
+      for( let run=512; run-- > 0; )
+      {
+        const A_shape = Int32Array.from({ length: randInt(2,5) }, () => randInt(1,4))
+              A_shape[ A_shape.length - 2 ] =
+              A_shape[ A_shape.length - 1 ] = randInt(1,16);
+        yield tabulate(A_shape, 'float64', () => Math.random()*8 - 4);
+      }
+    }()
+  ).it('inv(A) works for random examples', A => {
+    const N = A.shape[A.ndim-1],
+          X = inv(A);
+
+    expect(X.dtype).toBe('float64');
+    expect(X.shape).toEqual(A.shape);
+    expect( matmul2(A,X) ).toBeAllCloseTo( eye(N), {rtol: 0, atol: 1e-8} );
+  });
+
+
+  it('inv(A) throws SingularMatrixSolveError for singular matrices', () => {
+    const A = array([[[1,2],
+                      [3,4]],
+                     [[1,2],
+                      [2,4]]]);
+    expect( () => inv(A) ).toThrowMatching( err => err instanceof SingularMatrixSolveError );
+    expect( () => inv([1,2,3]) ).toThrow();
+    expect( () => inv([[1,2,3],
+                       [4,5,6]]) ).toThrow();
+  });
+
+
+  forEachItemIn(
+    function*(){
+      const randInt = (from,until) => Math.floor(Math.random()*(until-from)) + from
+
+      for( let run=512; run-- > 0; )
+      {
+        const ndim = randInt(2,5),
+           A_shape = Int32Array.from({ length: ndim }, () => randInt(1,4)),
+                 M = randInt(1,12),
+                 N = randInt(1,12),
+                 R = randInt(1, Math.min(M,N)+1);
+        // low rank matrices as product of [..., M,R] @ [..., R,N]
+        const B = tabulate([...A_shape.slice(0,-2), M,R], 'float64', () => Math.random()*8 - 4),
+              C = tabulate([...A_shape.slice(0,-2), R,N], 'float64', () => Math.random()*8 - 4);
+        yield matmul2(B,C);
+      }
+    }()
+  ).it('pinv(A) satisfies the Moore-Penrose conditions for random (rank deficient) examples', A => {
+    const [M,N] = A.shape.slice(-2),
+              X = pinv(A);
+
+    expect(X.shape).toEqual( Int32Array.of(...A.shape.slice(0,-2), N,M) );
+
+    const AX = matmul2(A,X),
+          XA = matmul2(X,A),
+         tol = {rtol: 0, atol: 1e-6};
+    expect( matmul2(AX,A) ).toBeAllCloseTo(A, tol);
+    expect( matmul2(XA,X) ).toBeAllCloseTo(X, tol);
+    expect( AX ).toBeAllCloseTo(AX.T, tol);
+    expect( XA ).toBeAllCloseTo(XA.T, tol);
+  });
+
+
+  it('pinv(A,rcond) ignores singular values below rcond*max(sv)', () => {
+    const A = array([[1, 0   ],
+                     [0, 1e-6]]);
+    expect( pinv(A      ) ).toBeAllCloseTo([[1,0],[0,1e6]]);
+    expect( pinv(A, 1e-5) ).toBeAllCloseTo([[1,0],[0,  0]]);
+    expect( () => pinv(A,-1) ).toThrow();
+  });
+})
@@ -0,0 +1,33 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {NDArray} from '../nd_array'
+
+
+/** Thrown by the iterative (Krylov) solvers if the iteration limit is reached
+ *  before the tolerance is met. The last iterate is available as `x`.
+ */
+export class KrylovNoConvergenceError extends Error
+{
+  constructor(x, ...args) {
+    super(...args)
+    if( ! (x instanceof NDArray) )
+      throw new Error('Assertion failed.')
+    this.x = x
+  }
+}
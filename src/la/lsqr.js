@@ -0,0 +1,170 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {array, asarray, NDArray} from '../nd_array'
+import {is_sparse} from '../sparse/convert'
+
+import {_check_tol,
+        _krylov_run,
+        _linear_operator,
+        _no_convergence,
+        _norm,
+        _vec} from './_krylov'
+
+
+/** Solves the (damped) linear least squares problem min ‖A@x - b‖² + damp²·‖x‖²
+ *  for a general rectangular A using the LSQR method. If A is given as callback
+ *  x => A@x, the transposed operator u => A.T@u has to be given as opt.AT.
+ *
+ *  Yields [x, ‖r‖, ‖A.T@r‖] for each iterate where r = b - A@x (augmented by
+ *  -damp·x if damp != 0), starting with the initial guess. Returns once either
+ *  ‖r‖ ≤ max(tol·‖b‖, atol) (compatible systems) or ‖A.T@r‖ ≤ tol·‖A‖·‖r‖ (least
+ *  squares problems), where ‖A‖ is estimated by the bidiagonalization.
+ *
+ *  SEE: C. C. Paige and M. A. Saunders,
+ *       "LSQR: An Algorithm for Sparse Linear Equations and Sparse Least Squares"
+ */
+export function* lsqr_gen( A, b, {x0, AT, damp=0, tol=1e-8, atol=0, maxiter} = {} )
+{
+  const name = 'lsqr_gen(A,b,opt)';
+
+  b = array('float64', b);
+  if( b.ndim !== 1 ) throw new Error(`${name}: b must be 1D.`);
+  const [M] = b.shape;
+  b = b.data;
+
+  let N;
+  if( A instanceof Function && !(A instanceof NDArray) ) {
+    if( !(AT instanceof Function) ) throw new Error(`${name}: opt.AT must be given as function if A is a function.`);
+  }
+  else {
+    if( null != AT ) throw new Error(`${name}: opt.AT must only be given if A is a function.`);
+    if( ! is_sparse(A) ) A = asarray(A);
+    AT = A.T;
+  }
+  let A_M;
+  [A, A_M] = _linear_operator(name, A,  [M]);
+  [AT, N ] = _linear_operator(name, AT, [,M]);
+  if( A_M !== M ) throw new Error(`${name}: A and b don't match.`);
+
+  if( !(damp >= 0) ) throw new Error(`${name}: opt.damp must be non-negative.`);
+
+  // INITIAL GUESS
+  const u = b.slice();
+  let x = null;
+  if( null != x0 ) {
+    x0 = array('float64', x0);
+    if( x0.ndim !== 1 ) throw new Error(`${name}: x0 must be 1D.`);
+    x = x0.data;
+    const Ax = A(x);
+    for( let i=M; i-- > 0; )
+      u[i] -= Ax[i];
+  }
+
+  const b_norm = _norm(b);
+  let beta = _norm(u);
+  if( beta > 0 )
+    for( let i=M; i-- > 0; )
+      u[i] /= beta;
+
+  let v = AT(u);
+  if( null == N ) N = v.length;
+  if( v.length !== N ) throw new Error(`${name}: opt.AT returned vector of invalid shape.`);
+  if( null == x ) x = new Float64Array(N);
+  else if( x.length !== N ) throw new Error(`${name}: x0 has invalid shape.`);
+  if( null == maxiter ) maxiter = 2*N;
+  _check_tol(name, tol, atol, maxiter);
+
+  let alfa = beta > 0 ? _norm(v) : 0;
+  if( alfa > 0 )
+    for( let i=N; i-- > 0; )
+      v[i] /= alfa;
+
+  const w = v.slice(),
+   thresh = Math.max(tol*b_norm, atol);
+  let phibar = beta,
+      rhobar = alfa,
+       anorm = 0,
+        res2 = 0,
+       rnorm = beta,
+      arnorm = alfa*beta;
+
+  yield [_vec(x), rnorm, arnorm];
+  if( rnorm <= thresh || 0 === arnorm ) return;
+
+  for( let iter=0; iter++ < maxiter; )
+  {
+    // BIDIAGONALIZATION
+    const Av = A(v);
+    for( let i=M; i-- > 0; )
+      u[i] = Av[i] - alfa*u[i];
+    beta = _norm(u);
+
+    if( beta > 0 ) {
+      for( let i=M; i-- > 0; )
+        u[i] /= beta;
+      anorm = Math.hypot(anorm, alfa, beta, damp);
+      const ATu = AT(u);
+      for( let i=N; i-- > 0; )
+        v[i] = ATu[i] - beta*v[i];
+      alfa = _norm(v);
+      if( alfa > 0 )
+        for( let i=N; i-- > 0; )
+          v[i] /= alfa;
+    }
+
+    // ELIMINATE DAMPING PARAMETER
+    const rhobar1 = Math.hypot(rhobar, damp),
+              cs1 = rhobar / rhobar1,
+              sn1 = damp   / rhobar1,
+              psi = sn1*phibar;
+    phibar *= cs1;
+
+    // ELIMINATE SUBDIAGONAL
+    const rho = Math.hypot(rhobar1, beta),
+           cs = rhobar1 / rho,
+           sn = beta    / rho,
+        theta = sn*alfa,
+          phi = cs*phibar;
+    rhobar = -cs*alfa;
+    phibar *= sn;
+    const tau = sn*phi;
+
+    // UPDATE SOLUTION
+    for( let i=N; i-- > 0; ) {
+      x[i] += (phi  /rho) * w[i];
+      w[i]  = v[i] - (theta/rho) * w[i];
+    }
+
+    res2  += psi*psi;
+    rnorm  = Math.sqrt(phibar*phibar + res2);
+    arnorm = alfa * Math.abs(tau);
+
+    yield [_vec(x), rnorm, arnorm];
+    if( rnorm  <= thresh           ) return;
+    if( arnorm <= tol*anorm*rnorm  ) return;
+  }
+
+  throw _no_convergence(name, x, maxiter);
+}
+
+
+export function lsqr( A, b, opt )
+{
+  return _krylov_run( lsqr_gen(A, b, opt) );
+}
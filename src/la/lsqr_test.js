@@ -0,0 +1,119 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {forEachItemIn, CUSTOM_MATCHERS} from '../jasmine_utils'
+import {from_dense} from '../sparse/convert'
+import {tabulate} from '../tabulate'
+import {zip_elems} from '../zip_elems'
+
+import {eye} from './eye'
+import {KrylovNoConvergenceError} from './krylov_no_convergence_error'
+import {lsqr, lsqr_gen} from './lsqr'
+import {lstsq} from './lstsq'
+import {matmul2} from './matmul'
+import {solve} from './solve'
+
+
+describe('lsqr', () => {
+  beforeEach( () => {
+    jasmine.addMatchers(CUSTOM_MATCHERS)
+  })
+
+
+  const matvec = A => x => matmul2(A, x.reshape(-1,1)).reshape(-1);
+
+
+  function* problems(rng)
+  {
+    for( let run=0; run++ < 256; )
+    {
+      const M = rng.int(1,48),
+            N = rng.int(1,M+1),
+            A = tabulate([M,N], 'float64', (i,j) => rng.uniform(-1,+1) + (i===j ? 4 : 0) ),
+            b = tabulate([M],   'float64', () => rng.uniform(-4,+4));
+      Object.freeze(A.data.buffer);
+      Object.freeze(b.data.buffer);
+      yield [A,b];
+    }
+  }
+
+
+  forEachItemIn(
+    problems
+  ).it('solves random least squares problems', ([A,b]) => {
+    const x_ref = lstsq(A, b.reshape(-1,1)).reshape(-1);
+
+    let n_iter = 0, x, rnorm, arnorm;
+    for( [x,rnorm,arnorm] of lsqr_gen(A,b) ) {
+      expect(x.shape).toEqual(x_ref.shape);
+      expect(rnorm ).toBeGreaterThanOrEqual(0);
+      expect(arnorm).toBeGreaterThanOrEqual(0);
+      ++n_iter;
+    }
+    expect(n_iter).toBeLessThanOrEqual(2*x_ref.shape[0]+1);
+    expect(x).toBeAllCloseTo(x_ref, {rtol:1e-5, atol:1e-6});
+
+    // THE FINAL RESIDUAL NORM ESTIMATE SHOULD BE ACCURATE
+    const r = zip_elems([b, matvec(A)(x)], 'float64', (x,y) => x-y);
+    expect(rnorm).toBeCloseTo(Math.hypot(...r.data), 6);
+  });
+
+
+  forEachItemIn(
+    problems
+  ).it('accepts sparse matrices, callbacks and x0', ([A,b]) => {
+    const x_ref = lstsq(A, b.reshape(-1,1)).reshape(-1),
+          x0 = tabulate(x_ref.shape, 'float64', () => 1);
+    for( const x of [
+      lsqr( from_dense(A), b ),
+      lsqr( matvec(A), b, {AT: matvec(A.T)} ),
+      lsqr( A, b, {x0} )
+    ])
+      expect(x).toBeAllCloseTo(x_ref, {rtol:1e-5, atol:1e-6});
+  });
+
+
+  forEachItemIn(
+    function*(rng){
+      for( const [A,b] of problems(rng) )
+        yield [A, b, rng.uniform(0.1,4)];
+    }
+  ).it('solves random damped least squares problems', ([A,b,damp]) => {
+    const N = A.shape[1],
+        ATA = zip_elems([matmul2(A.T,A), eye(N)], 'float64', (x,y) => x + damp*damp*y),
+      x_ref = solve(ATA, matmul2(A.T, b.reshape(-1,1))).reshape(-1);
+    expect( lsqr(A,b,{damp}) ).toBeAllCloseTo(x_ref, {rtol:1e-5, atol:1e-6});
+  });
+
+
+  it('validates its arguments', () => {
+    const A = tabulate([3,2], 'float64', (i,j) => i+j),
+          b = tabulate([3],   'float64', i => i);
+    expect( () => lsqr(matvec(A), b) ).toThrow();
+    expect( () => lsqr(A, b, {AT: A.T}) ).toThrow();
+    expect( () => lsqr(A, b, {damp: -1}) ).toThrow();
+    expect( () => lsqr(A, tabulate([4], 'float64', i => i)) ).toThrow();
+  });
+
+
+  it('throws KrylovNoConvergenceError after maxiter', () => {
+    const A = tabulate([16,16], 'float64', (i,j) => i===j ? i+1 : 0),
+          b = tabulate([16], 'float64', () => 1);
+    expect( () => lsqr(A, b, {maxiter: 2}) ).toThrow( jasmine.any(KrylovNoConvergenceError) );
+  });
+})
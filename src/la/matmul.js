@@ -116,7 +116,12 @@ export function matmul2(a,b)
         throw new Error('Shapes are not broadcast-compatible.');
 
   // GENERATE RESULT DATA
-  const DTypeArray = ARRAY_TYPES[super_dtype(a.dtype,b.dtype)];
+  const dtype = super_dtype(a.dtype,b.dtype),
+   DTypeArray = ARRAY_TYPES[dtype];
+  if( /int64|bool/.test(a.dtype+b.dtype) && 'object' !== dtype ) { // <- BigInts and booleans are not mixed with numbers
+    a = asarray(dtype,a)
+    b = asarray(dtype,b)
+  }
 
   // INTEGER TYPE ID (0: scalar, 1: complex, 2: object)
   const c = new DTypeArray( shape.reduce((m,n) => m*n, 1) );
@@ -128,8 +133,14 @@ export function matmul2(a,b)
     pairing *= 3
     switch(ab.dtype) {
       default          : pairing += 1
+      case  'complex64':
       case 'complex128': pairing += 1
+      case       'int8':
+      case      'int16':
       case      'int32':
+      case      'uint8':
+      case     'uint16':
+      case     'uint32':
       case    'float32':
       case    'float64':
     }
@@ -0,0 +1,126 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {_check_tol,
+        _dot,
+        _krylov_args,
+        _krylov_run,
+        _no_convergence,
+        _vec} from './_krylov'
+
+
+/** Solves A @ x = b for a symmetric (possibly indefinite) A using the MINRES method.
+ *  The optional preconditioner M must be symmetric positive definite. Yields [x, ‖r‖]
+ *  for each iterate, where ‖r‖ is the residual norm estimate of MINRES which is measured
+ *  in the norm induced by M (i.e. the Euclidean norm if there is no preconditioner).
+ *  Returns once the residual drops below max(tol·‖b‖, atol), where ‖b‖ is measured
+ *  in the same norm.
+ *
+ *  SEE: C. C. Paige and M. A. Saunders,
+ *       "Solution of Sparse Indefinite Systems of Linear Equations"
+ */
+export function* minres_gen( A, b, {x0, M, tol=1e-8, atol=0, maxiter} = {} )
+{
+  let N, x;
+  [A, M, b, x, N] = _krylov_args('minres_gen(A,b,opt)', A, b, x0, M);
+  if( null == maxiter ) maxiter = 10*N;
+  _check_tol('minres_gen(A,b,opt)', tol, atol, maxiter);
+
+  const prec = null == M ? r => r.slice() : M,
+      b_norm = Math.sqrt( _dot(b, prec(b)) ),
+      thresh = Math.max(tol*b_norm, atol);
+
+  let r1 = A(x);
+  for( let i=N; i-- > 0; )
+    r1[i] = b[i] - r1[i];
+
+  let y = prec(r1),
+   beta = _dot(r1,y);
+  if( !(beta >= 0) ) throw new Error('minres_gen(A,b,opt): M is not positive definite.');
+  beta = Math.sqrt(beta);
+
+  yield [_vec(x), beta];
+  if( beta <= thresh ) return;
+
+  let r2 = r1.slice(),
+    oldb = 0,
+    dbar = 0,
+   epsln = 0,
+  phibar = beta,
+      cs = -1,
+      sn =  0,
+      w  = new Float64Array(N),
+      w1 = new Float64Array(N),
+      w2 = new Float64Array(N);
+
+  for( let iter=0; iter++ < maxiter; )
+  {
+    // LANCZOS STEP
+    const s = 1/beta,
+          v = y.map(y => s*y);
+    y = A(v);
+    if( iter > 1 )
+      for( let i=N; i-- > 0; )
+        y[i] -= (beta/oldb) * r1[i];
+
+    const alfa = _dot(v,y);
+    for( let i=N; i-- > 0; )
+      y[i] -= (alfa/beta) * r2[i];
+
+    r1 = r2;
+    r2 = y;
+    y  = prec(r2);
+    oldb = beta;
+    beta = _dot(r2,y);
+    if( !(beta >= 0) ) throw new Error('minres_gen(A,b,opt): M is not positive definite.');
+    beta = Math.sqrt(beta);
+
+    // APPLY PREVIOUS ROTATION
+    const oldeps = epsln,
+           delta = cs*dbar + sn*alfa,
+            gbar = sn*dbar - cs*alfa;
+    epsln = sn*beta;
+    dbar  =-cs*beta;
+
+    // COMPUTE NEXT ROTATION
+    const gamma = Math.max( Math.hypot(gbar,beta), Number.MIN_VALUE );
+    cs = gbar / gamma;
+    sn = beta / gamma;
+    const phi = cs*phibar;
+    phibar *= sn;
+
+    // UPDATE SOLUTION
+    [w1,w2,w] = [w2,w,w1];
+    for( let i=N; i-- > 0; ) {
+      w[i] = ( v[i] - oldeps*w1[i] - delta*w2[i] ) / gamma;
+      x[i] += phi*w[i];
+    }
+
+    yield [_vec(x), phibar];
+    if( phibar <= thresh ) return;
+    if( 0 === beta ) break; // <- Krylov subspace exhausted
+  }
+
+  throw _no_convergence('minres_gen(A,b,opt)', x, maxiter);
+}
+
+
+export function minres( A, b, opt )
+{
+  return _krylov_run( minres_gen(A, b, opt) );
+}
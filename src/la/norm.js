@@ -16,7 +16,10 @@
  * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
  */
 
-import {asarray} from '../nd_array'
+import math from '../math'
+import {Complex} from '../dt'
+import {asarray, NDArray} from '../nd_array'
+import {svd_decomp} from './svd'
 
 
 export class FrobeniusNorm
@@ -67,21 +70,202 @@ export class FrobeniusNorm
   }
 }
 
-export function norm( A, ord='fro', axis=undefined )
+function _axis( A, axis )
+{
+  if( axis%1 !== 0 || !(-A.ndim <= axis && axis < A.ndim) )
+    throw new Error(`norm(A,ord,axis,keepdims): axis ${axis} out of bounds for A.ndim=${A.ndim}.`);
+  return 0 > axis ? axis+A.ndim : axis;
+}
+
+
+/** Vector norm of the N entries of x starting at x_off.
+ */
+function _vec_norm( ord, N, x, x_off )
+{
+  switch(ord)
+  {
+    case 2: {
+      const norm = new FrobeniusNorm();
+      for( let i=0; i < N; i++ )
+        norm.include(x[x_off+i]);
+      return norm.result;
+    }
+    case 1: {
+      let sum = 0;
+      for( let i=0; i < N; i++ )
+        sum += Math.abs(x[x_off+i]);
+      return sum;
+    }
+    case Infinity: {
+      let max = 0;
+      for( let i=0; i < N; i++ )
+        max = Math.max(max, Math.abs(x[x_off+i]));
+      return max;
+    }
+    case -Infinity: {
+      let min = Infinity;
+      for( let i=0; i < N; i++ )
+        min = Math.min(min, Math.abs(x[x_off+i]));
+      return min;
+    }
+    case 0: {
+      let nnz = 0;
+      for( let i=0; i < N; i++ )
+        nnz += 0 !== x[x_off+i];
+      return nnz;
+    }
+  }
+
+  // (Σ|x|ᵖ)^(1/p) IS COMPUTED AS s·(Σ|x/s|ᵖ)^(1/p), WHERE THE SCALE s IS THE LARGEST (p > 0)
+  // OR SMALLEST (p < 0) ABSOLUTE ENTRY SUCH THAT ALL SUMMANDS ARE IN THE RANGE [0,1]
+  let s = _vec_norm(0 < ord ? Infinity : -Infinity, N, x, x_off);
+  if( 0 === s || ! isFinite(s) )
+    return s;
+  let sum = 0;
+  for( let i=0; i < N; i++ )
+    sum += (Math.abs(x[x_off+i]) / s) ** ord;
+  return s * sum**(1/ord);
+}
+
+
+/** Matrix norm of the MxN matrix A starting at A_off.
+ */
+function _mat_norm( ord, M, N, A, A_off, sv, sv_off )
+{
+  switch(ord)
+  {
+    case 'fro': return _vec_norm(2, M*N, A, A_off);
+    case 'nuc': {
+      let sum = 0;
+      for( let i=Math.min(M,N); i-- > 0; )
+        sum += sv[sv_off+i];
+      return sum;
+    }
+    case  2: return sv[sv_off];
+    case -2: return sv[sv_off + Math.min(M,N)-1];
+    case  1:
+    case -1: {
+      // max./min. absolute column sum
+      const sums = new Float64Array(N);
+      for( let i=0; i < M; i++ )
+      for( let j=0; j < N; j++ )
+        sums[j] += Math.abs(A[A_off + N*i+j]);
+      return _vec_norm(ord*Infinity, N, sums, 0);
+    }
+    case  Infinity:
+    case -Infinity: {
+      // max./min. absolute row sum
+      const sums = new Float64Array(M);
+      for( let i=0; i < M; i++ )
+        sums[i] = _vec_norm(1, N, A, A_off + N*i);
+      return _vec_norm(ord, M, sums, 0);
+    }
+  }
+  throw new Error(`norm(A,ord,axis,keepdims): Unsupported matrix ord: ${ord}.`);
+}
+
+
+/** Returns the singular values of a (batch of) matrices as flat Float64Array.
+ */
+function _singular_values( A )
+{
+  if( ! A.dtype.startsWith('complex') )
+    return Float64Array.from( svd_decomp(A)[1].data );
+
+  // THE SINGULAR VALUES OF THE REAL EMBEDDING [[Re,-Im],[Im,Re]] ARE THE ONES OF A, EACH TWICE
+  const [M,N] = A.shape.slice(-2),
+          L   = Math.min(M,N),
+      A_dat   = A.data._array,
+      E_shape = A.shape.slice(),
+      E_dat   = new Float64Array(4*A_dat.length / 2);
+  E_shape[E_shape.length-2] *= 2;
+  E_shape[E_shape.length-1] *= 2;
+  for( let A_off=0, E_off=0; A_off < A_dat.length; A_off += 2*M*N, E_off += 4*M*N )
+  for( let i=0; i < M; i++ )
+  for( let j=0; j < N; j++ ) {
+    const re = A_dat[A_off + 2*(N*i+j)  ],
+          im = A_dat[A_off + 2*(N*i+j)+1];
+    E_dat[E_off + 2*N*(  i) +   j] = re; E_dat[E_off + 2*N*(  i) + N+j] =-im;
+    E_dat[E_off + 2*N*(M+i) +   j] = im; E_dat[E_off + 2*N*(M+i) + N+j] = re;
+  }
+  const sv_E = svd_decomp( new NDArray(E_shape, E_dat) )[1].data,
+        sv   = new Float64Array(sv_E.length / 2);
+  for( let i=0; i < sv.length; i++ )
+    sv[i] = sv_E[ 2*L*Math.floor(i/L) + 2*(i%L) ];
+  return sv;
+}
+
+
+export function norm( A, ord='fro', axis=undefined, keepdims=false )
 {
   A = asarray(A);
+  switch( A.dtype ) {
+    case 'object': A = asarray( A.data.some(x => x instanceof Complex) ? 'complex128' : 'float64', A ); break;
+    case  'int64':
+    case 'uint64': A = asarray('float64', A); break;
+  }
+
+  if( null == axis )
+  {
+    if( 'fro' === ord && ! keepdims ) {
+      const norm = new FrobeniusNorm();
+      for( const x of A.data )
+        norm.include( math.abs(x) );
+      return norm.result;
+    }
+    switch( A.ndim ) {
+      case 1 : axis = [0]; break;
+      case 2 : axis = [0,1]; break;
+      default:
+        if( 'fro' !== ord )
+          throw new Error('norm(A,ord,axis,keepdims): ord only supported for 1D and 2D arrays if no axis is given.');
+        axis = Array.from(A.shape, (_,i) => i);
+    }
+  }
+  if( 'number' === typeof axis )
+    axis = [axis];
+  axis = Array.from(axis, ax => _axis(A,ax));
+  if( new Set(axis).size !== axis.length )
+    throw new Error('norm(A,ord,axis,keepdims): axis must not contain duplicates.');
 
-  let norm;
-  switch(ord) {
-    case 'fro': norm = new FrobeniusNorm(); break;
-    default   : throw new Error(`norm(A,ord,axis): Unsupported ord: ${ord}.`);
+  if( axis.length > 2 && 'fro' !== ord )
+    throw new Error('norm(A,ord,axis,keepdims): only "fro" supported for more than 2 axes.');
+
+  // MOVE THE REDUCED AXES TO THE END
+  const shape = A.shape,
+         kept = Array.from(A.shape, (_,i) => i).filter( i => ! axis.includes(i) );
+  if( kept.some((ax,i) => ax !== i) || axis.some((ax,i) => ax !== kept.length+i) )
+    A = A.transpose(...kept, ...axis);
+
+  let r_shape = kept.map(i => shape[i]);
+  const x_shape = axis.map(i => shape[i]),
+        x_size  = x_shape.reduce((m,n) => m*n, 1),
+        r_dat   = new Float64Array( r_shape.reduce((m,n) => m*n, 1) );
+
+  // complex entries are replaced by their absolute values, except for the singular values
+  const A_dat = ! A.dtype.startsWith('complex') ? A.data : Float64Array.from(A.data, z => math.abs(z));
+
+  if( 2 !== axis.length || 'fro' === ord )
+  {
+    if( 'fro' === ord ) ord = 2;
+    if( 'number' !== typeof ord || isNaN(ord) )
+      throw new Error(`norm(A,ord,axis,keepdims): Unsupported vector ord: ${ord}.`);
+    for( let i=0; i < r_dat.length; i++ )
+      r_dat[i] = _vec_norm(ord, x_size, A_dat, x_size*i);
   }
-  if( null == axis ) {
-    for( const x of A.data )
-      norm.include(x);
-    return norm.result;
+  else
+  {
+    const [M,N] = x_shape,
+             sv = 'nuc' === ord || 2 === Math.abs(ord) ? _singular_values(A) : null;
+    for( let i=0; i < r_dat.length; i++ )
+      r_dat[i] = _mat_norm(ord, M, N, A_dat, M*N*i, sv, Math.min(M,N)*i);
   }
-  throw new Error('norm(A,ord,axis): axis argument not yet supported.');
+
+  if( keepdims )
+    r_shape = Array.from(shape, (n,i) => axis.includes(i) ? 1 : n);
+  if( 0 === r_shape.length )
+    return r_dat[0];
+  return new NDArray(Int32Array.from(r_shape), r_dat);
 }
 
 //    if( null == reducer )
@@ -18,7 +18,10 @@
 
 import {forEachItemIn, CUSTOM_MATCHERS} from '../jasmine_utils'
 import {FrobeniusNorm, norm} from './norm'
+import {array} from '../nd_array'
 import {tabulate} from '../tabulate'
+import {Complex} from '../dt'
+import {svd_decomp} from './svd'
 
 
 describe('norm', () => {
@@ -151,5 +154,145 @@ describe('norm', () => {
     expect( norm(A,'fro',null     ) ).toBeCloseTo(ref, {atol: 0, rtol: 1e-14});
     expect( norm(A,'fro',undefined) ).toBeCloseTo(ref, {atol: 0, rtol: 1e-14});
   });
-})
 
+
+  const vec_norm_ref = (ord, x) => {
+    x = x.map(Math.abs);
+    switch(ord) {
+      case 'fro':
+      case  2       : return Math.hypot(...x);
+      case  1       : return x.reduce((s,x) => s+x, 0);
+      case  Infinity: return Math.max(...x);
+      case -Infinity: return Math.min(...x);
+      case  0       : return x.filter(x => x !== 0).length;
+      default       : return x.reduce((s,x) => s + x**ord, 0) ** (1/ord);
+    }
+  };
+
+
+  forEachItemIn(
+    function*(rng){
+      for( let run=1024; run-- > 0; )
+      {
+        const shape = Array.from({length: rng.int(1,5)}, () => rng.int(1,6)),
+                  A = tabulate(shape, 'float64', () => rng.uniform(0,1) < 0.1 ? 0 : rng.normal()),
+               axis = rng.int(-shape.length, shape.length),
+                ord = [1, 2, Infinity, -Infinity, 0, 3, 0.5, -1.5, 'fro'][rng.int(9)];
+        yield [A, ord, axis, rng.bool()];
+      }
+    }
+  ).it('norm(A,ord,axis,keepdims) works for random vector norms', ([A,ord,axis,keepdims]) => {
+    const result = norm(A, ord, axis, keepdims),
+              ax = 0 > axis ? axis+A.ndim : axis,
+         r_shape = Array.from(A.shape, (n,i) => i === ax ? 1 : n);
+
+    if( ! keepdims && 1 === A.ndim ) {
+      expect( typeof result ).toBe('number');
+      expect( result ).toBeAllCloseTo( vec_norm_ref(ord, Array.from(A.data)), {rtol: 1e-12, atol: 0} );
+      return;
+    }
+    expect(result.shape).toEqual( Int32Array.from(keepdims ? r_shape : r_shape.filter((_,i) => i !== ax)) );
+
+    const expected = tabulate(r_shape, 'float64', (...idx) => vec_norm_ref(
+      ord, Array.from({length: A.shape[ax]}, (_,k) => A(...idx.map((j,i) => i === ax ? k : j)))
+    ));
+    expect(result.data).toBeAllCloseTo(expected.data, {rtol: 1e-12, atol: 0});
+  });
+
+
+  forEachItemIn(
+    function*(rng){
+      for( let run=512; run-- > 0; )
+      {
+        const shape = Array.from({length: rng.int(2,5)}, () => rng.int(1,6)),
+                  A = tabulate(shape, 'float64', () => rng.normal()),
+                 ax = rng.int(shape.length),
+                 bx = (ax + rng.int(1,shape.length)) % shape.length,
+                ord = [1, -1, Infinity, -Infinity, 'fro', 'nuc', 2, -2][rng.int(8)];
+        yield [A, ord, [ax - (rng.bool() ? shape.length : 0), bx], rng.bool()];
+      }
+    }
+  ).it('norm(A,ord,axis,keepdims) works for random matrix norms', ([A,ord,axis,keepdims]) => {
+    const result = norm(A, ord, axis, keepdims),
+         [ax,bx] = axis.map(i => 0 > i ? i+A.ndim : i),
+         r_shape = Array.from(A.shape, (n,i) => i === ax || i === bx ? 1 : n);
+
+    const mat_norm_ref = rows => {
+      switch(ord) {
+        case  1       :
+        case -1       : return vec_norm_ref(ord*Infinity, rows[0].map((_,j) => vec_norm_ref(1, rows.map(r => r[j]))) );
+        case  Infinity:
+        case -Infinity: return vec_norm_ref(ord, rows.map(r => vec_norm_ref(1,r)) );
+        case 'fro'    : return vec_norm_ref(2, rows.flat());
+      }
+      const [,sv] = svd_decomp( array('float64', rows) );
+      switch(ord) {
+        case 'nuc': return sv.data.reduce((s,x) => s+x, 0);
+        case  2   : return sv.data[0];
+        case -2   : return sv.data[sv.data.length-1];
+      }
+    };
+
+    const expected = tabulate(r_shape, 'float64', (...idx) => mat_norm_ref(
+      Array.from({length: A.shape[ax]}, (_,k) =>
+      Array.from({length: A.shape[bx]}, (_,l) => A(...idx.map((j,i) => i === ax ? k : i === bx ? l : j))))
+    ));
+
+    if( ! keepdims && 2 === A.ndim ) {
+      expect( typeof result ).toBe('number');
+      expect( result ).toBeAllCloseTo( expected.data[0], {rtol: 1e-10, atol: 0} );
+      return;
+    }
+    expect(result.shape).toEqual( Int32Array.from(keepdims ? r_shape : r_shape.filter((_,i) => i !== ax && i !== bx)) );
+    expect(result.data).toBeAllCloseTo(expected.data, {rtol: 1e-10, atol: 0});
+  });
+
+
+  forEachItemIn(
+    function*(rng){
+      for( let run=512; run-- > 0; )
+        yield tabulate([rng.int(1,6), 2], 'complex128', () => new Complex(rng.normal(), rng.normal()));
+    }
+  ).it('norm(A,ord) computes singular values of random complex Mx2 matrices', A => {
+    // singular values via the eigenvalues of the 2x2 matrix B = A^H @ A
+    const [M] = A.shape;
+    let b11 = 0, b22 = 0, b12 = new Complex(0);
+    for( let i=0; i < M; i++ ) {
+      const a1 = A(i,0), a2 = A(i,1);
+      b11 += a1.abs()**2;
+      b22 += a2.abs()**2;
+      b12 = b12.add( a1.conj().mul(a2) );
+    }
+    const t = b11+b22,
+          d = b11*b22 - b12.abs()**2,
+          w = Math.sqrt(Math.max(0, t*t - 4*d)),
+         s1 = Math.sqrt( (t+w)/2 ),
+         s2 = Math.sqrt( Math.max(0, 2*d / (t+w)) );
+
+    expect( norm(A, 2) ).toBeAllCloseTo(s1, {rtol: 1e-10, atol: 0});
+    expect( norm(A,'nuc') ).toBeAllCloseTo(M > 1 ? s1+s2 : s1, {rtol: 1e-10, atol: 1e-12});
+    if( M > 1 )
+      expect( norm(A,-2) ).toBeAllCloseTo(s2, {rtol: 1e-8, atol: 1e-12});
+  });
+
+
+  it('norm(A,ord,axis) is overflow- and underflow-safe for p-norms', () => {
+    for( const scale of [1e300, 1e-300] )
+    for( const ord of [0.5, 3, -1.5, 2, 1, Infinity] ) {
+      const x = [3, 4, 12].map(x => x*scale),
+          ref = vec_norm_ref(ord, [3, 4, 12]) * scale;
+      expect( norm(x, ord, 0) ).toBeAllCloseTo(ref, {rtol: 1e-14, atol: 0});
+    }
+  });
+
+
+  it('norm(A,ord,axis) throws on invalid arguments', () => {
+    const A = tabulate([2,3,4], 'float64', (i,j,k) => i+j+k);
+    expect( () => norm(A, 2, 3) ).toThrow();
+    expect( () => norm(A, 2, [0,-3]) ).toThrow();
+    expect( () => norm(A, 'nuc', 0) ).toThrow();
+    expect( () => norm(A, 3, [0,1]) ).toThrow();
+    expect( () => norm(A, 2) ).toThrow();
+    expect( () => norm(A, 2, [0,1,2]) ).toThrow();
+  });
+})
@@ -0,0 +1,473 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {ARRAY_TYPES} from '../dt'
+import {Complex} from '../dt/complex'
+import {asarray, NDArray} from '../nd_array'
+
+import {_giv_rot_complex      as _giv,
+        _giv_rot_rows_complex as _rot_rows,
+        _giv_rot_cols_complex as _rot_cols} from './_giv_rot'
+import {FrobeniusNorm} from './norm'
+
+
+// The QZ algorithm as implemented here works on complex matrices in
+// interleaved storage (re,im,re,im,...) which considerably simplifies
+// the iteration as no 2x2 blocks have to be considered. Real input is
+// simply converted to complex.
+
+
+/** Computes the complex generalized Schur decomposition of the NxN matrix pencil (S,T)
+ *  in place, such that on return S and T are upper triangular. The accumulated left
+ *  transformation is written to QH as conjugate transpose, the right transformation is
+ *  written to Z. All matrices are complex in interleaved storage, i.e. off is twice
+ *  the offset in complex numbers.
+ *
+ *  SEE: Cleve B. Moler, G.W. Stewart,
+ *       "An Algorithm for Generalized Matrix Eigenvalue Problems"
+ *  SEE: Gene H. Golub, Charles F. Van Loan,
+ *       "Matrix Computations", 4th edition, Chapter 7.7
+ */
+export function _qz_decomp( N, QH,S,T,Z, off )
+{
+  N   |= 0;
+  off |= 0;
+
+  const G = new Float64Array(3),
+      EPS = Number.EPSILON,
+   s = (i,j) => off + 2*(N*i+j),
+  abs= (X,i,j) => Math.hypot( X[s(i,j)], X[s(i,j)+1] );
+
+  // INIT Q AND Z TO IDENTITY
+  QH.fill(0.0, off, off + 2*N*N);
+   Z.fill(0.0, off, off + 2*N*N);
+  for( let i=0; i < N; i++ ) {
+    QH[s(i,i)] = 1;
+     Z[s(i,i)] = 1;
+  }
+
+  // TRIANGULARIZE T
+  for( let j=0; j < N; j++ )
+  for( let i=N; --i > j; )
+  {
+    _giv(G, T[s(i-1,j)],T[s(i-1,j)+1], T[s(i,j)],T[s(i,j)+1]);
+    _rot_rows(N, T,off, i-1,i, G, j,N);
+    _rot_rows(N, S,off, i-1,i, G, 0,N);
+    _rot_rows(N,QH,off, i-1,i, G, 0,N);
+    T[s(i,j)  ] = 0;
+    T[s(i,j)+1] = 0;
+  }
+
+  // HESSENBERG-TRIANGULAR REDUCTION
+  for( let j=0; j < N-2; j++ )
+  for( let i=N; --i > j+1; )
+  {
+    // eliminate S[i,j] using rows (i-1,i)
+    _giv(G, S[s(i-1,j)],S[s(i-1,j)+1], S[s(i,j)],S[s(i,j)+1]);
+    _rot_rows(N, S,off, i-1,i, G, j,  N);
+    _rot_rows(N, T,off, i-1,i, G, i-1,N);
+    _rot_rows(N,QH,off, i-1,i, G, 0,  N);
+    S[s(i,j)  ] = 0;
+    S[s(i,j)+1] = 0;
+    // eliminate fill-in T[i,i-1] using columns (i-1,i)
+    _giv(G, T[s(i,i)],T[s(i,i)+1], T[s(i,i-1)],T[s(i,i-1)+1]);
+    _rot_cols(N, S,off, i-1,i, G, 0,N  );
+    _rot_cols(N, T,off, i-1,i, G, 0,i+1);
+    _rot_cols(N, Z,off, i-1,i, G, 0,N  );
+    T[s(i,i-1)  ] = 0;
+    T[s(i,i-1)+1] = 0;
+  }
+
+  // DEFLATION TOLERANCES
+  const NORM = new FrobeniusNorm();
+  for( let i=2*N*N; i-- > 0; ) NORM.include(S[off+i]); const S_tol = EPS*NORM.result; NORM.reset();
+  for( let i=2*N*N; i-- > 0; ) NORM.include(T[off+i]); const T_tol = EPS*NORM.result;
+
+  // QZ ITERATION
+  for( let hi=N-1, iter=0, total=0; hi > 0; )
+  {
+    // FIND ACTIVE BLOCK [lo,hi]
+    let lo = hi;
+    for( ; lo > 0; lo-- ) {
+      const S_ij = abs(S,lo,lo-1);
+      if( S_ij <= S_tol || S_ij <= EPS*( abs(S,lo,lo) + abs(S,lo-1,lo-1) ) ) {
+        S[s(lo,lo-1)  ] = 0;
+        S[s(lo,lo-1)+1] = 0;
+        break;
+      }
+    }
+    if( lo === hi ) { --hi; iter=0; continue; }
+
+    // CHECK FOR INFINITE EIGENVALUES (ZEROS ON THE DIAGONAL OF T)
+    let j = hi;
+    while( j >= lo && abs(T,j,j) > T_tol ) --j;
+
+    if( j >= lo )
+    {
+      // CHASE ZERO DOWN TO T[hi,hi]
+      T[s(j,j)  ] = 0;
+      T[s(j,j)+1] = 0;
+      for( let k=j; k < hi; k++ )
+      {
+        _giv(G, T[s(k,k+1)],T[s(k,k+1)+1], T[s(k+1,k+1)],T[s(k+1,k+1)+1]);
+        _rot_rows(N, T,off, k,k+1, G, k,N);
+        _rot_rows(N, S,off, k,k+1, G, Math.max(k-1,0),N);
+        _rot_rows(N,QH,off, k,k+1, G, 0,N);
+        T[s(k+1,k+1)  ] = 0;
+        T[s(k+1,k+1)+1] = 0;
+        if( k > lo ) {
+          _giv(G, S[s(k+1,k)],S[s(k+1,k)+1], S[s(k+1,k-1)],S[s(k+1,k-1)+1]);
+          _rot_cols(N, S,off, k-1,k, G, 0,k+2);
+          _rot_cols(N, T,off, k-1,k, G, 0,k+1);
+          _rot_cols(N, Z,off, k-1,k, G, 0,N  );
+          S[s(k+1,k-1)  ] = 0;
+          S[s(k+1,k-1)+1] = 0;
+        }
+      }
+      // DEFLATE INFINITE EIGENVALUE AT hi
+      _giv(G, S[s(hi,hi)],S[s(hi,hi)+1], S[s(hi,hi-1)],S[s(hi,hi-1)+1]);
+      _rot_cols(N, S,off, hi-1,hi, G, 0,hi+1);
+      _rot_cols(N, T,off, hi-1,hi, G, 0,hi  );
+      _rot_cols(N, Z,off, hi-1,hi, G, 0,N   );
+      S[s(hi,hi-1)  ] = 0;
+      S[s(hi,hi-1)+1] = 0;
+      continue;
+    }
+
+    if( ++total > 32*N )
+      throw new Error('qz_decomp(A,B): QZ iteration did not converge.');
+
+    // COMPUTE SHIFT
+    let shift;
+    if( ++iter % 11 === 0 )
+    { // exceptional shift
+      shift = new Complex(
+        S[s(hi,hi)] / T[s(hi,hi)] + abs(S,hi,hi-1) / abs(T,hi-1,hi-1),
+        S[s(hi,hi)+1] / T[s(hi,hi)]
+      );
+    }
+    else
+    { // eigenvalue of the trailing 2x2 pencil that is closer to S[hi,hi]/T[hi,hi]
+      const c = (i,j) => new Complex(S[s(i,j)], S[s(i,j)+1]),
+            d = (i,j) => new Complex(T[s(i,j)], T[s(i,j)+1]),
+            S00 = c(hi-1,hi-1), S01 = c(hi-1,hi),
+            S10 = c(hi  ,hi-1), S11 = c(hi  ,hi),
+            T00 = d(hi-1,hi-1), T01 = d(hi-1,hi),
+                                T11 = d(hi  ,hi);
+      // det(S - λT) = aλ² - bλ + e
+      const a = T00.mul(T11),
+            b = S00.mul(T11).add( S11.mul(T00) ).sub( S10.mul(T01) ),
+            e = S00.mul(S11).sub( S01.mul(S10) ),
+           λ1 = S11.div(T11);
+      let sqrt = b.mul(b).sub( a.mul(e).mul(4) ),
+          sign = sqrt.im < 0;
+      sqrt = sqrt.sqrt();
+      if( sign ) sqrt = sqrt.conj();
+      const λa = b.add(sqrt).div( a.mul(2) ),
+            λb = b.sub(sqrt).div( a.mul(2) );
+      shift = λa.sub(λ1).abs() <= λb.sub(λ1).abs() ? λa : λb;
+    }
+
+    // QZ SWEEP
+    let x_re = S[s(lo,lo)  ] - (shift.re*T[s(lo,lo)  ] - shift.im*T[s(lo,lo)+1]),
+        x_im = S[s(lo,lo)+1] - (shift.re*T[s(lo,lo)+1] + shift.im*T[s(lo,lo)  ]),
+        y_re = S[s(lo+1,lo)  ],
+        y_im = S[s(lo+1,lo)+1];
+
+    for( let k=lo; k < hi; k++ )
+    {
+      if( k > lo ) {
+        x_re = S[s(k,  k-1)]; x_im = S[s(k,  k-1)+1];
+        y_re = S[s(k+1,k-1)]; y_im = S[s(k+1,k-1)+1];
+      }
+      _giv(G, x_re,x_im, y_re,y_im);
+      _rot_rows(N, S,off, k,k+1, G, Math.max(k-1,lo),N);
+      _rot_rows(N, T,off, k,k+1, G, k,N);
+      _rot_rows(N,QH,off, k,k+1, G, 0,N);
+      if( k > lo ) {
+        S[s(k+1,k-1)  ] = 0;
+        S[s(k+1,k-1)+1] = 0;
+      }
+
+      _giv(G, T[s(k+1,k+1)],T[s(k+1,k+1)+1], T[s(k+1,k)],T[s(k+1,k)+1]);
+      _rot_cols(N, S,off, k,k+1, G, 0,Math.min(k+3,hi+1));
+      _rot_cols(N, T,off, k,k+1, G, 0,k+2);
+      _rot_cols(N, Z,off, k,k+1, G, 0,N);
+      T[s(k+1,k)  ] = 0;
+      T[s(k+1,k)+1] = 0;
+    }
+  }
+}
+
+
+/** Returns a copy of the data of A as complex numbers in interleaved storage.
+ */
+export function _as_complex_data( A )
+{
+  if( A.dtype === 'complex128' )
+    return A.data._array.slice();
+
+  const A_dat = A.data,
+        C_dat = new Float64Array(2*A_dat.length);
+  for( let i=A_dat.length; i-- > 0; )
+    C_dat[2*i] = A_dat[i];
+  return C_dat;
+}
+
+
+/** Wraps interleaved complex data as Complex128Array without copying.
+ */
+export function _wrap_complex( data ) {
+  return new ARRAY_TYPES['complex128'](data.buffer, data.byteOffset, data.length/2);
+}
+
+
+export function qz_decomp( A, B )
+{
+  A = asarray(A); if( A.ndim < 2 ) throw new Error('qz_decomp(A,B): A must be at least 2D.');
+  B = asarray(B); if( B.ndim < 2 ) throw new Error('qz_decomp(A,B): B must be at least 2D.');
+  if( A.dtype === 'object' ) throw new Error('qz_decomp(A,B): A.dtype must not be "object".');
+  if( B.dtype === 'object' ) throw new Error('qz_decomp(A,B): B.dtype must not be "object".');
+
+  const N = A.shape[A.ndim-1];
+  if( A.shape[A.ndim-2] !== N ) throw new Error('qz_decomp(A,B): A must be square.');
+  if( B.shape[B.ndim-2] !== N ||
+      B.shape[B.ndim-1] !== N ) throw new Error('qz_decomp(A,B): A and B must have the same matrix shape.');
+
+  // FIND COMMON (BROADCASTED) SHAPE
+  const ndim = Math.max(A.ndim, B.ndim),
+       shape = Int32Array.from({length: ndim}, () => 1);
+  shape[ndim-2] = N;
+  shape[ndim-1] = N;
+
+  for( const arr of [A,B] )
+    for( let i=ndim-2, j=arr.ndim-2; i-- > 0 && j-- > 0; )
+      if( 1 === shape[i] )
+        shape[i] = arr.shape[j];
+      else if( shape[i] != arr.shape[j] && arr.shape[j] != 1 )
+        throw new Error('qz_decomp(A,B): A and B are not broadcast-compatible.');
+
+  const len = 2 * shape.reduce((a,b) => a*b, 1),
+      A_dat = _as_complex_data(A),
+      B_dat = _as_complex_data(B),
+      QH = new Float64Array(len),
+      S  = new Float64Array(len),
+      T  = new Float64Array(len),
+      Z  = new Float64Array(len);
+
+  // COPY (BROADCASTED) A AND B
+  let A_off = 0, A_stride = 1,
+      B_off = 0, B_stride = 1,
+      off = 0;
+
+  function copy(d) {
+    if( d === ndim-2 ) {
+      A_stride =
+      B_stride = 2*N*N;
+      for( let i=0; i < 2*N*N; i++ ) {
+        S[off+i] = A_dat[A_off+i];
+        T[off+i] = B_dat[B_off+i];
+      }
+      A_off += A_stride;
+      B_off += B_stride;
+        off += 2*N*N;
+      return;
+    }
+    for( let l=shape[d]; ; l-- ) {
+      copy(d+1);
+      if( l == 1 ) break;
+      if( ! (A.shape[ d - ndim + A.ndim ] > 1) ) A_off -= A_stride;
+      if( ! (B.shape[ d - ndim + B.ndim ] > 1) ) B_off -= B_stride;
+    }
+    A_stride *= A.shape[ d - ndim + A.ndim ] || 1;
+    B_stride *= B.shape[ d - ndim + B.ndim ] || 1;
+  }
+  copy(0);
+
+  for( let off=0; off < len; off += 2*N*N )
+  {
+    _qz_decomp(N, QH,S,T,Z, off);
+
+    // Q = QH.H
+    for( let i=0;   i < N; i++ )
+    for( let j=0;   j < i; j++ ) {
+      const ij = off + 2*(N*i+j),
+            ji = off + 2*(N*j+i),
+          ij_re = QH[ij], ij_im = QH[ij+1];
+      QH[ij] = QH[ji]; QH[ij+1] = -QH[ji+1];
+      QH[ji] = ij_re;  QH[ji+1] = -ij_im;
+    }
+    for( let i=0; i < N; i++ )
+      QH[off + 2*(N*i+i)+1] *= -1;
+  }
+
+  return [
+    new NDArray(shape,         _wrap_complex(QH)),
+    new NDArray(shape.slice(), _wrap_complex(S )),
+    new NDArray(shape.slice(), _wrap_complex(T )),
+    new NDArray(shape.slice(), _wrap_complex(Z ))
+  ];
+}
+
+
+export function qz_eigenvals( S, T )
+{
+  S = asarray(S); if( S.ndim < 2 ) throw new Error('qz_eigenvals(S,T): S must be at least 2D.');
+  T = asarray(T); if( T.ndim < 2 ) throw new Error('qz_eigenvals(S,T): T must be at least 2D.');
+  if( S.ndim !== T.ndim ) throw new Error('qz_eigenvals(S,T): S.ndim != T.ndim.');
+  for( let i=S.ndim; i-- > 0; )
+    if( S.shape[i] !== T.shape[i] ) throw new Error('qz_eigenvals(S,T): S.shape != T.shape.');
+
+  const N = S.shape[S.ndim-1];
+  if( S.shape[S.ndim-2] !== N ) throw new Error('qz_eigenvals(S,T): S must be square.');
+
+  const Λ_shape = S.shape.slice(0,-1),
+        S_dat = _as_complex_data(S),
+        T_dat = _as_complex_data(T),
+        Λ     = new Float64Array( 2*S_dat.length/(2*N) );
+
+  for( let off=0, Λ_off=0; Λ_off < Λ.length; off += 2*N*N, Λ_off += 2*N )
+    for( let j=0; j < N; j++ )
+    {
+      const jj = off + 2*(N*j+j),
+          α_re = S_dat[jj], α_im = S_dat[jj+1],
+          β_re = T_dat[jj], β_im = T_dat[jj+1];
+      if( 0 === β_re && 0 === β_im ) {
+        Λ[Λ_off + 2*j  ] = Infinity;
+        Λ[Λ_off + 2*j+1] = 0;
+      }
+      else {
+        const λ = new Complex(α_re,α_im).div(β_re,β_im);
+        Λ[Λ_off + 2*j  ] = λ.re;
+        Λ[Λ_off + 2*j+1] = λ.im;
+      }
+    }
+
+  return new NDArray(Λ_shape, _wrap_complex(Λ));
+}
+
+
+export function qz_eigen( S, T, Z )
+{
+  S = asarray(S); if( S.ndim < 2 ) throw new Error('qz_eigen(S,T,Z): S must be at least 2D.');
+  T = asarray(T); if( T.ndim < 2 ) throw new Error('qz_eigen(S,T,Z): T must be at least 2D.');
+  Z = asarray(Z); if( Z.ndim < 2 ) throw new Error('qz_eigen(S,T,Z): Z must be at least 2D.');
+  if( S.ndim !== T.ndim || S.ndim !== Z.ndim ) throw new Error('qz_eigen(S,T,Z): S.ndim, T.ndim and Z.ndim must be equal.');
+  for( let i=S.ndim; i-- > 0; )
+    if( S.shape[i] !== T.shape[i] ||
+        S.shape[i] !== Z.shape[i] ) throw new Error('qz_eigen(S,T,Z): S.shape, T.shape and Z.shape must be equal.');
+
+  const N = S.shape[S.ndim-1];
+  if( S.shape[S.ndim-2] !== N ) throw new Error('qz_eigen(S,T,Z): S must be square.');
+
+  const Λ = qz_eigenvals(S,T),
+        V_shape = S.shape,
+        S_dat = _as_complex_data(S),
+        T_dat = _as_complex_data(T),
+        Z_dat = _as_complex_data(Z),
+        V     = new Float64Array(Z_dat.length),
+        x     = new Float64Array(2*N),
+        NORM  = new FrobeniusNorm(),
+        EPS   = Number.EPSILON,
+        SMALL = Number.MIN_VALUE / EPS;
+
+  for( let off=0; off < V.length; off += 2*N*N )
+  {
+    // MATRIX NORMS USED TO PERTURB ZERO PIVOTS
+    NORM.reset(); for( let i=2*N*N; i-- > 0; ) NORM.include(S_dat[off+i]); const S_norm = NORM.result;
+    NORM.reset(); for( let i=2*N*N; i-- > 0; ) NORM.include(T_dat[off+i]); const T_norm = NORM.result;
+
+    for( let k=0; k < N; k++ )
+    {
+      const kk = off + 2*(N*k+k);
+      let α_re = S_dat[kk], α_im = S_dat[kk+1],
+          β_re = T_dat[kk], β_im = T_dat[kk+1];
+      { // normalize (α,β) to avoid over-/underflow
+        const scale = Math.max( Math.hypot(α_re,α_im), Math.hypot(β_re,β_im) );
+        if( 0 < scale ) {
+          α_re /= scale; α_im /= scale;
+          β_re /= scale; β_im /= scale;
+        }
+      }
+      const tol = Math.max( SMALL, EPS * ( Math.hypot(β_re,β_im)*S_norm + Math.hypot(α_re,α_im)*T_norm ) );
+
+      // SOLVE (β·S - α·T) x = 0 VIA BACKWARD SUBSTITUTION WITH x[k] = 1
+      x.fill(0.0);
+      x[2*k] = 1;
+      for( let j=k; j-- > 0; )
+      {
+        let sum_re = 0,
+            sum_im = 0;
+        for( let m=j+1; m <= k; m++ ) {
+          const jm = off + 2*(N*j+m),
+              S_re = S_dat[jm], S_im = S_dat[jm+1],
+              T_re = T_dat[jm], T_im = T_dat[jm+1],
+              M_re = β_re*S_re - β_im*S_im - α_re*T_re + α_im*T_im,
+              M_im = β_re*S_im + β_im*S_re - α_re*T_im - α_im*T_re;
+          sum_re += M_re*x[2*m] - M_im*x[2*m+1];
+          sum_im += M_re*x[2*m+1] + M_im*x[2*m];
+        }
+        const jj = off + 2*(N*j+j),
+            S_re = S_dat[jj], S_im = S_dat[jj+1],
+            T_re = T_dat[jj], T_im = T_dat[jj+1];
+        let d_re = β_re*S_re - β_im*S_im - α_re*T_re + α_im*T_im,
+            d_im = β_re*S_im + β_im*S_re - α_re*T_im - α_im*T_re;
+        if( Math.hypot(d_re,d_im) < tol ) {
+          d_re = tol;
+          d_im = 0;
+        }
+        const x_j = new Complex(-sum_re,-sum_im).div(d_re,d_im);
+        x[2*j  ] = x_j.re;
+        x[2*j+1] = x_j.im;
+
+        // RESCALE TO AVOID OVERFLOW
+        const x_max = x_j.abs();
+        if( x_max > 1e128 )
+          for( let m=2*k+2; m-- > 0; )
+            x[m] /= x_max;
+      }
+
+      // v = Z @ x
+      NORM.reset();
+      for( let i=0; i < N; i++ )
+      {
+        let v_re = 0,
+            v_im = 0;
+        for( let m=0; m <= k; m++ ) {
+          const im = off + 2*(N*i+m),
+              Z_re = Z_dat[im],
+              Z_im = Z_dat[im+1];
+          v_re += Z_re*x[2*m  ] - Z_im*x[2*m+1];
+          v_im += Z_re*x[2*m+1] + Z_im*x[2*m  ];
+        }
+        V[off + 2*(N*i+k)  ] = v_re;
+        V[off + 2*(N*i+k)+1] = v_im; NORM.include(v_re);
+                                     NORM.include(v_im);
+      }
+
+      // NORMALIZE v
+      const norm = NORM.result;
+      for( let i=0; i < N; i++ ) {
+        V[off + 2*(N*i+k)  ] /= norm;
+        V[off + 2*(N*i+k)+1] /= norm;
+      }
+    }
+  }
+
+  return [Λ, new NDArray(V_shape, _wrap_complex(V))];
+}
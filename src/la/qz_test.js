@@ -0,0 +1,138 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {forEachItemIn, CUSTOM_MATCHERS} from '../jasmine_utils'
+import math from '../math'
+import {tabulate} from '../tabulate'
+import {zip_elems} from '../zip_elems'
+
+import {diag} from './diag'
+import {eye} from './eye'
+import {matmul, matmul2} from './matmul'
+import {qz_decomp,
+        qz_eigen,
+        qz_eigenvals} from './qz'
+
+
+describe('qz', () => {
+  beforeEach( () => {
+    jasmine.addMatchers(CUSTOM_MATCHERS)
+  })
+
+
+  const conjT = A => A.T.mapElems('complex128', math.conj);
+
+
+  function* pencils(rng)
+  {
+    for( let run=0; run++ < 8; )
+    for( let   N=0;   N++ < 6; )
+      yield [N];
+
+    for( let run=0; run++ < 384; )
+      yield [
+        ...Array.from({ length: rng.int(0,3) }, () => rng.int(1,4) ),
+        rng.int(1,24)
+      ];
+  }
+
+
+  forEachItemIn(
+    function*(rng){
+      for( const [...shape] of pencils(rng) )
+      {
+        const N = shape.pop(),
+          zero_rows = rng.int(0,3),
+          A = tabulate([...shape,N,N], 'float64', () => rng.uniform(-1,+1) ),
+          B = tabulate([...shape,N,N], 'float64', (...idx) => {
+            const [i,j] = idx.slice(-2);
+            // make B singular every now and then
+            if( N-i <= zero_rows && N > zero_rows ) return 0;
+            return rng.uniform(0,1) < 0.1 ? 0 : rng.uniform(-1,+1);
+          });
+        Object.freeze(A.data.buffer);
+        Object.freeze(B.data.buffer);
+        yield [A,B];
+      }
+    }
+  ).it('qz_decomp works on random examples', ([A,B]) => {
+    const [Q,S,T,Z] = qz_decomp(A,B),
+              N     = A.shape[A.ndim-1],
+              I     = eye(N);
+
+    for( const X of [Q,S,T,Z] ) {
+      expect(X.shape).toEqual(A.shape);
+      expect(X.dtype).toBe('complex128');
+    }
+
+    expect(S).toBeUpperTriangular();
+    expect(T).toBeUpperTriangular();
+
+    expect( matmul2(Q,conjT(Q)) ).toBeAllCloseTo(I);
+    expect( matmul2(Z,conjT(Z)) ).toBeAllCloseTo(I);
+
+    expect( matmul(Q,S,conjT(Z)) ).toBeAllCloseTo(A);
+    expect( matmul(Q,T,conjT(Z)) ).toBeAllCloseTo(B);
+  });
+
+
+  forEachItemIn(
+    function*(rng){
+      for( const [...shape] of pencils(rng) )
+      {
+        const N = shape.pop(),
+          A = tabulate([...shape,N,N], 'float64', () => rng.uniform(-1,+1) ),
+          B = tabulate([...shape,N,N], 'float64', () => rng.uniform(-1,+1) );
+        Object.freeze(A.data.buffer);
+        Object.freeze(B.data.buffer);
+        yield [A,B];
+      }
+    }
+  ).it('qz_eigen works on random examples', ([A,B]) => {
+    const [Q,S,T,Z] = qz_decomp(A,B),
+              [Λ,V] = qz_eigen(S,T,Z);
+
+    expect(Λ.shape).toEqual( A.shape.slice(0,-1) );
+    expect(V.shape).toEqual( A.shape );
+    expect(Λ).toBeAllCloseTo( qz_eigenvals(S,T) );
+
+    // ASSERT THAT THE EIGENVECTORS ARE NORMALIZED
+    expect(
+      V.   mapElems(   'float64', math.abs  )
+       .reduceElems(-2,'float64', math.hypot)
+    ).toBeAllCloseTo(1);
+
+    // β·A·v = α·B·v
+    const α = diag(S),
+          β = diag(T),
+        βAV = zip_elems([matmul2(A,V), β.reshape(...β.shape.slice(0,-1),1,-1)], 'complex128', math.mul),
+        αBV = zip_elems([matmul2(B,V), α.reshape(...α.shape.slice(0,-1),1,-1)], 'complex128', math.mul);
+
+    expect(βAV).toBeAllCloseTo(αBV, {rtol:1e-6, atol:1e-6});
+  });
+
+
+  it('qz_eigenvals returns Infinity for singular B', () => {
+    const A = tabulate([3,3], 'float64', (i,j) => i===j ? i+1 : 0.5),
+          B = tabulate([3,3], 'float64', (i,j) => i===j && i < 2 ? 1 : 0),
+      [Q,S,T,Z] = qz_decomp(A,B),
+          Λ = qz_eigenvals(S,T);
+
+    expect( [...Λ.data].filter(λ => ! isFinite(math.abs(λ))).length ).toBe(1);
+  });
+})
@@ -0,0 +1,209 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {Complex} from '../dt/complex'
+import {asarray, NDArray} from '../nd_array'
+
+import {_giv_rot_complex,
+        _giv_rot_rows_complex,
+        _giv_rot_cols_complex} from './_giv_rot'
+import {FrobeniusNorm} from './norm'
+import {_as_complex_data,
+        _wrap_complex} from './qz'
+import {schur_decomp} from './schur'
+
+
+/** Principal square root of a complex number (with correct sign of the imaginary part).
+ */
+export function _csqrt( re, im )
+{
+  if( 0 === im && re >= 0 ) return new Complex(Math.sqrt(re), 0);
+  const r = Math.hypot(re,im),
+      sre = Math.sqrt( (r+re) / 2 ),
+      sim = Math.sqrt( (r-re) / 2 );
+  return new Complex(sre, im < 0 ? -sim : sim);
+}
+
+
+/** Transforms the real (quasi-triangular) Schur form in (Q,T) into the complex
+ *  (triangular) Schur form by eliminating the subdiagonal of the 2x2 blocks.
+ *  Q and T are expected in interleaved complex storage.
+ *
+ *  SEE: SciPy's scipy.linalg.rsf2csf
+ */
+export function _rsf2csf( N, Q,T, off )
+{
+  N   |= 0;
+  off |= 0;
+
+  const G = new Float64Array(3),
+      EPS = Number.EPSILON,
+        s = (i,j) => off + 2*(N*i+j);
+
+  for( let m=N; --m > 0; )
+  {
+    const c = T[s(m,m-1)];
+    if( Math.abs(c) > EPS*( Math.abs(T[s(m-1,m-1)]) + Math.abs(T[s(m,m)]) ) )
+    {
+      // EIGENVALUE λ OF THE 2x2 BLOCK [[a,b],[c,d]] -> EIGENVECTOR [λ-d, c]
+      const a = T[s(m-1,m-1)], b = T[s(m-1,m)],
+            d = T[s(m,  m  )],
+         half = (a-d) / 2,
+         disc = half*half + b*c,
+         sqrt = _csqrt(disc,0),
+           μ  = half < 0 ? new Complex(half).sub(sqrt) : sqrt.add(half); // <- avoid cancellation
+      _giv_rot_complex(G, μ.re,μ.im, c,0);
+      _giv_rot_rows_complex(N, T,off, m-1,m, G, m-1,N);
+      G[1] *= -1;
+      G[2] *= -1;
+      _giv_rot_cols_complex(N, T,off, m-1,m, G, 0,m+1);
+      _giv_rot_cols_complex(N, Q,off, m-1,m, G, 0,N  );
+    }
+    T[s(m,m-1)  ] = 0;
+    T[s(m,m-1)+1] = 0;
+  }
+}
+
+
+/** Computes the complex Schur decomposition of the complex NxN matrix T in place
+ *  using a Hessenberg reduction followed by single-shift QR iterations. The unitary
+ *  transformation is written to Q. Both matrices are in interleaved complex storage.
+ */
+export function _schur_decomp_complex( N, Q,T, off )
+{
+  N   |= 0;
+  off |= 0;
+
+  const G = new Float64Array(3),
+      EPS = Number.EPSILON,
+        s = (i,j) => off + 2*(N*i+j),
+      abs = (i,j) => Math.hypot( T[s(i,j)], T[s(i,j)+1] ),
+      val = (i,j) => new Complex( T[s(i,j)], T[s(i,j)+1] );
+
+  Q.fill(0.0, off, off + 2*N*N);
+  for( let i=0; i < N; i++ )
+    Q[s(i,i)] = 1;
+
+  // HESSENBERG REDUCTION
+  for( let j=0; j < N-2; j++ )
+  for( let i=N; --i > j+1; )
+  {
+    _giv_rot_complex(G, T[s(i-1,j)],T[s(i-1,j)+1], T[s(i,j)],T[s(i,j)+1]);
+    _giv_rot_rows_complex(N, T,off, i-1,i, G, j,N);
+    G[1] *= -1;
+    G[2] *= -1;
+    _giv_rot_cols_complex(N, T,off, i-1,i, G, 0,N);
+    _giv_rot_cols_complex(N, Q,off, i-1,i, G, 0,N);
+    T[s(i,j)  ] = 0;
+    T[s(i,j)+1] = 0;
+  }
+
+  const NORM = new FrobeniusNorm();
+  for( let i=2*N*N; i-- > 0; ) NORM.include(T[off+i]);
+  const tol = EPS*NORM.result;
+
+  // SHIFTED QR ITERATION
+  for( let hi=N-1, iter=0, total=0; hi > 0; )
+  {
+    // FIND ACTIVE BLOCK [lo,hi]
+    let lo = hi;
+    for( ; lo > 0; lo-- ) {
+      const T_ij = abs(lo,lo-1);
+      if( T_ij <= tol || T_ij <= EPS*( abs(lo,lo) + abs(lo-1,lo-1) ) ) {
+        T[s(lo,lo-1)  ] = 0;
+        T[s(lo,lo-1)+1] = 0;
+        break;
+      }
+    }
+    if( lo === hi ) { --hi; iter=0; continue; }
+
+    if( ++total > 32*N )
+      throw new Error('schur_decomp_complex(A): QR iteration did not converge.');
+
+    // COMPUTE SHIFT
+    let shift;
+    if( ++iter % 11 === 0 )
+      shift = val(hi,hi).add( abs(hi,hi-1) ); // <- exceptional shift
+    else
+    { // WILKINSON SHIFT
+      const a = val(hi-1,hi-1), b = val(hi-1,hi),
+            c = val(hi  ,hi-1), d = val(hi  ,hi),
+         half = a.sub(d).div(2),
+         disc = half.mul(half).add( b.mul(c) ),
+         sqrt = _csqrt(disc.re, disc.im),
+           λa = d.add(half).add(sqrt),
+           λb = d.add(half).sub(sqrt);
+      shift = λa.sub(d).abs() <= λb.sub(d).abs() ? λa : λb;
+    }
+
+    // QR SWEEP
+    let x_re = T[s(lo,lo)  ] - shift.re,
+        x_im = T[s(lo,lo)+1] - shift.im,
+        y_re = T[s(lo+1,lo)  ],
+        y_im = T[s(lo+1,lo)+1];
+
+    for( let k=lo; k < hi; k++ )
+    {
+      if( k > lo ) {
+        x_re = T[s(k,  k-1)]; x_im = T[s(k,  k-1)+1];
+        y_re = T[s(k+1,k-1)]; y_im = T[s(k+1,k-1)+1];
+      }
+      _giv_rot_complex(G, x_re,x_im, y_re,y_im);
+      _giv_rot_rows_complex(N, T,off, k,k+1, G, Math.max(k-1,lo),N);
+      if( k > lo ) {
+        T[s(k+1,k-1)  ] = 0;
+        T[s(k+1,k-1)+1] = 0;
+      }
+      G[1] *= -1;
+      G[2] *= -1;
+      _giv_rot_cols_complex(N, T,off, k,k+1, G, 0,Math.min(k+3,hi+1));
+      _giv_rot_cols_complex(N, Q,off, k,k+1, G, 0,N);
+    }
+  }
+}
+
+
+export function schur_decomp_complex(A)
+{
+  A = asarray(A);
+  if( A.ndim < 2 ) throw new Error('schur_decomp_complex(A): A must be at least 2D.');
+  if( A.dtype === 'object' ) throw new Error('schur_decomp_complex(A): A.dtype must not be "object".');
+
+  const N = A.shape[A.ndim-1];
+  if( A.shape[A.ndim-2] !== N ) throw new Error('schur_decomp_complex(A): A must be square.');
+
+  let Q,T;
+  if( A.dtype === 'complex128' ) {
+    T = _as_complex_data(A);
+    Q = new Float64Array(T.length);
+    for( let off=0; off < T.length; off += 2*N*N )
+      _schur_decomp_complex(N, Q,T, off);
+  }
+  else {
+    const [q,t] = schur_decomp(A);
+    Q = _as_complex_data(q);
+    T = _as_complex_data(t);
+    for( let off=0; off < T.length; off += 2*N*N )
+      _rsf2csf(N, Q,T, off);
+  }
+
+  return [
+    new NDArray(A.shape,         _wrap_complex(Q)),
+    new NDArray(A.shape.slice(), _wrap_complex(T))
+  ];
+}
@@ -0,0 +1,79 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {Complex} from '../dt/complex'
+import {forEachItemIn, CUSTOM_MATCHERS} from '../jasmine_utils'
+import math from '../math'
+import {tabulate} from '../tabulate'
+
+import {eye} from './eye'
+import {matmul, matmul2} from './matmul'
+import {schur_decomp_complex} from './schur_complex'
+
+
+describe('schur_decomp_complex', () => {
+  beforeEach( () => {
+    jasmine.addMatchers(CUSTOM_MATCHERS)
+  })
+
+
+  const conjT = A => A.T.mapElems('complex128', math.conj);
+
+
+  function* shapes(rng)
+  {
+    for( let run=0; run++ < 8; )
+    for( let   N=0;   N++ < 6; )
+      yield [N];
+
+    for( let run=0; run++ < 256; )
+      yield [
+        ...Array.from({ length: rng.int(0,3) }, () => rng.int(1,4) ),
+        rng.int(1,24)
+      ];
+  }
+
+
+  for( const dtype of ['float64', 'complex128'] )
+    forEachItemIn(
+      function*(rng){
+        for( const [...shape] of shapes(rng) )
+        {
+          const N = shape.pop(),
+                A = tabulate([...shape,N,N], dtype, () => dtype === 'float64'
+                  ? rng.uniform(-1,+1)
+                  : new Complex( rng.uniform(-1,+1), rng.uniform(-1,+1) )
+                );
+          Object.freeze(A.data.buffer);
+          yield A;
+        }
+      }
+    ).it(`works on random ${dtype} examples`, A => {
+      const [Q,T] = schur_decomp_complex(A),
+                N = A.shape[A.ndim-1];
+
+      for( const X of [Q,T] ) {
+        expect(X.shape).toEqual(A.shape);
+        expect(X.dtype).toBe('complex128');
+      }
+
+      expect(T).toBeUpperTriangular();
+      expect( matmul2(Q,conjT(Q)) ).toBeAllCloseTo( eye(N) );
+      expect( matmul(Q,T,conjT(Q)) ).toBeAllCloseTo(A);
+    });
+})
@@ -43,7 +43,7 @@ describe('transpose_inplace', () => {
       }
     }()
   ).it('works on generated examples', A => {
-    const A_T = A.T
+    const A_T = A.T.copy()
     transpose_inplace(A)
     expect(A).toBeAllCloseTo(A_T, {rtol:0,atol:0});
   })
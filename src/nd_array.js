@@ -17,7 +17,12 @@
  */
 
 import {zip_elems} from './zip_elems'
-import {ARRAY_TYPES, dtypeof, is_subdtype, super_dtype, _check_dtype} from './dt'
+import {add, sub, mul, div, pow, maximum, minimum,
+        equal, not_equal, less, less_equal, greater, greater_equal,
+        iadd, isub, imul, idiv, ipow, imaximum, iminimum,
+        iequal, inot_equal, iless, iless_equal, igreater, igreater_equal} from './elementwise'
+import {sum, mean, var as _var, std, prod, min, max, argmin, argmax} from './reductions'
+import {ARRAY_TYPES, cast_scalar, dtypeof, is_subdtype, super_dtype, _check_dtype} from './dt'
 
 
 export function array(dtype, content)
@@ -27,7 +32,7 @@ export function array(dtype, content)
   if( ('object' == typeof content ||
      'function' == typeof content) && 'shape' in content && 'data' in content )
   {
-    let data = content.data
+    let data = content instanceof NDArray ? content._flat_data() : content.data
 
     if( dtype == null )
       dtype = content.dtype;
@@ -40,11 +45,7 @@ export function array(dtype, content)
     }
     _check_dtype(dtype);
 
-    if( ! (data instanceof ARRAY_TYPES[dtype]) )
-      data = ARRAY_TYPES[dtype].from(data);
-    else
-      data = data.slice();
-    return new NDArray(content.shape, data);
+    return new NDArray(content.shape, _convert(data, dtype));
   }
 
   function* shape(content)
@@ -80,13 +81,14 @@ export function array(dtype, content)
     dtype = 'float64';
 
   _check_dtype(dtype)
-  const data = new ARRAY_TYPES[dtype]( shape.reduce((a,b) => a*b, 1) )
+  const data = new ARRAY_TYPES[dtype]( shape.reduce((a,b) => a*b, 1) ),
+        big = _is_bigint(data);
   let idx = 0;
 
   function fill(d,content)
   {
     if( d === shape.length )
-      data[idx++] = content
+      data[idx++] = big || 'bigint' === typeof content ? cast_scalar(content,dtype) : content
     else {
       if( content.length !== shape[d] )
         throw new Error('Nested array not axis-aligned.')
@@ -116,15 +118,384 @@ export function asarray( dtype, arrayLike )
       || dtype==='float'  &&  arrayLike.dtype.startsWith('float') )
       return arrayLike;
 
-    return new NDArray(       arrayLike.shape,
-      ARRAY_TYPES[dtype].from(arrayLike.data)
-    );
+    return new NDArray(arrayLike.shape, _convert(arrayLike._flat_data(), dtype));
   }
   if(dtype==='float')
      dtype = 'float64';
   return array(dtype, arrayLike)
 }
 
+/** Returns true if data is a BigInt64Array or BigUint64Array.
+ */
+function _is_bigint( data )
+{
+  return data instanceof BigInt64Array || data instanceof BigUint64Array;
+}
+
+
+/** Returns a copy of data converted to the given dtype. Conversions from or to 64-bit integers
+ *  require an explicit cast since JS does not implicitly convert between BigInt and Number.
+ */
+function _convert( data, dtype )
+{
+  const ArrayType = ARRAY_TYPES[dtype];
+  if( data instanceof ArrayType ) return data.slice();
+  if( _is_bigint(data) || ArrayType === BigInt64Array || ArrayType === BigUint64Array )
+    return ArrayType.from(data, x => cast_scalar(x,dtype));
+  return ArrayType.from(data);
+}
+
+
+export const newaxis = 'newaxis',
+            ellipsis = '...';
+
+
+/** Returns a view of A that is broadcast to the given shape. No data is
+ *  copied, the broadcast axes simply have a stride of 0.
+ */
+export function broadcast_to( A, shape )
+{
+  A = asarray(A)
+  shape = Int32Array.from(shape)
+  if( shape.length < A.ndim )
+    throw new Error(`broadcast_to(A, shape): A.shape=[${A.shape}] cannot be broadcast to fewer dimensions [${shape}].`)
+
+  const strides = new Int32Array(shape.length)
+  for( let i=shape.length, j=A.ndim; j-- > 0; )
+  {
+    --i
+    if( A.shape[j] === shape[i] ) strides[i] = A.strides[j]
+    else if( 1 !== A.shape[j] )
+      throw new Error(`broadcast_to(A, shape): A.shape=[${A.shape}] cannot be broadcast to [${shape}].`)
+  }
+  return new NDArray(shape, A._data, strides, A.offset)
+}
+
+
+/** Returns the strides of a contiguous (row-major) NDArray of the given shape.
+ */
+function _c_strides( shape )
+{
+  const strides = new Int32Array(shape.length)
+  for( let stride=1, d=shape.length; d-- > 0; stride *= shape[d] )
+    strides[d] = stride
+  return strides
+}
+
+
+/** Tries to find strides such that an NDArray of shape oldShape and strides oldStrides
+ *  can be viewed as an NDArray of shape newShape. Returns null if that is not possible,
+ *  in which case reshaping requires a copy.
+ *
+ *  SEE: NumPy's _attempt_nocopy_reshape
+ */
+function _reshape_strides( oldShape, oldStrides, newShape )
+{
+  // AXES OF SIZE 1 DO NOT MATTER
+  const oldDims = [],
+     oldStride = []
+  for( let d=0; d < oldShape.length; d++ )
+    if( 1 !== oldShape[d] ) {
+      oldDims  .push(oldShape  [d])
+      oldStride.push(oldStrides[d])
+    }
+
+  const oldNDim = oldDims.length,
+        newNDim = newShape.length,
+     newStrides = new Int32Array(newNDim)
+
+  let oi=0, oj=1,
+      ni=0, nj=1
+  while( ni < newNDim && oi < oldNDim )
+  {
+    // FIND THE SMALLEST GROUPS OF OLD AND NEW AXES THAT HAVE THE SAME SIZE
+    let np = newShape[ni],
+        op =  oldDims[oi]
+    while( np !== op )
+      if( np < op ) np *= newShape[nj++]
+      else          op *=  oldDims[oj++]
+
+    // THE OLD GROUP MUST BE CONTIGUOUS
+    for( let ok=oi; ok < oj-1; ok++ )
+      if( oldStride[ok] !== oldDims[ok+1]*oldStride[ok+1] )
+        return null
+
+    newStrides[nj-1] = oldStride[oj-1]
+    for( let nk=nj-1; nk > ni; nk-- )
+      newStrides[nk-1] = newStrides[nk]*newShape[nk]
+
+    ni = nj++
+    oi = oj++
+  }
+
+  // TRAILING AXES OF SIZE 1
+  const last = ni > 0 ? newStrides[ni-1] : 1
+  for( let nk=ni; nk < newNDim; nk++ )
+    newStrides[nk] = last
+
+  return newStrides
+}
+
+
+/** Copies the entries of A in row-major order into a new (flat) data array.
+ */
+function _gather( A )
+{
+  const
+    shape = A.shape,
+    ndim = shape.length,
+    strides = A.strides,
+    len = shape.reduce((m,n) => m*n, 1),
+    result = new ARRAY_TYPES[A.dtype](len)
+
+  let k = 0
+  if( A.dtype.startsWith('complex') )
+  {
+    const src = A._data._array,
+          dst = result._array
+    const gather = (d, idx) => {
+      if( d === ndim ) {
+        dst[k++] = src[2*idx  ]
+        dst[k++] = src[2*idx+1]
+      }
+      else for( let j=0; j < shape[d]; j++, idx += strides[d] )
+        gather(d+1, idx)
+    }
+    gather(0, A.offset)
+  }
+  else
+  {
+    const src = A._data
+    const gather = (d, idx) => {
+      if( d === ndim )
+        result[k++] = src[idx]
+      else if( d === ndim-1 )
+        for( let j=0; j < shape[d]; j++, idx += strides[d] )
+          result[k++] = src[idx]
+      else
+        for( let j=0; j < shape[d]; j++, idx += strides[d] )
+          gather(d+1, idx)
+    }
+    gather(0, A.offset)
+  }
+  return result
+}
+
+
+/** Returns true if x is a (nested) JS array of booleans.
+ */
+function _is_bool_array( x )
+{
+  while( x instanceof Array ) x = x[0];
+  return 'boolean' === typeof x;
+}
+
+
+/** Resolves the slices given to sliceElems or setElems. Returns the shape of the selection
+ *  and either the strides and offset of the selection as view of A (if only basic indexing
+ *  is used and asView is true) or the index into A._data for every entry of the selection
+ *  (in row-major order). Returns null if the selection is empty.
+ *
+ *  Like in NumPy, all axes that are indexed by integer arrays or masks are broadcast together
+ *  and placed at the position of the first of said axes if they are adjacent or in front otherwise.
+ */
+function _index( A, slices, asView )
+{
+  const
+    ndim = A.ndim,
+    shape = A.shape,
+    strides = A.strides;
+
+  // some basic acCOUNTing
+  let
+    nEllipses = 0,
+    nAxes = 0,
+    nAdvanced = 0;
+  const items = slices.map( slc => {
+    if( '...' === slc ) { ++nEllipses; return {kind: '...'} }
+    if( 'new' === slc || 'newaxis' === slc ) return {kind: 'new'}
+    if( 'number' === typeof slc ) {
+      if( ! (slc % 1 == 0) )
+        throw new Error('Only integral indices allowed.')
+      ++nAxes; return {kind: 'int', index: slc}
+    }
+    if( _is_bool_array(slc) )
+      slc = array('bool', slc)
+    if( slc instanceof NDArray || ArrayBuffer.isView(slc) )
+    {
+      slc = asarray(slc)
+      ++nAdvanced
+      if( 'bool' === slc.dtype || 'object' === slc.dtype && slc._flat_data().every( x => 'boolean' === typeof x ) ) {
+        nAxes += slc.ndim; return {kind: 'mask', mask: slc}
+      }
+      if( ! /^u?int/.test(slc.dtype) )
+        throw new Error("Index arrays must be of an integer dtype or boolean masks.")
+      slc = asarray('int32', slc)
+      ++nAxes; return {kind: 'array', index: slc}
+    }
+    const len = slc.length;
+    if( (typeof len) !== 'number' || ! (len % 1 == 0) || len > 3 || len==1 )
+      throw new Error('Illegal argument(s).')
+    ++nAxes; return {kind: 'range', range: slc}
+  })
+  if( nEllipses >  1 ) throw new Error('Highlander! There can be only one ... (ellipsis).')
+  if( nEllipses == 0 ) items.push({kind: '...'})
+  if( nAxes > ndim )
+    throw new Error('Cannot sliced more dimensions than available.')
+
+  let off = A.offset,
+      empty = false,
+      contiguous = true; // <- whether the advanced indices are adjacent
+  const
+    tables = [], // <- [length, stride] of each axis of the selection, null marks the advanced indices
+    advanced = [], // <- [index array, axis]
+    add_advanced = (index, d) => {
+      if( advanced.length === 0 ) tables.push(null);
+      else if( null !== tables[tables.length-1] ) contiguous = false;
+      advanced.push([index, d]);
+    };
+
+  for( let d=0, i=0; i < items.length; i++ )
+  {
+    const item = items[i];
+    switch( item.kind )
+    {
+      case 'new':
+        tables.push([1,0])
+        break
+      case '...':
+        for( let n=ndim-nAxes; n-- > 0; d++ )
+          tables.push([shape[d], strides[d]])
+        break
+      case 'int':
+        if( nAdvanced > 0 ) {
+          add_advanced(asarray(item.index), d++)
+          break
+        }
+        let idx = item.index
+        if( 0 > idx )  idx += shape[d]
+        if( 0 > idx || idx >= shape[d] ) throw new Error('Index out of bounds.')
+        off += strides[d++] * idx
+        break
+      case 'array':
+        add_advanced(item.index, d++)
+        break
+      case 'mask':
+      {
+        const {mask} = item,
+               mdata = mask._flat_data(),
+                   k = mask.ndim;
+        if( mask.shape.some( (s,j) => s !== shape[d+j] ) )
+          throw new Error(`Mask of shape [${mask.shape}] does not match the indexed axes.`)
+        // NONZERO INDICES
+        const indices = Array.from({length: k}, () => []),
+                  idx = new Int32Array(k);
+        for( let j=0; j < mdata.length; j++ )
+        {
+          if( mdata[j] )
+            for( let l=0; l < k; l++ ) indices[l].push(idx[l]);
+          for( let l=k; l-- > 0; ) {
+            if( ++idx[l] < mask.shape[l] ) break;
+            idx[l] = 0;
+          }
+        }
+        if( 0 === indices[0].length ) empty = true;
+        for( let l=0; l < k; l++ )
+          add_advanced( new NDArray( Int32Array.of(indices[l].length || 1), Int32Array.from(indices[l].length ? indices[l] : [0]) ), d++ )
+        break
+      }
+      default:
+      {
+        let [start=undefined,end=undefined,step=1] = item.range;
+        const size = shape[d];
+
+        if( end   < 0 )  end   += size
+        if( start < 0 )  start += size
+        if( 0 > start || start >= size ) throw new Error('Slice start out of bounds.')
+
+        if( step == 0 ) throw new Error('Stride/step cannot be zero.')
+        if( step <  0 ) {
+          if(start== null) start= size-1
+          if(end  == null) end  = -1
+          if(  -1 > end || end >= size ) throw new Error('Slice end out of bounds.')
+        } else {
+          if(start== null) start= 0
+          if(end  == null) end  = size
+          if(   0 > end || end >  size ) throw new Error('Slice end out of bounds.')
+        }
+        const len = 1 + Math.trunc( (-Math.sign(step) + end - start) / step );
+        if( len < 1 ) empty = true;
+        off += start * strides[d]
+        tables.push([len, step * strides[d]])
+        d++
+      }
+    }
+  }
+
+  // BROADCAST ADVANCED INDICES
+  let adv_pos = -1,
+      adv_shape;
+  if( advanced.length > 0 )
+  {
+    const adv = zip_elems( advanced.map( ([index]) => index ), 'int32', (...indices) => {
+      let flat = 0;
+      for( let j=0; j < advanced.length; j++ ) {
+        const d = advanced[j][1];
+        let idx = indices[j];
+        if( 0 > idx )  idx += shape[d]
+        if( 0 > idx || idx >= shape[d] ) throw new Error('Index out of bounds.')
+        flat += strides[d] * idx
+      }
+      return flat
+    })
+
+    adv_pos = tables.indexOf(null)
+    if( ! contiguous ) {
+      tables.splice(adv_pos,1)
+      tables.unshift(null)
+      adv_pos = 0
+    }
+    tables[adv_pos] = adv.data
+    adv_shape = adv.shape
+  }
+
+  if( empty ) return null;
+
+  // BASIC INDEXING RESULTS IN A VIEW
+  if( 0 === advanced.length && asView )
+    return {
+      shape:   Int32Array.from(tables, ([len]) => len),
+      strides: Int32Array.from(tables, ([,stride]) => stride),
+      offset:  off
+    }
+
+  const newShape = [];
+  tables.forEach( (table,i) => i === adv_pos ? newShape.push(...adv_shape) : newShape.push(table[0]) )
+
+  // FLAT INDICES
+  const indices = new Int32Array( newShape.reduce((m,n) => m*n, 1) );
+  let k = 0;
+  function fill( d, i )
+  {
+    if( d === tables.length )
+      indices[k++] = i;
+    else if( d === adv_pos ) {
+      const T = tables[d];
+      for( let j=0; j < T.length; j++ )
+        fill(d+1, i+T[j]);
+    }
+    else {
+      const [len, stride] = tables[d];
+      for( let j=0; j < len; j++, i += stride )
+        fill(d+1, i);
+    }
+  }
+  fill(0, off)
+
+  return {shape: Int32Array.from(newShape), indices}
+}
+
+
 export class NDArray extends Function
 {
   static get name() { return 'nd.Array'; }
@@ -132,16 +503,32 @@ export class NDArray extends Function
    //
   // FACTORY METHODS
  //
-  constructor(shape, data)
+  constructor(shape, data, strides, offset=0)
   {
     if(             ! (shape instanceof Int32Array)    ) throw new Error('Shape must be Int32Array.');
     if(                shape.some( s => s < 1 )        ) throw new Error(`Invalid shape: ${shape}.`)
-    if( data.length != shape.reduce( (x,y) => x*y, 1 ) ) throw new Error(`Shape [${shape}] does not match array length of ${data.length}.`)
-    const self = (...indices) => self.data[self._flat_idx(indices)];
+    if( null == strides ) {
+      if( data.length != shape.reduce( (x,y) => x*y, 1 ) ) throw new Error(`Shape [${shape}] does not match array length of ${data.length}.`)
+      strides = _c_strides(shape)
+    }
+    else {
+      if( ! (strides instanceof Int32Array) || strides.length !== shape.length ) throw new Error('Strides must be Int32Array of the same length as shape.');
+      if( ! Number.isInteger(offset) ) throw new Error(`Invalid offset: ${offset}.`)
+      let lo = offset,
+          hi = offset;
+      for( let d=shape.length; d-- > 0; )
+        if( strides[d] < 0 ) lo += (shape[d]-1) * strides[d];
+        else                 hi += (shape[d]-1) * strides[d];
+      if( 0 > lo || hi >= data.length ) throw new Error(`Strides [${strides}] and offset ${offset} exceed array length of ${data.length}.`)
+    }
+    const self = (...indices) => self._data[self._flat_idx(indices)];
     Object.setPrototypeOf(self, NDArray.prototype)
-    Object.freeze(shape.buffer);
-    self.shape = shape;
-    self.data  = data;
+    Object.freeze(  shape.buffer);
+    Object.freeze(strides.buffer);
+    self.shape   = shape;
+    self.strides = strides;
+    self.offset  = offset;
+    self._data   = data;
     Object.seal(self);
     return self;
   }
@@ -153,40 +540,106 @@ export class NDArray extends Function
 
   get dtype() {
     for( const [dtype,ArrayType] of Object.entries(ARRAY_TYPES) )
-      if( this.data instanceof ArrayType ) return dtype
+      if( this._data instanceof ArrayType ) return dtype
     throw new Error('Data type could not determined.')
   }
 
+  /** The entries of this NDArray as flat array in row-major order. Views that do not
+   *  cover their underlying data array contiguously are turned into a (contiguous) copy
+   *  first, i.e. they no longer share their data with the NDArray they were derived from.
+   */
+  get data()
+  {
+    if( ! this._is_flat() ) {
+      this._data   = this._flat_data();
+      this.strides = _c_strides(this.shape);
+      this.offset  = 0;
+    }
+    return this._data;
+  }
+
+  set data( data )
+  {
+    if( data.length != this.shape.reduce( (x,y) => x*y, 1 ) ) throw new Error(`Shape [${this.shape}] does not match array length of ${data.length}.`)
+    this._data   = data;
+    this.strides = _c_strides(this.shape);
+    this.offset  = 0;
+  }
+
+  /** True if the entries of this NDArray are laid out contiguously in row-major order.
+   */
+  get isContiguous()
+  {
+    const {shape, strides} = this;
+    for( let stride=1, d=shape.length; d-- > 0; )
+      if( 1 !== shape[d] ) {
+        if( strides[d] !== stride ) return false;
+        stride *= shape[d];
+      }
+    return true;
+  }
+
+  /** Returns true if the data array of this NDArray contains exactly its entries in row-major order.
+   */
+  _is_flat()
+  {
+    if( 0 !== this.offset ) return false;
+    const {shape, strides} = this;
+    let size = 1;
+    for( let d=shape.length; d-- > 0; )
+      if( 1 !== shape[d] ) {
+        if( strides[d] !== size ) return false;
+        size *= shape[d];
+      }
+    return this._data.length === size;
+  }
+
+  /** Returns the entries of this NDArray as flat array in row-major order without copying
+   *  them if possible, i.e. the result may share its memory with this NDArray.
+   */
+  _flat_data()
+  {
+    if( ! this.isContiguous ) return _gather(this);
+    const data = this._data,
+           len = this.shape.reduce( (x,y) => x*y, 1 );
+    if( 0 === this.offset && data.length === len ) return data;
+    if( data instanceof Array ) return data.slice(this.offset, this.offset+len);
+    return data.subarray(this.offset, this.offset+len);
+  }
+
+  copy() {
+    return new NDArray(this.shape, _gather(this));
+  }
+
 //    TODO implements this in combination with a PROXY
 //    get length() {
 //      return this.shape[0];
 //    }
 
   set(indices, value) {
-    this.data[this._flat_idx(indices)] = value
+    this._data[this._flat_idx(indices)] = value
   }
 
   modify( indices, modifier ) {
     const i = this._flat_idx(indices);
-    this.data[i] = modifier(this.data[i],...indices);
+    this._data[i] = modifier(this._data[i],...indices);
   }
 
   _flat_idx(indices)
   {
-    const shape = this.shape
+    const shape = this.shape,
+        strides = this.strides
 
     if( indices.length != shape.length ) throw new Error(`Multi-index [${indices}] does not have expected length of ${shape.length}.`);
     
-    let
-      flat_idx = 0,
-      stride = 1;
-    for( let i=shape.length; i-- > 0; stride *= shape[i] )
+    let flat_idx = this.offset;
+    for( let i=shape.length; i-- > 0; )
     {
       let idx = indices[i];
       if( idx % 1 != 0 ) throw new Error(`Multi-index [${indices}] contains non-integer entries.`);
       if( idx < 0 )  idx += shape[i]
       if( idx < 0 || idx >= shape[i] ) throw new Error(`Multi-index [${indices}] out of bounds [${shape}].`);
-      flat_idx  +=   idx * stride;
+      flat_idx  +=   idx * strides[i];
     }
     return flat_idx;
   }
@@ -203,12 +656,8 @@ export class NDArray extends Function
     }
     const
       shape  = this.shape,
-      data   = this.data,
-      strides= new Int32Array(shape.length)
-
-    strides[strides.length-1] = 1
-    for( let i=strides.length; --i > 0; )
-      strides[i-1] = strides[i] * shape[i]
+      data   = this._data,
+      strides= this.strides
 
     /** Collects the String representations of all (displayed) entries.
      */
@@ -231,7 +680,7 @@ export class NDArray extends Function
       }
       else for( let j=0;          j < shape[d]; j++ ) yield* entries(d+1, idx+j*strides[d])
     }
-    entries = [...entries(0,0) ];
+    entries = [...entries(0,this.offset) ];
 
     // pad all entries to the same string length
     if( this.ndim > 1 ) {
@@ -267,11 +716,11 @@ export class NDArray extends Function
       else for( let j=0;          j < shape[d]; j++ ) { if(j>0) yield infix; yield* str(indent, d+1, idx+j*strides[d]) }
       yield suffix;
     }
-    return [...str('',0,0) ].join('');
+    return [...str('',0,this.offset) ].join('');
   }
 
   toNestedArray() {
-    const  data = this.data,
+    const  data = this._flat_data(),
           shape = this.shape;
     let flat_idx = 0
   
@@ -287,24 +736,26 @@ export class NDArray extends Function
  //
   *[Symbol.iterator]() {
     const shape = this.shape.slice(1),
-         stride = shape.reduce((a,b) => a*b, 1)
-    for( let i=0; i < this.data.length; )
-      yield new NDArray( shape, this.data.slice(i,i+=stride) )
+         stride = shape.reduce((a,b) => a*b, 1),
+           data = this._flat_data()
+    for( let i=0; i < data.length; )
+      yield new NDArray( shape, data.slice(i,i+=stride) )
   }
 
   forEach( consumer ) {
     const
       len = this.shape[0],
       shape = this.shape.slice(1),
-      stride = shape.reduce((a,b) => a*b, 1)
+      stride = shape.reduce((a,b) => a*b, 1),
+      data = this._flat_data()
     for( let i=0, idx=0; i < len; i++, idx += stride )
-      consumer( new NDArray( shape, this.data.slice(idx,idx+stride) ), i )
+      consumer( new NDArray( shape, data.slice(idx,idx+stride) ), i )
   }
   
   *elems() {
     const
       shape= this.shape,
-      data = this.data,
+      data = this._flat_data(),
       multi_idx = new Int32Array(shape.length) // <- index in result
     let flat_idx = 0
 
@@ -324,7 +775,7 @@ export class NDArray extends Function
   forElems( consumer ) {
     const
       shape= this.shape,
-      data = this.data,
+      data = this._flat_data(),
       multi_idx = new Int32Array(shape.length) // <- index in result
     let flat_idx = 0
 
@@ -346,13 +797,13 @@ export class NDArray extends Function
  //
   valueOf() {
     if( this.shape.length === 0 )
-      return this.data[0]
+      return this._data[this.offset]
     return this;
   }
 
   mapElems( dtype, mapper ) {
     if( null == mapper ) {
-      if( dtype == null ) return new NDArray(this.shape, this.data.slice());
+      if( dtype == null ) return this.copy();
       if( dtype instanceof Function ) { mapper = dtype; dtype = undefined }
     }
     if( null == mapper ) mapper = x => x;
@@ -368,77 +819,73 @@ export class NDArray extends Function
   get H() {
     const result = this.T;
     if( this.dtype != 'object' &&
-        this.dtype != 'complex128' ) return result;
+      ! this.dtype.startsWith('complex') ) return result;
     return result.mapElems(math.conj);
   }
 
-  transpose( ...axes ) // <- TODO allow for ellipsis '...' as input
+  transpose( ...axes )
   {
     axes = [...axes]
     const
-      newShape = Int32Array.from(this.shape),
-      ndim = newShape.length
-
-    let strides = new Int32Array(ndim)
-    if( ndim > 0 )
-      strides[ndim-1] = 1
-    for( let i=ndim; --i > 0; )
-      strides[i-1] = newShape[i]*strides[i]
+      ndim = this.ndim,
+      newShape   = new Int32Array(ndim),
+      newStrides = new Int32Array(ndim)
+
+    // ELLIPSIS IS REPLACED BY THE REMAINING AXES IN ASCENDING ORDER
+    const ell = axes.indexOf('...')
+    if( ell >= 0 ) {
+      if( axes.lastIndexOf('...') !== ell ) throw new Error('Highlander! There can be only one ... (ellipsis).')
+      axes.splice(ell, 1, ...Array.from({length: ndim}, (_,i) => i).filter( i => ! axes.includes(i) ))
+    }
 
     // BY DEFAULT THE LAST 2 AXES ARE SWAPPED
     if( axes.length == 0 ) {
-      if( ndim <= 1 ) return this.sliceElems()
-      newShape[ndim-2] = this.shape[ndim-1]
-      newShape[ndim-1] = this.shape[ndim-2]
-      let tmp = strides[ndim-2]; strides[ndim-2] = strides[ndim-1]; strides[ndim-1] = tmp
-    }
-    // 
-    else {
-      const
-        set = new Set(axes),
-        _strides = strides; strides = new Int32Array(ndim)
-
-      if( set.size != axes.length ) throw new Error('Duplicate axes are not allowed.')
-
-      for( let i=axes.length; i-- > 0; )
-      {
-        const j = axes[i];
-        if( 0 > j || j >= ndim ) throw new Error('Axis out of bounds.')
-        newShape[i] = this.shape[j]
-        strides[i] = _strides[j]
+      axes = Array.from({length: ndim}, (_,i) => i)
+      if( ndim > 1 ) {
+        axes[ndim-2] = ndim-1
+        axes[ndim-1] = ndim-2
       }
-
-      // COMPLETE WITH REMAINING/MISSING/IMPLIED INDICES
-      for( let i=0, j=set.size; i < ndim; i++ )
-        if( ! set.has(i) )
-        {
-          newShape[j] = this.shape[i]
-          strides[j++] = _strides[i]
-        }
     }
 
-    const
-      oldData =   this.data,
-      newData = new oldData.__proto__.constructor(oldData.length)
+    const set = new Set(axes)
+    if( set.size != axes.length ) throw new Error('Duplicate axes are not allowed.')
 
-    let newI = oldData.length
-
-    function copy( d, oldI )
+    for( let i=axes.length; i-- > 0; )
     {
-      if( ndim > d )
-        for( let i = newShape[d]; i-- > 0; oldI -= strides[d] )
-          copy(d+1,oldI)
-      else newData[--newI] = oldData[oldI]
+      const j = axes[i];
+      if( 0 > j || j >= ndim ) throw new Error('Axis out of bounds.')
+      newShape  [i] = this.shape  [j]
+      newStrides[i] = this.strides[j]
     }
-    copy(0,newI-1)
 
-    return new NDArray(newShape,newData)
+    // COMPLETE WITH REMAINING/MISSING/IMPLIED INDICES
+    for( let i=0, j=set.size; i < ndim; i++ )
+      if( ! set.has(i) )
+      {
+        newShape  [j  ] = this.shape  [i]
+        newStrides[j++] = this.strides[i]
+      }
+
+    return new NDArray(newShape, this._data, newStrides, this.offset)
+  }
+
+  swapaxes( axis1, axis2 )
+  {
+    const ndim = this.ndim
+    if( 0 > axis1 ) axis1 += ndim
+    if( 0 > axis2 ) axis2 += ndim
+    if( ! (0 <= axis1 && axis1 < ndim) || ! (0 <= axis2 && axis2 < ndim) )
+      throw new Error(`swapaxes(axis1, axis2): Axes out of bounds.`)
+    const axes = Array.from({length: ndim}, (_,i) => i)
+    axes[axis1] = axis2
+    axes[axis2] = axis1
+    return this.transpose(...axes)
   }
 
   reshape( ...shape )
   {
     shape = Int32Array.from(shape);
-    const len = this.data.length;
+    const len = this.shape.reduce((a,b) => a*b, 1);
     let
       rest = 1,
       infer = -1;
@@ -458,15 +905,21 @@ export class NDArray extends Function
       shape[infer] = len / rest
     }
 
-    return new NDArray(shape, this.data)
+    if( shape.some( s => s < 1 ) ) throw new Error(`Invalid shape: ${shape}.`)
+    if( len !== shape.reduce((a,b) => a*b, 1) ) throw new Error(`Shape [${shape}] does not match array length of ${len}.`)
+
+    const strides = _reshape_strides(this.shape, this.strides, shape)
+    if( null == strides )
+      return new NDArray(shape, _gather(this))
+    return new NDArray(shape, this._data, strides, this.offset)
   }
 
   reduceElems( axes, dtype, reducer )
   {
     if( null == reducer )
     {
-      if( null    ==  dtype      ) return this.data.reduce(axes)
-      if('string' === typeof axes) return this.data.reduce(dtype)
+      if( null    ==  dtype      ) return this._flat_data().reduce(axes)
+      if('string' === typeof axes) return this._flat_data().reduce(dtype)
       reducer = dtype; dtype = undefined
     }
     if( null == dtype ) dtype = 'object'
@@ -480,7 +933,7 @@ export class NDArray extends Function
     if( axes instanceof NDArray ) {
       if( ! is_subdtype(axes.dtype,'int32') ) throw new Error(`Invalid dtype ${axes.dtype} for axes.`) 
       if( axes.ndim === 1 )
-        axes = axes.data
+        axes = axes._flat_data()
       else
         throw new Error('Only 1D nd.Array allowed for axes.')
     }
@@ -496,7 +949,7 @@ export class NDArray extends Function
       oldShape= this.shape,
       newShape= oldShape.filter( (size,i) => ! axes.has(i) ),
       newData = new ARRAY_TYPES[dtype]( newShape.reduce((a,b) => a*b, 1) ),
-      oldData = this.data
+      oldData = this._flat_data()
     let
       newIdx = 0,
       oldIdx = 0
@@ -523,123 +976,125 @@ export class NDArray extends Function
     fill(0,false)
 
     if( newIdx !=   newData.length ) throw new Error([newIdx,   newData.length])
-    if( oldIdx != this.data.length ) throw new Error([oldIdx, this.data.length])
+    if( oldIdx !=  oldData.length ) throw new Error([oldIdx,  oldData.length])
 
     return new NDArray(newShape,newData)
   }
 
   sliceElems(...slices)
   {
-    const
-      oldNdim = this.ndim,
-      oldShape= this.shape
-    let
-      nEllipses = 0,
-      nNew = 0,
-      nReduced = 0, // <- dimensions of this matrix that to not appear in the sliced one
-      nSliced = 0
-    // some basic acCOUNTing
-    for( const slc of slices )
+    const selection = _index(this, slices, true)
+    if( null == selection ) throw new Error('Selection is empty.')
+
+    // BASIC INDEXING
+    const {shape, indices} = selection
+    if( null == indices )
+      return new NDArray(shape, this._data, selection.strides, selection.offset)
+
+    // ADVANCED INDEXING
+    const oldData = this._data
+    if( this.dtype.startsWith('complex') )
     {
-           if( slc === '...') ++nEllipses;
-      else if( slc === 'new') ++nNew;
-      else if( (typeof slc) === 'number' )
-        if( ! (slc % 1 == 0) )
-          throw new Error('Only integral indices allowed.')
-        else
-          ++nReduced;
-      else {
-        const len = slc.length;
-        if( (typeof len) !== 'number' || ! (len % 1 == 0) || len > 3 || len==1 )
-          throw new Error('Illegal argument(s).')
-        ++nSliced;
+      const
+        oldArr = oldData._array,
+        newArr = new oldArr.constructor(2*indices.length)
+      for( let i=indices.length; i-- > 0; ) {
+        newArr[2*i  ] = oldArr[2*indices[i]  ]
+        newArr[2*i+1] = oldArr[2*indices[i]+1]
       }
+      return new NDArray(shape, new ARRAY_TYPES[this.dtype](newArr.buffer, 0, indices.length))
     }
-    if( nEllipses >  1 ) throw new Error('Highlander! There can be only one ... (ellipsis).')
-    if( nEllipses == 0 )
-      slices.push('...')
-    if( nReduced + nSliced > oldNdim )
-      throw new Error('Cannot sliced more dimensions than available.')
+    const newData = new ARRAY_TYPES[this.dtype](indices.length)
+    for( let i=indices.length; i-- > 0; )
+      newData[i] = oldData[indices[i]]
 
-    // fill in omitted slice arguments and replace ellipsis
-    let off = 0;
-    const
-      strides = [],
-      newShape = Int32Array.from(
-        function* () {
-          let
-            d = oldNdim,
-            stride = 1;
-          for( let i=slices.length; --i >= 0; )
-          {
-            let slc = slices[i]
-            switch(slc)
-            {
-              case 'new':
-                strides.push(0)
-                yield 1
-                break
-              case '...':
-                for( let i = nReduced + nSliced; i < oldNdim; i++ )
-                {
-                  strides.push(stride)
-                  stride *= oldShape[--d]
-                  yield oldShape[d]
-                }
-                break
-              default:
-                --d;
-                if( 'number' === typeof slc )
-                {
-                  if( 0 > slc )  slc += oldShape[d]
-                  if( 0 > slc || slc >= oldShape[d] ) throw new Error('Index out of bounds.')
-                  off += stride * slc
-                }
-                else
-                {
-                  let [start=undefined,end=undefined,step=1] = slc;
-
-                  if( end   < 0 )  end   += oldShape[d]
-                  if( start < 0 )  start += oldShape[d]
-                  if( 0 > start || start >= oldShape[d] ) throw new Error('Slice start out of bounds.')
-
-                  if( step == 0 ) throw new Error('Stride/step cannot be zero.')
-                  if( step <  0 ) {
-                    if(start== null) start= oldShape[d]-1
-                    if(end  == null) end  = -1
-                    if(  -1 > end || end >= oldShape[d] ) throw new Error('Slice end out of bounds.')
-                  } else {
-                    if(start== null) start= 0
-                    if(end  == null) end  = oldShape[d]
-                    if(   0 > end || end >  oldShape[d] ) throw new Error('Slice end out of bounds.')
-                  }
-                  strides.push(stride * step)
-                  off += stride * start
-                  yield 1 + Math.trunc( (-Math.sign(step) + end - start) / step )
-                }
-                stride *= oldShape[d]
-            }
-          }
-        }()
-      );
+    return new NDArray(shape,newData)
+  }
+
+  setElems(...slices)
+  {
+    if( slices.length < 1 ) throw new Error('setElems(...slices, values): values missing.')
+    const values = asarray( slices.pop() )
+    if( values.dtype.startsWith('complex') && ! this.dtype.startsWith('complex') && 'object' !== this.dtype )
+      throw new Error(`setElems(...slices, values): Cannot assign complex values to NDArray of dtype '${this.dtype}'.`)
 
+    const selection = _index(this, slices, false)
+    if( null == selection ) return
+
+    // BROADCAST AND CAST VALUES (A COPY IS MADE SO THAT VALUES MAY BE A VIEW OF THIS NDARRAY)
     const
-      oldData = this.data,
-      newData = new ARRAY_TYPES[this.dtype]( newShape.reduce((a,b) => a*b, 1) )
-    let newIdx = 0
-    function fill(d, oldIdx)
+      {shape, indices} = selection,
+      vals = zip_elems([values, new NDArray(shape, new Int32Array(indices.length))], this.dtype, x => cast_scalar(x, this.dtype))
+    if( vals.ndim !== shape.length || vals.shape.some( (s,i) => s !== shape[i] ) )
+      throw new Error(`setElems(...slices, values): values of shape [${values.shape}] cannot be broadcast to the selection's shape [${shape}].`)
+
+    if( this.dtype.startsWith('complex') )
     {
-      if( 0 === d )
-        newData[newIdx++] = oldData[oldIdx]
-      else for( let i=newShape[--d]; i-- > 0; oldIdx += strides[d] )
-        fill(d, oldIdx)
+      const
+        arr = this._data._array,
+        src = vals.data._array
+      for( let i=indices.length; i-- > 0; ) {
+        arr[2*indices[i]  ] = src[2*i  ]
+        arr[2*indices[i]+1] = src[2*i+1]
+      }
+    }
+    else {
+      const arr = this._data,
+            src = vals.data
+      for( let i=0; i < indices.length; i++ )
+        arr[indices[i]] = src[i]
     }
-    fill(newShape.length, off)
+  }
 
-    newShape.reverse()
+   //
+  // ARITHMETIC
+ //
+  add( other ) { return add(this, other) }
+  sub( other ) { return sub(this, other) }
+  mul( other ) { return mul(this, other) }
+  div( other ) { return div(this, other) }
+  pow( other ) { return pow(this, other) }
+
+  maximum( other ) { return maximum(this, other) }
+  minimum( other ) { return minimum(this, other) }
+
+  equal        ( other ) { return equal        (this, other) }
+  not_equal    ( other ) { return not_equal    (this, other) }
+  less         ( other ) { return less         (this, other) }
+  less_equal   ( other ) { return less_equal   (this, other) }
+  greater      ( other ) { return greater      (this, other) }
+  greater_equal( other ) { return greater_equal(this, other) }
+
+  iadd( other ) { return iadd(this, other) }
+  isub( other ) { return isub(this, other) }
+  imul( other ) { return imul(this, other) }
+  idiv( other ) { return idiv(this, other) }
+  ipow( other ) { return ipow(this, other) }
+
+  imaximum( other ) { return imaximum(this, other) }
+  iminimum( other ) { return iminimum(this, other) }
+
+  iequal        ( other ) { return iequal        (this, other) }
+  inot_equal    ( other ) { return inot_equal    (this, other) }
+  iless         ( other ) { return iless         (this, other) }
+  iless_equal   ( other ) { return iless_equal   (this, other) }
+  igreater      ( other ) { return igreater      (this, other) }
+  igreater_equal( other ) { return igreater_equal(this, other) }
 
-    return new NDArray(newShape,newData)
-  }
+   //
+  // REDUCTION
+ //
+  sum ( axis, options ) { return sum (this, axis, options) }
+  mean( axis, options ) { return mean(this, axis, options) }
+  var ( axis, options ) { return _var(this, axis, options) }
+  std ( axis, options ) { return std (this, axis, options) }
+  prod( axis, options ) { return prod(this, axis, options) }
+
+  min( axis, options ) { return min(this, axis, options) }
+  max( axis, options ) { return max(this, axis, options) }
+
+  argmin( axis, options ) { return argmin(this, axis, options) }
+  argmax( axis, options ) { return argmax(this, axis, options) }
 
 //    convolve(options, conv_op) // <- IDEA: img.convolve({shape=[4,4,3], paddings=['same','same','none']}, (values, ...indices) => values.sum() )
 }
@@ -64,91 +64,103 @@ export function odr_gen( trust_region )
     if( MX !== dx0.shape[0] ) throw new Error(`${NAME}(x,y, fgg,p0, opt): opt.dx0 and x must have same shape.`);
     if( MX !== MY ) throw new Error(`${NAME}(x,y, fgg,p0, opt): x.shape[0] must equal y.shape[0].`);
 
-    const x_ndim  = x.ndim,
-          y_ndim  = y.ndim,
-        xi_shape = x.shape.slice(1);
-    const  
-            dy    = new Float64Array(MX*NY),
-            dy_dp = new Float64Array(MX*NY*NP),
-            dy_dx = new Float64Array(MX*NY*NX),
-      result_dy    = new NDArray(                  y.shape                        , dy    ),
-      result_dy_dp = new NDArray( Int32Array.of(...y.shape,NP                    ), dy_dp ),
-      result_dy_dx = new NDArray( Int32Array.of(...y.shape,...x.shape.subarray(1)), dy_dx );
+    return trust_region( new TrustRegionSolverTLS(_odr_fjj(x,y, fgg, NP), p0,dx0), opt );
+  }
 
-    x = x.data;
-    y = y.data;
+  Object.defineProperty(fit_odr_gen, 'name', {value: `odr${trust_region.name}_gen`});
+  return                fit_odr_gen;
+}
 
-    const fjj = (p,dx) => {
-      if( !  p.dtype.startsWith('float') )  throw new Error('Assertion failed.');
-      if( ! dx.dtype.startsWith('float') )  throw new Error('Assertion failed.');
 
-      if( p.ndim     !== 1 ) throw new Error('Assertion failed.');
-      if( p.shape[0] !== NP) throw new Error('Assertion failed.');
+/** Returns the function `fjj(p,dx) => [dy, dy_dp, dy_dx]` of the TLS problem that corresponds to
+ *  the orthogonal distance regression of `fgg` through the (already validated) sample points (x,y).
+ */
+export function _odr_fjj( x,y, fgg, NP )
+{
+  const [MX,NX=1] = x.shape,
+        [MY,NY=1] = y.shape;
 
-      if(  x_ndim     !== dx.ndim ) throw new Error('Assertion failed.');
-      if(  x_ndim     !== 1 &&
-          dx.shape[1] !== NX ) throw new Error('Assertion failed.');
-      if( dx.shape[0] !== MX ) throw new Error('Assertion failed.');
+  const x_ndim  = x.ndim,
+        y_ndim  = y.ndim,
+      xi_shape = x.shape.slice(1);
+  const  
+          dy    = new Float64Array(MX*NY),
+          dy_dp = new Float64Array(MX*NY*NP),
+          dy_dx = new Float64Array(MX*NY*NX),
+    result_dy    = new NDArray(                  y.shape                        , dy    ),
+    result_dy_dp = new NDArray( Int32Array.of(...y.shape,NP                    ), dy_dp ),
+    result_dy_dx = new NDArray( Int32Array.of(...y.shape,...x.shape.subarray(1)), dy_dx );
 
-      const fgg_p = fgg(p);
+  x = x.data;
+  y = y.data;
 
-      dx = dx.data;
+  const fjj = (p,dx) => {
+    if( !  p.dtype.startsWith('float') )  throw new Error('Assertion failed.');
+    if( ! dx.dtype.startsWith('float') )  throw new Error('Assertion failed.');
 
-      for( let i=0; i < MX; i++ )
-      {
-        const xi = dx.slice(NX*i, NX*(i+1));
+    if( p.ndim     !== 1 ) throw new Error('Assertion failed.');
+    if( p.shape[0] !== NP) throw new Error('Assertion failed.');
 
-        for( let j=NX; j-- > 0; )
-          xi[j] += x[NX*i + j];
+    if(  x_ndim     !== dx.ndim ) throw new Error('Assertion failed.');
+    if(  x_ndim     !== 1 &&
+        dx.shape[1] !== NX ) throw new Error('Assertion failed.');
+    if( dx.shape[0] !== MX ) throw new Error('Assertion failed.');
 
-        let [
-          dyi,
-          dyi_dp,
-          dyi_dx
-        ] = fgg_p( new NDArray(xi_shape, xi) );
+    const fgg_p = fgg(p);
 
-        dyi    = asarray('float', dyi   );
-        dyi_dp = asarray('float', dyi_dp);
-        dyi_dx = asarray('float', dyi_dx);
+    dx = dx.data;
 
-        if( dyi   .ndim !== y_ndim - 1 ) throw new Error('Assertion failed.');
-        if( dyi_dp.ndim !== y_ndim     ) throw new Error('Assertion failed.');
-        if( dyi_dx.ndim !== y_ndim - 2 +
-                            x_ndim     ) throw new Error('Assertion failed.');
+    for( let i=0; i < MX; i++ )
+    {
+      const xi = dx.slice(NX*i, NX*(i+1));
 
-        if( y_ndim !== 1 )
-        {
-          if( dyi   .shape[0] !== NY ) throw new Error('Assertion failed.');
-          if( dyi_dp.shape[0] !== NY ) throw new Error('Assertion failed.');
-          if( dyi_dx.shape[0] !== NY ) throw new Error('Assertion failed.');
-        }
+      for( let j=NX; j-- > 0; )
+        xi[j] += x[NX*i + j];
+
+      let [
+        dyi,
+        dyi_dp,
+        dyi_dx
+      ] = fgg_p( new NDArray(xi_shape, xi) );
 
-        if(              x_ndim    !== 1 &&
-            dyi_dx.shape[y_ndim-1] !== NX ) throw new Error('Assertion failed.');
-        if( dyi_dp.shape[y_ndim-1] !== NP ) throw new Error('Assertion failed.');
+      dyi    = asarray('float', dyi   );
+      dyi_dp = asarray('float', dyi_dp);
+      dyi_dx = asarray('float', dyi_dx);
 
-        dyi    = dyi   .data;
-        dyi_dp = dyi_dp.data;
-        dyi_dx = dyi_dx.data;
+      if( dyi   .ndim !== y_ndim - 1 ) throw new Error('Assertion failed.');
+      if( dyi_dp.ndim !== y_ndim     ) throw new Error('Assertion failed.');
+      if( dyi_dx.ndim !== y_ndim - 2 +
+                          x_ndim     ) throw new Error('Assertion failed.');
 
-        for( let j=   NY; j-- > 0; ) dy   [   NY*i + j] = dyi   [j] - y[NY*i + j];
-        for( let j=NP*NY; j-- > 0; ) dy_dp[NP*NY*i + j] = dyi_dp[j];
-        for( let j=NX*NY; j-- > 0; ) dy_dx[NX*NY*i + j] = dyi_dx[j];
+      if( y_ndim !== 1 )
+      {
+        if( dyi   .shape[0] !== NY ) throw new Error('Assertion failed.');
+        if( dyi_dp.shape[0] !== NY ) throw new Error('Assertion failed.');
+        if( dyi_dx.shape[0] !== NY ) throw new Error('Assertion failed.');
       }
 
-      // we know that the TrustRegionSolverTLS performs protection copies so we can reuse memory
-      return [
-        result_dy,
-        result_dy_dp,
-        result_dy_dx
-      ];
-    };
+      if(              x_ndim    !== 1 &&
+          dyi_dx.shape[y_ndim-1] !== NX ) throw new Error('Assertion failed.');
+      if( dyi_dp.shape[y_ndim-1] !== NP ) throw new Error('Assertion failed.');
 
-    return trust_region( new TrustRegionSolverTLS(fjj, p0,dx0), opt );
-  }
+      dyi    = dyi   .data;
+      dyi_dp = dyi_dp.data;
+      dyi_dx = dyi_dx.data;
 
-  Object.defineProperty(fit_odr_gen, 'name', {value: `odr${trust_region.name}_gen`});
-  return                fit_odr_gen;
+      for( let j=   NY; j-- > 0; ) dy   [   NY*i + j] = dyi   [j] - y[NY*i + j];
+      for( let j=NP*NY; j-- > 0; ) dy_dp[NP*NY*i + j] = dyi_dp[j];
+      for( let j=NX*NY; j-- > 0; ) dy_dx[NX*NY*i + j] = dyi_dx[j];
+    }
+
+    // we know that the TrustRegionSolverTLS performs protection copies so we can reuse memory
+    return [
+      result_dy,
+      result_dy_dp,
+      result_dy_dx
+    ];
+  };
+
+  return fjj;
 }
 
 
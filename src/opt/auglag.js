@@ -0,0 +1,211 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {array, NDArray} from '../nd_array'
+
+import {LineSearchError} from './line_search/line_search_error'
+import {more_thuente_abc} from './line_search/more_thuente_abc'
+import {min_lbfgs_gen} from './lbfgs'
+
+
+// REFERENCES
+// ----------
+// .. [1] "Numerical Optimization" 2nd Edition
+//         Jorge Nocedal & Stephen J. Wright
+//         Chapter 17.3 "Augmented Lagrangian Method: Equality Constraints"
+//         Chapter 17.4 "Practical Augmented Lagrangian Methods"
+// .. [2] "Practical Augmented Lagrangian Methods for Constrained Optimization"
+//         Ernesto G. Birgin & José Mario Martínez
+//         SIAM, 2014
+
+
+/** Evaluates the constraint function cJ at x and checks the shapes of the result.
+ */
+function _eval_constraint( name, cJ_name, cJ, x, N )
+{
+  let [c,J] = cJ( new NDArray(x.shape, x.data.slice()) );
+  c = array('float64', c);
+  J = array('float64', J);
+  if( c.ndim !== 1 || J.ndim !== 2 || J.shape[0] !== c.shape[0] || J.shape[1] !== N )
+    throw new Error(`${name}: opt.${cJ_name} must return [c: float[M], J: float[M,N]].`);
+  return [c.data, J.data];
+}
+
+
+/** Iteratively minimizes fg(x) subject to the constraints cJ_eq(x) = 0 and cJ_ineq(x) <= 0
+ *  using the Powell-Hestenes-Rockafellar augmented Lagrangian method. The unconstrained
+ *  subproblems are solved using L-BFGS.
+ */
+export function* min_auglag_gen(
+  fg,
+  x0,
+  {
+    cJ_eq,
+    cJ_ineq,
+    historySize = 8,
+    lineSearch = more_thuente_abc(),
+    penalty0 = 10,
+    penaltyGrowth = 10,
+    penaltyMax = 1e8,
+    tolMin = 1e-12,
+    innerMaxIter = 1024
+  } = {}
+)
+{
+  const name = 'min_auglag_gen(fg,x0,opt)';
+
+  if( ! (fg instanceof Function) ) throw new Error(`${name}: fg must be a function.`);
+  if( null != cJ_eq   && ! (cJ_eq   instanceof Function) ) throw new Error(`${name}: opt.cJ_eq must be a function.`);
+  if( null != cJ_ineq && ! (cJ_ineq instanceof Function) ) throw new Error(`${name}: opt.cJ_ineq must be a function.`);
+
+  if( ! (0 < penalty0) || ! isFinite(penalty0) ) throw new Error(`${name}: opt.penalty0 must be positive.`);
+  if( ! (1 < penaltyGrowth) ) throw new Error(`${name}: opt.penaltyGrowth must be greater than 1.`);
+  if( ! (penalty0 <= penaltyMax) ) throw new Error(`${name}: opt.penaltyMax must not be less than opt.penalty0.`);
+  if( ! (0 < tolMin) ) throw new Error(`${name}: opt.tolMin must be positive.`);
+  if( ! (0 < innerMaxIter) || innerMaxIter%1 !== 0 ) throw new Error(`${name}: opt.innerMaxIter must be a positive integer.`);
+
+  let x = array('float64', x0);
+                           x0 = undefined;
+  if( x.ndim !== 1 ) throw new Error(`${name}: x0.ndim must be 1.`);
+
+  const [N] = x.shape,
+      shape = x.shape;
+
+  const evaluate = x => {
+    let [f,g] = fg( new NDArray(shape, x.data.slice()) );
+    f *= 1;
+    g = array('float64', g);
+    if( isNaN(f) || g.ndim !== 1 || g.shape[0] !== N )
+      throw new Error(`${name}: fg must return [float,float[]].`);
+    const [cE,JE] = null == cJ_eq   ? [new Float64Array(0), new Float64Array(0)] : _eval_constraint(name, 'cJ_eq',   cJ_eq,   x, N),
+          [cI,JI] = null == cJ_ineq ? [new Float64Array(0), new Float64Array(0)] : _eval_constraint(name, 'cJ_ineq', cJ_ineq, x, N);
+    return [f, g.data, cE,JE, cI,JI];
+  };
+
+  let [f,g, cE,JE, cI,JI] = evaluate(x);
+  const P = cE.length,
+        K = cI.length;
+
+  const λ = new Float64Array(P),
+        μ = new Float64Array(K);
+
+  // ω: tolerance of the subproblem's gradient, η: tolerance of the infeasibility (see [1], Framework 17.3)
+  let ρ = penalty0,
+      ω = Math.max(tolMin, 1 / ρ),
+      η = Math.max(tolMin, 1 / ρ**0.1);
+
+  /** Returns the gradient of the (augmented) Lagrangian, where the multipliers (λ,μ) are
+   *  shifted by the penalty terms as in the first-order multiplier update.
+   */
+  const grad_lagrangian = ( g, cE,JE, cI,JI, ρ ) => {
+    const G = Float64Array.from(g);
+    for( let i=0; i < P; i++ ) {
+      const l = λ[i] + ρ*cE[i];
+      for( let j=0; j < N; j++ )
+        G[j] += l * JE[N*i+j];
+    }
+    for( let i=0; i < K; i++ ) {
+      const m = Math.max(0, μ[i] + ρ*cI[i]);
+      if( 0 !== m )
+        for( let j=0; j < N; j++ )
+          G[j] += m * JI[N*i+j];
+    }
+    return G;
+  };
+
+  const norm_inf = x => x.reduce( (max,x) => Math.max(max,Math.abs(x)), 0 );
+
+  const feasibility = (cE,cI) => Math.max(
+    norm_inf(cE),
+    cI.reduce( (max,c) => Math.max(max,c), 0 )
+  );
+
+  /** Returns the current approximation, where the multiplier estimates are obtained via
+   *  the first-order update for the penalty ρ used in the last subproblem.
+   */
+  const result = ρ => {
+    const λ_est = λ.map( (λ,i) => λ + ρ*cE[i] ),
+          μ_est = μ.map( (μ,i) => Math.max(0, μ + ρ*cI[i]) );
+
+    let complementarity = 0;
+    for( let i=0; i < K; i++ )
+      complementarity = Math.max( complementarity, Math.abs( Math.min(-cI[i], μ_est[i]) ) );
+
+    return [
+      new NDArray(shape, x.data.slice()), f,
+      P > 0 ? new NDArray(Int32Array.of(P), λ_est) : null,
+      K > 0 ? new NDArray(Int32Array.of(K), μ_est) : null,
+      {
+        stationarity: norm_inf( grad_lagrangian(g, cE,JE, cI,JI, ρ) ),
+        feasibility: feasibility(cE,cI),
+        complementarity
+      }
+    ];
+  };
+
+  yield result(0);
+
+  // the augmented Lagrangian for the current multipliers and penalty
+  const fg_aug = x => {
+    const [f,g, cE,JE, cI,JI] = evaluate(x);
+    let F = f;
+    for( let i=0; i < P; i++ )
+      F += cE[i] * (λ[i] + ρ/2*cE[i]);
+    for( let i=0; i < K; i++ ) {
+      const m = Math.max(0, μ[i] + ρ*cI[i]);
+      F += (m*m - μ[i]*μ[i]) / (2*ρ);
+    }
+    return [F, new NDArray(shape, grad_lagrangian(g, cE,JE, cI,JI, ρ))];
+  };
+
+  for(;;)
+  {
+    // SOLVE SUBPROBLEM
+    try {
+      let nIter = 0;
+      for( const [X,,G] of min_lbfgs_gen(fg_aug, x, {historySize, lineSearch}) ) {
+        x = X;
+        if( norm_inf(G.data) <= ω || ++nIter >= innerMaxIter )
+          break;
+      }
+    }
+    catch(err) {
+      if( !(err instanceof LineSearchError) )
+        throw err;
+    }
+
+    [f,g, cE,JE, cI,JI] = evaluate(x);
+    const res = result(ρ);
+
+    if( feasibility(cE,cI) <= η || ρ >= penaltyMax )
+    { // UPDATE MULTIPLIERS AND TIGHTEN TOLERANCES
+      for( let i=0; i < P; i++ ) λ[i] += ρ*cE[i];
+      for( let i=0; i < K; i++ ) μ[i] = Math.max(0, μ[i] + ρ*cI[i]);
+      η = Math.max(tolMin, η / ρ**0.9);
+      ω = Math.max(tolMin, ω / ρ);
+    }
+    else
+    { // INCREASE PENALTY
+      ρ = Math.min(penaltyMax, ρ*penaltyGrowth);
+      η = Math.max(tolMin, 1 / ρ**0.1);
+      ω = Math.max(tolMin, 1 / ρ);
+    }
+
+    yield res;
+  }
+}
@@ -0,0 +1,162 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {forEachItemIn, CUSTOM_MATCHERS} from '../jasmine_utils'
+import {array} from '../nd_array'
+import {tabulate} from '../tabulate'
+import {zip_elems} from '../zip_elems'
+
+import {matmul, matmul2} from '../la/matmul'
+
+import {min_auglag_gen} from './auglag'
+import {strong_wolfe} from './line_search/strong_wolfe'
+import {qp} from './qp'
+
+
+/** Runs min_auglag_gen until the KKT residuals are below tol.
+ */
+function solve( fg, x0, opt, tol=1e-7 )
+{
+  let nIter = 0;
+  for( const result of min_auglag_gen(fg, x0, opt) )
+  {
+    const [,,,,kkt] = result;
+    if( Math.max(kkt.stationarity, kkt.feasibility, kkt.complementarity) <= tol )
+      return result;
+    if( ++nIter > 128 )
+      throw new Error('Too many iterations.');
+  }
+}
+
+
+describe('min_auglag_gen', () => {
+  beforeEach( () => {
+    jasmine.addMatchers(CUSTOM_MATCHERS)
+  })
+
+
+  it('solves Hock-Schittkowski problem #71', () => {
+    const fg = ([a,b,c,d]) => [
+      a*d*(a+b+c) + c,
+      [d*(2*a+b+c), a*d, a*d+1, a*(a+b+c)]
+    ];
+    const cJ_eq = ([a,b,c,d]) => [
+      [a*a + b*b + c*c + d*d - 40],
+      [[2*a, 2*b, 2*c, 2*d]]
+    ];
+    const cJ_ineq = ([a,b,c,d]) => [
+      [25 - a*b*c*d, 1-a, 1-b, 1-c, 1-d, a-5, b-5, c-5, d-5],
+      [[-b*c*d, -a*c*d, -a*b*d, -a*b*c],
+       [-1, 0, 0, 0], [ 0,-1, 0, 0], [ 0, 0,-1, 0], [ 0, 0, 0,-1],
+       [+1, 0, 0, 0], [ 0,+1, 0, 0], [ 0, 0,+1, 0], [ 0, 0, 0,+1]]
+    ];
+    let [x,f,λ,μ] = solve(fg, [1,5,5,1], {cJ_eq, cJ_ineq});
+    expect(x).toBeAllCloseTo([1, 4.7429996, 3.8211500, 1.3794083], {atol: 1e-6});
+    expect(f).toBeCloseTo(17.0140173, 6);
+    expect(λ.shape).toEqual( Int32Array.of(1) );
+    expect(μ.shape).toEqual( Int32Array.of(9) );
+    expect( μ.data.every(m => m >= 0) ).toBe(true);
+
+    // strong_wolfe only gets the gradient down to about sqrt(ε·|f|·‖∇²L‖), so we only check the solution
+    let nIter = 0;
+    for( [x,f] of min_auglag_gen(fg, [1,5,5,1], {cJ_eq, cJ_ineq, lineSearch: strong_wolfe()}) )
+      if( ++nIter > 32 )
+        break;
+    expect(x).toBeAllCloseTo([1, 4.7429996, 3.8211500, 1.3794083], {atol: 1e-6});
+    expect(f).toBeCloseTo(17.0140173, 6);
+  });
+
+
+  it('solves the Rosenbrock function on the unit disk', () => {
+    const fg = ([x,y]) => [
+      (1-x)**2 + 100*(y-x*x)**2,
+      [2*(x-1) - 400*x*(y-x*x), 200*(y-x*x)]
+    ];
+    const cJ_ineq = ([x,y]) => [ [x*x + y*y - 1], [[2*x, 2*y]] ];
+    const [x,f,λ,μ] = solve(fg, [0,0], {cJ_ineq});
+    expect(x).toBeAllCloseTo([0.7864, 0.6177], {atol: 1e-4});
+    expect(λ).toBeNull();
+    expect(μ.data[0]).toBeGreaterThan(0);
+  });
+
+
+  it('yields the KKT residuals of the initial point first', () => {
+    const fg = ([x]) => [x*x, [2*x]],
+       cJ_eq = ([x]) => [[x-1], [[1]]];
+    const [[x,f,λ,μ,kkt]] = min_auglag_gen(fg, [3], {cJ_eq});
+    expect(x).toBeAllCloseTo([3]);
+    expect(f).toBe(9);
+    expect(λ).toBeAllCloseTo([0]);
+    expect(μ).toBeNull();
+    expect(kkt).toEqual({stationarity: 6, feasibility: 2, complementarity: 0});
+  });
+
+
+  it('throws on invalid arguments', () => {
+    const fg = ([x]) => [x*x, [2*x]];
+    expect( () => min_auglag_gen(null, [1]).next() ).toThrowError(/fg/);
+    expect( () => min_auglag_gen(fg, [[1]]).next() ).toThrowError(/x0\.ndim/);
+    expect( () => min_auglag_gen(fg, [1], {cJ_eq: 1}).next() ).toThrowError(/cJ_eq/);
+    expect( () => min_auglag_gen(fg, [1], {penalty0: 0}).next() ).toThrowError(/penalty0/);
+    expect( () => min_auglag_gen(fg, [1], {cJ_ineq: ([x]) => [[x], [1]]}).next() ).toThrowError(/cJ_ineq must return/);
+  });
+
+
+  forEachItemIn(
+    function*(rng){
+      for( let run=0; run++ < 32; )
+      {
+        const N = rng.int(1,6),
+              P = rng.int(0,N),
+              K = rng.int(0,2*N),
+              B = tabulate([N,N], 'float64', () => rng.normal()),
+              Q = zip_elems([matmul2(B.T, B), tabulate([N,N], 'float64', (i,j) => i===j)], (BB,I) => BB + I),
+              c = tabulate([N], 'float64', () => rng.normal()),
+          x_fea = tabulate([N], 'float64', () => rng.normal());
+
+        let A,b, G,h;
+        if( P > 0 ) {
+          A = tabulate([P,N], 'float64', () => rng.normal());
+          b = matmul(A, x_fea.reshape(N,1)).reshape(P);
+        }
+        if( K > 0 ) {
+          G = tabulate([K,N], 'float64', () => rng.normal());
+          h = zip_elems([matmul(G, x_fea.reshape(N,1)).reshape(K)], 'float64', Gx => Gx + rng.uniform(0,1));
+        }
+        yield [Q,c,A,b,G,h];
+      }
+    }
+  ).it('agrees with qp on random convex quadratic programs', ([Q,c,A,b,G,h]) => {
+    const [N] = c.shape;
+
+    const fg = x => {
+      const Qx = matmul(Q, x.reshape(N,1)).reshape(N);
+      return [
+        x.data.reduce( (f,xi,i) => f + xi*(Qx.data[i]/2 + c.data[i]), 0 ),
+        zip_elems([Qx,c], (Qx,c) => Qx+c)
+      ];
+    };
+    const cJ_eq   = null == A ? undefined : x => [ zip_elems([matmul(A, x.reshape(N,1)).reshape(-1), b], (Ax,b) => Ax-b), A ],
+          cJ_ineq = null == G ? undefined : x => [ zip_elems([matmul(G, x.reshape(N,1)).reshape(-1), h], (Gx,h) => Gx-h), G ];
+
+    const [x_qp,f_qp] = qp(Q,c,{A,b,G,h}),
+          [x,   f   ] = solve(fg, new Float64Array(N), {cJ_eq, cJ_ineq});
+    expect(x).toBeAllCloseTo(x_qp, {rtol: 0, atol: 1e-5});
+    expect(f).toBeCloseTo(f_qp, 5);
+  });
+});
@@ -0,0 +1,585 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {array,
+        asarray,
+        NDArray} from '../nd_array'
+
+import {lu_decomp,
+        lu_solve} from '../la/lu'
+
+import {OptimizationNoProgressError} from "./optimization_error";
+
+
+// REFERENCES
+// ----------
+// .. [1] "The BOBYQA algorithm for bound constrained optimization without derivatives"
+//         M. J. D. Powell; Technical Report DAMTP 2009/NA06, University of Cambridge, 2009
+// .. [2] "The NEWUOA software for unconstrained optimization without derivatives"
+//         M. J. D. Powell; Large-Scale Nonlinear Optimization, pp. 255-297, Springer, 2006
+// .. [3] "Least Frobenius norm updating of quadratic models that satisfy interpolation conditions"
+//         M. J. D. Powell; Mathematical Programming, Vol. 100, pp. 183-215, 2004
+
+
+export function* min_bobyqa_gen(
+  f,
+  x0,
+  bounds,
+  {
+    rhoBegin = 0.5,
+    rhoEnd   = 1e-8
+  } = {}
+)
+{
+  if( !(f instanceof Function) ) throw new Error('min_bobyqa_gen(f,x0,bounds): f has to be a Function.');
+
+  rhoBegin *= 1;
+  rhoEnd   *= 1;
+  if( ! (0 < rhoEnd  ) ) throw new Error('min_bobyqa_gen(f,x0,bounds,opt): opt.rhoEnd must be greater than 0.');
+  if( ! (rhoEnd <= rhoBegin) ) throw new Error('min_bobyqa_gen(f,x0,bounds,opt): opt.rhoBegin must not be less than opt.rhoEnd.');
+  if( ! isFinite(rhoBegin) ) throw new Error('min_bobyqa_gen(f,x0,bounds,opt): opt.rhoBegin must be finite.');
+
+  x0    =   array('float64', x0);
+  bounds= asarray(bounds);
+
+  if(    x0.ndim !== 1 ) throw new Error('min_bobyqa_gen(f,x0,bounds): x0.ndim must be 1.');
+
+  const   N = x0.shape[0],
+    shape_x = x0.shape;
+
+  if(bounds.ndim     !== 2 ) throw new Error('min_bobyqa_gen(f,x0,bounds): bounds.ndim must be 2.');
+  if(bounds.shape[0] !== N ) throw new Error('min_bobyqa_gen(f,x0,bounds): bounds.shape[0] must be x0.shape[0].');
+  if(bounds.shape[1] !== 2 ) throw new Error('min_bobyqa_gen(f,x0,bounds): bounds.shape[1] must be 2.');
+
+  const lo = new Float64Array(N),
+        hi = new Float64Array(N);
+
+  for( let i=N; i-- > 0; )
+  {
+    lo[i] = bounds.data[2*i+0];
+    hi[i] = bounds.data[2*i+1];
+    if( !(hi[i]-lo[i] >= 2*rhoBegin) )
+      throw new Error('min_bobyqa_gen(f,x0,bounds,opt): bounds must be at least 2*opt.rhoBegin apart.');
+  }
+  bounds = undefined;
+
+  f = function(){
+    const F = f;
+    return (x,off=0) => {
+      const    f = 1 * F( new NDArray(shape_x, x.slice(off,off+N)) );
+      if(isNaN(f)) throw new Error('min_bobyqa_gen(f,x0,bounds): f must not return NaN.');
+      return   f;
+    };
+  }();
+
+  // The interpolation set consists of M = 2N+1 points. The quadratic model is updated such that
+  // the change of its Hessian has the least Frobenius norm [3]. The model is represented around
+  // the base point xb as: Q(xb+d) = c + g·d + d·H·d/2
+  const M = 2*N+1,
+        K = M+N+1;
+
+  const Y = new Float64Array(M*N), // <- interpolation points
+        F = new Float64Array(M),   // <- function values at the interpolation points
+        S = new Float64Array(M*N), // <- interpolation points relative to the base point, scaled by 1/σ
+        W = new Float64Array(K*K),
+       xb = new Float64Array(N),
+        g = new Float64Array(N),
+        H = new Float64Array(N*N),
+        d = new Float64Array(N),
+       Hd = new Float64Array(N),
+        p = new Float64Array(N),
+       Hp = new Float64Array(N),
+     grad = new Float64Array(N),
+      bnd = new Int8Array(N),   // <- -1/+1 if d is fixed at the lower/upper bound, 0 otherwise
+        w = new Float64Array(K),
+    x_new = new Float64Array(N);
+
+  let c = 0,
+      σ = 1,
+     LU, P;
+
+  let rho = rhoBegin,
+    delta = rhoBegin;
+
+  // INIT INTERPOLATION POINTS (x0 is moved away from the bounds as described in [1])
+  ;{
+    const x = x0.data;
+              x0 = undefined;
+    for( let i=N; i-- > 0; )
+    {
+      let xi = Math.min( hi[i], Math.max(lo[i], x[i]) );
+           if( xi - lo[i] <= rho ) xi = xi > lo[i] ? lo[i] + rho : lo[i];
+      else if( hi[i] - xi <= rho ) xi = xi < hi[i] ? hi[i] - rho : hi[i];
+      x[i] = xi;
+    }
+
+    for( let k=M; k-- > 0; )
+      Y.set(x, N*k);
+
+    for( let i=N; i-- > 0; )
+    {
+      const s1 = x[i] < hi[i] ? +rho : -rho,
+            s2 = x[i] <= lo[i] ? 2*rho :
+                 x[i] >= hi[i] ?-2*rho : -s1;
+      // (clipping compensates rounding errors, e.g. if x[i] was moved to lo[i]+rho)
+      Y[N*(1  +i)+i] = Math.min( hi[i], Math.max(lo[i], x[i] + s1) );
+      Y[N*(1+N+i)+i] = Math.min( hi[i], Math.max(lo[i], x[i] + s2) );
+    }
+
+    for( let k=M; k-- > 0; )
+      F[k] = f(Y, N*k);
+
+    xb.set(x);
+  }
+
+  let k_opt = 0;
+  for( let k=M; k-- > 1; )
+    if( F[k] < F[k_opt] )
+      k_opt = k;
+
+  // YIELD STARTING POINT
+  yield [
+    new NDArray( shape_x, Y.slice(N*k_opt, N*(k_opt+1)) ),
+    F[k_opt]
+  ];
+
+  const Q = (x,off) => {
+    let result = 0;
+    for( let i=N; i-- > 0; ) {
+      const   di = x[off+i] - xb[i];
+      let hd = g[i];
+      for( let j=N; j-- > 0; )
+        hd += H[N*i+j] * (x[off+j] - xb[j]) / 2;
+      result += di*hd;
+    }
+    return c + result;
+  };
+
+  // UPDATES THE MODEL AND MOVES ITS BASE TO THE CURRENTLY BEST POINT
+  const update_model = () =>
+  {
+    const r = new Float64Array(M);
+    for( let k=M; k-- > 0; )
+      r[k] = F[k] - Q(Y,N*k);
+
+    // SHIFT BASE POINT
+    for( let i=N; i-- > 0; ) d[i] = Y[N*k_opt+i] - xb[i];
+    for( let i=N; i-- > 0; ) {
+      let hd = 0;
+      for( let j=N; j-- > 0; )
+        hd += H[N*i+j] * d[j];
+      c += d[i] * (g[i] + hd/2);
+      Hd[i] = hd;
+    }
+    for( let i=N; i-- > 0; ) g[i] += Hd[i];
+    xb.set( Y.subarray(N*k_opt, N*(k_opt+1)) );
+
+    // SCALE POINTS FOR BETTER CONDITIONING
+    σ = 0;
+    for( let k=M; k-- > 0; ) {
+      let ss = 0;
+      for( let i=N; i-- > 0; ) {
+        const s = Y[N*k+i] - xb[i];
+        ss += s*s;
+      }
+      σ = Math.max(σ, ss);
+    }
+    σ = Math.sqrt(σ);
+    if( !(0 < σ) )
+      throw new Error('Assertion failed.');
+
+    for( let k=M; k-- > 0; )
+    for( let i=N; i-- > 0; )
+      S[N*k+i] = (Y[N*k+i] - xb[i]) / σ;
+
+    // ASSEMBLE KKT SYSTEM
+    W.fill(0);
+    for( let k=M; k-- > 0; )
+    {
+      for( let l=k+1; l-- > 0; ) {
+        let sl = 0;
+        for( let i=N; i-- > 0; )
+          sl += S[N*k+i] * S[N*l+i];
+        W[K*k+l] =
+        W[K*l+k] = sl*sl / 2;
+      }
+      for( let i=N; i-- > 0; )
+        W[K*k+M+i] =
+        W[K*(M+i)+k] = S[N*k+i];
+      W[K*k+M+N] =
+      W[K*(M+N)+k] = 1;
+    }
+
+    [LU,P] = lu_decomp( new NDArray(Int32Array.of(K,K), W.slice()) );
+
+    // MINIMAL FROBENIUS NORM UPDATE
+    const z = kkt_solve(r);
+    for( let k=M; k-- > 0; )
+    {
+      const λ = z[k] / (σ*σ);
+      for( let i=N; i-- > 0; )
+      for( let j=N; j-- > 0; )
+        H[N*i+j] += λ * S[N*k+i] * S[N*k+j];
+    }
+    for( let i=N; i-- > 0; )
+      g[i] += z[M+i] / σ;
+    c += z[M+N];
+  };
+
+  const kkt_solve = rhs => {
+    const b = new Float64Array(K);
+    b.set(rhs);
+    return lu_solve( LU, P, new NDArray(Int32Array.of(K,1), b) ).data;
+  };
+
+  // The Lagrange functions ℓ[k] are the (least Frobenius norm) quadratics with ℓ[k](Y[l]) = (k==l).
+  // Since the KKT matrix W is symmetric, the ℓ[k](x) are given by the solution of W·ℓ = w(x).
+  const lagrange_w = x =>
+  {
+    for( let i=N; i-- > 0; )
+      w[M+i] = (x[i] - xb[i]) / σ;
+    w[M+N] = 1;
+    for( let k=M; k-- > 0; ) {
+      let sk = 0;
+      for( let i=N; i-- > 0; )
+        sk += S[N*k+i] * w[M+i];
+      w[k] = sk*sk / 2;
+    }
+    return w;
+  };
+
+  // COMPUTES THE VALUES OF ALL LAGRANGE FUNCTIONS AT x
+  const lagrange = x => kkt_solve( lagrange_w(x) ).subarray(0,M);
+
+  const dist2 = (x,k) => {
+    let result = 0;
+    for( let i=N; i-- > 0; ) {
+      const  di = x[i] - Y[N*k+i];
+      result+= di*di;
+    }
+    return result;
+  };
+
+  // APPROXIMATELY MINIMIZES THE MODEL INSIDE THE TRUST REGION AND BOUNDS (writes step to d)
+  const trust_region_step = () =>
+  {
+    d.fill(0);
+    grad.set(g);
+    for( let i=N; i-- > 0; )
+      bnd[i] = xb[i] <= lo[i] && g[i] >= 0 ? -1 :
+               xb[i] >= hi[i] && g[i] <= 0 ? +1 : 0;
+
+    // TRUNCATED CONJUGATE GRADIENT (restarted whenever a bound becomes active)
+    restart: for( let n_fix=0; n_fix <= N; n_fix++ )
+    {
+      let rr = 0;
+      for( let i=N; i-- > 0; )
+        if( 0 === bnd[i] ) {
+          p[i] = -grad[i];
+          rr  += grad[i]*grad[i];
+        }
+        else p[i] = 0;
+
+      const rr0 = rr;
+
+      for( let iter=0; iter < N && rr > rr0*1e-20; iter++ )
+      {
+        let pHp = 0,
+             dd = 0,
+             dp = 0,
+             pp = 0;
+        for( let i=N; i-- > 0; ) {
+          let hp = 0;
+          for( let j=N; j-- > 0; )
+            hp += H[N*i+j] * p[j];
+          Hp[i] = hp;
+          pHp += p[i]*hp;
+          dd  += d[i]*d[i];
+          dp  += d[i]*p[i];
+          pp  += p[i]*p[i];
+        }
+
+        const α_tr = ( Math.sqrt( Math.max(0, dp*dp + pp*(delta*delta - dd)) ) - dp ) / pp;
+
+        let α_bd = Infinity,
+            i_bd = -1;
+        for( let i=N; i-- > 0; )
+          if( 0 === bnd[i] && 0 !== p[i] ) {
+            const α = Math.max( 0, ( (p[i] > 0 ? hi[i] : lo[i]) - xb[i] - d[i] ) / p[i] );
+            if(   α < α_bd ) {
+                  α_bd = α;
+                  i_bd = i;
+            }
+          }
+
+        const α = pHp > 0 ? rr/pHp : Infinity;
+
+        if( α >= Math.min(α_tr, α_bd) )
+        {
+          if( α_bd < α_tr ) {
+            for( let i=N; i-- > 0; ) {
+              d   [i] += α_bd*p [i];
+              grad[i] += α_bd*Hp[i];
+            }
+            bnd[i_bd] = p[i_bd] > 0 ? +1 : -1;
+            continue restart;
+          }
+          for( let i=N; i-- > 0; )
+            d[i] += α_tr*p[i];
+          break restart;
+        }
+
+        let rr_new = 0;
+        for( let i=N; i-- > 0; ) {
+          d   [i] += α*p [i];
+          grad[i] += α*Hp[i];
+          if( 0 === bnd[i] )
+            rr_new += grad[i]*grad[i];
+        }
+
+        const β = rr_new / rr;
+        for( let i=N; i-- > 0; )
+          if( 0 === bnd[i] )
+            p[i] = β*p[i] - grad[i];
+        rr = rr_new;
+      }
+      break;
+    }
+
+    for( let i=N; i-- > 0; ) {
+      x_new[i] = bnd[i] < 0 ? lo[i] :
+                 bnd[i] > 0 ? hi[i] : Math.min( hi[i], Math.max(lo[i], xb[i] + d[i]) );
+      d    [i] = x_new[i] - xb[i];
+    }
+  };
+
+  // CHOOSES A POINT THAT IMPROVES THE GEOMETRY OF THE INTERPOLATION SET WHEN REPLACING Y[k] (writes to x_new)
+  const geometry_step = k =>
+  {
+    const radius = Math.max( Math.min(Math.sqrt(dist2(xb,k))/10, delta), rho );
+
+    // coefficients of ℓ[k]
+    const ℓ = function(){
+      const e_k = new Float64Array(K);
+            e_k[k] = 1;
+      return kkt_solve(e_k);
+    }();
+
+    let best = -1;
+
+    const u = new Float64Array(N),
+          x = new Float64Array(N);
+
+    // value of ℓ[k] at x = xb + t*u (projected onto the bounds)
+    const ℓ_k = t => {
+      for( let i=N; i-- > 0; )
+        x[i] = Math.min( hi[i], Math.max(lo[i], xb[i] + t*u[i]) );
+      lagrange_w(x);
+      let result = 0;
+      for( let l=K; l-- > 0; )
+        result += ℓ[l] * w[l];
+      return result;
+    };
+
+    const consider = t => {
+      const lk = Math.abs( ℓ_k(t) );
+      let dd = 0;
+      for( let i=N; i-- > 0; )
+        dd += (x[i] - xb[i])**2;
+      // avoid (nearly) duplicate interpolation points
+      if( lk > best && dd*100 > radius*radius ) {
+        best = lk;
+        x_new.set(x);
+      }
+    };
+
+    // candidates: steps along the lines through the base point and the other interpolation
+    // points as well as along the gradient of the Lagrange function of Y[k]
+    for( let l=M; l-- >= 0; )
+    {
+      if( l === k_opt ) continue;
+      let uu = 0;
+      for( let i=N; i-- > 0; ) {
+        u[i] = l < 0 ? ℓ[M+i] : Y[N*l+i] - xb[i];
+        uu  += u[i]*u[i];
+      }
+      if( !(0 < uu) ) continue;
+      uu = Math.sqrt(uu);
+
+      for( const sign of [-1,+1] )
+      {
+        // steps along lines are truncated at the bounds, the gradient step is projected onto them
+        let t = sign*radius/uu;
+        if( l >= 0 )
+          for( let i=N; i-- > 0; ) {
+            const ui = t*u[i];
+            if( ui > 0 ) t *= Math.min(1, (hi[i] - xb[i]) / ui);
+            if( ui < 0 ) t *= Math.min(1, (lo[i] - xb[i]) / ui);
+          }
+
+        consider(t);
+
+        if( l >= 0 )
+        {
+          // ℓ[k] is quadratic along the line, so its extremum can be interpolated from three values
+          const φ0 = ℓ_k(0),
+                φ1 = ℓ_k(t/2),
+                φ2 = ℓ_k(t),
+                 a = φ0 - 2*φ1 + φ2,
+                 b = (4*φ1 - 3*φ0 - φ2) / 2,
+                 τ = -b/a;
+          if( 0 < τ && τ < 2 )
+            consider(τ*t/2);
+        }
+      }
+    }
+  };
+
+  const replace = (k,x,fx) => {
+    Y.set(x, N*k);
+    F[k] = fx;
+  };
+
+  const TRUST = 0,
+        ALT   = 1;
+
+  let mode = TRUST,
+     k_alt = -1;
+
+  for(;;)
+  {
+    update_model();
+
+    if( mode === ALT )
+    {
+      mode = TRUST;
+      geometry_step(k_alt);
+      const f_alt = f(x_new);
+      replace(k_alt, x_new, f_alt);
+      if( f_alt < F[k_opt] ) {
+        k_opt = k_alt;
+        yield [
+          new NDArray( shape_x, x_new.slice() ),
+          f_alt
+        ];
+      }
+      continue;
+    }
+
+    trust_region_step();
+
+    let dnorm = 0;
+    for( let i=N; i-- > 0; )
+      dnorm += d[i]*d[i];
+    dnorm = Math.sqrt(dnorm);
+
+    let ratio = -1;
+    if( dnorm < rho/2 )
+    {
+      delta /= 2;
+      if( delta <= 1.5*rho )
+        delta = rho;
+    }
+    else
+    {
+      let pred = 0;
+      for( let i=N; i-- > 0; ) {
+        let hd = 0;
+        for( let j=N; j-- > 0; )
+          hd += H[N*i+j] * d[j];
+        pred -= d[i] * (g[i] + hd/2);
+      }
+
+      const f_new = f(x_new),
+          f_opt = F[k_opt];
+
+      if( pred > 0 )
+        ratio = (f_opt - f_new) / pred;
+
+      // UPDATE TRUST REGION RADIUS
+           if( ratio <= 0.1 ) delta = Math.min(delta/2, dnorm);
+      else if( ratio <= 0.7 ) delta = Math.max(delta/2, dnorm);
+      else                    delta = Math.max(delta/2, dnorm*2);
+      if( delta <= 1.5*rho )
+        delta = rho;
+
+      // CHOOSE POINT TO BE REPLACED
+      const better = f_new < f_opt;
+      const lag = lagrange(x_new);
+
+      let k_new = -1,
+        score_max = 0;
+      for( let k=M; k-- > 0; )
+        if( better || k !== k_opt )
+        {
+          const r = dist2(better ? x_new : xb, k) / (delta*delta),
+            score = lag[k]*lag[k] * Math.max(1, r*r);
+          if( score > score_max ) {
+            score_max = score;
+            k_new = k;
+          }
+        }
+
+      if( 0 <= k_new && (better || 1e-6 < Math.abs(lag[k_new])) )
+        replace(k_new, x_new, f_new);
+
+      if( better ) {
+        k_opt = k_new;
+        yield [
+          new NDArray( shape_x, x_new.slice() ),
+          f_new
+        ];
+      }
+
+      if( ratio >= 0.1 )
+        continue;
+    }
+
+    // IMPROVE GEOMETRY IF THERE ARE POINTS FAR AWAY FROM THE BEST POINT
+    const x_opt = Y.subarray(N*k_opt, N*(k_opt+1));
+    let k_far = -1,
+        d_far = Math.max(2*delta, 10*rho)**2;
+    for( let k=M; k-- > 0; ) {
+      const dk = dist2(x_opt,k);
+      if(   dk > d_far ) {
+            d_far = dk;
+            k_far = k;
+      }
+    }
+    if( 0 <= k_far ) {
+      mode = ALT;
+      k_alt = k_far;
+      continue;
+    }
+
+    // (dnorm may exceed delta=rho due to rounding, hence the 1.5)
+    if( ratio > 0 || delta > rho || dnorm > 1.5*rho )
+      continue;
+
+    if( rho <= rhoEnd )
+      throw new OptimizationNoProgressError();
+
+    // REDUCE RESOLUTION
+    const rho_old = rho,
+                r = rho / rhoEnd;
+         if( r <= 16  ) rho = rhoEnd;
+    else if( r <= 250 ) rho = rhoEnd * Math.sqrt(r);
+    else                rho = rho / 10;
+    delta = Math.max(rho_old/2, rho);
+  }
+}
@@ -0,0 +1,128 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {forEachItemIn, CUSTOM_MATCHERS} from '../jasmine_utils';
+import {asarray} from '../nd_array';
+import {tabulate} from '../tabulate';
+
+import {min_bobyqa_gen} from "./bobyqa";
+import {OptimizationNoProgressError} from "./optimization_error";
+import {Rosenbrock} from './test_fn/rosenbrock';
+
+import {generic_test_min_gradless_gen} from "./_generic_test_min_gradless";
+
+
+const min_bobyqa_gen_unbounded = (f,x0) => {
+  x0 = asarray('float64', x0);
+
+  const bounds = tabulate(
+    [x0.shape[0],2],
+    'float64',
+    (i,j) => [-Infinity, +Infinity][j]
+  );
+
+  return min_bobyqa_gen(f, x0, bounds);
+}
+Object.defineProperty(min_bobyqa_gen_unbounded, 'name', {value: `${min_bobyqa_gen.name} [unbounded]`, writable: false});
+
+
+generic_test_min_gradless_gen(min_bobyqa_gen_unbounded);
+
+
+describe('min_bobyqa_gen', () => {
+
+  beforeEach( () => {
+    jasmine.addMatchers(CUSTOM_MATCHERS)
+  })
+
+
+  const minimize = (f, x0, bounds, opt) => {
+    const F = x => {
+      x.data.forEach( (xi,i) => {
+        const [lo,hi] = bounds[i];
+        if( ! (lo <= xi && xi <= hi) )
+          throw new Error('Assertion failed.');
+      });
+      return f(x);
+    };
+
+    let x,fx;
+    try {
+      for( [x,fx] of min_bobyqa_gen(F, x0, bounds, opt) )
+        expect(fx).toBeAllCloseTo(f(x), {rtol:0, atol:0});
+    }
+    catch( err ) {
+      if( ! (err instanceof OptimizationNoProgressError) )
+        throw err;
+    }
+    return x;
+  };
+
+
+  forEachItemIn(
+    function*(rng){
+      for( let run=0; run++ < 64; )
+      {
+        const N = rng.int(2,5),
+         bounds = Array.from({length: N}, () => {
+           const lo = rng.uniform(-2, 0.9);
+           return [lo, lo + rng.uniform(1,3)];
+         }),
+             x0 = bounds.map( ([lo,hi]) => rng.uniform(lo,hi) );
+        yield [x0, bounds];
+      }
+    }
+  ).it('minimizes rosenbrock within random bounds', ([x0,bounds]) => {
+    const rosen = new Rosenbrock(x0.length),
+              x = minimize(rosen, x0, bounds),
+              g = rosen.grad(x);
+
+    // CHECK KKT CONDITIONS
+    x.data.forEach( (xi,i) => {
+      const [lo,hi] = bounds[i],
+                 gi = g.data[i];
+           if( xi === lo ) expect(gi).not.toBeLessThan   (-1e-4);
+      else if( xi === hi ) expect(gi).not.toBeGreaterThan(+1e-4);
+      else                 expect(gi).toBeAllCloseTo(0, {rtol:0, atol:1e-4});
+    });
+  });
+
+
+  it('minimizes a 30-dimensional ill-conditioned quadratic with bounds', () => {
+    const N = 30,
+     center = Float64Array.from({length: N}, (_,i) => i%3 - 1),
+     scales = Float64Array.from({length: N}, (_,i) => 10**(3*i/(N-1))),
+     bounds = Array.from({length: N}, (_,i) => i%2 ? [-0.5, +0.5] : [-Infinity, +Infinity]);
+
+    const f = x => x.data.reduce( (sum,xi,i) => sum + scales[i] * (xi-center[i])**2, 0 );
+
+    const x = minimize( f, Array.from({length: N}, (_,i) => Math.cos(i)/4), bounds );
+
+    expect(x).toBeAllCloseTo(
+      center.map( (c,i) => Math.min(bounds[i][1], Math.max(bounds[i][0], c)) ),
+      {rtol: 0, atol: 1e-6}
+    );
+  });
+
+
+  it('throws if bounds are too narrow', () => {
+    const f = x => x.data[0]**2;
+    expect( () => min_bobyqa_gen(f, [0.5], [[0,1]], {rhoBegin: 0.6}).next() ).toThrowError(/at least 2\*opt\.rhoBegin apart/);
+    expect( () => min_bobyqa_gen(f, [0.5], [[0,1]], {rhoBegin: 0.4}).next() ).not.toThrow();
+  });
+});
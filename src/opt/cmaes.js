@@ -0,0 +1,246 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {array,
+        NDArray} from '../nd_array'
+
+import {eigen_sym} from '../la/eigen_sym'
+
+import {AleaRNG} from "../rand/alea_rng";
+
+import {OptimizationNoProgressError} from "./optimization_error";
+
+
+// REFERENCES
+// ----------
+// .. [1] "The CMA Evolution Strategy: A Tutorial"
+//         Nikolaus Hansen; arXiv:1604.00772, 2016
+// .. [2] "Completely Derandomized Self-Adaptation in Evolution Strategies"
+//         N. Hansen and A. Ostermeier; Evolutionary Computation, Vol. 9, No. 2, 2001
+const RNG = new AleaRNG('opt/cmaes.js');
+
+
+export function* min_cmaes_gen(
+  f,
+  x0,
+  {
+    sigma    = 0.1,
+    popSize  = undefined,
+    tolX     = sigma*1e-12,
+    maxStall = undefined,
+    rng = RNG
+  } = {}
+)
+{
+  if( !(f instanceof Function) ) throw new Error('min_cmaes_gen(f,x0): f has to be a Function.');
+
+  x0 = array('float64', x0);
+
+  if( x0.ndim !== 1 ) throw new Error('min_cmaes_gen(f,x0): x0.ndim has to be 1.');
+
+  const   N = x0.shape[0],
+    shape_x = x0.shape;
+
+  if( null == popSize ) popSize = 4 + Math.floor( 3*Math.log(N) );
+  if( null == maxStall) maxStall= Math.ceil( 100 + 100 * N**1.5 / popSize );
+
+  if( ! (0 < sigma) || ! isFinite(sigma) ) throw new Error('min_cmaes_gen(f,x0,opt={}): opt.sigma must be a positive finite number.');
+  if( ! (0 <= tolX) ) throw new Error('min_cmaes_gen(f,x0,opt={}): opt.tolX must be non-negative.');
+  if(    popSize%1 !== 0 ) throw new Error('min_cmaes_gen(f,x0,opt={}): opt.popSize must be an integer.');
+  if( ! (popSize >= 2) ) throw new Error('min_cmaes_gen(f,x0,opt={}): opt.popSize must be at least 2.');
+  if(   maxStall%1 !== 0 ) throw new Error('min_cmaes_gen(f,x0,opt={}): opt.maxStall must be an integer.');
+  if( ! (maxStall > 0) ) throw new Error('min_cmaes_gen(f,x0,opt={}): opt.maxStall must be positive.');
+
+  f = function(){
+    const F = f;
+    return (x,off=0) => {
+      const    f = 1 * F( new NDArray(shape_x, x.slice(off,off+N)) );
+      if(isNaN(f)) throw new Error('min_cmaes_gen(f,x0): f must not return NaN.');
+      return   f;
+    };
+  }();
+
+  // STRATEGY PARAMETERS [1]
+  const λ = popSize,
+        μ = Math.floor(λ/2),
+  weights = new Float64Array(μ);
+
+  for( let i=μ; i-- > 0; )
+    weights[i] = Math.log( (λ+1)/2 ) - Math.log(i+1);
+  ;{
+    const sum = weights.reduce((s,w) => s+w, 0);
+    for( let i=μ; i-- > 0; )
+      weights[i] /= sum;
+  }
+
+  const μ_eff = 1 / weights.reduce((s,w) => s + w*w, 0),
+           cc = (4 + μ_eff/N) / (N + 4 + 2*μ_eff/N),
+           cs = (μ_eff + 2) / (N + μ_eff + 5),
+           c1 = 2 / ( (N+1.3)**2 + μ_eff ),
+           cμ = Math.min( 1-c1, 2 * (μ_eff - 2 + 1/μ_eff) / ( (N+2)**2 + μ_eff ) ),
+        damps = 1 + 2*Math.max( 0, Math.sqrt( (μ_eff-1)/(N+1) ) - 1 ) + cs,
+         chiN = Math.sqrt(N) * ( 1 - 1/(4*N) + 1/(21*N*N) );
+
+  // STATE
+  const mean = x0.data,
+         old = new Float64Array(N),
+          pc = new Float64Array(N),
+          ps = new Float64Array(N),
+          yw = new Float64Array(N),
+           z = new Float64Array(N),
+           C = new Float64Array(N*N),
+           B = new Float64Array(N*N),
+           D = new Float64Array(N),
+    invsqrtC = new Float64Array(N*N),
+           X = new Float64Array(λ*N),
+       f_pop = new Float64Array(λ);
+  x0 = undefined;
+
+  for( let i=N; i-- > 0; ) {
+    C       [N*i+i] = 1;
+    B       [N*i+i] = 1;
+    invsqrtC[N*i+i] = 1;
+    D[i] = 1;
+  }
+
+  let σ = sigma,
+  n_eval = 0,
+  n_eigen= 0,
+  n_stall= 0,
+  f_best = f(mean);
+
+  // YIELD STARTING POINT
+  yield [
+    new NDArray( shape_x, mean.slice() ),
+    f_best
+  ];
+
+  for(;;)
+  {
+    // SAMPLE AND EVALUATE POPULATION
+    for( let k=λ; k-- > 0; )
+    {
+      for( let i=N; i-- > 0; )
+        z[i] = D[i] * rng.normal();
+      for( let i=N; i-- > 0; ) {
+        let y = 0;
+        for( let j=N; j-- > 0; )
+          y += B[N*i+j] * z[j];
+        X[N*k+i] = mean[i] + σ*y;
+      }
+      f_pop[k] = f(X, N*k);
+    }
+    n_eval += λ;
+
+    const order = Array.from({length: λ}, (_,k) => k).sort( (k,l) => f_pop[k] - f_pop[l] );
+
+    if( f_pop[order[0]] < f_best ) {
+      f_best  = f_pop[order[0]];
+      n_stall = 0;
+      yield [
+        new NDArray( shape_x, X.slice(N*order[0], N*(order[0]+1)) ),
+        f_best
+      ];
+    }
+    else if( ++n_stall > maxStall )
+      throw new OptimizationNoProgressError();
+
+    // RECOMBINATION
+    old.set(mean);
+    mean.fill(0);
+    for( let k=μ; k-- > 0; )
+    for( let i=N; i-- > 0; )
+      mean[i] += weights[k] * X[N*order[k]+i];
+
+    for( let i=N; i-- > 0; )
+      yw[i] = (mean[i] - old[i]) / σ;
+
+    // CUMULATION
+    let ps_norm = 0;
+    for( let i=N; i-- > 0; ) {
+      let s = 0;
+      for( let j=N; j-- > 0; )
+        s += invsqrtC[N*i+j] * yw[j];
+      ps[i] = (1-cs)*ps[i] + Math.sqrt( cs*(2-cs)*μ_eff ) * s;
+      ps_norm += ps[i]*ps[i];
+    }
+    ps_norm = Math.sqrt(ps_norm);
+
+    const hsig = ps_norm / Math.sqrt( 1 - (1-cs)**(2*n_eval/λ) ) / chiN < 1.4 + 2/(N+1);
+
+    for( let i=N; i-- > 0; )
+      pc[i] = (1-cc)*pc[i] + hsig * Math.sqrt( cc*(2-cc)*μ_eff ) * yw[i];
+
+    // COVARIANCE MATRIX ADAPTATION
+    const c_old = 1 - c1 - cμ + (1-hsig) * c1*cc*(2-cc);
+    for( let i=N; i-- > 0; )
+    for( let j=i+1; j-- > 0; )
+    {
+      let rank_μ = 0;
+      for( let k=μ; k-- > 0; )
+        rank_μ += weights[k] * (X[N*order[k]+i] - old[i])
+                             * (X[N*order[k]+j] - old[j]);
+      C[N*i+j] =
+      C[N*j+i] = c_old * C[N*i+j]
+               + c1 * pc[i]*pc[j]
+               + cμ * rank_μ / (σ*σ);
+    }
+
+    // STEP SIZE ADAPTATION
+    σ *= Math.exp( (cs/damps) * (ps_norm/chiN - 1) );
+
+    // ESCAPE FLAT FITNESS
+    if( f_pop[order[0]] === f_pop[order[Math.ceil(0.7*λ)-1]] )
+      σ *= Math.exp(0.2 + cs/damps);
+
+    if( ! isFinite(σ) )
+      throw new Error('min_cmaes_gen(f,x0,opt={}): step size diverged.');
+
+    // DECOMPOSE C = B·D²·B' (lazily to achieve O(N²) per evaluation)
+    if( n_eval - n_eigen > λ / (c1+cμ) / N / 10 )
+    {
+      n_eigen = n_eval;
+
+      const [Λ,V] = eigen_sym( new NDArray(Int32Array.of(N,N), C.slice()) );
+      B.set(V.data);
+
+      const Λ_max = Λ.data.reduce((m,l) => Math.max(m,l), 0);
+      for( let i=N; i-- > 0; )
+      {
+        if( !(Λ.data[i] > Λ_max*1e-14) )
+          throw new OptimizationNoProgressError();
+        D[i] = Math.sqrt(Λ.data[i]);
+      }
+
+      for( let i=N; i-- > 0; )
+      for( let j=N; j-- > 0; ) {
+        let s = 0;
+        for( let k=N; k-- > 0; )
+          s += B[N*i+k] * B[N*j+k] / D[k];
+        invsqrtC[N*i+j] = s;
+      }
+    }
+
+    // STOP IF THE SEARCH DISTRIBUTION HAS COLLAPSED
+    let s_max = 0;
+    for( let i=N; i-- > 0; )
+      s_max = Math.max(s_max, C[N*i+i]);
+    if( σ*Math.sqrt(s_max) < tolX )
+      throw new OptimizationNoProgressError();
+  }
+}
@@ -0,0 +1,123 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {CUSTOM_MATCHERS} from '../jasmine_utils';
+import {AleaRNG} from "../rand/alea_rng";
+
+import {min_cmaes_gen} from "./cmaes";
+import {OptimizationNoProgressError} from "./optimization_error";
+import {Rastrigin} from './test_fn/rastrigin';
+
+import {generic_test_min_gradless_gen} from "./_generic_test_min_gradless";
+
+
+// CMA-ES yields the best sample found so far which is not necessarily close to a local minimum (e.g. with
+// rastrigin), so the search is restarted from the best sample with a decreasing step size until it stalls.
+const RESTARTS = 8;
+
+function *cmaes_with_restarts( F, x )
+{
+  let f = Infinity;
+  for( let run=0, sigma=0.1; run++ < RESTARTS; sigma /= 10 )
+  {
+    let improved = false;
+    try {
+      for( const [nextX,nextF] of min_cmaes_gen(F, x, {sigma}) )
+        if( nextF < f ) {
+          improved = true;
+          x = nextX;
+          f = nextF;
+          yield [x,f];
+        }
+    }
+    catch( err ) {
+      if( ! (err instanceof OptimizationNoProgressError) )
+        throw err;
+    }
+    if( run > 1 && ! improved )
+      return;
+  }
+}
+Object.defineProperty(cmaes_with_restarts, 'name', {value: `${min_cmaes_gen.name} with up to ${RESTARTS} local restarts`, writable: false});
+Object.freeze(cmaes_with_restarts);
+
+generic_test_min_gradless_gen(cmaes_with_restarts)
+
+
+describe('min_cmaes_gen', () => {
+
+  beforeEach( () => {
+    jasmine.addMatchers(CUSTOM_MATCHERS)
+  })
+
+
+  const minimize = (f, x0, opt) => {
+    let x,fx;
+    try {
+      for( [x,fx] of min_cmaes_gen(f, x0, opt) );
+    }
+    catch( err ) {
+      if( ! (err instanceof OptimizationNoProgressError) )
+        throw err;
+    }
+    return [x,fx];
+  };
+
+
+  it('minimizes a 30-dimensional ill-conditioned quadratic', () => {
+    const N = 30,
+     center = Float64Array.from({length: N}, (_,i) => i%3 - 1),
+     scales = Float64Array.from({length: N}, (_,i) => 10**(3*i/(N-1)));
+
+    const f = x => x.data.reduce( (sum,xi,i) => sum + scales[i] * (xi-center[i])**2, 0 );
+
+    const [x] = minimize(f, Array.from({length: N}, (_,i) => Math.cos(i)), {sigma: 0.5});
+
+    expect(x).toBeAllCloseTo(center, {rtol: 0, atol: 1e-6});
+  });
+
+
+  it('finds the global minimum of rastrigin given a large population', () => {
+    const rastrigin = new Rastrigin(4),
+          [x,fx] = minimize(rastrigin, [4.2, -3.1, 2.7, -1.9], {sigma: 3, popSize: 128, rng: new AleaRNG('cmaes_test')});
+
+    expect(fx).toBeAllCloseTo(0, {rtol: 0, atol: 1e-8});
+    expect(x ).toBeAllCloseTo(0, {rtol: 0, atol: 1e-4});
+  });
+
+
+  it('is reproducible given the same seed', () => {
+    const f = x => (x(0)-1)**2 + 2*(x(1)+x(0))**2;
+
+    const run = () => {
+      const iter = min_cmaes_gen(f, [3,4], {rng: new AleaRNG('cmaes_test')}),
+           items = [];
+      for( let i=0; i++ < 32; )
+        items.push( iter.next().value );
+      return items;
+    };
+
+    const a = run(),
+          b = run();
+    a.forEach( ([xa,fa],i) => {
+      const [xb,fb] = b[i];
+      expect(xa).toBeAllCloseTo(xb, {rtol: 0, atol: 0});
+      expect(fa).toBe(fb);
+    });
+  });
+});
@@ -18,23 +18,113 @@
 
 import {asarray, NDArray} from '../nd_array'
 
+import {eigen_sym} from '../la/eigen_sym'
 import {lstsq} from '../la/lstsq'
+import {pinv} from '../la/inv'
 
 
-export function fit_lin(x,y, regularization, funcs)
+// IRLS weight functions ψ(u)/u of the robust loss functions and their default tuning constants
+const LOSSES = {
+  huber: [1.345, (u,k) => Math.abs(u) <= k ? 1 : k / Math.abs(u)],
+  tukey: [4.685, (u,k) => Math.abs(u) <  k ? (1 - (u/k)**2)**2 : 0],
+  l1   : [1e-6,  (u,k) => 1 / Math.max(k, Math.abs(u))]
+};
+
+
+function _median( x )
+{
+  x = Float64Array.from(x).sort();
+  const n = x.length >>> 1;
+  return x.length % 2 ? x[n] : (x[n-1] + x[n]) / 2;
+}
+
+
+// Returns Γ such that the regularization penalty is ‖Γ @ coeffs‖² = coeffs @ R @ coeffs.
+function _regularization_matrix( regularization, N )
+{
+  const err = msg => new Error(`fit_lin(x,y, regularization, funcs, opt): Invalid regularization, ${msg}.`);
+
+  if( 'number' === typeof regularization )
+  {
+    if( !(0 <= regularization && regularization < Infinity) )
+      throw err(`must be a non-negative, finite number but is ${regularization}`);
+    if( regularization === 0 )
+      return null;
+    regularization = Array.from({length: N}, () => regularization);
+  }
+
+  const R = asarray('float64', regularization),
+      Γ = new Float64Array(N*N);
+
+  if( 1 === R.ndim )
+  {
+    if( R.shape[0] !== N )
+      throw err('diagonal must have length funcs.length');
+    for( let i=0; i < N; i++ ) {
+      const r = R.data[i];
+      if( !(0 <= r && r < Infinity) )
+        throw err('diagonal entries must be non-negative, finite numbers');
+      Γ[N*i+i] = Math.sqrt(r);
+    }
+  }
+  else if( 2 === R.ndim )
+  {
+    if( R.shape[0] !== N || R.shape[1] !== N )
+      throw err('matrix must have shape [funcs.length, funcs.length]');
+
+    let max = 0;
+    for( let i=0; i < N; i++ )
+    for( let j=0; j < N; j++ )
+      max = Math.max( max, Math.abs(R.data[N*i+j]) );
+    if( ! isFinite(max) )
+      throw err('matrix must be finite');
+
+    for( let i=0; i < N; i++ )
+    for( let j=0; j < i; j++ )
+      if( !(Math.abs(R.data[N*i+j] - R.data[N*j+i]) <= max*1e-12) )
+        throw err('matrix must be symmetric');
+
+    // R = V @ diag(Λ) @ Vᵀ  =>  Γ = diag(√Λ) @ Vᵀ
+    const [Λ,V] = eigen_sym(R);
+    for( let i=0; i < N; i++ )
+    {
+      const λ = Λ.data[i];
+      if( !(λ >= -max*N*1e-12) )
+        throw err('matrix must be positive semi-definite');
+      for( let j=0; j < N; j++ )
+        Γ[N*i+j] = Math.sqrt( Math.max(0,λ) ) * V.data[N*j+i];
+    }
+  }
+  else
+    throw err('must be a number, a diagonal or a matrix');
+
+  return Γ;
+}
+
+
+export function fit_lin(x,y, regularization, funcs, opt)
 {
-  // TODO:
-  //  - Allow weights
-  //  - Allow different norms (e.g. Huber penalty function, see: https://www.youtube.com/watch?v=gH13lxieYFU)
-  //  - Allow diagonal matrix for regularization
-  if(funcs == null) {  
+  if( null == funcs || !(Symbol.iterator in Object(funcs)) ) {
+     opt = funcs;
      funcs = regularization;
              regularization = 0;
   }
   else if( null == regularization )
     regularization = 0;
-  else if( !(0 <= regularization && regularization < Infinity) )
-    throw new Error(`fit_lin(x,y, regularization, funcs): Invalid regularization: ${regularization}.`);
+
+  const {
+    weights = null,
+    loss = 'squared',
+    lossParam,
+    scale,
+    maxIter = 128,
+    rtol = 1e-8
+  } = opt || {};
+
+  if( 'squared' !== loss && !(loss in LOSSES) )
+    throw new Error(`fit_lin(x,y, regularization, funcs, opt): Invalid opt.loss: ${loss}.`);
+  if( !(0 <= maxIter) || maxIter%1 !== 0 )
+    throw new Error(`fit_lin(x,y, regularization, funcs, opt): Invalid opt.maxIter: ${maxIter}.`);
 
   funcs = [...funcs];
 
@@ -56,6 +146,22 @@ export function fit_lin(x,y, regularization, funcs)
   if( x.shape[0] !== y.shape[0] )
     throw new Error('fit_lin(x,y, (regularization,) funcs): x.shape[0] and y.shape[0] must equal.');
 
+  const Γ = _regularization_matrix(regularization, N),
+        K = (null != Γ)*N;
+
+  const W = new Float64Array(M).fill(1);
+  if( null != weights )
+  {
+    const w = asarray('float64', weights);
+    if( w.ndim !== 1 || w.shape[0] !== M )
+      throw new Error('fit_lin(x,y, regularization, funcs, opt): opt.weights must be of shape [x.shape[0]].');
+    for( let i=M; i-- > 0; ) {
+      if( !(0 <= w.data[i] && w.data[i] < Infinity) )
+        throw new Error('fit_lin(x,y, regularization, funcs, opt): opt.weights must be non-negative, finite numbers.');
+      W[i] = w.data[i];
+    }
+  }
+
   if( x.ndim === 1 )
     x = x.data;
   else {
@@ -72,35 +178,131 @@ export function fit_lin(x,y, regularization, funcs)
     );
   }
 
-  const A_shape = Int32Array.of( (regularization!==0)*N + M, N )
-  let   A = new Float64Array(A_shape[0]*A_shape[1]),
-        z = y;
+  y = y.data;
+
+  const F = new Float64Array(M*N);
+  for( let i=M; i-- > 0; )
+  for( let j=N; j-- > 0; )
+    F[N*i+j] = funcs[j](x[i]);
+
+  // SOLVES THE WEIGHTED, REGULARIZED LEAST SQUARES PROBLEM VIA THE AUGMENTED SYSTEM [√W @ F; Γ] @ coeffs = [√W @ y; 0]
+  const A_shape = Int32Array.of(K+M, N),
+        A = new Float64Array((K+M)*N),
+        z = new Float64Array( K+M );
+
+  if( null != Γ )
+    A.set(Γ, M*N);
+
+  const solve = rw => {
+    for( let i=M; i-- > 0; ) {
+      const sw = Math.sqrt(W[i]*rw[i]);
+      for( let j=N; j-- > 0; )
+        A[N*i+j] = sw*F[N*i+j];
+      z[i] = sw*y[i];
+    }
+    return lstsq(
+      new NDArray(A_shape, A),
+      new NDArray(Int32Array.of(K+M,1), z)
+    ).data;
+  };
+
+  const residuals = coeffs => Float64Array.from({length: M}, (_,i) => {
+    let f = 0;
+    for( let j=N; j-- > 0; )
+      f += F[N*i+j] * coeffs[j];
+    return y[i] - f;
+  });
+
+  const RW = new Float64Array(M).fill(1);
+  let coeffs = solve(RW),
+           r = residuals(coeffs);
 
-  if( regularization !== 0 )
+  // ITERATIVELY REWEIGHTED LEAST SQUARES (IRLS) FOR ROBUST LOSS FUNCTIONS
+  if( 'squared' !== loss )
   {
-    regularization = Math.sqrt(regularization);
-    for( let i=N; i-- > 0; )
-      A[M*N + N*i+i] = regularization;
+    const [k_default, psi_u] = LOSSES[loss],
+                           k = null == lossParam ? k_default : lossParam;
+    if( !(0 < k && k < Infinity) )
+      throw new Error(`fit_lin(x,y, regularization, funcs, opt): Invalid opt.lossParam: ${lossParam}.`);
+
+    for( let iter=0; iter < maxIter; iter++ )
+    {
+      // robust estimate of the residual scale via the median absolute deviation
+      const s = null != scale ? scale : _median( r.filter((_,i) => W[i] > 0).map(Math.abs) ) / 0.6745;
+      if( !(s > 0) )
+        break;
+
+      for( let i=M; i-- > 0; )
+        RW[i] = psi_u(r[i]/s, k);
+
+      const c = solve(RW);
+      let done = true;
+      for( let j=N; j-- > 0; )
+        done = done && Math.abs(c[j] - coeffs[j]) <= rtol * Math.max(1, Math.abs(coeffs[j]));
+      coeffs = c;
+      r = residuals(coeffs);
+      if( done )
+        break;
+    }
   }
 
-  for( let i=M; i-- > 0; )
-  for( let j=N; j-- > 0; )
-    A[N*i+j] = funcs[j](x[i]);
+  // COEFFICIENT OF DETERMINATION
+  let r2;
+  {
+    let w_sum = 0,
+        y_mean = 0;
+    for( let i=M; i-- > 0; ) {
+      w_sum  += W[i];
+      y_mean += W[i]*y[i];
+    }
+    y_mean /= w_sum;
 
-  if( regularization !== 0 )
+    let ss_res = 0,
+        ss_tot = 0;
+    for( let i=M; i-- > 0; ) {
+      ss_res += W[i] * r[i]**2;
+      ss_tot += W[i] * (y[i] - y_mean)**2;
+    }
+    r2 = 0 < ss_tot ? 1 - ss_res/ss_tot : (0 === ss_res)*1;
+  }
+
+  // PARAMETER COVARIANCE: σ² ⋅ H⁻¹ @ Fᵀ @ W @ F @ H⁻¹  where  H = Fᵀ @ W @ F + Γᵀ @ Γ
+  let cov;
   {
-    y = y.data;
-    const z = new Float64Array(M+N);
+    const FWF = new Float64Array(N*N);
+    let   dof = -N,
+      sigma_sq = 0;
     for( let i=M; i-- > 0; )
-      z[i] = y[i];
-    y = new NDArray(Int32Array.of(M+N,1), z);
-  }
-  else
-    y = new NDArray(Int32Array.of(M,1), y.data);
+    {
+      const w = W[i]*RW[i];
+      if( w > 0 ) dof++;
+      sigma_sq += w * r[i]**2;
+      for( let j=N; j-- > 0; )
+      for( let k=N; k-- > 0; )
+        FWF[N*j+k] += F[N*i+j] * w * F[N*i+k];
+    }
+    sigma_sq = 0 < dof ? sigma_sq / dof : NaN;
 
-  A = new NDArray(A_shape, A);
+    const H = FWF.slice();
+    if( null != Γ )
+      for( let i=N; i-- > 0; )
+      for( let j=N; j-- > 0; )
+      for( let k=N; k-- > 0; )
+        H[N*j+k] += Γ[N*i+j] * Γ[N*i+k];
 
-  const {data: coeffs} = lstsq(A,y);
+    const H_inv = pinv( new NDArray(Int32Array.of(N,N), H) ).data,
+              C = new Float64Array(N*N);
+    for( let i=N; i-- > 0; )
+    for( let j=N; j-- > 0; )
+    {
+      let sum = 0;
+      for( let k=N; k-- > 0; )
+      for( let l=N; l-- > 0; )
+        sum += H_inv[N*i+k] * FWF[N*k+l] * H_inv[N*l+j];
+      C[N*i+j] = sigma_sq * sum;
+    }
+    cov = new NDArray(Int32Array.of(N,N), C);
+  }
 
   const param_lin_func = x =>
   {
@@ -118,6 +320,10 @@ export function fit_lin(x,y, regularization, funcs)
 
   param_lin_func.coeffs = coeffs;
   param_lin_func.funcs  =  funcs;
+  param_lin_func.cov    =  cov;
+  param_lin_func.residuals = new NDArray(Int32Array.of(M), r);
+  param_lin_func.r2     =  r2;
+  param_lin_func.weights= new NDArray(Int32Array.of(M), RW);
 
   return param_lin_func;
 }
@@ -20,6 +20,8 @@ import {forEachItemIn, CUSTOM_MATCHERS} from '../jasmine_utils'
 import {tabulate} from '../tabulate'
 import {_shuffle} from "../_test_data_generators";
 
+import {asarray} from '../nd_array'
+import {matmul2} from '../la/matmul'
 import {norm} from '../la/norm'
 
 import {fit_lin} from './fit_lin'
@@ -129,5 +131,132 @@ describe('fit_lin', () => {
       expect(Y).toBeAllCloseTo(y);
     }
   })
-});
 
+
+  forEachItemIn(
+    function*(){
+      for( let run=256; run-- > 0; )
+      {
+        const funcs = [x => 1, x => x, x => Math.sin(x)].slice(0, Math.random()*3 + 1 | 0),
+                  M = Math.random()*64 + 8 | 0,
+                  x = Float64Array.from({length: M}, () => Math.random()*8 - 4),
+                  y = x.map(() => Math.random()*4 - 2),
+                  w = x.map(() => Math.random() < 0.2 ? 0 : Math.random()*2);
+        w[0] = w[1] = w[2] = w[3] = 1;
+        yield [funcs, x,y,w];
+      }
+    }()
+  ).it(`fit(x,y, regularization, funcs, {weights}) solves the weighted, regularized normal equations.`, ([funcs, x,y,w]) => {
+    const M = x.length,
+          N = funcs.length,
+          F = Array.from(x, x => funcs.map(f => f(x))),
+          R = tabulate([N,N], 'float64', (i,j) => (i===j)*2 + Math.random()*0.5);
+    // make R symmetric positive definite
+    for( let i=0; i < N; i++ )
+    for( let j=0; j < i; j++ )
+      R.set([i,j], R(j,i));
+
+    for( const regularization of [0, 0.5, Float64Array.from({length: N}, () => Math.random()), R] )
+    {
+      const r = asarray('float64', regularization),
+           fit = fit_lin(x,y, regularization, funcs, {weights: w}),
+             H = tabulate([N,N], 'float64', (j,k) =>
+               F.reduce((s,F_i,i) => s + F_i[j] * w[i] * F_i[k], 0) + (
+                 r.ndim === 0 ? (j===k)*r.data[0] :
+                 r.ndim === 1 ? (j===k)*r(j)
+                              : r(j,k)
+               )
+             ),
+             g = tabulate([N,1], 'float64', (j,_) => F.reduce((s,F_i,i) => s + F_i[j] * w[i] * y[i], 0));
+
+      expect( matmul2(H, tabulate([N,1], 'float64', j => fit.coeffs[j])).data ).toBeAllCloseTo(g.data, {rtol: 1e-6, atol: 1e-8});
+      expect( fit.residuals ).toBeAllCloseTo( y.map((y,i) => y - fit(x[i])) );
+      expect( fit.cov.shape ).toEqual( Int32Array.of(N,N) );
+    }
+  })
+
+
+  it(`fit(x,y, funcs, {weights}) is equivalent to repeating weighted samples.`, () => {
+    const funcs = [x => 1, x => x, x => x*x],
+              x = [-2, -1, 0, 1, 2, 3],
+              y = [ 5,  1, 0, 2, 3, 7],
+              w = [ 1,  2, 0, 3, 1, 1];
+
+    const fit = fit_lin(x,y, funcs, {weights: w}),
+          X = x.flatMap((x,i) => Array.from({length: w[i]}, () => x)),
+          Y = y.flatMap((y,i) => Array.from({length: w[i]}, () => y)),
+        FIT = fit_lin(X,Y, funcs);
+
+    expect(fit.coeffs).toBeAllCloseTo(FIT.coeffs);
+    expect(fit.r2    ).toBeAllCloseTo(FIT.r2    );
+  })
+
+
+  it(`fit(x,y, funcs) computes the OLS covariance and R² correctly.`, () => {
+    // reference values computed via the closed-form simple linear regression formulas
+    const x = [1, 2, 3, 4, 5, 6],
+          y = [1.1, 1.9, 3.2, 3.9, 5.3, 5.8],
+        fit = fit_lin(x,y, [x => 1, x => x]);
+
+    const M = x.length,
+      x_mean = x.reduce((s,x) => s+x) / M,
+      y_mean = y.reduce((s,y) => s+y) / M,
+         sxx = x.reduce((s,x) => s + (x-x_mean)**2, 0),
+         sxy = x.reduce((s,x,i) => s + (x-x_mean)*(y[i]-y_mean), 0),
+         syy = y.reduce((s,y) => s + (y-y_mean)**2, 0),
+           b = sxy / sxx,
+           a = y_mean - b*x_mean,
+      ss_res = y.reduce((s,y,i) => s + (y - a - b*x[i])**2, 0),
+          s2 = ss_res / (M-2);
+
+    expect(fit.coeffs).toBeAllCloseTo([a,b]);
+    expect(fit.r2).toBeAllCloseTo(1 - ss_res/syy);
+    expect(fit.cov).toBeAllCloseTo([
+      [s2*(1/M + x_mean**2/sxx), -s2*x_mean/sxx],
+      [          -s2*x_mean/sxx,         s2/sxx]
+    ]);
+  })
+
+
+  for( const loss of ['huber', 'tukey', 'l1'] )
+    forEachItemIn(
+      function*(){
+        for( let run=64; run-- > 0; )
+        {
+          const M = Math.random()*128 + 64 | 0,
+                x = Float64Array.from({length: M}, () => Math.random()*8 - 4),
+                a = Math.random()*4 - 2,
+                b = Math.random()*4 - 2,
+                y = x.map(x => a + b*x + (Math.random()-0.5)*1e-3);
+          // 10% gross outliers
+          for( let i=0; i < M/10; i++ )
+            y[i] += 50 + Math.random()*50;
+          yield [x,y,a,b];
+        }
+      }()
+    ).it(`fit(x,y, funcs, {loss: '${loss}'}) is robust to outliers.`, ([x,y,a,b]) => {
+      const funcs = [x => 1, x => x],
+              ols = fit_lin(x,y, funcs),
+              fit = fit_lin(x,y, funcs, {loss});
+
+      expect( Math.abs(ols.coeffs[0] - a) ).toBeGreaterThan(1);
+      expect(fit.coeffs).toBeAllCloseTo([a,b], {rtol: 0, atol: 0.01});
+      expect(fit.weights.shape).toEqual( Int32Array.of(x.length) );
+      expect(fit.weights.data.every(w => 0 <= w && w <= 1/1e-6)).toBe(true);
+    })
+
+
+  it(`fit(x,y, regularization, funcs, opt) throws on invalid arguments.`, () => {
+    const funcs = [x => 1, x => x],
+              x = [1,2,3],
+              y = [4,5,6];
+    expect( () => fit_lin(x,y, -1, funcs) ).toThrow();
+    expect( () => fit_lin(x,y, [1,2,3], funcs) ).toThrow();
+    expect( () => fit_lin(x,y, [[1,2],[3,4]], funcs) ).toThrow();
+    expect( () => fit_lin(x,y, [[1,0],[0,-1]], funcs) ).toThrow();
+    expect( () => fit_lin(x,y, funcs, {loss: 'cauchy'}) ).toThrow();
+    expect( () => fit_lin(x,y, funcs, {weights: [1,2]}) ).toThrow();
+    expect( () => fit_lin(x,y, funcs, {weights: [1,-2,3]}) ).toThrow();
+    expect( () => fit_lin(x,y, funcs, {loss: 'huber', lossParam: 0}) ).toThrow();
+  })
+});
@@ -17,9 +17,7 @@
  */
 
 // AGENDA:
-//   - Quadratic Programming
 //   - Orthogonal Distance Regression
-//   - Derivative-Free Multivariate Minimizers
 
 import * as line_search from './line_search'
 import * as test_fn from './test_fn'
@@ -29,6 +27,9 @@ export {
   test_fn
 }
 
+export * from './auglag'
+export * from './bobyqa'
+export * from './cmaes'
 export * from './dogleg'
 export * from './fit_lin'
 export * from './gss'
@@ -38,6 +39,12 @@ export * from './line_search' // <- FIXME: this should not be here remove in nex
 export * from './lm'
 export * from './num_grad'
 export * from './optimization_error'
+export * from './powell'
+export * from './qp'
 export * from './root1d_bisect'
 export * from './root1d_brent'
 export * from './root1d_illinois'
+export {fit_uncertainty,
+        lsq_uncertainty,
+        odr_uncertainty,
+        tls_uncertainty} from './uncertainty'
@@ -0,0 +1,282 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {eps} from '../dt'
+import {array,
+        NDArray} from '../nd_array'
+
+import {AleaRNG} from "../rand/alea_rng";
+
+import {OptimizationNoProgressError} from "./optimization_error";
+
+
+// REFERENCES
+// ----------
+// .. [1] "An efficient method for finding the minimum of a function of several variables without calculating derivatives"
+//         M. J. D. Powell; The Computer Journal, Vol. 7, No. 2, 1964
+// .. [2] "Algorithms for Minimization without Derivatives", Chapter 5
+//         Richard P. Brent; Prentice-Hall, 1973
+// .. [3] "Numerical Recipes", 3rd edition, Chapter 10.3 and 10.7
+//         W. H. Press, S. A. Teukolsky, W. T. Vetterling, B. P. Flannery
+const RNG = new AleaRNG('opt/powell.js');
+
+
+const GOLD = (1 + Math.sqrt(5)) / 2,
+     CGOLD = (3 - Math.sqrt(5)) / 2;
+
+
+// Brent's method [2] for a bracket lo < x < hi with f(x) <= f(lo),f(hi).
+function _min1d_brent( F, lo, x, fx, hi, tol )
+{
+  let w = x, fw = fx,
+      v = x, fv = fx,
+      d = 0,  e = 0;
+
+  for(;;)
+  {
+    const m = (lo+hi) / 2,
+       tol1 = tol * (Math.abs(x) + 1),
+       tol2 = tol1 * 2;
+
+    if( Math.abs(x-m) <= tol2 - (hi-lo)/2 )
+      return [x,fx];
+
+    let golden = true;
+    if( Math.abs(e) > tol1 )
+    {
+      // TRY PARABOLIC INTERPOLATION
+      let r = (x-w) * (fx-fv),
+          q = (x-v) * (fx-fw),
+          p = (x-v)*q - (x-w)*r;
+      q = 2*(q-r);
+      if( q > 0 ) p = -p;
+      else        q = -q;
+
+      const e_prev = e;
+      e = d;
+      if( Math.abs(p) < Math.abs(q*e_prev/2) && p > q*(lo-x) && p < q*(hi-x) )
+      {
+        golden = false;
+        d = p/q;
+        const u = x+d;
+        if( u-lo < tol2 || hi-u < tol2 )
+          d = x < m ? tol1 : -tol1;
+      }
+    }
+
+    if( golden ) {
+      e = (x < m ? hi : lo) - x;
+      d = e * CGOLD;
+    }
+
+    const u = Math.abs(d) >= tol1 ? x+d : x + (d > 0 ? tol1 : -tol1),
+         fu = F(u);
+
+    if( fu <= fx ) {
+      if( u < x ) hi = x;
+      else        lo = x;
+      v = w; fv = fw;
+      w = x; fw = fx;
+      x = u; fx = fu;
+    }
+    else {
+      if( u < x ) lo = u;
+      else        hi = u;
+           if( fu <= fw || w === x           ) { v = w; fv = fw; w = u; fw = fu; }
+      else if( fu <= fv || v === x || v === w) { v = u; fv = fu; }
+    }
+  }
+}
+
+
+// Minimizes F(t) along a line, starting from t=0 with F(0) = f0 and an initial step of 1.
+// Returns [t,F(t)] with F(t) < f0 or [0,f0] if no improvement was found.
+function _line_min( F, f0, tol )
+{
+  // BRACKET THE MINIMUM
+  let a = 0, fa = f0,
+      b = 1, fb = F(b);
+
+  if( fb > fa )
+  {
+    const c = -1,
+         fc = F(c);
+    if( !(fc < fa) )
+    {
+      const [t,ft] = _min1d_brent(F, c, a,fa, b, tol);
+      return ft < f0 ? [t,ft] : [0,f0];
+    }
+    b = c;
+    fb=fc;
+  }
+
+  for(;;)
+  {
+    const c = b + (b-a)*GOLD;
+    if( ! isFinite(c) )
+      throw new Error('min_powell_gen(f,x0): f seems to be unbounded.');
+
+    const fc = F(c);
+    if( fc >= fb )
+    {
+      const [t,ft] = _min1d_brent(F, Math.min(a,c), b,fb, Math.max(a,c), tol);
+      return ft < f0 ? [t,ft] : [0,f0];
+    }
+
+    a = b; fa = fb;
+    b = c; fb = fc;
+  }
+}
+
+
+export function* min_powell_gen(
+  f,
+  x0,
+  {
+    scale   = 0.1,
+    lineTol = Math.sqrt(eps('float64')),
+    rng = RNG
+  } = {}
+)
+{
+  if( !(f instanceof Function) ) throw new Error('min_powell_gen(f,x0): f has to be a Function.');
+
+  if( ! (0 < scale  ) ) throw new Error('min_powell_gen(f,x0,opt={}): opt.scale must be greater than 0.');
+  if( ! (0 < lineTol) ) throw new Error('min_powell_gen(f,x0,opt={}): opt.lineTol must be greater than 0.');
+  if( ! (1 > lineTol) ) throw new Error('min_powell_gen(f,x0,opt={}): opt.lineTol must be less than 1.');
+
+  x0 = array('float64', x0);
+
+  if( x0.ndim !== 1 ) throw new Error('min_powell_gen(f,x0): x0.ndim has to be 1.');
+
+  const   N = x0.shape[0],
+    shape_x = x0.shape;
+
+  const dirs = new Float64Array(N*N),
+      x_line = new Float64Array(N),
+     x_start = new Float64Array(N),
+           x = x0.data;
+               x0 = undefined;
+
+  f = function(){
+    const F = f;
+    return x => {
+      const    f = 1 * F( new NDArray(shape_x, x.slice()) );
+      if(isNaN(f)) throw new Error('min_powell_gen(f,x0): f must not return NaN.');
+      return   f;
+    };
+  }();
+
+  let fx = f(x);
+
+  // minimizes along dirs[off:off+N] and moves x to the new minimum (returns true if improved)
+  const line_min = off => {
+    const [t,ft] = _line_min(
+      t => {
+        for( let j=N; j-- > 0; )
+          x_line[j] = x[j] + t*dirs[off+j];
+        return f(x_line);
+      },
+      fx, lineTol
+    );
+    if( 0 === t )
+      return false;
+    for( let j=N; j-- > 0; )
+      x[j] += t*dirs[off+j];
+    fx = ft;
+    return true;
+  };
+
+  // INIT DIRECTIONS (randomly rotated to avoid being aligned with plateaus of f)
+  dirs.set( rng.ortho(N).data );
+  for( let i=N*N; i-- > 0; )
+    dirs[i] *= scale;
+
+  // YIELD STARTING POINT
+  yield [
+    new NDArray( shape_x, x.slice() ),
+    fx
+  ];
+
+  for(;;)
+  {
+    x_start.set(x);
+    const f_start = fx;
+
+    // MINIMIZE ALONG EACH DIRECTION
+    let i_max = 0,
+       df_max = 0;
+
+    for( let i=0; i < N; i++ )
+    {
+      const f_prev = fx;
+      if( line_min(N*i) )
+      {
+        if( df_max < f_prev-fx ) {
+            df_max = f_prev-fx;
+             i_max = i;
+        }
+        yield [
+          new NDArray( shape_x, x.slice() ),
+          fx
+        ];
+      }
+    }
+
+    if( !(fx < f_start) )
+      throw new OptimizationNoProgressError();
+
+    // STOP ONCE THE STEPS ARE BELOW THE RESOLUTION OF THE LINE SEARCH
+    ;{
+      let dx_max = 0,
+           x_max = 0;
+      for( let j=N; j-- > 0; ) {
+        dx_max = Math.max(dx_max, Math.abs(x[j] - x_start[j]));
+         x_max = Math.max( x_max, Math.abs(x[j]));
+      }
+      if( dx_max <= lineTol*(x_max + scale) )
+        throw new OptimizationNoProgressError();
+    }
+
+    // EXTRAPOLATE ALONG THE AVERAGE DIRECTION OF THE SWEEP (stored in x_start)
+    for( let j=N; j-- > 0; ) {
+      x_start[j] = x[j] - x_start[j];
+      x_line [j] = x[j] + x_start[j];
+    }
+
+    const f_ext = f(x_line);
+    if(   f_ext < f_start )
+    {
+      const a = f_start - fx - df_max,
+            b = f_start - f_ext;
+
+      // REPLACE DIRECTION OF LARGEST DECREASE [1]
+      if( 2*(f_start - 2*fx + f_ext)*a*a < df_max*b*b )
+      {
+        dirs.copyWithin(N*i_max, N*(N-1), N*N);
+        dirs.set(x_start, N*(N-1));
+
+        if( line_min(N*(N-1)) )
+          yield [
+            new NDArray( shape_x, x.slice() ),
+            fx
+          ];
+      }
+    }
+  }
+}
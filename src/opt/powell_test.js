@@ -0,0 +1,55 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {CUSTOM_MATCHERS} from '../jasmine_utils';
+
+import {min_powell_gen} from "./powell";
+import {OptimizationNoProgressError} from "./optimization_error";
+
+import {generic_test_min_gradless_gen} from "./_generic_test_min_gradless";
+
+
+generic_test_min_gradless_gen(min_powell_gen)
+
+
+describe('min_powell_gen', () => {
+
+  beforeEach( () => {
+    jasmine.addMatchers(CUSTOM_MATCHERS)
+  })
+
+
+  it('minimizes a 30-dimensional ill-conditioned quadratic', () => {
+    const N = 30,
+     center = Float64Array.from({length: N}, (_,i) => i%3 - 1),
+     scales = Float64Array.from({length: N}, (_,i) => 10**(3*i/(N-1)));
+
+    const f = x => x.data.reduce( (sum,xi,i) => sum + scales[i] * (xi-center[i])**2, 0 );
+
+    let x;
+    try {
+      for( [x] of min_powell_gen(f, Array.from({length: N}, (_,i) => Math.cos(i))) );
+    }
+    catch( err ) {
+      if( ! (err instanceof OptimizationNoProgressError) )
+        throw err;
+    }
+
+    expect(x).toBeAllCloseTo(center, {rtol: 0, atol: 1e-6});
+  });
+});
@@ -0,0 +1,323 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {array, NDArray} from '../nd_array'
+
+import {_pldlp_decomp,
+        _pldlp_solve} from '../la/pldlp'
+
+import {OptimizationError} from './optimization_error'
+
+
+// REFERENCES
+// ----------
+// .. [1] "On the Implementation of a Primal-Dual Interior Point Method"
+//         Sanjay Mehrotra
+//         SIAM Journal on Optimization, Vol. 2, No. 4, pp. 575-601, 1992
+// .. [2] "Numerical Optimization" 2nd Edition
+//         Jorge Nocedal & Stephen J. Wright
+//         Chapter 16.6 "Interior-Point Methods"
+
+
+function _matrix( name, M, N )
+{
+  return (A, A_name) => {
+    A = array('float64', A);
+    if( A.ndim !== 2 ) throw new Error(`${name}: ${A_name}.ndim must be 2.`);
+    if( null != M && A.shape[0] !== M ) throw new Error(`${name}: ${A_name}.shape[0] must be ${M}.`);
+    if( null != N && A.shape[1] !== N ) throw new Error(`${name}: ${A_name}.shape[1] must be ${N}.`);
+    return A.data;
+  };
+}
+
+
+function _vector( name, N )
+{
+  return (x, x_name) => {
+    x = array('float64', x);
+    if( x.ndim !== 1 ) throw new Error(`${name}: ${x_name}.ndim must be 1.`);
+    if( x.shape[0] !== N ) throw new Error(`${name}: ${x_name}.shape[0] must be ${N}.`);
+    return x.data;
+  };
+}
+
+
+function _norm_inf( x )
+{
+  let max = 0;
+  for( let i=x.length; i-- > 0; )
+    max = Math.max( max, Math.abs(x[i]) );
+  return max;
+}
+
+
+/** Returns the largest α ∈ [0,1] such that x + α·dx >= 0.
+ */
+function _max_step( x, dx )
+{
+  let α = 1;
+  for( let i=x.length; i-- > 0; )
+    if( dx[i] < 0 )
+      α = Math.min(α, -x[i] / dx[i]);
+  return α;
+}
+
+
+/** Iteratively solves the convex quadratic program
+ *
+ *    min ½xᵀQx + cᵀx  s.t.  A@x = b,  G@x <= h
+ *
+ *  using Mehrotra's primal-dual interior point method.
+ */
+export function* qp_gen(
+  Q, c,
+  {
+    A, b,
+    G, h,
+    tol = 1e-8,
+    maxIter = 128
+  } = {}
+)
+{
+  const name = 'qp_gen(Q,c,opt)';
+
+  c = array('float64', c);
+  if( c.ndim !== 1 ) throw new Error(`${name}: c.ndim must be 1.`);
+  const [N] = c.shape;
+  c = c.data;
+
+  Q = _matrix(name, N, N)(Q, 'Q');
+
+  if( (null == A) !== (null == b) ) throw new Error(`${name}: opt.A and opt.b must be specified together.`);
+  if( (null == G) !== (null == h) ) throw new Error(`${name}: opt.G and opt.h must be specified together.`);
+
+  if( null == A ) { A = new Float64Array(0); b = new Float64Array(0); }
+  else {
+    b = array('float64', b);
+    if( b.ndim !== 1 ) throw new Error(`${name}: opt.b.ndim must be 1.`);
+    A = _matrix(name, b.shape[0], N)(A, 'opt.A');
+    b = b.data;
+  }
+
+  if( null == G ) { G = new Float64Array(0); h = new Float64Array(0); }
+  else {
+    h = array('float64', h);
+    if( h.ndim !== 1 ) throw new Error(`${name}: opt.h.ndim must be 1.`);
+    G = _matrix(name, h.shape[0], N)(G, 'opt.G');
+    h = h.data;
+  }
+
+  if( ! (0 <= tol) ) throw new Error(`${name}: opt.tol must be non-negative.`);
+  if( ! (0 <= maxIter) || maxIter%1 !== 0 ) throw new Error(`${name}: opt.maxIter must be a non-negative integer.`);
+
+  const P = b.length,
+        K = h.length,
+        L = N+P;
+
+  if( ! [c,Q,A,b,G,h].every( x => x.every(isFinite) ) )
+    throw new Error(`${name}: Inputs must be finite.`);
+
+  // only the symmetric part of Q affects the objective
+  Q = Q.slice();
+  for( let i=0; i < N; i++ )
+  for( let j=0; j < i; j++ )
+    Q[N*i+j] = Q[N*j+i] = (Q[N*i+j] + Q[N*j+i]) / 2;
+
+  // static regularization of the KKT system
+  const δ = 1e-14 * Math.max(1, _norm_inf(Q), _norm_inf(A), _norm_inf(G));
+
+  const x = new Float64Array(N), dx = new Float64Array(N), rd = new Float64Array(N),
+        y = new Float64Array(P), dy = new Float64Array(P), rp = new Float64Array(P),
+        z = new Float64Array(K), dz = new Float64Array(K), ri = new Float64Array(K),
+        s = new Float64Array(K), ds = new Float64Array(K), rc = new Float64Array(K),
+       LD = new Float64Array(L*L),
+      piv = new Int32Array(L),
+      rhs = new Float64Array(L),
+      tmp = new Float64Array(L);
+
+  /** Factorizes the reduced KKT matrix [[Q + Gᵀ·diag(z/s)·G, Aᵀ], [A, 0]].
+   */
+  const factorize = () => {
+    LD.fill(0.0);
+    for( let i=0; i < N; i++ ) {
+      for( let j=0; j <= i; j++ )
+        LD[L*i+j] = Q[N*i+j];
+      LD[L*i+i] += δ;
+    }
+    for( let k=0; k < K; k++ ) {
+      const w = z[k] / s[k];
+      for( let i=0; i < N; i++ ) { const wG_ki = w*G[N*k+i];
+      for( let j=0; j <= i; j++ )
+        LD[L*i+j] += wG_ki * G[N*k+j];
+      }
+    }
+    for( let i=0; i < P; i++ ) {
+      for( let j=0; j < N; j++ )
+        LD[L*(N+i)+j] = A[N*i+j];
+      LD[L*(N+i)+N+i] = -δ;
+    }
+    _pldlp_decomp(L,L, LD,0, piv,0);
+  };
+
+  /** Solves the Newton system for the given complementarity residual rc, writing the result to (dx,dy,dz,ds).
+   */
+  const solve = () => {
+    // Δs = -ri - G@Δx,  Δz = (z/s)·G@Δx + (z·ri - rc)/s
+    for( let i=0; i < N; i++ ) rhs[i] = -rd[i];
+    for( let k=0; k < K; k++ ) {
+      const t = (z[k]*ri[k] - rc[k]) / s[k];
+      for( let i=0; i < N; i++ )
+        rhs[i] -= G[N*k+i] * t;
+    }
+    for( let i=0; i < P; i++ ) rhs[N+i] = -rp[i];
+
+    if( L > 0 ) _pldlp_solve(L,L,1, LD,0, piv,0, rhs,0, tmp);
+
+    for( let i=0; i < N; i++ ) dx[i] = rhs[  i];
+    for( let i=0; i < P; i++ ) dy[i] = rhs[N+i];
+    for( let k=0; k < K; k++ ) {
+      let G_dx = 0;
+      for( let i=0; i < N; i++ )
+        G_dx += G[N*k+i] * dx[i];
+      ds[k] = -ri[k] - G_dx;
+      dz[k] = (z[k]*G_dx + z[k]*ri[k] - rc[k]) / s[k];
+    }
+  };
+
+  /** Computes the residuals and returns the objective.
+   */
+  const residuals = () => {
+    let f = 0;
+    for( let i=0; i < N; i++ ) {
+      let Qx_i = 0;
+      for( let j=0; j < N; j++ )
+        Qx_i += Q[N*i+j] * x[j];
+      rd[i] = Qx_i + c[i];
+      f += x[i] * (Qx_i/2 + c[i]);
+    }
+    for( let i=0; i < P; i++ ) {
+      let Ax_i = -b[i];
+      for( let j=0; j < N; j++ ) {
+        Ax_i  += A[N*i+j] * x[j];
+        rd[j] += A[N*i+j] * y[i];
+      }
+      rp[i] = Ax_i;
+    }
+    for( let k=0; k < K; k++ ) {
+      let Gx_k = s[k] - h[k];
+      for( let j=0; j < N; j++ ) {
+        Gx_k  += G[N*k+j] * x[j];
+        rd[j] += G[N*k+j] * z[k];
+      }
+      ri[k] = Gx_k;
+    }
+    return f;
+  };
+
+  // INITIAL POINT (SEE: CVXOPT): solve the KKT system for s = z = 1, then shift s into the interior
+  s.fill(1);
+  z.fill(1);
+  rd.set(c);
+  for( let i=0; i < P; i++ ) rp[i] =-b[i];
+  for( let k=0; k < K; k++ ) ri[k] =-h[k];
+  factorize();
+  solve();
+  x.set(dx);
+  y.set(dy);
+  if( K > 0 ) {
+    // Δs = h - G@x
+    let ds_min = Infinity;
+    for( let k=0; k < K; k++ )
+      ds_min = Math.min(ds_min, ds[k]);
+    const shift = Math.max(0, 1 - ds_min);
+    for( let k=0; k < K; k++ )
+      s[k] = ds[k] + shift;
+  }
+
+  const tol_d = tol * (1 + _norm_inf(c)),
+        tol_p = tol * (1 + _norm_inf(b)),
+        tol_i = tol * (1 + _norm_inf(h));
+
+  for( let iter=0;; iter++ )
+  {
+    const f = residuals();
+    let sz = 0;
+    for( let k=0; k < K; k++ ) sz += s[k]*z[k];
+
+    if( ! isFinite(f) || ! isFinite(sz) )
+      throw new OptimizationError(`${name}: Numerical breakdown (is the problem unbounded?).`);
+
+    yield [
+      new NDArray(Int32Array.of(N), x.slice()), f,
+      P > 0 ? new NDArray(Int32Array.of(P), y.slice()) : null,
+      K > 0 ? new NDArray(Int32Array.of(K), z.slice()) : null
+    ];
+
+    if( _norm_inf(rd) <= tol_d
+     && _norm_inf(rp) <= tol_p
+     && _norm_inf(ri) <= tol_i
+     && sz <= tol * (1 + Math.abs(f)) )
+      return;
+
+    if( iter >= maxIter )
+      throw new OptimizationError(`${name}: No convergence after ${maxIter} iterations (maxIter reached).`);
+
+    factorize();
+
+    // PREDICTOR (AFFINE SCALING) STEP
+    for( let k=0; k < K; k++ ) rc[k] = s[k]*z[k];
+    solve();
+    if( K > 0 )
+    {
+      const μ = sz / K,
+            α = Math.min( _max_step(s,ds), _max_step(z,dz) );
+      let μ_aff = 0;
+      for( let k=0; k < K; k++ )
+        μ_aff += (s[k] + α*ds[k]) * (z[k] + α*dz[k]);
+      μ_aff /= K;
+      const σ = (μ_aff / μ)**3;
+
+      // CORRECTOR STEP
+      for( let k=0; k < K; k++ )
+        rc[k] = s[k]*z[k] + ds[k]*dz[k] - σ*μ;
+      solve();
+    }
+
+    const α = Math.min( 1, 0.99 * Math.min( _max_step(s,ds), _max_step(z,dz) ) );
+    for( let i=0; i < N; i++ ) x[i] += α*dx[i];
+    for( let i=0; i < P; i++ ) y[i] += α*dy[i];
+    for( let k=0; k < K; k++ ) {
+      s[k] += α*ds[k];
+      z[k] += α*dz[k];
+    }
+  }
+}
+
+
+/** Solves the convex quadratic program
+ *
+ *    min ½xᵀQx + cᵀx  s.t.  A@x = b,  G@x <= h
+ *
+ *  by running qp_gen until convergence.
+ */
+export function qp( Q, c, opt={} )
+{
+  let result;
+  for( result of qp_gen(Q, c, opt) );
+  return result;
+}
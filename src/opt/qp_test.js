@@ -0,0 +1,160 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {forEachItemIn, CUSTOM_MATCHERS} from '../jasmine_utils'
+import {tabulate} from '../tabulate'
+import {zip_elems} from '../zip_elems'
+
+import {matmul, matmul2} from '../la/matmul'
+
+import {OptimizationError} from './optimization_error'
+import {qp, qp_gen} from './qp'
+
+
+describe('qp', () => {
+  beforeEach( () => {
+    jasmine.addMatchers(CUSTOM_MATCHERS)
+  })
+
+
+  it('works on known examples', () => {
+    // EXAMPLE FROM MATLAB's quadprog DOCUMENTATION
+    let [x,f,y,z] = qp([[ 1,-1],
+                        [-1, 2]], [-2,-6], {
+      G: [[ 1, 1],
+          [-1, 2],
+          [ 2, 1],
+          [-1, 0],
+          [ 0,-1]],
+      h: [2,2,3,0,0]
+    });
+    expect(x).toBeAllCloseTo([2/3, 4/3], {rtol: 0, atol: 1e-7});
+    expect(f).toBeCloseTo(-8.2222, 4);
+    expect(y).toBeNull();
+
+    // EQUALITY CONSTRAINTS ONLY
+    ;[x,f,y,z] = qp([[1,0],
+                     [0,1]], [0,0], {A: [[1,1]], b: [1]});
+    expect(x).toBeAllCloseTo([0.5, 0.5]);
+    expect(y).toBeAllCloseTo([-0.5]);
+    expect(z).toBeNull();
+
+    // LINEAR PROGRAM
+    ;[x,f,y,z] = qp([[0,0],
+                     [0,0]], [-1,-2], {
+      G: [[ 1, 1],
+          [-1, 0],
+          [ 0,-1]],
+      h: [4,0,0]
+    });
+    expect(x).toBeAllCloseTo([0,4], {rtol: 0, atol: 1e-7});
+    expect(f).toBeCloseTo(-8, 6);
+  });
+
+
+  it('throws on invalid or infeasible inputs', () => {
+    expect( () => qp([[1]], [[1]]) ).toThrowError(/c\.ndim/);
+    expect( () => qp([[1,0]], [1,1]) ).toThrowError(/Q\.shape\[0\]/);
+    expect( () => qp([[1]], [1], {A: [[1]]}) ).toThrowError(/together/);
+    expect( () => qp([[1]], [1], {G: [[1,2]], h: [1]}) ).toThrowError(/G\.shape\[1\]/);
+    expect( () => qp([[1]], [1], {tol: -1}) ).toThrowError(/tol/);
+    expect( () => qp([[1]], [1], {G: [[1],[-1]], h: [0,-1]}) ).toThrowError(OptimizationError);
+  });
+
+
+  it('works on problems with many inequality constraints', () => {
+    const K = 200000,
+          G = tabulate([K,1], 'float64', k => k%2 ? +1 : -1),
+          h = tabulate([K],   'float64', k => 1 + k%7);
+    const [x] = qp([[2]], [-1], {G,h});
+    expect(x).toBeAllCloseTo([0.5], {rtol: 0, atol: 1e-7});
+  });
+
+
+  it('yields iterates until convergence', () => {
+    const Q = [[2,0],[0,2]],
+          c = [-2,-5],
+          G = [[-1,2],[1,2],[1,-2],[-1,0],[0,-1]],
+          h = [2,6,2,0,0];
+    let n = 0,
+      x,f;
+    for( [x,f] of qp_gen(Q,c,{G,h}) ) {
+      expect(x.shape).toEqual( Int32Array.of(2) );
+      expect(typeof f).toBe('number');
+      expect(++n).toBeLessThan(64);
+    }
+    expect(x).toBeAllCloseTo([1.4, 1.7], {rtol: 0, atol: 1e-7});
+  });
+
+
+  forEachItemIn(
+    function*(rng){
+      for( let run=0; run++ < 512; )
+      {
+        const N = rng.int(1,12),
+              P = rng.int(0,N),
+              K = rng.int(0,2*N),
+           rank = rng.int(K > 0 ? 0 : N-P, N+1);
+
+        // Q IS POSITIVE SEMI-DEFINITE, THE PROBLEM IS KEPT BOUNDED VIA BOX CONSTRAINTS
+        const Q = rank > 0
+                ? function(){ const B = tabulate([rank,N], 'float64', () => rng.normal()); return matmul2(B.T, B); }()
+                : tabulate([N,N], 'float64', () => 0),
+              c = tabulate([N], 'float64', () => rng.normal()),
+          x_fea = tabulate([N], 'float64', () => rng.normal());
+
+        let A,b, G,h;
+        if( P > 0 ) {
+          A = tabulate([P,N], 'float64', () => rng.normal());
+          b = matmul(A, x_fea.reshape(N,1)).reshape(P);
+        }
+        if( K > 0 ) {
+          G = tabulate([K+2*N,N], 'float64', (i,j) => i < K ? rng.normal() : (i-K >> 1) === j ? (i%2 ? 1 : -1) : 0);
+          h = zip_elems([matmul(G, x_fea.reshape(N,1)).reshape(K+2*N)], 'float64', Gx => Gx + rng.uniform(0.1,4));
+        }
+        yield [Q,c,A,b,G,h];
+      }
+    }
+  ).it('satisfies the KKT conditions for random problems', ([Q,c,A,b,G,h]) => {
+    const [x,f,y,z] = qp(Q,c,{A,b,G,h}),
+             [N] = x.shape,
+              tol = 1e-6;
+
+    // STATIONARITY
+    let g = zip_elems([matmul(Q, x.reshape(N,1)).reshape(N), c], (Qx,c) => Qx+c);
+    if( null != A ) g = zip_elems([g, matmul(A.T, y.reshape(-1,1)).reshape(N)], (g,Ay) => g+Ay);
+    if( null != G ) g = zip_elems([g, matmul(G.T, z.reshape(-1,1)).reshape(N)], (g,Gz) => g+Gz);
+    expect(g).toBeAllCloseTo(0, {rtol: 0, atol: tol});
+
+    expect(f).toBeCloseTo( x.data.reduce((f,xi,i) => f + xi * (matmul(Q,x.reshape(N,1)).data[i]/2 + c.data[i]), 0), 6 );
+
+    // PRIMAL FEASIBILITY
+    if( null != A )
+      expect( matmul(A, x.reshape(N,1)).reshape(-1) ).toBeAllCloseTo(b, {rtol: 0, atol: tol});
+
+    if( null != G ) {
+      const Gx = matmul(G, x.reshape(N,1)).data;
+      // DUAL FEASIBILITY AND COMPLEMENTARITY
+      for( let k=0; k < Gx.length; k++ ) {
+        expect(Gx[k]).not.toBeGreaterThan(h.data[k] + tol);
+        expect(z.data[k]).not.toBeLessThan(0);
+        expect( z.data[k] * (h.data[k] - Gx[k]) ).toBeLessThan(tol);
+      }
+    }
+  });
+});
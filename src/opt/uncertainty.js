@@ -0,0 +1,541 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {array, asarray, NDArray} from '../nd_array'
+
+import {_cholesky_decomp} from '../la/cholesky'
+import {FrobeniusNorm} from '../la/norm'
+import {svd_decomp} from '../la/svd'
+import {_tril_solve} from '../la/tri'
+
+import {lsq_lm_gen,
+        tls_lm_gen} from './lm'
+import {OptimizationNoProgressError} from './optimization_error'
+import {root1d_brent} from './root1d_brent'
+import {_odr_fjj} from './_trust_region_solver_tls'
+
+
+// REFERENCES
+// ----------
+// .. [1] "Numerical Recipes in C", 2nd edition, chapter 6.2 and 6.4
+//         W.H. Press, S.A. Teukolsky, W.T. Vetterling, B.P. Flannery
+// .. [2] "Nonlinear Regression Analysis and Its Applications", chapter 6.1
+//         D.M. Bates, D.G. Watts
+// .. [3] "ODRPACK Version 2.01 User's Reference Guide", chapter 4.B
+//         P.T. Boggs, R.H. Byrd, J.E. Rogers, R.B. Schnabel
+
+
+const LANCZOS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+  -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+  1.5056327351493116e-7
+];
+
+function _lgamma( x )
+{
+  if( x < 0.5 )
+    return Math.log(Math.PI / Math.sin(Math.PI*x)) - _lgamma(1-x);
+  x -= 1;
+  const t = x + 7.5;
+  let   a = LANCZOS[0];
+  for( let i=1; i < LANCZOS.length; i++ )
+    a += LANCZOS[i] / (x+i);
+  return 0.5*Math.log(2*Math.PI) + (x+0.5)*Math.log(t) - t + Math.log(a);
+}
+
+
+const TINY = 1e-300;
+
+// Modified Lentz's method for the continued fraction of the incomplete beta function.
+function _betacf( a, b, x )
+{
+  let c = 1,
+      d = 1 - (a+b)*x/(a+1);
+  if( Math.abs(d) < TINY ) d = TINY;
+  d = 1/d;
+  let h = d;
+
+  for( let m=1; m < 1024; m++ )
+  {
+    for( const aa of [
+        m  * (b-m  ) * x / ((a+2*m-1) * (a+2*m  )),
+      -(a+m) * (a+b+m) * x / ((a+2*m  ) * (a+2*m+1))
+    ])
+    {
+      d = 1 + aa*d; if( Math.abs(d) < TINY ) d = TINY;
+      c = 1 + aa/c; if( Math.abs(c) < TINY ) c = TINY;
+      d = 1/d;
+      h *= d*c;
+    }
+    if( Math.abs(d*c - 1) <= Number.EPSILON )
+      break;
+  }
+  return h;
+}
+
+// Regularized incomplete beta function I_x(a,b).
+function _betainc( a, b, x )
+{
+  if( x <= 0 ) return 0;
+  if( x >= 1 ) return 1;
+  const lbt = _lgamma(a+b) - _lgamma(a) - _lgamma(b) + a*Math.log(x) + b*Math.log1p(-x);
+  return x < (a+1)/(a+b+2) ?     Math.exp(lbt) * _betacf(a,b,  x) / a
+                           : 1 - Math.exp(lbt) * _betacf(b,a,1-x) / b;
+}
+
+// Regularized lower incomplete gamma function P(a,x).
+function _gammainc( a, x )
+{
+  if( x <= 0 ) return 0;
+  const lgx = a*Math.log(x) - x - _lgamma(a);
+
+  if( x < a+1 ) {
+    // SERIES REPRESENTATION
+    let ap = a,
+       del = 1/a,
+       sum = del;
+    for( let n=0; n < 1024 && Math.abs(del) > Math.abs(sum)*Number.EPSILON; n++ )
+      sum += del *= x / ++ap;
+    return sum * Math.exp(lgx);
+  }
+
+  // CONTINUED FRACTION REPRESENTATION
+  let b = x+1-a,
+      c = 1/TINY,
+      d = 1/b,
+      h = d;
+  for( let i=1; i < 1024; i++ )
+  {
+    const an = -i*(i-a);
+    b += 2;
+    d = an*d + b; if( Math.abs(d) < TINY ) d = TINY;
+    c = b + an/c; if( Math.abs(c) < TINY ) c = TINY;
+    d = 1/d;
+    h *= d*c;
+    if( Math.abs(d*c - 1) <= Number.EPSILON )
+      break;
+  }
+  return 1 - Math.exp(lgx) * h;
+}
+
+// Cumulative distribution function of Student's t-distribution (normal distribution for dof=Infinity).
+function _t_cdf( t, dof )
+{
+  if( dof === Infinity )
+    return 0.5 + Math.sign(t) * _gammainc(0.5, t*t/2) / 2;
+  const p = _betainc(dof/2, 0.5, dof / (dof + t*t)) / 2;
+  return t > 0 ? 1-p : p;
+}
+
+export function _t_ppf( q, dof )
+{
+  if( !(0.5 <= q && q < 1) ) throw new Error('Assertion failed.');
+  if( !(0   <  dof)        ) throw new Error('Assertion failed.');
+
+  let t = 1;
+  while( _t_cdf(t,dof) < q )
+    t *= 2;
+  return root1d_brent(t => _t_cdf(t,dof) - q, 0, t);
+}
+
+
+const GTOL = 1e-10;
+
+function _norm( ...arrays )
+{
+  const norm = new FrobeniusNorm();
+  for( const a of arrays )
+  for( const x of asarray(a).data )
+    norm.include(x);
+  return norm.result;
+}
+
+
+// Without absoluteSigma, the residual variance has to be estimated which requires a positive number of degrees of freedom.
+function _check_dof( NAME, M, NP, {absoluteSigma=false} )
+{
+  if( ! absoluteSigma && !(NP < M) )
+    throw new Error(`${NAME}: The number of residuals (${M}) must exceed the number of parameters (${NP}) unless opt.absoluteSigma is true.`);
+}
+
+// Runs a least squares solver until it converges and returns the minimal sum of squares. The solver
+// stops early if the report is stationary, i.e. if the gradient is negligible relative to ‖J‖⋅‖f‖.
+function _minimize( gen, M, get_loss, is_stationary )
+{
+  let loss = Infinity;
+  try {
+    for( let iter=0; iter < 1024; iter++ )
+    {
+      const { value, done } = gen.next();
+      if( done ) break;
+      const l = get_loss(value) * M;
+      if( !(l < loss) ) break;
+
+      const converged = isFinite(loss) && loss - l <= loss * 1e-14;
+      loss = l;
+      if( converged || 0 === loss || is_stationary(value) ) break;
+    }
+  }
+  catch( err ) {
+    if( !(err instanceof OptimizationNoProgressError) )
+      throw err;
+  }
+  return loss;
+}
+
+
+/* Computes the parameter statistics from the (effective) residual Jacobian J[M,NP] and the
+ * residual sum of squares S. profile(k,P0) returns the minimal residual sum of squares for
+ * parameter k fixed at value P0[k], using P0 as starting point for the minimization.
+ */
+function _uncertainty( NAME, p, S, M, J, profile, opt )
+{
+  const {
+    confidence = 0.95,
+    absoluteSigma = false,
+    profile: doProfile = true,
+    rcond
+  } = opt;
+
+  if( !(0 < confidence && confidence < 1) )
+    throw new Error(`${NAME}: opt.confidence must be in the range (0,1).`);
+
+  const [NP] = p.shape,
+           K = Math.min(M,NP),
+         dof = M - NP,
+     redChi2 = 0 < dof ? S / dof : NaN,
+       scale = absoluteSigma ? 1 : redChi2;
+
+  // COVARIANCE VIA PSEUDO-INVERSE OF Jᵀ@J  =  V @ diag(sv)⁻² @ Vᵀ
+  const [U,SV,V] = svd_decomp( new NDArray(Int32Array.of(M,NP), J) ),
+             sv  = SV.data,
+             T   = sv[0] * (null == rcond ? Math.max(M,NP) * Number.EPSILON : rcond),
+            cov  = new Float64Array(NP*NP);
+  let rank = 0;
+  for( let k=0; k < K; k++ )
+  {
+    if( !(sv[k] > T) ) break;
+    rank++;
+    for( let i=0; i < NP; i++ )
+    for( let j=0; j < NP; j++ )
+      cov[NP*i+j] += V.data[NP*k+i] * V.data[NP*k+j] / (sv[k]*sv[k]);
+  }
+  for( let i=cov.length; i-- > 0; )
+    cov[i] *= scale;
+
+  const stdErr = Float64Array.from({length: NP}, (_,i) => Math.sqrt(cov[NP*i+i])),
+          corr = Float64Array.from(cov, (c,ij) => c / (stdErr[ij/NP | 0] * stdErr[ij%NP])),
+             q = _t_ppf( (1+confidence)/2, absoluteSigma ? Infinity : dof ),
+       confInt = new Float64Array(NP*2);
+  for( let i=0; i < NP; i++ ) {
+    confInt[2*i+0] = p.data[i] - q*stdErr[i];
+    confInt[2*i+1] = p.data[i] + q*stdErr[i];
+  }
+
+  const result = {
+    p,
+    chi2: S,
+    dof,
+    redChi2,
+    rank,
+    cov    : new NDArray(Int32Array.of(NP,NP), cov),
+    stdErr : new NDArray(Int32Array.of(NP),    stdErr),
+    corr   : new NDArray(Int32Array.of(NP,NP), corr),
+    confInt: new NDArray(Int32Array.of(NP,2),  confInt)
+  };
+
+  // PROFILE LIKELIHOOD INTERVALS, I.E. THE PARAMETER RANGE FOR WHICH THE MINIMAL RESIDUAL SUM OF SQUARES STAYS BELOW S_crit
+  if( doProfile )
+  {
+    const S_crit = S + scale*q*q,
+       profInt = new Float64Array(NP*2);
+
+    for( let i=0; i < NP; i++ )
+    for( let s=-1; s <= +1; s += 2 )
+    {
+      const p_i = p.data[i],
+            h   = q*stdErr[i],
+            F   = τ => {
+              // START FROM THE LINEAR APPROXIMATION OF THE PROFILE TRACE
+              const t  = p_i + s*τ*h,
+                    P0 = Float64Array.from(p.data, (p_j,j) => p_j + cov[NP*j+i] / cov[NP*i+i] * (t-p_i));
+              P0[i] = t;
+              return profile(i,P0) - S_crit;
+            };
+
+      let bound = NaN;
+      if( 0 < h && h < Infinity )
+      {
+        let lo = 0,
+            hi = 1;
+        while( hi <= 1024 && F(hi) < 0 ) {
+          lo = hi;
+          hi *= 2;
+        }
+        bound = hi > 1024 ? s*Infinity : p_i + s*h*root1d_brent(F, lo, hi);
+      }
+      profInt[2*i + (s+1)/2] = bound;
+    }
+
+    result.profileInt = new NDArray(Int32Array.of(NP,2), profInt);
+  }
+
+  return result;
+}
+
+
+export function lsq_uncertainty( fJ, p, opt={} )
+{
+  const NAME = 'lsq_uncertainty(fJ, p, opt)';
+
+  if( ! (fJ instanceof Function) )
+    throw new Error(`${NAME}: fJ must be a function.`);
+
+  p = array('float64', p);
+  if( p.ndim !== 1 )
+    throw new Error(`${NAME}: p.ndim must be 1.`);
+
+  const [NP] = p.shape;
+
+  let [f,J] = fJ( new NDArray(p.shape, p.data.slice()) );
+  f = asarray('float64', f);
+  J = asarray('float64', J);
+  if( f.ndim !== 1 ) throw new Error(`${NAME}: f.ndim must be 1.`);
+  if( J.ndim !== 2 ) throw new Error(`${NAME}: J.ndim must be 2.`);
+
+  const [M] = f.shape;
+  if( J.shape[0] !== M ||
+      J.shape[1] !== NP ) throw new Error(`${NAME}: J.shape must be [f.shape[0], p.shape[0]].`);
+  _check_dof(NAME, M, NP, opt);
+
+  const S = f.data.reduce((S,f) => S + f*f, 0);
+
+  const profile = (k,P0) =>
+  {
+    if( 1 === NP )
+      return asarray('float64', fJ( new NDArray(p.shape, P0) )[0]).data.reduce((S,f) => S + f*f, 0);
+
+    const q_shape = Int32Array.of(NP-1),
+          J_shape = Int32Array.of(M,NP-1);
+
+    const fJ_k = q => {
+      const P = new Float64Array(NP);
+      for( let i=0; i < NP-1; i++ )
+        P[i + (i >= k)] = q.data[i];
+      P[k] = P0[k];
+
+      let [f,J] = fJ( new NDArray(p.shape, P) );
+      J = asarray('float64', J).data;
+      const J_k = new Float64Array(M*(NP-1));
+      for( let i=0; i < M; i++ )
+      for( let j=0; j < NP-1; j++ )
+        J_k[(NP-1)*i+j] = J[NP*i + j + (j >= k)];
+      return [f, new NDArray(J_shape, J_k)];
+    };
+
+    const q0 = new NDArray(q_shape, P0.filter((_,i) => i !== k));
+    return _minimize(
+      lsq_lm_gen(fJ_k, q0), M,
+      ([q,mse]) => mse,
+      ([q,mse,mse_grad, f,J]) => _norm(mse_grad) * M/2 <= GTOL * _norm(f) * _norm(J)
+    );
+  };
+
+  return _uncertainty(NAME, p, S, M, J.data.slice(), profile, opt);
+}
+
+
+export function fit_uncertainty( x,y, fg, p, opt={} )
+{
+  const NAME = 'fit_uncertainty(x,y, fg, p, opt)';
+
+  if( ! (fg instanceof Function) )
+    throw new Error(`${NAME}: fg must be a function.`);
+
+  x = asarray(           x );
+  y = asarray('float64', y );
+  p = asarray('float64', p );
+
+  if(x.ndim !== 2 ) throw new Error(`${NAME}: x.ndim must be 2.`);
+  if(y.ndim !== 1 ) throw new Error(`${NAME}: y.ndim must be 1.`);
+  if(p.ndim !== 1 ) throw new Error(`${NAME}: p.ndim must be 1.`);
+
+  const [P] = p.shape,
+      [M,N] = x.shape,
+    x_shape = Int32Array.of(N);
+
+  if( M != y.shape[0] )
+    throw new Error(`${NAME}: x.shape[0] must be equal to y.shape[0].`);
+  _check_dof(NAME, M, P, opt);
+
+  const X = x.data.slice();
+  Object.freeze(X.buffer);
+  x = Array.from(
+    {length: M},
+    (_,i) => Object.freeze(
+      new NDArray(x_shape, X.subarray(N*i,N*(i+1)))
+    )
+  );
+  y = y.data;
+
+  const fJ = p =>
+  {
+    const fgp = fg(p),
+            R = new Float64Array(M  ),
+            J = new Float64Array(M*P);
+
+    for( let i=M; i-- > 0; )
+    {
+      let [f,g] = fgp(x[i]);
+
+      f = asarray(f);
+      g = asarray(g);
+
+      if( f.ndim     !== 0 ) throw new Error(`${NAME}: fg must have signature float[nParams] => float[nDim] => [float, float[nParams]].`);
+      if( g.ndim     !== 1 ) throw new Error(`${NAME}: fg must have signature float[nParams] => float[nDim] => [float, float[nParams]].`);
+      if( g.shape[0] !== P ) throw new Error(`${NAME}: fg must have signature float[nParams] => float[nDim] => [float, float[nParams]].`);
+
+      R[i] = f.data[0] - y[i];
+      for( let j=P; j-- > 0; )
+        J[P*i+j] = g.data[j];
+    }
+    return [
+      new NDArray(Int32Array.of(M  ), R),
+      new NDArray(Int32Array.of(M,P), J)
+    ];
+  };
+
+  return lsq_uncertainty(fJ, p, opt);
+}
+
+
+export function tls_uncertainty( fjj, p, dx, opt={} )
+{
+  const NAME = 'tls_uncertainty(fjj, p, dx, opt)';
+
+  if( ! (fjj instanceof Function) )
+    throw new Error(`${NAME}: fjj must be a function.`);
+
+  p  = array('float64', p );
+  dx = array('float64', dx);
+
+  if( p .ndim !== 1 ) throw new Error(`${NAME}: p.ndim must be 1.`);
+  if( dx.ndim !== 1 &&
+      dx.ndim !== 2 ) throw new Error(`${NAME}: dx.ndim must be 1 or 2.`);
+
+  const [MX,NX=1] = dx.shape,
+           [NP  ] =  p.shape;
+
+  let [dy, dy_dp, dy_dx] = fjj(
+    new NDArray( p.shape,  p.data.slice()),
+    new NDArray(dx.shape, dx.data.slice())
+  );
+  dy    = array('float64', dy   );
+  dy_dp = array('float64', dy_dp);
+  dy_dx = array('float64', dy_dx);
+
+  const [MY,NY=1] = dy.shape;
+  if( MX !== MY                                 ) throw new Error(`${NAME}: dy.shape[0] must equal dx.shape[0].`);
+  if( dy_dp.data.length !== MX*NY*NP            ) throw new Error(`${NAME}: dy_dp.shape must be [...dy.shape, p.shape[0]].`);
+  if( dy_dx.data.length !== MX*NY*NX            ) throw new Error(`${NAME}: dy_dx.shape must be [...dy.shape, ...dx.shape.slice(1)].`);
+
+  const M = MX*NY;
+  _check_dof(NAME, M, NP, opt);
+
+  const S = dx.data.reduce((S,x) => S + x*x, 0)
+          + dy.data.reduce((S,y) => S + y*y, 0);
+
+  // ELIMINATE dx: THE EFFECTIVE JACOBIAN OF SAMPLE i IS L⁻¹ @ dy_dp[i]  WHERE  L @ Lᵀ = I + dy_dx[i] @ dy_dx[i]ᵀ
+  const J = dy_dp.data.slice(),
+        D = dy_dx.data,
+        L = new Float64Array(NY*NY);
+  for( let i=0; i < MX; i++ )
+  {
+    for( let j=0; j < NY; j++ )
+    for( let k=0; k <= j; k++ )
+    {
+      let sum = j===k ? 1 : 0;
+      for( let l=0; l < NX; l++ )
+        sum += D[NX*(NY*i+j)+l] * D[NX*(NY*i+k)+l];
+      L[NY*j+k] = sum;
+    }
+    _cholesky_decomp(NY,NY, L,0);
+    _tril_solve(NY,NY,NP, L,0, J,NY*NP*i);
+  }
+
+  const J_norm = _norm(dy_dp, dy_dx, Math.sqrt(MX*NX));
+
+  const profile = (k,P0) =>
+  {
+    // for NP=1, a dummy parameter (without any effect) is used such that only dx is optimized
+    const       NQ = Math.max(1, NP-1),
+                 t = P0[k],
+           q_shape = Int32Array.of(NQ),
+          dp_shape = Int32Array.of(...dy.shape, NQ);
+
+    const fjj_k = (q,dx) => {
+      const P = new Float64Array(NP);
+      for( let i=0; i < NP-1; i++ )
+        P[i + (i >= k)] = q.data[i];
+      P[k] = t;
+
+      const [dy, dy_dp, dy_dx] = fjj(new NDArray(p.shape, P), dx),
+                     J = asarray('float64', dy_dp).data,
+                   J_k = new Float64Array(M*NQ);
+      for( let i=0; i < M; i++ )
+      for( let j=0; j < NP-1; j++ )
+        J_k[NQ*i+j] = J[NP*i + j + (j >= k)];
+      return [dy, new NDArray(dp_shape, J_k), dy_dx];
+    };
+
+    const q0 = new NDArray(q_shape, 1 < NP ? P0.filter((_,i) => i !== k) : Float64Array.of(0));
+    return _minimize(
+      tls_lm_gen(fjj_k, q0, dx), MX*NX + MX*NY,
+      ([q,dx,mse]) => mse,
+      ([q,dx,mse,dmse_dp,dmse_ddx,dy]) => _norm(dmse_dp,dmse_ddx) * (MX*NX + MX*NY)/2 <= GTOL * _norm(dx,dy) * J_norm
+    );
+  };
+
+  return _uncertainty(NAME, p, S, M, J, profile, opt);
+}
+
+
+export function odr_uncertainty( x,y, fgg, p, dx, opt={} )
+{
+  const NAME = 'odr_uncertainty(x,y, fgg, p, dx, opt)';
+
+  if( ! (fgg instanceof Function) )
+    throw new Error(`${NAME}: fgg must be a function.`);
+
+  x  =   array('float64', x );
+  y  =   array('float64', y );
+  p  = asarray('float64', p );
+  dx =   array('float64', dx);
+
+  if( p.ndim !== 1 ) throw new Error(`${NAME}: p.ndim must be 1.`);
+  if( x.ndim !== 1 &&
+      x.ndim !== 2 ) throw new Error(`${NAME}: x.ndim must be 1 or 2.`);
+  if( y.ndim !== 1 &&
+      y.ndim !== 2 ) throw new Error(`${NAME}: y.ndim must be 1 or 2.`);
+  if( x.ndim !== dx.ndim ||
+      x.shape.some((s,i) => s !== dx.shape[i]) ) throw new Error(`${NAME}: dx and x must have same shape.`);
+  if( x.shape[0] !== y.shape[0] ) throw new Error(`${NAME}: x.shape[0] must equal y.shape[0].`);
+  _check_dof(NAME, y.data.length, p.shape[0], opt);
+
+  return tls_uncertainty( _odr_fjj(x,y, fgg, p.shape[0]), p, dx, opt );
+}
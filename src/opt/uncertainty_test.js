@@ -0,0 +1,276 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {forEachItemIn, CUSTOM_MATCHERS} from '../jasmine_utils'
+import {array} from '../nd_array'
+import {tabulate} from '../tabulate'
+import {inv} from '../la/inv'
+import {matmul2} from '../la/matmul'
+import {norm} from '../la/norm'
+import {fit_lin} from './fit_lin'
+import {fit_lm_gen,
+        odr_lm_gen} from './lm'
+import {OptimizationNoProgressError} from './optimization_error'
+import {_t_ppf,
+        fit_uncertainty,
+        lsq_uncertainty,
+        odr_uncertainty,
+        tls_uncertainty} from './uncertainty'
+
+
+describe('uncertainty', () => {
+  beforeEach( () => {
+    jasmine.addMatchers(CUSTOM_MATCHERS)
+  })
+
+
+  // runs a generator of the fit_*_gen or odr_*_gen family until convergence
+  function converge( gen, is_converged )
+  {
+    let result;
+    try {
+      for( result of gen )
+        if( is_converged(result) )
+          break;
+    }
+    catch( err ) {
+      if( !(err instanceof OptimizationNoProgressError) )
+        throw err;
+    }
+    return result;
+  }
+
+
+  forEachItemIn(
+    function*(){
+      for( let run=256; run-- > 0; )
+        yield 0.5 + Math.random()/2;
+    }()
+  ).it('_t_ppf(q,dof) matches closed-form quantiles for dof=1 and dof=2', q => {
+    expect( _t_ppf(q,1) ).toBeAllCloseTo( Math.tan(Math.PI*(q-0.5)), {rtol: 1e-10, atol: 1e-12} );
+    expect( _t_ppf(q,2) ).toBeAllCloseTo( (2*q-1) / Math.sqrt(2*q*(1-q)), {rtol: 1e-10, atol: 1e-12} );
+  });
+
+
+  it('_t_ppf(q,dof) matches reference quantiles', () => {
+    expect( _t_ppf(0.975,       10) ).toBeAllCloseTo(2.228138851986274,  {rtol: 1e-12, atol: 0});
+    expect( _t_ppf(0.975, Infinity) ).toBeAllCloseTo(1.959963984540054,  {rtol: 1e-12, atol: 0});
+    expect( _t_ppf(0.995, Infinity) ).toBeAllCloseTo(2.5758293035489004, {rtol: 1e-12, atol: 0});
+  });
+
+
+  forEachItemIn(
+    function*(){
+      for( let run=64; run-- > 0; )
+      {
+        const M = Math.random()*32 + 4 | 0,
+              x = Array.from({length: M}, () => [Math.random()*8 - 4]),
+              y = x.map(([x]) => 1 - 2*x + Math.random() - 0.5);
+        yield [x,y];
+      }
+    }()
+  ).it('fit_uncertainty(x,y, fg, p) matches the closed-form results of linear regression', ([x,y]) => {
+    const lin = fit_lin(x.map(([x]) => x), y, [x => 1, x => x]),
+           fg = ([a,b]) => ([x]) => [a + b*x, [1,x]],
+            u = fit_uncertainty(x,y, fg, lin.coeffs);
+
+    expect(u.dof).toBe(x.length - 2);
+    expect(u.rank).toBe(2);
+    expect(u.p).toBeAllCloseTo(lin.coeffs);
+    expect(u.chi2).toBeAllCloseTo( lin.residuals.data.reduce((s,r) => s + r*r, 0) );
+    expect(u.redChi2).toBeAllCloseTo( u.chi2 / u.dof );
+    expect(u.cov).toBeAllCloseTo(lin.cov);
+    expect(u.stdErr).toBeAllCloseTo([ Math.sqrt(lin.cov(0,0)), Math.sqrt(lin.cov(1,1)) ]);
+    expect(u.corr).toBeAllCloseTo( lin.cov.mapElems('float64', (c,i,j) => c / Math.sqrt(lin.cov(i,i) * lin.cov(j,j))) );
+
+    const q = _t_ppf(0.975, u.dof);
+    expect(u.confInt).toBeAllCloseTo( tabulate([2,2], 'float64', (i,j) => lin.coeffs[i] + (2*j-1) * q * u.stdErr(i)) );
+    // for linear models, the profile likelihood intervals equal the confidence intervals
+    expect(u.profileInt).toBeAllCloseTo(u.confInt, {rtol: 1e-6, atol: 1e-8});
+
+    const v = lsq_uncertainty(
+      ([a,b]) => [
+        y.map((y,i) => a + b*x[i][0] - y),
+        x.map(([x]) => [1,x])
+      ],
+      lin.coeffs,
+      {profile: false}
+    );
+    expect(v.cov    ).toBeAllCloseTo(u.cov);
+    expect(v.confInt).toBeAllCloseTo(u.confInt);
+    expect(v.profileInt).toBeUndefined();
+  });
+
+
+  it('fit_uncertainty(x,y, fg, p, {absoluteSigma: true}) does not scale the covariance', () => {
+    const x = [[1], [2], [3], [4], [5], [6]],
+          y = [1.1, 1.9, 3.2, 3.9, 5.3, 5.8],
+         fg = ([a,b]) => ([x]) => [a + b*x, [1,x]],
+          p = fit_lin(x.map(([x]) => x), y, [x => 1, x => x]).coeffs,
+          u = fit_uncertainty(x,y, fg, p, {absoluteSigma: true, confidence: 0.99}),
+          J = array( x.map(([x]) => [1,x]) );
+
+    expect(u.cov).toBeAllCloseTo( inv(matmul2(J.T, J)) );
+    expect(u.confInt).toBeAllCloseTo( tabulate([2,2], 'float64', (i,j) => p[i] + (2*j-1) * 2.5758293035489004 * u.stdErr(i)) );
+    expect(u.profileInt).toBeAllCloseTo(u.confInt, {rtol: 1e-6, atol: 1e-8});
+  });
+
+
+  it('fit_uncertainty(x,y, fg, p) computes profile likelihood intervals of a nonlinear fit', () => {
+    // dataset from "Multivariate Analyses of Beer Foam Stand" by James J. Hackbart
+    const time = array([[ 0,    15,    30,    45,    60,   90,   120,   150,   180,   210,   240,   270,   300   ]]).T,
+        height = array( [17.40, 15.10, 13.10, 11.60, 10.60, 8.70,  7.40,  6.35,  5.40,  4.50,  3.80,  3.30,  2.90] ),
+            fg = ([H0, c]) => ([t]) => [
+               H0 * 2**(-t*c),
+              [     2**(-t*c),
+               H0 * 2**(-t*c) * Math.log(2) * -t]
+            ];
+
+    const [p] = converge( fit_lm_gen(time, height, fg, /*p0=*/[1,1]), ([p,mse,mse_grad]) => norm(mse_grad) <= 1e-8 ),
+            u = fit_uncertainty(time, height, fg, p);
+
+    // for fixed c, the optimal H0 can be computed in closed form
+    const S_prof = c => {
+      const g = Array.from(time.data, t => 2**(-t*c)),
+           yy = height.data.reduce((s,y  ) => s + y*y,       0),
+           gy =      g.reduce((s,g,i) => s + g*height(i), 0),
+           gg =      g.reduce((s,g  ) => s + g*g,       0);
+      return yy - gy*gy/gg;
+    };
+    const q = _t_ppf(0.975, u.dof),
+     S_crit = u.chi2 + u.redChi2*q*q,
+     [c_lo,
+      c_hi] = u.profileInt.data.slice(2);
+
+    expect( S_prof(c_lo) ).toBeAllCloseTo(S_crit, {rtol: 1e-6, atol: 0});
+    expect( S_prof(c_hi) ).toBeAllCloseTo(S_crit, {rtol: 1e-6, atol: 0});
+    expect(c_lo).toBeLessThan(p(1));
+    expect(c_hi).toBeGreaterThan(p(1));
+    // the profile intervals of nonlinear models are asymmetric
+    expect( (c_hi - p(1)) / (p(1) - c_lo) ).not.toBeCloseTo(1, 2);
+  });
+
+
+  forEachItemIn(
+    function*(){
+      for( let run=16; run-- > 0; )
+      {
+        const M = Math.random()*16 + 6 | 0,
+              x = Array.from({length: M}, () => Math.random()*8 - 4),
+              y = x.map(x => 2 + x/2 + Math.random() - 0.5);
+        yield [x,y];
+      }
+    }()
+  ).it('odr_uncertainty(x,y, fgg, p, dx) matches the covariance of the full TLS problem', ([x,y]) => {
+    const M = x.length,
+        fgg = ([a,b]) => ([x]) => [a + b*x, [1,x], b],
+     [p,dx] = converge( odr_lm_gen(x,y, fgg, [0,0]), ([p,dx,mse,dp,ddx]) => norm(dp) <= 1e-12 && norm(ddx) <= 1e-12 ),
+          u = odr_uncertainty(x,y, fgg, p, dx);
+
+    // Jacobian of the residuals [dx; dy] w.r.t. [dx; p]
+    const J = tabulate([2*M, M+2], 'float64', (i,j) => {
+      if( i < M ) return i===j ? 1 : 0;
+      i -= M;
+      if( j < M ) return i===j ? p(1) : 0;
+      return j===M ? 1 : x[i] + dx(i);
+    });
+    const C = inv(matmul2(J.T, J)),
+          S = u.chi2,
+         s2 = S / (M-2);
+
+    expect(u.dof).toBe(M-2);
+    expect(S).toBeAllCloseTo( dx.data.reduce((s,dx,i) => s + dx*dx + (p(0) + p(1)*(x[i]+dx) - y[i])**2, 0) );
+    expect(u.cov).toBeAllCloseTo( tabulate([2,2], 'float64', (i,j) => s2*C(M+i,M+j)) );
+
+    for( let i=0; i < 2; i++ ) {
+      expect(u.profileInt(i,0)).toBeLessThan   (p(i));
+      expect(u.profileInt(i,1)).toBeGreaterThan(p(i));
+    }
+  });
+
+
+  it('odr_uncertainty(x,y, fgg, p, dx) works for multivariate inputs and outputs', () => {
+    const x = Array.from({length: 12}, (_,i) => [i/3, Math.sin(i)]),
+          y = x.map(([a,b],i) => [1 + a + 2*b + Math.cos(i)/10, a - b + Math.sin(7*i)/10]),
+        fgg = ([p0,p1,p2]) => ([a,b]) => [
+          [ p0 +    a + p2*b,  p1*a - b ],
+          [[ 1, 0, b ],
+           [ 0, a, 0 ]],
+          [[ 1, p2],
+           [p1, -1]]
+        ],
+     [p,dx] = converge( odr_lm_gen(x,y, fgg, [0,0,0]), ([p,dx,mse,dp,ddx]) => norm(dp) <= 1e-12 && norm(ddx) <= 1e-12 ),
+          u = odr_uncertainty(x,y, fgg, p, dx);
+
+    expect(u.dof).toBe(2*12 - 3);
+    expect(u.cov.shape).toEqual( Int32Array.of(3,3) );
+    expect(u.cov).toBeAllCloseTo(u.cov.T);
+    for( let i=0; i < 3; i++ ) {
+      expect(u.corr(i,i)).toBeAllCloseTo(1);
+      expect(u. confInt(i,0)).toBeLessThan   (p(i));
+      expect(u. confInt(i,1)).toBeGreaterThan(p(i));
+      expect(u.profileInt(i,0)).toBeLessThan   (p(i));
+      expect(u.profileInt(i,1)).toBeGreaterThan(p(i));
+    }
+  });
+
+
+  it('*_uncertainty(...) throws on invalid arguments', () => {
+    const x = [[1], [2], [3]],
+          y = [1, 2, 4],
+         fg = ([a,b]) => ([x]) => [a + b*x, [1,x]];
+    expect( () => fit_uncertainty(x,y, fg, [0,1], {confidence: 1}) ).toThrow();
+    expect( () => fit_uncertainty(x,y, fg, [[0,1]]) ).toThrow();
+    expect( () => fit_uncertainty(x,[1,2], fg, [0,1]) ).toThrow();
+    expect( () => lsq_uncertainty(p => [[1,2,3], [[1,2],[3,4]]], [0,1]) ).toThrow();
+    expect( () => odr_uncertainty([1,2,3],y, ([a,b]) => x => [a+b*x, [1,x], b], [0,1], [0,0]) ).toThrow();
+  });
+
+
+  it('*_uncertainty(...) throws given no degrees of freedom unless absoluteSigma is true', () => {
+    const x = [[1], [2]],
+          y = [1, 2],
+         fg = ([a,b]) => ([x]) => [a + b*x, [1,x]],
+        fgg = ([a,b]) => ([x]) => [a + b*x, [1,x], b],
+         fJ = ([a,b]) => [[a+b-1, a+2*b-2], [[1,1],[1,2]]],
+        fjj = ([a,b], dx) => [dx.data.map((dx,i) => a + b*(i+1+dx) - y[i]), [[1,1],[1,2]], [b,b]];
+
+    const msg = /must exceed the number of parameters/;
+    expect( () => fit_uncertainty(x,y, fg, [0,1]) ).toThrowError(msg);
+    expect( () => lsq_uncertainty(fJ, [0,1]) ).toThrowError(msg);
+    expect( () => tls_uncertainty(fjj, [0,1], [0,0]) ).toThrowError(msg);
+    expect( () => odr_uncertainty([1,2],y, fgg, [0,1], [0,0]) ).toThrowError(msg);
+
+    const u = fit_uncertainty(x,y, fg, [0,1], {absoluteSigma: true});
+    expect(u.dof).toBe(0);
+    expect(u.redChi2).toBeNaN();
+    expect(u.stdErr.data.every(isFinite)).toBe(true);
+  });
+
+
+  it('odr_uncertainty(x,y, fgg, p, dx) works given many samples', () => {
+    const M = 2**17,
+          x = Array.from({length: M}, (_,i) => 8*i/M - 4),
+          y = x.map((x,i) => 2 + x/2 + (i%2 - 0.5)/16),
+        fgg = ([a,b]) => ([x]) => [a + b*x, [1,x], b],
+          u = odr_uncertainty(x,y, fgg, [2,0.5], new Float64Array(M), {profile: false});
+
+    expect(u.dof).toBe(M-2);
+    expect(u.stdErr.data.every(s => 0 < s && s < 1e-3)).toBe(true);
+  });
+})
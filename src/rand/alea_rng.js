@@ -16,12 +16,7 @@
  * along with ND4JS. If not, see <http://www.gnu.org/licenses/>.
  */
 
-import {ARRAY_TYPES} from '../dt'
-import {NDArray} from '../nd_array';
-
-import {_giv_rot_qr,
-        _giv_rot_rows} from "../la/_giv_rot";
-import { RNG } from '../_test_data_generators';
+import {RNG} from './rng';
 
 
 const mul32 = 2**+32,
@@ -53,16 +48,18 @@ function mash( str, seed )
   return seed;
 }
 
+
 // Slightly modernized version of the Alea pseudo-random number generator by Johanne Baagøe.
 // Sadly Baagoe's original blog posts (http://baagoe.com/en/RandomMusings/javascript/) are not
 // available anymore. There is however a partial mirror of his site on GitHub:
 //
 //   https://github.com/nquinlan/better-random-numbers-for-javascript-mirror
 //
-export class AleaRNG
+export class AleaRNG extends RNG
 {
   constructor( seed )
   {
+    super();
     if( seed == null )
       throw new Error('Assertion failed.');
 
@@ -76,8 +73,7 @@ export class AleaRNG
     s0 >>>= 0; s0 -= t0 >>> 0; s0 *= div32; s0 += s0 < 0;
     s1 >>>= 0; s1 -= t1 >>> 0; s1 *= div32; s1 += s1 < 0;
     s2 >>>= 0; s2 -= t2 >>> 0; s2 *= div32; s2 += s2 < 0;
-    // this#nextNormal = NaN;
-    Object.assign(this, {s0,s1,s2, c: 1, __nextNormal: NaN});
+    Object.assign(this, {s0,s1,s2, c: 1});
     Object.seal(this);
   }
 
@@ -90,139 +86,32 @@ export class AleaRNG
   }
 
 
-  bool() {
-    return this.uniform() < 0.0;
-  }
-
-
-  int( from, until )
-  {
-    if( until === undefined ) {
-        until = from;
-                from = 0;
-    }
-    if( from%1 !== 0 ) throw new Error('AlreaRNG::int(from,until): from must be a valid int.');
-    if(until%1 !== 0 ) throw new Error('AlreaRNG::int(from,until): until must be a valid int.');
-    if( !(from < until) ) throw new Error('AlreaRNG::int(from,until): from must be less than until.');
-    return Math.floor( this.uniform(from,until) );
-  }
-
-
-  shuffle( array, from, until )
-  {
-    if(  array.length%1 !== 0 ) throw new Error('AlreaRNG::normal(array,from=0,until=array.length): array must be Array-like.');
-    if(!(array.length   >=  0)) throw new Error('AlreaRNG::normal(array,from=0,until=array.length): array must be Array-like.');
-
-    if( null == from ) from = 0;
-    if( null == until) until= array.length;
-
-    if(0!==from %1        ) throw new Error('AlreaRNG::normal(array,from=0,until=array.length): from must be int.');
-    if(0!==        until%1) throw new Error('AlreaRNG::normal(array,from=0,until=array.length): until must be int.');
-    if( ! (from         >= 0    ) ) throw new Error('AlreaRNG::normal(array,from=0,until=array.length): from must be non-negative.');
-    if( ! (from         <= until) ) throw new Error('AlreaRNG::normal(array,from=0,until=array.length): from must not be greater than until.');
-    if( ! (array.length >= until) ) throw new Error('AlreaRNG::normal(array,from=0,until=array.length): until must not be greater than array.length.');
-
-    // https://en.wikipedia.org/wiki/Fisher-Yates_shuffle
-    for( let i=from; i < until-1; i++ )
-    { const j = this.int(i,until),
-           aj = array[j];
-                array[j] = array[i];
-                           array[i] = aj;
-    }
+  __random() {
+    return this.__next() + (this.__next() * 0x200000 | 0) * div53;
   }
 
 
-  uniform( lo=-1, hi=+1 )
-  {
-    lo*=1; if( ! isFinite(lo) ) throw new Error('Assertion failed.');
-    hi*=1; if( ! isFinite(hi) ) throw new Error('Assertion failed.');
-    const s = this.__next() + 
-             (this.__next() * 0x200000 | 0) * div53;
-    return lo*(1-s) + s*hi;
+  __getState() {
+    const {s0,s1,s2,c} = this;
+    return {s0,s1,s2,c};
   }
 
 
-  normal( mean=0, sigma=1 )
+  __setState( state )
   {
-    mean *= 1; if( ! isFinite(mean ) ) throw new Error('AlreaRNG::normal(mean,sigma): mean must be valid number.');
-    sigma*= 1; if( ! isFinite(sigma) ) throw new Error('AlreaRNG::normal(mean,sigma): sigma must be valid number.');
-    const       nxt  =  this.__nextNormal;
-    if( ! isNaN(nxt) ){ this.__nextNormal = NaN;
-      return    nxt*sigma + mean;
-    }
-    // https://en.wikipedia.org/wiki/Marsaglia_polar_method
-    let x,y,r;
-    do {
-      x = this.uniform();
-      y = this.uniform();
-      r = x*x + y*y;
-    }
-    while(r > 1 || r == 0);
-
-    const               z = Math.sqrt(-2 * Math.log(r) / r);
-    this.__nextNormal = z*x;
-    return       mean + z*y*sigma;
+    const {s0,s1,s2,c} = state;
+    for( const s of [s0,s1,s2] )
+      if( !(0 <= s && s < 1) || s*mul32 % 1 !== 0 )
+        throw new Error('AleaRNG::setState(state): state.s0, state.s1 and state.s2 must be 32-bit fractions in the range [0,1).');
+    if( !(0 <= c && c < 2091639) || c%1 !== 0 )
+      throw new Error('AleaRNG::setState(state): state.c must be an int in the range [0,2091639).');
+    Object.assign(this, {s0,s1,s2,c});
   }
 
 
-  ortho( dtype, ...shape )
-  {
-    // REFERENCES:
-    //   - https://blogs.sas.com/content/iml/2012/03/28/generating-a-random-orthogonal-matrix.html
-    if( ! (dtype in ARRAY_TYPES) ) {
-      shape.unshift(dtype);
-      dtype = 'float64';
-    }
-
-    if( shape.length  <  1 ) throw new Error(`AlreaRNG::orthogonal([dtype,] ...shape): shape.length must be at least 1.`);
-    if( shape.length === 1 )
-        shape.push(shape[0]);
-
-    for( let i=shape.length; i-- > 0; )
-      if( shape[i] % 1 !== 0 || shape[i] < 1 )
-        throw new Error(`AlreaRNG::orthogonal([dtype,] ...shape): shape[${i}] = ${shape[i]} not a positive integer.`);
-    shape = Int32Array.from(shape);
-
-    const [M,N] = shape.subarray(-2),
-           K    = Math.max(M,N),
-             L  = Math.min(M,N);
-
-    const     DTypeArray = ARRAY_TYPES[dtype],
-      U = new DTypeArray( shape.reduce((x,y) => x*y) ),
-      Q = new Float64Array(K*L);
-
-    for( let U_off=U.length; (U_off-=M*N) >= 0; )
-    {
-      // INIT Q TO IDENTITY
-      for( let i=K; i-- > 0; )
-      for( let j=L; j-- > 0; )
-        Q[L*i+j] = i!==j ? 0 : (this.bool() ? -1 : +1); // <- randomly flips sign of det(Q)
-
-      // PSEUDO QR DECOMPOSITION
-      // -----------------------
-      // A vector with random entries drawn from a normal distribution multiplied by
-      // an orthogonal matrix results in another vector with random normal entries.
-      // This fact allows us to draw the entries of the QR decomposed matrix "on-the-fly",
-      // avoiding the memory and computation overhead of the decomposed matrix.
-      for( let j=0; j < K; j++ )
-      {
-        let A_jj = this.normal();
-
-        for( let i=j; ++i < K; )
-        {
-          const   A_ij = this.normal(),
-            [c,s,norm] =_giv_rot_qr(A_jj,A_ij);
-          if( 0 === s ) continue;        A_jj = norm;
-          _giv_rot_rows(Q, Math.min(i+1,L), L*j,L*i, c,s);
-        }
-      }
-
-      // COPY Q -> U (potentially transposing the entries)
-      for( let i=K; i-- > 0; )
-      for( let j=L; j-- > 0; )
-        U[U_off + (M < N ? N*j+i : N*i+j)] = Q[L*i+j];
-    }
-
-    return new NDArray(shape,U);
+  /** Alea does not support jumping ahead, so the child is seeded from the output of this generator instead.
+   */
+  fork() {
+    return new AleaRNG( Array.from({length: 4}, () => this.int(0, mul32)).join(' ') );
   }
 }
@@ -701,3 +701,4 @@ describe(`AleaRNG::ortho(${dtype.map(s => `'${s}', `)}...)`, () => {
     expect(s).toBeAllCloseTo(1/Math.max(M,N), {atol:1e-2, rtol:0});
   });
 });
+
@@ -17,3 +17,6 @@
  */
 
 export * from './alea_rng';
+export * from './pcg64_rng';
+export * from './rng';
+export * from './xoshiro256_rng';
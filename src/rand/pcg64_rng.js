@@ -0,0 +1,201 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {AleaRNG} from './alea_rng';
+import {RNG} from './rng';
+
+
+// 128-bit multiplier as 16-bit limbs (least significant first)
+const MUL = Uint32Array.of(0xf645, 0x9fcc, 0xdf64, 0x4385, 0x5da4, 0x1fc6, 0xed05, 0x2360);
+
+// numpy's PCG64.jumped() advances by (φ-1)·2¹²⁸ steps
+const JUMP = 0x9e3779b97f4a7c15f39cc0605cedc835n;
+
+const M128 = (1n << 128n) - 1n;
+
+// scratch memory
+const TMP = new Float64Array(8),
+      OUT = new Uint32Array(2);
+
+
+function _to_bigint( limbs )
+{
+  let x = 0n;
+  for( let i=limbs.length; i-- > 0; )
+    x = x << 16n | BigInt(limbs[i]);
+  return x;
+}
+
+
+function _from_bigint( x, limbs )
+{
+  for( let i=0; i < limbs.length; i++, x >>= 16n )
+    limbs[i] = Number(x & 0xFFFFn);
+}
+
+
+/** Returns [mul,add] such that advancing the LCG `x -> x*MUL + inc` by
+ *  `delta` steps is equivalent to `x -> x*mul + add` (mod 2¹²⁸).
+ *
+ *  SEE: F. Brown, "Random Number Generation with Arbitrary Stride", 1994.
+ */
+function _lcg_advance( delta, mul, inc )
+{
+  let accMul = 1n,
+      accAdd = 0n;
+  for( ; delta > 0n; delta >>= 1n ) {
+    if( delta & 1n ) {
+      accMul = accMul*mul         & M128;
+      accAdd = (accAdd*mul + inc) & M128;
+    }
+    inc = (mul+1n)*inc & M128;
+    mul = mul*mul      & M128;
+  }
+  return [accMul,accAdd];
+}
+
+
+// Permuted congruential generator with a 128-bit state and 64-bit XSL-RR output, i.e. the
+// same algorithm as NumPy's PCG64 (seeding differs since NumPy uses its SeedSequence).
+//
+// REFERENCES
+// ----------
+// .. [1] M.E. O'Neill, "PCG: A Family of Simple Fast Space-Efficient Statistically Good
+//        Algorithms for Random Number Generation", 2014.
+//
+export class PCG64RNG extends RNG
+{
+  constructor( seed )
+  {
+    super();
+    if( seed == null )
+      throw new Error('PCG64RNG(seed): seed must not be null.');
+
+    // INITIALIZE LIKE pcg64_srandom_r(initstate, initseq) WITH initstate AND initseq HASHED FROM THE SEED
+    const alea = new AleaRNG(seed),
+          init = new Uint32Array(16);
+    for( let i=0; i < 16; i++ )
+      init[i] = alea.int(0, 0x10000);
+
+    const initstate = _to_bigint( init.subarray(0, 8) ),
+          initseq   = _to_bigint( init.subarray(8,16) );
+
+    this.__state = new Uint32Array(8);
+    this.__inc   = new Uint32Array(8);
+    Object.seal(this);
+    _from_bigint(initseq << 1n | 1n, this.__inc);
+    this.__step();
+    _from_bigint(_to_bigint(this.__state) + initstate & M128, this.__state);
+    this.__step();
+  }
+
+
+  __step()
+  {
+    const s = this.__state,
+        inc = this.__inc,
+        tmp = TMP;
+
+    // s = s*MUL + inc (mod 2¹²⁸) using 16-bit limbs so that all partial products are exact
+    for( let i=0; i < 8; i++ ) {
+      let sum = inc[i];
+      for( let j=0; j <= i; j++ )
+        sum += s[j] * MUL[i-j];
+      tmp[i] = sum;
+    }
+    let carry = 0;
+    for( let i=0; i < 8; i++ ) {
+      const sum = tmp[i] + carry;
+      carry = Math.floor(sum / 0x10000);
+      s[i] = sum - carry*0x10000;
+    }
+  }
+
+
+  __next64( out )
+  {
+    this.__step();
+    const s = this.__state;
+
+    // XSL-RR: rotate (hi ^ lo) right by the 6 most significant bits of the state
+    let hi = (s[7] << 16 | s[6]) ^ (s[3] << 16 | s[2]),
+        lo = (s[5] << 16 | s[4]) ^ (s[1] << 16 | s[0]),
+       rot = s[7] >>> 10;
+    if( rot >= 32 ) {
+      const t = hi; hi = lo; lo = t;
+      rot -= 32;
+    }
+    if( rot > 0 ) {
+      const h = hi;
+      hi = hi >>> rot | lo << 32-rot;
+      lo = lo >>> rot | h  << 32-rot;
+    }
+    out[0] = lo >>> 0;
+    out[1] = hi >>> 0;
+  }
+
+
+  __random()
+  {
+    const out = OUT;
+    this.__next64(out);
+    return (out[1] * 0x200000 + (out[0] >>> 11)) * 2**-53;
+  }
+
+
+  __getState() {
+    return {
+      state: '0x' + _to_bigint(this.__state).toString(16),
+      inc:   '0x' + _to_bigint(this.__inc  ).toString(16)
+    };
+  }
+
+
+  __setState( state )
+  {
+    let s,inc;
+    try {
+      s   = BigInt(state.state);
+      inc = BigInt(state.inc);
+    }
+    catch(err) {
+      throw new Error('PCG64RNG::setState(state): state.state and state.inc must be (hex) int strings.');
+    }
+    if( !(0n <= s   && s   <= M128) ) throw new Error('PCG64RNG::setState(state): state.state must be a 128-bit unsigned int.');
+    if( !(0n <= inc && inc <= M128) ) throw new Error('PCG64RNG::setState(state): state.inc must be a 128-bit unsigned int.');
+    if( !(inc & 1n) )                 throw new Error('PCG64RNG::setState(state): state.inc must be odd.');
+    _from_bigint(s,   this.__state);
+    _from_bigint(inc, this.__inc  );
+  }
+
+
+  /** Advances the state by delta steps in O(log(delta)) time.
+   */
+  advance( delta )
+  {
+    delta = BigInt.asUintN(128, BigInt(delta));
+    const [mul,add] = _lcg_advance( delta, _to_bigint(MUL), _to_bigint(this.__inc) );
+    _from_bigint( _to_bigint(this.__state)*mul + add & M128, this.__state );
+    this.__nextNormal = NaN;
+  }
+
+
+  jump() {
+    this.advance(JUMP);
+  }
+}
@@ -0,0 +1,72 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {forEachItemIn} from "../jasmine_utils";
+
+import {PCG64RNG} from './pcg64_rng';
+import {SEEDS} from "./alea_rng_test_data";
+
+
+const next64 = rng => {
+  const out = new Uint32Array(2);
+  rng.__next64(out);
+  return BigInt(out[1]) << 32n | BigInt(out[0]);
+};
+
+
+describe('PCG64RNG', () => {
+  it('matches the output of the PCG reference implementation', () => {
+    // state after pcg64_srandom_r(&rng, 42, 54) in the PCG C library
+    const rng = new PCG64RNG(0);
+    rng.setState({state: '0xde2bce05be013be3d3f6c45a41e54320', inc: '0x6d'});
+
+    expect( Array.from({length: 6}, () => next64(rng)) ).toEqual([
+      0x86b1da1d72062b68n,
+      0x1304aa46c9853d39n,
+      0xa3670e9e0dd50358n,
+      0xf9090e529a7dae00n,
+      0xc85b9fd837996f2cn,
+      0x606121f8e3919196n
+    ]);
+  });
+
+
+  forEachItemIn(
+    function*(){
+      for( const seed of SEEDS.slice(0,16) )
+      for( const delta of [1, 2, 7, 64, 1023] )
+        yield [seed, delta];
+    }()
+  ).it('advance(delta) is equivalent to delta steps', ([seed,delta]) => {
+    const a = new PCG64RNG(seed),
+          b = new PCG64RNG(seed);
+    for( let i=0; i < delta; i++ )
+      next64(a);
+    b.advance(delta);
+    expect( b.getState() ).toEqual( a.getState() );
+    expect( next64(b) ).toBe( next64(a) );
+  });
+
+
+  it('setState(state) rejects invalid states', () => {
+    const rng = new PCG64RNG(0);
+    expect( () => rng.setState({state: '0x1', inc: '0x2'}) ).toThrow();
+    expect( () => rng.setState({state: 'foo', inc: '0x1'}) ).toThrow();
+    expect( () => rng.setState({state: '0x1' + '0'.repeat(32), inc: '0x1'}) ).toThrow();
+  });
+});
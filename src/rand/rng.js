@@ -0,0 +1,635 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {ARRAY_TYPES} from '../dt'
+import {asarray, NDArray} from '../nd_array';
+
+import {binary_rangesearch} from '../arrays/binary_search';
+import {cholesky_decomp} from '../la/cholesky';
+import {_giv_rot_qr,
+        _giv_rot_rows} from "../la/_giv_rot";
+
+
+// log(k!) - stirling(k) for small k
+const STIRLING_TAIL = [
+  0.0810614667953272,
+  0.0413406959554092,
+  0.0276779256849983,
+  0.02079067210376509,
+  0.0166446911898211,
+  0.0138761288230707,
+  0.0118967099458917,
+  0.010411265261972,
+  0.00925546218271273,
+  0.00833056343336287
+];
+
+
+/** Returns log(k!) using Stirling's approximation with a correction term,
+ *  which is accurate to about machine precision.
+ */
+function _log_factorial( k )
+{
+  const n = k+1,
+     tail = k < STIRLING_TAIL.length
+       ? STIRLING_TAIL[k]
+       : ( 1/12 - ( 1/360 - ( 1/1260 - 1/1680/(n*n) )/(n*n) )/(n*n) ) / n;
+  return (k+0.5)*Math.log(n) - n + 0.5*Math.log(2*Math.PI) + tail;
+}
+
+
+function _shape( name, shape )
+{
+  if( 'number' === typeof shape )
+    shape = [shape];
+  shape = Int32Array.from(shape);
+  if( ! shape.every(s => s >= 1) )
+    throw new Error(`RNG::${name}: shape must be a positive int or an array of positive ints.`);
+  return shape;
+}
+
+
+/** Base class of all pseudo-random number generators. Subclasses only have to
+ *  implement the following methods, all other methods are derived from them:
+ *
+ *    __random()         returns a uniformly distributed float64 in the range [0,1) with 53 random bits.
+ *    __getState()       returns the internal state as a JSON-serializable object.
+ *    __setState(state)  validates and restores a state returned by __getState().
+ *    jump()             (optional) advances the state by a huge, fixed number of steps.
+ */
+export class RNG
+{
+  constructor()
+  {
+    this.__nextNormal = NaN;
+  }
+
+
+  getState()
+  {
+    const state = this.__getState(),
+            nxt = this.__nextNormal;
+    state.nextNormal = isNaN(nxt) ? null : nxt;
+    return state;
+  }
+
+
+  setState( state )
+  {
+    const {nextNormal=null} = state;
+    if( null != nextNormal && ! isFinite(nextNormal) )
+      throw new Error(`${this.constructor.name}::setState(state): state.nextNormal must be null or a finite number.`);
+    this.__setState(state);
+    this.__nextNormal = null == nextNormal ? NaN : 1*nextNormal;
+  }
+
+
+  jump() {
+    throw new Error(`${this.constructor.name}::jump(): not supported.`);
+  }
+
+
+  /** Returns a new generator starting at the current state of this one
+   *  and jumps this one ahead so that the two streams do not overlap.
+   */
+  fork()
+  {
+    const child = new this.constructor(0);
+    child.setState( this.getState() );
+    this.jump();
+    return child;
+  }
+
+
+  /** Returns true or false with equal probability. The range of uniform() is given
+   *  explicitly since it defaults to [-1,+1) rather than [0,1).
+   */
+  bool() {
+    return this.uniform(0,1) < 0.5;
+  }
+
+
+  int( from, until )
+  {
+    if( until === undefined ) {
+        until = from;
+                from = 0;
+    }
+    if( from%1 !== 0 ) throw new Error('RNG::int(from,until): from must be a valid int.');
+    if(until%1 !== 0 ) throw new Error('RNG::int(from,until): until must be a valid int.');
+    if( !(from < until) ) throw new Error('RNG::int(from,until): from must be less than until.');
+    return Math.floor( this.uniform(from,until) );
+  }
+
+
+  shuffle( array, from, until )
+  {
+    if(  array.length%1 !== 0 ) throw new Error('RNG::shuffle(array,from=0,until=array.length): array must be Array-like.');
+    if(!(array.length   >=  0)) throw new Error('RNG::shuffle(array,from=0,until=array.length): array must be Array-like.');
+
+    if( null == from ) from = 0;
+    if( null == until) until= array.length;
+
+    if(0!==from %1        ) throw new Error('RNG::shuffle(array,from=0,until=array.length): from must be int.');
+    if(0!==        until%1) throw new Error('RNG::shuffle(array,from=0,until=array.length): until must be int.');
+    if( ! (from         >= 0    ) ) throw new Error('RNG::shuffle(array,from=0,until=array.length): from must be non-negative.');
+    if( ! (from         <= until) ) throw new Error('RNG::shuffle(array,from=0,until=array.length): from must not be greater than until.');
+    if( ! (array.length >= until) ) throw new Error('RNG::shuffle(array,from=0,until=array.length): until must not be greater than array.length.');
+
+    // https://en.wikipedia.org/wiki/Fisher-Yates_shuffle
+    for( let i=from; i < until-1; i++ )
+    { const j = this.int(i,until),
+           aj = array[j];
+                array[j] = array[i];
+                           array[i] = aj;
+    }
+  }
+
+
+  uniform( lo=-1, hi=+1 )
+  {
+    lo*=1; if( ! isFinite(lo) ) throw new Error('Assertion failed.');
+    hi*=1; if( ! isFinite(hi) ) throw new Error('Assertion failed.');
+    const s = this.__random();
+    return lo*(1-s) + s*hi;
+  }
+
+
+  normal( mean=0, sigma=1 )
+  {
+    mean *= 1; if( ! isFinite(mean ) ) throw new Error('RNG::normal(mean,sigma): mean must be valid number.');
+    sigma*= 1; if( ! isFinite(sigma) ) throw new Error('RNG::normal(mean,sigma): sigma must be valid number.');
+    const       nxt  =  this.__nextNormal;
+    if( ! isNaN(nxt) ){ this.__nextNormal = NaN;
+      return    nxt*sigma + mean;
+    }
+    // https://en.wikipedia.org/wiki/Marsaglia_polar_method
+    let x,y,r;
+    do {
+      x = this.uniform();
+      y = this.uniform();
+      r = x*x + y*y;
+    }
+    while(r > 1 || r == 0);
+
+    const               z = Math.sqrt(-2 * Math.log(r) / r);
+    this.__nextNormal = z*x;
+    return       mean + z*y*sigma;
+  }
+
+
+  /** Returns a single sample if shape is undefined, otherwise an NDArray of samples.
+   */
+  __sample( name, dtype, shape, draw )
+  {
+    if( null == shape )
+      return draw();
+    shape = _shape(name, shape);
+    const data = new ARRAY_TYPES[dtype]( shape.reduce((m,n) => m*n, 1) );
+    for( let i=0; i < data.length; i++ )
+      data[i] = draw();
+    return new NDArray(shape, data);
+  }
+
+
+  /** Returns NDArray of shape [...shape, K] with K-dimensional samples or a single
+   *  K-dimensional sample if shape is undefined.
+   */
+  __sample_vec( name, dtype, shape, K, draw )
+  {
+    shape = null == shape ? Int32Array.of(K) : Int32Array.from([..._shape(name, shape), K]);
+    const data = new ARRAY_TYPES[dtype]( shape.reduce((m,n) => m*n, 1) );
+    for( let off=0; off < data.length; off += K )
+      draw(data, off);
+    return new NDArray(shape, data);
+  }
+
+
+  exponential( rate=1, shape )
+  {
+    rate *= 1;
+    if( !(rate > 0) || ! isFinite(rate) ) throw new Error('RNG::exponential(rate,shape): rate must be a positive number.');
+    return this.__sample('exponential(rate,shape)', 'float64', shape, () => -Math.log1p( -this.uniform(0,1) ) / rate);
+  }
+
+
+  __gamma( alpha )
+  {
+    // BOOST alpha < 1 USING: gamma(α) = gamma(α+1) * U^(1/α)
+    if( alpha < 1 )
+      return this.__gamma(alpha+1) * (1 - this.uniform(0,1))**(1/alpha);
+
+    // https://dl.acm.org/doi/10.1145/358407.358414 (Marsaglia & Tsang, 2000)
+    const d = alpha - 1/3,
+          c = 1 / Math.sqrt(9*d);
+    for(;;)
+    {
+      let x,v;
+      do {
+        x = this.normal();
+        v = 1 + c*x;
+      }
+      while( v <= 0 );
+      v = v*v*v;
+      const u = 1 - this.uniform(0,1);
+      if( u < 1 - 0.0331*(x*x)*(x*x) ) return d*v;
+      if( Math.log(u) < 0.5*x*x + d*(1 - v + Math.log(v)) ) return d*v;
+    }
+  }
+
+
+  gamma( alpha, scale=1, shape )
+  {
+    alpha *= 1; if( !(alpha > 0) || ! isFinite(alpha) ) throw new Error('RNG::gamma(alpha,scale,shape): alpha must be a positive number.');
+    scale *= 1; if( !(scale > 0) || ! isFinite(scale) ) throw new Error('RNG::gamma(alpha,scale,shape): scale must be a positive number.');
+    return this.__sample('gamma(alpha,scale,shape)', 'float64', shape, () => this.__gamma(alpha) * scale);
+  }
+
+
+  __beta( a, b )
+  {
+    if( a > 1 || b > 1 ) {
+      const x = this.__gamma(a),
+            y = this.__gamma(b);
+      return x / (x+y);
+    }
+
+    // Jöhnk's algorithm for small parameters (see NumPy's random_beta)
+    for(;;)
+    {
+      const U = this.uniform(0,1),
+            V = this.uniform(0,1),
+            X = U**(1/a),
+            Y = V**(1/b);
+      if( X+Y <= 1 && U+V > 0 )
+      {
+        if( X+Y > 0 )
+          return X / (X+Y);
+        // X AND Y UNDERFLOWED, CONTINUE IN LOG SPACE
+        let logX = Math.log(U) / a,
+            logY = Math.log(V) / b;
+        const logM = Math.max(logX,logY);
+        logX -= logM;
+        logY -= logM;
+        return Math.exp( logX - Math.log( Math.exp(logX) + Math.exp(logY) ) );
+      }
+    }
+  }
+
+
+  beta( a, b, shape )
+  {
+    a *= 1; if( !(a > 0) || ! isFinite(a) ) throw new Error('RNG::beta(a,b,shape): a must be a positive number.');
+    b *= 1; if( !(b > 0) || ! isFinite(b) ) throw new Error('RNG::beta(a,b,shape): b must be a positive number.');
+    return this.__sample('beta(a,b,shape)', 'float64', shape, () => this.__beta(a,b));
+  }
+
+
+  chi2( df, shape )
+  {
+    df *= 1; if( !(df > 0) || ! isFinite(df) ) throw new Error('RNG::chi2(df,shape): df must be a positive number.');
+    return this.__sample('chi2(df,shape)', 'float64', shape, () => 2*this.__gamma(df/2));
+  }
+
+
+  student_t( df, shape )
+  {
+    df *= 1; if( !(df > 0) || ! isFinite(df) ) throw new Error('RNG::student_t(df,shape): df must be a positive number.');
+    return this.__sample('student_t(df,shape)', 'float64', shape, () => {
+      const z = this.normal();
+      return z / Math.sqrt( 2*this.__gamma(df/2) / df );
+    });
+  }
+
+
+  __poisson( lam )
+  {
+    if( lam < 10 )
+    {
+      // MULTIPLICATION METHOD (KNUTH)
+      const L = Math.exp(-lam);
+      let k = 0,
+          p = this.uniform(0,1);
+      for( ; p > L; k++ )
+        p *= this.uniform(0,1);
+      return k;
+    }
+
+    // PTRS: W. Hörmann, "The transformed rejection method for generating Poisson random variables", 1993.
+    const slam = Math.sqrt(lam),
+        loglam = Math.log(lam),
+             b = 0.931 + 2.53*slam,
+             a = -0.059 + 0.02483*b,
+      invalpha = 1.1239 + 1.1328 / (b-3.4),
+            vr = 0.9277 - 3.6224 / (b-2);
+    for(;;)
+    {
+      const U = this.uniform(0,1) - 0.5,
+            V = this.uniform(0,1),
+           us = 0.5 - Math.abs(U),
+            k = Math.floor( (2*a/us + b)*U + lam + 0.43 );
+      if( us >= 0.07 && V <= vr )
+        return k;
+      if( k < 0 || us < 0.013 && V > us )
+        continue;
+      if( Math.log(V) + Math.log(invalpha) - Math.log(a/(us*us) + b) <= -lam + k*loglam - _log_factorial(k) )
+        return k;
+    }
+  }
+
+
+  poisson( lam, shape )
+  {
+    lam *= 1;
+    if( !(lam >= 0) || !(lam <= 1e9) ) throw new Error('RNG::poisson(lam,shape): lam must be a number in the range [0,1e9].');
+    return this.__sample('poisson(lam,shape)', 'int32', shape, () => this.__poisson(lam));
+  }
+
+
+  __binomial( n, p )
+  {
+    if( p > 0.5 )
+      return n - this.__binomial(n, 1-p);
+
+    const q = 1-p;
+    if( n*p < 10 )
+    {
+      // INVERSION (see NumPy's random_binomial_inversion)
+      const qn = Math.exp( n*Math.log1p(-p) ),
+         bound = Math.min( n, n*p + 10*Math.sqrt(n*p*q + 1) );
+      let X = 0,
+         px = qn,
+          U = this.uniform(0,1);
+      while( U > px ) {
+        if( ++X > bound ) {
+          X = 0;
+          px = qn;
+          U = this.uniform(0,1);
+        }
+        else {
+          U -= px;
+          px = (n-X+1) * p * px / (X*q);
+        }
+      }
+      return X;
+    }
+
+    // BTRD: W. Hörmann, "The generation of binomial random variates", 1993.
+    const spq = Math.sqrt(n*p*q),
+            b = 1.15 + 2.53*spq,
+            a = -0.0873 + 0.0248*b + 0.01*p,
+            c = n*p + 0.5,
+           vr = 0.92 - 4.2/b,
+        alpha = (2.83 + 5.1/b) * spq,
+          lpq = Math.log(p/q),
+            m = Math.floor( (n+1)*p ),
+            h = _log_factorial(m) + _log_factorial(n-m);
+    for(;;)
+    {
+      const U = this.uniform(0,1) - 0.5,
+            V = this.uniform(0,1),
+           us = 0.5 - Math.abs(U),
+            k = Math.floor( (2*a/us + b)*U + c );
+      if( k < 0 || k > n )
+        continue;
+      if( us >= 0.07 && V <= vr )
+        return k;
+      if( Math.log( V*alpha / (a/(us*us) + b) ) <= h - _log_factorial(k) - _log_factorial(n-k) + (k-m)*lpq )
+        return k;
+    }
+  }
+
+
+  binomial( n, p, shape )
+  {
+    if( !(n >= 0) || n%1 !== 0 || n > 0x7FFFFFFF ) throw new Error('RNG::binomial(n,p,shape): n must be a non-negative int32.');
+    p *= 1; if( !(p >= 0 && p <= 1) ) throw new Error('RNG::binomial(n,p,shape): p must be a number in the range [0,1].');
+    return this.__sample('binomial(n,p,shape)', 'int32', shape, () => this.__binomial(n,p));
+  }
+
+
+  multinomial( n, pvals, shape )
+  {
+    if( !(n >= 0) || n%1 !== 0 || n > 0x7FFFFFFF ) throw new Error('RNG::multinomial(n,pvals,shape): n must be a non-negative int32.');
+    pvals = Float64Array.from( asarray(pvals).data );
+    const K = pvals.length;
+    if( K < 1 || ! pvals.every(p => p >= 0) ) throw new Error('RNG::multinomial(n,pvals,shape): pvals must be a non-empty array of non-negative numbers.');
+    if( pvals.subarray(0,-1).reduce((s,p) => s+p, 0) > 1 + 1e-12 ) throw new Error('RNG::multinomial(n,pvals,shape): sum(pvals[:-1]) must not be greater than 1.');
+
+    // DRAW EACH COUNT FROM THE CONDITIONAL BINOMIAL DISTRIBUTION, THE LAST CATEGORY TAKES THE REMAINDER
+    return this.__sample_vec('multinomial(n,pvals,shape)', 'int32', shape, K, (data,off) => {
+      let rest = n,
+          psum = 1;
+      for( let i=0; i < K-1 && rest > 0; i++ ) {
+        const x = psum > 0 ? this.__binomial( rest, Math.min(1, Math.max(0, pvals[i] / psum)) ) : 0;
+        data[off+i] = x;
+        rest -= x;
+        psum -= pvals[i];
+      }
+      data[off+K-1] += rest;
+    });
+  }
+
+
+  dirichlet( alpha, shape )
+  {
+    alpha = Float64Array.from( asarray(alpha).data );
+    const K = alpha.length;
+    if( K < 1 || ! alpha.every(a => a > 0 && isFinite(a)) ) throw new Error('RNG::dirichlet(alpha,shape): alpha must be a non-empty array of positive numbers.');
+
+    return this.__sample_vec('dirichlet(alpha,shape)', 'float64', shape, K, (data,off) => {
+      let sum = 0;
+      for( let i=0; i < K; i++ )
+        sum += data[off+i] = this.__gamma(alpha[i]);
+      for( let i=0; i < K; i++ )
+        data[off+i] /= sum;
+    });
+  }
+
+
+  multivariate_normal( mean, cov, shape )
+  {
+    mean = asarray(mean);
+    if( mean.ndim !== 1 ) throw new Error('RNG::multivariate_normal(mean,cov,shape): mean must be 1D.');
+    const [N] = mean.shape;
+    cov = asarray(cov);
+    if( cov.ndim !== 2 || cov.shape[0] !== N || cov.shape[1] !== N )
+      throw new Error('RNG::multivariate_normal(mean,cov,shape): cov must be of shape [N,N].');
+
+    // x = mean + L @ z, where cov = L @ L.T and z ~ N(0,I)
+    const L = cholesky_decomp(cov).data,
+          μ = Float64Array.from(mean.data),
+          z = new Float64Array(N);
+
+    return this.__sample_vec('multivariate_normal(mean,cov,shape)', 'float64', shape, N, (data,off) => {
+      for( let i=0; i < N; i++ )
+        z[i] = this.normal();
+      for( let i=0; i < N; i++ ) {
+        let sum = μ[i];
+        for( let j=0; j <= i; j++ )
+          sum += L[N*i+j] * z[j];
+        data[off+i] = sum;
+      }
+    });
+  }
+
+
+  /** Returns the population as NDArray and its weights as cumulative sums (or null).
+   */
+  __population( name, population, weights )
+  {
+    population = asarray(population);
+    if( population.ndim !== 1 ) throw new Error(`RNG::${name}: population must be 1D.`);
+    const [N] = population.shape;
+
+    if( null == weights )
+      return [population, null];
+
+    weights = Float64Array.from( asarray(weights).data );
+    if( weights.length !== N ) throw new Error(`RNG::${name}: weights must have the same length as population.`);
+    if( ! weights.every(w => w >= 0 && isFinite(w)) ) throw new Error(`RNG::${name}: weights must be non-negative numbers.`);
+    if( ! weights.some(w => w > 0) ) throw new Error(`RNG::${name}: weights must not all be zero.`);
+    return [population, weights];
+  }
+
+
+  choice( population, weights, shape )
+  {
+    const name = 'choice(population,weights,shape)';
+    [population, weights] = this.__population(name, population, weights);
+    const [N] = population.shape,
+         data = population.data;
+
+    let draw;
+    if( null == weights )
+      draw = () => data[ this.int(N) ];
+    else
+    {
+      const cumsum = new Float64Array(N);
+      for( let i=0, sum=0; i < N; i++ )
+        cumsum[i] = sum += weights[i];
+      const total = cumsum[N-1];
+
+      draw = () => {
+        const u = this.uniform(0,total);
+        let i = binary_rangesearch(0,N, i => cumsum[i] <= u ? -1 : +1);
+        i = Math.min(N-1, ~i);
+        while( 0 === weights[i] ) --i; // <- u may have been rounded up to the end of an empty bucket
+        return data[i];
+      };
+    }
+
+    return this.__sample(name, population.dtype, shape, draw);
+  }
+
+
+  sample( population, k, weights )
+  {
+    const name = 'sample(population,k,weights)';
+    [population, weights] = this.__population(name, population, weights);
+    const [N] = population.shape,
+         data = population.data;
+
+    if( !(k >= 1) || k%1 !== 0 ) throw new Error(`RNG::${name}: k must be a positive int.`);
+    if( k > (null == weights ? N : weights.filter(w => w > 0).length) )
+      throw new Error(`RNG::${name}: k must not be greater than the number of (non-zero weighted) items in population.`);
+
+    let idx;
+    if( null == weights ) {
+      // PARTIAL FISHER-YATES SHUFFLE
+      idx = Int32Array.from({length: N}, (_,i) => i);
+      for( let i=0; i < k; i++ ) {
+        const j = this.int(i,N),
+             tj = idx[j];
+        idx[j] = idx[i];
+        idx[i] = tj;
+      }
+    }
+    else {
+      // P.S. Efraimidis, P.G. Spirakis, "Weighted random sampling with a reservoir", 2006.
+      const keys = Float64Array.from(weights, w => Math.log1p( -this.uniform(0,1) ) / w);
+      idx = Int32Array.from({length: N}, (_,i) => i).sort( (i,j) => keys[j] - keys[i] );
+    }
+
+    const result = new ARRAY_TYPES[population.dtype](k);
+    for( let i=0; i < k; i++ )
+      result[i] = data[idx[i]];
+    return new NDArray(Int32Array.of(k), result);
+  }
+
+
+  ortho( dtype, ...shape )
+  {
+    // REFERENCES:
+    //   - https://blogs.sas.com/content/iml/2012/03/28/generating-a-random-orthogonal-matrix.html
+    if( ! (dtype in ARRAY_TYPES) ) {
+      shape.unshift(dtype);
+      dtype = 'float64';
+    }
+
+    if( shape.length  <  1 ) throw new Error(`RNG::orthogonal([dtype,] ...shape): shape.length must be at least 1.`);
+    if( shape.length === 1 )
+        shape.push(shape[0]);
+
+    for( let i=shape.length; i-- > 0; )
+      if( shape[i] % 1 !== 0 || shape[i] < 1 )
+        throw new Error(`RNG::orthogonal([dtype,] ...shape): shape[${i}] = ${shape[i]} not a positive integer.`);
+    shape = Int32Array.from(shape);
+
+    const [M,N] = shape.subarray(-2),
+           K    = Math.max(M,N),
+             L  = Math.min(M,N);
+
+    const     DTypeArray = ARRAY_TYPES[dtype],
+      U = new DTypeArray( shape.reduce((x,y) => x*y) ),
+      Q = new Float64Array(K*L);
+
+    for( let U_off=U.length; (U_off-=M*N) >= 0; )
+    {
+      // INIT Q TO IDENTITY
+      for( let i=K; i-- > 0; )
+      for( let j=L; j-- > 0; )
+        Q[L*i+j] = i!==j ? 0 : (this.bool() ? -1 : +1); // <- randomly flips sign of det(Q)
+
+      // PSEUDO QR DECOMPOSITION
+      // -----------------------
+      // A vector with random entries drawn from a normal distribution multiplied by
+      // an orthogonal matrix results in another vector with random normal entries.
+      // This fact allows us to draw the entries of the QR decomposed matrix "on-the-fly",
+      // avoiding the memory and computation overhead of the decomposed matrix.
+      for( let j=0; j < K; j++ )
+      {
+        let A_jj = this.normal();
+
+        for( let i=j; ++i < K; )
+        {
+          const   A_ij = this.normal(),
+            [c,s,norm] =_giv_rot_qr(A_jj,A_ij);
+          if( 0 === s ) continue;        A_jj = norm;
+          _giv_rot_rows(Q, Math.min(i+1,L), L*j,L*i, c,s);
+        }
+      }
+
+      // COPY Q -> U (potentially transposing the entries)
+      for( let i=K; i-- > 0; )
+      for( let j=L; j-- > 0; )
+        U[U_off + (M < N ? N*j+i : N*i+j)] = Q[L*i+j];
+    }
+
+    return new NDArray(shape,U);
+  }}
@@ -0,0 +1,296 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {forEachItemIn, CUSTOM_MATCHERS} from "../jasmine_utils";
+
+import {AleaRNG} from './alea_rng';
+import {PCG64RNG} from './pcg64_rng';
+import {RNG} from './rng';
+import {SEEDS} from "./alea_rng_test_data";
+import {Xoshiro256RNG} from './xoshiro256_rng';
+
+
+for( const RNG_T of [AleaRNG, PCG64RNG, Xoshiro256RNG] )
+{
+  describe(`${RNG_T.name} (state)`, () => {
+    beforeEach( () => {
+      jasmine.addMatchers(CUSTOM_MATCHERS)
+    });
+
+
+    const draw = rng => [
+      rng.uniform(), rng.normal(), rng.int(1000), rng.normal()
+    ];
+
+
+    it('is an RNG', () => {
+      expect( new RNG_T(0) ).toEqual( jasmine.any(RNG) );
+    });
+
+
+    forEachItemIn(
+      SEEDS.slice(0,8)
+    ).it('setState(getState()) reproduces the same stream', seed => {
+      const rng = new RNG_T(seed);
+      draw(rng);
+      rng.normal(); // <- leaves a cached normal sample in the state
+
+      const state = JSON.parse( JSON.stringify( rng.getState() ) ),
+            x = draw(rng),
+            y = draw(rng);
+
+      const other = new RNG_T('some other seed');
+      other.setState(state);
+      expect( draw(other) ).toEqual(x);
+      rng.setState(state);
+      expect( draw(rng) ).toEqual(x);
+      expect( draw(rng) ).toEqual(y);
+    });
+
+
+    forEachItemIn(
+      SEEDS.slice(0,8)
+    ).it('fork() returns a generator with an independent stream', seed => {
+      const rng = new RNG_T(seed),
+          child = rng.fork();
+      expect(child).toEqual( jasmine.any(RNG_T) );
+      expect(child).not.toBe(rng);
+
+      const x = draw(child),
+            y = draw(rng);
+      expect(x).not.toEqual(y);
+
+      const rng2 = new RNG_T(seed);
+      expect( draw(rng2.fork()) ).toEqual(x);
+      expect( draw(rng2       ) ).toEqual(y);
+    });
+
+
+    forEachItemIn(
+      SEEDS.slice(0,8)
+    ).it('bool() returns both true and false with equal probability', seed => {
+      const rng = new RNG_T(seed),
+            N = 4096;
+      let nTrue = 0;
+      for( let i=N; i-- > 0; ) {
+        const b = rng.bool();
+        expect(typeof b).toBe('boolean');
+        nTrue += b;
+      }
+      // ±5 standard deviations
+      expect(nTrue).toBeGreaterThan(N/2 - 5*Math.sqrt(N)/2);
+      expect(nTrue).toBeLessThan   (N/2 + 5*Math.sqrt(N)/2);
+    });
+
+
+    forEachItemIn(
+      SEEDS.slice(0,8)
+    ).it('supports shuffle() and ortho()', seed => {
+      const rng = new RNG_T(seed),
+            arr = Array.from({length: 32}, (_,i) => i);
+      rng.shuffle(arr);
+      expect( arr.slice().sort((x,y) => x-y) ).toEqual( Array.from({length: 32}, (_,i) => i) );
+
+      const Q = rng.ortho(3).data;
+      for( let i=0; i < 3; i++ )
+      for( let j=0; j < 3; j++ ) {
+        let dot = 0;
+        for( let k=0; k < 3; k++ )
+          dot += Q[3*i+k] * Q[3*j+k];
+        expect(dot).toBeCloseTo(i===j ? 1 : 0, 12);
+      }
+    });
+  });
+
+
+  describe(`${RNG_T.name} (distributions)`, () => {
+    beforeEach( () => {
+      jasmine.addMatchers(CUSTOM_MATCHERS)
+    });
+
+
+    const moments = x => {
+      x = x.data;
+      const n = x.length,
+            E = x.reduce((E,x) => E +  x      , 0) / n,
+            s = x.reduce((s,x) => s + (x-E)**2, 0) / n;
+      return [E,s];
+    };
+
+
+    for( const [name, args, dtype, E, s] of [
+      ['exponential', [2],         'float64', 0.5, 0.25],
+      ['gamma',       [0.3, 2],    'float64', 0.6, 1.2],
+      ['gamma',       [5, 1],      'float64', 5, 5],
+      ['beta',        [0.5, 0.7],  'float64', 0.5/1.2, 0.35/(1.2*1.2*2.2)],
+      ['beta',        [3, 2],      'float64', 0.6, 0.04],
+      ['chi2',        [3],         'float64', 3, 6],
+      ['student_t',   [5],         'float64', 0, 5/3],
+      ['poisson',     [3],         'int32',   3, 3],
+      ['poisson',     [47.5],      'int32',   47.5, 47.5],
+      ['poisson',     [1e6],       'int32',   1e6, 1e6],
+      ['binomial',    [20, 0.3],   'int32',   6, 4.2],
+      ['binomial',    [1000, 0.4], 'int32',   400, 240],
+      ['binomial',    [1000, 0.9], 'int32',   900, 90],
+    ])
+      forEachItemIn(
+        SEEDS.slice(0,4)
+      ).it(`${name}(${args},shape) has correct mean and variance`, seed => {
+        const rng = new RNG_T(seed),
+                x = rng[name](...args, [200,250]);
+        expect(x.dtype).toBe(dtype);
+        expect(x.shape).toEqual( Int32Array.of(200,250) );
+
+        const [e,v] = moments(x);
+        expect(e).toBeAllCloseTo(E, {rtol:0, atol:5*Math.sqrt(s / 50e3)});
+        expect(v).toBeAllCloseTo(s, {rtol:0.05, atol:0});
+      });
+
+
+    forEachItemIn(
+      SEEDS.slice(0,4)
+    ).it('gamma, poisson and binomial return scalars if shape is undefined', seed => {
+      const rng = new RNG_T(seed);
+      expect( typeof rng.gamma(2) ).toBe('number');
+      expect( Number.isInteger( rng.poisson(4) ) ).toBe(true);
+      expect( Number.isInteger( rng.binomial(8,0.5) ) ).toBe(true);
+    });
+
+
+    forEachItemIn(
+      SEEDS.slice(0,4)
+    ).it('is reproducible from the seed', seed => {
+      const draw = () => {
+        const rng = new RNG_T(seed);
+        return [
+          rng.gamma(1.5, 1, 8),
+          rng.poisson(20, 8),
+          rng.binomial(100, 0.2, 8),
+          rng.dirichlet([1,2], 4),
+          rng.sample([1,2,3,4,5,6], 3, [1,1,2,2,3,3])
+        ].map(x => Array.from(x.data));
+      };
+      expect( draw() ).toEqual( draw() );
+    });
+
+
+    forEachItemIn(
+      SEEDS.slice(0,4)
+    ).it('multinomial(n,pvals,shape) returns counts summing to n with correct means', seed => {
+      const rng = new RNG_T(seed),
+          pvals = [0.1, 0.2, 0.3, 0.4],
+              x = rng.multinomial(50, pvals, [100,100]);
+      expect(x.dtype).toBe('int32');
+      expect(x.shape).toEqual( Int32Array.of(100,100,4) );
+
+      const E = new Float64Array(4);
+      for( let off=0; off < x.data.length; off += 4 ) {
+        let sum = 0;
+        for( let i=0; i < 4; i++ ) {
+          sum  += x.data[off+i];
+          E[i] += x.data[off+i] / 1e4;
+        }
+        expect(sum).toBe(50);
+      }
+      expect(E).toBeAllCloseTo(pvals.map(p => 50*p), {rtol:0, atol:0.1});
+    });
+
+
+    forEachItemIn(
+      SEEDS.slice(0,4)
+    ).it('dirichlet(alpha,shape) returns points on the simplex with correct means', seed => {
+      const rng = new RNG_T(seed),
+          alpha = [0.5, 1, 2.5],
+              x = rng.dirichlet(alpha, 20e3);
+      expect(x.shape).toEqual( Int32Array.of(20e3,3) );
+
+      const E = new Float64Array(3);
+      for( let off=0; off < x.data.length; off += 3 ) {
+        expect(x.data[off] + x.data[off+1] + x.data[off+2]).toBeCloseTo(1, 12);
+        for( let i=0; i < 3; i++ )
+          E[i] += x.data[off+i] / 20e3;
+      }
+      expect(E).toBeAllCloseTo(alpha.map(a => a/4), {rtol:0, atol:1e-2});
+    });
+
+
+    forEachItemIn(
+      SEEDS.slice(0,4)
+    ).it('multivariate_normal(mean,cov,shape) has correct mean and covariance', seed => {
+      const rng = new RNG_T(seed),
+           mean = [1,-2,3],
+            cov = [[4,1,0.5],
+                   [1,2,0  ],
+                   [0.5,0,1]],
+              x = rng.multivariate_normal(mean, cov, 50e3).data;
+
+      const E = new Float64Array(3),
+            C = new Float64Array(9);
+      for( let off=0; off < x.length; off += 3 )
+      for( let i=0; i < 3; i++ ) {
+        E[i] += x[off+i] / 50e3;
+        for( let j=0; j < 3; j++ )
+          C[3*i+j] += (x[off+i]-mean[i]) * (x[off+j]-mean[j]) / 50e3;
+      }
+      expect(E).toBeAllCloseTo(mean,       {rtol:0, atol:0.05});
+      expect(C).toBeAllCloseTo(cov.flat(), {rtol:0, atol:0.1});
+    });
+
+
+    forEachItemIn(
+      SEEDS.slice(0,4)
+    ).it('choice(population,weights,shape) draws proportional to weights', seed => {
+      const rng = new RNG_T(seed),
+              x = rng.choice(['a','b','c','d'], [1,0,2,5], 40e3);
+      expect(x.shape).toEqual( Int32Array.of(40e3) );
+
+      const counts = {a: 0, b: 0, c: 0, d: 0};
+      for( const c of x.data ) counts[c] += 1 / 40e3;
+      expect(counts.b).toBe(0);
+      expect([counts.a, counts.c, counts.d]).toBeAllCloseTo([1/8, 2/8, 5/8], {rtol:0, atol:1e-2});
+    });
+
+
+    forEachItemIn(
+      SEEDS.slice(0,4)
+    ).it('sample(population,k) draws without replacement uniformly', seed => {
+      const rng = new RNG_T(seed),
+         counts = new Float64Array(6);
+      for( let run=0; run < 6e3; run++ ) {
+        const x = rng.sample([0,1,2,3,4,5], 3);
+        expect( new Set(x.data).size ).toBe(3);
+        for( const i of x.data ) counts[i] += 1/6e3;
+      }
+      expect(counts).toBeAllCloseTo(0.5, {rtol:0, atol:0.03});
+    });
+
+
+    forEachItemIn(
+      SEEDS.slice(0,4)
+    ).it('sample(population,k,weights) draws first item proportional to weights', seed => {
+      const rng = new RNG_T(seed),
+         counts = new Float64Array(3);
+      for( let run=0; run < 20e3; run++ ) {
+        const x = rng.sample([0,1,2], 2, [1,2,3]);
+        expect(x.data[0]).not.toBe(x.data[1]);
+        counts[x.data[0]] += 1/20e3;
+      }
+      expect(counts).toBeAllCloseTo([1/6, 2/6, 3/6], {rtol:0, atol:1.5e-2});
+    });
+  });
+}
@@ -0,0 +1,140 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {AleaRNG} from './alea_rng';
+import {RNG} from './rng';
+
+
+// jump polynomial for 2¹²⁸ steps as 32-bit words (least significant first)
+const JUMP = Uint32Array.of(
+  0x3cfd0aba, 0x180ec6d3,
+  0xf0c9392c, 0xd5a61266,
+  0xe03fc9aa, 0xa9582618,
+  0x29b1661c, 0x39abdc45
+);
+
+// scratch memory
+const OUT = new Uint32Array(2);
+
+
+// xoshiro256** generator with a 256-bit state and 64-bit output. Since JS has no
+// fast 64-bit integer arithmetic, each 64-bit word is stored as two 32-bit halves.
+//
+// REFERENCES
+// ----------
+// .. [1] D. Blackman, S. Vigna, "Scrambled Linear Pseudorandom Number Generators", 2018.
+//        https://prng.di.unimi.it/
+//
+export class Xoshiro256RNG extends RNG
+{
+  constructor( seed )
+  {
+    super();
+    if( seed == null )
+      throw new Error('Xoshiro256RNG(seed): seed must not be null.');
+
+    // state layout: [s0.lo, s0.hi, s1.lo, s1.hi, s2.lo, s2.hi, s3.lo, s3.hi]
+    const alea = new AleaRNG(seed),
+             s = new Uint32Array(8);
+    do {
+      for( let i=0; i < 8; i++ )
+        s[i] = alea.int(0, 2**32);
+    }
+    while( s.every(x => x === 0) );
+
+    this.__s = s;
+    Object.seal(this);
+  }
+
+
+  __next64( out )
+  {
+    const s = this.__s;
+    let lo,hi,t;
+
+    // out = rotl(s1*5, 7) * 9
+    lo = s[2] * 5;
+    hi = s[3] * 5 + Math.floor(lo / 2**32) >>> 0;
+    lo >>>= 0;
+    t  = hi;
+    hi = (hi << 7 | lo >>> 25) >>> 0;
+    lo = (lo << 7 | t  >>> 25) >>> 0;
+    t  = lo * 9;
+    out[1] = hi * 9 + Math.floor(t / 2**32) >>> 0;
+    out[0] = t >>> 0;
+
+    // t = s1 << 17
+    const t_lo = s[2] << 17,
+          t_hi = s[3] << 17 | s[2] >>> 15;
+
+    s[4] ^= s[0]; s[5] ^= s[1]; // s2 ^= s0
+    s[6] ^= s[2]; s[7] ^= s[3]; // s3 ^= s1
+    s[2] ^= s[4]; s[3] ^= s[5]; // s1 ^= s2
+    s[0] ^= s[6]; s[1] ^= s[7]; // s0 ^= s3
+    s[4] ^= t_lo; s[5] ^= t_hi; // s2 ^= t
+
+    // s3 = rotl(s3, 45) = rotl(swap(s3), 13)
+    lo = s[7];
+    hi = s[6];
+    s[6] = lo << 13 | hi >>> 19;
+    s[7] = hi << 13 | lo >>> 19;
+  }
+
+
+  __random()
+  {
+    const out = OUT;
+    this.__next64(out);
+    return (out[1] * 0x200000 + (out[0] >>> 11)) * 2**-53;
+  }
+
+
+  __getState() {
+    return { s: Array.from(this.__s) };
+  }
+
+
+  __setState( state )
+  {
+    const {s} = state;
+    if( null == s || s.length !== 8 || ! Array.prototype.every.call(s, x => 0 <= x && x < 2**32 && x%1 === 0) )
+      throw new Error('Xoshiro256RNG::setState(state): state.s must be an array of 8 uint32 values.');
+    if( Array.prototype.every.call(s, x => x == 0) )
+      throw new Error('Xoshiro256RNG::setState(state): state.s must not be all zeros.');
+    this.__s.set(s);
+  }
+
+
+  /** Advances the state by 2¹²⁸ steps.
+   */
+  jump()
+  {
+    const s = this.__s,
+        acc = new Uint32Array(8),
+        out = OUT;
+    for( let i=0; i < 8; i++ )
+    for( let b=0; b < 32; b++ ) {
+      if( JUMP[i] >>> b & 1 )
+        for( let j=0; j < 8; j++ )
+          acc[j] ^= s[j];
+      this.__next64(out);
+    }
+    s.set(acc);
+    this.__nextNormal = NaN;
+  }
+}
@@ -0,0 +1,70 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {Xoshiro256RNG} from './xoshiro256_rng';
+
+
+const next64 = rng => {
+  const out = new Uint32Array(2);
+  rng.__next64(out);
+  return BigInt(out[1]) << 32n | BigInt(out[0]);
+};
+
+
+describe('Xoshiro256RNG', () => {
+  it('matches the output of the xoshiro256** reference implementation', () => {
+    const rng = new Xoshiro256RNG(0);
+    rng.setState({s: [1,0, 2,0, 3,0, 4,0]});
+
+    expect( Array.from({length: 6}, () => next64(rng)) ).toEqual([
+      11520n,
+      0n,
+      1509978240n,
+      1215971899390074240n,
+      1216172134540287360n,
+      607988272756665600n
+    ]);
+  });
+
+
+  it('jump() advances the state by 2**128 steps', () => {
+    // expected state computed via the 2**128-th power of the (GF(2)) transition matrix
+    const rng = new Xoshiro256RNG(0);
+    rng.setState({s: [
+      0x12345678, 0x9abcdef0,
+      0x0fedcba9, 0x87654321,
+      0xdeadbeef, 0xcafebabe,
+      0x01234567, 0x89abcdef
+    ]});
+    rng.jump();
+    expect( rng.getState().s ).toEqual([
+      0x49f40ffd, 0xf40aaa34,
+      0xfe7588f1, 0xa603a9e8,
+      0xa95ef519, 0x1967210a,
+      0x760ebffd, 0x6366ceb2
+    ]);
+  });
+
+
+  it('setState(state) rejects invalid states', () => {
+    const rng = new Xoshiro256RNG(0);
+    expect( () => rng.setState({s: [0,0,0,0,0,0,0,0]}) ).toThrow();
+    expect( () => rng.setState({s: [1,2,3]}) ).toThrow();
+    expect( () => rng.setState({s: [1,2,3,4,5,6,7,2**32]}) ).toThrow();
+  });
+});
@@ -0,0 +1,401 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {ARRAY_TYPES} from './dt'
+import {KahanSum} from './kahan_sum'
+import {math} from './math'
+import {asarray, NDArray} from './nd_array'
+
+
+/** Returns the sorted list of (non-negative) axes to be reduced.
+ */
+function _axes( name, ndim, axis )
+{
+  if( null == axis )
+    return Array.from({length: ndim}, (_,i) => i);
+
+  if( axis instanceof NDArray ) axis = axis._flat_data();
+  if( 'number' === typeof axis ) axis = [axis];
+
+  const axes = [];
+  for( let ax of axis )
+  {
+    if( ax % 1 !== 0 ) throw new Error(`${name}(A,axis): Invalid axis ${ax}.`);
+    if( ax < 0 ) ax += ndim;
+    if( ax < 0 || ax >= ndim ) throw new Error(`${name}(A,axis): Axis ${ax} out of bounds for A.ndim=${ndim}.`);
+    if( axes.includes(ax) ) throw new Error(`${name}(A,axis): Duplicate axis ${ax}.`);
+    axes.push(ax);
+  }
+  return axes.sort( (a,b) => a-b );
+}
+
+
+/** Returns the offsets (into the data array) of all entries in the subspace spanned by the given axes.
+ */
+function _offsets( shape, strides, axes, offset )
+{
+  let offsets = Int32Array.of(offset);
+  for( const d of axes )
+  {
+    const n = shape[d],
+       next = new Int32Array(offsets.length*n);
+    for( let i=0, k=0; i < offsets.length; i++ )
+    for( let j=0; j < n; j++ )
+      next[k++] = offsets[i] + j*strides[d];
+    offsets = next;
+  }
+  return offsets;
+}
+
+
+/** Calls kernel(X,x,offsets,Y,y) for each entry Y[y] of the result, where X[x+offsets[i]]
+ *  are the entries of A that are reduced to Y[y]. For complex A, X is the interleaved storage
+ *  and x and offsets point to the real parts. Complex results are written to Y[2*y] and Y[2*y+1].
+ *  Reductions over all axes without keepdims return a scalar.
+ */
+function _reduce( name, A, axis, keepdims, dtype, kernel )
+{
+  const axes = _axes(name, A.ndim, axis),
+        kept = A.shape.reduce( (kept,_,d) => axes.includes(d) ? kept : [...kept,d], [] ),
+       outer = _offsets(A.shape, A.strides, kept, A.offset),
+       inner = _offsets(A.shape, A.strides, axes, 0);
+
+  let X = A._data;
+  if( A.dtype.startsWith('complex') ) {
+    X = X._array;
+    for( let i=outer.length; i-- > 0; ) outer[i] *= 2;
+    for( let i=inner.length; i-- > 0; ) inner[i] *= 2;
+  }
+
+  const       M = outer.length,
+        complex = dtype.startsWith('complex');
+  let Y = complex ? new ARRAY_TYPES[dtype](M)._array : new ARRAY_TYPES[dtype](M);
+  for( let y=0; y < M; y++ )
+    kernel(X, outer[y], inner, Y, y);
+  if( complex )
+    Y = new ARRAY_TYPES[dtype](Y.buffer, 0, M);
+
+  if( ! keepdims && 0 === kept.length )
+    return Y[0];
+
+  const shape = keepdims ? A.shape.map( (s,d) => axes.includes(d) ? 1 : s )
+                         : Int32Array.from(kept, d => A.shape[d]);
+  return new NDArray(shape, Y);
+}
+
+
+/** Booleans and 64-bit integers are converted to numbers for arithmetic reductions.
+ *  Sums and products of 64-bit integers are handled separately using BigInt arithmetic.
+ */
+function _arithmetic_operand( A )
+{
+  A = asarray(A);
+  if( 'bool' === A.dtype ) return asarray('uint8', A);
+  if( A.dtype.endsWith('int64') ) return asarray('float64', A);
+  return A;
+}
+
+
+const _is_nan = (X,i) => isNaN(X[i]);
+const _is_cnan = (X,i) => isNaN(X[i]) || isNaN(X[i+1]);
+
+
+/** Returns the (compensated) sum of X[x+offsets[i]]. The plain sum is used as fallback
+ *  if the compensated sum is not finite since KahanSum turns infinities into NaN.
+ */
+function _sum_real( kahan, X, x, offsets, skip )
+{
+  kahan.set(0);
+  let sum = 0;
+  for( let i=0; i < offsets.length; i++ )
+  {
+    const j = x + offsets[i];
+    if( null != skip && skip(X,j) ) continue;
+    kahan.add(X[j]);
+    sum     +=X[j];
+  }
+  return isFinite(kahan.sum) ? kahan.sum : sum;
+}
+
+
+function _plain_sum_real( X, x, offsets, skip )
+{
+  let sum = 0;
+  for( let i=0; i < offsets.length; i++ ) {
+    const j = x + offsets[i];
+    if( null == skip || ! skip(X,j) )
+      sum += X[j];
+  }
+  return sum;
+}
+
+
+function _count( X, x, offsets, skip )
+{
+  if( null == skip ) return offsets.length;
+  let count = 0;
+  for( let i=0; i < offsets.length; i++ )
+    if( ! skip(X, x+offsets[i]) ) ++count;
+  return count;
+}
+
+
+function _sum_impl( name, A, axis, keepdims, compensated, nan, mean )
+{
+  A = asarray(A);
+
+  // 64-BIT INTEGERS ARE SUMMED UP EXACTLY (AND WRAP AROUND LIKE IN NUMPY)
+  if( A.dtype.endsWith('int64') )
+    return _reduce(name, A, axis, keepdims, mean ? 'float64' : A.dtype, (X,x,offsets,Y,y) => {
+      let sum = 0n;
+      for( let i=0; i < offsets.length; i++ )
+        sum += X[x+offsets[i]];
+      Y[y] = mean ? Number(sum) / offsets.length : sum;
+    });
+
+  A = _arithmetic_operand(A);
+
+  if( 'object' === A.dtype )
+    return _reduce(name, A, axis, keepdims, 'object', (X,x,offsets,Y,y) => {
+      let sum = 0, count = 0;
+      for( let i=0; i < offsets.length; i++ ) {
+        const val = X[x+offsets[i]];
+        if( nan && val != val ) continue;
+        sum = math.add(sum, val);
+        count++;
+      }
+      Y[y] = mean ? math.div(sum,count) : sum;
+    });
+
+  const kahan = new KahanSum(),
+          sum = compensated ? (X,x,offsets,skip) => _sum_real(kahan, X,x,offsets,skip) : _plain_sum_real;
+
+  if( A.dtype.startsWith('complex') )
+  {
+    // for nan-reductions, entries with a NaN real or imaginary part are skipped
+    const skip_re = nan ? _is_cnan : undefined,
+          skip_im = nan ? (X,i) => _is_cnan(X,i-1) : undefined;
+    return _reduce(name, A, axis, keepdims, A.dtype, (X,x,offsets,Y,y) => {
+      const n = mean ? _count(X,x,offsets,skip_re) : 1;
+      Y[2*y  ] = sum(X,x,  offsets,skip_re) / n;
+      Y[2*y+1] = sum(X,x+1,offsets,skip_im) / n;
+    });
+  }
+
+  const skip = nan ? _is_nan : undefined;
+  return _reduce(name, A, axis, keepdims, 'float32' === A.dtype ? 'float32' : 'float64', (X,x,offsets,Y,y) => {
+    Y[y] = sum(X,x,offsets,skip);
+    if( mean ) Y[y] /= _count(X,x,offsets,skip);
+  });
+}
+
+
+function _var_impl( name, A, axis, keepdims, ddof, nan, std )
+{
+  A = _arithmetic_operand(A);
+  if( 'object' === A.dtype ) throw new Error(`${name}(A,axis): A.dtype must not be "object".`);
+  if( ddof % 1 !== 0 || ddof < 0 ) throw new Error(`${name}(A,axis): ddof must be a non-negative integer.`);
+
+  const kahan = new KahanSum(),
+      complex = A.dtype.startsWith('complex'),
+         skip = nan ? (complex ? _is_cnan : _is_nan) : undefined;
+
+  return _reduce(name, A, axis, keepdims, /^(float32|complex64)$/.test(A.dtype) ? 'float32' : 'float64', (X,x,offsets,Y,y) => {
+    const n = _count(X,x,offsets,skip);
+
+    // TWO-PASS ALGORITHM: mean first, then the squared deviations from the mean
+    let mean_re = 0, mean_im = 0;
+    if( complex ) {
+      mean_re = _sum_real(kahan, X,x,  offsets,skip) / n;
+      mean_im = _sum_real(kahan, X,x+1,offsets, skip && ((X,i) => skip(X,i-1)) ) / n;
+    }
+    else
+      mean_re = _sum_real(kahan, X,x,offsets,skip) / n;
+
+    kahan.set(0);
+    let sum = 0;
+    for( let i=0; i < offsets.length; i++ )
+    {
+      const j = x + offsets[i];
+      if( null != skip && skip(X,j) ) continue;
+      let sqr = (X[j] - mean_re)**2;
+      if( complex )
+          sqr+= (X[j+1] - mean_im)**2;
+      kahan.add(sqr);
+      sum     +=sqr;
+    }
+    const ssq = isFinite(kahan.sum) ? kahan.sum : sum,
+          var_= n > ddof ? ssq / (n-ddof) : NaN;
+    Y[y] = std ? Math.sqrt(var_) : var_;
+  });
+}
+
+
+function _prod_impl( name, A, axis, keepdims, nan )
+{
+  A = asarray(A);
+
+  switch( A.dtype )
+  {
+    case  'int64':
+    case 'uint64': {
+      const wrap = 'int64' === A.dtype ? BigInt.asIntN : BigInt.asUintN;
+      return _reduce(name, A, axis, keepdims, A.dtype, (X,x,offsets,Y,y) => {
+        let prod = 1n;
+        for( let i=0; i < offsets.length; i++ )
+          prod = wrap(64, prod*X[x+offsets[i]]);
+        Y[y] = prod;
+      });
+    }
+  }
+
+  A = _arithmetic_operand(A);
+
+  switch( A.dtype )
+  {
+    case 'object':
+      return _reduce(name, A, axis, keepdims, 'object', (X,x,offsets,Y,y) => {
+        let prod = 1;
+        for( let i=0; i < offsets.length; i++ ) {
+          const val = X[x+offsets[i]];
+          if( ! nan || val == val )
+            prod = math.mul(prod, val);
+        }
+        Y[y] = prod;
+      });
+
+    case 'complex64':
+    case 'complex128':
+      return _reduce(name, A, axis, keepdims, A.dtype, (X,x,offsets,Y,y) => {
+        let re = 1, im = 0;
+        for( let i=0; i < offsets.length; i++ )
+        {
+          const j = x + offsets[i];
+          if( nan && _is_cnan(X,j) ) continue;
+          const x_re = X[j], x_im = X[j+1],
+                 tmp = re*x_re - im*x_im;
+          im = re*x_im + im*x_re;
+          re = tmp;
+        }
+        Y[2*y  ] = re;
+        Y[2*y+1] = im;
+      });
+
+    default:
+      return _reduce(name, A, axis, keepdims, 'float32' === A.dtype ? 'float32' : 'float64', (X,x,offsets,Y,y) => {
+        let prod = 1;
+        for( let i=0; i < offsets.length; i++ ) {
+          const val = X[x+offsets[i]];
+          if( ! nan || val === val )
+            prod *= val;
+        }
+        Y[y] = prod;
+      });
+  }
+}
+
+
+/** Returns the index i (in offsets) of the minimum (sign=+1) or maximum (sign=-1) of X[x+offsets[i]].
+ *  NaN values are propagated, i.e. the index of the first NaN is returned unless nan is true,
+ *  in which case NaN values are ignored and -1 is returned if all values are NaN. Complex numbers
+ *  are ordered lexicographically.
+ */
+function _arg_extremum( X, x, offsets, sign, nan, dtype )
+{
+  const complex = dtype.startsWith('complex'),
+         object = 'object'     === dtype,
+         is_nan = complex ? i => _is_cnan(X,i)
+                : object  ? i => X[i] != X[i]
+                :           i => X[i] !== X[i];
+  let arg = -1;
+  for( let i=0; i < offsets.length; i++ )
+  {
+    const j = x + offsets[i];
+    if( is_nan(j) ) {
+      if( nan ) continue;
+      return i;
+    }
+    if( arg < 0 ) { arg = i; continue; }
+
+    const k = x + offsets[arg];
+    let cmp = X[j] < X[k] ? -1 : X[j] > X[k] ? +1 : 0;
+    if( complex && 0 === cmp )
+      cmp = X[j+1] < X[k+1] ? -1 : X[j+1] > X[k+1] ? +1 : 0;
+    if( sign*cmp < 0 )
+      arg = i;
+  }
+  return arg;
+}
+
+
+function _extremum_impl( name, A, axis, keepdims, sign, nan )
+{
+  A = asarray(A);
+  const dtype = A.dtype;
+  return _reduce(name, A, axis, keepdims, dtype, (X,x,offsets,Y,y) => {
+    const i = _arg_extremum(X,x,offsets, sign, nan, dtype);
+    if( dtype.startsWith('complex') ) {
+      Y[2*y  ] = i < 0 ? NaN : X[x+offsets[i]  ];
+      Y[2*y+1] = i < 0 ? NaN : X[x+offsets[i]+1];
+    }
+    else
+      Y[y] = i < 0 ? NaN : X[x+offsets[i]];
+  });
+}
+
+
+function _arg_impl( name, A, axis, keepdims, sign, nan )
+{
+  A = asarray(A);
+  if( null != axis && 'number' !== typeof axis )
+    throw new Error(`${name}(A,axis): axis must be an int or undefined.`);
+  const dtype = A.dtype;
+  return _reduce(name, A, axis, keepdims, 'int32', (X,x,offsets,Y,y) => {
+    const i = _arg_extremum(X,x,offsets, sign, nan, dtype);
+    if( i < 0 ) throw new Error(`${name}(A,axis): All-NaN slice encountered.`);
+    Y[y] = i;
+  });
+}
+
+
+export function sum   ( A, axis, {keepdims=false, compensated=true}={} ) { return _sum_impl('sum',    A, axis, keepdims, compensated, false, false); }
+export function nansum( A, axis, {keepdims=false, compensated=true}={} ) { return _sum_impl('nansum', A, axis, keepdims, compensated, true,  false); }
+
+export function mean   ( A, axis, {keepdims=false, compensated=true}={} ) { return _sum_impl('mean',    A, axis, keepdims, compensated, false, true); }
+export function nanmean( A, axis, {keepdims=false, compensated=true}={} ) { return _sum_impl('nanmean', A, axis, keepdims, compensated, true,  true); }
+
+// `var` is a reserved word and can only be used as export name
+function _var( A, axis, {keepdims=false, ddof=0}={} ) { return _var_impl('var', A, axis, keepdims, ddof, false, false); }
+export {_var as var}
+export function nanvar( A, axis, {keepdims=false, ddof=0}={} ) { return _var_impl('nanvar', A, axis, keepdims, ddof, true,  false); }
+
+export function std   ( A, axis, {keepdims=false, ddof=0}={} ) { return _var_impl('std',    A, axis, keepdims, ddof, false, true); }
+export function nanstd( A, axis, {keepdims=false, ddof=0}={} ) { return _var_impl('nanstd', A, axis, keepdims, ddof, true,  true); }
+
+export function prod   ( A, axis, {keepdims=false}={} ) { return _prod_impl('prod',    A, axis, keepdims, false); }
+export function nanprod( A, axis, {keepdims=false}={} ) { return _prod_impl('nanprod', A, axis, keepdims, true ); }
+
+export function min   ( A, axis, {keepdims=false}={} ) { return _extremum_impl('min',    A, axis, keepdims, +1, false); }
+export function max   ( A, axis, {keepdims=false}={} ) { return _extremum_impl('max',    A, axis, keepdims, -1, false); }
+export function nanmin( A, axis, {keepdims=false}={} ) { return _extremum_impl('nanmin', A, axis, keepdims, +1, true ); }
+export function nanmax( A, axis, {keepdims=false}={} ) { return _extremum_impl('nanmax', A, axis, keepdims, -1, true ); }
+
+export function argmin   ( A, axis, {keepdims=false}={} ) { return _arg_impl('argmin',    A, axis, keepdims, +1, false); }
+export function argmax   ( A, axis, {keepdims=false}={} ) { return _arg_impl('argmax',    A, axis, keepdims, -1, false); }
+export function nanargmin( A, axis, {keepdims=false}={} ) { return _arg_impl('nanargmin', A, axis, keepdims, +1, true ); }
+export function nanargmax( A, axis, {keepdims=false}={} ) { return _arg_impl('nanargmax', A, axis, keepdims, -1, true ); }
@@ -0,0 +1,323 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {ARRAY_TYPES, Complex} from './dt'
+import {forEachItemIn, CUSTOM_MATCHERS} from './jasmine_utils'
+import {math} from './math'
+import {array, NDArray} from './nd_array'
+
+import * as reductions from './reductions'
+
+
+describe('reductions', () => {
+  beforeEach( () => {
+    jasmine.addMatchers(CUSTOM_MATCHERS)
+  })
+
+
+  const is_nan = x => x instanceof Complex ? false : isNaN(x),
+        cmp = (x,y) => {
+          x = new Complex(x);
+          y = new Complex(y);
+          return x.re !== y.re ? x.re - y.re : x.im - y.im;
+        };
+
+  // REFERENCE IMPLEMENTATIONS (ON PLAIN ARRAYS OF ENTRIES)
+  const mean = xs => xs.reduce(math.add, 0) / xs.length,
+        vari = (xs, ddof) => {
+          const μ = xs.reduce(math.add, 0),
+                n = xs.length;
+          return xs.map( x => math.abs( math.sub(x, math.div(μ,n)) )**2 ).reduce( (a,b) => a+b, 0 ) / (n-ddof);
+        },
+      argext = (xs, sign) => {
+        const i = xs.findIndex(is_nan);
+        if( i >= 0 ) return i;
+        return xs.reduce( (arg,x,i) => sign*cmp(x, xs[arg]) < 0 ? i : arg, 0 );
+      };
+
+  const REFS = {
+    sum : xs => xs.reduce(math.add, 0),
+    mean: xs => math.div( xs.reduce(math.add, 0), xs.length ),
+    var : xs => vari(xs, 0),
+    std : xs => Math.sqrt( vari(xs, 0) ),
+    prod: xs => xs.reduce(math.mul, 1),
+    min : xs => xs[argext(xs,+1)],
+    max : xs => xs[argext(xs,-1)],
+    argmin: xs => argext(xs,+1),
+    argmax: xs => argext(xs,-1)
+  };
+
+
+  /** Yields the multi-indices and entries of A. Complex entries with NaN parts are yielded as NaN.
+   */
+  function* entries( A )
+  {
+    const idx = new Int32Array(A.ndim);
+    for( let i=0; i < A.data.length; i++ )
+    {
+      let val = A.data;
+      if( 'complex128' === A.dtype ) {
+        const re = val._array[2*i],
+              im = val._array[2*i+1];
+        val = isNaN(re) || isNaN(im) ? NaN : new Complex(re,im);
+      }
+      else
+        val = val[i];
+      yield [idx.slice(), val];
+
+      for( let d=A.ndim; d-- > 0; ) {
+        if( ++idx[d] < A.shape[d] ) break;
+        idx[d] = 0;
+      }
+    }
+  }
+
+
+  /** Groups the entries of A by their indices along the axes that are not reduced.
+   */
+  function group( A, axes )
+  {
+    const groups = new Map();
+    for( const [idx,val] of entries(A) ) {
+      const key = [...idx].map( (i,d) => axes.includes(d) ? 0 : i ).join();
+      if( ! groups.has(key) ) groups.set(key, []);
+      groups.get(key).push(val);
+    }
+    return groups;
+  }
+
+
+  function* examples( rng, dtype, { single_axis=false, nan=false }={} )
+  {
+    for( let run=0; run < 24; run++ )
+    {
+      const ndim = rng.int(1,5),
+           shape = Int32Array.from({length: ndim}, () => rng.int(1,6)),
+             len = shape.reduce((m,n) => m*n, 1),
+          sample = () => {
+            if( nan && rng.uniform(0,1) < 0.2 ) return NaN;
+            switch( dtype ) {
+              case      'int32': return rng.int(-9,10);
+              case 'complex128': return new Complex(rng.int(-2,3) / 2, rng.normal());
+              default          : return rng.normal();
+            }
+          },
+               A = new NDArray(shape, ARRAY_TYPES[dtype].from({length: len}, sample) );
+
+      let axis;
+      if( single_axis )
+        axis = rng.bool() ? undefined : rng.int(-ndim,ndim);
+      else if( rng.bool() )
+        axis = Array.from({length: ndim}, (_,i) => i).filter( () => rng.bool() );
+      else
+        axis = rng.bool() ? undefined : rng.int(-ndim,ndim);
+      yield [A, axis];
+    }
+  }
+
+
+  const raw = A => 'complex128' === A.dtype ? A.data._array : A.data;
+
+  const normalize = (axis, ndim) => null == axis ? Array.from({length: ndim}, (_,i) => i)
+                                  : [].concat(axis).map( ax => ax < 0 ? ax+ndim : ax );
+
+  for( const dtype of ['int32', 'float32', 'float64', 'complex128', 'object'] )
+  for( const name of Object.keys(REFS) )
+  {
+    if( 'object' === dtype && ['var', 'std'].includes(name) ) continue;
+    const single_axis = name.startsWith('arg');
+
+    forEachItemIn(
+      function*(rng){ yield* examples(rng, dtype, {single_axis}) }
+    ).it(`${name} works given random ${dtype} examples`, ([A,axis]) => {
+      const axes = normalize(axis, A.ndim),
+          groups = group(A, axes),
+               R = reductions[name](A, axis, {keepdims: true}),
+             tol = {rtol: 'float32' === dtype ? 1e-5 : 1e-12, atol: 'float32' === dtype ? 1e-5 : 1e-12};
+
+      expect(R.shape).toEqual( A.shape.map( (s,d) => axes.includes(d) ? 1 : s ) );
+      for( const [idx,val] of R.elems() )
+        expect(val).toBeCloseTo( REFS[name]( groups.get([...idx].join()) ), tol );
+
+      // WITHOUT keepdims
+      const r = reductions[name](A, axis);
+      if( axes.length === A.ndim ) {
+        expect(r).not.toEqual( jasmine.any(NDArray) );
+        expect(r).toEqual( R.data[0] );
+      }
+      else
+        expect( raw(r) ).toEqual( raw(R) );
+
+      // AS METHOD
+      const M = A[name](axis, {keepdims: true});
+      expect(M.shape).toEqual(R.shape);
+      expect( raw(M) ).toEqual( raw(R) );
+    });
+  }
+
+
+  for( const dtype of ['float32', 'float64', 'complex128'] )
+  for( const name of ['sum', 'mean', 'var', 'std', 'prod', 'min', 'max', 'argmin', 'argmax'] )
+  {
+    const single_axis = name.startsWith('arg'),
+          nan_name = 'nan' + name;
+
+    forEachItemIn(
+      function*(rng){ yield* examples(rng, dtype, {single_axis, nan: true}) }
+    ).it(`${nan_name} works given random ${dtype} examples`, ([A,axis]) => {
+      const axes = normalize(axis, A.ndim),
+          groups = group(A, axes),
+             tol = {rtol: 'float32' === dtype ? 1e-5 : 1e-12, atol: 'float32' === dtype ? 1e-5 : 1e-12};
+
+      if( name.startsWith('arg') && [...groups.values()].some( xs => xs.every(is_nan) ) ) {
+        expect( () => reductions[nan_name](A, axis) ).toThrow();
+        return;
+      }
+
+      const R = reductions[nan_name](A, axis, {keepdims: true});
+      expect(R.shape).toEqual( A.shape.map( (s,d) => axes.includes(d) ? 1 : s ) );
+
+      for( const [idx,val] of entries(R) )
+      {
+        const xs = groups.get([...idx].join()),
+          not_nan = xs.filter( x => ! is_nan(x) );
+        if( name.startsWith('arg') )
+          expect( xs[val] ).toEqual( not_nan[ REFS[name](not_nan) ] );
+        else if( 0 === not_nan.length ) {
+          if( ['sum', 'prod'].includes(name) )
+            expect(val).toBeCloseTo( 'sum' === name ? 0 : 1 );
+          else
+            expect( is_nan(val) ).toBe(true);
+        }
+        else
+          expect(val).toBeCloseTo( REFS[name](not_nan), tol );
+      }
+    });
+  }
+
+
+  for( const dtype of ['int32', 'float32', 'float64', 'complex128', 'object'] )
+  for( const name of ['sum', 'var', 'prod', 'max', 'argmax'] )
+  {
+    if( 'object' === dtype && 'var' === name ) continue;
+    forEachItemIn(
+      function*(rng){ yield* examples(rng, dtype, {single_axis: name.startsWith('arg')}) }
+    ).it(`${name} works given strided views of dtype ${dtype}`, ([A,axis]) => {
+      const V = A.sliceElems([,,-1]).transpose(),
+            R = reductions[name](V,        axis, {keepdims: true}),
+            C = reductions[name](V.copy(), axis, {keepdims: true});
+      expect(R.shape).toEqual(C.shape);
+      expect( raw(R) ).toEqual( raw(C) );
+    });
+  }
+
+
+  it('ignores NaN only in nan-reductions', () => {
+    const A = array('float64', [[1, NaN, 3],
+                                [4,   5, 6]]);
+    expect( reductions.sum(A,1).data ).toEqual( Float64Array.of(NaN, 15) );
+    expect( reductions.nansum(A,1).data ).toEqual( Float64Array.of(4, 15) );
+    expect( reductions.max(A,0).data ).toEqual( Float64Array.of(4, NaN, 6) );
+    expect( reductions.nanmin(A,0).data ).toEqual( Float64Array.of(1, 5, 3) );
+    expect( reductions.argmax(A) ).toBe(1);
+    expect( reductions.nanargmax(A) ).toBe(5);
+    expect( reductions.nanmean(A) ).toBe(19/5);
+    expect( reductions.nanvar(A, 1, {ddof: 1}).data ).toEqual( Float64Array.of(2, 1) );
+    expect( () => reductions.nanargmin( array('float64', [NaN, NaN]) ) ).toThrow();
+  });
+
+
+  it('sums are compensated by default', () => {
+    const N = 1e6,
+          A = new NDArray(Int32Array.of(N), new Float64Array(N).fill(0.1));
+    expect( reductions.sum(A) ).toBe(N/10);
+    expect( reductions.sum(A, 0, {compensated: false}) ).not.toBe(N/10);
+    expect( reductions.sum( array('float64', [Infinity, 1]) ) ).toBe(Infinity);
+  });
+
+
+  it('computes var and std with ddof', () => {
+    const A = array([[1,2,3,4],
+                     [2,4,6,8]]);
+    expect( A.var() ).toBeCloseTo(150/8 - (30/8)**2);
+    expect( A.var(1, {ddof: 1}).data ).toEqual( Float64Array.of(5/3, 20/3) );
+    expect( A.std(1, {ddof: 1, keepdims: true}).shape ).toEqual( Int32Array.of(2,1) );
+    expect( reductions.var([1], 0, {ddof: 1}) ).toBeNaN();
+  });
+
+
+  it('throws given invalid axes', () => {
+    const A = array([[1,2],[3,4]]);
+    expect( () => A.sum(2) ).toThrow();
+    expect( () => A.sum(-3) ).toThrow();
+    expect( () => A.sum([0,0]) ).toThrow();
+    expect( () => A.sum(0.5) ).toThrow();
+    expect( () => A.argmax([0,1]) ).toThrow();
+  });
+
+
+
+  it('works given bool, small integer, 64-bit integer and complex64 arrays', () => {
+    const B = array('bool', [[true, false, true],
+                             [true, false, false]]);
+    expect( B.sum() ).toBe(3);
+    expect( B.sum(0).data ).toEqual( Float64Array.of(2,0,1) );
+    expect( B.mean(1).data ).toEqual( Float64Array.of(2/3, 1/3) );
+    expect( B.max() ).toBe(true);
+    expect( B.min(0).dtype ).toBe('bool');
+    expect( Array.from( B.min(0).data ) ).toEqual([true, false, false]);
+    expect( B.argmin(1).data ).toEqual( Int32Array.of(1,1) );
+
+    const U = array('uint8', [200, 100, 50]);
+    expect( U.sum() ).toBe(350);
+    expect( U.max() ).toBe(200);
+
+    const I = array('int64', [[2n**60n, -3n],
+                              [     7n, 1n ]]);
+    expect( I.max() ).toBe(2n**60n);
+    expect( I.min(1).dtype ).toBe('int64');
+    expect( Array.from( I.min(1).data ) ).toEqual([-3n, 1n]);
+    expect( I.argmax(0).data ).toEqual( Int32Array.of(0,1) );
+    expect( I.sum(0).dtype ).toBe('int64');
+    expect( Array.from( I.sum(0).data ) ).toEqual([2n**60n + 7n, -2n]);
+    expect( I.sum() ).toBe(2n**60n + 5n);
+    expect( reductions.nansum(I, 1, {keepdims: true}).dtype ).toBe('int64');
+    expect( I.prod(1).dtype ).toBe('int64');
+    expect( Array.from( I.prod(1).data ) ).toEqual([-3n * 2n**60n, 7n]);
+    expect( I.mean(1).data ).toEqual( Float64Array.of(2**59, 4) );
+    expect( I.var(1).dtype ).toBe('float64');
+
+    // exact beyond 2**53 and wrapping around on overflow like in NumPy
+    const J = array('int64', [2n**53n, 1n, 1n]),
+          K = array('uint64', [2n**63n, 2n**63n, 5n]);
+    expect( J.sum() ).toBe(2n**53n + 2n);
+    expect( K.sum() ).toBe(5n);
+    expect( K.sum(0, {keepdims: true}).dtype ).toBe('uint64');
+    expect( K.prod() ).toBe(0n);
+    expect( array('int64', [2n**62n, 2n]).prod() ).toBe(-(2n**63n));
+
+    const C = array('complex64', [new Complex(1,2), new Complex(3,-1)]);
+    expect( C.sum().re ).toBe(4);
+    expect( C.sum().im ).toBe(1);
+    expect( C.sum(0, {keepdims: true}).dtype ).toBe('complex64');
+    expect( C.prod(0, {keepdims: true}).dtype ).toBe('complex64');
+    expect( C.var(0, {keepdims: true}).dtype ).toBe('float32');
+    expect( C.max(0, {keepdims: true}).dtype ).toBe('complex64');
+    expect( C.max().re ).toBe(3);
+  });
+})
@@ -0,0 +1,166 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+// Compressed storage (CSR/CSC) is described by the major dimension M, the
+// minor dimension N and the three arrays (indptr, indices, data). For CSR
+// the major dimension are the rows, for CSC it's the columns. The nonzeros
+// of major index i are stored in indices[indptr[i]:indptr[i+1]], data[indptr[i]:indptr[i+1]].
+// Unless noted otherwise, the helpers in this file return canonical storage,
+// i.e. the indices are sorted and contain no duplicates.
+
+
+/** Converts the compressed storage of an MxN matrix to the compressed
+ *  storage of its NxM transpose. Since this is a stable counting sort,
+ *  the resulting indices are always sorted.
+ */
+export function _transpose( M,N, indptr,indices,data )
+{
+  M |= 0;
+  N |= 0;
+
+  const nnz = indptr[M],
+     T_ptr = new Int32Array(N+1),
+     T_ind = new Int32Array(nnz),
+     T_dat = new Float64Array(nnz);
+
+  for( let k=0; k < nnz; k++ )
+    T_ptr[indices[k]+1]++;
+
+  for( let j=0; j < N; j++ )
+    T_ptr[j+1] += T_ptr[j];
+
+  const next = T_ptr.slice(0,N);
+
+  for( let i=0; i < M; i++ )
+  for( let k=indptr[i]; k < indptr[i+1]; k++ )
+  {
+    const l = next[indices[k]]++;
+    T_ind[l] = i;
+    T_dat[l] = data[k];
+  }
+
+  return [T_ptr, T_ind, T_dat];
+}
+
+
+/** Removes duplicate entries from canonical compressed storage by summing them up.
+ *  The indices are expected to be sorted. The arrays are modified in place and
+ *  truncated copies of indices and data are returned.
+ */
+function _sum_duplicates( M, indptr,indices,data )
+{
+  let nnz = 0;
+  for( let i=0, start=0; i < M; i++ )
+  {
+    const end = indptr[i+1],
+          row = nnz;
+    for( let k=start; k < end; k++ )
+    {
+      if( nnz > row && indices[k] === indices[nnz-1] ) {
+        data[nnz-1] += data[k];
+        continue;
+      }
+      indices[nnz] = indices[k];
+         data[nnz] =    data[k];
+      nnz++;
+    }
+    start = end;
+    indptr[i+1] = nnz;
+  }
+  return [indptr, indices.slice(0,nnz), data.slice(0,nnz)];
+}
+
+
+/** Returns canonical compressed storage of an MxN matrix by sorting the indices
+ *  and summing up duplicates. If the storage is already canonical, the input
+ *  arrays are returned as is.
+ */
+export function _canonical( M,N, indptr,indices,data )
+{
+  M |= 0;
+  N |= 0;
+
+  check: {
+    for( let i=0; i < M; i++ )
+    for( let k=indptr[i]+1; k < indptr[i+1]; k++ )
+      if( !(indices[k-1] < indices[k]) )
+        break check;
+    return [indptr, indices, data];
+  }
+
+  const [T_ptr, T_ind, T_dat] = _transpose(M,N, indptr,indices,data),
+        [C_ptr, C_ind, C_dat] = _transpose(N,M, T_ptr,T_ind,T_dat);
+  return _sum_duplicates(M, C_ptr,C_ind,C_dat);
+}
+
+
+/** Converts (major,minor,value) triplets of an MxN matrix to canonical compressed storage.
+ *  Duplicate entries are summed up.
+ */
+export function _compress( M,N, major,minor,vals )
+{
+  M |= 0;
+  N |= 0;
+
+  const nnz = vals.length;
+  if( major.length !== nnz ) throw new Error('Assertion failed.');
+  if( minor.length !== nnz ) throw new Error('Assertion failed.');
+
+  // BUCKET BY MINOR INDEX FIRST, SUCH THAT THE TRANSPOSITION YIELDS SORTED INDICES
+  const ptr = new Int32Array(N+1),
+        ind = new Int32Array(nnz),
+        dat = new Float64Array(nnz);
+
+  for( let k=0; k < nnz; k++ ) {
+    const j = minor[k];
+    if( !(0 <= j && j < N) ) throw new Error('Index out of bounds.');
+    ptr[j+1]++;
+  }
+  for( let j=0; j < N; j++ )
+    ptr[j+1] += ptr[j];
+
+  const next = ptr.slice(0,N);
+  for( let k=0; k < nnz; k++ ) {
+    const i = major[k];
+    if( !(0 <= i && i < M) ) throw new Error('Index out of bounds.');
+    const l = next[minor[k]]++;
+    ind[l] = i;
+    dat[l] = vals[k];
+  }
+
+  const [C_ptr, C_ind, C_dat] = _transpose(N,M, ptr,ind,dat);
+  return _sum_duplicates(M, C_ptr,C_ind,C_dat);
+}
+
+
+/** Validates and normalizes the arguments of the sparse matrix constructors.
+ */
+export function _sparse_args( name, shape, arrays )
+{
+  shape = Int32Array.from(shape);
+  if( shape.length !== 2 ) throw new Error(`new ${name}(shape,...): shape must be 2D.`);
+  if( !(shape[0] >= 0 && shape[1] >= 0) ) throw new Error(`new ${name}(shape,...): shape must not be negative.`);
+  Object.freeze(shape.buffer);
+
+  const [data, ...index_arrays] = arrays.slice().reverse();
+  return [
+    shape,
+    ...index_arrays.reverse().map( ind => ind instanceof Int32Array ? ind : Int32Array.from(ind) ),
+    data instanceof Float64Array ? data : Float64Array.from(data)
+  ];
+}
@@ -0,0 +1,197 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {asarray, NDArray} from '../nd_array'
+
+import {_compress} from './_compress'
+import {amd} from './amd'
+import {_as_csr} from './convert'
+
+
+/** Symbolic analysis for the sparse Cholesky and LDL decomposition.
+ *  Only the lower triangle of A is used. Returns:
+ *
+ *    perm        The fill-reducing permutation, such that C = A[perm,:][:,perm].
+ *    C_ptr,C_ind The lower triangle of C as (canonical) CSR.
+ *    C_dat
+ *    parent      The elimination tree of C.
+ *    L_ptr       The column pointers of the factor L (CSC).
+ *    k0          The start of the trailing block of L that is completely dense.
+ *
+ *  SEE: Timothy A. Davis,
+ *       "Direct Methods for Sparse Linear Systems"
+ */
+export function _analyze( name, A, ordering )
+{
+  A = _as_csr(A);
+  const [N,M] = A.shape;
+  if( N !== M ) throw new Error(`${name}: A must be square.`);
+
+  // ORDERING
+  let perm;
+  switch(ordering) {
+    case 'amd'    : perm = amd(A).data; break;
+    case 'natural': perm = Int32Array.from({length: N}, (_,i) => i); break;
+    default: throw new Error(`${name}: Unknown ordering "${ordering}".`);
+  }
+  const pinv = new Int32Array(N);
+  for( let i=0; i < N; i++ )
+    pinv[perm[i]] = i;
+
+  // PERMUTED LOWER TRIANGLE
+  const {indptr, indices, data} = A,
+        rows = [], cols = [], vals = [];
+  for( let i=0; i < N; i++ )
+  for( let k=indptr[i]; k < indptr[i+1]; k++ )
+  {
+    const j = indices[k];
+    if( j <= i ) {
+      const a = pinv[i],
+            b = pinv[j];
+      rows.push( Math.max(a,b) );
+      cols.push( Math.min(a,b) );
+      vals.push( data[k] );
+    }
+  }
+  const [C_ptr, C_ind, C_dat] = _compress(N,N, rows,cols,vals);
+
+  // ELIMINATION TREE
+  const parent   = new Int32Array(N).fill(-1),
+        ancestor = new Int32Array(N).fill(-1);
+  for( let k=0; k < N; k++ )
+  for( let l=C_ptr[k]; l < C_ptr[k+1]; l++ )
+    for( let i=C_ind[l], next; i !== -1 && i < k; i=next ) {
+      next = ancestor[i];
+      ancestor[i] = k; // <- path compression
+      if( -1 === next ) parent[i] = k;
+    }
+
+  // COLUMN COUNTS VIA ROW SUBTREES
+  const count = new Int32Array(N).fill(1),
+         flag = new Int32Array(N).fill(-1);
+  for( let k=0; k < N; k++ ) {
+    flag[k] = k;
+    for( let l=C_ptr[k]; l < C_ptr[k+1]; l++ )
+      for( let j=C_ind[l]; flag[j] !== k; j=parent[j] ) {
+        flag[j] = k;
+        count[j]++;
+      }
+  }
+
+  const L_ptr = new Int32Array(N+1);
+  for( let j=0; j < N; j++ )
+    L_ptr[j+1] = L_ptr[j] + count[j];
+
+  let k0 = N;
+  while( k0 > 0 && count[k0-1] === N-k0+1 )
+    --k0;
+
+  return {N, perm, C_ptr, C_ind, C_dat, parent, L_ptr, k0};
+}
+
+
+/** Computes the nonzero pattern of row k of L restricted to the columns j < k0.
+ *  The pattern is written to s[top:N] in topological order and top is returned.
+ */
+export function _ereach( N, C_ptr,C_ind, parent, k, k0, flag, s )
+{
+  let top = N;
+  flag[k] = k;
+  for( let l=C_ptr[k]; l < C_ptr[k+1]; l++ )
+  {
+    let len = 0;
+    for( let j=C_ind[l]; j < k0 && flag[j] !== k; j=parent[j] ) {
+      s[len++] = j;
+      flag[j] = k;
+      if( -1 === parent[j] ) break;
+    }
+    while( len > 0 )
+      s[--top] = s[--len];
+  }
+  return top;
+}
+
+
+/** Solves L @ X = Y (transpose=false) or L.T @ X = Y (transpose=true) in place for
+ *  the CSC lower triangular matrix L (diagonal first in each column) and the NxK matrix X.
+ *  If unit=true, the diagonal of L is assumed to be one.
+ */
+export function _csc_tril_solve( N,K, L_ptr,L_ind,L_dat, X, transpose, unit )
+{
+  if( ! transpose )
+    for( let j=0; j < N; j++ )
+    {
+      const d = L_dat[L_ptr[j]];
+      if( ! unit )
+        for( let m=0; m < K; m++ )
+          X[K*j+m] /= d;
+      for( let l=L_ptr[j]+1; l < L_ptr[j+1]; l++ ) {
+        const i = L_ind[l],
+           L_ij = L_dat[l];
+        for( let m=0; m < K; m++ )
+          X[K*i+m] -= L_ij * X[K*j+m];
+      }
+    }
+  else
+    for( let j=N; j-- > 0; )
+    {
+      for( let l=L_ptr[j]+1; l < L_ptr[j+1]; l++ ) {
+        const i = L_ind[l],
+           L_ij = L_dat[l];
+        for( let m=0; m < K; m++ )
+          X[K*j+m] -= L_ij * X[K*i+m];
+      }
+      const d = L_dat[L_ptr[j]];
+      if( ! unit )
+        for( let m=0; m < K; m++ )
+          X[K*j+m] /= d;
+    }
+}
+
+
+/** Solves A @ x = y given a solver for C @ z = w, where C = A[P,:][:,P].
+ *  y may either be a vector of shape [N] or a matrix of shape [N,K].
+ */
+export function _perm_solve( name, N, P, y, solve )
+{
+  P = asarray(P);
+  y = asarray(y);
+  if( P.ndim !== 1 || P.shape[0] !== N ) throw new Error(`${name}: P must be of shape [N].`);
+  if( y.ndim !== 1 && y.ndim !== 2 ) throw new Error(`${name}: y must be 1D or 2D.`);
+  if( y.shape[0] !== N ) throw new Error(`${name}: L and y don't match.`);
+  if( y.dtype === 'complex128' || y.dtype === 'object' )
+    throw new Error(`${name}: y.dtype="${y.dtype}" not supported.`);
+
+  const K = y.ndim === 2 ? y.shape[1] : 1,
+    y_dat = y.data,
+    P_dat = P.data,
+        X = new Float64Array(N*K);
+
+  for( let i=0; i < N; i++ )
+  for( let m=0; m < K; m++ )
+    X[K*i+m] = y_dat[K*P_dat[i]+m];
+
+  solve(K,X);
+
+  const x_dat = new Float64Array(N*K);
+  for( let i=0; i < N; i++ )
+  for( let m=0; m < K; m++ )
+    x_dat[K*P_dat[i]+m] = X[K*i+m];
+
+  return new NDArray(y.shape, x_dat);
+}
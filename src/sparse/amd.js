@@ -0,0 +1,125 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {NDArray} from '../nd_array'
+
+import {_as_csr} from './convert'
+
+
+/** Computes a fill-reducing symmetric permutation of the square sparse matrix A
+ *  using an Approximate Minimum Degree (AMD) ordering. Only the nonzero pattern
+ *  of A + A.T is considered, the diagonal is ignored.
+ *
+ *  The elimination is simulated on the quotient graph, where each variable i keeps
+ *  track of its adjacent variables A_i and adjacent elements E_i (eliminated variables).
+ *  The external degrees are approximated the way AMD does it:
+ *
+ *    d_i ≈ min( n-k-1, d_i + |L_p\i|, |A_i\i| + |L_p\i| + Σ_{e ∈ E_i\p} |L_e\L_p| )
+ *
+ *  Supervariable detection and mass elimination are not (yet) implemented.
+ *
+ *  SEE: Patrick R. Amestoy, Timothy A. Davis, Iain S. Duff,
+ *       "An Approximate Minimum Degree Ordering Algorithm"
+ */
+export function amd( A )
+{
+  A = _as_csr(A);
+  const [N,M] = A.shape;
+  if( N !== M ) throw new Error('amd(A): A must be square.');
+
+  const {indptr, indices} = A,
+          adj = Array.from({length: N}, () => new Set() ), // <- adjacent variables
+        elems = Array.from({length: N}, () => new Set() ), // <- adjacent elements
+          L_e = new Array(N).fill(null),                   // <- variables of each element
+          deg = new Int32Array(N),
+      buckets = Array.from({length: N}, () => new Set() ), // <- variables grouped by degree
+         perm = new Int32Array(N);
+
+  for( let i=0; i < N; i++ )
+  for( let k=indptr[i]; k < indptr[i+1]; k++ ) {
+    const j = indices[k];
+    if( i !== j ) {
+      adj[i].add(j);
+      adj[j].add(i);
+    }
+  }
+
+  for( let i=0; i < N; i++ )
+    buckets[ deg[i] = adj[i].size ].add(i);
+
+  const w = new Map();
+
+  for( let k=0, min_deg=0; k < N; k++ )
+  {
+    // FIND PIVOT OF MINIMUM (APPROXIMATE) DEGREE
+    while( buckets[min_deg].size === 0 ) min_deg++;
+    const [p] = buckets[min_deg];
+    buckets[min_deg].delete(p);
+    perm[k] = p;
+
+    // CONSTRUCT NEW ELEMENT L_p AND ABSORB THE ADJACENT ELEMENTS
+    const L_p = adj[p];
+    for( const e of elems[p] )
+      if( null !== L_e[e] ) {
+        for( const i of L_e[e] )
+          if( i !== p ) L_p.add(i);
+        L_e[e] = null;
+      }
+    L_e[p] = L_p;
+    adj[p] = elems[p] = null;
+
+    // COMPUTE w(e) = |L_e \ L_p|
+    w.clear();
+    for( const i of L_p ) {
+      adj[i].delete(p);
+      for( const e of elems[i] ) {
+        if( null === L_e[e] ) { elems[i].delete(e); continue; }
+        w.set( e, (w.has(e) ? w.get(e) : L_e[e].size) - 1 );
+      }
+      elems[i].add(p);
+    }
+
+    // UPDATE APPROXIMATE DEGREES
+    for( const i of L_p )
+    {
+      // ENTRIES COVERED BY L_p ARE REDUNDANT
+      for( const j of adj[i] )
+        if( L_p.has(j) ) adj[i].delete(j);
+
+      let d = adj[i].size + L_p.size-1;
+      for( const e of elems[i] )
+        if( e !== p )
+        {
+          const w_e = w.get(e);
+          if( 0 === w_e ) { // <- aggressive absorption of elements that are subsets of L_p
+            L_e[e] = null;
+            elems[i].delete(e);
+          }
+          else
+            d += w_e;
+        }
+      d = Math.min(d, N-k-2, deg[i] + L_p.size-1);
+
+      buckets[deg[i]].delete(i);
+      buckets[deg[i] = d].add(i);
+      min_deg = Math.min(min_deg, d);
+    }
+  }
+
+  return new NDArray(Int32Array.of(N), perm);
+}
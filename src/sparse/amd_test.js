@@ -0,0 +1,73 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {forEachItemIn, CUSTOM_MATCHERS} from '../jasmine_utils'
+import {tabulate} from '../tabulate'
+
+import {amd} from './amd'
+import {cholesky_decomp} from './cholesky'
+import {from_dense} from './convert'
+
+
+describe('amd', () => {
+  beforeEach( () => {
+    jasmine.addMatchers(CUSTOM_MATCHERS)
+  })
+
+
+  forEachItemIn(
+    function*(rng){
+      for( let run=0; run++ < 512; )
+      {
+        const N = rng.int(1,48),
+           fill = rng.uniform(0,0.3);
+        yield from_dense( tabulate([N,N], 'float64', () => rng.uniform(0,1) < fill ? 1 : 0) );
+      }
+    }
+  ).it('returns a permutation', A => {
+    const N = A.shape[0],
+          P = amd(A);
+    expect(P.dtype).toBe('int32');
+    expect(P.shape).toEqual( Int32Array.of(N) );
+    expect( [...P.data].sort((x,y) => x-y) ).toEqual( Array.from({length: N}, (_,i) => i) );
+  });
+
+
+  it('reduces fill-in for an arrow matrix', () => {
+    // an arrow matrix pointing the wrong way fills in completely without reordering
+    const N = 32,
+          A = from_dense( tabulate([N,N], 'float64', (i,j) => i===j ? N : (i===0 || j===0 ? 1 : 0)) ),
+          P = amd(A);
+    expect( P.data[N-1] ).toBe(0);
+    expect( cholesky_decomp(A, {ordering: 'amd'    })[0].nnz ).toBe(2*N-1);
+    expect( cholesky_decomp(A, {ordering: 'natural'})[0].nnz ).toBe(N*(N+1)/2);
+  });
+
+
+  it('reduces fill-in for a 2D grid Laplacian', () => {
+    const n = 12,
+          N = n*n,
+          A = from_dense( tabulate([N,N], 'float64', (i,j) => {
+            if( i === j ) return 4;
+            const [xi,yi] = [i%n, i/n|0],
+                  [xj,yj] = [j%n, j/n|0];
+            return Math.abs(xi-xj) + Math.abs(yi-yj) === 1 ? -1 : 0;
+          }));
+    expect( cholesky_decomp(A, {ordering: 'amd'})[0].nnz ).toBeLessThan( cholesky_decomp(A, {ordering: 'natural'})[0].nnz );
+  });
+})
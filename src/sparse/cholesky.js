@@ -0,0 +1,126 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {_cholesky_decomp} from '../la/cholesky'
+import {NDArray} from '../nd_array'
+
+import {CSCMatrix} from './csc'
+import {_analyze,
+        _csc_tril_solve,
+        _ereach,
+        _perm_solve} from './_symbolic'
+
+
+/** Computes the sparse Cholesky decomposition of the symmetric positive definite
+ *  matrix A using an up-looking algorithm. Only the lower triangle of A is used.
+ *  The trailing part of the factor that is completely dense is computed using
+ *  the dense Cholesky kernel from la/cholesky.js.
+ */
+export function cholesky_decomp( A, {ordering='amd'}={} )
+{
+  const {N, perm, C_ptr, C_ind, C_dat,
+         parent, L_ptr, k0} = _analyze('cholesky_decomp(A)', A, ordering);
+
+  const L_ind = new Int32Array  (L_ptr[N]),
+        L_dat = new Float64Array(L_ptr[N]),
+         next = L_ptr.slice(0,N), // <- next free position in each column
+         flag = new Int32Array(N),
+            s = new Int32Array(N),
+            x = new Float64Array(N),
+           n0 = N-k0,
+            S = new Float64Array(n0*n0); // <- dense trailing block
+
+  for( let k=0; k < N; k++ )
+  {
+    // SCATTER ROW k OF C
+    let d = 0;
+    for( let l=C_ptr[k]; l < C_ptr[k+1]; l++ ) {
+      const j = C_ind[l];
+           if( j >= k0 ) S[n0*(k-k0) + j-k0] = C_dat[l];
+      else if( j <  k  ) x[j] = C_dat[l];
+      else               d    = C_dat[l];
+    }
+
+    // SPARSE TRIANGULAR SOLVE
+    for( let top = _ereach(N, C_ptr,C_ind, parent, k, k0, flag, s); top < N; top++ )
+    {
+      const j = s[top],
+         L_kj = x[j] / L_dat[L_ptr[j]];
+      x[j] = 0;
+      for( let l=L_ptr[j]+1; l < next[j]; l++ ) {
+        const i = L_ind[l];
+        if( i >= k0 ) break;
+        x[i] -= L_dat[l] * L_kj;
+      }
+      d -= L_kj*L_kj;
+      const l = next[j]++;
+      L_ind[l] = k;
+      L_dat[l] = L_kj;
+    }
+
+    if( k < k0 ) {
+      if( !(d > 0) ) throw new Error('cholesky_decomp(A): A is not positive definite.');
+      const l = next[k]++;
+      L_ind[l] = k;
+      L_dat[l] = Math.sqrt(d);
+    }
+  }
+
+  if( n0 > 0 )
+  {
+    // SCHUR COMPLEMENT OF THE DENSE TRAILING BLOCK
+    for( let j=0; j < k0; j++ )
+    {
+      let start = L_ptr[j+1];
+      while( start > L_ptr[j] && L_ind[start-1] >= k0 )
+        --start;
+      for( let a=start; a < L_ptr[j+1]; a++ )
+      for( let b=start; b <= a;         b++ )
+        S[n0*(L_ind[a]-k0) + L_ind[b]-k0] -= L_dat[a] * L_dat[b];
+    }
+
+    _cholesky_decomp(n0,n0, S,0);
+
+    for( let j=k0; j < N; j++ )
+    for( let i=j; i < N; i++ ) {
+      const l = next[j]++;
+      L_ind[l] = i;
+      L_dat[l] = S[n0*(i-k0) + j-k0];
+    }
+  }
+
+  return [
+    new CSCMatrix([N,N], L_ptr, L_ind, L_dat),
+    new NDArray(Int32Array.of(N), perm)
+  ];
+}
+
+
+/** Solves A @ x = y given the sparse Cholesky decomposition [L,P] of A.
+ */
+export function cholesky_solve( L, P, y )
+{
+  if( !(L instanceof CSCMatrix) ) throw new Error('cholesky_solve(L,P,y): L must be a CSCMatrix.');
+  const N = L.shape[0],
+    {indptr, indices, data} = L;
+
+  return _perm_solve('cholesky_solve(L,P,y)', N, P, y, (K,X) => {
+    _csc_tril_solve(N,K, indptr,indices,data, X, false, false);
+    _csc_tril_solve(N,K, indptr,indices,data, X, true,  false);
+  });
+}
@@ -0,0 +1,100 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {forEachItemIn, CUSTOM_MATCHERS} from '../jasmine_utils'
+import {matmul2} from '../la/matmul'
+import {tabulate} from '../tabulate'
+
+import {cholesky_decomp, cholesky_solve} from './cholesky'
+import {from_dense} from './convert'
+import {CSCMatrix} from './csc'
+
+
+describe('sparse.cholesky', () => {
+  beforeEach( () => {
+    jasmine.addMatchers(CUSTOM_MATCHERS)
+  })
+
+
+  /** Random sparse symmetric positive definite matrices (diagonally dominant).
+   */
+  function* spd_matrices(rng)
+  {
+    for( let run=0; run++ < 384; )
+    {
+      const N = rng.int(1,48),
+         fill = rng.uniform(0,0.2),
+            B = tabulate([N,N], 'float64', () => rng.uniform(0,1) < fill ? rng.uniform(-1,+1) : 0 ),
+            A = tabulate([N,N], 'float64', (i,j) => i===j ? N : B(i,j) + B(j,i) );
+      Object.freeze(A.data.buffer);
+      yield A;
+    }
+  }
+
+
+  for( const ordering of ['natural', 'amd'] )
+    forEachItemIn(
+      spd_matrices
+    ).it(`cholesky_decomp works on random examples (ordering: ${ordering})`, A => {
+      const N = A.shape[0],
+        [L,P] = cholesky_decomp(from_dense(A), {ordering});
+
+      expect(L).toEqual( jasmine.any(CSCMatrix) );
+      expect(L.shape).toEqual(A.shape);
+      expect(P.shape).toEqual( Int32Array.of(N) );
+
+      const l = L.toDense(),
+            p = P.data;
+      expect(l).toBeLowerTriangular();
+      expect( matmul2(l,l.T) ).toBeAllCloseTo( tabulate([N,N], 'float64', (i,j) => A(p[i],p[j])) );
+    });
+
+
+  forEachItemIn(
+    function*(rng){
+      let n_vec = 0, n_mat = 0;
+      for( const A of spd_matrices(rng) )
+      {
+        const N = A.shape[0],
+              y = rng.bool()
+                ? tabulate([N],           'float64', () => rng.uniform(-1,+1))
+                : tabulate([N,rng.int(1,4)],'float64', () => rng.uniform(-1,+1));
+        if( y.ndim === 1 ) ++n_vec;
+        else               ++n_mat;
+        yield [A,y];
+      }
+      if( n_vec < 32 || n_mat < 32 )
+        throw new Error(`Too few vector (${n_vec}) or matrix (${n_mat}) right-hand sides generated.`);
+    }
+  ).it('cholesky_solve works on random examples', ([A,y]) => {
+    const [L,P] = cholesky_decomp(from_dense(A,'coo')),
+              x = cholesky_solve(L,P,y);
+    expect(x.shape).toEqual(y.shape);
+    const Ax = y.ndim === 1
+      ? matmul2(A, x.reshape(-1,1)).reshape(-1)
+      : matmul2(A, x);
+    expect(Ax).toBeAllCloseTo(y);
+  });
+
+
+  it('throws if A is not positive definite', () => {
+    const A = from_dense([[1,2],
+                          [2,1]]);
+    expect( () => cholesky_decomp(A, {ordering: 'natural'}) ).toThrow();
+  });
+})
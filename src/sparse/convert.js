@@ -0,0 +1,104 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {asarray} from '../nd_array'
+
+import {_canonical} from './_compress'
+import {COOMatrix} from './coo'
+import {CSCMatrix} from './csc'
+import {CSRMatrix} from './csr'
+
+
+export function is_sparse( A )
+{
+  return A instanceof COOMatrix
+      || A instanceof CSRMatrix
+      || A instanceof CSCMatrix;
+}
+
+
+/** Converts a dense 2D NDArray (or nested array) to a sparse matrix of the given format.
+ *  Only the nonzero entries are stored.
+ */
+export function from_dense( A, format='csr' )
+{
+  A = asarray(A);
+  if( A.ndim !== 2 ) throw new Error('from_dense(A,format): A must be 2D.');
+  if( A.dtype === 'complex128' || A.dtype === 'object' )
+    throw new Error(`from_dense(A,format): A.dtype="${A.dtype}" not supported.`);
+
+  const [M,N] = A.shape,
+        A_dat = A.data;
+
+  let nnz = 0;
+  for( let i=A_dat.length; i-- > 0; )
+    nnz += 0 !== A_dat[i];
+
+  const indptr = new Int32Array(M+1),
+       indices = new Int32Array(nnz),
+          data = new Float64Array(nnz);
+
+  for( let i=0, k=0; i < M; i++ ) {
+    for( let j=0; j < N; j++ ) {
+      const A_ij = A_dat[N*i+j];
+      if( 0 !== A_ij ) {
+        indices[k] = j;
+           data[k] = A_ij;
+        k++;
+      }
+    }
+    indptr[i+1] = k;
+  }
+
+  const result = new CSRMatrix(A.shape, indptr, indices, data);
+
+  switch(format) {
+    case 'csr': return result;
+    case 'csc': return result.toCSC();
+    case 'coo': return result.toCOO();
+    default: throw new Error(`from_dense(A,format): Unknown format "${format}".`);
+  }
+}
+
+
+/** Converts A to a CSRMatrix with canonical storage, i.e. the column indices
+ *  of each row are sorted and contain no duplicates.
+ */
+export function _as_csr( A )
+{
+  if( ! is_sparse(A) ) return from_dense(A, 'csr');
+  A = A.toCSR();
+  const [M,N] = A.shape,
+    [indptr, indices, data] = _canonical(M,N, A.indptr, A.indices, A.data);
+  if( indptr === A.indptr ) return A;
+  return new CSRMatrix(A.shape, indptr, indices, data);
+}
+
+
+/** Converts A to a CSCMatrix with canonical storage, i.e. the row indices
+ *  of each column are sorted and contain no duplicates.
+ */
+export function _as_csc( A )
+{
+  if( ! is_sparse(A) ) return from_dense(A, 'csc');
+  A = A.toCSC();
+  const [M,N] = A.shape,
+    [indptr, indices, data] = _canonical(N,M, A.indptr, A.indices, A.data);
+  if( indptr === A.indptr ) return A;
+  return new CSCMatrix(A.shape, indptr, indices, data);
+}
@@ -0,0 +1,103 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {NDArray} from '../nd_array'
+
+import {_compress, _sparse_args} from './_compress'
+import {CSCMatrix} from './csc'
+import {CSRMatrix} from './csr'
+
+
+/** A sparse matrix in Coordinate format, i.e. the k-th nonzero entry is
+ *  located at (rows[k], cols[k]) and has the value data[k]. Duplicate
+ *  entries are allowed and are summed up upon conversion. The COO format
+ *  is primarily meant for the assembly of sparse matrices.
+ */
+export class COOMatrix
+{
+  constructor( shape, rows, cols, data )
+  {
+    [shape, rows, cols, data] = _sparse_args('COOMatrix', shape, [rows, cols, data]);
+
+    const [M,N] = shape,
+          nnz = data.length;
+    if( rows.length !== nnz ) throw new Error('new COOMatrix(shape,rows,cols,data): rows.length must equal data.length.');
+    if( cols.length !== nnz ) throw new Error('new COOMatrix(shape,rows,cols,data): cols.length must equal data.length.');
+    for( let k=nnz; k-- > 0; ) {
+      if( !(0 <= rows[k] && rows[k] < M) ) throw new Error('new COOMatrix(shape,rows,cols,data): row index out of bounds.');
+      if( !(0 <= cols[k] && cols[k] < N) ) throw new Error('new COOMatrix(shape,rows,cols,data): column index out of bounds.');
+    }
+
+    this.shape = shape;
+    this.rows  = rows;
+    this.cols  = cols;
+    this.data  = data;
+    Object.freeze(this);
+  }
+
+  get ndim () { return 2; }
+  get dtype() { return 'float64'; }
+  get nnz  () { return this.data.length; }
+
+  /** The transpose which shares the underlying arrays with this matrix (no copy).
+   */
+  get T() {
+    const [M,N] = this.shape;
+    return new COOMatrix([N,M], this.cols, this.rows, this.data);
+  }
+
+  get( i, j )
+  {
+    const [M,N] = this.shape;
+    if( !(0 <= i && i < M) ) throw new Error('COOMatrix.get(i,j): i out of bounds.');
+    if( !(0 <= j && j < N) ) throw new Error('COOMatrix.get(i,j): j out of bounds.');
+
+    const {rows, cols, data} = this;
+    let result = 0;
+    for( let k=data.length; k-- > 0; )
+      if( rows[k] === i && cols[k] === j )
+        result += data[k];
+    return result;
+  }
+
+  toCOO() { return this; }
+
+  toCSR()
+  {
+    const [M,N] = this.shape,
+          [indptr, indices, data] = _compress(M,N, this.rows, this.cols, this.data);
+    return new CSRMatrix(this.shape, indptr, indices, data);
+  }
+
+  toCSC()
+  {
+    const [M,N] = this.shape,
+          [indptr, indices, data] = _compress(N,M, this.cols, this.rows, this.data);
+    return new CSCMatrix(this.shape, indptr, indices, data);
+  }
+
+  toDense()
+  {
+    const [M,N] = this.shape,
+          {rows, cols, data} = this,
+          result = new Float64Array(M*N);
+    for( let k=data.length; k-- > 0; )
+      result[N*rows[k] + cols[k]] += data[k];
+    return new NDArray(this.shape, result);
+  }
+}
@@ -0,0 +1,110 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {NDArray} from '../nd_array'
+
+import {_sparse_args, _transpose} from './_compress'
+import {COOMatrix} from './coo'
+import {CSCMatrix} from './csc'
+
+
+/** A sparse matrix in Compressed Sparse Row format. The column indices
+ *  and values of row i are stored in indices[indptr[i]:indptr[i+1]]
+ *  and data[indptr[i]:indptr[i+1]] respectively.
+ */
+export class CSRMatrix
+{
+  constructor( shape, indptr, indices, data )
+  {
+    [shape, indptr, indices, data] = _sparse_args('CSRMatrix', shape, [indptr, indices, data]);
+
+    const [M,N] = shape;
+    if( indptr.length !== M+1 ) throw new Error('new CSRMatrix(shape,indptr,indices,data): indptr.length must be shape[0]+1.');
+    if( indptr[0]     !== 0   ) throw new Error('new CSRMatrix(shape,indptr,indices,data): indptr[0] must be 0.');
+    for( let i=0; i < M; i++ )
+      if( !(indptr[i] <= indptr[i+1]) )
+        throw new Error('new CSRMatrix(shape,indptr,indices,data): indptr must be ascending.');
+    if( indices.length < indptr[M] ) throw new Error('new CSRMatrix(shape,indptr,indices,data): indices too short.');
+    if(    data.length < indptr[M] ) throw new Error('new CSRMatrix(shape,indptr,indices,data): data too short.');
+    for( let k=indptr[M]; k-- > 0; )
+      if( !(0 <= indices[k] && indices[k] < N) )
+        throw new Error('new CSRMatrix(shape,indptr,indices,data): index out of bounds.');
+
+    this.shape   = shape;
+    this.indptr  = indptr;
+    this.indices = indices;
+    this.data    = data;
+    Object.freeze(this);
+  }
+
+  get ndim () { return 2; }
+  get dtype() { return 'float64'; }
+  get nnz  () { return this.indptr[this.shape[0]]; }
+
+  /** The transpose which shares the underlying arrays with this matrix (no copy).
+   */
+  get T() {
+    const [M,N] = this.shape;
+    return new CSCMatrix([N,M], this.indptr, this.indices, this.data);
+  }
+
+  get( i, j )
+  {
+    const [M,N] = this.shape;
+    if( !(0 <= i && i < M) ) throw new Error('CSRMatrix.get(i,j): i out of bounds.');
+    if( !(0 <= j && j < N) ) throw new Error('CSRMatrix.get(i,j): j out of bounds.');
+
+    const {indptr, indices, data} = this;
+    let result = 0;
+    for( let k=indptr[i]; k < indptr[i+1]; k++ )
+      if( indices[k] === j )
+        result += data[k];
+    return result;
+  }
+
+  toCOO()
+  {
+    const [M] = this.shape,
+          {indptr, data} = this,
+          nnz = this.nnz,
+          rows = new Int32Array(nnz);
+    for( let i=0; i < M; i++ )
+      rows.fill(i, indptr[i], indptr[i+1]);
+    return new COOMatrix(this.shape, rows, this.indices.slice(0,nnz), data.slice(0,nnz));
+  }
+
+  toCSR() { return this; }
+
+  toCSC()
+  {
+    const [M,N] = this.shape,
+          [indptr, indices, data] = _transpose(M,N, this.indptr, this.indices, this.data);
+    return new CSCMatrix(this.shape, indptr, indices, data);
+  }
+
+  toDense()
+  {
+    const [M,N] = this.shape,
+          {indptr, indices, data} = this,
+          result = new Float64Array(M*N);
+    for( let i=0; i < M; i++ )
+    for( let k=indptr[i]; k < indptr[i+1]; k++ )
+      result[N*i + indices[k]] += data[k];
+    return new NDArray(this.shape, result);
+  }
+}
@@ -0,0 +1,94 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {_as_csr, is_sparse} from './convert'
+import {CSRMatrix} from './csr'
+
+
+/** Applies the binary function fn to the entries of two sparse matrices of the
+ *  same shape. Only the union of the nonzero patterns is visited, which is why
+ *  fn(0,0) must be 0. The result is a CSRMatrix without explicit zeros.
+ */
+export function zip_elems( A, B, fn )
+{
+  if( ! is_sparse(A) && ! is_sparse(B) ) throw new Error('zip_elems(A,B,fn): At least one of A and B must be sparse.');
+  if( 0 !== fn(0,0) ) throw new Error('zip_elems(A,B,fn): fn(0,0) must be 0.');
+
+  A = _as_csr(A);
+  B = _as_csr(B);
+
+  const [M,N] = A.shape;
+  if( B.shape[0] !== M || B.shape[1] !== N ) throw new Error('zip_elems(A,B,fn): A and B must have the same shape.');
+
+  const {indptr: A_ptr, indices: A_ind, data: A_dat} = A,
+        {indptr: B_ptr, indices: B_ind, data: B_dat} = B,
+        C_ptr = new Int32Array(M+1),
+        C_ind = new Int32Array  (A.nnz + B.nnz),
+        C_dat = new Float64Array(A.nnz + B.nnz);
+
+  let nnz = 0;
+  const append = (j,x) => {
+    if( 0 !== x ) {
+      C_ind[nnz] = j;
+      C_dat[nnz++] = x;
+    }
+  };
+
+  // MERGE THE (SORTED) ROWS
+  for( let i=0; i < M; i++ )
+  {
+    let a = A_ptr[i], a_end = A_ptr[i+1],
+        b = B_ptr[i], b_end = B_ptr[i+1];
+    while( a < a_end || b < b_end )
+    {
+      const j_a = a < a_end ? A_ind[a] : N,
+            j_b = b < b_end ? B_ind[b] : N;
+           if( j_a < j_b ) { append(j_a, fn(A_dat[a++], 0        )); }
+      else if( j_a > j_b ) { append(j_b, fn(0,         B_dat[b++])); }
+      else                 { append(j_a, fn(A_dat[a++], B_dat[b++])); }
+    }
+    C_ptr[i+1] = nnz;
+  }
+
+  return new CSRMatrix(A.shape, C_ptr, C_ind.slice(0,nnz), C_dat.slice(0,nnz));
+}
+
+
+export function add( A, B ) { return zip_elems(A, B, (x,y) => x+y); }
+export function sub( A, B ) { return zip_elems(A, B, (x,y) => x-y); }
+
+
+/** Element-wise (Hadamard) product of two sparse matrices or scaling
+ *  of a sparse matrix by a scalar.
+ */
+export function mul( A, B )
+{
+  if( 'number' === typeof A ) [A,B] = [B,A];
+  if( 'number' === typeof B )
+  {
+    if( ! is_sparse(A) ) throw new Error('mul(A,B): A must be sparse.');
+    A = A.toCSR();
+    return new CSRMatrix(
+      A.shape,
+      A.indptr,
+      A.indices.slice(0,A.nnz),
+      A.data.slice(0,A.nnz).map(x => x*B)
+    );
+  }
+  return zip_elems(A, B, (x,y) => x*y);
+}
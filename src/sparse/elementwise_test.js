@@ -0,0 +1,101 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {forEachItemIn, CUSTOM_MATCHERS} from '../jasmine_utils'
+import {array} from '../nd_array'
+import {tabulate} from '../tabulate'
+import {zip_elems as zip_dense} from '../zip_elems'
+
+import {from_dense} from './convert'
+import {CSCMatrix} from './csc'
+import {CSRMatrix} from './csr'
+import {add, mul, sub, zip_elems} from './elementwise'
+
+
+describe('sparse elementwise', () => {
+  beforeEach( () => {
+    jasmine.addMatchers(CUSTOM_MATCHERS)
+  })
+
+
+  forEachItemIn(
+    function*(rng){
+      for( let run=0; run++ < 512; )
+      {
+        const M = rng.int(1,24),
+              N = rng.int(1,24),
+           fill = rng.uniform(0,0.5),
+           rand = () => tabulate([M,N], 'float64', () => rng.uniform(0,1) < fill ? rng.int(-3,+4) : 0 );
+        yield [rand(), rand()];
+      }
+    }
+  ).it('add, sub and mul work on random examples', ([A,B]) => {
+    for( const a of ['coo','csr','csc'] )
+    for( const b of ['coo','csr','csc'] )
+    {
+      const S = from_dense(A,a),
+            T = from_dense(B,b);
+      for( const [op, fn] of [[add, (x,y) => x+y],
+                              [sub, (x,y) => x-y],
+                              [mul, (x,y) => x*y]] )
+      {
+        const R = op(S,T),
+              C = zip_dense([A,B], 'float64', fn);
+        expect( R.toDense() ).toBeAllCloseTo(C, {rtol:0, atol:0});
+        // no explicit zeros
+        expect(R.nnz).toBe( C.data.filter(x => x !== 0).length );
+      }
+    }
+    expect( mul(from_dense(A),2).toDense() ).toBeAllCloseTo( A.mapElems(x => 2*x) );
+    expect( mul(3,from_dense(A)).toDense() ).toBeAllCloseTo( A.mapElems(x => 3*x) );
+  });
+
+
+  it('add, sub and mul work on unsorted indices and duplicate entries', () => {
+    const A = new CSRMatrix([2,3], [0,2,5], [2,0,   1,2,1], [1,2,   3,4,5]),
+          B = new CSCMatrix([2,3], [0,2,2,4], [1,0,   1,1], [6,7,   8,9]),
+          a = array([[2,0,1],
+                     [0,8,4]]),
+          b = array([[7,0, 0],
+                     [6,0,17]]);
+    expect( A.toDense() ).toBeAllCloseTo(a, {rtol:0, atol:0});
+    expect( B.toDense() ).toBeAllCloseTo(b, {rtol:0, atol:0});
+
+    for( const [op, fn] of [[add, (x,y) => x+y],
+                            [sub, (x,y) => x-y],
+                            [mul, (x,y) => x*y]] )
+    {
+      const R = op(A,B),
+            C = zip_dense([a,b], 'float64', fn);
+      expect( R.toDense() ).toBeAllCloseTo(C, {rtol:0, atol:0});
+      expect(R.nnz).toBe( C.data.filter(x => x !== 0).length );
+      // canonical result
+      for( let i=0; i < 2; i++ )
+      for( let k=R.indptr[i]+1; k < R.indptr[i+1]; k++ )
+        expect(R.indices[k-1]).toBeLessThan(R.indices[k]);
+    }
+  });
+
+
+  it('zip_elems rejects functions with fn(0,0) != 0', () => {
+    const A = from_dense([[1,0],
+                          [0,1]]);
+    expect( () => zip_elems(A,A, (x,y) => x+y+1) ).toThrow();
+    expect( () => add(A, from_dense([[1,2,3]])) ).toThrow();
+  });
+})
@@ -0,0 +1,116 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {forEachItemIn, CUSTOM_MATCHERS} from '../jasmine_utils'
+import {tabulate} from '../tabulate'
+
+import {COOMatrix} from './coo'
+import {from_dense, is_sparse} from './convert'
+import {CSCMatrix} from './csc'
+import {CSRMatrix} from './csr'
+
+
+describe('sparse formats', () => {
+  beforeEach( () => {
+    jasmine.addMatchers(CUSTOM_MATCHERS)
+  })
+
+
+  function* dense_matrices(rng)
+  {
+    for( let run=0; run++ < 256; )
+    {
+      const M = rng.int(1,24),
+            N = rng.int(1,24),
+         fill = rng.uniform(0,1),
+            A = tabulate([M,N], 'float64', () => rng.uniform(0,1) < fill ? rng.uniform(-1,+1) : 0 );
+      Object.freeze(A.data.buffer);
+      yield A;
+    }
+  }
+
+
+  forEachItemIn(
+    dense_matrices
+  ).it('from_dense(A).toDense() round-trips for all formats', A => {
+    for( const format of ['coo','csr','csc'] ) {
+      const S = from_dense(A,format);
+      expect( is_sparse(S) ).toBe(true);
+      expect(S.shape).toEqual(A.shape);
+      expect(S.nnz).toBe( A.data.filter(x => x !== 0).length );
+      expect( S.toDense() ).toBeAllCloseTo(A, {rtol:0, atol:0});
+
+      for( const T of [S.toCOO(), S.toCSR(), S.toCSC()] )
+        expect( T.toDense() ).toBeAllCloseTo(A, {rtol:0, atol:0});
+
+      expect( S.T.toDense() ).toBeAllCloseTo(A.T, {rtol:0, atol:0});
+
+      const [M,N] = A.shape;
+      for( let i=0; i < M; i++ )
+      for( let j=0; j < N; j++ )
+        expect( S.get(i,j) ).toBe( A(i,j) );
+    }
+  });
+
+
+  forEachItemIn(
+    dense_matrices
+  ).it('CSR and CSC have sorted indices', A => {
+    for( const S of [from_dense(A,'coo').toCSR(),
+                     from_dense(A,'coo').toCSC(),
+                     from_dense(A,'csr').toCSC(),
+                     from_dense(A,'csc').toCSR()] )
+    {
+      const {indptr, indices} = S;
+      for( let i=0; i < indptr.length-1; i++ )
+      for( let k=indptr[i]+1; k < indptr[i+1]; k++ )
+        expect(indices[k-1]).toBeLessThan(indices[k]);
+    }
+  });
+
+
+  it('COOMatrix sums up duplicate entries', () => {
+    const A = new COOMatrix([2,3], [0,1,0,1,0], [2,0,2,0,1], [1,2,3,4,5]);
+    expect( A.toDense() ).toBeAllCloseTo([[0,5,4],
+                                          [6,0,0]], {rtol:0, atol:0});
+    expect( A.toCSR().nnz ).toBe(3);
+    expect( A.toCSC().nnz ).toBe(3);
+    expect( A.toCSR().toDense() ).toBeAllCloseTo( A.toDense() );
+    expect( A.toCSC().toDense() ).toBeAllCloseTo( A.toDense() );
+  });
+
+
+  it('transposes share the underlying arrays', () => {
+    const A = from_dense([[1,0,2],
+                          [0,3,0]]);
+    expect(A.T).toEqual(jasmine.any(CSCMatrix));
+    expect(A.T.data).toBe(A.data);
+    expect(A.T.T).toEqual(jasmine.any(CSRMatrix));
+    expect(A.T.shape).toEqual( Int32Array.of(3,2) );
+  });
+
+
+  it('constructors validate their arguments', () => {
+    expect( () => new CSRMatrix([2,2], [0,1], [0], [1]) ).toThrow();
+    expect( () => new CSRMatrix([2,2], [0,2,1], [0,1], [1,2]) ).toThrow();
+    expect( () => new CSRMatrix([2,2], [0,1,2], [0,2], [1,2]) ).toThrow();
+    expect( () => new CSCMatrix([2,2], [0,1,2], [0,2], [1,2]) ).toThrow();
+    expect( () => new COOMatrix([2,2], [0,2], [0,1], [1,2]) ).toThrow();
+    expect( () => new COOMatrix([2,2], [0], [0,1], [1,2]) ).toThrow();
+  });
+})
@@ -0,0 +1,30 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+export {amd} from './amd'
+export {cholesky_decomp,
+        cholesky_solve} from './cholesky'
+export {from_dense,
+        is_sparse} from './convert'
+export * from './coo'
+export * from './csc'
+export * from './csr'
+export * from './elementwise'
+export {ldl_decomp,
+        ldl_solve} from './ldl'
+export * from './matmul'
@@ -0,0 +1,106 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {forEachItemIn, CUSTOM_MATCHERS} from '../jasmine_utils'
+import {matmul, matmul2} from '../la/matmul'
+import {tabulate} from '../tabulate'
+
+import {ldl_decomp, ldl_solve} from './ldl'
+import {from_dense} from './convert'
+import {CSCMatrix} from './csc'
+
+
+describe('sparse.ldl', () => {
+  beforeEach( () => {
+    jasmine.addMatchers(CUSTOM_MATCHERS)
+  })
+
+
+  /** Random sparse symmetric indefinite matrices (diagonally dominant).
+   */
+  function* sym_matrices(rng)
+  {
+    let n_indefinite = 0;
+    for( let run=0; run++ < 384; )
+    {
+      const N = rng.int(1,48),
+         fill = rng.uniform(0,0.2),
+            B = tabulate([N,N], 'float64', () => rng.uniform(0,1) < fill ? rng.uniform(-1,+1) : 0 ),
+            A = tabulate([N,N], 'float64', (i,j) => i===j ? (rng.bool() ? -N : +N) : B(i,j) + B(j,i) );
+      Object.freeze(A.data.buffer);
+      // by diagonal dominance, A is indefinite iff its diagonal has both signs
+      let n_neg = 0;
+      for( let i=0; i < N; i++ )
+        n_neg += A(i,i) < 0;
+      if( 0 < n_neg && n_neg < N )
+        ++n_indefinite;
+      yield A;
+    }
+    if( n_indefinite < 192 )
+      throw new Error(`Only ${n_indefinite} indefinite test matrices generated.`);
+  }
+
+
+  for( const ordering of ['natural', 'amd'] )
+    forEachItemIn(
+      sym_matrices
+    ).it(`ldl_decomp works on random examples (ordering: ${ordering})`, A => {
+      const N = A.shape[0],
+        [S,P] = ldl_decomp(from_dense(A), {ordering});
+
+      expect(S).toEqual( jasmine.any(CSCMatrix) );
+      expect(S.shape).toEqual(A.shape);
+      expect(P.shape).toEqual( Int32Array.of(N) );
+
+      const LD = S.toDense(),
+             p = P.data,
+             l = tabulate([N,N], 'float64', (i,j) => i===j ? 1 : i > j ? LD(i,j) : 0),
+             D = tabulate([N,N], 'float64', (i,j) => i===j ? LD(i,j) : 0);
+      expect(LD).toBeLowerTriangular();
+      expect( matmul(l,D,l.T) ).toBeAllCloseTo( tabulate([N,N], 'float64', (i,j) => A(p[i],p[j])) );
+    });
+
+
+  forEachItemIn(
+    function*(rng){
+      for( const A of sym_matrices(rng) )
+      {
+        const N = A.shape[0],
+              y = rng.bool()
+                ? tabulate([N],           'float64', () => rng.uniform(-1,+1))
+                : tabulate([N,rng.int(1,4)],'float64', () => rng.uniform(-1,+1));
+        yield [A,y];
+      }
+    }
+  ).it('ldl_solve works on random examples', ([A,y]) => {
+    const [LD,P] = ldl_decomp(from_dense(A,'coo')),
+              x = ldl_solve(LD,P,y);
+    expect(x.shape).toEqual(y.shape);
+    const Ax = y.ndim === 1
+      ? matmul2(A, x.reshape(-1,1)).reshape(-1)
+      : matmul2(A, x);
+    expect(Ax).toBeAllCloseTo(y);
+  });
+
+
+  it('throws on zero pivots', () => {
+    const A = from_dense([[0,1],
+                          [1,0]]);
+    expect( () => ldl_decomp(A, {ordering: 'natural'}) ).toThrow();
+  });
+})
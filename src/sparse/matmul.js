@@ -0,0 +1,155 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {asarray, NDArray} from '../nd_array'
+
+import {_transpose} from './_compress'
+import {is_sparse} from './convert'
+import {CSRMatrix} from './csr'
+
+
+/** Sparse-sparse matrix product using Gustavson's algorithm.
+ */
+function _matmul_sparse( A, B )
+{
+  const [M,K] = A.shape,
+        [L,N] = B.shape;
+  if( K !== L ) throw new Error('matmul(A,B): A.shape[1] must equal B.shape[0].');
+
+  const {indptr: A_ptr, indices: A_ind, data: A_dat} = A,
+        {indptr: B_ptr, indices: B_ind, data: B_dat} = B,
+        C_ptr = new Int32Array(M+1),
+        mark = new Int32Array(N).fill(-1);
+
+  // SYMBOLIC PHASE
+  for( let i=0; i < M; i++ ) {
+    let nnz = 0;
+    for( let k=A_ptr[i]; k < A_ptr[i+1]; k++ ) {
+      const l = A_ind[k];
+      for( let m=B_ptr[l]; m < B_ptr[l+1]; m++ ) {
+        const j = B_ind[m];
+        if( mark[j] !== i ) {
+            mark[j] = i;
+          nnz++;
+        }
+      }
+    }
+    C_ptr[i+1] = C_ptr[i] + nnz;
+  }
+
+  // NUMERIC PHASE
+  const C_ind = new Int32Array  (C_ptr[M]),
+        C_dat = new Float64Array(C_ptr[M]),
+          pos = new Int32Array(N).fill(-1);
+
+  for( let i=0; i < M; i++ )
+  {
+    let nnz = C_ptr[i];
+    for( let k=A_ptr[i]; k < A_ptr[i+1]; k++ )
+    {
+      const l = A_ind[k],
+         A_il = A_dat[k];
+      for( let m=B_ptr[l]; m < B_ptr[l+1]; m++ )
+      {
+        const j = B_ind[m];
+        if( pos[j] < C_ptr[i] ) {
+          pos[j] = nnz;
+          C_ind[nnz] = j;
+          C_dat[nnz++] = A_il * B_dat[m];
+        }
+        else
+          C_dat[pos[j]] += A_il * B_dat[m];
+      }
+    }
+  }
+
+  // SORT INDICES BY TRANSPOSING TWICE
+  const [T_ptr, T_ind, T_dat] = _transpose(M,N, C_ptr,C_ind,C_dat);
+  return new CSRMatrix([M,N], ..._transpose(N,M, T_ptr,T_ind,T_dat));
+}
+
+
+/** Computes the matrix product of two matrices, at least one of which is sparse.
+ *  If both matrices are sparse, the result is a CSRMatrix. Otherwise the result
+ *  is a dense NDArray. A dense right-hand side may be a 1D vector.
+ */
+export function matmul( A, B )
+{
+  if( is_sparse(A) && is_sparse(B) )
+    return _matmul_sparse( A.toCSR(), B.toCSR() );
+
+  if( is_sparse(A) )
+  {
+    // SPARSE @ DENSE
+    A = A.toCSR();
+    B = asarray(B);
+    if( B.ndim !== 1 && B.ndim !== 2 ) throw new Error('matmul(A,B): B must be 1D or 2D.');
+    if( B.dtype === 'complex128' || B.dtype === 'object' )
+      throw new Error(`matmul(A,B): B.dtype="${B.dtype}" not supported.`);
+
+    const [M,K] = A.shape,
+          [L,N=1] = B.shape;
+    if( K !== L ) throw new Error('matmul(A,B): A.shape[1] must equal B.shape[0].');
+
+    const {indptr, indices, data} = A,
+          B_dat = B.data,
+          C_dat = new Float64Array(M*N);
+
+    for( let i=0; i < M; i++ )
+    for( let k=indptr[i]; k < indptr[i+1]; k++ )
+    {
+      const A_ik = data[k],
+            B_off = N*indices[k];
+      for( let j=0; j < N; j++ )
+        C_dat[N*i+j] += A_ik * B_dat[B_off+j];
+    }
+
+    return new NDArray(B.ndim === 1 ? Int32Array.of(M) : Int32Array.of(M,N), C_dat);
+  }
+
+  if( is_sparse(B) )
+  {
+    // DENSE @ SPARSE
+    A = asarray(A);
+    B = B.toCSR();
+    if( A.ndim !== 1 && A.ndim !== 2 ) throw new Error('matmul(A,B): A must be 1D or 2D.');
+    if( A.dtype === 'complex128' || A.dtype === 'object' )
+      throw new Error(`matmul(A,B): A.dtype="${A.dtype}" not supported.`);
+
+    const [M,K] = A.ndim === 1 ? [1, A.shape[0]] : A.shape,
+          [L,N] = B.shape;
+    if( K !== L ) throw new Error('matmul(A,B): A.shape[1] must equal B.shape[0].');
+
+    const {indptr, indices, data} = B,
+          A_dat = A.data,
+          C_dat = new Float64Array(M*N);
+
+    for( let i=0; i < M; i++ )
+    for( let k=0; k < K; k++ )
+    {
+      const A_ik = A_dat[K*i+k];
+      if( 0 !== A_ik )
+        for( let l=indptr[k]; l < indptr[k+1]; l++ )
+          C_dat[N*i + indices[l]] += A_ik * data[l];
+    }
+
+    return new NDArray(A.ndim === 1 ? Int32Array.of(N) : Int32Array.of(M,N), C_dat);
+  }
+
+  throw new Error('matmul(A,B): At least one of A and B must be sparse. Use la.matmul for dense matrices.');
+}
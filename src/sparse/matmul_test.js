@@ -0,0 +1,81 @@
+'use strict';
+
+/* This file is part of ND.JS.
+ *
+ * ND.JS is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * ND.JS is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {forEachItemIn, CUSTOM_MATCHERS} from '../jasmine_utils'
+import {matmul2} from '../la/matmul'
+import {tabulate} from '../tabulate'
+
+import {from_dense} from './convert'
+import {CSRMatrix} from './csr'
+import {matmul} from './matmul'
+
+
+describe('sparse.matmul', () => {
+  beforeEach( () => {
+    jasmine.addMatchers(CUSTOM_MATCHERS)
+  })
+
+
+  const rand_sparse = (rng, M, N) => {
+    const fill = rng.uniform(0,0.5);
+    return tabulate([M,N], 'float64', () => rng.uniform(0,1) < fill ? rng.uniform(-1,+1) : 0 );
+  };
+
+
+  forEachItemIn(
+    function*(rng){
+      for( let run=0; run++ < 512; )
+      {
+        const M = rng.int(1,24),
+              K = rng.int(1,24),
+              N = rng.int(1,24);
+        yield [rand_sparse(rng,M,K), rand_sparse(rng,K,N)];
+      }
+    }
+  ).it('works on random examples', ([A,B]) => {
+    const C = matmul2(A,B);
+    for( const a of ['coo','csr','csc'] )
+    for( const b of ['coo','csr','csc'] )
+    {
+      const S = matmul( from_dense(A,a), from_dense(B,b) );
+      expect(S).toEqual( jasmine.any(CSRMatrix) );
+      expect( S.toDense() ).toBeAllCloseTo(C);
+    }
+    for( const fmt of ['coo','csr','csc'] ) {
+      expect( matmul(from_dense(A,fmt), B) ).toBeAllCloseTo(C);
+      expect( matmul(A, from_dense(B,fmt)) ).toBeAllCloseTo(C);
+    }
+  });
+
+
+  it('supports vectors', () => {
+    const A = from_dense([[1,0,2],
+                          [0,3,0]]);
+    expect( matmul(A, [1,2,3]) ).toBeAllCloseTo([7,6]);
+    expect( matmul([1,2], A) ).toBeAllCloseTo([1,6,2]);
+  });
+
+
+  it('throws on shape mismatch', () => {
+    const A = from_dense([[1,0,2],
+                          [0,3,0]]);
+    expect( () => matmul(A,A) ).toThrow();
+    expect( () => matmul(A,[1,2]) ).toThrow();
+    expect( () => matmul([[1,2]],[[3]]) ).toThrow();
+  });
+})
@@ -17,7 +17,7 @@
  */
 
 import {NDArray} from './nd_array'
-import {ARRAY_TYPES, _check_dtype} from './dt'
+import {ARRAY_TYPES, cast_scalar, _check_dtype} from './dt'
 
 
 export function tabulate(shape, dtype, idx2val)
@@ -31,6 +31,10 @@ export function tabulate(shape, dtype, idx2val)
   if( null == idx2val) throw new Error("tabulate(shape, dtype='object', idx2val): idx2val missing.")
   if( null == dtype ) dtype = 'object'
   _check_dtype(dtype)
+  if( dtype.endsWith('int64') ) { // <- BigInt arrays do not implicitly convert numbers
+    const fn = idx2val;
+    idx2val = (...args) => cast_scalar(fn(...args), dtype)
+  }
 
   const
     multi_idx = new Int32Array(shape.length), // <- index in result
@@ -16,7 +16,7 @@
  * along with ND.JS. If not, see <http://www.gnu.org/licenses/>.
  */
 
-import {ARRAY_TYPES, _check_dtype} from './dt'
+import {ARRAY_TYPES, cast_scalar, _check_dtype} from './dt'
 import {asarray, NDArray} from './nd_array'
 
 
@@ -39,6 +39,10 @@ export function zip_elems( ndarrays, dtype, zip_fn )
   }
 
   _check_dtype(dtype)
+  if( dtype.endsWith('int64') ) { // <- BigInt arrays do not implicitly convert numbers
+    const fn = zip_fn;
+    zip_fn = (...args) => cast_scalar(fn(...args), dtype)
+  }
 
   const
     ndim = ndarrays.reduce( (ndim,arr) => Math.max(ndim,arr.ndim), 0),
@@ -56,6 +60,7 @@ export function zip_elems( ndarrays, dtype, zip_fn )
   const
     multi_idx = new Int32Array(ndim), // <- index in result
     data = new ARRAY_TYPES[dtype]( shape.reduce((a,b) => a*b, 1) ),
+    datas = ndarrays.map( a => a._flat_data() ),
 
     values  = new      Array(ndarrays.length), // <- cache of ndarrays[indices]
     indices = new Int32Array(ndarrays.length), // <- indices in ndarrays(s)
@@ -67,7 +72,7 @@ export function zip_elems( ndarrays, dtype, zip_fn )
     if( d === ndim ) {
       strides.fill(1)
       for( let i=ndarrays.length; i-- > 0; )
-        values[i] = ndarrays[i].data[indices[i]++]
+        values[i] = datas[i][indices[i]++]
       data[flat_idx++] = zip_fn(...values, ...multi_idx)
       return
     }